@@ -0,0 +1,138 @@
+// ============================================================================
+// Cerebro Crypto - Anthropic-style Provider Adapter
+// ============================================================================
+// Messages API shape: system prompt as a top-level field, user/assistant
+// turns in `messages`, text and tool_use in content blocks, tool results
+// as tool_result blocks on a user turn.
+//   ANTHROPIC_API_KEY  - required
+//   ANTHROPIC_BASE_URL - optional (default https://api.anthropic.com)
+// ============================================================================
+
+import { postJSON, streamSSE, parseArguments } from './http.js';
+
+const API_VERSION = '2023-06-01';
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+function baseUrl() {
+  return (process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, '');
+}
+
+/**
+ * Map neutral chat messages to Messages API turns. Consecutive tool
+ * results share one user turn, as the API expects.
+ */
+function toTurns(messages) {
+  const turns = [];
+  for (const m of messages) {
+    if (m.role === 'system') continue;
+
+    if (m.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: m.toolCallId, content: m.content };
+      const prev = turns[turns.length - 1];
+      if (prev?.role === 'user' && Array.isArray(prev.content) && prev.content[0]?.type === 'tool_result') {
+        prev.content.push(block);
+      } else {
+        turns.push({ role: 'user', content: [block] });
+      }
+      continue;
+    }
+
+    if (m.role === 'assistant' && m.toolCalls?.length) {
+      const content = m.content ? [{ type: 'text', text: m.content }] : [];
+      for (const call of m.toolCalls) {
+        content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+      }
+      turns.push({ role: 'assistant', content });
+      continue;
+    }
+
+    turns.push({ role: m.role, content: m.content });
+  }
+  return turns;
+}
+
+function buildRequest({ model, messages, tools, maxTokens, temperature }, stream) {
+  const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n');
+
+  const body = { model: model || DEFAULT_MODEL, max_tokens: maxTokens, messages: toTurns(messages), stream };
+  if (system) body.system = system;
+  if (temperature != null) body.temperature = temperature;
+  if (tools?.length) {
+    body.tools = tools.map((t) => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+  }
+  return body;
+}
+
+function headers() {
+  return {
+    'x-api-key': process.env.ANTHROPIC_API_KEY,
+    'anthropic-version': API_VERSION,
+  };
+}
+
+function mapUsage(usage) {
+  if (!usage) return null;
+  const out = {};
+  if (usage.input_tokens != null) out.inputTokens = usage.input_tokens;
+  if (usage.output_tokens != null) out.outputTokens = usage.output_tokens;
+  return out;
+}
+
+export const anthropicProvider = {
+  name: 'anthropic',
+  defaultModel: DEFAULT_MODEL,
+
+  isConfigured: () => Boolean(process.env.ANTHROPIC_API_KEY),
+  missingConfig: 'ANTHROPIC_API_KEY',
+
+  async complete(request, signal) {
+    const response = await postJSON(`${baseUrl()}/v1/messages`, headers(), buildRequest(request, false), signal);
+    const json = await response.json();
+    const blocks = json.content || [];
+    return {
+      content: blocks.filter((b) => b.type === 'text').map((b) => b.text).join(''),
+      toolCalls: blocks
+        .filter((b) => b.type === 'tool_use')
+        .map((b) => ({ id: b.id, name: b.name, arguments: b.input || {} })),
+      model: json.model,
+      usage: mapUsage(json.usage),
+    };
+  },
+
+  async stream(request, handlers, signal) {
+    const response = await postJSON(`${baseUrl()}/v1/messages`, headers(), buildRequest(request, true), signal);
+
+    // tool_use blocks stream their input as JSON fragments, keyed by block index
+    const pendingTools = {};
+
+    return streamSSE(response, (event, json) => {
+      switch (event) {
+        case 'content_block_start':
+          if (json.content_block?.type === 'tool_use') {
+            pendingTools[json.index] = { id: json.content_block.id, name: json.content_block.name, json: '' };
+          }
+          return null;
+        case 'content_block_delta':
+          if (json.delta?.type === 'text_delta') return { delta: json.delta.text };
+          if (json.delta?.type === 'input_json_delta' && pendingTools[json.index]) {
+            pendingTools[json.index].json += json.delta.partial_json;
+          }
+          return null;
+        case 'content_block_stop': {
+          const tool = pendingTools[json.index];
+          if (!tool) return null;
+          delete pendingTools[json.index];
+          return { toolCalls: [{ id: tool.id, name: tool.name, arguments: parseArguments(tool.json) }] };
+        }
+        case 'message_start':
+          return { usage: mapUsage(json.message?.usage) };
+        case 'message_delta':
+          return { usage: mapUsage(json.usage) };
+        case 'error':
+          return { error: json.error?.message || 'Provider stream error' };
+        default:
+          return null;
+      }
+    }, handlers);
+  },
+};
@@ -0,0 +1,77 @@
+// ============================================================================
+// Cerebro Crypto - AI Provider HTTP Helpers
+// ============================================================================
+// Shared fetch plumbing for HTTP-backed provider adapters.
+// ============================================================================
+
+import { readSSE } from './sse.js';
+
+/**
+ * POST a JSON body to a provider and return the fetch response, throwing
+ * with the provider's error message on a non-2xx status.
+ */
+export async function postJSON(url, headers, body, signal) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const text = await response.text();
+    let message = text.slice(0, 300);
+    try {
+      const json = JSON.parse(text);
+      message = json.error?.message || json.error || json.message || message;
+    } catch { /* not JSON */ }
+    const err = new Error(`Provider returned ${response.status}: ${message}`);
+    err.status = response.status;
+    throw err;
+  }
+
+  return response;
+}
+
+/**
+ * Stream a provider's SSE response, mapping each event through
+ * `parseEvent(event, data)` which may return { delta, toolCalls, usage, error }.
+ *
+ * @param {Response} response
+ * @param {Function} parseEvent
+ * @param {{ onDelta?: Function, onToolCall?: Function }} handlers
+ * @returns {Promise<{ content: string, toolCalls: Object[], usage: Object|null }>}
+ */
+export async function streamSSE(response, parseEvent, { onDelta, onToolCall } = {}) {
+  let content = '';
+  let usage = null;
+  const toolCalls = [];
+
+  await readSSE(response.body, (event, data) => {
+    if (data === '[DONE]') return;
+    let json;
+    try { json = JSON.parse(data); } catch { return; }
+
+    const parsed = parseEvent(event, json) || {};
+    if (parsed.error) throw new Error(parsed.error);
+    if (parsed.usage) usage = { ...usage, ...parsed.usage };
+    if (parsed.delta) {
+      content += parsed.delta;
+      onDelta?.(parsed.delta);
+    }
+    for (const call of parsed.toolCalls || []) {
+      toolCalls.push(call);
+      onToolCall?.(call);
+    }
+  });
+
+  return { content, toolCalls, usage };
+}
+
+/**
+ * Parse tool-call arguments that arrive as a JSON string.
+ */
+export function parseArguments(json) {
+  if (!json) return {};
+  try { return JSON.parse(json); } catch { return {}; }
+}
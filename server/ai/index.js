@@ -0,0 +1,164 @@
+// ============================================================================
+// Cerebro Crypto - AI Chat Route
+// ============================================================================
+// POST /api/ai/chat  { provider, model, messages, tools?, stream?, maxTokens?, temperature? }
+//   - JSON reply:  { content, toolCalls, provider, model, usage }
+//   - SSE reply (stream: true or Accept: text/event-stream):
+//       event: delta      data: { content }          (one per text chunk)
+//       event: tool_call  data: { id, name, arguments }
+//       event: done       data: { content, toolCalls, provider, model, usage }
+//       event: error      data: { error }
+//
+// Provider-neutral message shapes (adapters translate them):
+//   { role: 'system' | 'user' | 'assistant', content }
+//   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+//   { role: 'tool', toolCallId, name, content }     (result of a tool call)
+// Tools are declared as { name, description, parameters (JSON Schema) } and
+// executed by the caller; the route only relays calls and results.
+// GET /api/ai/providers - which adapters are configured
+//
+// Provider keys come from the server's .env and never reach the browser.
+// ============================================================================
+
+import { anthropicProvider } from './anthropic.js';
+import { openaiProvider } from './openai.js';
+import { mockProvider } from './mock.js';
+import { openSSE } from './sse.js';
+
+// Adapter registry; 'claude' is the name the frontend settings use
+const PROVIDERS = {
+  anthropic: anthropicProvider,
+  claude: anthropicProvider,
+  openai: openaiProvider,
+  mock: mockProvider,
+};
+
+const ROLES = new Set(['system', 'user', 'assistant', 'tool']);
+const EMPTY_SCHEMA = { type: 'object', properties: {} };
+const DEFAULT_MAX_TOKENS = 1024;
+const MAX_TOKENS_LIMIT = 8192;
+
+/**
+ * Validate and normalise a chat request body.
+ * @returns {{ request: Object|null, error: string|null }}
+ */
+function parseChatRequest(body = {}) {
+  const { model, messages, tools, maxTokens, temperature } = body;
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return { request: null, error: 'Need a non-empty "messages" array.' };
+  }
+  for (const m of messages) {
+    if (!m || !ROLES.has(m.role)) {
+      return { request: null, error: 'Each message needs a role (system|user|assistant|tool).' };
+    }
+    const hasToolCalls = m.role === 'assistant' && Array.isArray(m.toolCalls) && m.toolCalls.length > 0;
+    if (typeof m.content !== 'string' && !(hasToolCalls && m.content == null)) {
+      return { request: null, error: 'Message content must be a string.' };
+    }
+    if (m.role === 'tool' && typeof m.toolCallId !== 'string') {
+      return { request: null, error: 'Tool messages need a "toolCallId".' };
+    }
+  }
+  if (!messages.some((m) => m.role === 'user')) {
+    return { request: null, error: 'At least one user message is required.' };
+  }
+  if (tools != null && (!Array.isArray(tools) || tools.some((t) => !t || typeof t.name !== 'string'))) {
+    return { request: null, error: '"tools" must be an array of { name, description, parameters }.' };
+  }
+
+  return {
+    request: {
+      model: typeof model === 'string' && model ? model : null,
+      messages: messages.map((m) => ({ ...m, content: m.content ?? '' })),
+      tools: (tools || []).map((t) => ({
+        name: t.name,
+        description: t.description || '',
+        parameters: t.parameters || EMPTY_SCHEMA,
+      })),
+      maxTokens: Math.min(Math.max(parseInt(maxTokens, 10) || DEFAULT_MAX_TOKENS, 1), MAX_TOKENS_LIMIT),
+      temperature: typeof temperature === 'number' ? temperature : null,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Register the AI routes on an Express app.
+ */
+export function registerAIRoutes(app) {
+  app.get('/api/ai/providers', (_req, res) => {
+    res.json({
+      providers: ['anthropic', 'openai', 'mock'].map((name) => ({
+        name,
+        configured: PROVIDERS[name].isConfigured(),
+        defaultModel: PROVIDERS[name].defaultModel,
+      })),
+    });
+  });
+
+  app.post('/api/ai/chat', async (req, res) => {
+    const providerName = String(req.body?.provider || '').toLowerCase();
+    const provider = PROVIDERS[providerName];
+    if (!provider) {
+      return res.status(400).json({ error: `Unknown provider "${providerName}". Use anthropic, claude, openai or mock.` });
+    }
+    if (!provider.isConfigured()) {
+      return res.status(503).json({ error: `${provider.missingConfig} is not set in the proxy .env.` });
+    }
+
+    const { request, error } = parseChatRequest(req.body);
+    if (error) return res.status(400).json({ error });
+
+    // Abort the upstream call if the browser goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const wantsStream = req.body.stream === true || (req.get('accept') || '').includes('text/event-stream');
+    const model = request.model || provider.defaultModel;
+    console.log(`[ai] ${provider.name} ${model} (${request.messages.length} messages, ${request.tools.length} tools${wantsStream ? ', stream' : ''})`);
+
+    if (!wantsStream) {
+      try {
+        const result = await provider.complete({ ...request, model }, controller.signal);
+        return res.json({
+          content: result.content,
+          toolCalls: result.toolCalls || [],
+          provider: provider.name,
+          model: result.model || model,
+          usage: result.usage,
+        });
+      } catch (err) {
+        console.error(`[ai] ${provider.name} error:`, err.message);
+        return res.status(err.status && err.status < 500 ? err.status : 502).json({ error: err.message });
+      }
+    }
+
+    const send = openSSE(res);
+    try {
+      const result = await provider.stream(
+        { ...request, model },
+        {
+          onDelta: (delta) => send('delta', { content: delta }),
+          onToolCall: (call) => send('tool_call', call),
+        },
+        controller.signal
+      );
+      send('done', {
+        content: result.content,
+        toolCalls: result.toolCalls || [],
+        provider: provider.name,
+        model,
+        usage: result.usage,
+      });
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        console.error(`[ai] ${provider.name} stream error:`, err.message);
+        send('error', { error: err.message });
+      }
+    }
+    res.end();
+  });
+}
@@ -0,0 +1,147 @@
+// ============================================================================
+// Cerebro Crypto - Mock Provider Adapter
+// ============================================================================
+// Offline provider for development and demos. Replies with a canned
+// analysis built from the conversation and streams it word by word, so
+// the chat UI and SSE path can be exercised without a key.
+// When tools are offered it calls the one whose name matches keywords
+// in the question, then summarises the tool result on the next turn.
+//   MOCK_AI_DELAY_MS - optional per-word stream delay (default 25, 0 = none)
+// ============================================================================
+
+const DEFAULT_MODEL = 'mock-1';
+
+// Question keywords -> tool name the mock will call when it is offered
+const TOOL_KEYWORDS = [
+  [/reject|block|why.*(skip|not)/i, 'explain_last_rejection'],
+  [/today|trades|p&l|pnl/i, 'summarize_todays_trades'],
+  [/backtest/i, 'run_quick_backtest'],
+  [/snapshot|status|score/i, 'get_trading_snapshot'],
+];
+
+let callCounter = 0;
+
+function findInConversation(messages, patterns) {
+  const text = messages.map((m) => m.content || '').join('\n');
+  for (const re of patterns) {
+    const match = text.match(re);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+function pickTool(question, tools) {
+  const offered = new Set(tools.map((t) => t.name));
+  for (const [re, name] of TOOL_KEYWORDS) {
+    if (re.test(question) && offered.has(name)) return name;
+  }
+  return null;
+}
+
+/**
+ * Describe a tool result: its primitive top-level fields, one per line.
+ */
+function describeToolResult(message) {
+  let data;
+  try { data = JSON.parse(message.content); } catch { return message.content.slice(0, 300); }
+  if (!data || typeof data !== 'object') return String(data);
+
+  return Object.entries(data)
+    .filter(([, v]) => v == null || typeof v !== 'object')
+    .slice(0, 10)
+    .map(([k, v]) => `- ${k}: ${v}`)
+    .join('\n') || '(structured data only)';
+}
+
+function buildReply(messages, tools) {
+  const last = messages[messages.length - 1];
+
+  // Tool results are in: summarise them
+  if (last?.role === 'tool') {
+    const results = [];
+    for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) results.unshift(messages[i]);
+    return {
+      content: results.map((r) => `**${r.name || 'tool'} result**\n${describeToolResult(r)}`).join('\n\n'),
+      toolCalls: [],
+    };
+  }
+
+  const lastUser = [...messages].reverse().find((m) => m.role === 'user');
+  const text = lastUser?.content || '';
+  const question = (text.split('[User Question]')[1] || text).trim();
+
+  const toolName = tools?.length ? pickTool(question, tools) : null;
+  if (toolName) {
+    callCounter++;
+    return { content: '', toolCalls: [{ id: `mock-call-${callCounter}`, name: toolName, arguments: {} }] };
+  }
+
+  const pair = findInConversation(messages, [/"pair":"([^"]+)"/, /Active pair:\s*(\S+)/]) || 'the active pair';
+  const regime = findInConversation(messages, [/"regime":"([^"]+)"/, /Market regime:\s*(\S+)/]) || 'unknown';
+
+  return {
+    content: [
+      `**Mock analysis for ${pair}**`,
+      '',
+      `You asked: "${question.slice(0, 120)}"`,
+      '',
+      `Regime is ${regime}. This reply comes from the offline mock provider, so no market data was analysed.`,
+      'Set ANTHROPIC_API_KEY or OPENAI_API_KEY in the proxy .env and pick that provider in Settings for real answers.',
+    ].join('\n'),
+    toolCalls: [],
+  };
+}
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error('Request aborted'));
+    if (ms <= 0) return resolve();
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Request aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export const mockProvider = {
+  name: 'mock',
+  defaultModel: DEFAULT_MODEL,
+
+  isConfigured: () => true,
+  missingConfig: null,
+
+  async complete({ model, messages, tools }) {
+    const { content, toolCalls } = buildReply(messages, tools);
+    return {
+      content,
+      toolCalls,
+      model: model || DEFAULT_MODEL,
+      usage: {
+        inputTokens: estimateTokens(messages.map((m) => m.content || '').join('')),
+        outputTokens: estimateTokens(content),
+      },
+    };
+  },
+
+  async stream(request, { onDelta, onToolCall } = {}, signal) {
+    const result = await this.complete(request);
+    const configured = parseInt(process.env.MOCK_AI_DELAY_MS, 10);
+    const delayMs = Number.isFinite(configured) ? configured : 25;
+
+    for (const token of result.content.match(/\S+\s*|\s+/g) || []) {
+      await sleep(delayMs, signal);
+      onDelta?.(token);
+    }
+    for (const call of result.toolCalls) onToolCall?.(call);
+    return { content: result.content, toolCalls: result.toolCalls, usage: result.usage };
+  },
+};
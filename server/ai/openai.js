@@ -0,0 +1,116 @@
+// ============================================================================
+// Cerebro Crypto - OpenAI-style Provider Adapter
+// ============================================================================
+// Chat Completions shape: every turn (system included) in `messages`,
+// text in choices[0].message / choices[0].delta, function tools via
+// `tool_calls` and role 'tool' results. Works with any
+// OpenAI-compatible server via OPENAI_BASE_URL.
+//   OPENAI_API_KEY  - required
+//   OPENAI_BASE_URL - optional (default https://api.openai.com)
+// ============================================================================
+
+import { postJSON, streamSSE, parseArguments } from './http.js';
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+function baseUrl() {
+  return (process.env.OPENAI_BASE_URL || 'https://api.openai.com').replace(/\/$/, '');
+}
+
+function toChatMessage(m) {
+  if (m.role === 'tool') return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+  if (m.role === 'assistant' && m.toolCalls?.length) {
+    return {
+      role: 'assistant',
+      content: m.content || null,
+      tool_calls: m.toolCalls.map((call) => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) },
+      })),
+    };
+  }
+  return { role: m.role, content: m.content };
+}
+
+function buildRequest({ model, messages, tools, maxTokens, temperature }, stream) {
+  const body = {
+    model: model || DEFAULT_MODEL,
+    messages: messages.map(toChatMessage),
+    max_tokens: maxTokens,
+    stream,
+  };
+  if (stream) body.stream_options = { include_usage: true };
+  if (temperature != null) body.temperature = temperature;
+  if (tools?.length) {
+    body.tools = tools.map((t) => ({
+      type: 'function',
+      function: { name: t.name, description: t.description, parameters: t.parameters },
+    }));
+  }
+  return body;
+}
+
+function headers() {
+  return { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` };
+}
+
+function mapUsage(usage) {
+  if (!usage) return null;
+  return { inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens };
+}
+
+export const openaiProvider = {
+  name: 'openai',
+  defaultModel: DEFAULT_MODEL,
+
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+  missingConfig: 'OPENAI_API_KEY',
+
+  async complete(request, signal) {
+    const response = await postJSON(`${baseUrl()}/v1/chat/completions`, headers(), buildRequest(request, false), signal);
+    const json = await response.json();
+    const message = json.choices?.[0]?.message || {};
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map((call) => ({
+        id: call.id,
+        name: call.function?.name,
+        arguments: parseArguments(call.function?.arguments),
+      })),
+      model: json.model,
+      usage: mapUsage(json.usage),
+    };
+  },
+
+  async stream(request, handlers, signal) {
+    const response = await postJSON(`${baseUrl()}/v1/chat/completions`, headers(), buildRequest(request, true), signal);
+
+    // tool_calls stream as fragments keyed by index; flush when the choice finishes
+    const pendingTools = [];
+
+    return streamSSE(response, (_event, json) => {
+      if (json.error) return { error: json.error.message || 'Provider stream error' };
+
+      const choice = json.choices?.[0];
+      for (const part of choice?.delta?.tool_calls || []) {
+        const tool = pendingTools[part.index] || (pendingTools[part.index] = { id: null, name: '', json: '' });
+        if (part.id) tool.id = part.id;
+        if (part.function?.name) tool.name += part.function.name;
+        if (part.function?.arguments) tool.json += part.function.arguments;
+      }
+
+      let toolCalls = null;
+      if (choice?.finish_reason && pendingTools.length > 0) {
+        toolCalls = pendingTools.filter(Boolean).map((t) => ({ id: t.id, name: t.name, arguments: parseArguments(t.json) }));
+        pendingTools.length = 0;
+      }
+
+      return {
+        delta: choice?.delta?.content || null,
+        toolCalls,
+        usage: mapUsage(json.usage),
+      };
+    }, handlers);
+  },
+};
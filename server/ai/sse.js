@@ -0,0 +1,60 @@
+// ============================================================================
+// Cerebro Crypto - Server-Sent Events Helpers
+// ============================================================================
+// Reading SSE from upstream AI providers and writing SSE to the browser.
+// ============================================================================
+
+/**
+ * Parse an SSE stream from a fetch() response body, calling onEvent for
+ * every complete event. Resolves when the stream ends.
+ *
+ * @param {ReadableStream} body - fetch Response.body
+ * @param {(event: string, data: string) => void} onEvent
+ */
+export async function readSSE(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flush = (block) => {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    if (data.length > 0) onEvent(event, data.join('\n'));
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      flush(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+    }
+  }
+  if (buffer.trim()) flush(buffer);
+}
+
+/**
+ * Switch an Express response into SSE mode.
+ * Returns a send(event, payload) function that JSON-encodes the payload.
+ */
+export function openSSE(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  return (event, payload) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+}
@@ -0,0 +1,324 @@
+// ============================================================================
+// Cerebro Crypto - Server Engine
+// ============================================================================
+// Runs the HYDRA / VIPER strategy engine (src/engine) headless inside the
+// proxy, so entries, exit signals and stop-loss monitoring carry on with the
+// browser closed. The engine drives its own copy of the app store, fed by
+// ./marketFeed; orders go through ./orderBridge. The browser observes and
+// controls it over WebSocket (src/services/engineClient.js).
+//
+// GET  /api/engine           - snapshot { state, server }
+// POST /api/engine/start
+// POST /api/engine/stop
+// PUT  /api/engine/settings  - { tradingMode?, activePair?, scannerPairs?, scannerEnabled?,
+//                                maxConcurrentPositions?, viperEnabled?, hydraSettings?,
+//                                viperSettings?, riskSettings?, allocationConfig?,
+//                                correlationSettings?, riskPipelineConfig? }
+// WS   /api/engine/ws        - snapshot on connect and on every change (at most 1/s);
+//                              accepts { type: 'start' | 'stop' } and
+//                              { type: 'settings', settings }
+//
+// Settings, calibration and the VIPER ledger persist as they do in the
+// browser (through a file-backed localStorage); open positions, the running
+// flag and recent trades persist in state.json, so a restart resumes.
+//
+// Optional .env: ENGINE_DATA_DIR (default server/data/engine).
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { WebSocketServer } from 'ws';
+import { createFileStorage } from './storage.js';
+import { createMarketFeed } from './marketFeed.js';
+import { createOrderBridge } from './orderBridge.js';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'engine');
+const WS_PATH = '/api/engine/ws';
+const MONITOR_INTERVAL_MS = 1000;
+const BROADCAST_INTERVAL_MS = 1000;
+const PERSIST_DELAY_MS = 500;
+const MAX_TRADES = 100;
+
+const PAIR_RE = /^[A-Z0-9]+-[A-Z0-9]+$/;
+const isObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+
+// Setting -> [validate, store action]
+const SETTINGS = {
+  tradingMode: [(v) => v === 'paper' || v === 'live', 'setTradingMode'],
+  activePair: [(v) => typeof v === 'string' && PAIR_RE.test(v), 'setActivePair'],
+  scannerPairs: [(v) => Array.isArray(v) && v.every((p) => typeof p === 'string' && PAIR_RE.test(p)), 'setScannerPairs'],
+  scannerEnabled: [(v) => typeof v === 'boolean', 'setScannerEnabled'],
+  maxConcurrentPositions: [(v) => Number.isInteger(v) && v > 0 && v <= 20, 'setMaxConcurrentPositions'],
+  viperEnabled: [(v) => typeof v === 'boolean', 'setViperEnabled'],
+  hydraSettings: [isObject, 'setHydraSettings'],
+  viperSettings: [isObject, 'setViperSettings'],
+  riskSettings: [isObject, 'setRiskSettings'],
+  allocationConfig: [isObject, 'setAllocationConfig'],
+  correlationSettings: [isObject, 'setCorrelationSettings'],
+  riskPipelineConfig: [isObject, 'setRiskPipelineConfig'],
+};
+
+/**
+ * Validate a settings patch.
+ * @returns {{ settings: Object|null, error: string|null }}
+ */
+function parseSettings(body, state) {
+  if (!isObject(body) || Object.keys(body).length === 0) {
+    return { settings: null, error: `Send one or more of ${Object.keys(SETTINGS).join(', ')}.` };
+  }
+  for (const [key, value] of Object.entries(body)) {
+    if (!SETTINGS[key]) return { settings: null, error: `Unknown setting "${key}".` };
+    if (!SETTINGS[key][0](value)) return { settings: null, error: `Invalid value for "${key}".` };
+  }
+  if (body.tradingMode && body.tradingMode !== state.tradingMode && state.botRunning) {
+    return { settings: null, error: 'Stop the engine before switching trading mode.' };
+  }
+  return { settings: body, error: null };
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * @param {import('express').Express} app
+ * @param {Object} opts
+ * @param {Function} opts.request    - (method, subPath, { query, body, mode }) => Promise<{ status, body }>,
+ *                                     the proxy's Coinbase / paper / sim routing
+ * @param {string}   opts.wsUrl      - market data feed (Coinbase, or the sim feed)
+ * @param {Function} [opts.getWsAuth] - (channel, productIds) => auth fields
+ * @returns {{ wsPath: string, attachWebSocket: Function }}
+ */
+export function registerEngineRoutes(app, { request, wsUrl, getWsAuth }) {
+  const dir = process.env.ENGINE_DATA_DIR || DEFAULT_DIR;
+  const stateFile = path.join(dir, 'state.json');
+  const signalsFile = path.join(dir, 'signals.ndjson');
+  const wss = new WebSocketServer({ noServer: true });
+  const ready = start();
+
+  async function start() {
+    // The store and strategy modules read localStorage as they load
+    const storage = createFileStorage(path.join(dir, 'storage.json'));
+    globalThis.localStorage = storage;
+    const [
+      { default: store },
+      { createStrategyEngine },
+      { markToMarket, checkPositionExit },
+      { pickEngineState },
+      { bindCorrelationTracker },
+    ] = await Promise.all([
+      import('../../src/store/index.js'),
+      import('../../src/engine/strategyEngine.js'),
+      import('../../src/engine/positionMonitor.js'),
+      import('../../src/engine/snapshot.js'),
+      import('../../src/engine/correlationTracker.js'),
+    ]);
+
+    const saved = readJson(stateFile, {});
+    let trades = saved.trades || [];
+    store.setState({ positions: saved.positions || [] });
+
+    const bridge = createOrderBridge({
+      store,
+      request,
+      onTrade: (trade) => {
+        trades = [trade, ...trades].slice(0, MAX_TRADES);
+        schedulePersist();
+      },
+    });
+    const feed = createMarketFeed({ store, wsUrl, getAuth: getWsAuth, request });
+    const engine = createStrategyEngine({
+      store,
+      submitOrder: bridge.submitOrder,
+      closePosition: (position, reason) => bridge.closePosition(position, reason),
+      saveSignal: (signal) => fs.promises.appendFile(
+        signalsFile,
+        `${JSON.stringify({ ...signal, timestamp: Date.now() })}\n`
+      ),
+    });
+
+    // ---- Persistence -------------------------------------------------------
+    let persistTimer = null;
+    function persist() {
+      clearTimeout(persistTimer);
+      persistTimer = null;
+      const s = store.getState();
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(stateFile, JSON.stringify({ botRunning: s.botRunning, positions: s.positions, trades }));
+    }
+    function schedulePersist() {
+      if (!persistTimer) persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+    }
+    let flushed = false;
+    function flushAll() {
+      if (flushed) return;
+      flushed = true;
+      persist();
+      storage.flush();
+    }
+    process.on('exit', flushAll);
+    // Node skips 'exit' when a default SIGINT / SIGTERM kills the process
+    for (const [signal, code] of [['SIGINT', 130], ['SIGTERM', 143]]) {
+      process.once(signal, () => {
+        flushAll();
+        process.exit(code);
+      });
+    }
+
+    // ---- Position monitor --------------------------------------------------
+    setInterval(() => {
+      const s = store.getState();
+      if (s.positions.length === 0) return;
+
+      let changed = false;
+      const marked = s.positions.map((pos) => {
+        const price = s.tickers[pos.pair]?.price;
+        if (!price) return pos;
+        const pnl = markToMarket(pos, price);
+        if (pnl.unrealizedPnL !== pos.unrealizedPnL) changed = true;
+        return { ...pos, ...pnl };
+      });
+      if (changed) store.setState({ positions: marked });
+
+      for (const pos of marked) {
+        if (bridge.isClosing(pos.id)) continue;
+        const check = checkPositionExit(pos, s.tickers[pos.pair]?.price);
+        if (check?.action === 'exit') {
+          bridge.closePosition(pos, check.reason, { qty: check.qty, updates: check.updates })
+            .catch((err) => s.addEngineLog({ type: 'ERROR', message: `Exit failed on ${pos.pair}: ${err.message}`, pair: pos.pair }));
+        } else if (check?.action === 'update') {
+          s.updatePosition(pos.id, check.updates);
+        }
+      }
+    }, MONITOR_INTERVAL_MS).unref();
+
+    // ---- Snapshots -----------------------------------------------------------
+    const snapshot = () => {
+      const s = store.getState();
+      return {
+        state: pickEngineState(s),
+        server: {
+          tradingMode: s.tradingMode,
+          activePair: s.activePair,
+          scannerPairs: s.scannerPairs,
+          viperEnabled: s.viperEnabled,
+          feed: s.wsStatus,
+          paperBalance: s.paperPortfolio.balance,
+          positions: s.positions,
+          trades: trades.slice(0, 20),
+        },
+      };
+    };
+
+    let broadcastTimer = null;
+    function broadcast() {
+      broadcastTimer = null;
+      if (wss.clients.size === 0) return;
+      const frame = JSON.stringify({ type: 'snapshot', ...snapshot() });
+      for (const ws of wss.clients) {
+        if (ws.readyState === ws.OPEN) ws.send(frame);
+      }
+    }
+
+    // Run the market feed while there's anything to trade or protect
+    const syncFeed = (s) => {
+      const needed = s.botRunning || s.positions.length > 0;
+      if (needed && !feed.isRunning()) feed.start();
+      if (!needed && feed.isRunning()) feed.stop();
+    };
+
+    store.subscribe((s, prev) => {
+      if (s.positions !== prev.positions || s.botRunning !== prev.botRunning) {
+        schedulePersist();
+        syncFeed(s);
+      }
+      if (!broadcastTimer) broadcastTimer = setTimeout(broadcast, BROADCAST_INTERVAL_MS);
+    });
+
+    engine.bind();
+    bindCorrelationTracker(store);
+    syncFeed(store.getState());
+    if (saved.botRunning) {
+      console.log('[engine] Resuming the engine from its last run');
+      store.getState().setBotRunning(true);
+    }
+
+    return { store, snapshot };
+  }
+
+  ready.catch((err) => console.error(`[engine] Failed to start: ${err.message}`));
+
+  /** Apply a control command; returns an error message or null. */
+  async function command({ type, settings }) {
+    const { store } = await ready;
+    const s = store.getState();
+    if (type === 'start') {
+      s.setBotRunning(true);
+      return null;
+    }
+    if (type === 'stop') {
+      s.setBotRunning(false);
+      return null;
+    }
+    if (type === 'settings') {
+      const parsed = parseSettings(settings, s);
+      if (parsed.error) return parsed.error;
+      for (const [key, value] of Object.entries(parsed.settings)) s[SETTINGS[key][1]](value);
+      return null;
+    }
+    return `Unknown command "${type}".`;
+  }
+
+  // ---- REST --------------------------------------------------------------
+  async function reply(res, cmd) {
+    try {
+      const error = cmd ? await command(cmd) : null;
+      if (error) return res.status(400).json({ error });
+      const { snapshot } = await ready;
+      res.json(snapshot());
+    } catch (err) {
+      res.status(503).json({ error: err.message });
+    }
+  }
+
+  app.get('/api/engine', (_req, res) => reply(res, null));
+  app.post('/api/engine/start', (_req, res) => reply(res, { type: 'start' }));
+  app.post('/api/engine/stop', (_req, res) => reply(res, { type: 'stop' }));
+  app.put('/api/engine/settings', (req, res) => reply(res, { type: 'settings', settings: req.body }));
+
+  // ---- WebSocket -----------------------------------------------------------
+  wss.on('connection', (ws) => {
+    ready
+      .then(({ snapshot }) => ws.send(JSON.stringify({ type: 'snapshot', ...snapshot() })))
+      .catch((err) => ws.send(JSON.stringify({ type: 'error', message: err.message })));
+
+    ws.on('message', async (raw) => {
+      let frame;
+      try {
+        frame = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
+      const error = await command(frame).catch((err) => err.message);
+      if (error) ws.send(JSON.stringify({ type: 'error', message: error }));
+    });
+  });
+
+  return {
+    wsPath: WS_PATH,
+
+    /** Route HTTP upgrades on the engine path to its WebSocket. */
+    attachWebSocket(server) {
+      server.on('upgrade', (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== WS_PATH) return;
+        wss.handleUpgrade(req, socket, head, (client) => wss.emit('connection', client, req));
+      });
+    },
+  };
+}
@@ -0,0 +1,50 @@
+// ============================================================================
+// Cerebro Crypto - Indicator Host
+// ============================================================================
+// Owns the indicator worker thread for the server engine, restarting it if it
+// dies. Messages and results use the Web Worker protocol
+// ({ type, payload } both ways), as in useMarketData.
+// ============================================================================
+
+import { Worker } from 'node:worker_threads';
+
+const WORKER_URL = new URL('./indicatorWorker.js', import.meta.url);
+const RESTART_DELAY_MS = 1000;
+
+/**
+ * @param {Object} opts
+ * @param {Function} opts.onMessage - ({ type, payload }) => void, for every worker result
+ */
+export function createIndicatorHost({ onMessage }) {
+  let worker = null;
+  let closed = false;
+
+  function spawn() {
+    worker = new Worker(WORKER_URL);
+    worker.on('message', (data) => {
+      if (data?.type === 'ERROR') console.warn('[engine] Indicator worker:', data.payload?.message);
+      else onMessage(data);
+    });
+    worker.on('error', (err) => console.warn(`[engine] Indicator worker error: ${err.message}`));
+    worker.on('exit', (code) => {
+      worker = null;
+      if (closed) return;
+      console.warn(`[engine] Indicator worker exited (${code}), restarting`);
+      setTimeout(() => {
+        if (!closed) spawn();
+      }, RESTART_DELAY_MS);
+    });
+  }
+  spawn();
+
+  return {
+    post(message) {
+      worker?.postMessage(message);
+    },
+
+    close() {
+      closed = true;
+      return worker?.terminate();
+    },
+  };
+}
@@ -0,0 +1,15 @@
+// ============================================================================
+// Cerebro Crypto - Indicator Worker (Node)
+// ============================================================================
+// Runs the browser's indicator Web Worker (src/workers/indicators.worker.js)
+// in a worker thread: `self` is mapped onto the thread's parent port, so the
+// worker's message protocol is unchanged.
+// ============================================================================
+
+import { parentPort } from 'node:worker_threads';
+
+globalThis.self = { postMessage: (data) => parentPort.postMessage(data) };
+
+await import('../../src/workers/indicators.worker.js');
+
+parentPort.on('message', (data) => globalThis.self.onmessage({ data }));
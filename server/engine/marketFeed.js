@@ -0,0 +1,396 @@
+// ============================================================================
+// Cerebro Crypto - Engine Market Feed
+// ============================================================================
+// Feeds the server engine's store the way useCoinbaseWebSocket and
+// useMarketData feed the browser's:
+//   - WebSocket: `ticker` and `market_trades` for every scanned pair (60s
+//     buy/sell trade flow), `level2` for the active pair only, `heartbeats`
+//   - REST: 300 one-minute candles per pair every 30s, aggregated to 5m and
+//     15m, plus 300 hourly candles every 5 minutes (HYDRA's 1h trend), with
+//     indicators and regime from the indicator worker
+// The active pair's data is mirrored into the global candles / indicators /
+// orderBook / tradeFlow / currentRegime fields the engine reads for it.
+// ============================================================================
+
+import WebSocket from 'ws';
+import { createIndicatorHost } from './indicatorHost.js';
+
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+// All indicator names to compute (as useMarketData)
+const ALL_INDICATORS = [
+  'ema9', 'ema21', 'ema50', 'sma200',
+  'rsi', 'macd', 'bbands', 'atr', 'adx', 'vwap',
+  'stochRSI', 'obv', 'volumeSMA20', 'high20', 'low20',
+  'hma',
+];
+const CANDLE_POLL_INTERVAL_MS = 30000;
+const CANDLE_STAGGER_MS = 200;
+const CANDLE_HISTORY = 300;
+const HOURLY_REFRESH_MS = 5 * 60 * 1000;
+const TICKER_FLUSH_MS = 1000;
+const L2_FLUSH_MS = 250;
+const TRADE_FLOW_WINDOW_MS = 60000;
+const TRADE_FLOW_UPDATE_MS = 2000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Inputs the worker's SCANNER_REGIME message needs, from the latest 1m bar. */
+function regimeInputs(pair, candles, indicators) {
+  const lastIdx = candles.length - 1;
+  const price = candles[lastIdx]?.close;
+  const at = (key) => indicators[key]?.[lastIdx];
+
+  let bbWidth = null;
+  let bbWidthAvg = null;
+  const width = (i) => {
+    const u = indicators.bbands?.upper?.[i];
+    const l = indicators.bbands?.lower?.[i];
+    const m = indicators.bbands?.middle?.[i];
+    return u != null && l != null && m != null && m !== 0 ? (u - l) / m : null;
+  };
+  bbWidth = width(lastIdx);
+  if (bbWidth != null) {
+    // Approximate average from last 20 bars
+    const widths = [];
+    for (let i = Math.max(0, lastIdx - 19); i <= lastIdx; i++) {
+      const w = width(i);
+      if (w != null) widths.push(w);
+    }
+    bbWidthAvg = widths.length > 0 ? widths.reduce((a, b) => a + b, 0) / widths.length : bbWidth;
+  }
+
+  return {
+    pair, price,
+    sma200: at('sma200'), ema9: at('ema9'), ema21: at('ema21'), ema50: at('ema50'),
+    adx: at('adx'), rsi: at('rsi'),
+    bbWidth, bbWidthAvg,
+  };
+}
+
+/**
+ * @param {Object} opts
+ * @param {Object}   opts.store    - engine store (see ../../src/store)
+ * @param {string}   opts.wsUrl    - Coinbase (or sim) WebSocket URL
+ * @param {Function} [opts.getAuth] - (channel, productIds) => auth fields
+ * @param {Function} opts.request  - (method, subPath, { query }) => Promise<{ status, body }>
+ */
+export function createMarketFeed({ store, wsUrl, getAuth = () => ({}), request }) {
+  let ws = null;
+  let running = false;
+  let reconnectAttempt = 0;
+  let reconnectTimer = null;
+  let pollTimer = null;
+  let unsubscribeStore = null;
+  let subscribed = { pairs: [], active: null };
+
+  const pendingTickers = {};
+  let tickerTimer = null;
+  let pendingL2 = [];
+  let l2Timer = null;
+  let l2Snapshot = false;
+  const flows = {}; // pair -> { buys: [], sells: [], lastUpdate }
+  const hourlyFetched = {}; // pair -> last hourly candle fetch
+
+  const indicators = createIndicatorHost({ onMessage: onWorkerResult });
+
+  const feedPairs = () => {
+    const s = store.getState();
+    const pairs = s.scannerEnabled ? (s.scannerPairs || []) : [];
+    return [...new Set([s.activePair, ...pairs, ...s.positions.map((p) => p.pair)])].filter(Boolean);
+  };
+
+  // =========================================================================
+  //  Indicator worker results (as useMarketData's scanner branch)
+  // =========================================================================
+  function onWorkerResult({ type, payload }) {
+    const s = store.getState();
+    const isActive = payload?.pair === s.activePair;
+
+    if (type === 'SCANNER_RESULT') {
+      const { pair, indicators: scanInd, timeframeLabel } = payload;
+      const merged = timeframeLabel === 'ONE_MINUTE'
+        ? scanInd
+        : Object.fromEntries(Object.entries(scanInd).map(([key, value]) => [`${timeframeLabel}_${key}`, value]));
+      s.setScannerIndicators(pair, { ...(s.scannerIndicators[pair] || {}), ...merged });
+      if (isActive) s.setIndicators(merged);
+
+      if (timeframeLabel === 'ONE_MINUTE') {
+        const candles = s.scannerCandles[pair]?.ONE_MINUTE || [];
+        if (candles.length > 0) {
+          indicators.post({ type: 'SCANNER_REGIME', payload: regimeInputs(pair, candles, scanInd) });
+        }
+      }
+    } else if (type === 'SCANNER_AGGREGATE_RESULT') {
+      const { pair, timeframe, candles } = payload;
+      s.setScannerCandles(pair, timeframe, candles);
+      if (isActive) s.setCandles(timeframe, candles);
+      if (candles?.length > 0) {
+        indicators.post({
+          type: 'CALCULATE_SCANNER',
+          payload: { pair, candles, timeframeLabel: timeframe, indicators: ALL_INDICATORS, params: {} },
+        });
+      }
+    } else if (type === 'SCANNER_REGIME_RESULT') {
+      s.setScannerRegime(payload.pair, payload.regime);
+      if (isActive && payload.regime !== s.currentRegime) s.setRegime(payload.regime);
+    }
+  }
+
+  // =========================================================================
+  //  REST candles
+  // =========================================================================
+  async function fetchCandles(pair, granularity, barMs) {
+    const now = Date.now();
+    const { status, body } = await request('GET', `products/${pair}/candles`, {
+      query: {
+        granularity,
+        start: Math.floor((now - CANDLE_HISTORY * barMs) / 1000).toString(),
+        end: Math.floor(now / 1000).toString(),
+      },
+    });
+    if (status !== 200) throw new Error(body?.message || body?.error || `HTTP ${status}`);
+
+    return (body.candles || []).map((c) => ({
+      timestamp: parseInt(c.start, 10) * 1000,
+      open: parseFloat(c.open),
+      high: parseFloat(c.high),
+      low: parseFloat(c.low),
+      close: parseFloat(c.close),
+      volume: parseFloat(c.volume),
+    })).sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /** Hourly candles for HYDRA's 1h trend, when the pair's are stale. */
+  async function pollHourly(pair) {
+    if (Date.now() - (hourlyFetched[pair] || 0) < HOURLY_REFRESH_MS) return;
+    hourlyFetched[pair] = Date.now();
+    try {
+      const candles = await fetchCandles(pair, 'ONE_HOUR', 3600000);
+      if (candles.length === 0) return;
+      store.getState().setScannerCandles(pair, 'ONE_HOUR', candles);
+      indicators.post({
+        type: 'CALCULATE_SCANNER',
+        payload: { pair, candles, timeframeLabel: 'ONE_HOUR', indicators: ALL_INDICATORS, params: {} },
+      });
+    } catch (err) {
+      delete hourlyFetched[pair];
+      console.warn(`[engine] Hourly candles for ${pair} failed: ${err.message}`);
+    }
+  }
+
+  async function pollCandles() {
+    const pairs = feedPairs();
+    for (let i = 0; i < pairs.length && running; i++) {
+      const pair = pairs[i];
+      if (i > 0) await sleep(CANDLE_STAGGER_MS);
+      try {
+        const candles = await fetchCandles(pair, 'ONE_MINUTE', 60000);
+        if (candles.length === 0) continue;
+
+        const s = store.getState();
+        s.setScannerCandles(pair, 'ONE_MINUTE', candles);
+        if (pair === s.activePair) s.setCandles('ONE_MINUTE', candles);
+
+        indicators.post({
+          type: 'CALCULATE_SCANNER',
+          payload: { pair, candles, timeframeLabel: 'ONE_MINUTE', indicators: ALL_INDICATORS, params: {} },
+        });
+        for (const targetTimeframe of ['FIVE_MINUTE', 'FIFTEEN_MINUTE']) {
+          indicators.post({ type: 'AGGREGATE_SCANNER', payload: { pair, candles1m: candles, targetTimeframe } });
+        }
+      } catch (err) {
+        // Isolate failure per pair — other pairs still fetch
+        console.warn(`[engine] Candles for ${pair} failed: ${err.message}`);
+      }
+      await pollHourly(pair);
+    }
+  }
+
+  // =========================================================================
+  //  WebSocket
+  // =========================================================================
+  function send(type, channel, productIds) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    if (productIds.length === 0 && channel !== 'heartbeats') return;
+    let auth = {};
+    try {
+      auth = getAuth(channel, productIds) || {};
+    } catch (err) {
+      console.warn(`[engine] Feed auth failed: ${err.message}`);
+    }
+    ws.send(JSON.stringify({ type, channel, product_ids: productIds, ...auth }));
+  }
+
+  /** Bring subscriptions in line with the scanned pairs and active pair. */
+  function syncSubscriptions() {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    const pairs = feedPairs();
+    const active = store.getState().activePair;
+
+    const removed = subscribed.pairs.filter((p) => !pairs.includes(p));
+    const added = pairs.filter((p) => !subscribed.pairs.includes(p));
+    send('unsubscribe', 'ticker', removed);
+    send('unsubscribe', 'market_trades', removed);
+    send('subscribe', 'ticker', added);
+    send('subscribe', 'market_trades', added);
+    for (const pair of removed) delete flows[pair];
+
+    if (active !== subscribed.active) {
+      if (subscribed.active) send('unsubscribe', 'level2', [subscribed.active]);
+      l2Snapshot = false;
+      pendingL2 = [];
+      if (active) send('subscribe', 'level2', [active]);
+    }
+    subscribed = { pairs, active };
+  }
+
+  function onTicker(msg) {
+    for (const event of msg.events || []) {
+      for (const t of event.tickers || []) {
+        pendingTickers[t.product_id] = {
+          productId: t.product_id,
+          price: parseFloat(t.price),
+          volume24h: parseFloat(t.volume_24_h),
+          low24h: parseFloat(t.low_24_h),
+          high24h: parseFloat(t.high_24_h),
+          change24h: parseFloat(t.price_percentage_change_24_h),
+        };
+      }
+    }
+    if (!tickerTimer) {
+      tickerTimer = setTimeout(() => {
+        tickerTimer = null;
+        const batch = { ...pendingTickers };
+        for (const key of Object.keys(pendingTickers)) delete pendingTickers[key];
+        if (Object.keys(batch).length > 0) store.getState().updateTicker(batch);
+      }, TICKER_FLUSH_MS);
+    }
+  }
+
+  function onLevel2(msg) {
+    const active = store.getState().activePair;
+    for (const event of msg.events || []) {
+      if (event.product_id !== active) continue;
+      // Snapshots replace the whole book, so apply them at once
+      if (event.type === 'snapshot') {
+        l2Snapshot = true;
+        pendingL2 = [];
+        store.getState().setOrderBook({ productId: active, type: 'snapshot', updates: event.updates || [] });
+      } else if (l2Snapshot) {
+        pendingL2.push(...(event.updates || []));
+      }
+    }
+    if (!l2Timer && pendingL2.length > 0) {
+      l2Timer = setTimeout(() => {
+        l2Timer = null;
+        const updates = pendingL2;
+        pendingL2 = [];
+        if (updates.length > 0) {
+          store.getState().setOrderBook({ productId: store.getState().activePair, type: 'update', updates });
+        }
+      }, L2_FLUSH_MS);
+    }
+  }
+
+  function onTrades(msg) {
+    const now = Date.now();
+    for (const event of msg.events || []) {
+      for (const t of event.trades || []) {
+        if (!subscribed.pairs.includes(t.product_id)) continue;
+        const flow = flows[t.product_id] || (flows[t.product_id] = { buys: [], sells: [], lastUpdate: 0 });
+        (t.side === 'BUY' ? flow.buys : flow.sells).push({ size: parseFloat(t.size), timestamp: now });
+      }
+    }
+
+    const s = store.getState();
+    for (const [pair, flow] of Object.entries(flows)) {
+      if (now - flow.lastUpdate <= TRADE_FLOW_UPDATE_MS) continue;
+      flow.lastUpdate = now;
+      const cutoff = now - TRADE_FLOW_WINDOW_MS;
+      flow.buys = flow.buys.filter((t) => t.timestamp > cutoff);
+      flow.sells = flow.sells.filter((t) => t.timestamp > cutoff);
+
+      const buyVolume = flow.buys.reduce((sum, t) => sum + t.size, 0);
+      const sellVolume = flow.sells.reduce((sum, t) => sum + t.size, 0);
+      const ratio = sellVolume > 0 ? buyVolume / sellVolume : buyVolume > 0 ? 10 : 1;
+      s.setScannerTradeFlow(pair, { buyVolume, sellVolume, ratio });
+      if (pair === s.activePair) s.setTradeFlow({ buyVolume, sellVolume, ratio });
+    }
+  }
+
+  function onMessage(raw) {
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (msg.type === 'error') console.warn(`[engine] Feed error: ${msg.message}`);
+    else if (msg.channel === 'ticker') onTicker(msg);
+    else if (msg.channel === 'l2_data') onLevel2(msg);
+    else if (msg.channel === 'market_trades') onTrades(msg);
+  }
+
+  function connect() {
+    if (ws || !running) return;
+    ws = new WebSocket(wsUrl);
+    ws.on('open', () => {
+      reconnectAttempt = 0;
+      subscribed = { pairs: [], active: null };
+      send('subscribe', 'heartbeats', []);
+      syncSubscriptions();
+      store.getState().setWsStatus('connected');
+      console.log(`[engine] Market feed connected (${subscribed.pairs.length} pair(s))`);
+    });
+    ws.on('message', (raw) => onMessage(raw.toString()));
+    ws.on('error', (err) => console.warn(`[engine] Market feed error: ${err.message}`));
+    ws.on('close', () => {
+      ws = null;
+      if (!running) return;
+      store.getState().setWsStatus('reconnecting');
+      const delay = RECONNECT_DELAYS[Math.min(reconnectAttempt++, RECONNECT_DELAYS.length - 1)];
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+      }, delay);
+    });
+  }
+
+  return {
+    start() {
+      if (running) return;
+      running = true;
+      store.getState().setWsStatus('connecting');
+      connect();
+      pollCandles();
+      pollTimer = setInterval(pollCandles, CANDLE_POLL_INTERVAL_MS);
+      unsubscribeStore = store.subscribe((state, prev) => {
+        if (state.scannerPairs !== prev.scannerPairs || state.scannerEnabled !== prev.scannerEnabled
+          || state.activePair !== prev.activePair || state.positions.length !== prev.positions.length) {
+          syncSubscriptions();
+        }
+      });
+    },
+
+    stop() {
+      if (!running) return;
+      running = false;
+      clearInterval(pollTimer);
+      clearTimeout(reconnectTimer);
+      clearTimeout(tickerTimer);
+      clearTimeout(l2Timer);
+      tickerTimer = null;
+      l2Timer = null;
+      unsubscribeStore?.();
+      if (ws) ws.close();
+      store.getState().setWsStatus('disconnected');
+    },
+
+    isRunning: () => running,
+
+    close() {
+      this.stop();
+      return indicators.close();
+    },
+  };
+}
@@ -0,0 +1,211 @@
+// ============================================================================
+// Cerebro Crypto - Engine Order Bridge
+// ============================================================================
+// Turns the server engine's entries and exits into market orders and keeps
+// the engine store's positions in step with their fills. Orders go through
+// the proxy's own routing, so paper mode is matched by the paper engine and
+// live mode is signed and sent to Coinbase — the same paths the browser's
+// orders take. Short entries (HYDRA with shorts allowed) sell to open and
+// buy to close.
+// ============================================================================
+
+import { entryConfiguration, toDecimalString } from '../../src/utils/orderConfig.js';
+import { RISK_DEFAULTS } from '../../src/config/constants.js';
+import { checkShortLimits } from '../../src/utils/riskManager.js';
+
+const DONE_STATUSES = ['FILLED', 'CANCELLED', 'EXPIRED', 'FAILED'];
+const FILL_POLLS = 10;
+const FILL_POLL_MS = 500;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const newId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * @param {Object} opts
+ * @param {Object}   opts.store   - engine store
+ * @param {Function} opts.request - (method, subPath, { query, body, mode }) => Promise<{ status, body }>
+ * @param {Function} [opts.onTrade] - (trade) => void, for every exit fill
+ */
+export function createOrderBridge({ store, request, onTrade = () => {} }) {
+  // Positions with an exit order in flight
+  const closing = new Set();
+
+  /** Place a market order and wait for its fill. */
+  async function marketOrder({ pair, side, baseSize, mode }) {
+    const { status, body } = await request('POST', 'orders', {
+      mode,
+      body: {
+        client_order_id: newId('cerebro-engine'),
+        product_id: pair,
+        side,
+        order_configuration: entryConfiguration({ orderType: 'market', baseSize }),
+      },
+    });
+    if (status !== 200 || !body?.success) {
+      throw new Error(body?.error_response?.message || body?.failure_reason || body?.message || `HTTP ${status}`);
+    }
+
+    const orderId = body.order_id || body.success_response?.order_id;
+    for (let i = 0; i < FILL_POLLS; i++) {
+      const res = await request('GET', `orders/historical/${orderId}`, { mode });
+      const order = res.body?.order;
+      if (res.status === 200 && order && DONE_STATUSES.includes(order.status)) {
+        const filled = parseFloat(order.filled_size) || 0;
+        if (filled <= 0) throw new Error(`Order ${order.status.toLowerCase()} without a fill`);
+        const price = parseFloat(order.average_filled_price);
+        return {
+          orderId,
+          filled,
+          price,
+          value: parseFloat(order.filled_value) || filled * price,
+          fees: parseFloat(order.total_fees) || 0,
+        };
+      }
+      await sleep(FILL_POLL_MS);
+    }
+    throw new Error(`Order ${orderId} did not complete`);
+  }
+
+  /**
+   * Engine entry — same contract as useOrders.submitOrder.
+   * @returns {Promise<{ success: boolean, orderId?: string, errors?: string[] }>}
+   */
+  async function submitOrder(orderData) {
+    const state = store.getState();
+    const open = state.positions.filter((p) => p.status !== 'closed');
+    const maxPositions = state.maxConcurrentPositions || state.riskSettings?.maxPositions || 3;
+    if (open.length >= maxPositions) {
+      return { success: false, errors: [`Maximum positions (${maxPositions}) reached`] };
+    }
+
+    const mode = state.tradingMode;
+    const isShort = orderData.side === 'SELL';
+    if (isShort) {
+      const errors = checkShortLimits({ notionalValue: orderData.notionalValue }, state);
+      if (errors.length > 0) return { success: false, errors };
+    }
+
+    const price = state.tickers[orderData.pair]?.price;
+    const baseSize = orderData.baseSize || (price ? orderData.quoteSize / price : 0);
+    if (!(baseSize > 0)) return { success: false, errors: ['No size for order'] };
+
+    let fill;
+    try {
+      fill = await marketOrder({
+        pair: orderData.pair,
+        side: isShort ? 'SELL' : 'BUY',
+        baseSize: toDecimalString(baseSize),
+        mode,
+      });
+    } catch (err) {
+      return { success: false, errors: [err.message] };
+    }
+
+    // SL / TP defaults as for paper orders in useOrders (mirrored for shorts)
+    const riskSettings = store.getState().riskSettings || RISK_DEFAULTS;
+    const riskPerUnit = fill.price * (riskSettings.stopLossPct / 100);
+    const sign = isShort ? -1 : 1;
+    const position = {
+      id: `engine-${fill.orderId}`,
+      orderId: fill.orderId,
+      pair: orderData.pair,
+      direction: isShort ? 'short' : 'long',
+      entryPrice: fill.price,
+      qty: fill.filled,
+      notionalValue: fill.value,
+      fees: fill.fees,
+      stopLoss: orderData.stopLoss || fill.price - sign * riskPerUnit,
+      tp1Price: orderData.tp1 || fill.price + sign * riskPerUnit * riskSettings.tp1R,
+      tp2Price: orderData.tp2 || fill.price + sign * riskPerUnit * riskSettings.tp2R,
+      tp1Hit: false,
+      trailingActive: false,
+      trailingStop: null,
+      trailingStopDistance: orderData.trailDistance || riskPerUnit,
+      strategy: orderData.strategy,
+      mode: orderData.viperMode || mode,
+      viperMode: orderData.viperMode,
+      maxHoldMs: orderData.maxHoldMs,
+      hydraScore: orderData.hydraScore,
+      sessionHour: orderData.sessionHour,
+      tradingMode: mode,
+      entryTime: Date.now(),
+      entryTimestamp: Date.now(),
+      status: 'open',
+    };
+
+    const s = store.getState();
+    if (mode === 'paper') {
+      // A short is credited its sale proceeds, as in useOrders
+      const cost = isShort ? -fill.value + fill.fees : fill.value + fill.fees;
+      s.updatePaperPortfolio({ balance: s.paperPortfolio.balance - cost });
+    }
+    s.addPosition(position);
+    console.log(`[engine] ${position.strategy} ${isShort ? 'SELL' : 'BUY'} ${fill.filled} ${position.pair} @ ${fill.price} (${mode})`);
+    return { success: true, orderId: fill.orderId };
+  }
+
+  /**
+   * Close some or all of a position at market (sell a long, buy back a short).
+   * @param {Object} position
+   * @param {string} reason
+   * @param {Object} [opts]
+   * @param {number} [opts.qty=position.qty]
+   * @param {Object} [opts.updates] - applied to what remains after a partial exit
+   */
+  async function closePosition(position, reason, { qty = position.qty, updates = null } = {}) {
+    if (closing.has(position.id)) return;
+    closing.add(position.id);
+    try {
+      const mode = position.tradingMode || store.getState().tradingMode;
+      const isShort = position.direction === 'short';
+      const side = isShort ? 'BUY' : 'SELL';
+      const fill = await marketOrder({ pair: position.pair, side, baseSize: toDecimalString(qty), mode });
+
+      const entryValue = position.entryPrice * fill.filled;
+      const entryFees = (position.fees || 0) * (fill.filled / position.qty);
+      // Long: sale proceeds less what was paid. Short: what was sold for less the buy-back.
+      const realizedPnL = isShort
+        ? entryValue - entryFees - (fill.value + fill.fees)
+        : (fill.value - fill.fees) - (entryValue + entryFees);
+      const remaining = position.qty - fill.filled;
+
+      const s = store.getState();
+      if (mode === 'paper') {
+        const cashFlow = isShort ? -(fill.value + fill.fees) : fill.value - fill.fees;
+        s.updatePaperPortfolio({ balance: s.paperPortfolio.balance + cashFlow });
+      }
+      if (remaining > 1e-9) {
+        s.updatePosition(position.id, {
+          ...(updates || {}),
+          qty: remaining,
+          fees: (position.fees || 0) * (remaining / position.qty),
+        });
+      } else {
+        s.removePosition(position.id);
+      }
+
+      onTrade({
+        id: `trade-${fill.orderId}`,
+        positionId: position.id,
+        pair: position.pair,
+        direction: position.direction,
+        strategy: position.strategy,
+        mode: position.viperMode || null,
+        tradingMode: mode,
+        entryPrice: position.entryPrice,
+        exitPrice: fill.price,
+        qty: fill.filled,
+        fees: fill.fees,
+        realizedPnL: parseFloat(realizedPnL.toFixed(2)),
+        reason,
+        entryTime: position.entryTime,
+        exitTime: Date.now(),
+      });
+      console.log(`[engine] ${side} ${fill.filled} ${position.pair} @ ${fill.price} — ${reason}`);
+    } finally {
+      closing.delete(position.id);
+    }
+  }
+
+  return { submitOrder, closePosition, isClosing: (id) => closing.has(id) };
+}
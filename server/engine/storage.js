@@ -0,0 +1,59 @@
+// ============================================================================
+// Cerebro Crypto - Engine Storage
+// ============================================================================
+// A file-backed stand-in for the browser's localStorage. The store and the
+// strategy modules persist settings, the calibrated HYDRA threshold, session
+// profiles and the VIPER ledger through localStorage; installing this on
+// globalThis before they load gives the server engine the same persistence,
+// in one JSON file. Writes are debounced.
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+const WRITE_DELAY_MS = 500;
+
+/**
+ * @param {string} file - JSON file holding every key
+ * @returns {Storage & { flush: Function }}
+ */
+export function createFileStorage(file) {
+  let items = {};
+  try {
+    items = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[engine] Ignoring unreadable ${file}: ${err.message}`);
+  }
+
+  let writeTimer = null;
+  function flush() {
+    if (writeTimer) clearTimeout(writeTimer);
+    writeTimer = null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(items));
+  }
+  function scheduleWrite() {
+    if (!writeTimer) writeTimer = setTimeout(flush, WRITE_DELAY_MS);
+  }
+
+  return {
+    get length() {
+      return Object.keys(items).length;
+    },
+    key: (i) => Object.keys(items)[i] ?? null,
+    getItem: (key) => (Object.hasOwn(items, key) ? items[key] : null),
+    setItem(key, value) {
+      items[key] = String(value);
+      scheduleWrite();
+    },
+    removeItem(key) {
+      delete items[key];
+      scheduleWrite();
+    },
+    clear() {
+      items = {};
+      scheduleWrite();
+    },
+    flush,
+  };
+}
@@ -0,0 +1,358 @@
+// ============================================================================
+// Cerebro Crypto - Candle History
+// ============================================================================
+// Keeps a local OHLCV store (./store.js) so history is downloaded once, not
+// per browser session, and serves any timeframe from it.
+//
+// GET /api/history              - tracked pairs and the series on disk
+// GET /api/history/:pair        - ?tf=FOUR_HOUR|3m|2h|4h|1W|...&from=&to=
+//                                 (epoch ms or ISO dates; default the last
+//                                 300 bars) -> { pair, timeframe, granularity, candles }
+//
+// A timeframe is built from the largest Coinbase granularity that divides
+// it (3m from 1m, 4h from 2h, 1W from 1D) and aggregated with the same
+// buckets as the indicator worker (src/utils/candleSeries.js). Ranges not
+// yet in the store are back-filled from REST first, 300 bars a request.
+//
+// Tracked pairs also get their 1m series kept current: the `candles`
+// WebSocket channel updates the forming bar, and a REST back-fill every
+// minute settles closed bars (over the last HISTORY_BACKFILL_DAYS on start).
+// A pair requested through the API is tracked from then on.
+//
+// Optional .env: HISTORY_DIR (default server/data/history, or history-sim
+// under the sim exchange), HISTORY_PAIRS (comma-separated, default
+// BTC-USD,ETH-USD,SOL-USD; empty to track none up front),
+// HISTORY_BACKFILL_DAYS (default 1).
+// ============================================================================
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+import { createCandleStore } from './store.js';
+import { timeframeMs, bucketStart, aggregateCandles, missingRanges } from '../../src/utils/candleSeries.js';
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+const DEFAULT_PAIRS = 'BTC-USD,ETH-USD,SOL-USD';
+
+const PAIR_RE = /^[A-Z0-9]+-[A-Z0-9]+$/;
+const MINUTE_MS = 60000;
+const DEFAULT_BARS = 300;
+const MAX_BARS = 5000;
+
+// Coinbase granularities, largest first
+const GRANULARITIES = [
+  'ONE_DAY', 'SIX_HOUR', 'TWO_HOUR', 'ONE_HOUR',
+  'THIRTY_MINUTE', 'FIFTEEN_MINUTE', 'FIVE_MINUTE', 'ONE_MINUTE',
+];
+const PAGE_BARS = 300;
+const MAX_PAGES = 120;
+const REQUEST_SPACING_MS = 250;
+const RETRY_DELAYS_MS = [1000, 2000, 4000];
+
+const BACKFILL_INTERVAL_MS = 60000;
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Largest Coinbase granularity whose bars tile `intervalMs` exactly. */
+export function baseGranularity(intervalMs) {
+  return GRANULARITIES.find((g) => intervalMs % timeframeMs(g) === 0) || null;
+}
+
+/** Epoch ms from a query value: ms, seconds or an ISO date. */
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  const ms = Date.parse(value);
+  return Number.isFinite(ms) ? ms : NaN;
+}
+
+/**
+ * Validate a history query.
+ * @returns {{ query: Object|null, error: string|null }}
+ */
+function parseQuery(pair, { tf = 'ONE_HOUR', from, to } = {}) {
+  if (!PAIR_RE.test(pair)) return { query: null, error: 'Need a pair like "BTC-USD".' };
+
+  const intervalMs = timeframeMs(tf);
+  if (!intervalMs || intervalMs % MINUTE_MS !== 0) {
+    return { query: null, error: `Unknown timeframe "${tf}" — use a TIMEFRAMES name or e.g. 3m, 2h, 4h, 1W.` };
+  }
+
+  const end = parseTime(to) ?? Date.now();
+  const start = parseTime(from) ?? end - DEFAULT_BARS * intervalMs;
+  if (Number.isNaN(start) || Number.isNaN(end) || start > end) {
+    return { query: null, error: '"from" and "to" must be epoch ms or ISO dates, with from <= to.' };
+  }
+  if ((end - start) / intervalMs > MAX_BARS) {
+    return { query: null, error: `At most ${MAX_BARS} ${tf} bars per request.` };
+  }
+  return { query: { pair, tf, intervalMs, from: start, to: Math.min(end, Date.now()) }, error: null };
+}
+
+/**
+ * @param {Object} opts
+ * @param {Function} opts.request  - (method, subPath, { query }) => Promise<{ status, body }>,
+ *                                   the proxy's Coinbase / sim routing
+ * @param {string}   opts.dir
+ * @param {string}   opts.wsUrl    - market data feed (Coinbase, or the sim feed)
+ * @param {Function} [opts.getAuth] - (channel, productIds) => auth fields
+ * @param {string[]} [opts.pairs]  - pairs to track from the start
+ * @param {number}   [opts.backfillDays=1]
+ */
+export function createHistoryService({ request, dir, wsUrl, getAuth = () => ({}), pairs = [], backfillDays = 1 }) {
+  const store = createCandleStore({ dir });
+  const tracked = new Set(pairs);
+  let nextSlot = 0;
+
+  let running = false;
+  let ws = null;
+  let subscribed = [];
+  let reconnectAttempt = 0;
+  let reconnectTimer = null;
+  let backfillTimer = null;
+
+  // =========================================================================
+  //  REST back-fill
+  // =========================================================================
+
+  async function paced() {
+    const now = Date.now();
+    const at = Math.max(now, nextSlot);
+    nextSlot = at + REQUEST_SPACING_MS;
+    if (at > now) await sleep(at - now);
+  }
+
+  /** One page of bars, retried with backoff on 429 and 5xx. */
+  async function requestPage(pair, granularity, from, to) {
+    for (let attempt = 0; ; attempt++) {
+      await paced();
+      const { status, body } = await request('GET', `products/${pair}/candles`, {
+        query: {
+          granularity,
+          start: Math.floor(from / 1000).toString(),
+          end: Math.floor(to / 1000).toString(),
+        },
+      });
+      if (status === 200) {
+        return (body.candles || []).map((c) => ({
+          timestamp: parseInt(c.start, 10) * 1000,
+          open: parseFloat(c.open),
+          high: parseFloat(c.high),
+          low: parseFloat(c.low),
+          close: parseFloat(c.close),
+          volume: parseFloat(c.volume),
+        }));
+      }
+      if ((status !== 429 && status < 500) || attempt >= RETRY_DELAYS_MS.length) {
+        throw new Error(body?.message || body?.error || `HTTP ${status}`);
+      }
+      nextSlot = Math.max(nextSlot, Date.now() + RETRY_DELAYS_MS[attempt]);
+    }
+  }
+
+  /**
+   * Download whatever of [from, to] the store doesn't have. The still-forming
+   * bar is stored but not marked downloaded, so it is fetched again next time.
+   */
+  async function backfill(pair, granularity, from, to, { maxPages = MAX_PAGES } = {}) {
+    const stepMs = timeframeMs(granularity);
+    const now = Date.now();
+    const lastClosed = Math.floor(now / stepMs) * stepMs - stepMs;
+    const start = Math.floor(from / stepMs) * stepMs;
+    const end = Math.floor(Math.min(to, now) / stepMs) * stepMs;
+
+    const pages = [];
+    for (const gap of missingRanges(start, end, store.coverage(pair, granularity), stepMs)) {
+      for (let p = gap.from; p <= gap.to; p += stepMs * PAGE_BARS) {
+        pages.push({ from: p, to: Math.min(p + stepMs * (PAGE_BARS - 1), gap.to) });
+      }
+    }
+    if (pages.length > maxPages) {
+      throw new Error(`Back-fill needs ${pages.length} requests (max ${maxPages}) — shorten the range`);
+    }
+
+    for (const page of pages) {
+      // End on the last second of the page's final bar
+      store.upsert(pair, granularity, await requestPage(pair, granularity, page.from, page.to + stepMs - 1000));
+      if (page.from <= lastClosed) store.markCovered(pair, granularity, page.from, Math.min(page.to, lastClosed));
+    }
+  }
+
+  /** Bars of any timeframe for [from, to], back-filling the base series first. */
+  async function load({ pair, tf, intervalMs, from, to }) {
+    const granularity = baseGranularity(intervalMs);
+    // Whole buckets: start at the bucket holding `from`
+    const first = bucketStart(from, intervalMs);
+    await backfill(pair, granularity, first, to);
+    const base = store.read(pair, granularity, first, to);
+    const candles = timeframeMs(granularity) === intervalMs ? base : aggregateCandles(base, intervalMs);
+    return { pair, timeframe: tf, granularity, candles };
+  }
+
+  async function backfillTracked() {
+    const now = Date.now();
+    for (const pair of tracked) {
+      if (!running) return;
+      try {
+        // Unbounded: a long HISTORY_BACKFILL_DAYS just takes longer on start
+        await backfill(pair, 'ONE_MINUTE', now - backfillDays * 86400000, now, { maxPages: Infinity });
+      } catch (err) {
+        console.warn(`[history] Back-fill for ${pair} failed: ${err.message}`);
+      }
+    }
+  }
+
+  // =========================================================================
+  //  Live 1m bars from the `candles` channel
+  // =========================================================================
+
+  function send(type, channel, productIds) {
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    if (productIds.length === 0 && channel !== 'heartbeats') return;
+    let auth = {};
+    try {
+      auth = getAuth(channel, productIds) || {};
+    } catch (err) {
+      console.warn(`[history] Feed auth failed: ${err.message}`);
+    }
+    ws.send(JSON.stringify({ type, channel, product_ids: productIds, ...auth }));
+  }
+
+  function syncSubscriptions() {
+    const added = [...tracked].filter((p) => !subscribed.includes(p));
+    send('subscribe', 'candles', added);
+    if (ws?.readyState === WebSocket.OPEN) subscribed = [...tracked];
+  }
+
+  /**
+   * Only a bar in the current minute is taken: Coinbase's channel sends
+   * 5-minute buckets, which match the 1m bar during their first minute,
+   * while the sim feed sends 1m bars. REST back-fill settles the rest.
+   */
+  function onCandles(msg) {
+    const minute = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+    for (const event of msg.events || []) {
+      for (const c of event.candles || []) {
+        const timestamp = parseInt(c.start, 10) * 1000;
+        if (timestamp !== minute || !tracked.has(c.product_id)) continue;
+        store.upsert(c.product_id, 'ONE_MINUTE', [{
+          timestamp,
+          open: parseFloat(c.open),
+          high: parseFloat(c.high),
+          low: parseFloat(c.low),
+          close: parseFloat(c.close),
+          volume: parseFloat(c.volume),
+        }]);
+      }
+    }
+  }
+
+  function connect() {
+    if (ws || !running || tracked.size === 0) return;
+    ws = new WebSocket(wsUrl);
+    ws.on('open', () => {
+      reconnectAttempt = 0;
+      subscribed = [];
+      send('subscribe', 'heartbeats', []);
+      syncSubscriptions();
+      console.log(`[history] Candle feed connected (${subscribed.length} pair(s))`);
+    });
+    ws.on('message', (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
+      if (msg.channel === 'candles') onCandles(msg);
+    });
+    ws.on('error', (err) => console.warn(`[history] Candle feed error: ${err.message}`));
+    ws.on('close', () => {
+      ws = null;
+      if (!running) return;
+      const delay = RECONNECT_DELAYS[Math.min(reconnectAttempt++, RECONNECT_DELAYS.length - 1)];
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+      }, delay);
+    });
+  }
+
+  function track(pair) {
+    if (tracked.has(pair)) return;
+    tracked.add(pair);
+    if (ws) syncSubscriptions();
+    else connect();
+  }
+
+  return {
+    load,
+    track,
+    store,
+    tracked: () => [...tracked],
+
+    start() {
+      if (running) return;
+      running = true;
+      connect();
+      backfillTracked();
+      backfillTimer = setInterval(backfillTracked, BACKFILL_INTERVAL_MS);
+    },
+
+    stop() {
+      running = false;
+      clearInterval(backfillTimer);
+      clearTimeout(reconnectTimer);
+      if (ws) ws.close();
+      store.flush();
+    },
+  };
+}
+
+/**
+ * @param {import('express').Express} app
+ * @param {Object} opts
+ * @param {Function} opts.request  - the proxy's Coinbase / sim routing
+ * @param {string}   opts.wsUrl    - market data feed (Coinbase, or the sim feed)
+ * @param {Function} [opts.getAuth] - (channel, productIds) => auth fields
+ * @param {boolean}  [opts.sim=false] - serving the sim exchange (kept apart from real history)
+ * @returns {{ start: Function, stop: Function }}
+ */
+export function registerHistoryRoutes(app, { request, wsUrl, getAuth, sim = false }) {
+  const pairs = (process.env.HISTORY_PAIRS ?? DEFAULT_PAIRS)
+    .split(',').map((p) => p.trim()).filter((p) => PAIR_RE.test(p));
+  const history = createHistoryService({
+    request,
+    dir: process.env.HISTORY_DIR || path.join(DATA_DIR, sim ? 'history-sim' : 'history'),
+    wsUrl,
+    getAuth,
+    pairs,
+    backfillDays: parseFloat(process.env.HISTORY_BACKFILL_DAYS) || 1,
+  });
+
+  app.get('/api/history', (_req, res) => {
+    res.json({ pairs: history.tracked(), series: history.store.series() });
+  });
+
+  app.get('/api/history/:pair', async (req, res) => {
+    const { query, error } = parseQuery(req.params.pair, req.query);
+    if (error) return res.status(400).json({ error });
+    try {
+      const result = await history.load(query);
+      history.track(query.pair);
+      res.json(result);
+    } catch (err) {
+      console.warn(`[history] ${query.pair} ${query.tf}: ${err.message}`);
+      res.status(502).json({ error: err.message });
+    }
+  });
+
+  // Write back buffered bars on shutdown
+  const shutdown = () => history.stop();
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  return history;
+}
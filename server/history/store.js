@@ -0,0 +1,168 @@
+// ============================================================================
+// Cerebro Crypto - Candle Store
+// ============================================================================
+// On-disk OHLCV history, one series per pair and Coinbase granularity, in
+// JSON segments of 1440 bars (a day of 1m bars, 60 days of 1h):
+//
+//   <dir>/<PAIR>/<GRANULARITY>/<segment start, YYYY-MM-DD>.json
+//       [[timestamp, open, high, low, close, volume], ...]   ascending
+//   <dir>/<PAIR>/<GRANULARITY>/coverage.json
+//       [{ from, to }, ...]   bar starts downloaded from REST, inclusive
+//
+// A bar written again replaces the one at its timestamp. Segments are held
+// in memory while in use (least recently used evicted) and written back,
+// through a temp file and rename, at most every 2 seconds.
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { timeframeMs, mergeRanges } from '../../src/utils/candleSeries.js';
+
+const SEGMENT_BARS = 1440;
+const WRITE_DELAY_MS = 2000;
+const MAX_LOADED_SEGMENTS = 64;
+
+const toRow = (c) => [c.timestamp, c.open, c.high, c.low, c.close, c.volume];
+const fromRow = ([timestamp, open, high, low, close, volume]) => ({ timestamp, open, high, low, close, volume });
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[history] Ignoring unreadable ${file}: ${err.message}`);
+    return fallback;
+  }
+}
+
+function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * @param {Object} opts
+ * @param {string} opts.dir - root of the store
+ */
+export function createCandleStore({ dir }) {
+  /** @type {Map<string, { file: string, bars: Map<number, Array>, dirty: boolean }>} */
+  const segments = new Map();
+  /** @type {Map<string, { file: string, ranges: Object[], dirty: boolean }>} */
+  const coverages = new Map();
+  let writeTimer = null;
+
+  const seriesDir = (pair, granularity) => path.join(dir, pair, granularity);
+  const segmentSpan = (granularity) => timeframeMs(granularity) * SEGMENT_BARS;
+  const segmentStart = (timestamp, span) => Math.floor(timestamp / span) * span;
+
+  function segmentFile(pair, granularity, start) {
+    return path.join(seriesDir(pair, granularity), `${new Date(start).toISOString().slice(0, 10)}.json`);
+  }
+
+  /** A segment, loaded from disk on first use; most recently used last. */
+  function segment(pair, granularity, start) {
+    const key = `${pair}/${granularity}/${start}`;
+    let seg = segments.get(key);
+    if (seg) {
+      segments.delete(key);
+    } else {
+      const file = segmentFile(pair, granularity, start);
+      seg = { file, bars: new Map(readJson(file, []).map((row) => [row[0], row])), dirty: false };
+    }
+    segments.set(key, seg);
+    evict();
+    return seg;
+  }
+
+  function evict() {
+    for (const [key, seg] of segments) {
+      if (segments.size <= MAX_LOADED_SEGMENTS) break;
+      if (seg.dirty) continue;
+      segments.delete(key);
+    }
+  }
+
+  function coverage(pair, granularity) {
+    const key = `${pair}/${granularity}`;
+    let cov = coverages.get(key);
+    if (!cov) {
+      const file = path.join(seriesDir(pair, granularity), 'coverage.json');
+      cov = { file, ranges: readJson(file, []), dirty: false };
+      coverages.set(key, cov);
+    }
+    return cov;
+  }
+
+  function flush() {
+    if (writeTimer) clearTimeout(writeTimer);
+    writeTimer = null;
+    for (const seg of segments.values()) {
+      if (!seg.dirty) continue;
+      writeJson(seg.file, [...seg.bars.values()].sort((a, b) => a[0] - b[0]));
+      seg.dirty = false;
+    }
+    for (const cov of coverages.values()) {
+      if (!cov.dirty) continue;
+      writeJson(cov.file, cov.ranges);
+      cov.dirty = false;
+    }
+    evict();
+  }
+
+  function scheduleWrite() {
+    if (!writeTimer) writeTimer = setTimeout(flush, WRITE_DELAY_MS);
+  }
+
+  return {
+    /** Write bars, replacing any at the same timestamps. */
+    upsert(pair, granularity, candles) {
+      const span = segmentSpan(granularity);
+      for (const c of candles) {
+        const seg = segment(pair, granularity, segmentStart(c.timestamp, span));
+        seg.bars.set(c.timestamp, toRow(c));
+        seg.dirty = true;
+      }
+      if (candles.length > 0) scheduleWrite();
+    },
+
+    /** Bars with from <= timestamp <= to, ascending. */
+    read(pair, granularity, from, to) {
+      const span = segmentSpan(granularity);
+      const out = [];
+      for (let start = segmentStart(from, span); start <= to; start += span) {
+        for (const row of segment(pair, granularity, start).bars.values()) {
+          if (row[0] >= from && row[0] <= to) out.push(fromRow(row));
+        }
+      }
+      return out.sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    /** Ranges of bar starts downloaded from REST. */
+    coverage: (pair, granularity) => coverage(pair, granularity).ranges,
+
+    /** Record [from, to] as downloaded. */
+    markCovered(pair, granularity, from, to) {
+      const cov = coverage(pair, granularity);
+      cov.ranges = mergeRanges([...cov.ranges, { from, to }], timeframeMs(granularity));
+      cov.dirty = true;
+      scheduleWrite();
+    },
+
+    /** Every series on disk with its downloaded ranges. */
+    series() {
+      const list = [];
+      for (const pair of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+        const pairDir = path.join(dir, pair);
+        if (!fs.statSync(pairDir).isDirectory()) continue;
+        for (const granularity of fs.readdirSync(pairDir)) {
+          if (!timeframeMs(granularity)) continue;
+          list.push({ pair, granularity, coverage: coverage(pair, granularity).ranges });
+        }
+      }
+      return list;
+    },
+
+    flush,
+  };
+}
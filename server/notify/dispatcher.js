@@ -0,0 +1,175 @@
+// ============================================================================
+// Cerebro Crypto - Notification Dispatcher
+// ============================================================================
+// Fans an event out to every matching webhook target and delivers it in the
+// background with retry/backoff:
+//   - 2xx                    -> delivered
+//   - 408 / 429 / 5xx / network error / timeout -> retried with exponential
+//     backoff (baseDelayMs * 2^n, jittered, capped at maxDelayMs; a 429's
+//     Retry-After header wins when present)
+//   - any other 4xx          -> failed immediately (retrying won't help)
+//
+// Every attempt updates a delivery record kept in an in-memory ring buffer
+// (newest first) so the UI can show what was sent and what went wrong.
+// ============================================================================
+
+import { formatPayload } from './formats.js';
+
+const DEFAULTS = {
+  maxAttempts: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  timeoutMs: 10000,
+  logLimit: 200,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isRetryable = (status) => status === 408 || status === 429 || status >= 500;
+
+/** Parse a Retry-After header (seconds or HTTP date) into milliseconds. */
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create a dispatcher.
+ *
+ * @param {Object} opts
+ * @param {{ forEvent: Function }} opts.targets - target store (see targets.js)
+ * @param {Function} [opts.fetchImpl=fetch]
+ * @param {Function} [opts.sleepImpl]          - injectable for tests
+ * @param {number}   [opts.maxAttempts]
+ * @param {number}   [opts.baseDelayMs]
+ * @param {number}   [opts.maxDelayMs]
+ * @param {number}   [opts.timeoutMs]          - per-attempt request timeout
+ * @param {number}   [opts.logLimit]
+ */
+export function createDispatcher({ targets, fetchImpl = fetch, sleepImpl = sleep, ...opts }) {
+  const config = { ...DEFAULTS };
+  for (const [key, value] of Object.entries(opts)) {
+    if (value != null) config[key] = value;
+  }
+  let log = [];
+  let seq = 0;
+
+  const record = (delivery) => {
+    log = [delivery, ...log].slice(0, config.logLimit);
+    return delivery;
+  };
+
+  const backoff = (attempt) => {
+    const exp = config.baseDelayMs * 2 ** (attempt - 1);
+    const jitter = exp * 0.2 * Math.random();
+    return Math.min(config.maxDelayMs, exp + jitter);
+  };
+
+  /** One HTTP attempt; resolves to { ok, status, error, retryAfter }. */
+  async function attempt(target, body) {
+    try {
+      const response = await fetchImpl(target.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'cerebro-crypto-notify' },
+        body,
+        signal: AbortSignal.timeout(config.timeoutMs),
+      });
+      if (response.ok) return { ok: true, status: response.status };
+      const text = await response.text().catch(() => '');
+      return {
+        ok: false,
+        status: response.status,
+        error: `HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`,
+        retryAfter: response.status === 429 ? retryAfterMs(response.headers.get('retry-after')) : null,
+      };
+    } catch (err) {
+      const error = err.name === 'TimeoutError' ? `Timed out after ${config.timeoutMs}ms` : err.message;
+      return { ok: false, status: null, error };
+    }
+  }
+
+  async function deliver(delivery, target, event) {
+    const body = JSON.stringify(formatPayload(target.format, event));
+
+    while (delivery.attempts < config.maxAttempts) {
+      delivery.attempts += 1;
+      delivery.status = 'sending';
+      const result = await attempt(target, body);
+      delivery.lastStatus = result.status;
+      delivery.updatedAt = Date.now();
+
+      if (result.ok) {
+        delivery.status = 'delivered';
+        delivery.error = null;
+        delivery.deliveredAt = delivery.updatedAt;
+        return;
+      }
+
+      delivery.error = result.error;
+      const canRetry = (result.status == null || isRetryable(result.status))
+        && delivery.attempts < config.maxAttempts;
+      if (!canRetry) break;
+
+      const delay = result.retryAfter != null
+        ? Math.min(result.retryAfter, config.maxDelayMs)
+        : backoff(delivery.attempts);
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = Date.now() + delay;
+      await sleepImpl(delay);
+      delivery.nextAttemptAt = null;
+    }
+
+    delivery.status = 'failed';
+    console.warn(`[notify] ${target.name}: ${event.type} not delivered after ${delivery.attempts} attempt(s) - ${delivery.error}`);
+  }
+
+  /**
+   * Queue an event for every matching target (or just `only` when given).
+   * Deliveries run in the background; the returned records update in place.
+   *
+   * @param {Object} event
+   * @param {Object[]} [only] - explicit target list, e.g. for test sends
+   * @returns {Object[]} delivery records
+   */
+  function dispatch(event, only = null) {
+    const recipients = only || targets.forEvent(event.type);
+    return recipients.map((target) => {
+      const now = Date.now();
+      const delivery = record({
+        id: `dlv-${now}-${++seq}`,
+        eventId: event.id,
+        eventType: event.type,
+        title: event.title,
+        targetId: target.id,
+        targetName: target.name,
+        format: target.format,
+        status: 'pending',
+        attempts: 0,
+        lastStatus: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now,
+        deliveredAt: null,
+        nextAttemptAt: null,
+      });
+      deliver(delivery, target, event).catch((err) => {
+        delivery.status = 'failed';
+        delivery.error = err.message;
+      });
+      return delivery;
+    });
+  }
+
+  return {
+    dispatch,
+    /** Delivery log, newest first. */
+    getLog: ({ limit, targetId } = {}) => {
+      const rows = targetId ? log.filter((d) => d.targetId === targetId) : log;
+      return limit ? rows.slice(0, limit) : rows;
+    },
+    clearLog: () => { log = []; },
+  };
+}
@@ -0,0 +1,78 @@
+// ============================================================================
+// Cerebro Crypto - Notification Payload Formats
+// ============================================================================
+// Turns a notification event into the JSON body a webhook target expects:
+//   generic - { source, event }               (any HTTP receiver)
+//   slack   - { text, attachments }           (Slack incoming webhooks)
+//   discord - { username, embeds }            (Discord channel webhooks)
+//
+// Event shape (see ./index.js):
+//   { id, type, severity, title, message, pair, timestamp, data }
+// ============================================================================
+
+export const EVENT_TYPES = ['alert', 'fill', 'circuit_breaker', 'ratchet', 'viper_threat', 'test'];
+export const SEVERITIES = ['info', 'warning', 'critical'];
+
+const SOURCE = 'cerebro-crypto';
+const USERNAME = 'Cerebro Crypto';
+
+// Palette colours (see README) per severity
+const SEVERITY_COLORS = {
+  info: '#6c63ff',
+  warning: '#f0b429',
+  critical: '#ff4560',
+};
+
+/** Flatten an event's headline fields into name/value pairs. */
+function eventFields(event) {
+  const fields = [{ name: 'Type', value: event.type }];
+  if (event.pair) fields.push({ name: 'Pair', value: event.pair });
+  fields.push({ name: 'Severity', value: event.severity });
+  return fields;
+}
+
+function genericPayload(event) {
+  return { source: SOURCE, event };
+}
+
+function slackPayload(event) {
+  return {
+    text: `*${event.title}*\n${event.message}`,
+    attachments: [{
+      color: SEVERITY_COLORS[event.severity] || SEVERITY_COLORS.info,
+      fields: eventFields(event).map((f) => ({ title: f.name, value: f.value, short: true })),
+      footer: USERNAME,
+      ts: Math.floor(event.timestamp / 1000),
+    }],
+  };
+}
+
+function discordPayload(event) {
+  const color = SEVERITY_COLORS[event.severity] || SEVERITY_COLORS.info;
+  return {
+    username: USERNAME,
+    embeds: [{
+      title: event.title.slice(0, 256),
+      description: event.message.slice(0, 4096),
+      color: parseInt(color.slice(1), 16),
+      timestamp: new Date(event.timestamp).toISOString(),
+      fields: eventFields(event).map((f) => ({ ...f, inline: true })),
+    }],
+  };
+}
+
+export const FORMATTERS = {
+  generic: genericPayload,
+  slack: slackPayload,
+  discord: discordPayload,
+};
+
+/**
+ * Build the request body for a target's payload format.
+ * @param {'generic'|'slack'|'discord'} format
+ * @param {Object} event
+ */
+export function formatPayload(format, event) {
+  const formatter = FORMATTERS[format] || FORMATTERS.generic;
+  return formatter(event);
+}
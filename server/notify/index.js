@@ -0,0 +1,132 @@
+// ============================================================================
+// Cerebro Crypto - Notification Routes
+// ============================================================================
+// Outbound webhooks for alert triggers, fills, circuit-breaker pauses,
+// ratchet level changes and VIPER threat changes. The browser reports
+// events; the proxy owns the targets and does delivery, retries and logging
+// so a slow or failing receiver never blocks the UI.
+//
+// GET    /api/notify/targets           - configured targets
+// POST   /api/notify/targets           - add { name, url, format, events, enabled }
+// PUT    /api/notify/targets/:id       - update (partial)
+// DELETE /api/notify/targets/:id
+// POST   /api/notify/targets/:id/test  - send a test event to one target
+// POST   /api/notify/events            - { type, title, message, severity?, pair?, data? }
+//                                        -> 202 { event, deliveries }
+// GET    /api/notify/log?limit=&targetId= - delivery log, newest first
+// DELETE /api/notify/log
+//
+// Optional .env tuning: NOTIFY_TARGETS_FILE, NOTIFY_MAX_ATTEMPTS,
+// NOTIFY_RETRY_BASE_MS, NOTIFY_TIMEOUT_MS.
+// ============================================================================
+
+import crypto from 'node:crypto';
+import { EVENT_TYPES, SEVERITIES } from './formats.js';
+import { createTargetStore, parseTarget } from './targets.js';
+import { createDispatcher } from './dispatcher.js';
+
+const MAX_TEXT = 2000;
+
+const envInt = (name) => {
+  const v = parseInt(process.env[name], 10);
+  return Number.isFinite(v) && v > 0 ? v : undefined;
+};
+
+/**
+ * Validate and normalise an event reported by the browser.
+ * @returns {{ event: Object|null, error: string|null }}
+ */
+function parseEvent(body = {}) {
+  const { type, title, message, severity = 'info', pair, data, timestamp } = body;
+
+  if (!EVENT_TYPES.includes(type)) {
+    return { event: null, error: `Unknown event type "${type}". Use ${EVENT_TYPES.join(', ')}.` };
+  }
+  if (typeof title !== 'string' || !title.trim()) {
+    return { event: null, error: 'Need a "title".' };
+  }
+  if (!SEVERITIES.includes(severity)) {
+    return { event: null, error: `Severity must be one of ${SEVERITIES.join(', ')}.` };
+  }
+
+  return {
+    event: {
+      id: `ntf-${crypto.randomUUID().slice(0, 8)}`,
+      type,
+      severity,
+      title: title.slice(0, 200),
+      message: String(message ?? '').slice(0, MAX_TEXT),
+      pair: typeof pair === 'string' ? pair : null,
+      timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+      data: data && typeof data === 'object' ? data : null,
+    },
+    error: null,
+  };
+}
+
+/**
+ * Register the notification routes on an Express app.
+ */
+export function registerNotifyRoutes(app) {
+  const targets = createTargetStore();
+  const dispatcher = createDispatcher({
+    targets,
+    maxAttempts: envInt('NOTIFY_MAX_ATTEMPTS'),
+    baseDelayMs: envInt('NOTIFY_RETRY_BASE_MS'),
+    timeoutMs: envInt('NOTIFY_TIMEOUT_MS'),
+  });
+
+  console.log(`[notify] ${targets.list().length} webhook target(s) loaded`);
+
+  app.get('/api/notify/targets', (_req, res) => {
+    res.json({ targets: targets.list(), eventTypes: EVENT_TYPES });
+  });
+
+  app.post('/api/notify/targets', (req, res) => {
+    const { target, error } = parseTarget(req.body);
+    if (error) return res.status(400).json({ error });
+    res.status(201).json({ target: targets.add(target) });
+  });
+
+  app.put('/api/notify/targets/:id', (req, res) => {
+    const existing = targets.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Target not found.' });
+    const { target, error } = parseTarget(req.body, existing);
+    if (error) return res.status(400).json({ error });
+    res.json({ target: targets.update(target) });
+  });
+
+  app.delete('/api/notify/targets/:id', (req, res) => {
+    if (!targets.remove(req.params.id)) return res.status(404).json({ error: 'Target not found.' });
+    res.json({ ok: true });
+  });
+
+  app.post('/api/notify/targets/:id/test', (req, res) => {
+    const target = targets.get(req.params.id);
+    if (!target) return res.status(404).json({ error: 'Target not found.' });
+    const { event } = parseEvent({
+      type: 'test',
+      title: 'Cerebro Crypto test notification',
+      message: `Webhook "${target.name}" is reachable.`,
+    });
+    const [delivery] = dispatcher.dispatch(event, [target]);
+    res.status(202).json({ event, deliveries: [delivery] });
+  });
+
+  app.post('/api/notify/events', (req, res) => {
+    const { event, error } = parseEvent(req.body);
+    if (error) return res.status(400).json({ error });
+    const deliveries = dispatcher.dispatch(event);
+    res.status(202).json({ event, deliveries });
+  });
+
+  app.get('/api/notify/log', (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    res.json({ deliveries: dispatcher.getLog({ limit, targetId: req.query.targetId }) });
+  });
+
+  app.delete('/api/notify/log', (_req, res) => {
+    dispatcher.clearLog();
+    res.json({ ok: true });
+  });
+}
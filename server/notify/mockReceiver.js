@@ -0,0 +1,59 @@
+// ============================================================================
+// Cerebro Crypto - Mock Webhook Receiver
+// ============================================================================
+// Local stand-in for Slack / Discord / any HTTP receiver, for testing the
+// notification dispatcher without external services:
+//
+//   npm run notify:mock
+//   -> add a target with url http://localhost:4010/<any-path> in Settings
+//
+// POST /*          - records the JSON body and logs it
+// GET  /received   - everything received so far, newest first
+// DELETE /received - clear
+//
+// Environment variables:
+//   MOCK_WEBHOOK_PORT       - listen port (default 4010)
+//   MOCK_WEBHOOK_FAIL_FIRST - answer the first N posts per path with
+//                             MOCK_WEBHOOK_FAIL_STATUS to exercise retries
+//   MOCK_WEBHOOK_FAIL_STATUS - status for those failures (default 503)
+// ============================================================================
+
+import express from 'express';
+
+const PORT = parseInt(process.env.MOCK_WEBHOOK_PORT, 10) || 4010;
+const FAIL_FIRST = parseInt(process.env.MOCK_WEBHOOK_FAIL_FIRST, 10) || 0;
+const FAIL_STATUS = parseInt(process.env.MOCK_WEBHOOK_FAIL_STATUS, 10) || 503;
+const MAX_RECEIVED = 500;
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+
+let received = [];
+const hitsByPath = new Map();
+
+app.get('/received', (_req, res) => res.json({ received }));
+
+app.delete('/received', (_req, res) => {
+  received = [];
+  hitsByPath.clear();
+  res.json({ ok: true });
+});
+
+app.post('*', (req, res) => {
+  const hits = (hitsByPath.get(req.path) || 0) + 1;
+  hitsByPath.set(req.path, hits);
+
+  if (hits <= FAIL_FIRST) {
+    console.log(`[mock-webhook] ${req.path} #${hits} -> ${FAIL_STATUS} (simulated failure)`);
+    return res.status(FAIL_STATUS).json({ error: 'Simulated failure' });
+  }
+
+  received = [{ path: req.path, receivedAt: Date.now(), body: req.body }, ...received].slice(0, MAX_RECEIVED);
+  console.log(`[mock-webhook] ${req.path} #${hits}`, JSON.stringify(req.body));
+  res.json({ ok: true });
+});
+
+app.listen(PORT, () => {
+  console.log(`[mock-webhook] Listening on http://localhost:${PORT}`);
+  if (FAIL_FIRST) console.log(`[mock-webhook] Failing the first ${FAIL_FIRST} post(s) per path with ${FAIL_STATUS}`);
+});
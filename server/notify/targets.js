@@ -0,0 +1,113 @@
+// ============================================================================
+// Cerebro Crypto - Webhook Target Store
+// ============================================================================
+// Webhook targets live in a small JSON file next to the proxy so they survive
+// restarts (NOTIFY_TARGETS_FILE, default server/data/notify-targets.json).
+//
+// Target shape:
+//   { id, name, url, format: 'generic'|'slack'|'discord',
+//     events: string[] (empty = every event type), enabled, createdAt }
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { EVENT_TYPES, FORMATTERS } from './formats.js';
+
+const DEFAULT_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'notify-targets.json');
+
+/**
+ * Validate and normalise a target from an API request body.
+ * @param {Object} body
+ * @param {Object} [existing] - target being updated; unspecified fields are kept
+ * @returns {{ target: Object|null, error: string|null }}
+ */
+export function parseTarget(body = {}, existing = null) {
+  const merged = { ...existing, ...body };
+  const { name, url, format = 'generic', events = [], enabled = true } = merged;
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(String(url || ''));
+  } catch {
+    return { target: null, error: 'Need a valid webhook "url".' };
+  }
+  if (parsedUrl.protocol !== 'http:' && parsedUrl.protocol !== 'https:') {
+    return { target: null, error: 'Webhook url must be http(s).' };
+  }
+  if (!FORMATTERS[format]) {
+    return { target: null, error: `Unknown format "${format}". Use ${Object.keys(FORMATTERS).join(', ')}.` };
+  }
+  if (!Array.isArray(events) || events.some((e) => !EVENT_TYPES.includes(e))) {
+    return { target: null, error: `"events" must be an array of: ${EVENT_TYPES.join(', ')}.` };
+  }
+
+  return {
+    target: {
+      id: existing?.id || `wh-${crypto.randomUUID().slice(0, 8)}`,
+      name: String(name || parsedUrl.host).slice(0, 80),
+      url: parsedUrl.href,
+      format,
+      events: [...new Set(events)],
+      enabled: enabled !== false,
+      createdAt: existing?.createdAt || Date.now(),
+    },
+    error: null,
+  };
+}
+
+/**
+ * Create the target store backed by a JSON file.
+ * @param {string} [file]
+ */
+export function createTargetStore(file = process.env.NOTIFY_TARGETS_FILE || DEFAULT_FILE) {
+  let targets = [];
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Array.isArray(saved)) {
+      targets = saved.map((t) => parseTarget(t, t).target).filter(Boolean);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[notify] Could not read ${file}:`, err.message);
+  }
+
+  const persist = () => {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(targets, null, 2));
+    } catch (err) {
+      console.error(`[notify] Could not write ${file}:`, err.message);
+    }
+  };
+
+  return {
+    list: () => targets,
+    get: (id) => targets.find((t) => t.id === id) || null,
+
+    /** Targets that want an event of this type. */
+    forEvent: (type) => targets.filter((t) => (
+      t.enabled && (type === 'test' || t.events.length === 0 || t.events.includes(type))
+    )),
+
+    add(target) {
+      targets = [...targets, target];
+      persist();
+      return target;
+    },
+
+    update(target) {
+      targets = targets.map((t) => (t.id === target.id ? target : t));
+      persist();
+      return target;
+    },
+
+    remove(id) {
+      const before = targets.length;
+      targets = targets.filter((t) => t.id !== id);
+      if (targets.length !== before) persist();
+      return targets.length !== before;
+    },
+  };
+}
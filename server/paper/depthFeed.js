@@ -0,0 +1,161 @@
+// ============================================================================
+// Cerebro Crypto - Paper Depth Feed
+// ============================================================================
+// Records Coinbase L2 depth and trades server-side for the products that
+// have paper orders, so the paper engine can match against real liquidity.
+// Connects lazily on the first watched product, subscribes `level2` and
+// `market_trades` (plus `heartbeats` to keep the socket alive), and
+// reconnects with backoff while anything is still watched.
+// ============================================================================
+
+import WebSocket from 'ws';
+
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+const MAX_LEVELS = 50;
+
+/**
+ * @param {Object} opts
+ * @param {string}   opts.url                   - Coinbase WebSocket URL
+ * @param {Function} [opts.getAuth]             - (channel, productIds) => auth fields
+ * @param {Function} [opts.onTrades]            - (productId, trades) => void
+ * @param {Function} [opts.WebSocketImpl=WebSocket]
+ */
+export function createDepthFeed({ url, getAuth = () => ({}), onTrades = () => {}, WebSocketImpl = WebSocket }) {
+  const watched = new Set();
+  // productId -> { bids: Map<string, number>, asks: Map<string, number>, last: number|null }
+  const books = new Map();
+  let ws = null;
+  let reconnectAttempt = 0;
+  let reconnectTimer = null;
+
+  const bookOf = (id) => {
+    if (!books.has(id)) books.set(id, { bids: new Map(), asks: new Map(), last: null });
+    return books.get(id);
+  };
+
+  function send(type, channel, productIds) {
+    if (!ws || ws.readyState !== WebSocketImpl.OPEN) return;
+    let auth = {};
+    try {
+      auth = getAuth(channel, productIds) || {};
+    } catch (err) {
+      console.warn(`[paper] Depth feed auth failed: ${err.message}`);
+    }
+    ws.send(JSON.stringify({ type, channel, product_ids: productIds, ...auth }));
+  }
+
+  function subscribeAll() {
+    const ids = [...watched];
+    send('subscribe', 'heartbeats', []);
+    if (ids.length === 0) return;
+    send('subscribe', 'level2', ids);
+    send('subscribe', 'market_trades', ids);
+  }
+
+  function onMessage(raw) {
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch {
+      return;
+    }
+
+    if (msg.channel === 'l2_data') {
+      for (const event of msg.events || []) {
+        if (!watched.has(event.product_id)) continue;
+        const book = bookOf(event.product_id);
+        if (event.type === 'snapshot') {
+          book.bids.clear();
+          book.asks.clear();
+        }
+        for (const u of event.updates || []) {
+          const side = u.side === 'bid' ? book.bids : book.asks;
+          const qty = parseFloat(u.new_quantity);
+          if (qty > 0) side.set(u.price_level, qty);
+          else side.delete(u.price_level);
+        }
+      }
+    } else if (msg.channel === 'market_trades') {
+      const byProduct = new Map();
+      for (const event of msg.events || []) {
+        for (const t of event.trades || []) {
+          if (!watched.has(t.product_id)) continue;
+          if (!byProduct.has(t.product_id)) byProduct.set(t.product_id, []);
+          byProduct.get(t.product_id).push(t);
+        }
+      }
+      for (const [id, trades] of byProduct) {
+        // Newest first on the wire
+        bookOf(id).last = parseFloat(trades[0].price);
+        // Snapshots replay history; only live prints should fill orders
+        if (msg.events.some((e) => e.type === 'update')) onTrades(id, trades);
+      }
+    }
+  }
+
+  function connect() {
+    if (ws || watched.size === 0) return;
+    ws = new WebSocketImpl(url);
+    ws.on('open', () => {
+      reconnectAttempt = 0;
+      console.log(`[paper] Depth feed connected (${watched.size} product(s))`);
+      subscribeAll();
+    });
+    ws.on('message', (raw) => onMessage(raw.toString()));
+    ws.on('error', (err) => console.warn(`[paper] Depth feed error: ${err.message}`));
+    ws.on('close', () => {
+      ws = null;
+      if (watched.size === 0) return;
+      const delay = RECONNECT_DELAYS[Math.min(reconnectAttempt++, RECONNECT_DELAYS.length - 1)];
+      reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect();
+      }, delay);
+    });
+  }
+
+  return {
+    /** Start recording a product's depth and trades. */
+    watch(productId) {
+      if (watched.has(productId)) return;
+      watched.add(productId);
+      if (ws) {
+        send('subscribe', 'level2', [productId]);
+        send('subscribe', 'market_trades', [productId]);
+      } else if (!reconnectTimer) {
+        connect();
+      }
+    },
+
+    /** Stop recording a product; closes the socket when nothing is left. */
+    unwatch(productId) {
+      if (!watched.delete(productId)) return;
+      books.delete(productId);
+      send('unsubscribe', 'level2', [productId]);
+      send('unsubscribe', 'market_trades', [productId]);
+      if (watched.size === 0 && ws) ws.close();
+    },
+
+    watched: () => [...watched],
+
+    /** Recorded depth as [[price, qty], ...], best first. */
+    levels(productId, side) {
+      const book = books.get(productId);
+      if (!book) return [];
+      const map = side === 'bid' ? book.bids : book.asks;
+      return [...map.entries()]
+        .map(([p, q]) => [Number(p), q])
+        .sort((a, b) => (side === 'bid' ? b[0] - a[0] : a[0] - b[0]))
+        .slice(0, MAX_LEVELS);
+    },
+
+    /** Last recorded trade price. */
+    price: (productId) => books.get(productId)?.last ?? null,
+
+    close() {
+      watched.clear();
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      if (ws) ws.close();
+    },
+  };
+}
@@ -0,0 +1,504 @@
+// ============================================================================
+// Cerebro Crypto - Paper Matching Engine
+// ============================================================================
+// Paper orders are matched against real (or simulated) market data rather
+// than filled instantly:
+//   - market_market_ioc          walks the recorded L2 depth as taker; any
+//                                size the depth can't cover is cancelled
+//   - limit_limit_gtc            takes whatever crosses on arrival (post_only
+//                                orders that would cross are rejected), then
+//                                rests until the market trades through it
+//   - stop_limit_stop_limit_gtc  rests untriggered until a trade reaches the
+//                                stop price, then behaves as the limit order
+//   - trigger_bracket_gtc        an exit with two legs on one order (OCO): a
+//                                resting take-profit limit, and a stop trigger
+//                                that sells (buys) at market once reached
+//
+// Entries may carry an `attached_order_configuration` bracket. When the entry
+// is done (filled, or cancelled after a partial fill) the engine places the
+// bracket on the opposite side for the filled size, linked both ways by
+// attached_order_id / originating_order_id.
+//
+// Resting orders fill as maker, partially when the volume that prints
+// through their price is smaller than what is left. Fees come from FEE_TIERS,
+// either pinned or picked from trailing 30-day paper volume the way Coinbase
+// tiers work.
+//
+// Orders live in memory, like the proxy's trading mode. Every change is
+// reported to `onOrderUpdate` in `user` channel format.
+// ============================================================================
+
+import crypto from 'node:crypto';
+import { FEE_TIERS } from '../../src/config/constants.js';
+import { formatOrder, userChannelOrder, trimPrice } from './format.js';
+
+// Trailing 30-day USD volume at which each tier starts
+const VOLUME_TIERS = [
+  { from: 50000, tier: 'advanced' },
+  { from: 10000, tier: 'intermediate' },
+  { from: 0, tier: 'starter' },
+];
+const VOLUME_WINDOW_MS = 30 * 86400000;
+const MAX_ORDERS = 1000;
+const EPSILON = 1e-12;
+
+function reject(error, message, previewReason) {
+  return {
+    success: false,
+    failure_reason: 'UNKNOWN_FAILURE_REASON',
+    order_id: '',
+    error_response: {
+      error,
+      message,
+      error_details: message,
+      preview_failure_reason: previewReason || `PREVIEW_${error}`,
+    },
+  };
+}
+
+/**
+ * Create a paper matching engine.
+ *
+ * @param {Object} opts
+ * @param {Object}   opts.depth
+ * @param {Function} opts.depth.levels   - (productId, 'bid'|'offer') => [[price, qty], ...] best first
+ * @param {Function} opts.depth.price    - (productId) => last price or null
+ * @param {Function} [opts.depth.fmtPrice] - (productId) => (number) => string
+ * @param {string}   [opts.feeTier='auto'] - a FEE_TIERS key, or 'auto' for volume-based
+ * @param {number}   [opts.fallbackSlippage=0.0005] - used when no depth is recorded yet
+ * @param {Function} [opts.onOrderUpdate]  - (userChannelOrder) => void
+ * @param {Function} [opts.now=Date.now]
+ */
+export function createPaperEngine({
+  depth,
+  feeTier = 'auto',
+  fallbackSlippage = 0.0005,
+  onOrderUpdate = () => {},
+  now = Date.now,
+}) {
+  /** @type {Map<string, Object>} order_id -> order record (insertion = creation order) */
+  const orders = new Map();
+  let volumeLog = []; // [{ time, value }]
+
+  const fmtPriceOf = (productId) => depth.fmtPrice?.(productId) || trimPrice;
+  const emit = (o) => onOrderUpdate(userChannelOrder(o, fmtPriceOf(o.productId)));
+
+  // ---------------------------------------------------------------------------
+  // Fees
+  // ---------------------------------------------------------------------------
+
+  function trailingVolume() {
+    const cutoff = now() - VOLUME_WINDOW_MS;
+    volumeLog = volumeLog.filter((v) => v.time >= cutoff);
+    return volumeLog.reduce((sum, v) => sum + v.value, 0);
+  }
+
+  function currentTier() {
+    if (FEE_TIERS[feeTier]) return feeTier;
+    const volume = trailingVolume();
+    return VOLUME_TIERS.find((t) => volume >= t.from).tier;
+  }
+
+  /** Fee rates as fractions, e.g. { maker: 0.004, taker: 0.006 }. */
+  function feeRates() {
+    const { maker, taker } = FEE_TIERS[currentTier()];
+    return { maker: maker / 100, taker: taker / 100 };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Fills
+  // ---------------------------------------------------------------------------
+
+  function applyFill(o, qty, price, liquidity) {
+    const rates = feeRates();
+    const value = qty * price;
+    o.filledSize += qty;
+    o.filledValue += value;
+    o.fees += value * (liquidity === 'MAKER' ? rates.maker : rates.taker);
+    o.fills += 1;
+    o.lastFillAt = now();
+    volumeLog.push({ time: o.lastFillAt, value });
+  }
+
+  const remaining = (o) => Math.max(0, o.baseSize - o.filledSize);
+
+  /**
+   * Liquidity on the side an order takes from, best first, optionally
+   * limited to prices no worse than `limitPrice`.
+   */
+  function takeable(o, limitPrice = null) {
+    const levels = depth.levels(o.productId, o.side === 'BUY' ? 'offer' : 'bid') || [];
+    if (limitPrice == null) return levels;
+    return levels.filter(([price]) => (o.side === 'BUY' ? price <= limitPrice : price >= limitPrice));
+  }
+
+  /**
+   * Take liquidity as taker. For quote-sized market buys `quoteBudget` caps
+   * the spend (fees included), otherwise the order's remaining base size.
+   */
+  function takeLiquidity(o, levels, quoteBudget = null) {
+    const { taker } = feeRates();
+    let budget = quoteBudget != null ? quoteBudget / (1 + taker) : Infinity;
+    for (const [price, qty] of levels) {
+      const want = quoteBudget != null ? budget / price : remaining(o);
+      const take = Math.min(qty, want);
+      if (take <= EPSILON) break;
+      applyFill(o, take, price, 'TAKER');
+      budget -= take * price;
+    }
+  }
+
+  /**
+   * Fill as taker at market: walk the depth, or use the last price plus
+   * slippage when no depth is recorded for the product yet.
+   */
+  function fillAtMarket(o, quoteBudget = null) {
+    const levels = takeable(o);
+    if (levels.length > 0) {
+      takeLiquidity(o, levels, quoteBudget);
+      return;
+    }
+    const last = depth.price(o.productId);
+    if (!last) return;
+    const price = last * (o.side === 'BUY' ? 1 + fallbackSlippage : 1 - fallbackSlippage);
+    const qty = quoteBudget != null ? quoteBudget / (price * (1 + feeRates().taker)) : remaining(o);
+    applyFill(o, qty, price, 'TAKER');
+  }
+
+  /** Fill against the market moving through a resting order's limit price. */
+  function fillResting(o, trades) {
+    const before = o.filledSize;
+
+    // The book crossing our price means sellers (buyers) were there at or
+    // better than our limit; take that depth once per crossing episode
+    const crossed = takeable(o, o.limitPrice);
+    if (crossed.length > 0 && !o.crossed) {
+      for (const [, qty] of crossed) {
+        const take = Math.min(qty, remaining(o));
+        if (take <= EPSILON) break;
+        applyFill(o, take, o.limitPrice, 'MAKER');
+      }
+    }
+    o.crossed = crossed.length > 0;
+
+    // Each print at or through our price fills up to its size
+    for (const t of trades) {
+      if (remaining(o) <= EPSILON) break;
+      const px = parseFloat(t.price);
+      const through = o.side === 'BUY' ? px <= o.limitPrice : px >= o.limitPrice;
+      if (!through) continue;
+      applyFill(o, Math.min(parseFloat(t.size) || 0, remaining(o)), o.limitPrice, 'MAKER');
+    }
+
+    if (remaining(o) <= EPSILON) o.status = 'FILLED';
+    return o.filledSize > before;
+  }
+
+  function stopReached(o, prices) {
+    if (o.stopPrice == null) return false;
+    return prices.some((p) => (o.stopDirection === 'STOP_DIRECTION_STOP_UP' ? p >= o.stopPrice : p <= o.stopPrice));
+  }
+
+  /** Trigger a stop-limit: take what's marketable, rest the rest. */
+  function triggerStop(o) {
+    o.triggered = true;
+    const crosses = takeable(o, o.limitPrice);
+    takeLiquidity(o, crosses);
+    o.crossed = crosses.length > 0;
+    if (remaining(o) <= EPSILON) o.status = 'FILLED';
+  }
+
+  /** A bracket's stop leg fired: exit whatever is left at market. */
+  function triggerBracketStop(o) {
+    o.triggered = true;
+    fillAtMarket(o);
+    if (remaining(o) <= EPSILON) o.status = 'FILLED';
+  }
+
+  /**
+   * Place the attached bracket once its entry is done, for the size that
+   * actually filled.
+   */
+  function placeAttached(entry) {
+    if (!entry.attached || entry.attachedOrderId || entry.status === 'OPEN' || entry.filledSize <= EPSILON) return;
+    const { limitPrice, stopTriggerPrice } = entry.attached;
+    const result = place({
+      product_id: entry.productId,
+      side: entry.side === 'BUY' ? 'SELL' : 'BUY',
+      order_configuration: {
+        trigger_bracket_gtc: {
+          base_size: trimPrice(entry.filledSize),
+          limit_price: String(limitPrice),
+          stop_trigger_price: String(stopTriggerPrice),
+        },
+      },
+    }, { originatingOrderId: entry.id });
+    if (result.success) {
+      entry.attachedOrderId = result.order_id;
+    } else {
+      console.warn(`[paper] Attached bracket for ${entry.id} rejected: ${result.error_response.message}`);
+    }
+  }
+
+  function remember(o) {
+    orders.set(o.id, o);
+    if (orders.size <= MAX_ORDERS) return;
+    for (const [id, old] of orders) {
+      if (old.status !== 'OPEN') {
+        orders.delete(id);
+        break;
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Order entry
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Place a paper order from a Coinbase create-order body.
+   * @param {Object} body
+   * @param {Object} [opts]
+   * @param {string} [opts.originatingOrderId] - entry this bracket is attached to
+   * @returns {Object} Coinbase create-order response
+   */
+  function place(body = {}, { originatingOrderId = null } = {}) {
+    const {
+      product_id: productId,
+      side,
+      client_order_id: clientOrderId,
+      order_configuration: cfg = {},
+      attached_order_configuration: attachedCfg = null,
+    } = body;
+    if (typeof productId !== 'string' || !/^[A-Z0-9]+-[A-Z0-9]+$/.test(productId)) {
+      return reject('INVALID_PRODUCT_ID', `Invalid product_id ${productId}`);
+    }
+    if (side !== 'BUY' && side !== 'SELL') return reject('INVALID_SIDE', 'Side must be BUY or SELL');
+
+    const marketCfg = cfg.market_market_ioc;
+    const limitCfg = cfg.limit_limit_gtc;
+    const stopCfg = cfg.stop_limit_stop_limit_gtc;
+    const bracketCfg = cfg.trigger_bracket_gtc;
+    const orderCfg = marketCfg || limitCfg || stopCfg || bracketCfg;
+    if (!orderCfg) {
+      return reject(
+        'UNSUPPORTED_ORDER_CONFIGURATION',
+        'Paper trading supports market_market_ioc, limit_limit_gtc, stop_limit_stop_limit_gtc and trigger_bracket_gtc'
+      );
+    }
+
+    const baseSize = parseFloat(orderCfg.base_size) || 0;
+    const quoteSize = marketCfg ? parseFloat(marketCfg.quote_size) || 0 : 0;
+    const limitPrice = marketCfg ? null : parseFloat(orderCfg.limit_price);
+    const stopPrice = stopCfg
+      ? parseFloat(stopCfg.stop_price)
+      : bracketCfg ? parseFloat(bracketCfg.stop_trigger_price) : null;
+    if (baseSize <= 0 && quoteSize <= 0) {
+      return reject('INVALID_SIZE', 'Order needs base_size or quote_size', 'PREVIEW_INVALID_BASE_SIZE_TOO_SMALL');
+    }
+    if (!marketCfg && !(limitPrice > 0)) {
+      return reject('INVALID_LIMIT_PRICE', 'Invalid limit price', 'PREVIEW_INVALID_LIMIT_PRICE');
+    }
+    if ((stopCfg || bracketCfg) && !(stopPrice > 0)) {
+      return reject('INVALID_STOP_PRICE', 'Invalid stop price', 'PREVIEW_INVALID_STOP_PRICE');
+    }
+    // A bracket's stop sits on the losing side of its take-profit
+    if (bracketCfg && (side === 'SELL' ? stopPrice >= limitPrice : stopPrice <= limitPrice)) {
+      return reject(
+        'INVALID_STOP_PRICE',
+        `Bracket stop trigger must be ${side === 'SELL' ? 'below' : 'above'} the limit price`,
+        'PREVIEW_INVALID_STOP_PRICE'
+      );
+    }
+
+    let attached = null;
+    if (attachedCfg) {
+      const exit = attachedCfg.trigger_bracket_gtc;
+      const tp = parseFloat(exit?.limit_price);
+      const sl = parseFloat(exit?.stop_trigger_price);
+      if (!exit || bracketCfg) {
+        return reject('UNSUPPORTED_ORDER_CONFIGURATION', 'Only entries can attach a trigger_bracket_gtc exit');
+      }
+      if (!(tp > 0) || !(sl > 0) || (side === 'BUY' ? sl >= tp : sl <= tp)) {
+        return reject(
+          'INVALID_ATTACHED_ORDER',
+          `Attached stop trigger must be ${side === 'BUY' ? 'below' : 'above'} its take-profit`,
+          'PREVIEW_INVALID_ATTACHED_ORDER'
+        );
+      }
+      attached = { limitPrice: tp, stopTriggerPrice: sl, configuration: attachedCfg };
+    }
+
+    const lastPrice = depth.price(productId);
+    if (!lastPrice && takeable({ productId, side }).length === 0) {
+      return reject('NO_MARKET_DATA', `No market data for ${productId} yet`);
+    }
+    // Before the first trade, the touch the order would take stands in for the last price
+    const refPrice = lastPrice || takeable({ productId, side })[0]?.[0];
+
+    const o = {
+      id: crypto.randomUUID(),
+      clientOrderId: clientOrderId || crypto.randomUUID(),
+      productId,
+      side,
+      type: marketCfg ? 'MARKET' : stopCfg ? 'STOP_LIMIT' : bracketCfg ? 'BRACKET' : 'LIMIT',
+      configuration: cfg,
+      attached,
+      attachedOrderId: null,
+      originatingOrderId,
+      baseSize,
+      sizeInQuote: !baseSize,
+      limitPrice,
+      stopPrice,
+      // Without an explicit direction the stop fires on the move toward it;
+      // a bracket's stop protects the exit side
+      stopDirection: stopCfg
+        ? stopCfg.stop_direction || (stopPrice >= refPrice ? 'STOP_DIRECTION_STOP_UP' : 'STOP_DIRECTION_STOP_DOWN')
+        : bracketCfg
+          ? (side === 'SELL' ? 'STOP_DIRECTION_STOP_DOWN' : 'STOP_DIRECTION_STOP_UP')
+          : null,
+      triggered: false,
+      crossed: false,
+      status: 'OPEN',
+      createdAt: now(),
+      filledSize: 0,
+      filledValue: 0,
+      fees: 0,
+      fills: 0,
+      hold: 0,
+      lastFillAt: null,
+      isPaper: true,
+    };
+
+    if (o.type === 'MARKET') {
+      // Quote-sized sells are converted to base at the best bid
+      if (o.sizeInQuote && side === 'SELL') o.baseSize = quoteSize / (takeable(o)[0]?.[0] || lastPrice);
+      fillAtMarket(o, o.sizeInQuote && side === 'BUY' ? quoteSize : null);
+      if (o.sizeInQuote && side === 'BUY') o.baseSize = o.filledSize;
+      if (o.filledSize <= EPSILON) return reject('INSUFFICIENT_LIQUIDITY', `No liquidity recorded for ${productId}`);
+      // IOC: whatever the depth couldn't cover is cancelled
+      o.status = remaining(o) <= EPSILON ? 'FILLED' : 'CANCELLED';
+    } else if (o.type === 'BRACKET' && lastPrice && stopReached(o, [lastPrice])) {
+      triggerBracketStop(o);
+    } else if (o.type === 'LIMIT' || o.type === 'BRACKET') {
+      const crosses = takeable(o, limitPrice);
+      if (limitCfg?.post_only && crosses.length > 0) {
+        return reject(
+          'INVALID_LIMIT_PRICE_POST_ONLY',
+          'Post-only limit order would cross the book',
+          'PREVIEW_INVALID_LIMIT_PRICE_POST_ONLY'
+        );
+      }
+      takeLiquidity(o, crosses);
+      if (remaining(o) <= EPSILON) o.status = 'FILLED';
+      o.crossed = crosses.length > 0;
+    } else if (lastPrice && stopReached(o, [lastPrice])) {
+      triggerStop(o);
+    }
+
+    remember(o);
+    emit(o);
+    placeAttached(o);
+    return {
+      success: true,
+      failure_reason: 'UNKNOWN_FAILURE_REASON',
+      order_id: o.id,
+      success_response: {
+        order_id: o.id,
+        product_id: productId,
+        side,
+        client_order_id: o.clientOrderId,
+      },
+      order_configuration: cfg,
+    };
+  }
+
+  /** Cancel open paper orders; mirrors orders/batch_cancel. */
+  function cancel(ids = []) {
+    return {
+      results: ids.map((id) => {
+        const o = orders.get(id);
+        if (!o) return { success: false, failure_reason: 'UNKNOWN_CANCEL_ORDER', order_id: id };
+        if (o.status !== 'OPEN') return { success: false, failure_reason: 'UNKNOWN_CANCEL_FAILURE_REASON', order_id: id };
+        o.status = 'CANCELLED';
+        emit(o);
+        placeAttached(o); // protect whatever part of the entry did fill
+        return { success: true, failure_reason: 'UNKNOWN_CANCEL_FAILURE_REASON', order_id: id };
+      }),
+    };
+  }
+
+  /**
+   * Feed new market activity for a product: triggers stops and fills
+   * resting orders.
+   * @param {string} productId
+   * @param {Object[]} [trades] - market_trades entries ({ price, size })
+   */
+  function onMarket(productId, trades = []) {
+    const prices = trades.map((t) => parseFloat(t.price)).filter((p) => p > 0);
+    const last = depth.price(productId);
+    if (last) prices.push(last);
+
+    const done = [];
+    for (const o of orders.values()) {
+      if (o.productId !== productId || o.status !== 'OPEN') continue;
+      const before = `${o.status}:${o.filledSize}:${o.triggered}`;
+
+      if (o.type === 'STOP_LIMIT' && !o.triggered) {
+        if (!stopReached(o, prices)) continue;
+        triggerStop(o);
+      } else if (o.type === 'BRACKET') {
+        // Stop leg first: once it fires the take-profit is gone
+        if (o.triggered || stopReached(o, prices)) triggerBracketStop(o);
+        else fillResting(o, trades);
+      } else {
+        fillResting(o, trades);
+      }
+
+      if (`${o.status}:${o.filledSize}:${o.triggered}` !== before) emit(o);
+      if (o.status !== 'OPEN') done.push(o);
+    }
+    // Brackets go in after the pass so they start matching on the next update
+    done.forEach(placeAttached);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Queries
+  // ---------------------------------------------------------------------------
+
+  function list(query = {}) {
+    const toList = (v) => (v == null ? [] : Array.isArray(v) ? v : String(v).split(','));
+    const statuses = toList(query.order_status);
+    const products = [...toList(query.product_id), ...toList(query.product_ids)];
+    const limit = Math.min(parseInt(query.limit, 10) || 100, 1000);
+
+    const rows = [...orders.values()]
+      .filter((o) => statuses.length === 0 || statuses.includes(o.status))
+      .filter((o) => products.length === 0 || products.includes(o.productId))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map((o) => formatOrder(o, fmtPriceOf(o.productId)));
+    return { orders: rows, sequence: '0', has_next: false, cursor: '' };
+  }
+
+  function get(id) {
+    const o = orders.get(id);
+    return o ? { order: formatOrder(o, fmtPriceOf(o.productId)) } : null;
+  }
+
+  return {
+    place,
+    cancel,
+    onMarket,
+    list,
+    get,
+    feeRates,
+    currentTier,
+    /** Products with open orders. */
+    activeProducts: () => new Set([...orders.values()].filter((o) => o.status === 'OPEN').map((o) => o.productId)),
+    /** Open orders in `user` channel format, for feed snapshots. */
+    openOrders: () => [...orders.values()]
+      .filter((o) => o.status === 'OPEN')
+      .map((o) => userChannelOrder(o, fmtPriceOf(o.productId))),
+  };
+}
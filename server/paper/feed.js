@@ -0,0 +1,111 @@
+// ============================================================================
+// Cerebro Crypto - Paper User Feed
+// ============================================================================
+// Simulated Coinbase `user` channel for paper orders on /api/paper/ws. The
+// browser subscribes exactly as it does on Coinbase and gets a snapshot of
+// open paper orders followed by an update on every status or fill change.
+// `heartbeats` is supported so the client's keep-alive works unchanged.
+// ============================================================================
+
+import { WebSocketServer } from 'ws';
+
+const CHANNELS = ['user', 'heartbeats'];
+
+/**
+ * @param {Object} opts
+ * @param {Function} opts.openOrders        - () => user channel orders for the snapshot
+ * @param {string}   [opts.path='/api/paper/ws']
+ * @param {number}   [opts.heartbeatMs=1000]
+ */
+export function createUserFeed({ openOrders, path = '/api/paper/ws', heartbeatMs = 1000 }) {
+  const wss = new WebSocketServer({ noServer: true });
+  /** @type {Map<WebSocket, { seq: number, subs: Set<string> }>} */
+  const clients = new Map();
+  let heartbeatCounter = 0;
+  let heartbeatTimer = null;
+
+  function send(ws, channel, events) {
+    const client = clients.get(ws);
+    if (!client || ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({
+      channel,
+      client_id: '',
+      timestamp: new Date().toISOString(),
+      sequence_num: client.seq++,
+      events,
+    }));
+  }
+
+  function heartbeat() {
+    heartbeatCounter += 1;
+    const now = new Date().toISOString();
+    for (const [ws, client] of clients) {
+      if (client.subs.has('heartbeats')) {
+        send(ws, 'heartbeats', [{ current_time: now, heartbeat_counter: heartbeatCounter }]);
+      }
+    }
+  }
+
+  function onFrame(ws, raw) {
+    let frame;
+    try {
+      frame = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    const client = clients.get(ws);
+    const { type, channel } = frame;
+    if (!client || (type !== 'subscribe' && type !== 'unsubscribe')) return;
+    if (!CHANNELS.includes(channel)) {
+      ws.send(JSON.stringify({ type: 'error', message: `Paper feed only serves ${CHANNELS.join(', ')}` }));
+      return;
+    }
+
+    if (type === 'subscribe') client.subs.add(channel);
+    else client.subs.delete(channel);
+
+    const summary = Object.fromEntries([...client.subs].map((ch) => [ch, []]));
+    send(ws, 'subscriptions', [{ subscriptions: summary }]);
+    if (type === 'subscribe' && channel === 'user') {
+      send(ws, 'user', [{ type: 'snapshot', orders: openOrders() }]);
+    }
+  }
+
+  wss.on('connection', (ws) => {
+    clients.set(ws, { seq: 0, subs: new Set() });
+    if (!heartbeatTimer) heartbeatTimer = setInterval(heartbeat, heartbeatMs);
+
+    const drop = () => {
+      clients.delete(ws);
+      if (clients.size === 0 && heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+      }
+    };
+    ws.on('message', (raw) => onFrame(ws, raw.toString()));
+    ws.on('close', drop);
+    ws.on('error', drop);
+  });
+
+  return {
+    path,
+
+    /** Route HTTP upgrades on `path` to this feed. */
+    attach(server) {
+      server.on('upgrade', (req, socket, head) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== path) return;
+        wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+      });
+    },
+
+    /** Push an order change to `user` subscribers. */
+    broadcastOrder(order) {
+      for (const [ws, client] of clients) {
+        if (client.subs.has('user')) send(ws, 'user', [{ type: 'update', orders: [order] }]);
+      }
+    },
+
+    clientCount: () => clients.size,
+  };
+}
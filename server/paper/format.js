@@ -0,0 +1,101 @@
+// ============================================================================
+// Cerebro Crypto - Simulated Order Formatting
+// ============================================================================
+// Shared by the paper engine and the sim exchange: turns an internal order
+// record into Coinbase's REST order object and `user` channel order update.
+//
+// Internal record fields:
+//   id, clientOrderId, productId, side,
+//   type ('MARKET' | 'LIMIT' | 'STOP_LIMIT' | 'BRACKET'), configuration,
+//   baseSize, sizeInQuote, limitPrice, stopPrice, stopDirection, triggered,
+//   status, createdAt, filledSize, filledValue, fees, fills, hold,
+//   lastFillAt, isPaper
+// and, for linked bracket orders: attached ({ configuration }),
+//   attachedOrderId, originatingOrderId
+// ============================================================================
+
+const iso = (ms) => new Date(ms).toISOString();
+
+/** Default price formatter when the product's increment is unknown. */
+export const trimPrice = (v) => String(Number(v.toFixed(8)));
+
+const avgPrice = (o, fmtPrice) => (o.filledSize > 0 ? fmtPrice(o.filledValue / o.filledSize) : '0');
+
+function triggerStatus(o) {
+  if (o.type !== 'STOP_LIMIT' && o.type !== 'BRACKET') return 'INVALID_ORDER_TYPE';
+  if (o.triggered) return 'STOP_TRIGGERED';
+  return o.status === 'OPEN' ? 'STOP_PENDING' : 'INVALID_ORDER_TYPE';
+}
+
+/**
+ * Coinbase REST order object (orders/historical/*).
+ * @param {Object} o
+ * @param {Function} [fmtPrice=trimPrice]
+ */
+export function formatOrder(o, fmtPrice = trimPrice) {
+  const completion = o.baseSize > 0
+    ? (o.filledSize / o.baseSize) * 100
+    : (o.status === 'FILLED' ? 100 : 0);
+  return {
+    order_id: o.id,
+    product_id: o.productId,
+    user_id: o.isPaper ? 'paper-user' : 'sim-user',
+    order_configuration: o.configuration,
+    ...(o.attached && { attached_order_configuration: o.attached.configuration }),
+    attached_order_id: o.attachedOrderId || '',
+    originating_order_id: o.originatingOrderId || '',
+    side: o.side,
+    client_order_id: o.clientOrderId,
+    status: o.status,
+    time_in_force: o.type === 'MARKET' ? 'IMMEDIATE_OR_CANCEL' : 'GOOD_UNTIL_CANCELLED',
+    created_time: iso(o.createdAt),
+    completion_percentage: completion.toFixed(2),
+    filled_size: o.filledSize.toFixed(8),
+    average_filled_price: avgPrice(o, fmtPrice),
+    fee: '',
+    number_of_fills: String(o.fills),
+    filled_value: o.filledValue.toFixed(2),
+    pending_cancel: false,
+    size_in_quote: o.sizeInQuote,
+    total_fees: o.fees.toFixed(2),
+    size_inclusive_of_fees: false,
+    total_value_after_fees: (o.side === 'BUY' ? o.filledValue + o.fees : o.filledValue - o.fees).toFixed(2),
+    trigger_status: triggerStatus(o),
+    order_type: o.type,
+    reject_reason: '',
+    settled: o.status === 'FILLED',
+    product_type: 'SPOT',
+    reject_message: '',
+    cancel_message: '',
+    order_placement_source: 'RETAIL_ADVANCED',
+    outstanding_hold_amount: (o.hold || 0).toFixed(2),
+    last_fill_time: o.lastFillAt ? iso(o.lastFillAt) : null,
+    ...(o.isPaper && { is_paper_trade: true }),
+  };
+}
+
+/**
+ * Order update for the WebSocket `user` channel.
+ * @param {Object} o
+ * @param {Function} [fmtPrice=trimPrice]
+ */
+export function userChannelOrder(o, fmtPrice = trimPrice) {
+  return {
+    order_id: o.id,
+    client_order_id: o.clientOrderId,
+    cumulative_quantity: o.filledSize.toFixed(8),
+    leaves_quantity: Math.max(0, o.baseSize - o.filledSize).toFixed(8),
+    avg_price: avgPrice(o, fmtPrice),
+    total_fees: o.fees.toFixed(2),
+    status: o.status,
+    product_id: o.productId,
+    creation_time: iso(o.createdAt),
+    order_side: o.side,
+    order_type: o.type,
+    limit_price: o.limitPrice != null ? fmtPrice(o.limitPrice) : '',
+    stop_price: o.stopPrice != null ? fmtPrice(o.stopPrice) : '',
+    trigger_status: triggerStatus(o),
+    number_of_fills: String(o.fills),
+    ...(o.originatingOrderId && { originating_order_id: o.originatingOrderId }),
+  };
+}
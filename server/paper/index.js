@@ -0,0 +1,121 @@
+// ============================================================================
+// Cerebro Crypto - Paper Trading
+// ============================================================================
+// In paper mode the proxy answers order routes itself instead of forwarding
+// them to Coinbase:
+//   POST /api/coinbase/orders                  - place (market / limit / stop-limit /
+//                                                trigger_bracket_gtc, optionally with an
+//                                                attached bracket)
+//   POST /api/coinbase/orders/batch_cancel     - cancel open paper orders
+//   GET  /api/coinbase/orders/historical/batch - paper order history
+//   GET  /api/coinbase/orders/historical/:id
+// and streams paper order updates on a local `user` channel (/api/paper/ws).
+//
+// Matching runs against the sim exchange's book in sim mode, otherwise
+// against L2 depth and trades recorded from Coinbase for products with
+// paper orders.
+//
+// Optional .env tuning:
+//   PAPER_FEE_TIER - starter | intermediate | advanced, or auto (default:
+//                    tier from trailing 30-day paper volume)
+// ============================================================================
+
+import { createPaperEngine } from './engine.js';
+import { createDepthFeed } from './depthFeed.js';
+import { createUserFeed } from './feed.js';
+
+const UNWATCH_AFTER_MS = 15 * 60000;
+
+/**
+ * @param {Object} opts
+ * @param {Object}   [opts.sim]        - sim exchange (see ../sim), when running offline
+ * @param {Object}   opts.priceCache   - productId -> last REST price, used before depth arrives
+ * @param {string}   opts.wsUrl        - Coinbase WebSocket URL for recording depth
+ * @param {Function} opts.getWsAuth    - (channel, productIds) => auth fields
+ */
+export function createPaperTrading({ sim = null, priceCache, wsUrl, getWsAuth }) {
+  let feed = null;
+  const lastActivity = new Map();
+
+  let engine = null;
+  const onTrades = (productId, trades) => engine.onMarket(productId, trades);
+
+  let depth;
+  let depthFeed = null;
+  if (sim) {
+    depth = {
+      levels: sim.market.levels,
+      price: sim.market.price,
+      fmtPrice: (id) => {
+        const decimals = sim.market.decimals(id);
+        return (v) => v.toFixed(decimals);
+      },
+    };
+    sim.onTick((events) => {
+      for (const [id, { trades }] of events) onTrades(id, trades);
+    });
+  } else {
+    depthFeed = createDepthFeed({ url: wsUrl, getAuth: getWsAuth, onTrades });
+    depth = {
+      levels: depthFeed.levels,
+      price: (id) => depthFeed.price(id) ?? priceCache[id] ?? null,
+    };
+    // Stop recording products that have had no open orders for a while
+    setInterval(() => {
+      const active = engine.activeProducts();
+      for (const id of depthFeed.watched()) {
+        if (!active.has(id) && Date.now() - (lastActivity.get(id) || 0) > UNWATCH_AFTER_MS) {
+          depthFeed.unwatch(id);
+        }
+      }
+    }, 60000).unref();
+  }
+
+  engine = createPaperEngine({
+    depth,
+    feeTier: process.env.PAPER_FEE_TIER || 'auto',
+    onOrderUpdate: (order) => feed?.broadcastOrder(order),
+  });
+  feed = createUserFeed({ openOrders: engine.openOrders });
+
+  /**
+   * Answer a paper-mode Coinbase route, or return null to let the request
+   * through (market data, accounts, ...).
+   * @returns {{ status: number, body: Object }|null}
+   */
+  function handle(method, path, query = {}, body = {}) {
+    if (method === 'POST' && path === 'orders') {
+      if (body.product_id) {
+        lastActivity.set(body.product_id, Date.now());
+        depthFeed?.watch(body.product_id);
+      }
+      const result = engine.place(body);
+      if (result.success) {
+        const tier = engine.currentTier();
+        console.log(`[paper] ${body.side} ${body.product_id} -> ${result.order_id} (${tier} fees)`);
+      }
+      return { status: 200, body: result };
+    }
+    if (method === 'POST' && path === 'orders/batch_cancel') {
+      return { status: 200, body: engine.cancel(body.order_ids) };
+    }
+    if (method === 'GET' && path === 'orders/historical/batch') {
+      return { status: 200, body: engine.list(query) };
+    }
+    const match = method === 'GET' && path.match(/^orders\/historical\/([\w-]+)$/);
+    if (match) {
+      const found = engine.get(match[1]);
+      return found
+        ? { status: 200, body: found }
+        : { status: 404, body: { error: 'NOT_FOUND', message: 'Paper order not found' } };
+    }
+    return null;
+  }
+
+  return {
+    engine,
+    handle,
+    wsPath: feed.path,
+    attachWebSocket: (server) => feed.attach(server),
+  };
+}
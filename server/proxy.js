@@ -3,29 +3,56 @@
 // ============================================================================
 // Sits between the React frontend and Coinbase Advanced Trade API.
 //   1. Security  - API keys never leave the server.
-//   2. Paper Trading - Orders are intercepted and simulated in paper mode.
+//   2. Paper Trading - Orders are intercepted in paper mode and matched
+//      against live depth by the paper engine (./paper). The app sends
+//      `X-Trading-Mode: paper` while it is in paper mode, which keeps its
+//      requests on the paper engine whatever /api/mode is set to; the header
+//      can only pin paper, never switch a request to live.
+//   3. Sim Exchange  - With SIM_EXCHANGE=true, Coinbase REST and WebSocket
+//      traffic is answered locally from recorded or synthetic data (./sim).
+//   4. Server Engine - The HYDRA / VIPER strategy engine can run here,
+//      headless, instead of in the browser (./engine).
+//   5. Candle History - A local OHLCV store, back-filled from REST and kept
+//      current from the candles channel, serving any timeframe (./history).
 //
 // Supports both CDP API keys (ES256/EdDSA JWT) and legacy keys.
 // Environment variables (from .env):
 //   COINBASE_API_KEY    - CDP key name or legacy UUID
 //   COINBASE_API_SECRET - PEM private key (CDP) or base64-encoded key (legacy)
 //   PROXY_PORT          - port for this server (default 3002)
+//   ANTHROPIC_API_KEY / OPENAI_API_KEY - optional, for /api/ai/chat
+//   NOTIFY_* - optional webhook dispatcher tuning, see ./notify
+//   PAPER_FEE_TIER      - optional paper fee tier override, see ./paper
+//   SIM_EXCHANGE        - "true" to run offline against the sim exchange
+//                         (no Coinbase keys needed); SIM_* tuning in ./sim
+//   RECORDINGS_DIR      - optional, where market recordings go, see ./recorder
+//   ENGINE_DATA_DIR     - optional, where the server engine keeps state, see ./engine
+//   HISTORY_*           - optional candle store location and tracked pairs, see ./history
 // ============================================================================
 
 import express from 'express';
 import cors from 'cors';
 import crypto from 'node:crypto';
 import dotenv from 'dotenv';
+import { registerAIRoutes } from './ai/index.js';
+import { registerNotifyRoutes } from './notify/index.js';
+import { startSimExchange } from './sim/index.js';
+import { createPaperTrading } from './paper/index.js';
+import { registerRecorderRoutes } from './recorder/index.js';
+import { registerEngineRoutes } from './engine/index.js';
+import { registerHistoryRoutes } from './history/index.js';
 
 dotenv.config();
 
 const API_KEY    = process.env.COINBASE_API_KEY;
 const API_SECRET = process.env.COINBASE_API_SECRET;
 const PORT       = parseInt(process.env.PROXY_PORT, 10) || 3002;
+const SIM_MODE   = process.env.SIM_EXCHANGE === 'true';
 
 const COINBASE_BASE_URL = 'https://api.coinbase.com';
+const COINBASE_WS_URL   = 'wss://advanced-trade-ws.coinbase.com';
 
-if (!API_KEY || !API_SECRET) {
+if (!SIM_MODE && (!API_KEY || !API_SECRET)) {
   console.error('[proxy] COINBASE_API_KEY and COINBASE_API_SECRET must be set in .env');
   process.exit(1);
 }
@@ -37,7 +64,9 @@ if (!API_KEY || !API_SECRET) {
 let keyType = 'unknown';
 let signingKey = null;
 
-if (API_SECRET.includes('-----BEGIN')) {
+if (SIM_MODE) {
+  keyType = 'sim';
+} else if (API_SECRET.includes('-----BEGIN')) {
   // CDP key with PEM-encoded EC private key (ES256)
   keyType = 'ec_pem';
   signingKey = crypto.createPrivateKey(API_SECRET);
@@ -210,74 +239,18 @@ function buildWebSocketAuth(channel, productIds) {
 
 let tradingMode = 'paper';
 const priceCache = {};
+const sim = SIM_MODE ? startSimExchange() : null;
+const paper = createPaperTrading({
+  sim,
+  priceCache,
+  wsUrl: COINBASE_WS_URL,
+  getWsAuth: buildWebSocketAuth,
+});
 
 // ---------------------------------------------------------------------------
-// Paper Trading Helpers
+// Price Cache
 // ---------------------------------------------------------------------------
 
-function simulatePaperFill(orderPayload) {
-  const { product_id = 'BTC-USD', side = 'BUY', order_configuration } = orderPayload;
-
-  let basePrice = priceCache[product_id] || 0;
-  if (basePrice === 0) {
-    console.warn(`[paper] No cached price for ${product_id}`);
-  }
-
-  const slippageFactor = side === 'BUY' ? 1.0005 : 0.9995;
-  const fillPrice = parseFloat((basePrice * slippageFactor).toFixed(2));
-
-  let baseSize = '0';
-  let quoteSize = '0';
-
-  if (order_configuration) {
-    const marketCfg = order_configuration.market_market_ioc;
-    const limitCfg = order_configuration.limit_limit_gtc;
-    if (marketCfg) {
-      baseSize = marketCfg.base_size || '0';
-      quoteSize = marketCfg.quote_size || '0';
-    } else if (limitCfg) {
-      baseSize = limitCfg.base_size || '0';
-    }
-  }
-
-  if (parseFloat(baseSize) === 0 && parseFloat(quoteSize) > 0 && fillPrice > 0) {
-    baseSize = (parseFloat(quoteSize) / fillPrice).toFixed(8);
-  }
-
-  const filledValue = parseFloat(baseSize) * fillPrice;
-  const fee = parseFloat((filledValue * 0.006).toFixed(2));
-  const orderId = crypto.randomUUID();
-
-  return {
-    success: true,
-    success_response: {
-      order_id: orderId,
-      product_id,
-      side,
-      client_order_id: orderPayload.client_order_id || crypto.randomUUID(),
-    },
-    order: {
-      order_id: orderId,
-      product_id,
-      side,
-      status: 'FILLED',
-      time_in_force: 'IMMEDIATE_OR_CANCEL',
-      created_time: new Date().toISOString(),
-      completion_percentage: '100',
-      filled_size: baseSize,
-      average_filled_price: fillPrice.toString(),
-      fee,
-      number_of_fills: '1',
-      filled_value: filledValue.toFixed(2),
-      order_type: 'MARKET',
-      total_fees: fee.toString(),
-      total_value_after_fees:
-        side === 'BUY' ? (filledValue + fee).toFixed(2) : (filledValue - fee).toFixed(2),
-      is_paper_trade: true,
-    },
-  };
-}
-
 function updatePriceCache(path, jsonBody) {
   try {
     if (/^products\/[\w-]+$/.test(path) && jsonBody.price) {
@@ -316,7 +289,13 @@ app.use(express.json());
 
 // Health Check
 app.get('/api/health', (_req, res) => {
-  res.json({ status: 'ok', mode: tradingMode, keyType });
+  res.json({
+    status: 'ok',
+    mode: tradingMode,
+    keyType,
+    exchange: sim ? 'sim' : 'coinbase',
+    ...(sim && { wsPath: sim.wsPath }),
+  });
 });
 
 // Trading Mode
@@ -339,6 +318,8 @@ app.post('/api/ws-auth', (req, res) => {
     return res.status(400).json({ error: 'Need "channel" field.' });
   }
   const ids = Array.isArray(product_ids) ? product_ids : [];
+  // The sim feed doesn't check credentials
+  if (sim) return res.json({});
   try {
     const auth = buildWebSocketAuth(channel, ids);
     res.json(auth);
@@ -348,61 +329,118 @@ app.post('/api/ws-auth', (req, res) => {
   }
 });
 
+// AI Chat (provider adapters in ./ai)
+registerAIRoutes(app);
+
+// Outbound webhook notifications (dispatcher in ./notify)
+registerNotifyRoutes(app);
+
+// Market data recordings for replay (./recorder); in sim mode the sim feed is recorded
+registerRecorderRoutes(app, {
+  wsUrl: sim ? `ws://localhost:${PORT}${sim.wsPath}` : COINBASE_WS_URL,
+  getAuth: sim ? () => ({}) : buildWebSocketAuth,
+});
+
 // Coinbase REST Proxy
-app.all('/api/coinbase/*', async (req, res) => {
-  try {
-    const subPath = req.params[0];
-    if (!subPath) return res.status(400).json({ error: 'No path specified.' });
+/**
+ * Route one Coinbase REST call: paper orders to the paper engine, everything
+ * to the sim exchange when it's running, otherwise signed to Coinbase.
+ * Shared by /api/coinbase/* and the server engine (./engine).
+ * @returns {Promise<{ status: number, body: *, text?: string, contentType?: string }>}
+ *   `text` / `contentType` are set for upstream responses, to pass them through as-is
+ */
+async function coinbaseRequest(method, subPath, { query = {}, body = {}, mode = tradingMode } = {}) {
+  // Paper trading intercept (order routes only; market data passes through)
+  if (mode === 'paper') {
+    const paperResult = paper.handle(method, subPath, query, body);
+    if (paperResult) return paperResult;
+  }
 
-    const method = req.method.toUpperCase();
+  // Sim exchange answers everything else locally
+  if (sim) return sim.handle(method, subPath, query, body);
 
-    // Paper trading intercept
-    if (tradingMode === 'paper' && method === 'POST' && subPath === 'orders') {
-      console.log('[paper] Simulating order fill');
-      return res.json(simulatePaperFill(req.body));
-    }
+  const requestPath = `/api/v3/brokerage/${subPath}`;
+  const targetUrl = new URL(requestPath, COINBASE_BASE_URL);
+  const queryString = new URLSearchParams(query).toString();
+  if (queryString) targetUrl.search = queryString;
 
-    const requestPath = `/api/v3/brokerage/${subPath}`;
-    const targetUrl = new URL(requestPath, COINBASE_BASE_URL);
-    const queryString = new URLSearchParams(req.query).toString();
-    if (queryString) targetUrl.search = queryString;
+  const hasBody = !['GET', 'HEAD'].includes(method);
+  const bodyStr = hasBody && body ? JSON.stringify(body) : '';
 
-    const hasBody = !['GET', 'HEAD'].includes(method);
-    const bodyStr = hasBody && req.body ? JSON.stringify(req.body) : '';
+  // Sign with the path only (no query string) for JWT URI
+  const headers = buildCoinbaseHeaders(method, requestPath, bodyStr);
 
-    // Sign with the path only (no query string) for JWT URI
-    const headers = buildCoinbaseHeaders(method, requestPath, bodyStr);
+  const fetchOptions = { method, headers };
+  if (hasBody && bodyStr) fetchOptions.body = bodyStr;
 
-    const fetchOptions = { method, headers };
-    if (hasBody && bodyStr) fetchOptions.body = bodyStr;
+  console.log(`[proxy] ${method} ${targetUrl.href}`);
+  const cbResponse = await fetch(targetUrl.href, fetchOptions);
+  const responseText = await cbResponse.text();
 
-    console.log(`[proxy] ${method} ${targetUrl.href}`);
-    const cbResponse = await fetch(targetUrl.href, fetchOptions);
-    const responseText = await cbResponse.text();
+  let responseJson = null;
+  try { responseJson = JSON.parse(responseText); } catch { /* not JSON */ }
 
-    let responseJson = null;
-    try { responseJson = JSON.parse(responseText); } catch { /* not JSON */ }
+  if (responseJson) updatePriceCache(subPath, responseJson);
 
-    if (responseJson) updatePriceCache(subPath, responseJson);
+  // Log auth failures for debugging
+  if (cbResponse.status === 401) {
+    console.error(`[proxy] AUTH FAILED (${cbResponse.status}): ${responseText.slice(0, 200)}`);
+    console.error(`[proxy] Key type: ${keyType}, Key: ${API_KEY.slice(0, 12)}...`);
+  }
 
-    // Log auth failures for debugging
-    if (cbResponse.status === 401) {
-      console.error(`[proxy] AUTH FAILED (${cbResponse.status}): ${responseText.slice(0, 200)}`);
-      console.error(`[proxy] Key type: ${keyType}, Key: ${API_KEY.slice(0, 12)}...`);
-    }
+  return {
+    status: cbResponse.status,
+    body: responseJson ?? responseText,
+    text: responseText,
+    contentType: cbResponse.headers.get('content-type') || 'application/json',
+  };
+}
+
+app.all('/api/coinbase/*', async (req, res) => {
+  try {
+    const subPath = req.params[0];
+    if (!subPath) return res.status(400).json({ error: 'No path specified.' });
+
+    const result = await coinbaseRequest(req.method.toUpperCase(), subPath, {
+      query: req.query,
+      body: req.body || {},
+      mode: req.get('X-Trading-Mode') === 'paper' ? 'paper' : tradingMode,
+    });
+    if (result.text === undefined) return res.status(result.status).json(result.body);
 
-    res.status(cbResponse.status);
-    res.set('Content-Type', cbResponse.headers.get('content-type') || 'application/json');
-    res.send(responseText);
+    res.status(result.status);
+    res.set('Content-Type', result.contentType);
+    res.send(result.text);
   } catch (err) {
     console.error('[proxy] Error:', err.message);
     res.status(502).json({ error: 'Proxy request failed.', message: err.message });
   }
 });
 
+// Headless strategy engine (./engine), trading through the same routing
+const engineHost = registerEngineRoutes(app, {
+  request: coinbaseRequest,
+  wsUrl: sim ? `ws://localhost:${PORT}${sim.wsPath}` : COINBASE_WS_URL,
+  getWsAuth: sim ? () => ({}) : buildWebSocketAuth,
+});
+
+// Local candle store (./history), filled through the same routing
+const history = registerHistoryRoutes(app, {
+  request: coinbaseRequest,
+  wsUrl: sim ? `ws://localhost:${PORT}${sim.wsPath}` : COINBASE_WS_URL,
+  getAuth: sim ? () => ({}) : buildWebSocketAuth,
+  sim: !!sim,
+});
+
 // Start Server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`[proxy] Cerebro Crypto proxy running on port ${PORT}`);
   console.log(`[proxy] Key type: ${keyType} | Mode: ${tradingMode}`);
-  console.log(`[proxy] API key: ${API_KEY.slice(0, 12)}...`);
+  if (sim) console.log(`[proxy] Sim exchange: REST on /api/coinbase/*, WebSocket on ${sim.wsPath}`);
+  else console.log(`[proxy] API key: ${API_KEY.slice(0, 12)}...`);
+  history.start();
 });
+
+paper.attachWebSocket(server);
+if (sim) sim.attachWebSocket(server);
+engineHost.attachWebSocket(server);
@@ -0,0 +1,110 @@
+// ============================================================================
+// Cerebro Crypto - Recording Routes
+// ============================================================================
+// Capture interesting market sessions and get them back for replay.
+//
+// GET    /api/recordings                 - recordings (newest first) + channels
+// POST   /api/recordings                 - start { pair, channels?, durationMinutes?, label? }
+// POST   /api/recordings/:id/stop
+// DELETE /api/recordings/:id
+// GET    /api/recordings/:id/messages    - decompressed NDJSON stream, for replay
+// GET    /api/recordings/:id/download    - the .ndjson.gz file
+//
+// Optional .env: RECORDINGS_DIR (default server/data/recordings).
+// ============================================================================
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRecorder, RECORD_CHANNELS } from './recorder.js';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'recordings');
+const MAX_DURATION_MINUTES = 24 * 60;
+
+/**
+ * Validate a start request.
+ * @returns {{ options: Object|null, error: string|null }}
+ */
+function parseStart(body = {}) {
+  const { pair, channels = RECORD_CHANNELS, durationMinutes = null, label = '' } = body;
+
+  if (typeof pair !== 'string' || !/^[A-Z0-9]+-[A-Z0-9]+$/.test(pair)) {
+    return { options: null, error: 'Need a "pair" like "BTC-USD".' };
+  }
+  if (!Array.isArray(channels) || channels.length === 0 || channels.some((c) => !RECORD_CHANNELS.includes(c))) {
+    return { options: null, error: `Channels must be a subset of ${RECORD_CHANNELS.join(', ')}.` };
+  }
+  if (durationMinutes != null && !(durationMinutes > 0 && durationMinutes <= MAX_DURATION_MINUTES)) {
+    return { options: null, error: `Duration must be a positive number of minutes, up to ${MAX_DURATION_MINUTES}.` };
+  }
+
+  return {
+    options: { pair, channels: [...new Set(channels)], durationMinutes, label: String(label).slice(0, 100) },
+    error: null,
+  };
+}
+
+/**
+ * @param {import('express').Express} app
+ * @param {Object} opts
+ * @param {string}   opts.wsUrl   - feed to record from (Coinbase, or the sim feed)
+ * @param {Function} [opts.getAuth] - (channel, productIds) => auth fields
+ */
+export function registerRecorderRoutes(app, { wsUrl, getAuth }) {
+  const recorder = createRecorder({
+    dir: process.env.RECORDINGS_DIR || DEFAULT_DIR,
+    url: wsUrl,
+    getAuth,
+  });
+
+  app.get('/api/recordings', (_req, res) => {
+    res.json({ recordings: recorder.list(), channels: RECORD_CHANNELS });
+  });
+
+  app.post('/api/recordings', (req, res) => {
+    const { options, error } = parseStart(req.body);
+    if (error) return res.status(400).json({ error });
+    try {
+      res.status(201).json({ recording: recorder.start(options) });
+    } catch (err) {
+      res.status(409).json({ error: err.message });
+    }
+  });
+
+  app.post('/api/recordings/:id/stop', async (req, res) => {
+    const recording = await recorder.stop(req.params.id);
+    if (!recording) return res.status(404).json({ error: 'Not recording.' });
+    res.json({ recording });
+  });
+
+  app.delete('/api/recordings/:id', async (req, res) => {
+    if (!(await recorder.remove(req.params.id))) return res.status(404).json({ error: 'Recording not found.' });
+    res.json({ ok: true });
+  });
+
+  app.get('/api/recordings/:id/messages', (req, res) => {
+    const stream = recorder.openMessages(req.params.id);
+    if (!stream) return res.status(404).json({ error: 'Recording not found.' });
+    res.set('Content-Type', 'application/x-ndjson');
+    stream.on('error', (err) => {
+      console.warn(`[recorder] Reading ${req.params.id}: ${err.message}`);
+      res.end();
+    });
+    res.on('close', () => stream.destroy());
+    stream.pipe(res);
+  });
+
+  app.get('/api/recordings/:id/download', (req, res) => {
+    const file = recorder.dataPath(req.params.id);
+    if (!file) return res.status(404).json({ error: 'Recording not found.' });
+    res.download(file, `${req.params.id}.ndjson.gz`);
+  });
+
+  // Finalise open recordings on shutdown so their gzip trailer is written
+  const shutdown = () => {
+    recorder.stopAll().finally(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  return recorder;
+}
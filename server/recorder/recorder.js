@@ -0,0 +1,260 @@
+// ============================================================================
+// Cerebro Crypto - Market Data Recorder
+// ============================================================================
+// Records raw Coinbase WebSocket messages for one pair per session into a
+// gzip-compressed NDJSON file, one line per message:
+//   {"t": <received epoch ms>, "m": <message exactly as received>}
+// Reconnects are marked with {"t": ..., "event": "reconnect"} so replays
+// can tell a gap from a quiet market.
+//
+// Each recording has a sidecar <id>.json with its metadata, rewritten
+// periodically so a crash leaves an "interrupted" recording that can still
+// be replayed up to the last flush.
+// ============================================================================
+
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import WebSocket from 'ws';
+
+export const RECORD_CHANNELS = ['ticker', 'level2', 'market_trades', 'candles'];
+
+// Coinbase names some channels differently on the wire
+const WIRE_CHANNELS = { l2_data: 'level2' };
+
+const FLUSH_MS = 5000;
+const RECONNECT_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+const ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** e.g. BTC-USD-20261018-071104 */
+function makeId(pair, ms) {
+  const d = new Date(ms);
+  const date = `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+  const time = `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}`;
+  return `${pair}-${date}-${time}`;
+}
+
+/**
+ * @param {Object} opts
+ * @param {string}   opts.dir          - where recordings are written
+ * @param {string}   opts.url          - WebSocket feed to record from
+ * @param {Function} [opts.getAuth]    - (channel, productIds) => auth fields
+ * @param {Function} [opts.WebSocketImpl=WebSocket]
+ */
+export function createRecorder({ dir, url, getAuth = () => ({}), WebSocketImpl = WebSocket }) {
+  /** @type {Map<string, Object>} id -> live session */
+  const sessions = new Map();
+
+  const dataPath = (id) => path.join(dir, `${id}.ndjson.gz`);
+  const metaPath = (id) => path.join(dir, `${id}.json`);
+
+  function writeMeta(meta) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(metaPath(meta.id), JSON.stringify(meta, null, 2));
+  }
+
+  function readMeta(id) {
+    try {
+      const meta = JSON.parse(fs.readFileSync(metaPath(id), 'utf8'));
+      // A "recording" file nobody is writing was cut short by a restart
+      if (meta.status === 'recording' && !sessions.has(id)) meta.status = 'interrupted';
+      try {
+        meta.bytes = fs.statSync(dataPath(id)).size;
+      } catch {
+        meta.bytes = 0;
+      }
+      return meta;
+    } catch {
+      return null;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Upstream connection
+  // ---------------------------------------------------------------------------
+
+  function connect(session) {
+    const { meta } = session;
+    const ws = new WebSocketImpl(url);
+    session.ws = ws;
+
+    ws.on('open', () => {
+      session.reconnectAttempt = 0;
+      for (const channel of meta.channels) {
+        let auth = {};
+        try {
+          auth = getAuth(channel, [meta.pair]) || {};
+        } catch (err) {
+          console.warn(`[recorder] ${meta.id}: auth failed - ${err.message}`);
+        }
+        ws.send(JSON.stringify({ type: 'subscribe', channel, product_ids: [meta.pair], ...auth }));
+      }
+    });
+
+    ws.on('message', (raw) => {
+      const text = raw.toString();
+      let channel;
+      try {
+        channel = JSON.parse(text).channel;
+      } catch {
+        return;
+      }
+      if (!meta.channels.includes(WIRE_CHANNELS[channel] || channel)) return;
+      const t = Date.now();
+      session.gzip.write(`{"t":${t},"m":${text}}\n`);
+      meta.messages += 1;
+      meta.firstTime ??= t;
+      meta.lastTime = t;
+    });
+
+    ws.on('error', (err) => console.warn(`[recorder] ${meta.id}: ${err.message}`));
+
+    ws.on('close', () => {
+      if (session.ws !== ws || session.stopping) return;
+      const delay = RECONNECT_DELAYS[Math.min(session.reconnectAttempt++, RECONNECT_DELAYS.length - 1)];
+      session.gzip.write(`{"t":${Date.now()},"event":"reconnect"}\n`);
+      meta.reconnects += 1;
+      session.reconnectTimer = setTimeout(() => connect(session), delay);
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Sessions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start recording a pair.
+   * @param {Object} opts
+   * @param {string}   opts.pair
+   * @param {string[]} [opts.channels=RECORD_CHANNELS]
+   * @param {number}   [opts.durationMinutes] - stop automatically after this long
+   * @param {string}   [opts.label]
+   * @returns {Object} recording metadata
+   */
+  function start({ pair, channels = RECORD_CHANNELS, durationMinutes = null, label = '' }) {
+    const startedAt = Date.now();
+    const id = makeId(pair, startedAt);
+    if (sessions.has(id)) throw new Error(`Already recording ${pair}`);
+
+    fs.mkdirSync(dir, { recursive: true });
+    const gzip = zlib.createGzip();
+    const file = fs.createWriteStream(dataPath(id));
+    gzip.pipe(file);
+
+    const meta = {
+      id,
+      pair,
+      label,
+      channels,
+      status: 'recording',
+      startedAt,
+      endedAt: null,
+      durationMinutes,
+      messages: 0,
+      reconnects: 0,
+      firstTime: null,
+      lastTime: null,
+    };
+    const session = { meta, gzip, file, ws: null, reconnectAttempt: 0, stopping: false };
+    sessions.set(id, session);
+
+    // Flush so an interrupted recording is readable up to the last few seconds
+    session.flushTimer = setInterval(() => {
+      gzip.flush();
+      writeMeta(meta);
+    }, FLUSH_MS);
+    if (durationMinutes > 0) {
+      session.stopTimer = setTimeout(() => stop(id), durationMinutes * 60000);
+    }
+
+    writeMeta(meta);
+    connect(session);
+    console.log(`[recorder] Recording ${pair} (${channels.join(', ')}) -> ${id}`);
+    return { ...meta };
+  }
+
+  /**
+   * Stop a recording and finalise its file.
+   * @returns {Promise<Object|null>} metadata, or null if it isn't recording
+   */
+  function stop(id) {
+    const session = sessions.get(id);
+    if (!session) return Promise.resolve(null);
+    if (session.stopping) return session.stopped;
+
+    session.stopping = true;
+    clearInterval(session.flushTimer);
+    clearTimeout(session.stopTimer);
+    clearTimeout(session.reconnectTimer);
+    session.ws?.close();
+
+    const { meta } = session;
+    meta.status = 'complete';
+    meta.endedAt = Date.now();
+
+    session.stopped = new Promise((resolve) => {
+      session.file.on('close', () => {
+        sessions.delete(id);
+        writeMeta(meta);
+        console.log(`[recorder] Stopped ${id} (${meta.messages} messages)`);
+        resolve(readMeta(id));
+      });
+      session.gzip.end();
+    });
+    return session.stopped;
+  }
+
+  /** All recordings, newest first. */
+  function list() {
+    let files = [];
+    try {
+      files = fs.readdirSync(dir).filter((f) => f.endsWith('.json'));
+    } catch {
+      return [];
+    }
+    return files
+      .map((f) => readMeta(f.slice(0, -'.json'.length)))
+      .filter(Boolean)
+      .map((meta) => (sessions.has(meta.id) ? { ...meta, ...sessions.get(meta.id).meta } : meta))
+      .sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  function get(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    const meta = readMeta(id);
+    return meta && sessions.has(id) ? { ...meta, ...sessions.get(id).meta } : meta;
+  }
+
+  /**
+   * Readable stream of the recording's NDJSON lines. Tolerates a truncated
+   * gzip tail, so in-progress and interrupted recordings can be read too.
+   */
+  function openMessages(id) {
+    if (!get(id)) return null;
+    const gunzip = zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    return fs.createReadStream(dataPath(id)).pipe(gunzip);
+  }
+
+  async function remove(id) {
+    if (!get(id)) return false;
+    await stop(id);
+    fs.rmSync(dataPath(id), { force: true });
+    fs.rmSync(metaPath(id), { force: true });
+    return true;
+  }
+
+  return {
+    start,
+    stop,
+    list,
+    get,
+    remove,
+    openMessages,
+    dataPath: (id) => (get(id) ? dataPath(id) : null),
+    isRecording: (id) => sessions.has(id),
+    stopAll: () => Promise.all([...sessions.keys()].map(stop)),
+  };
+}
@@ -0,0 +1,60 @@
+// ============================================================================
+// Cerebro Crypto - Sim Exchange Product Catalog
+// ============================================================================
+// The products the sim exchange lists (the frontend's DEFAULT_PAIRS) with
+// an anchor price, annualised volatility, typical spread and a rough daily
+// USD volume. Synthetic history is generated backwards from the anchor so
+// "now" always starts near a familiar price.
+// ============================================================================
+
+/**
+ * @typedef {Object} SimProduct
+ * @property {string} id             - e.g. 'BTC-USD'
+ * @property {string} baseName
+ * @property {number} price          - anchor price at startup
+ * @property {number} vol            - annualised volatility (0.6 = 60%)
+ * @property {number} spreadBps      - typical bid/ask spread in basis points
+ * @property {number} dailyVolumeUSD - typical 24h volume
+ * @property {string} quoteIncrement
+ * @property {string} baseIncrement
+ */
+
+/** @type {SimProduct[]} */
+export const SIM_PRODUCTS = [
+  { id: 'BTC-USD',   baseName: 'Bitcoin',       price: 65000,    vol: 0.55, spreadBps: 1,  dailyVolumeUSD: 900e6, quoteIncrement: '0.01',       baseIncrement: '0.00000001' },
+  { id: 'ETH-USD',   baseName: 'Ethereum',      price: 3200,     vol: 0.70, spreadBps: 1,  dailyVolumeUSD: 450e6, quoteIncrement: '0.01',       baseIncrement: '0.00000001' },
+  { id: 'SOL-USD',   baseName: 'Solana',        price: 150,      vol: 0.95, spreadBps: 2,  dailyVolumeUSD: 200e6, quoteIncrement: '0.01',       baseIncrement: '0.00000001' },
+  { id: 'AVAX-USD',  baseName: 'Avalanche',     price: 30,       vol: 1.00, spreadBps: 4,  dailyVolumeUSD: 30e6,  quoteIncrement: '0.01',       baseIncrement: '0.00000001' },
+  { id: 'LINK-USD',  baseName: 'Chainlink',     price: 15,       vol: 0.95, spreadBps: 4,  dailyVolumeUSD: 35e6,  quoteIncrement: '0.001',      baseIncrement: '0.01' },
+  { id: 'DOGE-USD',  baseName: 'Dogecoin',      price: 0.12,     vol: 1.10, spreadBps: 5,  dailyVolumeUSD: 80e6,  quoteIncrement: '0.00001',    baseIncrement: '0.1' },
+  { id: 'XRP-USD',   baseName: 'XRP',           price: 0.55,     vol: 0.90, spreadBps: 3,  dailyVolumeUSD: 120e6, quoteIncrement: '0.0001',     baseIncrement: '0.000001' },
+  { id: 'ADA-USD',   baseName: 'Cardano',       price: 0.45,     vol: 0.95, spreadBps: 4,  dailyVolumeUSD: 25e6,  quoteIncrement: '0.0001',     baseIncrement: '0.00000001' },
+  { id: 'DOT-USD',   baseName: 'Polkadot',      price: 6.5,      vol: 0.95, spreadBps: 5,  dailyVolumeUSD: 12e6,  quoteIncrement: '0.001',      baseIncrement: '0.00000001' },
+  { id: 'MATIC-USD', baseName: 'Polygon',       price: 0.7,      vol: 1.00, spreadBps: 5,  dailyVolumeUSD: 10e6,  quoteIncrement: '0.0001',     baseIncrement: '0.1' },
+  { id: 'LTC-USD',   baseName: 'Litecoin',      price: 80,       vol: 0.80, spreadBps: 3,  dailyVolumeUSD: 25e6,  quoteIncrement: '0.01',       baseIncrement: '0.00000001' },
+  { id: 'BCH-USD',   baseName: 'Bitcoin Cash',  price: 400,      vol: 0.85, spreadBps: 4,  dailyVolumeUSD: 15e6,  quoteIncrement: '0.01',       baseIncrement: '0.00000001' },
+  { id: 'SHIB-USD',  baseName: 'Shiba Inu',     price: 0.00002,  vol: 1.20, spreadBps: 8,  dailyVolumeUSD: 20e6,  quoteIncrement: '0.00000001', baseIncrement: '1' },
+  { id: 'UNI-USD',   baseName: 'Uniswap',       price: 8,        vol: 1.00, spreadBps: 5,  dailyVolumeUSD: 8e6,   quoteIncrement: '0.001',      baseIncrement: '0.000001' },
+  { id: 'ATOM-USD',  baseName: 'Cosmos',        price: 7,        vol: 0.95, spreadBps: 5,  dailyVolumeUSD: 8e6,   quoteIncrement: '0.001',      baseIncrement: '0.01' },
+  { id: 'NEAR-USD',  baseName: 'NEAR Protocol', price: 5,        vol: 1.05, spreadBps: 6,  dailyVolumeUSD: 10e6,  quoteIncrement: '0.001',      baseIncrement: '0.01' },
+  { id: 'APT-USD',   baseName: 'Aptos',         price: 8,        vol: 1.05, spreadBps: 6,  dailyVolumeUSD: 9e6,   quoteIncrement: '0.01',       baseIncrement: '0.01' },
+  { id: 'ARB-USD',   baseName: 'Arbitrum',      price: 0.9,      vol: 1.05, spreadBps: 6,  dailyVolumeUSD: 12e6,  quoteIncrement: '0.0001',     baseIncrement: '0.1' },
+];
+
+// Coinbase granularity names -> seconds
+export const GRANULARITY_SECONDS = {
+  ONE_MINUTE: 60,
+  FIVE_MINUTE: 300,
+  FIFTEEN_MINUTE: 900,
+  THIRTY_MINUTE: 1800,
+  ONE_HOUR: 3600,
+  TWO_HOUR: 7200,
+  SIX_HOUR: 21600,
+  ONE_DAY: 86400,
+};
+
+/** Number of decimals implied by an increment string like '0.001'. */
+export function decimalsOf(increment) {
+  const dot = increment.indexOf('.');
+  return dot === -1 ? 0 : increment.length - dot - 1;
+}
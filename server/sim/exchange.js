@@ -0,0 +1,499 @@
+// ============================================================================
+// Cerebro Crypto - Sim Exchange REST Endpoints
+// ============================================================================
+// Accounts and an order book-backed matching layer on top of the market
+// model, answering the Advanced Trade REST paths the app uses with
+// Coinbase-shaped JSON:
+//   GET  products, products/:id, products/:id/ticker, products/:id/candles
+//   GET  accounts, portfolios, transaction_summary
+//   POST orders                     (market_market_ioc, limit_limit_gtc)
+//   GET  orders/historical/batch, orders/historical/:id
+//   POST orders/batch_cancel
+//
+// Market orders walk the simulated book and fill immediately as taker.
+// Limit orders that cross fill as taker; the rest hold funds and fill as
+// maker once a trade prints through the limit price.
+// Every order change is reported to `onOrderUpdate` for the WS user channel.
+// ============================================================================
+
+import crypto from 'node:crypto';
+import { GRANULARITY_SECONDS } from './catalog.js';
+import { formatOrder as formatOrderRecord, userChannelOrder as formatUserUpdate } from '../paper/format.js';
+
+const MAX_CANDLES = 350;
+const DEFAULT_FEES = { maker: 0.004, taker: 0.006 };
+
+const iso = (ms) => new Date(ms).toISOString();
+
+/** Coinbase-style error body. */
+function errorBody(error, message) {
+  return { error, code: 3, message, details: [] };
+}
+
+/**
+ * Create the sim exchange.
+ *
+ * @param {Object} opts
+ * @param {Object}   opts.market                 - see market.js
+ * @param {number}   [opts.startingUSD=25000]
+ * @param {{ maker: number, taker: number }} [opts.fees]
+ * @param {Function} [opts.onOrderUpdate]        - (order) => void
+ * @param {Function} [opts.now=Date.now]
+ */
+export function createSimExchange({
+  market,
+  startingUSD = 25000,
+  fees = DEFAULT_FEES,
+  onOrderUpdate = () => {},
+  now = Date.now,
+}) {
+  // currency -> { available, hold }
+  const balances = new Map([['USD', { available: startingUSD, hold: 0 }]]);
+  const accountIds = new Map();
+  /** @type {Map<string, Object>} order_id -> order (internal numeric fields) */
+  const orders = new Map();
+  let totalVolume = 0;
+  let totalFees = 0;
+
+  const balance = (currency) => {
+    if (!balances.has(currency)) balances.set(currency, { available: 0, hold: 0 });
+    return balances.get(currency);
+  };
+
+  const accountId = (currency) => {
+    if (!accountIds.has(currency)) accountIds.set(currency, crypto.randomUUID());
+    return accountIds.get(currency);
+  };
+
+  // ---------------------------------------------------------------------------
+  // Formatting
+  // ---------------------------------------------------------------------------
+
+  function formatProduct(id) {
+    const p = market.product(id);
+    const s = market.stats(id);
+    const decimals = market.decimals(id);
+    const [base, quote] = id.split('-');
+    return {
+      product_id: id,
+      price: s.price.toFixed(decimals),
+      price_percentage_change_24h: s.changePct24.toFixed(8),
+      volume_24h: s.volume24.toFixed(8),
+      volume_percentage_change_24h: '0',
+      base_increment: p.baseIncrement,
+      quote_increment: p.quoteIncrement,
+      quote_min_size: '1',
+      quote_max_size: '50000000',
+      base_min_size: p.baseIncrement,
+      base_max_size: '1000000000',
+      base_name: p.baseName,
+      quote_name: 'US Dollar',
+      watched: false,
+      is_disabled: false,
+      new: false,
+      status: 'online',
+      cancel_only: false,
+      limit_only: false,
+      post_only: false,
+      trading_disabled: false,
+      auction_mode: false,
+      product_type: 'SPOT',
+      quote_currency_id: quote,
+      base_currency_id: base,
+      mid_market_price: ((s.bestBid[0] + s.bestAsk[0]) / 2).toFixed(decimals),
+      base_display_symbol: base,
+      quote_display_symbol: quote,
+      display_name: id.replace('-', '/'),
+      price_increment: p.quoteIncrement,
+    };
+  }
+
+  function formatAccount(currency) {
+    const b = balance(currency);
+    const isFiat = currency === 'USD';
+    const digits = isFiat ? 2 : 8;
+    return {
+      uuid: accountId(currency),
+      name: `${currency} Wallet`,
+      currency,
+      available_balance: { value: b.available.toFixed(digits), currency },
+      default: isFiat,
+      active: true,
+      created_at: iso(0),
+      updated_at: iso(now()),
+      deleted_at: null,
+      type: isFiat ? 'ACCOUNT_TYPE_FIAT' : 'ACCOUNT_TYPE_CRYPTO',
+      ready: true,
+      hold: { value: b.hold.toFixed(digits), currency },
+    };
+  }
+
+  const fmtPriceOf = (productId) => {
+    const decimals = market.decimals(productId);
+    return (v) => v.toFixed(decimals);
+  };
+  const formatOrder = (o) => formatOrderRecord(o, fmtPriceOf(o.productId));
+  const userChannelOrder = (o) => formatUserUpdate(o, fmtPriceOf(o.productId));
+
+  const emit = (o) => onOrderUpdate(userChannelOrder(o));
+
+  // ---------------------------------------------------------------------------
+  // Matching
+  // ---------------------------------------------------------------------------
+
+  /** Apply a fill to an order and the balances. */
+  function applyFill(o, qty, price, liquidity) {
+    const [base] = o.productId.split('-');
+    const value = qty * price;
+    const fee = value * (liquidity === 'MAKER' ? fees.maker : fees.taker);
+    const usd = balance('USD');
+    const coin = balance(base);
+
+    if (o.side === 'BUY') {
+      // Limit buys pay from their hold; market buys from available
+      const cost = value + fee;
+      const fromHold = Math.min(o.hold, cost);
+      o.hold -= fromHold;
+      usd.hold -= fromHold;
+      usd.available -= cost - fromHold;
+      coin.available += qty;
+    } else {
+      const fromHold = Math.min(o.hold, qty);
+      o.hold -= fromHold;
+      coin.hold -= fromHold;
+      coin.available -= qty - fromHold;
+      usd.available += value - fee;
+    }
+
+    o.filledSize += qty;
+    o.filledValue += value;
+    o.fees += fee;
+    o.fills += 1;
+    o.lastFillAt = now();
+    totalVolume += value;
+    totalFees += fee;
+  }
+
+  /** Release whatever is still held for an order. */
+  function releaseHold(o) {
+    if (o.hold <= 0) return;
+    const currency = o.side === 'BUY' ? 'USD' : o.productId.split('-')[0];
+    const b = balance(currency);
+    b.hold -= o.hold;
+    b.available += o.hold;
+    o.hold = 0;
+  }
+
+  /**
+   * Walk the opposite side of the book for up to `baseSize` (or `quoteSize`
+   * USD incl. fees for market buys).
+   * @returns {Array<[number, number]>} [qty, price] fills
+   */
+  function walkBook(productId, side, { baseSize, quoteSize, limitPrice }) {
+    const levels = market.levels(productId, side === 'BUY' ? 'offer' : 'bid');
+    const fills = [];
+    let remainingBase = baseSize ?? Infinity;
+    let remainingQuote = quoteSize != null ? quoteSize / (1 + fees.taker) : Infinity;
+
+    for (const [price, qty] of levels) {
+      if (remainingBase <= 1e-12 || remainingQuote <= 1e-9) break;
+      if (limitPrice != null && (side === 'BUY' ? price > limitPrice : price < limitPrice)) break;
+      const take = Math.min(qty, remainingBase, remainingQuote / price);
+      if (take <= 0) continue;
+      fills.push([take, price]);
+      remainingBase -= take;
+      remainingQuote -= take * price;
+    }
+    return fills;
+  }
+
+  function reject(error, message, previewReason) {
+    return {
+      success: false,
+      failure_reason: 'UNKNOWN_FAILURE_REASON',
+      order_id: '',
+      error_response: {
+        error,
+        message,
+        error_details: message,
+        preview_failure_reason: previewReason || `PREVIEW_${error}`,
+      },
+    };
+  }
+
+  function placeOrder(body = {}) {
+    const { product_id: productId, side, client_order_id: clientOrderId, order_configuration: cfg = {} } = body;
+    if (!market.product(productId)) return reject('INVALID_PRODUCT_ID', `Unknown product ${productId}`);
+    if (side !== 'BUY' && side !== 'SELL') return reject('INVALID_SIDE', 'Side must be BUY or SELL');
+
+    const marketCfg = cfg.market_market_ioc;
+    const limitCfg = cfg.limit_limit_gtc;
+    if (!marketCfg && !limitCfg) {
+      return reject('UNSUPPORTED_ORDER_CONFIGURATION', 'Sim exchange supports market_market_ioc and limit_limit_gtc');
+    }
+
+    const [base] = productId.split('-');
+    const baseSize = parseFloat((marketCfg || limitCfg).base_size) || null;
+    const quoteSize = marketCfg ? parseFloat(marketCfg.quote_size) || null : null;
+    const limitPrice = limitCfg ? parseFloat(limitCfg.limit_price) : null;
+    if (!baseSize && !quoteSize) return reject('INVALID_SIZE', 'Order needs base_size or quote_size', 'PREVIEW_INVALID_BASE_SIZE_TOO_SMALL');
+    if (limitCfg && !(limitPrice > 0)) return reject('INVALID_LIMIT_PRICE', 'Invalid limit price', 'PREVIEW_INVALID_LIMIT_PRICE');
+
+    const o = {
+      id: crypto.randomUUID(),
+      clientOrderId: clientOrderId || crypto.randomUUID(),
+      productId,
+      side,
+      type: marketCfg ? 'MARKET' : 'LIMIT',
+      configuration: cfg,
+      baseSize: baseSize || 0,
+      sizeInQuote: !!quoteSize,
+      limitPrice,
+      postOnly: !!limitCfg?.post_only,
+      status: 'PENDING',
+      createdAt: now(),
+      filledSize: 0,
+      filledValue: 0,
+      fees: 0,
+      fills: 0,
+      hold: 0,
+      lastFillAt: null,
+    };
+
+    // Funds check against the worst price we could pay / the size we sell
+    const usd = balance('USD');
+    const coin = balance(base);
+    if (side === 'BUY') {
+      const refPrice = limitPrice ?? market.stats(productId).bestAsk[0];
+      const needed = quoteSize ?? baseSize * refPrice * (1 + fees.taker);
+      if (needed > usd.available + 1e-9) {
+        return reject('INSUFFICIENT_FUND', 'Insufficient balance in source account', 'PREVIEW_INSUFFICIENT_FUND');
+      }
+    } else {
+      const neededBase = baseSize ?? quoteSize / market.stats(productId).bestBid[0];
+      if (neededBase > coin.available + 1e-12) {
+        return reject('INSUFFICIENT_FUND', 'Insufficient balance in source account', 'PREVIEW_INSUFFICIENT_FUND');
+      }
+      if (!baseSize) o.baseSize = neededBase;
+    }
+
+    if (o.type === 'MARKET') {
+      const fills = walkBook(productId, side, { baseSize: o.sizeInQuote && side === 'BUY' ? null : o.baseSize, quoteSize: side === 'BUY' ? quoteSize : null });
+      if (fills.length === 0) return reject('INSUFFICIENT_LIQUIDITY', 'No liquidity on the sim book');
+      for (const [qty, price] of fills) applyFill(o, qty, price, 'TAKER');
+      if (o.sizeInQuote) o.baseSize = o.filledSize;
+      o.status = 'FILLED';
+    } else {
+      const crosses = walkBook(productId, side, { baseSize: o.baseSize, limitPrice });
+      if (crosses.length > 0 && o.postOnly) {
+        return reject('INVALID_LIMIT_PRICE_POST_ONLY', 'Post-only limit order would cross the book', 'PREVIEW_INVALID_LIMIT_PRICE_POST_ONLY');
+      }
+      for (const [qty, price] of crosses) applyFill(o, qty, price, 'TAKER');
+
+      // Hold funds for the resting remainder
+      const remaining = o.baseSize - o.filledSize;
+      if (remaining > 1e-12) {
+        if (side === 'BUY') {
+          o.hold = remaining * limitPrice * (1 + fees.maker);
+          usd.available -= o.hold;
+          usd.hold += o.hold;
+        } else {
+          o.hold = remaining;
+          coin.available -= remaining;
+          coin.hold += remaining;
+        }
+        o.status = 'OPEN';
+      } else {
+        o.status = 'FILLED';
+      }
+    }
+
+    orders.set(o.id, o);
+    emit(o);
+    return {
+      success: true,
+      failure_reason: 'UNKNOWN_FAILURE_REASON',
+      order_id: o.id,
+      success_response: {
+        order_id: o.id,
+        product_id: productId,
+        side,
+        client_order_id: o.clientOrderId,
+      },
+      order_configuration: cfg,
+    };
+  }
+
+  function cancelOrders(ids = []) {
+    return {
+      results: ids.map((id) => {
+        const o = orders.get(id);
+        if (!o) return { success: false, failure_reason: 'UNKNOWN_CANCEL_ORDER', order_id: id };
+        if (o.status !== 'OPEN') return { success: false, failure_reason: 'UNKNOWN_CANCEL_FAILURE_REASON', order_id: id };
+        releaseHold(o);
+        o.status = 'CANCELLED';
+        emit(o);
+        return { success: true, failure_reason: 'UNKNOWN_CANCEL_FAILURE_REASON', order_id: id };
+      }),
+    };
+  }
+
+  /**
+   * Fill resting limit orders that the latest trades printed through.
+   * @param {Map<string, { trades: Object[] }>} events - market.tick() output
+   */
+  function onTick(events) {
+    for (const o of orders.values()) {
+      if (o.status !== 'OPEN') continue;
+      const trades = events.get(o.productId)?.trades;
+      if (!trades?.length) continue;
+
+      const crossed = trades.some((t) => {
+        const px = parseFloat(t.price);
+        return o.side === 'BUY' ? px <= o.limitPrice : px >= o.limitPrice;
+      });
+      if (!crossed) continue;
+
+      applyFill(o, o.baseSize - o.filledSize, o.limitPrice, 'MAKER');
+      releaseHold(o);
+      o.status = 'FILLED';
+      emit(o);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // REST routing
+  // ---------------------------------------------------------------------------
+
+  function listOrders(query) {
+    const toList = (v) => (v == null ? [] : Array.isArray(v) ? v : String(v).split(','));
+    const statuses = toList(query.order_status);
+    const products = [...toList(query.product_id), ...toList(query.product_ids)];
+    const limit = Math.min(parseInt(query.limit, 10) || 100, 1000);
+
+    const list = [...orders.values()]
+      .filter((o) => statuses.length === 0 || statuses.includes(o.status))
+      .filter((o) => products.length === 0 || products.includes(o.productId))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map(formatOrder);
+    return { orders: list, sequence: '0', has_next: false, cursor: '' };
+  }
+
+  function candles(productId, query) {
+    const granularity = query.granularity || 'ONE_HOUR';
+    const seconds = GRANULARITY_SECONDS[granularity];
+    if (!seconds) return { status: 400, body: errorBody('INVALID_ARGUMENT', `Unsupported granularity ${granularity}`) };
+
+    const end = parseInt(query.end, 10) || Math.floor(now() / 1000);
+    const start = parseInt(query.start, 10) || end - seconds * 300;
+    if ((end - start) / seconds > MAX_CANDLES) {
+      return {
+        status: 400,
+        body: errorBody('INVALID_ARGUMENT', `number of candles requested should be less than ${MAX_CANDLES}`),
+      };
+    }
+
+    const bars = market.getCandles(productId, granularity, start, end);
+    const decimals = market.decimals(productId);
+    return {
+      status: 200,
+      body: {
+        candles: bars.reverse().map((b) => ({
+          start: String(b.start),
+          low: b.low.toFixed(decimals),
+          high: b.high.toFixed(decimals),
+          open: b.open.toFixed(decimals),
+          close: b.close.toFixed(decimals),
+          volume: b.volume.toFixed(8),
+        })),
+      },
+    };
+  }
+
+  function ticker(productId, query) {
+    const s = market.stats(productId);
+    const decimals = market.decimals(productId);
+    const limit = Math.min(parseInt(query.limit, 10) || 10, 50);
+    return {
+      trades: market.recentTrades(productId, limit).map((t) => ({ ...t, bid: '', ask: '' })),
+      best_bid: s.bestBid[0].toFixed(decimals),
+      best_ask: s.bestAsk[0].toFixed(decimals),
+    };
+  }
+
+  /**
+   * Answer one REST call.
+   * @param {string} method
+   * @param {string} path   - path below /api/v3/brokerage, e.g. 'products/BTC-USD/candles'
+   * @param {Object} query
+   * @param {Object} body
+   * @returns {{ status: number, body: Object }}
+   */
+  function handle(method, path, query = {}, body = {}) {
+    const parts = path.replace(/^\/+|\/+$/g, '').split('/');
+    const ok = (b) => ({ status: 200, body: b });
+    const notFound = () => ({ status: 404, body: errorBody('NOT_FOUND', `Sim exchange has no route for ${method} ${path}`) });
+    const productExists = (id) => !!market.product(id);
+
+    if (method === 'GET') {
+      if (path === 'products') {
+        const ids = market.productIds();
+        return ok({ products: ids.map(formatProduct), num_products: ids.length });
+      }
+      if (parts[0] === 'products' && parts.length >= 2) {
+        const id = parts[1];
+        if (!productExists(id)) return { status: 404, body: errorBody('NOT_FOUND', `Product ${id} not found`) };
+        if (parts.length === 2) return ok(formatProduct(id));
+        if (parts[2] === 'ticker') return ok(ticker(id, query));
+        if (parts[2] === 'candles') return candles(id, query);
+      }
+      if (path === 'accounts') {
+        const currencies = [...new Set(['USD', ...market.productIds().map((id) => id.split('-')[0])])];
+        const accounts = currencies.map(formatAccount);
+        return ok({ accounts, has_next: false, cursor: '', size: accounts.length });
+      }
+      if (path === 'portfolios') {
+        return ok({ portfolios: [{ name: 'Default', uuid: 'sim-portfolio', type: 'DEFAULT', deleted: false }] });
+      }
+      if (path === 'transaction_summary') {
+        return ok({
+          total_volume: totalVolume,
+          total_fees: totalFees,
+          fee_tier: {
+            pricing_tier: 'Sim',
+            usd_from: '0',
+            usd_to: '10000',
+            taker_fee_rate: String(fees.taker),
+            maker_fee_rate: String(fees.maker),
+          },
+          margin_rate: null,
+          goods_and_services_tax: null,
+          advanced_trade_only_volume: totalVolume,
+          advanced_trade_only_fees: totalFees,
+          coinbase_pro_volume: 0,
+          coinbase_pro_fees: 0,
+        });
+      }
+      if (path === 'orders/historical/batch') return ok(listOrders(query));
+      if (parts[0] === 'orders' && parts[1] === 'historical' && parts.length === 3) {
+        const o = orders.get(parts[2]);
+        return o ? ok({ order: formatOrder(o) }) : { status: 404, body: errorBody('NOT_FOUND', 'Order not found') };
+      }
+    }
+
+    if (method === 'POST') {
+      if (path === 'orders') return ok(placeOrder(body));
+      if (path === 'orders/batch_cancel') return ok(cancelOrders(body.order_ids));
+    }
+
+    return notFound();
+  }
+
+  return {
+    handle,
+    onTick,
+    /** Open orders, for the user channel snapshot. */
+    openOrders: () => [...orders.values()].filter((o) => o.status === 'OPEN').map(userChannelOrder),
+  };
+}
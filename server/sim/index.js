@@ -0,0 +1,85 @@
+// ============================================================================
+// Cerebro Crypto - Sim Exchange
+// ============================================================================
+// Offline stand-in for Coinbase Advanced Trade, enabled with
+// SIM_EXCHANGE=true. The proxy routes /api/coinbase/* here instead of
+// api.coinbase.com, and serves a matching WebSocket feed on /api/ws, so the
+// whole UI and engine run without keys or network access.
+//
+// Market data is synthetic (seeded random walk) unless SIM_DATA_FILE points
+// at a JSON recording of 1m bars, which is replayed one bar per minute.
+//
+// Optional .env tuning:
+//   SIM_SEED           - seed for synthetic history (default 'cerebro')
+//   SIM_DATA_FILE      - recorded 1m bars, see market.js loadRecording
+//   SIM_REPLAY_WARMUP  - recorded bars used as history (default 720)
+//   SIM_TICK_MS        - market tick interval (default 1000)
+//   SIM_START_USD      - starting USD balance (default 25000)
+// ============================================================================
+
+import { createSimMarket, loadRecording } from './market.js';
+import { createSimExchange } from './exchange.js';
+import { createSimFeed } from './ws.js';
+
+const envNum = (name, fallback) => {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+};
+
+/**
+ * Build the sim exchange and start its tick loop.
+ * @returns {{ market: Object, handle: Function, onTick: Function, attachWebSocket: Function, wsPath: string, stop: Function }}
+ */
+export function startSimExchange() {
+  let recording = null;
+  if (process.env.SIM_DATA_FILE) {
+    recording = loadRecording(process.env.SIM_DATA_FILE);
+    console.log(`[sim] Loaded recording for ${Object.keys(recording).join(', ')}`);
+  }
+
+  const market = createSimMarket({
+    seed: process.env.SIM_SEED || 'cerebro',
+    recording,
+    warmupBars: envNum('SIM_REPLAY_WARMUP', 720),
+  });
+
+  let feed = null;
+  const exchange = createSimExchange({
+    market,
+    startingUSD: envNum('SIM_START_USD', 25000),
+    onOrderUpdate: (order) => feed?.broadcastOrder(order),
+  });
+  feed = createSimFeed({ market, exchange });
+
+  const tickListeners = new Set();
+  const tickMs = envNum('SIM_TICK_MS', 1000);
+  const timer = setInterval(() => {
+    try {
+      const events = market.tick();
+      exchange.onTick(events);
+      feed.broadcast(events);
+      feed.heartbeat();
+      tickListeners.forEach((listener) => listener(events));
+    } catch (err) {
+      console.error('[sim] Tick failed:', err.message);
+    }
+  }, tickMs);
+
+  console.log(`[sim] Sim exchange ready: ${market.productIds().length} products, tick ${tickMs}ms`);
+
+  return {
+    market,
+    handle: exchange.handle,
+    /** Listen to every market tick; returns an unsubscribe function. */
+    onTick: (listener) => {
+      tickListeners.add(listener);
+      return () => tickListeners.delete(listener);
+    },
+    attachWebSocket: (server) => feed.attach(server),
+    wsPath: feed.path,
+    stop: () => {
+      clearInterval(timer);
+      feed.close();
+    },
+  };
+}
@@ -0,0 +1,528 @@
+// ============================================================================
+// Cerebro Crypto - Sim Exchange Market Model
+// ============================================================================
+// Price, candle, order book and trade state for every simulated product.
+//
+// Synthetic products: history is generated *backwards* from the catalog
+// anchor price (random walk with a slowly wandering drift so regimes
+// change), so "now" starts at a familiar level:
+//   - 1m bars for the last `minuteHistoryDays`
+//   - 1h bars for `hourHistoryDays` before that
+// Coarse candle requests aggregate both, so every timeframe the app asks
+// for (up to 300 daily bars) has data. As minutes age out of the 1m window
+// they are folded into hourly bars, keeping the two consistent.
+//
+// Recorded products (see loadRecording): the first `warmupBars` 1m bars are
+// time-shifted to end just before now and serve as history; the rest replay
+// live, one recorded bar per wall-clock minute with an O -> H/L -> C tick
+// path. When the recording runs out the product continues synthetically.
+//
+// State is created lazily per product on first use.
+// ============================================================================
+
+import fs from 'node:fs';
+import { SIM_PRODUCTS, GRANULARITY_SECONDS, decimalsOf } from './catalog.js';
+import { createRandom } from './random.js';
+
+const YEAR_SECONDS = 365 * 86400;
+const BOOK_DEPTH = 20;
+const TRADES_PER_SECOND = 1.2;
+const RECENT_TRADES = 50;
+const DAY_MINUTES = 1440;
+
+const minuteOf = (ms) => Math.floor(ms / 60000) * 60;
+
+/** Round a price to the product's quote increment, as a fixed string. */
+function fmtPrice(price, decimals) {
+  return price.toFixed(decimals);
+}
+
+function stepVol(annualVol, seconds) {
+  return annualVol * Math.sqrt(seconds / YEAR_SECONDS);
+}
+
+/**
+ * Generate `count` bars backwards so the last bar starts at `lastStart`
+ * and closes at `endPrice`. Returns bars oldest-first.
+ */
+function generateBackward(rng, { endPrice, count, barSeconds, lastStart, vol, volumeUSD }) {
+  const sigma = stepVol(vol, barSeconds);
+  const bars = new Array(count);
+  let close = endPrice;
+  let drift = 0;
+
+  for (let i = count - 1; i >= 0; i--) {
+    // Mean-reverting drift (in sigmas per bar) gives trending stretches
+    drift = drift * 0.995 + rng.normal() * 0.03;
+    const r = drift * sigma * 0.1 + rng.normal() * sigma;
+    const open = close / Math.exp(r);
+    const wick = () => Math.abs(rng.normal()) * sigma * 0.4;
+    const high = Math.max(open, close) * Math.exp(wick());
+    const low = Math.min(open, close) * Math.exp(-wick());
+    const activity = 1 + Math.min(4, Math.abs(r) / sigma) * 0.5;
+    const volume = (volumeUSD / close) * rng.logNormal(1, 0.5) * activity;
+
+    bars[i] = { start: lastStart - (count - 1 - i) * barSeconds, open, high, low, close, volume };
+    close = open;
+  }
+  return bars;
+}
+
+/** Merge bars (oldest-first) into buckets of `seconds`, oldest-first. */
+function aggregate(bars, seconds, fromSec, toSec, out = []) {
+  let current = out.length ? out[out.length - 1] : null;
+  for (const bar of bars) {
+    if (bar.start < fromSec || bar.start > toSec) continue;
+    const bucket = Math.floor(bar.start / seconds) * seconds;
+    if (current && current.start === bucket) {
+      current.high = Math.max(current.high, bar.high);
+      current.low = Math.min(current.low, bar.low);
+      current.close = bar.close;
+      current.volume += bar.volume;
+    } else {
+      current = { ...bar, start: bucket };
+      out.push(current);
+    }
+  }
+  return out;
+}
+
+/** Index of the first bar with start >= sec (bars sorted oldest-first). */
+function lowerBound(bars, sec) {
+  let lo = 0;
+  let hi = bars.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (bars[mid].start < sec) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Load a 1m recording. Accepts `{ products: { PAIR: bars } }` or
+ * `{ PAIR: bars }`, where bars are `{ start, open, high, low, close, volume }`
+ * objects (start in seconds or ms) or Coinbase-style
+ * `[time, low, high, open, close, volume]` arrays.
+ *
+ * @param {string} file
+ * @returns {Object<string, Object[]>} pair -> bars oldest-first
+ */
+export function loadRecording(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const products = raw.products || raw;
+  const result = {};
+
+  for (const [pair, rows] of Object.entries(products)) {
+    if (!Array.isArray(rows) || rows.length === 0) continue;
+    const bars = rows.map((r) => {
+      const b = Array.isArray(r)
+        ? { start: r[0], low: r[1], high: r[2], open: r[3], close: r[4], volume: r[5] }
+        : r;
+      const start = Number(b.start ?? b.timestamp);
+      return {
+        start: start > 1e12 ? Math.floor(start / 1000) : start,
+        open: Number(b.open),
+        high: Number(b.high),
+        low: Number(b.low),
+        close: Number(b.close),
+        volume: Number(b.volume) || 0,
+      };
+    }).filter((b) => b.close > 0).sort((a, b) => a.start - b.start);
+    if (bars.length > 1) result[pair] = bars;
+  }
+  return result;
+}
+
+/** Catalog entry for a recorded pair the catalog doesn't know. */
+function productFromBars(id, bars) {
+  const price = bars[bars.length - 1].close;
+  let sumSq = 0;
+  for (let i = 1; i < bars.length; i++) sumSq += Math.log(bars[i].close / bars[i - 1].close) ** 2;
+  const minuteVol = Math.sqrt(sumSq / Math.max(1, bars.length - 1));
+  const decimals = Math.min(8, Math.max(2, 4 - Math.floor(Math.log10(price))));
+  return {
+    id,
+    baseName: id.split('-')[0],
+    price,
+    vol: Math.max(0.2, minuteVol * Math.sqrt(YEAR_SECONDS / 60)),
+    spreadBps: 5,
+    dailyVolumeUSD: 10e6,
+    quoteIncrement: (10 ** -decimals).toFixed(decimals),
+    baseIncrement: '0.00000001',
+  };
+}
+
+/**
+ * Create the market model.
+ *
+ * @param {Object} [opts]
+ * @param {string}   [opts.seed='cerebro']
+ * @param {Object}   [opts.recording]          - output of loadRecording
+ * @param {number}   [opts.warmupBars=720]     - recorded bars used as history
+ * @param {number}   [opts.minuteHistoryDays=4]
+ * @param {number}   [opts.hourHistoryDays=320]
+ * @param {Function} [opts.now=Date.now]
+ */
+export function createSimMarket({
+  seed = 'cerebro',
+  recording = null,
+  warmupBars = 720,
+  minuteHistoryDays = 4,
+  hourHistoryDays = 320,
+  now = Date.now,
+} = {}) {
+  const catalog = new Map(SIM_PRODUCTS.map((p) => [p.id, p]));
+  for (const [id, bars] of Object.entries(recording || {})) {
+    if (!catalog.has(id)) catalog.set(id, productFromBars(id, bars));
+  }
+
+  const states = new Map();
+  const liveRng = createRandom(`${seed}:live`);
+  const maxMinuteBars = minuteHistoryDays * DAY_MINUTES;
+
+  // ---------------------------------------------------------------------------
+  // Product state
+  // ---------------------------------------------------------------------------
+
+  function initSynthetic(product, nowMs) {
+    const rng = createRandom(`${seed}:${product.id}`);
+    const currentStart = minuteOf(nowMs);
+    const m1Start = Math.ceil((currentStart - minuteHistoryDays * 86400) / 3600) * 3600;
+    const m1 = generateBackward(rng, {
+      endPrice: product.price,
+      count: (currentStart - m1Start) / 60,
+      barSeconds: 60,
+      lastStart: currentStart - 60,
+      vol: product.vol,
+      volumeUSD: product.dailyVolumeUSD / DAY_MINUTES,
+    });
+    const hourly = generateBackward(rng, {
+      endPrice: m1[0].open,
+      count: hourHistoryDays * 24,
+      barSeconds: 3600,
+      lastStart: m1Start - 3600,
+      vol: product.vol,
+      volumeUSD: product.dailyVolumeUSD / 24,
+    });
+    return { m1, hourly, price: product.price, replay: null };
+  }
+
+  function initRecorded(product, bars, nowMs) {
+    const currentStart = minuteOf(nowMs);
+    const warmup = Math.max(1, Math.min(warmupBars, bars.length - 1));
+    const m1 = bars.slice(0, warmup).map((b, i) => ({ ...b, start: currentStart - (warmup - i) * 60 }));
+    const last = m1[m1.length - 1];
+    return {
+      m1,
+      hourly: [],
+      price: last.close,
+      replay: { bars, index: warmup },
+    };
+  }
+
+  function ensure(id) {
+    let state = states.get(id);
+    if (state) return state;
+    const product = catalog.get(id);
+    if (!product) return null;
+
+    const nowMs = now();
+    const recorded = recording?.[id];
+    state = recorded ? initRecorded(product, recorded, nowMs) : initSynthetic(product, nowMs);
+    Object.assign(state, {
+      product,
+      decimals: decimalsOf(product.quoteIncrement),
+      baseDecimals: Math.min(8, decimalsOf(product.baseIncrement)),
+      drift: 0,
+      bids: new Map(),
+      asks: new Map(),
+      trades: [],
+      tradeSeq: 1,
+      lastTickMs: nowMs,
+    });
+    openBar(state, minuteOf(nowMs));
+    refreshBook(state);
+    states.set(id, state);
+    return state;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Bars
+  // ---------------------------------------------------------------------------
+
+  /** Start a new in-progress 1m bar (and advance the replay cursor). */
+  function openBar(state, start) {
+    const open = state.price;
+    let target = null;
+    if (state.replay) {
+      const rec = state.replay.bars[state.replay.index];
+      if (rec) {
+        // Re-base the recorded bar onto the current price to avoid gaps
+        const scale = open / rec.open;
+        target = {
+          high: rec.high * scale,
+          low: rec.low * scale,
+          close: rec.close * scale,
+          volume: rec.volume,
+        };
+        state.replay.index += 1;
+      } else {
+        state.replay = null;
+      }
+    }
+    state.m1.push({ start, open, high: open, low: open, close: open, volume: 0 });
+    state.target = target;
+  }
+
+  /** Fold the oldest full hour of 1m bars into the hourly series. */
+  function compact(state) {
+    while (state.m1.length > maxMinuteBars + 60) {
+      const first = state.m1[0];
+      if (first.start % 3600 !== 0) {
+        state.m1.shift();
+        continue;
+      }
+      const hourBars = state.m1.splice(0, 60);
+      state.hourly.push(aggregate(hourBars, 3600, first.start, first.start + 3599)[0]);
+      if (state.hourly.length > hourHistoryDays * 24) state.hourly.shift();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Order book
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Rebuild the ladder around the current price. Existing levels keep
+   * their size (with occasional jitter) so only real changes are emitted.
+   * @returns {Array<{ side: 'bid'|'offer', price_level: string, new_quantity: string }>}
+   */
+  function refreshBook(state) {
+    const { product, decimals, baseDecimals } = state;
+    const inc = Number(product.quoteIncrement);
+    const step = Math.max(inc, Math.round((state.price * product.spreadBps / 1e4) / inc) * inc);
+    const bestBid = Math.floor((state.price - step / 2) / inc) * inc;
+    const levelUSD = product.dailyVolumeUSD / 4000;
+    const updates = [];
+
+    for (const [side, book] of [['bid', state.bids], ['offer', state.asks]]) {
+      const wanted = new Set();
+      for (let i = 0; i < BOOK_DEPTH; i++) {
+        const px = side === 'bid' ? bestBid - i * step : bestBid + step + i * step;
+        if (px <= 0) continue;
+        const key = fmtPrice(px, decimals);
+        wanted.add(key);
+        const existing = book.get(key);
+        if (existing != null && liveRng.next() > 0.1) continue;
+        const qty = (levelUSD * (1 + i * 0.15) * liveRng.logNormal(1, 0.6)) / px;
+        const q = qty.toFixed(baseDecimals);
+        if (q === existing) continue;
+        book.set(key, q);
+        updates.push({ side, price_level: key, new_quantity: q });
+      }
+      for (const key of [...book.keys()]) {
+        if (wanted.has(key)) continue;
+        book.delete(key);
+        updates.push({ side, price_level: key, new_quantity: '0' });
+      }
+    }
+    return updates;
+  }
+
+  function levels(state, side) {
+    const book = side === 'bid' ? state.bids : state.asks;
+    return [...book.entries()]
+      .map(([p, q]) => [Number(p), Number(q)])
+      .sort((a, b) => (side === 'bid' ? b[0] - a[0] : a[0] - b[0]));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Ticks
+  // ---------------------------------------------------------------------------
+
+  /** Move the price for one tick and return the new price. */
+  function stepPrice(state, nowMs, dtSec) {
+    const bar = state.m1[state.m1.length - 1];
+    if (state.target) {
+      // Recorded bar: O -> first extreme -> second extreme -> C
+      const f = Math.min(1, (nowMs / 1000 - bar.start) / 60);
+      const { high, low, close } = state.target;
+      const first = close >= bar.open ? low : high;
+      const second = close >= bar.open ? high : low;
+      const path = [bar.open, first, second, close];
+      const pos = f * 3;
+      const i = Math.min(2, Math.floor(pos));
+      const base = path[i] + (path[i + 1] - path[i]) * (pos - i);
+      const noise = base * stepVol(state.product.vol, dtSec) * 0.2 * liveRng.normal();
+      return Math.min(high, Math.max(low, base + noise));
+    }
+
+    const sigma = stepVol(state.product.vol, dtSec);
+    state.drift = state.drift * 0.999 + liveRng.normal() * 0.01;
+    return state.price * Math.exp(state.drift * sigma * 0.1 + liveRng.normal() * sigma);
+  }
+
+  function makeTrades(state, nowMs, dtSec, move) {
+    const { product, decimals, baseDecimals } = state;
+    const count = liveRng.poisson(TRADES_PER_SECOND * dtSec);
+    const bar = state.m1[state.m1.length - 1];
+    const trades = [];
+    const recordedPerSecond = state.target ? state.target.volume / 60 : null;
+
+    for (let i = 0; i < count; i++) {
+      const side = liveRng.next() < (move >= 0 ? 0.6 : 0.4) ? 'BUY' : 'SELL';
+      const half = (state.price * product.spreadBps) / 2e4;
+      const price = state.price + (side === 'BUY' ? half : -half);
+      const size = recordedPerSecond != null
+        ? (recordedPerSecond * dtSec) / count
+        : (product.dailyVolumeUSD / 86400 / TRADES_PER_SECOND / price) * liveRng.logNormal(1, 0.9);
+      const trade = {
+        trade_id: String(state.tradeSeq++),
+        product_id: product.id,
+        price: fmtPrice(price, decimals),
+        size: size.toFixed(baseDecimals),
+        side,
+        time: new Date(nowMs).toISOString(),
+      };
+      bar.volume += Number(trade.size);
+      trades.push(trade);
+    }
+    state.trades = [...trades.reverse(), ...state.trades].slice(0, RECENT_TRADES);
+    return trades;
+  }
+
+  /**
+   * Advance every initialised product to `nowMs`.
+   * @returns {Map<string, { trades: Object[], bookUpdates: Object[], bar: Object }>}
+   */
+  function tick(nowMs = now()) {
+    const events = new Map();
+
+    for (const [id, state] of states) {
+      const dtSec = Math.max(0.05, (nowMs - state.lastTickMs) / 1000);
+      state.lastTickMs = nowMs;
+
+      const minute = minuteOf(nowMs);
+      let bar = state.m1[state.m1.length - 1];
+      if (minute > bar.start) {
+        // Close any recorded bar exactly on its target before rolling over
+        if (state.target) {
+          state.price = state.target.close;
+          bar.close = state.price;
+          bar.high = Math.max(bar.high, state.target.high);
+          bar.low = Math.min(bar.low, state.target.low);
+        }
+        // Skipped minutes (e.g. a suspended laptop) become flat bars
+        for (let t = bar.start + 60; t <= minute; t += 60) openBar(state, t);
+        compact(state);
+        bar = state.m1[state.m1.length - 1];
+      }
+
+      const prev = state.price;
+      state.price = stepPrice(state, nowMs, dtSec);
+      bar.close = state.price;
+      bar.high = Math.max(bar.high, state.price);
+      bar.low = Math.min(bar.low, state.price);
+
+      events.set(id, {
+        trades: makeTrades(state, nowMs, dtSec, state.price - prev),
+        bookUpdates: refreshBook(state),
+        bar,
+      });
+    }
+    return events;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Queries
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Candles for [startSec, endSec] at a Coinbase granularity, oldest-first.
+   * @returns {Object[]|null} null for an unknown product
+   */
+  function getCandles(id, granularity, startSec, endSec) {
+    const state = ensure(id);
+    if (!state) return null;
+    const seconds = GRANULARITY_SECONDS[granularity];
+    const from = Math.floor(startSec / seconds) * seconds;
+
+    const out = [];
+    if (seconds >= 3600) {
+      aggregate(state.hourly.slice(lowerBound(state.hourly, from)), seconds, from, endSec, out);
+    }
+    aggregate(state.m1.slice(lowerBound(state.m1, from)), seconds, from, endSec, out);
+    return out;
+  }
+
+  function stats(id) {
+    const state = ensure(id);
+    if (!state) return null;
+    const { m1, hourly } = state;
+    const day = m1.slice(-DAY_MINUTES);
+    let high24 = -Infinity;
+    let low24 = Infinity;
+    let volume24 = 0;
+    for (const b of day) {
+      high24 = Math.max(high24, b.high);
+      low24 = Math.min(low24, b.low);
+      volume24 += b.volume;
+    }
+    if (state.high52 == null) {
+      const yearStart = minuteOf(now()) - 365 * 86400;
+      const year = [...hourly.slice(lowerBound(hourly, yearStart)), ...m1];
+      state.high52 = Math.max(...year.map((b) => b.high));
+      state.low52 = Math.min(...year.map((b) => b.low));
+    }
+    state.high52 = Math.max(state.high52, high24);
+    state.low52 = Math.min(state.low52, low24);
+
+    const open24 = day[0].open;
+    const bids = levels(state, 'bid');
+    const asks = levels(state, 'offer');
+    return {
+      price: state.price,
+      open24,
+      high24,
+      low24,
+      volume24,
+      changePct24: ((state.price - open24) / open24) * 100,
+      high52: state.high52,
+      low52: state.low52,
+      bestBid: bids[0] || [state.price, 0],
+      bestAsk: asks[0] || [state.price, 0],
+    };
+  }
+
+  return {
+    productIds: () => [...catalog.keys()],
+    product: (id) => catalog.get(id) || null,
+    ensure,
+    tick,
+    getCandles,
+    stats,
+    price: (id) => ensure(id)?.price ?? null,
+    decimals: (id) => ensure(id)?.decimals ?? 2,
+    /** Book side as [[price, qty], ...], best first. */
+    levels: (id, side) => {
+      const state = ensure(id);
+      return state ? levels(state, side) : [];
+    },
+    /** Full book as level2 snapshot updates. */
+    bookSnapshot: (id) => {
+      const state = ensure(id);
+      if (!state) return [];
+      return [
+        ...[...state.bids].map(([price_level, new_quantity]) => ({ side: 'bid', price_level, new_quantity })),
+        ...[...state.asks].map(([price_level, new_quantity]) => ({ side: 'offer', price_level, new_quantity })),
+      ];
+    },
+    recentTrades: (id, limit = RECENT_TRADES) => (ensure(id)?.trades || []).slice(0, limit),
+    currentBar: (id) => {
+      const state = ensure(id);
+      return state ? state.m1[state.m1.length - 1] : null;
+    },
+    isReplaying: (id) => !!states.get(id)?.replay,
+  };
+}
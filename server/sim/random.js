@@ -0,0 +1,68 @@
+// ============================================================================
+// Cerebro Crypto - Sim Exchange Random Helpers
+// ============================================================================
+// Small seeded PRNG so synthetic history is reproducible for a given
+// SIM_SEED (live ticks draw from the same generator, so they are only as
+// deterministic as the wall clock driving them).
+// ============================================================================
+
+/** FNV-1a hash of a string to a 32-bit seed. */
+export function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * mulberry32 generator with normal and log-normal helpers.
+ * @param {number|string} seed
+ */
+export function createRandom(seed) {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+  let spare = null;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  /** Standard normal (Box-Muller, caching the second value). */
+  const normal = () => {
+    if (spare != null) {
+      const v = spare;
+      spare = null;
+      return v;
+    }
+    let u = 0;
+    while (u === 0) u = next();
+    const r = Math.sqrt(-2 * Math.log(u));
+    const theta = 2 * Math.PI * next();
+    spare = r * Math.sin(theta);
+    return r * Math.cos(theta);
+  };
+
+  return {
+    next,
+    normal,
+    range: (min, max) => min + (max - min) * next(),
+    /** Log-normal draw with the given median. */
+    logNormal: (median, sigma) => median * Math.exp(sigma * normal()),
+    /** Poisson draw (Knuth; fine for the small rates used here). */
+    poisson: (lambda) => {
+      const limit = Math.exp(-lambda);
+      let k = 0;
+      let p = next();
+      while (p > limit) {
+        k++;
+        p *= next();
+      }
+      return k;
+    },
+  };
+}
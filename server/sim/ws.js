@@ -0,0 +1,257 @@
+// ============================================================================
+// Cerebro Crypto - Sim Exchange WebSocket Feed
+// ============================================================================
+// A local stand-in for wss://advanced-trade-ws.coinbase.com. Clients send the
+// same subscribe / unsubscribe frames (auth fields are accepted and ignored)
+// and receive Advanced Trade envelopes:
+//   { channel, client_id, timestamp, sequence_num, events: [...] }
+//
+// Channels: ticker, level2 (delivered as "l2_data"), market_trades, candles,
+// user, heartbeats. Subscribing sends a snapshot first, then updates on every
+// market tick. Candles are 1m bars with `start` in epoch seconds.
+// ============================================================================
+
+import { WebSocketServer } from 'ws';
+
+const CHANNELS = ['ticker', 'level2', 'market_trades', 'candles', 'user', 'heartbeats'];
+const WIRE_NAMES = { level2: 'l2_data' };
+
+/**
+ * Create the feed.
+ *
+ * @param {Object} opts
+ * @param {Object} opts.market    - see market.js
+ * @param {Object} opts.exchange  - see exchange.js (for user snapshots)
+ * @param {string} [opts.path='/api/ws']
+ */
+export function createSimFeed({ market, exchange, path = '/api/ws' }) {
+  const wss = new WebSocketServer({ noServer: true });
+  /** @type {Map<WebSocket, { seq: number, subs: Map<string, Set<string>> }>} */
+  const clients = new Map();
+  let heartbeatCounter = 0;
+
+  // ---------------------------------------------------------------------------
+  // Message builders
+  // ---------------------------------------------------------------------------
+
+  function send(ws, channel, events) {
+    const client = clients.get(ws);
+    if (!client || ws.readyState !== ws.OPEN || events.length === 0) return;
+    ws.send(JSON.stringify({
+      channel: WIRE_NAMES[channel] || channel,
+      client_id: '',
+      timestamp: new Date().toISOString(),
+      sequence_num: client.seq++,
+      events,
+    }));
+  }
+
+  function tickerOf(id) {
+    const s = market.stats(id);
+    const decimals = market.decimals(id);
+    const fmt = (v) => v.toFixed(decimals);
+    return {
+      type: 'ticker',
+      product_id: id,
+      price: fmt(s.price),
+      volume_24_h: s.volume24.toFixed(8),
+      low_24_h: fmt(s.low24),
+      high_24_h: fmt(s.high24),
+      low_52_w: fmt(s.low52),
+      high_52_w: fmt(s.high52),
+      price_percent_chg_24_h: s.changePct24.toFixed(8),
+      price_percentage_change_24_h: s.changePct24.toFixed(8),
+      best_bid: fmt(s.bestBid[0]),
+      best_bid_quantity: String(s.bestBid[1]),
+      best_ask: fmt(s.bestAsk[0]),
+      best_ask_quantity: String(s.bestAsk[1]),
+    };
+  }
+
+  function candleOf(id, bar) {
+    const decimals = market.decimals(id);
+    return {
+      start: String(bar.start),
+      high: bar.high.toFixed(decimals),
+      low: bar.low.toFixed(decimals),
+      open: bar.open.toFixed(decimals),
+      close: bar.close.toFixed(decimals),
+      volume: bar.volume.toFixed(8),
+      product_id: id,
+    };
+  }
+
+  const stamp = (updates) => {
+    const eventTime = new Date().toISOString();
+    return updates.map((u) => ({ ...u, event_time: eventTime }));
+  };
+
+  /** Initial state sent right after a subscribe. */
+  function snapshot(ws, channel, ids) {
+    switch (channel) {
+      case 'ticker':
+        send(ws, channel, [{ type: 'snapshot', tickers: ids.map(tickerOf) }]);
+        break;
+      case 'level2':
+        send(ws, channel, ids.map((id) => ({
+          type: 'snapshot',
+          product_id: id,
+          updates: stamp(market.bookSnapshot(id)),
+        })));
+        break;
+      case 'market_trades':
+        send(ws, channel, [{
+          type: 'snapshot',
+          trades: ids.flatMap((id) => market.recentTrades(id)),
+        }]);
+        break;
+      case 'candles':
+        send(ws, channel, [{
+          type: 'snapshot',
+          candles: ids.map((id) => candleOf(id, market.currentBar(id))),
+        }]);
+        break;
+      case 'user': {
+        const open = exchange.openOrders().filter((o) => ids.length === 0 || ids.includes(o.product_id));
+        send(ws, channel, [{ type: 'snapshot', orders: open }]);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Connections
+  // ---------------------------------------------------------------------------
+
+  function onFrame(ws, raw) {
+    let frame;
+    try {
+      frame = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    const { type, channel } = frame;
+    const client = clients.get(ws);
+    if (!client || (type !== 'subscribe' && type !== 'unsubscribe')) return;
+
+    if (!CHANNELS.includes(channel)) {
+      ws.send(JSON.stringify({ type: 'error', message: `Failure to subscribe: unknown channel "${channel}"` }));
+      return;
+    }
+
+    const ids = (Array.isArray(frame.product_ids) ? frame.product_ids : [])
+      .filter((id) => market.product(id));
+
+    if (type === 'subscribe') {
+      if (!client.subs.has(channel)) client.subs.set(channel, new Set());
+      const set = client.subs.get(channel);
+      ids.forEach((id) => {
+        market.ensure(id);
+        set.add(id);
+      });
+    } else {
+      const set = client.subs.get(channel);
+      if (set) {
+        ids.forEach((id) => set.delete(id));
+        if (set.size === 0 || ids.length === 0) client.subs.delete(channel);
+      }
+    }
+
+    const summary = {};
+    for (const [ch, set] of client.subs) summary[ch] = [...set];
+    send(ws, 'subscriptions', [{ subscriptions: summary }]);
+
+    if (type === 'subscribe') snapshot(ws, channel, ids);
+  }
+
+  wss.on('connection', (ws) => {
+    clients.set(ws, { seq: 0, subs: new Map() });
+    ws.on('message', (raw) => onFrame(ws, raw.toString()));
+    ws.on('close', () => clients.delete(ws));
+    ws.on('error', () => clients.delete(ws));
+  });
+
+  // ---------------------------------------------------------------------------
+  // Broadcast
+  // ---------------------------------------------------------------------------
+
+  /** Ids this client wants for a channel, limited to those with updates. */
+  const wanted = (client, channel, events) => {
+    const set = client.subs.get(channel);
+    return set ? [...set].filter((id) => events.has(id)) : [];
+  };
+
+  /**
+   * Push one market tick to every subscriber.
+   * @param {Map<string, { trades: Object[], bookUpdates: Object[], bar: Object }>} events
+   */
+  function broadcast(events) {
+    for (const [ws, client] of clients) {
+      const tickers = wanted(client, 'ticker', events);
+      if (tickers.length) send(ws, 'ticker', [{ type: 'update', tickers: tickers.map(tickerOf) }]);
+
+      const books = wanted(client, 'level2', events)
+        .filter((id) => events.get(id).bookUpdates.length > 0);
+      if (books.length) {
+        send(ws, 'level2', books.map((id) => ({
+          type: 'update',
+          product_id: id,
+          updates: stamp(events.get(id).bookUpdates),
+        })));
+      }
+
+      const trades = wanted(client, 'market_trades', events).flatMap((id) => events.get(id).trades);
+      if (trades.length) send(ws, 'market_trades', [{ type: 'update', trades }]);
+
+      const candles = wanted(client, 'candles', events);
+      if (candles.length) {
+        send(ws, 'candles', [{ type: 'update', candles: candles.map((id) => candleOf(id, events.get(id).bar)) }]);
+      }
+    }
+  }
+
+  /** Push an order change to `user` subscribers. */
+  function broadcastOrder(order) {
+    for (const [ws, client] of clients) {
+      const set = client.subs.get('user');
+      if (!set || (set.size > 0 && !set.has(order.product_id))) continue;
+      send(ws, 'user', [{ type: 'update', orders: [order] }]);
+    }
+  }
+
+  function heartbeat() {
+    heartbeatCounter += 1;
+    const now = new Date();
+    for (const [ws, client] of clients) {
+      if (!client.subs.has('heartbeats')) continue;
+      send(ws, 'heartbeats', [{
+        current_time: now.toISOString(),
+        heartbeat_counter: heartbeatCounter,
+      }]);
+    }
+  }
+
+  /** Route HTTP upgrades on `path` to this feed. */
+  function attach(server) {
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== path) return;
+      wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+    });
+  }
+
+  return {
+    path,
+    attach,
+    broadcast,
+    broadcastOrder,
+    heartbeat,
+    clientCount: () => clients.size,
+    close: () => {
+      for (const ws of clients.keys()) ws.terminate();
+      wss.close();
+    },
+  };
+}
@@ -2,6 +2,12 @@ import React, { useState, useEffect, useCallback } from 'react';
 import useStore from './store';
 import useMarketData from './hooks/useMarketData';
 import useStrategyEngine from './hooks/useStrategyEngine';
+import useAlertEngine from './hooks/useAlertEngine';
+import useNotifications from './hooks/useNotifications';
+import useOrderGroups from './hooks/useOrderGroups';
+import usePaperOrders from './hooks/usePaperOrders';
+import useCorrelationMatrix from './hooks/useCorrelationMatrix';
+import useTradeJournal from './hooks/useTradeJournal';
 
 import TopBar           from './components/TopBar/TopBar';
 import Watchlist        from './components/Watchlist/Watchlist';
@@ -18,6 +24,9 @@ import Backtest         from './components/Backtest/Backtest';
 import AlertManager     from './components/AlertManager/AlertManager';
 import ScalpDashboard   from './components/ScalpDashboard';
 import Guide            from './components/Guide';
+import CorrelationHeatmap from './components/CorrelationHeatmap';
+import RiskDashboard from './components/RiskDashboard';
+import PerformanceAnalytics from './components/PerformanceAnalytics';
 
 import './App.css';
 
@@ -77,6 +86,9 @@ const BOTTOM_TABS = [
   { id: 'backtest',     label: 'Backtesting' },
   { id: 'alerts',       label: 'Alert Manager' },
   { id: 'scalp',        label: 'Scalp Dashboard' },
+  { id: 'correlation',  label: 'Correlation' },
+  { id: 'risk',         label: 'Portfolio Risk' },
+  { id: 'performance',  label: 'Performance' },
   { id: 'guide',        label: 'User Guide' },
 ];
 
@@ -92,6 +104,24 @@ export default function App() {
   // Start the strategy execution engine (side-effect only, no UI output)
   useStrategyEngine();
 
+  // Evaluate AlertManager alerts on every market update
+  useAlertEngine();
+
+  // Forward alerts, fills and risk-state changes to webhook targets
+  useNotifications();
+
+  // Track bracket / OCO groups whose exits rest on the exchange
+  useOrderGroups();
+
+  // Open and close paper positions from the paper engine's fills
+  usePaperOrders();
+
+  // Recompute the rolling correlation matrix from scanner candles
+  useCorrelationMatrix();
+
+  // Snapshot the chart and scores into the trade journal at entry / exit
+  useTradeJournal();
+
   const [activeModal, setActiveModal] = useState(null);
   const [aiCollapsed, setAiCollapsed] = useState(false);
 
@@ -204,6 +234,9 @@ export default function App() {
             {activeModal === 'backtest' && <Backtest />}
             {activeModal === 'alerts'   && <AlertManager />}
             {activeModal === 'scalp'    && <ScalpDashboard />}
+            {activeModal === 'correlation' && <CorrelationHeatmap />}
+            {activeModal === 'risk' && <RiskDashboard />}
+            {activeModal === 'performance' && <PerformanceAnalytics />}
             {activeModal === 'guide'    && <Guide />}
           </div>
         </div>
@@ -1,6 +1,8 @@
 import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import useStore from '../../store';
 import { formatTimestamp } from '../../utils/formatters';
+import { aiService, AIUnavailableError } from '../../services/aiService';
+import { buildTradingSnapshot, AI_TOOL_DEFINITIONS, runAITool } from '../../services/aiTools';
 import './AIAssistant.css';
 
 /* ============================================================
@@ -23,6 +25,37 @@ const saveMessages = (msgs) => {
   } catch { /* ignore */ }
 };
 
+/* AI settings are saved JSON-encoded by the Settings panel */
+const readSetting = (key, fallback) => {
+  try {
+    const v = localStorage.getItem(key);
+    return v !== null ? JSON.parse(v) : fallback;
+  } catch { return fallback; }
+};
+
+const SYSTEM_PROMPT = 'You are Cerebro, a cryptocurrency trading assistant. Provide concise, actionable analysis based on the trading snapshot provided. Focus on technical analysis, risk management, and trading opportunities. Use the tools to explain rejected signals, review today\'s trades or run a quick backtest instead of guessing; they are read-only and cannot place orders.';
+
+/* Model turns allowed per question before tools are withdrawn */
+const MAX_TOOL_ROUNDS = 4;
+const HISTORY_MESSAGES = 10;
+
+/* Neutral chat history for the proxy: the last few turns, never
+   starting on a tool result whose call was sliced off */
+const toChatHistory = (msgs) => {
+  const history = msgs
+    .filter((m) => m.content || m.toolCalls?.length)
+    .slice(-HISTORY_MESSAGES)
+    .map((m) => (m.role === 'tool'
+      ? { role: 'tool', name: m.name, toolCallId: m.toolCallId, content: m.content }
+      : { role: m.role, content: m.content || null, ...(m.toolCalls?.length ? { toolCalls: m.toolCalls } : {}) }));
+  while (history.length > 0 && history[0].role === 'tool') history.shift();
+  return history;
+};
+
+const formatToolData = (json) => {
+  try { return JSON.stringify(JSON.parse(json), null, 2); } catch { return json; }
+};
+
 export default function AIAssistant() {
   const activePair = useStore((s) => s.activePair);
   const tickers = useStore((s) => s.tickers);
@@ -35,7 +68,12 @@ export default function AIAssistant() {
   const [messages, setMessages] = useState(loadMessages);
   const [input, setInput] = useState('');
   const [sending, setSending] = useState(false);
+  const [streaming, setStreaming] = useState(false);
   const messagesEndRef = useRef(null);
+  const abortRef = useRef(null);
+
+  /* Abort an in-flight stream on unmount */
+  useEffect(() => () => abortRef.current?.abort(), []);
 
   /* Scroll to bottom on new message */
   useEffect(() => {
@@ -47,7 +85,7 @@ export default function AIAssistant() {
     saveMessages(messages);
   }, [messages]);
 
-  /* ---- Build market context ------------------------------- */
+  /* ---- Build market context (offline fallback) ----------- */
   const buildContext = useCallback(() => {
     const ticker = tickers[activePair] || {};
     const activePositions = tradingMode === 'paper' ? (paperPortfolio.positions || []) : positions;
@@ -82,9 +120,6 @@ export default function AIAssistant() {
     const content = text || input.trim();
     if (!content) return;
 
-    const context = buildContext();
-    const fullPrompt = `[Market Context]\n${context}\n\n[User Question]\n${content}`;
-
     const userMsg = {
       id: Date.now(),
       role: 'user',
@@ -96,64 +131,77 @@ export default function AIAssistant() {
     setInput('');
     setSending(true);
 
+    let nextId = Date.now() + 1;
+    const append = (msg) => {
+      const withId = { id: nextId++, timestamp: new Date().toISOString(), ...msg };
+      setMessages((prev) => [...prev, withId]);
+      return withId.id;
+    };
+    const update = (id, fn) => {
+      setMessages((prev) => prev.map((m) => (m.id === id ? fn(m) : m)));
+    };
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    /* The snapshot rides in the system message; the question goes as-is */
+    const conversation = [
+      { role: 'system', content: `${SYSTEM_PROMPT}\n\n[Trading Snapshot]\n${JSON.stringify(buildTradingSnapshot())}` },
+      ...toChatHistory(messages),
+      { role: 'user', content },
+    ];
+
+    let assistantId = null;
     try {
-      /* Attempt to call AI API through proxy */
-      const aiApiKey = localStorage.getItem('aiApiKey') || '';
-      const aiProvider = localStorage.getItem('aiProvider') || 'claude';
-      const aiModel = localStorage.getItem('aiModel') || 'claude-sonnet-4-20250514';
-
-      let responseText = '';
-
-      if (aiApiKey) {
-        try {
-          const response = await fetch('/api/ai/chat', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              provider: aiProvider,
-              model: aiModel,
-              messages: [
-                {
-                  role: 'system',
-                  content: 'You are Cerebro, a cryptocurrency trading assistant. Provide concise, actionable analysis based on the market context provided. Focus on technical analysis, risk management, and trading opportunities.',
-                },
-                ...messages.slice(-10).map((m) => ({ role: m.role, content: m.content })),
-                { role: 'user', content: fullPrompt },
-              ],
-            }),
-          });
-
-          if (response.ok) {
-            const data = await response.json();
-            responseText = data.content || data.choices?.[0]?.message?.content || 'No response';
-          } else {
-            responseText = 'AI service unavailable. Check your API key in Settings.';
-          }
-        } catch (err) {
-          responseText = `AI request failed: ${err.message}. Configure API key in Settings.`;
+      for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+        const id = append({ role: 'assistant', content: '' });
+        assistantId = id;
+
+        /* Stream the reply through the proxy; keys live in its .env */
+        const reply = await aiService.streamMessage(
+          conversation,
+          {
+            provider: readSetting('aiProvider', 'claude'),
+            model: readSetting('aiModel', 'claude-sonnet-4-20250514'),
+            // Last round has no tools so the model has to answer
+            tools: round < MAX_TOOL_ROUNDS - 1 ? AI_TOOL_DEFINITIONS : undefined,
+          },
+          (delta) => {
+            setStreaming(true);
+            update(id, (m) => ({ ...m, content: m.content + delta }));
+          },
+          controller.signal
+        );
+        setStreaming(false);
+
+        if (!reply.toolCalls?.length) break;
+
+        update(id, (m) => ({ ...m, toolCalls: reply.toolCalls }));
+        conversation.push({ role: 'assistant', content: reply.content || null, toolCalls: reply.toolCalls });
+
+        for (const call of reply.toolCalls) {
+          const result = await runAITool(call.name, call.arguments);
+          if (controller.signal.aborted) return;
+          const toolMsg = {
+            role: 'tool',
+            name: call.name,
+            toolCallId: call.id,
+            content: JSON.stringify(result.data),
+          };
+          append({ ...toolMsg, summary: result.summary });
+          conversation.push(toolMsg);
         }
-      } else {
-        responseText = generateLocalResponse(content, context);
       }
-
-      const assistantMsg = {
-        id: Date.now() + 1,
-        role: 'assistant',
-        content: responseText,
-        timestamp: new Date().toISOString(),
-      };
-
-      setMessages((prev) => [...prev, assistantMsg]);
     } catch (err) {
-      const errorMsg = {
-        id: Date.now() + 1,
-        role: 'assistant',
-        content: `Error: ${err.message}`,
-        timestamp: new Date().toISOString(),
-      };
-      setMessages((prev) => [...prev, errorMsg]);
+      if (err.name === 'AbortError') return;
+      const fallback = err instanceof AIUnavailableError
+        ? generateLocalResponse(content, buildContext())
+        : `AI request failed: ${err.message}`;
+      update(assistantId, (m) => ({ ...m, content: m.content || fallback }));
     } finally {
+      abortRef.current = null;
       setSending(false);
+      setStreaming(false);
     }
   }, [input, messages, buildContext]);
 
@@ -173,6 +221,9 @@ export default function AIAssistant() {
     { label: 'Review positions', text: 'Review my open positions. Should I adjust stops or take profits on any?' },
     { label: 'Risk/Reward', text: `What is the risk/reward for a long entry on ${activePair} at current price?` },
     { label: 'Best setup', text: 'Which pair on my watchlist has the best setup right now?' },
+    { label: 'Last rejection', text: 'Why was the last signal rejected?' },
+    { label: "Today's trades", text: "Summarise today's trades." },
+    { label: 'Quick backtest', text: `Run a quick HYDRA backtest on ${activePair} and tell me how it did.` },
   ], [activePair]);
 
   return (
@@ -184,17 +235,27 @@ export default function AIAssistant() {
             Ask Cerebro about market conditions, trading setups, or position management.
           </div>
         ) : (
-          messages.map((msg) => (
+          messages.filter((msg) => msg.content).map((msg) => (
             <div key={msg.id} className={`ai-message ${msg.role}`}>
               <div className="ai-message-header">
-                <span className="ai-message-role">{msg.role}</span>
+                <span className="ai-message-role">{msg.role === 'tool' ? msg.name : msg.role}</span>
                 <span className="ai-message-time">{formatTimestamp(msg.timestamp)}</span>
               </div>
-              <div className="ai-message-content">{msg.content}</div>
+              {msg.role === 'tool' ? (
+                <div className="ai-message-content">
+                  <div className="ai-tool-summary">{msg.summary}</div>
+                  <details className="ai-tool-details">
+                    <summary>Data</summary>
+                    <pre>{formatToolData(msg.content)}</pre>
+                  </details>
+                </div>
+              ) : (
+                <div className="ai-message-content">{msg.content}</div>
+              )}
             </div>
           ))
         )}
-        {sending && <div className="ai-typing">Cerebro is thinking...</div>}
+        {sending && !streaming && <div className="ai-typing">Cerebro is thinking...</div>}
         <div ref={messagesEndRef} />
       </div>
 
@@ -245,21 +306,21 @@ function generateLocalResponse(question, context) {
   const pair = lines.find((l) => l.startsWith('Active pair:'))?.split(':')[1]?.trim() || 'BTC-USD';
 
   if (q.includes('analyze') || q.includes('setup')) {
-    return `**${pair} Analysis**\n\nCurrent price: ${price}\nRegime: ${regime}\n\nTo provide detailed analysis, please configure your AI API key in Settings. Without it, I can only show basic market context.\n\nGeneral guidance for ${regime} regime:\n${regime === 'bullish' ? '- Look for momentum and breakout entries\n- Trail stops to lock in profits' : regime === 'choppy' ? '- Focus on mean reversion setups\n- Tighter stops, smaller position sizes' : '- Capital preservation mode\n- Avoid new entries\n- Tighten stops on existing positions'}`;
+    return `**${pair} Analysis**\n\nCurrent price: ${price}\nRegime: ${regime}\n\nTo provide detailed analysis, please add an AI provider key to the proxy .env. Without it, I can only show basic market context.\n\nGeneral guidance for ${regime} regime:\n${regime === 'bullish' ? '- Look for momentum and breakout entries\n- Trail stops to lock in profits' : regime === 'choppy' ? '- Focus on mean reversion setups\n- Tighter stops, smaller position sizes' : '- Capital preservation mode\n- Avoid new entries\n- Tighten stops on existing positions'}`;
   }
 
   if (q.includes('entry') || q.includes('should i')) {
-    return `**Entry Assessment for ${pair}**\n\nPrice: ${price}\nRegime: ${regime}\n\n${regime === 'bearish' ? 'The market is in a bearish regime. It is generally advisable to avoid new entries and focus on capital preservation.' : 'For detailed entry analysis with indicator signals and risk/reward calculations, configure your AI API key in Settings.'}\n\nAlways ensure proper position sizing and stop-loss placement.`;
+    return `**Entry Assessment for ${pair}**\n\nPrice: ${price}\nRegime: ${regime}\n\n${regime === 'bearish' ? 'The market is in a bearish regime. It is generally advisable to avoid new entries and focus on capital preservation.' : 'For detailed entry analysis with indicator signals and risk/reward calculations, add an AI provider key to the proxy .env.'}\n\nAlways ensure proper position sizing and stop-loss placement.`;
   }
 
   if (q.includes('support') || q.includes('resistance') || q.includes('s/r')) {
-    return `**Support & Resistance for ${pair}**\n\nFor accurate S/R level identification using technical analysis, please configure your AI API key in Settings.\n\nGeneral approach:\n- Check recent swing highs/lows on the chart\n- Look for areas of high volume (volume profile)\n- EMA lines often act as dynamic support/resistance\n- VWAP is an important intraday level`;
+    return `**Support & Resistance for ${pair}**\n\nFor accurate S/R level identification using technical analysis, please add an AI provider key to the proxy .env.\n\nGeneral approach:\n- Check recent swing highs/lows on the chart\n- Look for areas of high volume (volume profile)\n- EMA lines often act as dynamic support/resistance\n- VWAP is an important intraday level`;
   }
 
   if (q.includes('position') || q.includes('review')) {
     const posCount = lines.find((l) => l.startsWith('Open positions:'))?.split(':')[1]?.trim() || '0';
-    return `**Position Review**\n\nOpen positions: ${posCount}\nRegime: ${regime}\n\n${posCount === '0' ? 'No open positions to review.' : 'For detailed position analysis with specific recommendations on stops and targets, configure your AI API key in Settings.'}`;
+    return `**Position Review**\n\nOpen positions: ${posCount}\nRegime: ${regime}\n\n${posCount === '0' ? 'No open positions to review.' : 'For detailed position analysis with specific recommendations on stops and targets, add an AI provider key to the proxy .env.'}`;
   }
 
-  return `**Cerebro AI**\n\nI received your question about: "${question.slice(0, 50)}..."\n\nPair: ${pair} | Price: ${price} | Regime: ${regime}\n\nFor full AI-powered analysis, please configure your API key in Settings (gear icon in the top bar). I support Claude and OpenAI models.`;
+  return `**Cerebro AI**\n\nI received your question about: "${question.slice(0, 50)}..."\n\nPair: ${pair} | Price: ${price} | Regime: ${regime}\n\nFor full AI-powered analysis, add ANTHROPIC_API_KEY or OPENAI_API_KEY to the proxy .env and pick the provider in Settings. The offline mock provider works without a key.`;
 }
@@ -2,6 +2,16 @@ import { useState, useMemo, useCallback } from 'react';
 import useStore from '../../store';
 import { DEFAULT_PAIRS } from '../../config/constants';
 import { formatTimestamp } from '../../utils/formatters';
+import { ALERT_DEFAULTS } from '../../utils/alertEngine';
+import {
+  parseAlertExpression,
+  collectFields,
+  EXPRESSION_TIMEFRAMES,
+  INDICATOR_FIELDS,
+  CANDLE_FIELDS,
+  MARKET_FIELDS,
+  STRATEGY_FIELDS,
+} from '../../utils/alertExpression';
 import './AlertManager.css';
 
 /* ============================================================
@@ -16,6 +26,7 @@ const ALERT_TYPES = [
   { value: 'macd_cross_up', label: 'MACD Bullish Cross' },
   { value: 'macd_cross_down', label: 'MACD Bearish Cross' },
   { value: 'regime_change', label: 'Regime Change' },
+  { value: 'expression', label: 'Custom Expression' },
 ];
 
 const ALERT_CATEGORIES = {
@@ -26,18 +37,88 @@ const ALERT_CATEGORIES = {
   macd_cross_up: 'indicator',
   macd_cross_down: 'indicator',
   regime_change: 'strategy',
+  expression: 'composite',
 };
 
+/* Expression builder field list, grouped for the select */
+const FIELD_GROUPS = [
+  { label: 'Market', fields: MARKET_FIELDS },
+  { label: 'Candle', fields: CANDLE_FIELDS },
+  {
+    label: 'Indicators',
+    fields: Object.entries(INDICATOR_FIELDS).flatMap(([name, def]) =>
+      (def.components ? def.components.map((c) => `${name}.${c}`) : [name])),
+  },
+  { label: 'HYDRA', fields: STRATEGY_FIELDS.hydra.map((f) => `hydra.${f}`) },
+  { label: 'VIPER', fields: STRATEGY_FIELDS.viper.map((f) => `viper.${f}`) },
+];
+
+const BUILDER_OPERATORS = ['>', '>=', '<', '<=', '==', '!=', 'crosses_above', 'crosses_below'];
+
+/* Timeframe prefixes only apply to candle and indicator fields */
+const isTimeframed = (field) => CANDLE_FIELDS.includes(field) || !!INDICATOR_FIELDS[field.split('.')[0]];
+
+const REARM_OPTIONS = [
+  { value: 'reset', label: 'Re-arm when condition clears' },
+  { value: 'once', label: 'Fire once' },
+];
+
 export default function AlertManager() {
   const alerts = useStore((s) => s.alerts);
   const alertLog = useStore((s) => s.alertLog);
   const addAlert = useStore((s) => s.addAlert);
+  const updateAlert = useStore((s) => s.updateAlert);
+  const removeAlert = useStore((s) => s.removeAlert);
   const addToast = useStore((s) => s.addToast);
 
   /* ---- Form state ----------------------------------------- */
   const [pair, setPair] = useState('BTC-USD');
   const [alertType, setAlertType] = useState('price_above');
   const [value, setValue] = useState('');
+  const [rearm, setRearm] = useState(ALERT_DEFAULTS.rearm);
+  const [cooldownMin, setCooldownMin] = useState(String(ALERT_DEFAULTS.cooldownMs / 60000));
+
+  /* ---- Expression builder state --------------------------- */
+  const [expression, setExpression] = useState('');
+  const [clauseJoin, setClauseJoin] = useState('AND');
+  const [clausePair, setClausePair] = useState('');
+  const [clauseTf, setClauseTf] = useState('1m');
+  const [clauseField, setClauseField] = useState('rsi');
+  const [clauseOp, setClauseOp] = useState('>');
+  const [clauseValue, setClauseValue] = useState('');
+
+  const isExpression = alertType === 'expression';
+
+  /* ---- Live expression validation ------------------------- */
+  const parsed = useMemo(() => {
+    if (!isExpression || !expression.trim()) return null;
+    try {
+      return { fields: collectFields(parseAlertExpression(expression)).length };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [isExpression, expression]);
+
+  /* ---- Append a builder clause to the expression ---------- */
+  const handleAddClause = useCallback(() => {
+    const raw = clauseValue.trim();
+    if (!raw) {
+      addToast({ type: 'warning', message: 'Enter a value to compare against' });
+      return;
+    }
+    const prefix = [
+      clausePair,
+      isTimeframed(clauseField) && clauseTf !== '1m' ? clauseTf : '',
+    ].filter(Boolean).join('.');
+    const field = prefix ? `${prefix}.${clauseField}` : clauseField;
+    // Anything that isn't a number or a field reference is a string literal
+    const operand = /^-?\d+(\.\d+)?%?$/.test(raw) || /^[A-Za-z0-9_-]+\./.test(raw) || FIELD_GROUPS.some((g) => g.fields.includes(raw))
+      ? raw
+      : `"${raw.replace(/"/g, '')}"`;
+    const clause = `${field} ${clauseOp} ${operand}`;
+    setExpression((prev) => (prev.trim() ? `${prev.trim()} ${clauseJoin} ${clause}` : clause));
+    setClauseValue('');
+  }, [clauseJoin, clausePair, clauseTf, clauseField, clauseOp, clauseValue, addToast]);
 
   /* ---- Needs value input? --------------------------------- */
   const needsValue = useMemo(() => {
@@ -50,38 +131,43 @@ export default function AlertManager() {
       addToast({ type: 'warning', message: 'Please enter a valid value for this alert' });
       return;
     }
+    if (isExpression && (!parsed || parsed.error)) {
+      addToast({ type: 'warning', message: parsed?.error || 'Enter an expression for this alert' });
+      return;
+    }
 
     const alert = {
       id: `alert-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
       pair,
       type: alertType,
       category: ALERT_CATEGORIES[alertType] || 'price',
-      condition: ALERT_TYPES.find((t) => t.value === alertType)?.label || alertType,
+      condition: isExpression
+        ? expression.trim()
+        : ALERT_TYPES.find((t) => t.value === alertType)?.label || alertType,
       value: needsValue ? parseFloat(value) : null,
+      ...(isExpression ? { expression: expression.trim() } : {}),
+      rearm,
+      cooldownMs: Math.max(0, parseFloat(cooldownMin) || 0) * 60000,
       active: true,
       createdAt: new Date().toISOString(),
     };
 
     addAlert(alert);
     setValue('');
+    setExpression('');
     addToast({ type: 'success', message: `Alert created: ${alert.condition} for ${pair}` });
-  }, [pair, alertType, value, needsValue, addAlert, addToast]);
+  }, [pair, alertType, value, needsValue, isExpression, expression, parsed, rearm, cooldownMin, addAlert, addToast]);
 
   /* ---- Delete alert --------------------------------------- */
   const handleDelete = useCallback((id) => {
-    useStore.setState((s) => ({
-      alerts: s.alerts.filter((a) => a.id !== id),
-    }));
-  }, []);
+    removeAlert(id);
+  }, [removeAlert]);
 
   /* ---- Toggle alert --------------------------------------- */
   const handleToggle = useCallback((id) => {
-    useStore.setState((s) => ({
-      alerts: s.alerts.map((a) =>
-        a.id === id ? { ...a, active: !a.active } : a
-      ),
-    }));
-  }, []);
+    const alert = useStore.getState().alerts.find((a) => a.id === id);
+    if (alert) updateAlert(id, { active: !alert.active });
+  }, [updateAlert]);
 
   return (
     <div className="alertmanager-container">
@@ -129,6 +215,96 @@ export default function AlertManager() {
           </div>
         )}
 
+        <div className="alertmanager-field">
+          <label className="alertmanager-field-label">Re-arm</label>
+          <select
+            className="alertmanager-field-select"
+            value={rearm}
+            onChange={(e) => setRearm(e.target.value)}
+          >
+            {REARM_OPTIONS.map((o) => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {rearm === 'reset' && (
+          <div className="alertmanager-field">
+            <label className="alertmanager-field-label">Cooldown (min)</label>
+            <input
+              className="alertmanager-field-input"
+              type="number"
+              min="0"
+              step="any"
+              value={cooldownMin}
+              onChange={(e) => setCooldownMin(e.target.value)}
+            />
+          </div>
+        )}
+
+        {isExpression && (
+          <div className="alertmanager-expression">
+            <div className="alertmanager-builder">
+              <select className="alertmanager-field-select" value={clauseJoin} onChange={(e) => setClauseJoin(e.target.value)}>
+                <option value="AND">AND</option>
+                <option value="OR">OR</option>
+              </select>
+              <select className="alertmanager-field-select" value={clausePair} onChange={(e) => setClausePair(e.target.value)}>
+                <option value="">Alert pair</option>
+                {DEFAULT_PAIRS.map((p) => (
+                  <option key={p} value={p}>{p}</option>
+                ))}
+              </select>
+              <select
+                className="alertmanager-field-select"
+                value={clauseTf}
+                onChange={(e) => setClauseTf(e.target.value)}
+                disabled={!isTimeframed(clauseField)}
+              >
+                {Object.keys(EXPRESSION_TIMEFRAMES).map((tf) => (
+                  <option key={tf} value={tf}>{tf}</option>
+                ))}
+              </select>
+              <select className="alertmanager-field-select" value={clauseField} onChange={(e) => setClauseField(e.target.value)}>
+                {FIELD_GROUPS.map((g) => (
+                  <optgroup key={g.label} label={g.label}>
+                    {g.fields.map((f) => (
+                      <option key={f} value={f}>{f}</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+              <select className="alertmanager-field-select" value={clauseOp} onChange={(e) => setClauseOp(e.target.value)}>
+                {BUILDER_OPERATORS.map((op) => (
+                  <option key={op} value={op}>{op}</option>
+                ))}
+              </select>
+              <input
+                className="alertmanager-field-input"
+                value={clauseValue}
+                onChange={(e) => setClauseValue(e.target.value)}
+                placeholder="50, bullish, ema21"
+              />
+              <button className="alertmanager-action-btn toggle" onClick={handleAddClause}>
+                Add clause
+              </button>
+            </div>
+
+            <textarea
+              className="alertmanager-field-input alertmanager-expression-input"
+              value={expression}
+              onChange={(e) => setExpression(e.target.value)}
+              rows={2}
+              placeholder='SOL-USD.hydra.score >= 75 AND SOL-USD.spread < 0.05 OR (15m.rsi crosses_above 50 AND BTC-USD.regime == "bullish")'
+            />
+            <div className={`alertmanager-expression-status ${parsed?.error ? 'error' : ''}`}>
+              {!parsed
+                ? 'Fields: [PAIR.][1m|5m|15m|1h|4h.]field — combine with AND / OR / NOT and parentheses'
+                : parsed.error || `Valid expression (${parsed.fields} field${parsed.fields === 1 ? '' : 's'})`}
+            </div>
+          </div>
+        )}
+
         <button className="alertmanager-create-btn" onClick={handleCreate}>
           Create Alert
         </button>
@@ -148,6 +324,8 @@ export default function AlertManager() {
                 <th>Pair</th>
                 <th>Condition</th>
                 <th>Value</th>
+                <th>Re-arm</th>
+                <th>Last Fired</th>
                 <th>Status</th>
                 <th>Actions</th>
               </tr>
@@ -160,6 +338,16 @@ export default function AlertManager() {
                   <td style={{ fontFamily: "'Courier New', monospace" }}>
                     {alert.value != null ? `$${alert.value.toLocaleString()}` : '--'}
                   </td>
+                  <td>
+                    {alert.rearm === 'once'
+                      ? 'Once'
+                      : `Reset, ${Math.round((alert.cooldownMs ?? ALERT_DEFAULTS.cooldownMs) / 60000)}m cooldown`}
+                  </td>
+                  <td>
+                    {alert.lastTriggeredAt
+                      ? `${formatTimestamp(alert.lastTriggeredAt)} (${alert.triggerCount || 1}x)`
+                      : '--'}
+                  </td>
                   <td>
                     <span className={`alertmanager-status ${alert.active ? 'active' : 'inactive'}`}>
                       {alert.active ? 'Active' : 'Paused'}
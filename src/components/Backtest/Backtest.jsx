@@ -1,15 +1,65 @@
 import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import useStore from '../../store';
-import { DEFAULT_PAIRS, TIMEFRAMES, STRATEGIES, COLORS, RISK_DEFAULTS } from '../../config/constants';
-import { formatUSD, formatPercent, formatDuration, formatPrice, formatDate } from '../../utils/formatters';
+import { DEFAULT_PAIRS, TIMEFRAMES, TIMEFRAME_MS, STRATEGIES, COLORS, RISK_DEFAULTS } from '../../config/constants';
+import { formatUSD, formatDuration, formatPrice, formatDate } from '../../utils/formatters';
+import { fetchCandleHistory } from '../../services/candleHistory.js';
+import { OBJECTIVES } from '../../utils/walkForward';
+import useBacktest from '../../hooks/useBacktest';
+import FanChart from './FanChart';
 import './Backtest.css';
 
 /* ============================================================
    Backtest — Backtesting Panel (Slide-up Modal)
+   ============================================================
+   Downloads the candles for the chosen pair, timeframe and
+   date range, runs them through the backtest worker and
+   shows its trades, equity curve and drawdown.
    ============================================================ */
 
+// Bars the worker skips while its indicators warm up; loaded before the start date
+const WARMUP_BARS = 200;
+
+const TRADE_LOG_ROWS = 50;
+
+const RUN_LABELS = {
+  single: 'Running backtest',
+  portfolio: 'Running portfolio backtest',
+  walkforward: 'Optimising',
+  montecarlo: 'Simulating',
+};
+
+/** Thin an equity curve to about `points` points, keeping each bucket's deepest drawdown. */
+function downsample(curve, points) {
+  if (curve.length <= points) return curve;
+  const size = curve.length / points;
+  const out = [];
+  for (let b = 0; b < points; b++) {
+    const bucket = curve.slice(Math.floor(b * size), Math.floor((b + 1) * size));
+    const last = bucket[bucket.length - 1];
+    out.push({ ...last, drawdown: Math.max(...bucket.map((pt) => pt.drawdown)) });
+  }
+  return out;
+}
+
 export default function Backtest() {
   const riskSettings = useStore((s) => s.riskSettings);
+  const applyHydraParams = useStore((s) => s.applyHydraParams);
+  const addToast = useStore((s) => s.addToast);
+  const scannerPairs = useStore((s) => s.scannerPairs);
+  const {
+    running: workerRunning,
+    progress: workerProgress,
+    progressDate,
+    results,
+    portfolioResults,
+    walkForwardResults,
+    monteCarloResults,
+    error: workerError,
+    runBacktest,
+    runPortfolioBacktest,
+    runWalkForward,
+    runMonteCarlo,
+  } = useBacktest();
 
   /* ---- Form state ----------------------------------------- */
   const [pair, setPair] = useState('BTC-USD');
@@ -20,105 +70,151 @@ export default function Backtest() {
     return d.toISOString().slice(0, 10);
   });
   const [endDate, setEndDate] = useState(() => new Date().toISOString().slice(0, 10));
-  const [strategy, setStrategy] = useState(STRATEGIES.MOMENTUM);
+  const [strategy, setStrategy] = useState(STRATEGIES.HYDRA);
   const [startingCapital, setStartingCapital] = useState('25000');
   const [riskOverrides, setRiskOverrides] = useState({ ...RISK_DEFAULTS, ...riskSettings });
 
-  /* ---- Results state -------------------------------------- */
-  const [running, setRunning] = useState(false);
-  const [progress, setProgress] = useState(0);
-  const [results, setResults] = useState(null);
+  /* ---- Run state ------------------------------------------- */
+  // Which run the shared worker is busy with, and the candle download ahead of it
+  const [activeRun, setActiveRun] = useState(null);
+  const [download, setDownload] = useState(null);
+  const busy = workerRunning || download !== null;
+  const isRunning = (run) => busy && activeRun === run;
+
+  /* ---- Portfolio form state ------------------------------- */
+  const [pfStrategies, setPfStrategies] = useState('hydra');
+
+  /* ---- Walk-forward form state ---------------------------- */
+  const [wfConfig, setWfConfig] = useState({
+    inSampleBars: 500,
+    outSampleBars: 150,
+    method: 'random',
+    samples: 30,
+    objective: 'sharpe',
+    minTrades: 5,
+  });
+
+  /* ---- Monte Carlo form state ----------------------------- */
+  const [mcConfig, setMcConfig] = useState({
+    iterations: 1000,
+    method: 'bootstrap',
+    perturbFills: true,
+    ruinPct: 50,
+  });
 
   /* ---- Chart ref ------------------------------------------ */
   const chartContainerRef = useRef(null);
 
-  /* ---- Run backtest --------------------------------------- */
-  const handleRun = useCallback(async () => {
-    setRunning(true);
-    setProgress(0);
-    setResults(null);
-
-    /* Simulate backtest execution with progress */
-    const steps = 20;
-    for (let i = 1; i <= steps; i++) {
-      await new Promise((r) => setTimeout(r, 100));
-      setProgress((i / steps) * 100);
+  /* ---- Candle loading -------------------------------------- */
+  const loadCandles = useCallback(async (forPair = pair) => {
+    const end = Math.min(new Date(endDate).getTime() + 86400000 - 1, Date.now());
+    const start = new Date(startDate).getTime() - WARMUP_BARS * TIMEFRAME_MS[timeframe];
+    setDownload({ pair: forPair, page: 0, pages: null });
+    try {
+      return await fetchCandleHistory(forPair, timeframe, start, end, {
+        onProgress: (page, pages) => setDownload({ pair: forPair, page, pages }),
+      });
+    } catch (err) {
+      addToast({ type: 'warning', message: `${forPair} history unavailable (${err.message}) — using live candles` });
+      // Fall back to the live chart / scanner candles when they cover this pair/timeframe
+      const state = useStore.getState();
+      if (state.activePair === forPair) return state.candles[timeframe] || [];
+      return state.scannerCandles[forPair]?.[timeframe] || [];
+    } finally {
+      setDownload(null);
     }
+  }, [pair, timeframe, startDate, endDate, addToast]);
 
-    /* Generate simulated backtest results */
-    const capital = parseFloat(startingCapital) || 25000;
-    const totalTrades = Math.floor(Math.random() * 50) + 20;
-    const winRate = 0.45 + Math.random() * 0.25;
-    const winners = Math.round(totalTrades * winRate);
-    const losers = totalTrades - winners;
-
-    const avgWin = capital * 0.02 * (0.5 + Math.random());
-    const avgLoss = capital * 0.012 * (0.5 + Math.random());
-    const totalReturn = (winners * avgWin) - (losers * avgLoss);
-    const maxDrawdown = -(capital * (0.05 + Math.random() * 0.1));
-    const profitFactor = losers > 0 ? (winners * avgWin) / (losers * avgLoss) : Infinity;
-    const sharpe = (totalReturn / capital) / (0.1 + Math.random() * 0.15);
-    const avgDuration = (3600000 * 2) + Math.random() * 3600000 * 24;
-
-    /* Generate equity curve */
-    const equityCurve = [];
-    let equity = capital;
-    const startTs = new Date(startDate).getTime() / 1000;
-    const endTs = new Date(endDate).getTime() / 1000;
-    const interval = (endTs - startTs) / totalTrades;
-
-    for (let i = 0; i <= totalTrades; i++) {
-      equityCurve.push({
-        time: Math.floor(startTs + i * interval),
-        value: equity,
-      });
-      const isWin = Math.random() < winRate;
-      equity += isWin ? avgWin * (0.5 + Math.random()) : -avgLoss * (0.5 + Math.random());
-      equity = Math.max(equity, capital * 0.5);
+  /* ---- Single-pair backtest -------------------------------- */
+  const handleRun = useCallback(async () => {
+    setActiveRun('single');
+    const candles = await loadCandles(pair);
+    if (candles.length <= WARMUP_BARS) {
+      addToast({ type: 'error', message: `Only ${candles.length} ${pair} candles in range — need more than ${WARMUP_BARS} for indicator warm-up` });
+      setActiveRun(null);
+      return;
+    }
+    runBacktest({
+      candles,
+      strategy,
+      pair,
+      startingCapital: parseFloat(startingCapital) || 25000,
+      riskSettings: riskOverrides,
+    });
+  }, [loadCandles, runBacktest, addToast, pair, strategy, startingCapital, riskOverrides]);
+
+  // Worker results mapped to the stat cards
+  const summary = useMemo(() => {
+    if (!results) return null;
+    const { stats, trades, equityCurve } = results;
+    let peak = stats.startingCapital;
+    let maxDrawdownUSD = 0;
+    for (const pt of equityCurve) {
+      peak = Math.max(peak, pt.equity);
+      maxDrawdownUSD = Math.max(maxDrawdownUSD, peak - pt.equity);
     }
+    const held = trades.reduce((sum, t) => sum + (t.exitTime - t.entryTime), 0);
+    return {
+      returnUSD: stats.endingCapital - stats.startingCapital,
+      maxDrawdownUSD,
+      avgDuration: trades.length > 0 ? held / trades.length : null,
+    };
+  }, [results]);
 
-    /* Generate trade log */
-    const trades = [];
-    let runningEquity = capital;
-    for (let i = 0; i < totalTrades; i++) {
-      const isWin = Math.random() < winRate;
-      const pnl = isWin ? avgWin * (0.5 + Math.random()) : -avgLoss * (0.5 + Math.random());
-      runningEquity += pnl;
-
-      const entryT = startTs + i * interval;
-      const dur = avgDuration * (0.3 + Math.random() * 1.5);
-      const entryPrice = 30000 + Math.random() * 70000;
-      const exitPrice = entryPrice * (1 + (isWin ? 0.02 : -0.012) * (0.5 + Math.random()));
-
-      trades.push({
-        id: i + 1,
-        pair,
-        strategy,
-        entryPrice,
-        exitPrice,
-        pnl,
-        entryTime: new Date(entryT * 1000).toISOString(),
-        exitTime: new Date((entryT + dur / 1000) * 1000).toISOString(),
-        duration: dur,
-      });
+  /* ---- Multi-pair portfolio backtest ---------------------- */
+  const handleRunPortfolio = useCallback(async () => {
+    setActiveRun('portfolio');
+    const candlesByPair = {};
+    for (const p of scannerPairs) {
+      const candles = await loadCandles(p);
+      if (candles.length > 0) candlesByPair[p] = candles;
     }
+    runPortfolioBacktest({
+      candlesByPair,
+      strategies: pfStrategies.split('+'),
+      pair,
+      startingCapital: parseFloat(startingCapital) || 25000,
+      riskSettings: riskOverrides,
+    });
+  }, [scannerPairs, loadCandles, runPortfolioBacktest, pfStrategies, pair, startingCapital, riskOverrides]);
+
+  /* ---- Walk-forward optimisation (HYDRA) ------------------ */
+  const handleRunWalkForward = useCallback(async () => {
+    setActiveRun('walkforward');
+    const candles = await loadCandles(pair);
+    runWalkForward({
+      candles,
+      pair,
+      startingCapital: parseFloat(startingCapital) || 25000,
+      riskSettings: riskOverrides,
+      walkForward: wfConfig,
+    });
+  }, [loadCandles, runWalkForward, pair, startingCapital, riskOverrides, wfConfig]);
+
+  const handleApplyRecommended = useCallback(() => {
+    const params = walkForwardResults?.recommended;
+    if (!params) return;
+    applyHydraParams(params);
+    addToast({ type: 'success', message: 'Walk-forward parameters applied to HYDRA' });
+  }, [walkForwardResults, applyHydraParams, addToast]);
 
-    setResults({
-      totalReturn,
-      totalReturnPct: totalReturn / capital,
-      maxDrawdown,
-      maxDrawdownPct: maxDrawdown / capital,
-      winRate,
-      profitFactor,
-      sharpe,
-      totalTrades,
-      avgDuration,
-      equityCurve,
-      trades,
+  /* ---- Monte Carlo robustness ----------------------------- */
+  const handleRunMonteCarlo = useCallback(() => {
+    if (!results) return;
+    setActiveRun('montecarlo');
+    runMonteCarlo({
+      trades: results.trades,
+      monteCarlo: { ...mcConfig, startingCapital: parseFloat(startingCapital) || 25000 },
     });
+  }, [results, mcConfig, startingCapital, runMonteCarlo]);
 
-    setRunning(false);
-  }, [pair, strategy, startDate, endDate, startingCapital]);
+  // Actual trade-by-trade equity, overlaid on the equity fan
+  const actualTradeEquity = useMemo(() => {
+    if (!results) return null;
+    const path = [parseFloat(startingCapital) || 25000];
+    for (const t of results.trades) path.push(path[path.length - 1] + t.pnl);
+    return path;
+  }, [results, startingCapital]);
 
   /* ---- Render equity curve on canvas ----------------------- */
   useEffect(() => {
@@ -153,59 +249,84 @@ export default function Backtest() {
       const pad = { top: 10, right: 60, bottom: 24, left: 10 };
       const cW = W - pad.left - pad.right;
       const cH = H - pad.top - pad.bottom;
-      const curve = results.equityCurve;
+      const curve = downsample(results.equityCurve, Math.max(2, Math.floor(cW)));
 
       if (curve.length < 2) { ctx.restore(); return; }
 
-      let minV = Infinity, maxV = -Infinity;
+      // Equity on top, drawdown below it
+      const ddH = Math.round(cH * 0.28);
+      const eqH = cH - ddH - 8;
+      const ddTop = pad.top + eqH + 8;
+      const xAt = (i) => pad.left + (i / (curve.length - 1)) * cW;
+
+      let minV = Infinity, maxV = -Infinity, maxDD = 0;
       for (const pt of curve) {
-        if (pt.value < minV) minV = pt.value;
-        if (pt.value > maxV) maxV = pt.value;
+        if (pt.equity < minV) minV = pt.equity;
+        if (pt.equity > maxV) maxV = pt.equity;
+        if (pt.drawdown > maxDD) maxDD = pt.drawdown;
       }
       const range = maxV - minV || 1;
       const padV = range * 0.05;
       minV -= padV;
       maxV += padV;
       const finalRange = maxV - minV;
+      const ddRange = maxDD || 1;
 
       // Grid
       ctx.strokeStyle = 'rgba(30,30,46,0.3)';
       ctx.lineWidth = 0.5;
       for (let i = 0; i <= 4; i++) {
-        const y = pad.top + cH * (i / 4);
+        const y = pad.top + eqH * (i / 4);
         ctx.beginPath(); ctx.moveTo(pad.left, y); ctx.lineTo(pad.left + cW, y); ctx.stroke();
       }
+      ctx.beginPath(); ctx.moveTo(pad.left, ddTop); ctx.lineTo(pad.left + cW, ddTop); ctx.stroke();
 
       // Equity line
       ctx.strokeStyle = COLORS.accent;
       ctx.lineWidth = 2;
       ctx.beginPath();
       for (let i = 0; i < curve.length; i++) {
-        const x = pad.left + (i / (curve.length - 1)) * cW;
-        const y = pad.top + cH * (1 - (curve[i].value - minV) / finalRange);
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
+        const y = pad.top + eqH * (1 - (curve[i].equity - minV) / finalRange);
+        if (i === 0) ctx.moveTo(xAt(i), y);
+        else ctx.lineTo(xAt(i), y);
       }
       ctx.stroke();
 
       // Fill under line
-      const lastX = pad.left + cW;
-      const baseY = pad.top + cH;
-      ctx.lineTo(lastX, baseY);
-      ctx.lineTo(pad.left, baseY);
+      ctx.lineTo(pad.left + cW, pad.top + eqH);
+      ctx.lineTo(pad.left, pad.top + eqH);
       ctx.closePath();
       ctx.fillStyle = 'rgba(108, 99, 255, 0.08)';
       ctx.fill();
 
+      // Drawdown area, hanging from the zero line
+      ctx.beginPath();
+      ctx.moveTo(pad.left, ddTop);
+      for (let i = 0; i < curve.length; i++) {
+        ctx.lineTo(xAt(i), ddTop + ddH * (curve[i].drawdown / ddRange));
+      }
+      ctx.lineTo(pad.left + cW, ddTop);
+      ctx.closePath();
+      ctx.fillStyle = 'rgba(255, 69, 96, 0.25)';
+      ctx.fill();
+      ctx.strokeStyle = COLORS.bearish;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+
       // Axis labels
       ctx.fillStyle = COLORS.textSecondary;
       ctx.font = '9px monospace';
       ctx.textAlign = 'left';
       for (let i = 0; i <= 4; i++) {
-        const y = pad.top + cH * (i / 4);
+        const y = pad.top + eqH * (i / 4);
         const val = maxV - (i / 4) * finalRange;
         ctx.fillText(formatUSD(val), pad.left + cW + 4, y + 3);
       }
+      ctx.fillText('0%', pad.left + cW + 4, ddTop + 3);
+      ctx.fillText(`-${maxDD.toFixed(1)}%`, pad.left + cW + 4, ddTop + ddH);
+      ctx.fillText(formatDate(curve[0].timestamp), pad.left, H - 6);
+      ctx.textAlign = 'right';
+      ctx.fillText(formatDate(curve[curve.length - 1].timestamp), pad.left + cW, H - 6);
 
       ctx.restore();
     };
@@ -220,9 +341,9 @@ export default function Backtest() {
   /* ---- Export handlers ------------------------------------- */
   const exportCSV = useCallback(() => {
     if (!results) return;
-    const headers = 'Trade,Pair,Strategy,Entry Price,Exit Price,P&L,Duration,Entry Time,Exit Time\n';
-    const rows = results.trades.map((t) =>
-      `${t.id},${t.pair},${t.strategy},${t.entryPrice.toFixed(2)},${t.exitPrice.toFixed(2)},${t.pnl.toFixed(2)},${formatDuration(t.duration)},${t.entryTime},${t.exitTime}`
+    const headers = 'Trade,Pair,Strategy,Entry Price,Exit Price,Qty,P&L,Fees,Exit,Duration,Entry Time,Exit Time\n';
+    const rows = results.trades.map((t, i) =>
+      `${i + 1},${t.pair},${t.strategy},${t.entryPrice},${t.exitPrice},${t.qty},${t.pnl.toFixed(2)},${t.fees.toFixed(2)},${t.exitType},${formatDuration(t.exitTime - t.entryTime)},${new Date(t.entryTime).toISOString()},${new Date(t.exitTime).toISOString()}`
     ).join('\n');
     const blob = new Blob([headers + rows], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
@@ -318,18 +439,25 @@ export default function Backtest() {
         <button
           className="backtest-run-btn"
           onClick={handleRun}
-          disabled={running}
+          disabled={busy}
         >
-          {running ? 'Running...' : 'Run Backtest'}
+          {isRunning('single') ? 'Running...' : 'Run Backtest'}
         </button>
       </div>
 
-      {/* Loading */}
-      {running && (
+      {/* Download, then worker progress */}
+      {busy && (
         <div className="backtest-loading">
-          <div className="backtest-loading-text">Running backtest...</div>
+          <div className="backtest-loading-text">
+            {download
+              ? `Loading ${download.pair} candles${download.pages ? ` (${download.page}/${download.pages})` : '...'}`
+              : `${RUN_LABELS[activeRun] || 'Running'}... ${workerProgress}%${progressDate ? ` · ${formatDate(progressDate)}` : ''}`}
+          </div>
           <div className="backtest-progress-bar">
-            <div className="backtest-progress-fill" style={{ width: `${progress}%` }} />
+            <div
+              className="backtest-progress-fill"
+              style={{ width: `${download ? (download.pages ? (download.page / download.pages) * 100 : 0) : workerProgress}%` }}
+            />
           </div>
         </div>
       )}
@@ -343,78 +471,82 @@ export default function Backtest() {
           <div className="backtest-stats">
             <div className="backtest-stat-card">
               <div className="backtest-stat-label">Total Return</div>
-              <div className={`backtest-stat-value ${results.totalReturn >= 0 ? 'positive' : 'negative'}`}>
-                {formatUSD(results.totalReturn)}
+              <div className={`backtest-stat-value ${summary.returnUSD >= 0 ? 'positive' : 'negative'}`}>
+                {formatUSD(summary.returnUSD)}
               </div>
             </div>
             <div className="backtest-stat-card">
               <div className="backtest-stat-label">Return %</div>
-              <div className={`backtest-stat-value ${results.totalReturnPct >= 0 ? 'positive' : 'negative'}`}>
-                {formatPercent(results.totalReturnPct)}
+              <div className={`backtest-stat-value ${results.stats.totalReturn >= 0 ? 'positive' : 'negative'}`}>
+                {results.stats.totalReturn.toFixed(2)}%
               </div>
             </div>
             <div className="backtest-stat-card">
               <div className="backtest-stat-label">Max Drawdown</div>
               <div className="backtest-stat-value negative">
-                {formatUSD(results.maxDrawdown)}
+                {results.stats.maxDrawdown.toFixed(2)}% ({formatUSD(summary.maxDrawdownUSD)})
               </div>
             </div>
             <div className="backtest-stat-card">
               <div className="backtest-stat-label">Win Rate</div>
               <div className="backtest-stat-value">
-                {(results.winRate * 100).toFixed(1)}%
+                {results.stats.winRate.toFixed(1)}%
               </div>
             </div>
             <div className="backtest-stat-card">
               <div className="backtest-stat-label">Profit Factor</div>
-              <div className={`backtest-stat-value ${results.profitFactor >= 1 ? 'positive' : 'negative'}`}>
-                {results.profitFactor === Infinity ? 'Inf' : results.profitFactor.toFixed(2)}
+              <div className={`backtest-stat-value ${results.stats.profitFactor >= 1 ? 'positive' : 'negative'}`}>
+                {results.stats.profitFactor === 999 ? 'Inf' : results.stats.profitFactor.toFixed(2)}
               </div>
             </div>
             <div className="backtest-stat-card">
               <div className="backtest-stat-label">Sharpe Ratio</div>
               <div className="backtest-stat-value">
-                {results.sharpe.toFixed(2)}
+                {results.stats.sharpeRatio.toFixed(2)}
               </div>
             </div>
             <div className="backtest-stat-card">
               <div className="backtest-stat-label">Total Trades</div>
-              <div className="backtest-stat-value">{results.totalTrades}</div>
+              <div className="backtest-stat-value">{results.stats.totalTrades}</div>
             </div>
             <div className="backtest-stat-card">
               <div className="backtest-stat-label">Avg Duration</div>
-              <div className="backtest-stat-value">{formatDuration(results.avgDuration)}</div>
+              <div className="backtest-stat-value">{formatDuration(summary.avgDuration)}</div>
             </div>
           </div>
 
-          {/* Equity curve */}
+          {/* Equity curve and drawdown */}
           <div className="backtest-chart" ref={chartContainerRef} />
 
           {/* Trade log table */}
-          <div className="backtest-trades-title">Trade Log</div>
+          <div className="backtest-trades-title">
+            Trade Log{results.trades.length > TRADE_LOG_ROWS ? ` (first ${TRADE_LOG_ROWS} of ${results.trades.length})` : ''}
+          </div>
           <div className="backtest-trades-table">
             <table style={{ width: '100%' }}>
               <thead>
                 <tr>
                   <th>#</th>
-                  <th>Pair</th>
+                  <th>Opened</th>
                   <th>Entry</th>
                   <th>Exit</th>
                   <th>P&L</th>
+                  <th>Exit Reason</th>
                   <th>Duration</th>
                 </tr>
               </thead>
               <tbody>
-                {results.trades.slice(0, 50).map((t) => (
-                  <tr key={t.id}>
-                    <td>{t.id}</td>
-                    <td>{t.pair}</td>
+                {results.trades.slice(0, TRADE_LOG_ROWS).map((t, i) => (
+                  <tr key={`${t.entryTime}-${t.exitTime}-${i}`}>
+                    <td>{i + 1}</td>
+                    <td>{formatDate(t.entryTime)}</td>
                     <td>{formatPrice(t.entryPrice, t.pair)}</td>
                     <td>{formatPrice(t.exitPrice, t.pair)}</td>
                     <td style={{ color: t.pnl >= 0 ? COLORS.bullish : COLORS.bearish, fontWeight: 600 }}>
                       {t.pnl >= 0 ? '+' : ''}{formatUSD(t.pnl)}
                     </td>
-                    <td>{formatDuration(t.duration)}</td>
+                    <td title={t.reason}>{t.exitType}</td>
+                    <td>{formatDuration(t.exitTime - t.entryTime)}</td>
                   </tr>
                 ))}
               </tbody>
@@ -426,6 +558,381 @@ export default function Backtest() {
             <button className="backtest-export-btn" onClick={exportCSV}>Export CSV</button>
             <button className="backtest-export-btn" onClick={exportJSON}>Export JSON</button>
           </div>
+
+          {/* Monte Carlo robustness */}
+          <div className="backtest-results-title">Monte Carlo Robustness</div>
+          <div className="backtest-form">
+            <div className="backtest-field">
+              <label className="backtest-field-label">Iterations</label>
+              <input
+                className="backtest-field-input"
+                type="number"
+                step="100"
+                value={mcConfig.iterations}
+                onChange={(e) => setMcConfig({ ...mcConfig, iterations: parseInt(e.target.value) || 1000 })}
+              />
+            </div>
+
+            <div className="backtest-field">
+              <label className="backtest-field-label">Resampling</label>
+              <select
+                className="backtest-field-select"
+                value={mcConfig.method}
+                onChange={(e) => setMcConfig({ ...mcConfig, method: e.target.value })}
+              >
+                <option value="bootstrap">Bootstrap</option>
+                <option value="shuffle">Shuffle</option>
+              </select>
+            </div>
+
+            <div className="backtest-field">
+              <label className="backtest-field-label">Fill Noise</label>
+              <select
+                className="backtest-field-select"
+                value={mcConfig.perturbFills ? 'on' : 'off'}
+                onChange={(e) => setMcConfig({ ...mcConfig, perturbFills: e.target.value === 'on' })}
+              >
+                <option value="on">Slippage + Fees</option>
+                <option value="off">Off</option>
+              </select>
+            </div>
+
+            <div className="backtest-field">
+              <label className="backtest-field-label">Ruin Drawdown %</label>
+              <input
+                className="backtest-field-input"
+                type="number"
+                step="5"
+                value={mcConfig.ruinPct}
+                onChange={(e) => setMcConfig({ ...mcConfig, ruinPct: parseFloat(e.target.value) || 50 })}
+              />
+            </div>
+
+            <button
+              className="backtest-run-btn"
+              onClick={handleRunMonteCarlo}
+              disabled={busy || results.trades.length === 0}
+            >
+              {isRunning('montecarlo') ? 'Simulating...' : 'Run Monte Carlo'}
+            </button>
+          </div>
+
+          {monteCarloResults && (
+            <>
+              <div className="backtest-stats">
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">Median Equity</div>
+                  <div className={`backtest-stat-value ${monteCarloResults.terminalEquity.p50 >= monteCarloResults.startingCapital ? 'positive' : 'negative'}`}>
+                    {formatUSD(monteCarloResults.terminalEquity.p50)}
+                  </div>
+                </div>
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">5th Pct Equity</div>
+                  <div className={`backtest-stat-value ${monteCarloResults.terminalEquity.p5 >= monteCarloResults.startingCapital ? 'positive' : 'negative'}`}>
+                    {formatUSD(monteCarloResults.terminalEquity.p5)}
+                  </div>
+                </div>
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">95th Pct Max DD</div>
+                  <div className="backtest-stat-value negative">{monteCarloResults.maxDrawdown.p95.toFixed(2)}%</div>
+                </div>
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">P(Ruin)</div>
+                  <div className={`backtest-stat-value ${monteCarloResults.probabilityOfRuin > 1 ? 'negative' : ''}`}>
+                    {monteCarloResults.probabilityOfRuin.toFixed(2)}%
+                  </div>
+                </div>
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">P(Loss)</div>
+                  <div className="backtest-stat-value">{monteCarloResults.probabilityOfLoss.toFixed(1)}%</div>
+                </div>
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">Worst Streak</div>
+                  <div className="backtest-stat-value">
+                    {monteCarloResults.losingStreak.worst} (p95 {monteCarloResults.losingStreak.p95})
+                  </div>
+                </div>
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">Actual Percentile</div>
+                  <div className="backtest-stat-value">{monteCarloResults.actualPercentile.toFixed(1)}</div>
+                </div>
+              </div>
+
+              <div className="backtest-trades-title">Equity Fan (p5–p95 by trade)</div>
+              <FanChart
+                bands={monteCarloResults.equityBands}
+                reference={actualTradeEquity}
+                formatValue={formatUSD}
+              />
+
+              <div className="backtest-trades-title">Drawdown Fan (% from peak)</div>
+              <FanChart
+                bands={monteCarloResults.drawdownBands}
+                formatValue={(v) => `${v.toFixed(1)}%`}
+                invert
+                rgb="255, 69, 96"
+              />
+            </>
+          )}
+        </div>
+      )}
+
+      {workerError && <div className="backtest-loading-text">{workerError}</div>}
+
+      {/* Multi-pair portfolio backtest over the scanner pairs */}
+      <div className="backtest-results">
+        <div className="backtest-results-title">Portfolio Backtest ({scannerPairs.length} scanner pairs)</div>
+
+        <div className="backtest-form">
+          <div className="backtest-field">
+            <label className="backtest-field-label">Strategies</label>
+            <select className="backtest-field-select" value={pfStrategies} onChange={(e) => setPfStrategies(e.target.value)}>
+              <option value="hydra">HYDRA</option>
+              <option value="viper">VIPER</option>
+              <option value="hydra+viper">HYDRA + VIPER</option>
+            </select>
+          </div>
+
+          <button
+            className="backtest-run-btn"
+            onClick={handleRunPortfolio}
+            disabled={busy}
+          >
+            {isRunning('portfolio') ? `Running... ${workerProgress}%` : 'Run Portfolio'}
+          </button>
+        </div>
+
+        {portfolioResults && (
+          <>
+            <div className="backtest-stats">
+              <div className="backtest-stat-card">
+                <div className="backtest-stat-label">Return</div>
+                <div className={`backtest-stat-value ${portfolioResults.stats.totalReturn >= 0 ? 'positive' : 'negative'}`}>
+                  {portfolioResults.stats.totalReturn.toFixed(2)}%
+                </div>
+              </div>
+              <div className="backtest-stat-card">
+                <div className="backtest-stat-label">Max Drawdown</div>
+                <div className="backtest-stat-value negative">{portfolioResults.stats.maxDrawdown.toFixed(2)}%</div>
+              </div>
+              <div className="backtest-stat-card">
+                <div className="backtest-stat-label">Sharpe Ratio</div>
+                <div className="backtest-stat-value">{portfolioResults.stats.sharpeRatio.toFixed(2)}</div>
+              </div>
+              <div className="backtest-stat-card">
+                <div className="backtest-stat-label">Win Rate</div>
+                <div className="backtest-stat-value">{portfolioResults.stats.winRate.toFixed(1)}%</div>
+              </div>
+              <div className="backtest-stat-card">
+                <div className="backtest-stat-label">Total Trades</div>
+                <div className="backtest-stat-value">{portfolioResults.stats.totalTrades}</div>
+              </div>
+              <div className="backtest-stat-card">
+                <div className="backtest-stat-label">Ending Capital</div>
+                <div className="backtest-stat-value">{formatUSD(portfolioResults.stats.endingCapital)}</div>
+              </div>
+            </div>
+
+            <div className="backtest-trades-title">By Pair &amp; Strategy</div>
+            <div className="backtest-trades-table">
+              <table style={{ width: '100%' }}>
+                <thead>
+                  <tr>
+                    <th>Pair / Strategy</th>
+                    <th>Trades</th>
+                    <th>Win Rate</th>
+                    <th>Fees</th>
+                    <th>P&L</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    ...Object.entries(portfolioResults.byPair),
+                    ...Object.entries(portfolioResults.byStrategy).map(([k, g]) => [k.toUpperCase(), g]),
+                  ].map(([key, g]) => (
+                    <tr key={key}>
+                      <td>{key}</td>
+                      <td>{g.trades}</td>
+                      <td>{g.winRate.toFixed(1)}%</td>
+                      <td>{formatUSD(g.fees)}</td>
+                      <td style={{ color: g.pnl >= 0 ? COLORS.bullish : COLORS.bearish, fontWeight: 600 }}>
+                        {g.pnl >= 0 ? '+' : ''}{formatUSD(g.pnl)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Walk-forward optimisation (HYDRA only) */}
+      {strategy === STRATEGIES.HYDRA && (
+        <div className="backtest-results">
+          <div className="backtest-results-title">Walk-Forward Optimisation</div>
+
+          <div className="backtest-form">
+            <div className="backtest-field">
+              <label className="backtest-field-label">In-Sample Bars</label>
+              <input
+                className="backtest-field-input"
+                type="number"
+                step="50"
+                value={wfConfig.inSampleBars}
+                onChange={(e) => setWfConfig({ ...wfConfig, inSampleBars: parseInt(e.target.value) || 500 })}
+              />
+            </div>
+
+            <div className="backtest-field">
+              <label className="backtest-field-label">Out-of-Sample Bars</label>
+              <input
+                className="backtest-field-input"
+                type="number"
+                step="50"
+                value={wfConfig.outSampleBars}
+                onChange={(e) => setWfConfig({ ...wfConfig, outSampleBars: parseInt(e.target.value) || 150 })}
+              />
+            </div>
+
+            <div className="backtest-field">
+              <label className="backtest-field-label">Search</label>
+              <select
+                className="backtest-field-select"
+                value={wfConfig.method}
+                onChange={(e) => setWfConfig({ ...wfConfig, method: e.target.value })}
+              >
+                <option value="random">Random</option>
+                <option value="grid">Grid (slow)</option>
+              </select>
+            </div>
+
+            {wfConfig.method === 'random' && (
+              <div className="backtest-field">
+                <label className="backtest-field-label">Samples / Fold</label>
+                <input
+                  className="backtest-field-input"
+                  type="number"
+                  value={wfConfig.samples}
+                  onChange={(e) => setWfConfig({ ...wfConfig, samples: parseInt(e.target.value) || 30 })}
+                />
+              </div>
+            )}
+
+            <div className="backtest-field">
+              <label className="backtest-field-label">Objective</label>
+              <select
+                className="backtest-field-select"
+                value={wfConfig.objective}
+                onChange={(e) => setWfConfig({ ...wfConfig, objective: e.target.value })}
+              >
+                {Object.keys(OBJECTIVES).map((o) => <option key={o} value={o}>{o}</option>)}
+              </select>
+            </div>
+
+            <div className="backtest-field">
+              <label className="backtest-field-label">Min Trades</label>
+              <input
+                className="backtest-field-input"
+                type="number"
+                value={wfConfig.minTrades}
+                onChange={(e) => setWfConfig({ ...wfConfig, minTrades: parseInt(e.target.value) || 0 })}
+              />
+            </div>
+
+            <button
+              className="backtest-run-btn"
+              onClick={handleRunWalkForward}
+              disabled={busy}
+            >
+              {isRunning('walkforward') ? `Optimising... ${workerProgress}%` : 'Run Walk-Forward'}
+            </button>
+          </div>
+
+          {walkForwardResults && (
+            <>
+              <div className="backtest-stats">
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">OOS Return</div>
+                  <div className={`backtest-stat-value ${walkForwardResults.summary.oosReturn >= 0 ? 'positive' : 'negative'}`}>
+                    {walkForwardResults.summary.oosReturn.toFixed(2)}%
+                  </div>
+                </div>
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">Avg OOS Sharpe</div>
+                  <div className="backtest-stat-value">{walkForwardResults.summary.avgOosSharpe.toFixed(2)}</div>
+                </div>
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">OOS Trades</div>
+                  <div className="backtest-stat-value">{walkForwardResults.summary.oosTrades}</div>
+                </div>
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">OOS Win Rate</div>
+                  <div className="backtest-stat-value">{walkForwardResults.summary.oosWinRate.toFixed(1)}%</div>
+                </div>
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">WF Efficiency</div>
+                  <div className={`backtest-stat-value ${walkForwardResults.summary.efficiency >= 0.5 ? 'positive' : 'negative'}`}>
+                    {walkForwardResults.summary.efficiency.toFixed(2)}
+                  </div>
+                </div>
+                <div className="backtest-stat-card">
+                  <div className="backtest-stat-label">Candidates / Fold</div>
+                  <div className="backtest-stat-value">{walkForwardResults.candidatesTested}</div>
+                </div>
+              </div>
+
+              <div className="backtest-trades-title">Folds</div>
+              <div className="backtest-trades-table">
+                <table style={{ width: '100%' }}>
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>In-Sample</th>
+                      <th>Out-of-Sample</th>
+                      <th>Params</th>
+                      <th>IS Sharpe</th>
+                      <th>OOS Return</th>
+                      <th>OOS Trades</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {walkForwardResults.folds.map((f) => (
+                      <tr key={f.index}>
+                        <td>{f.index + 1}</td>
+                        <td>{formatDate(f.inSampleStart)} – {formatDate(f.inSampleEnd)}</td>
+                        <td>{formatDate(f.outSampleStart)} – {formatDate(f.outSampleEnd)}</td>
+                        <td>
+                          {f.params
+                            ? `T${f.params.entryThreshold} R${(f.params.riskPerTrade * 100).toFixed(2)}% X${f.params.exitScoreThreshold} S${f.params.sessionWeight}`
+                            : 'No qualifying set'}
+                        </td>
+                        <td>{f.inSample ? f.inSample.sharpeRatio.toFixed(2) : '--'}</td>
+                        <td style={{ color: (f.outSample?.totalReturn ?? 0) >= 0 ? COLORS.bullish : COLORS.bearish, fontWeight: 600 }}>
+                          {f.outSample ? `${f.outSample.totalReturn.toFixed(2)}%` : '--'}
+                        </td>
+                        <td>{f.outSample ? f.outSample.totalTrades : '--'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {walkForwardResults.recommended && (
+                <div className="backtest-export-btns">
+                  <div className="backtest-loading-text">
+                    Recommended: threshold {walkForwardResults.recommended.entryThreshold},
+                    risk {(walkForwardResults.recommended.riskPerTrade * 100).toFixed(2)}%,
+                    exit {walkForwardResults.recommended.exitScoreThreshold},
+                    session weight {walkForwardResults.recommended.sessionWeight}
+                  </div>
+                  <button className="backtest-export-btn" onClick={handleApplyRecommended}>
+                    Apply to HYDRA
+                  </button>
+                </div>
+              )}
+            </>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,113 @@
+/* ============================================================
+   Backtest — Monte Carlo Fan Chart
+   ============================================================
+   Canvas chart of percentile bands per trade step: p5–p95 as
+   the outer fan, p25–p75 as the inner fan, p50 as the median
+   line, plus an optional reference line (the actual backtest).
+   ============================================================ */
+
+import { useRef, useEffect } from 'react';
+import { COLORS } from '../../config/constants';
+
+export default function FanChart({ bands, reference, formatValue, invert = false, rgb = '108, 99, 255' }) {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!bands || !containerRef.current) return;
+
+    const draw = () => {
+      const container = containerRef.current;
+      if (!container) return;
+
+      let canvas = container.querySelector('canvas');
+      if (!canvas) {
+        canvas = document.createElement('canvas');
+        container.appendChild(canvas);
+      }
+
+      const dpr = window.devicePixelRatio || 1;
+      const rect = container.getBoundingClientRect();
+      canvas.width = rect.width * dpr;
+      canvas.height = rect.height * dpr;
+      canvas.style.width = rect.width + 'px';
+      canvas.style.height = rect.height + 'px';
+
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.save();
+      ctx.scale(dpr, dpr);
+
+      const W = rect.width;
+      const H = rect.height;
+      const pad = { top: 10, right: 60, bottom: 10, left: 10 };
+      const cW = W - pad.left - pad.right;
+      const cH = H - pad.top - pad.bottom;
+      const steps = bands.p50.length;
+
+      if (steps < 2) { ctx.restore(); return; }
+
+      let minV = Math.min(...bands.p5, ...(reference || []));
+      let maxV = Math.max(...bands.p95, ...(reference || []));
+      const padV = (maxV - minV || 1) * 0.05;
+      minV -= padV;
+      maxV += padV;
+      const range = maxV - minV;
+
+      const xAt = (i) => pad.left + (i / (steps - 1)) * cW;
+      // Drawdown charts grow downward from the top
+      const yAt = (v) => (invert
+        ? pad.top + cH * ((v - minV) / range)
+        : pad.top + cH * (1 - (v - minV) / range));
+
+      const fillBand = (lower, upper, alpha) => {
+        ctx.beginPath();
+        for (let i = 0; i < steps; i++) ctx.lineTo(xAt(i), yAt(upper[i]));
+        for (let i = steps - 1; i >= 0; i--) ctx.lineTo(xAt(i), yAt(lower[i]));
+        ctx.closePath();
+        ctx.fillStyle = `rgba(${rgb}, ${alpha})`;
+        ctx.fill();
+      };
+
+      const strokeLine = (values, color, width) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        values.forEach((v, i) => (i === 0 ? ctx.moveTo(xAt(i), yAt(v)) : ctx.lineTo(xAt(i), yAt(v))));
+        ctx.stroke();
+      };
+
+      // Grid
+      ctx.strokeStyle = 'rgba(30,30,46,0.3)';
+      ctx.lineWidth = 0.5;
+      for (let i = 0; i <= 4; i++) {
+        const y = pad.top + cH * (i / 4);
+        ctx.beginPath(); ctx.moveTo(pad.left, y); ctx.lineTo(pad.left + cW, y); ctx.stroke();
+      }
+
+      fillBand(bands.p5, bands.p95, 0.12);
+      fillBand(bands.p25, bands.p75, 0.25);
+      strokeLine(bands.p50, `rgb(${rgb})`, 2);
+      if (reference && reference.length === steps) strokeLine(reference, COLORS.textPrimary, 1);
+
+      // Axis labels
+      ctx.fillStyle = COLORS.textSecondary;
+      ctx.font = '9px monospace';
+      ctx.textAlign = 'left';
+      for (let i = 0; i <= 4; i++) {
+        const y = pad.top + cH * (i / 4);
+        const val = invert ? minV + (i / 4) * range : maxV - (i / 4) * range;
+        ctx.fillText(formatValue ? formatValue(val) : val.toFixed(2), pad.left + cW + 4, y + 3);
+      }
+
+      ctx.restore();
+    };
+
+    draw();
+    const ro = new ResizeObserver(draw);
+    ro.observe(containerRef.current);
+
+    return () => ro.disconnect();
+  }, [bands, reference, formatValue, invert, rgb]);
+
+  return <div className="backtest-chart" ref={containerRef} />;
+}
@@ -3,6 +3,7 @@ import useStore from '../../store';
 import { TIMEFRAMES, COLORS } from '../../config/constants';
 import { formatPrice, formatTimestamp, abbreviateNumber } from '../../utils/formatters';
 import IndicatorPicker from '../IndicatorPicker';
+import { registerChartCanvas } from '../../services/tradeJournal.js';
 import './Chart.css';
 
 /* ============================================================
@@ -101,7 +102,9 @@ export default function Chart() {
     lowerCanvas.style.cssText = 'width:100%;height:100%;display:block';
     lc.appendChild(lowerCanvas);
     lowerCanvasRef.current = lowerCanvas;
+    const unregister = registerChartCanvas(mainCanvas, lowerCanvas);
     return () => {
+      unregister();
       mainCanvasRef.current = null;
       lowerCanvasRef.current = null;
       try { mc.removeChild(mainCanvas); } catch (_e) {}
@@ -0,0 +1,168 @@
+import { useMemo } from 'react';
+import useStore from '../../store';
+import { findClusters } from '../../utils/correlationMatrix.js';
+import './CorrelationHeatmap.css';
+
+/* ============================================================
+   CorrelationHeatmap — Rolling return correlation
+   ============================================================
+   The live matrix the correlation guard sizes and blocks
+   entries with, its clusters and their open exposure, and
+   the lookback / cluster-limit settings.
+   ============================================================ */
+
+const TIMEFRAMES = [
+  { id: 'ONE_MINUTE', label: '1m' },
+  { id: 'FIVE_MINUTE', label: '5m' },
+  { id: 'FIFTEEN_MINUTE', label: '15m' },
+  { id: 'ONE_HOUR', label: '1h' },
+];
+
+const shortPair = (pair) => pair.replace(/-USDC?$/, '');
+
+function cellColor(r) {
+  if (r == null) return 'transparent';
+  return r >= 0
+    ? `rgba(255, 69, 96, ${(0.1 + r * 0.7).toFixed(2)})`
+    : `rgba(0, 212, 170, ${(0.1 + -r * 0.7).toFixed(2)})`;
+}
+
+const notional = (p) => (p.qty || 0) * (p.currentPrice || p.entryPrice || 0);
+
+export default function CorrelationHeatmap() {
+  const correlation = useStore((s) => s.correlationMatrix);
+  const settings = useStore((s) => s.correlationSettings);
+  const setSettings = useStore((s) => s.setCorrelationSettings);
+  const positions = useStore((s) => s.positions);
+  const tradingMode = useStore((s) => s.tradingMode);
+  const paperBalance = useStore((s) => s.paperPortfolio.balance);
+  const portfolio = useStore((s) => s.portfolio);
+
+  const portfolioValue = tradingMode === 'paper'
+    ? paperBalance
+    : portfolio.totalValue || portfolio.availableCash || 0;
+
+  const pairs = correlation?.pairs || [];
+  const held = useMemo(() => new Set(positions.map((p) => p.pair)), [positions]);
+
+  const clusters = useMemo(() => {
+    if (!correlation) return [];
+    return findClusters(correlation.matrix, correlation.pairs, settings.threshold).map((cluster) => {
+      const inCluster = positions.filter((p) => cluster.includes(p.pair));
+      const side = (dir) => {
+        const list = inCluster.filter((p) => (p.direction === 'short') === (dir === 'short'));
+        const usd = list.reduce((sum, p) => sum + notional(p), 0);
+        return { count: list.length, pct: portfolioValue > 0 ? (usd / portfolioValue) * 100 : 0 };
+      };
+      return { pairs: cluster, long: side('long'), short: side('short') };
+    });
+  }, [correlation, settings.threshold, positions, portfolioValue]);
+
+  const setNumber = (key, min, max) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (Number.isFinite(value)) setSettings({ [key]: Math.min(max, Math.max(min, value)) });
+  };
+
+  const overLimit = (side) =>
+    (settings.maxClusterPositions > 0 && side.count >= settings.maxClusterPositions)
+    || (settings.maxClusterExposurePct > 0 && side.pct > settings.maxClusterExposurePct);
+
+  /* ---- Render ---------------------------------------------- */
+  return (
+    <div className="corr-dashboard">
+      <div className="corr-header">
+        <h3 className="corr-title">Correlation</h3>
+        <div className="corr-tabs">
+          {TIMEFRAMES.map((tf) => (
+            <button
+              key={tf.id}
+              className={`corr-tab ${settings.timeframe === tf.id ? 'active' : ''}`}
+              onClick={() => setSettings({ timeframe: tf.id })}
+            >
+              {tf.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="corr-inputs">
+        <div className="corr-input-row">
+          <label>Lookback (bars)</label>
+          <input type="number" value={settings.lookback} min="10" max="299" step="1" onChange={setNumber('lookback', 10, 299)} />
+        </div>
+        <div className="corr-input-row">
+          <label>Correlated At</label>
+          <input type="number" value={settings.threshold} min="0.1" max="0.99" step="0.05" onChange={setNumber('threshold', 0.1, 0.99)} />
+        </div>
+        <div className="corr-input-row">
+          <label>Max Positions / Cluster</label>
+          <input type="number" value={settings.maxClusterPositions} min="0" max="20" step="1" onChange={setNumber('maxClusterPositions', 0, 20)} />
+        </div>
+        <div className="corr-input-row">
+          <label>Max Cluster Exposure %</label>
+          <input type="number" value={settings.maxClusterExposurePct} min="0" max="100" step="1" onChange={setNumber('maxClusterExposurePct', 0, 100)} />
+        </div>
+      </div>
+      <p className="corr-hint">
+        Pearson correlation of log returns over the last {settings.lookback} bars. Entries correlated
+        with an open same-side position are halved; a cluster at its position or exposure limit
+        blocks them (0 = no limit).
+      </p>
+
+      {pairs.length < 2 ? (
+        <div className="corr-empty">
+          Waiting for candles — the matrix needs at least two scanner pairs with {settings.timeframe.toLowerCase().replace('_', ' ')} data.
+        </div>
+      ) : (
+        <div className="corr-content">
+          <div className="corr-grid" style={{ gridTemplateColumns: `64px repeat(${pairs.length}, minmax(36px, 1fr))` }}>
+            <div className="corr-corner" />
+            {pairs.map((p) => (
+              <div key={p} className={`corr-label col ${held.has(p) ? 'held' : ''}`}>{shortPair(p)}</div>
+            ))}
+            {pairs.map((row) => (
+              <div key={row} className="corr-row">
+                <div className={`corr-label ${held.has(row) ? 'held' : ''}`}>{shortPair(row)}</div>
+                {pairs.map((col) => {
+                  const r = correlation.matrix[row]?.[col];
+                  const n = correlation.samples[row]?.[col] ?? 0;
+                  return (
+                    <div
+                      key={col}
+                      className={`corr-cell ${row === col ? 'diagonal' : ''} ${r != null && r >= settings.threshold && row !== col ? 'linked' : ''}`}
+                      style={{ background: row === col ? undefined : cellColor(r) }}
+                      title={`${row} / ${col}: ${r == null ? 'not enough data' : r.toFixed(2)} (${n} returns)`}
+                    >
+                      {row === col ? '' : r == null ? '—' : r.toFixed(2)}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+
+          <div className="corr-section-title">Clusters at ≥ {settings.threshold}</div>
+          {clusters.length === 0 ? (
+            <div className="corr-empty">No pairs correlated above the threshold.</div>
+          ) : (
+            clusters.map((c) => (
+              <div key={c.pairs.join('/')} className="corr-cluster">
+                <span className="corr-cluster-pairs">{c.pairs.map(shortPair).join(' · ')}</span>
+                <span className={`corr-cluster-side ${overLimit(c.long) ? 'limit' : ''}`}>
+                  Long {c.long.count} · {c.long.pct.toFixed(1)}%
+                </span>
+                <span className={`corr-cluster-side ${overLimit(c.short) ? 'limit' : ''}`}>
+                  Short {c.short.count} · {c.short.pct.toFixed(1)}%
+                </span>
+              </div>
+            ))
+          )}
+
+          <div className="corr-footer">
+            Updated {new Date(correlation.computedAt).toLocaleTimeString()} · {pairs.length} pairs
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -49,7 +49,7 @@ const CONTENT = {
         <ul>
           <li><strong>Order Entry:</strong> Place market/limit orders with size and risk controls.</li>
           <li><strong>Positions:</strong> Active positions with unrealized P&L, stop-loss, and take-profit levels.</li>
-          <li><strong>Trade Log:</strong> History of completed trades with P&L breakdown.</li>
+          <li><strong>Trade Log:</strong> History of completed trades with P&L breakdown. Click a trade to open its journal: the chart, HYDRA scores and VIPER mode captured at entry and exit, plus your tags and notes. Use Filters to search by tag, strategy, pair, VIPER mode or date.</li>
           <li><strong>AI Assistant:</strong> AI-powered market analysis and trade suggestions.</li>
         </ul>
 
@@ -58,6 +58,7 @@ const CONTENT = {
           <li><strong>Backtesting:</strong> Test strategies against historical data.</li>
           <li><strong>Alert Manager:</strong> Set price and indicator-based alerts.</li>
           <li><strong>Scalp Dashboard:</strong> Analytics, spread monitoring, and fee calculator for scalp trading.</li>
+          <li><strong>Performance:</strong> Expectancy, profit factor, Sharpe / Sortino, R-multiples, MAE / MFE and holding times over a date range, broken down by strategy, pair, VIPER mode, entry hour (UTC) and HYDRA score.</li>
           <li><strong>User Guide:</strong> This guide.</li>
         </ul>
       </>
@@ -203,7 +204,8 @@ const CONTENT = {
           <li><strong>Session Kill Switch:</strong> -1% session P&L = disable scalping</li>
           <li><strong>Spread Monitor:</strong> Auto-disables scalps when spread &gt; 0.08%</li>
           <li><strong>Slippage Guard:</strong> Blocks orders when estimated slippage &gt; 0.15%</li>
-          <li><strong>Correlation Guard:</strong> Reduces size 50% for correlated pairs</li>
+          <li><strong>Correlation Guard:</strong> Reduces size 50% for pairs correlated with an open position (rolling matrix, see the Correlation tab) and blocks entries into a full cluster</li>
+          <li><strong>Portfolio Risk Budget:</strong> Scales down or blocks entries once total risk to stops, one asset's exposure or 1h VaR reaches its limit (see the Portfolio Risk tab)</li>
           <li><strong>Fee Check:</strong> Warns when fees &gt; 50% of gross profit</li>
         </ul>
       </>
@@ -282,10 +284,10 @@ const CONTENT = {
         <h4>How to Backtest</h4>
         <ol>
           <li>Open Backtesting from the bottom tab bar</li>
-          <li>Select a strategy, pair, and timeframe</li>
+          <li>Select a strategy, pair, timeframe and date range</li>
           <li>Set starting capital and risk parameters</li>
-          <li>Click "Run Backtest" — processing happens in a Web Worker (won't freeze UI)</li>
-          <li>Review results: equity curve, trade list, and performance metrics</li>
+          <li>Click "Run Backtest" — the candles download from Coinbase (or the local cache), plus 200 warm-up bars before the start date, then run in a Web Worker (won't freeze UI)</li>
+          <li>Review results: equity curve with drawdown, trade list, and performance metrics</li>
         </ol>
 
         <h4>Key Metrics</h4>
@@ -2,6 +2,10 @@
    HYDRA — Dimension Breakdown Bars
    ============================================================ */
 
+import { TREND_TIMEFRAMES } from '../../strategies/hydra/dimensions/trendAlignment.js';
+
+const TREND_ARROWS = { bullish: '▲', bearish: '▼', neutral: '–' };
+
 const DIMENSION_LABELS = [
   { key: 'd1', label: 'Trend Alignment', max: 20 },
   { key: 'd2', label: 'Momentum Quality', max: 20 },
@@ -52,6 +56,24 @@ export default function DimensionBreakdown({ dimensions }) {
         );
       })}
 
+      {/* D1 per-timeframe trend states */}
+      {dimensions.d1?.timeframes && (
+        <div className="hydra-dim-tfs">
+          {TREND_TIMEFRAMES.map(({ key, label }) => {
+            const state = dimensions.d1.timeframes[key];
+            return (
+              <span
+                key={key}
+                className={`hydra-dim-tf ${state || 'na'}`}
+                title={`${label} trend: ${state || 'no data'}`}
+              >
+                {label} {state ? TREND_ARROWS[state] : 'n/a'}
+              </span>
+            );
+          })}
+        </div>
+      )}
+
       {/* Show first detail from each dimension */}
       <div className="hydra-dim-details">
         {DIMENSION_LABELS.map(({ key }) => {
@@ -3,34 +3,65 @@ import useStore from '../../store';
 import { formatPrice, formatUSD } from '../../utils/formatters';
 import { TAKER_FEE_PCT } from '../../config/constants';
 import coinbaseREST from '../../services/coinbaseREST';
+import useOrders from '../../hooks/useOrders';
+import { placePaperEntry } from '../../services/paperOrders';
+import { validateExitLevels } from '../../utils/orderConfig';
 import './OrderEntry.css';
 
 /* ============================================================
    OrderEntry — Order Entry Form (Right Sidebar)
+   ============================================================
+   Entries can carry a bracket: take-profit and stop-loss held
+   by the exchange (or the proxy's paper engine) once the entry
+   fills. The OCO tab puts the same exit on an existing holding.
    ============================================================ */
 
-const ORDER_TYPES = ['market', 'limit', 'stop-limit'];
+const ORDER_TYPES = ['market', 'limit', 'stop-limit', 'oco'];
+
+const ORDER_TYPE_LABELS = { market: 'Market', limit: 'Limit', 'stop-limit': 'Stop-Limit', oco: 'OCO' };
+
+const GROUP_STATUS_LABELS = { pending: 'Awaiting entry', active: 'Exits live' };
 
 export default function OrderEntry() {
   const activePair = useStore((s) => s.activePair);
   const tickers = useStore((s) => s.tickers);
   const tradingMode = useStore((s) => s.tradingMode);
-  const addPosition = useStore((s) => s.addPosition);
-  const updatePaperPortfolio = useStore((s) => s.updatePaperPortfolio);
   const paperPortfolio = useStore((s) => s.paperPortfolio);
   const addToast = useStore((s) => s.addToast);
+  const positions = useStore((s) => s.positions);
+  const { submitBracketOrder, submitOcoOrder, cancelOrderGroup, orderGroups } = useOrders();
 
   const [orderType, setOrderType] = useState('market');
   const [amountMode, setAmountMode] = useState('usd'); // 'crypto' | 'usd'
   const [amount, setAmount] = useState('');
   const [limitPrice, setLimitPrice] = useState('');
   const [stopPrice, setStopPrice] = useState('');
+  const [bracket, setBracket] = useState(false);
+  const [takeProfit, setTakeProfit] = useState('');
+  const [stopLoss, setStopLoss] = useState('');
+  const [ocoPositionId, setOcoPositionId] = useState('');
   const [error, setError] = useState('');
   const [showConfirm, setShowConfirm] = useState(false);
   const [submitting, setSubmitting] = useState(false);
 
   const ticker = tickers[activePair] || {};
   const currentPrice = ticker.price || ticker.ask || 0;
+  const isOco = orderType === 'oco';
+  const baseCurrency = activePair.split('-')[0];
+
+  // Holdings an OCO can protect: open positions on this pair not already grouped
+  const ocoPositions = useMemo(
+    () => positions.filter((p) => p.pair === activePair && p.status !== 'closed' && !p.orderGroupId),
+    [positions, activePair]
+  );
+  const ocoPosition = ocoPositions.find((p) => p.id === ocoPositionId) || null;
+  const ocoSize = parseFloat(amount) || (ocoPosition ? (ocoPosition.quantity ?? ocoPosition.qty) : 0);
+
+  const pairGroups = useMemo(
+    () => orderGroups.filter((g) => g.pair === activePair && g.mode === tradingMode
+      && (g.status === 'pending' || g.status === 'active')),
+    [orderGroups, activePair, tradingMode]
+  );
 
   /* ---- Calculations --------------------------------------- */
   const calcEstimate = useMemo(() => {
@@ -54,6 +85,18 @@ export default function OrderEntry() {
 
   /* ---- Validation ----------------------------------------- */
   const validate = useCallback(() => {
+    if (isOco) {
+      if (tradingMode === 'paper' && !ocoPosition) return `No open paper position in ${activePair} to protect`;
+      if (!(ocoSize > 0)) return 'Please enter a valid amount';
+      if (ocoPosition && ocoSize > (ocoPosition.quantity ?? ocoPosition.qty)) return 'Amount exceeds the position size';
+      if (currentPrice <= 0) return 'Waiting for price data...';
+      return validateExitLevels({
+        price: currentPrice,
+        takeProfit: parseFloat(takeProfit),
+        stopLoss: parseFloat(stopLoss),
+      });
+    }
+
     const amt = parseFloat(amount);
     if (!amt || amt <= 0) return 'Please enter a valid amount';
     if (orderType !== 'market' && (!limitPrice || parseFloat(limitPrice) <= 0))
@@ -66,8 +109,18 @@ export default function OrderEntry() {
     if (calcEstimate.netTotal > avail)
       return `Insufficient funds. Need ${formatUSD(calcEstimate.netTotal)}, have ${formatUSD(avail)}`;
 
+    if (bracket) {
+      return validateExitLevels({
+        price: orderType === 'market' ? currentPrice : parseFloat(limitPrice),
+        takeProfit: parseFloat(takeProfit),
+        stopLoss: parseFloat(stopLoss),
+      });
+    }
     return '';
-  }, [amount, orderType, limitPrice, stopPrice, currentPrice, tradingMode, paperPortfolio.balance, calcEstimate]);
+  }, [
+    amount, orderType, limitPrice, stopPrice, currentPrice, tradingMode, paperPortfolio.balance, calcEstimate,
+    isOco, ocoPosition, ocoSize, activePair, bracket, takeProfit, stopLoss,
+  ]);
 
   /* ---- Submit order ---------------------------------------- */
   const handleSubmit = useCallback(async () => {
@@ -87,30 +140,47 @@ export default function OrderEntry() {
     setShowConfirm(false);
 
     try {
-      if (tradingMode === 'paper') {
-        /* Paper trade simulation */
-        const entryPrice = orderType === 'market' ? currentPrice : parseFloat(limitPrice);
-        const pos = {
-          id: `paper-${Date.now()}`,
+      if (isOco) {
+        /* Exchange-held exit for an existing holding */
+        const result = await submitOcoOrder({
           pair: activePair,
-          side: 'long',
-          entryPrice,
-          quantity: calcEstimate.quantity,
-          cost: calcEstimate.netTotal,
-          stopLoss: entryPrice * 0.98,
-          tp1: entryPrice * 1.015,
-          tp2: entryPrice * 1.03,
-          entryTime: new Date().toISOString(),
-          strategy: 'manual',
-        };
-
-        addPosition(pos);
-        updatePaperPortfolio({
-          balance: paperPortfolio.balance - calcEstimate.netTotal,
-          positions: [...paperPortfolio.positions, pos],
+          baseSize: ocoSize,
+          takeProfit: parseFloat(takeProfit),
+          stopLoss: parseFloat(stopLoss),
+          positionId: ocoPosition?.id || null,
+          entryPrice: ocoPosition?.entryPrice || null,
         });
-
-        addToast({ type: 'success', message: `Paper BUY ${activePair} @ ${formatPrice(entryPrice, activePair)}` });
+        if (!result.success) throw new Error(result.errors.join('; '));
+        setOcoPositionId('');
+      } else if (bracket) {
+        /* Entry with an attached bracket; the fill opens the position */
+        const byQuote = orderType === 'market' && amountMode === 'usd';
+        const result = await submitBracketOrder({
+          pair: activePair,
+          orderType,
+          baseSize: byQuote ? undefined : calcEstimate.quantity,
+          quoteSize: byQuote ? calcEstimate.total : undefined,
+          limitPrice: orderType === 'market' ? undefined : parseFloat(limitPrice),
+          stopPrice: orderType === 'stop-limit' ? parseFloat(stopPrice) : undefined,
+          takeProfit: parseFloat(takeProfit),
+          stopLoss: parseFloat(stopLoss),
+          notionalValue: calcEstimate.total,
+        });
+        if (!result.success) throw new Error(result.errors.join('; '));
+      } else if (tradingMode === 'paper') {
+        /* Paper order on the proxy's paper engine; the fill opens the position */
+        const byQuote = orderType === 'market' && amountMode === 'usd';
+        await placePaperEntry({
+          pair: activePair,
+          side: 'BUY',
+          orderType,
+          baseSize: byQuote ? undefined : calcEstimate.quantity,
+          quoteSize: byQuote ? calcEstimate.total : undefined,
+          limitPrice: orderType === 'market' ? undefined : parseFloat(limitPrice),
+          stopPrice: orderType === 'stop-limit' ? parseFloat(stopPrice) : undefined,
+          position: { side: 'long', quantity: 0, strategy: 'manual' },
+        });
+        addToast({ type: 'info', message: `Paper order placed: BUY ${activePair}` });
       } else {
         /* Live order via Coinbase REST */
         const orderData = {
@@ -143,6 +213,8 @@ export default function OrderEntry() {
       setAmount('');
       setLimitPrice('');
       setStopPrice('');
+      setTakeProfit('');
+      setStopLoss('');
     } catch (err) {
       setError(err.message || 'Order failed');
       addToast({ type: 'error', message: `Order failed: ${err.message}` });
@@ -150,10 +222,52 @@ export default function OrderEntry() {
       setSubmitting(false);
     }
   }, [
-    validate, tradingMode, showConfirm, orderType, currentPrice, limitPrice, stopPrice,
-    activePair, calcEstimate, addPosition, updatePaperPortfolio, paperPortfolio, addToast,
+    validate, tradingMode, showConfirm, orderType, limitPrice, stopPrice,
+    activePair, calcEstimate, addToast,
+    isOco, ocoSize, ocoPosition, bracket, amountMode, takeProfit, stopLoss, submitOcoOrder, submitBracketOrder,
   ]);
 
+  const handleCancelGroup = useCallback(async (group) => {
+    const result = await cancelOrderGroup(group.id);
+    if (result.success) addToast({ type: 'info', message: `${group.kind.toUpperCase()} for ${group.pair} cancelled` });
+  }, [cancelOrderGroup, addToast]);
+
+  /* Take-profit / stop-loss inputs, shared by brackets and OCO */
+  const exitFields = (
+    <div className="order-exit-fields">
+      <div className="order-field">
+        <span className="order-field-label">Take-Profit</span>
+        <div className="order-field-input-wrap">
+          <input
+            className="order-field-input"
+            type="number"
+            min="0"
+            step="any"
+            value={takeProfit}
+            onChange={(e) => setTakeProfit(e.target.value)}
+            placeholder="0.00"
+          />
+          <span className="order-field-suffix">USD</span>
+        </div>
+      </div>
+      <div className="order-field">
+        <span className="order-field-label">Stop-Loss</span>
+        <div className="order-field-input-wrap">
+          <input
+            className="order-field-input"
+            type="number"
+            min="0"
+            step="any"
+            value={stopLoss}
+            onChange={(e) => setStopLoss(e.target.value)}
+            placeholder="0.00"
+          />
+          <span className="order-field-suffix">USD</span>
+        </div>
+      </div>
+    </div>
+  );
+
   return (
     <div className="order-entry">
       {/* Header */}
@@ -170,55 +284,105 @@ export default function OrderEntry() {
           <button
             key={type}
             className={`order-type-tab ${orderType === type ? 'active' : ''}`}
-            onClick={() => setOrderType(type)}
+            onClick={() => {
+              // OCO amounts are in the base currency; don't carry a USD amount across
+              if ((type === 'oco') !== isOco) setAmount('');
+              setOrderType(type);
+            }}
           >
-            {type === 'stop-limit' ? 'Stop-Limit' : type.charAt(0).toUpperCase() + type.slice(1)}
+            {ORDER_TYPE_LABELS[type]}
           </button>
         ))}
       </div>
 
       {/* Side note */}
-      <div className="order-side-note">
-        <span className="order-side-label">BUY</span>
-        <span className="order-side-subtext">Long-only trading</span>
-      </div>
+      {isOco ? (
+        <div className="order-side-note sell">
+          <span className="order-side-label">SELL</span>
+          <span className="order-side-subtext">Take-profit or stop — one cancels the other</span>
+        </div>
+      ) : (
+        <div className="order-side-note">
+          <span className="order-side-label">BUY</span>
+          <span className="order-side-subtext">Long-only trading</span>
+        </div>
+      )}
+
+      {/* OCO: position to protect, amount in base currency */}
+      {isOco && (
+        <>
+          <div className="order-field">
+            <span className="order-field-label">Position</span>
+            <select
+              className="order-field-select"
+              value={ocoPositionId}
+              onChange={(e) => setOcoPositionId(e.target.value)}
+            >
+              <option value="">{tradingMode === 'paper' ? 'Select a position' : 'None — sell holdings'}</option>
+              {ocoPositions.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {(p.quantity ?? p.qty).toFixed(6)} @ {formatPrice(p.entryPrice, activePair)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="order-field">
+            <span className="order-field-label">Amount</span>
+            <div className="order-field-input-wrap">
+              <input
+                className="order-field-input"
+                type="number"
+                min="0"
+                step="any"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder={ocoPosition ? String(ocoPosition.quantity ?? ocoPosition.qty) : '0.000000'}
+              />
+              <span className="order-field-suffix">{baseCurrency}</span>
+            </div>
+          </div>
+          {exitFields}
+        </>
+      )}
 
       {/* Amount */}
-      <div className="order-field">
-        <span className="order-field-label">Amount</span>
-        <div className="order-field-input-wrap">
-          <input
-            className="order-field-input"
-            type="number"
-            min="0"
-            step="any"
-            value={amount}
-            onChange={(e) => setAmount(e.target.value)}
-            placeholder={amountMode === 'usd' ? '0.00' : '0.000000'}
-          />
-          <span
-            className="order-field-suffix"
-            onClick={() => setAmountMode(amountMode === 'usd' ? 'crypto' : 'usd')}
-            title="Toggle between USD and crypto"
-          >
-            {amountMode === 'usd' ? 'USD' : activePair.split('-')[0]}
-          </span>
-        </div>
-        <div className="order-amount-toggle">
-          <button
-            className={`order-amount-toggle-btn ${amountMode === 'usd' ? 'active' : ''}`}
-            onClick={() => setAmountMode('usd')}
-          >
-            USD
-          </button>
-          <button
-            className={`order-amount-toggle-btn ${amountMode === 'crypto' ? 'active' : ''}`}
-            onClick={() => setAmountMode('crypto')}
-          >
-            {activePair.split('-')[0]}
-          </button>
+      {!isOco && (
+        <div className="order-field">
+          <span className="order-field-label">Amount</span>
+          <div className="order-field-input-wrap">
+            <input
+              className="order-field-input"
+              type="number"
+              min="0"
+              step="any"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder={amountMode === 'usd' ? '0.00' : '0.000000'}
+            />
+            <span
+              className="order-field-suffix"
+              onClick={() => setAmountMode(amountMode === 'usd' ? 'crypto' : 'usd')}
+              title="Toggle between USD and crypto"
+            >
+              {amountMode === 'usd' ? 'USD' : activePair.split('-')[0]}
+            </span>
+          </div>
+          <div className="order-amount-toggle">
+            <button
+              className={`order-amount-toggle-btn ${amountMode === 'usd' ? 'active' : ''}`}
+              onClick={() => setAmountMode('usd')}
+            >
+              USD
+            </button>
+            <button
+              className={`order-amount-toggle-btn ${amountMode === 'crypto' ? 'active' : ''}`}
+              onClick={() => setAmountMode('crypto')}
+            >
+              {activePair.split('-')[0]}
+            </button>
+          </div>
         </div>
-      </div>
+      )}
 
       {/* Limit price */}
       {(orderType === 'limit' || orderType === 'stop-limit') && (
@@ -258,8 +422,17 @@ export default function OrderEntry() {
         </div>
       )}
 
+      {/* Bracket */}
+      {!isOco && (
+        <label className="order-bracket-toggle">
+          <input type="checkbox" checked={bracket} onChange={(e) => setBracket(e.target.checked)} />
+          Bracket — exchange-held take-profit &amp; stop-loss
+        </label>
+      )}
+      {!isOco && bracket && exitFields}
+
       {/* Estimate */}
-      {parseFloat(amount) > 0 && (
+      {!isOco && parseFloat(amount) > 0 && (
         <div className="order-estimate">
           <div className="order-estimate-row">
             <span className="order-estimate-label">Quantity</span>
@@ -291,11 +464,30 @@ export default function OrderEntry() {
       <button
         className="order-submit-btn"
         onClick={handleSubmit}
-        disabled={submitting || !amount}
+        disabled={submitting || (isOco ? !(ocoSize > 0) : !amount)}
       >
-        {submitting ? 'Placing...' : 'Place Order'}
+        {submitting ? 'Placing...' : isOco ? 'Place OCO' : bracket ? 'Place Bracket Order' : 'Place Order'}
       </button>
 
+      {/* Linked order groups on this pair */}
+      {pairGroups.length > 0 && (
+        <div className="order-groups">
+          {pairGroups.map((g) => (
+            <div key={g.id} className="order-group-row">
+              <span className={`order-group-kind ${g.kind}`}>{g.kind.toUpperCase()}</span>
+              <span className="order-group-levels">
+                TP {formatPrice(g.takeProfit, g.pair)} / SL {formatPrice(g.stopLoss, g.pair)}
+                {g.size ? ` · ${Number(g.size).toFixed(6)}` : ''}
+              </span>
+              <span className={`order-group-status ${g.status}`}>{GROUP_STATUS_LABELS[g.status]}</span>
+              <button className="order-group-cancel" onClick={() => handleCancelGroup(g)} title="Cancel">
+                &#10005;
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Live confirmation modal */}
       {showConfirm && (
         <div className="order-confirm-overlay" onClick={() => setShowConfirm(false)}>
@@ -308,20 +500,40 @@ export default function OrderEntry() {
               </div>
               <div className="order-confirm-detail-row">
                 <span className="order-confirm-detail-label">Type</span>
-                <span className="order-confirm-detail-value">{orderType.toUpperCase()}</span>
+                <span className="order-confirm-detail-value">
+                  {orderType.toUpperCase()}{bracket && !isOco ? ' + BRACKET' : ''}
+                </span>
               </div>
               <div className="order-confirm-detail-row">
                 <span className="order-confirm-detail-label">Quantity</span>
-                <span className="order-confirm-detail-value">{calcEstimate.quantity.toFixed(6)}</span>
-              </div>
-              <div className="order-confirm-detail-row">
-                <span className="order-confirm-detail-label">Total Cost</span>
-                <span className="order-confirm-detail-value">{formatUSD(calcEstimate.netTotal)}</span>
+                <span className="order-confirm-detail-value">
+                  {(isOco ? ocoSize : calcEstimate.quantity).toFixed(6)}
+                </span>
               </div>
+              {!isOco && (
+                <div className="order-confirm-detail-row">
+                  <span className="order-confirm-detail-label">Total Cost</span>
+                  <span className="order-confirm-detail-value">{formatUSD(calcEstimate.netTotal)}</span>
+                </div>
+              )}
+              {(isOco || bracket) && (
+                <>
+                  <div className="order-confirm-detail-row">
+                    <span className="order-confirm-detail-label">Take-Profit</span>
+                    <span className="order-confirm-detail-value">{formatPrice(parseFloat(takeProfit), activePair)}</span>
+                  </div>
+                  <div className="order-confirm-detail-row">
+                    <span className="order-confirm-detail-label">Stop-Loss</span>
+                    <span className="order-confirm-detail-value">{formatPrice(parseFloat(stopLoss), activePair)}</span>
+                  </div>
+                </>
+              )}
             </div>
             <div className="order-confirm-actions">
               <button className="order-confirm-cancel" onClick={() => setShowConfirm(false)}>Cancel</button>
-              <button className="order-confirm-submit" onClick={handleSubmit}>Confirm BUY</button>
+              <button className="order-confirm-submit" onClick={handleSubmit}>
+                {isOco ? 'Confirm OCO SELL' : 'Confirm BUY'}
+              </button>
             </div>
           </div>
         </div>
@@ -0,0 +1,279 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import useStore from '../../store';
+import { loadTradeHistory, fillExcursionFromCandles } from '../../services/tradeHistory.js';
+import { subscribeJournal } from '../../services/tradeJournal.js';
+import { analyzePerformance, BREAKDOWNS } from '../../utils/performanceAnalytics.js';
+import { formatUSD, formatDuration } from '../../utils/formatters';
+import './PerformanceAnalytics.css';
+
+/* ============================================================
+   PerformanceAnalytics — Performance across strategies, pairs,
+   sessions and modes
+   ============================================================
+   Expectancy, profit factor, Sharpe / Sortino, R-multiples,
+   MAE / MFE and holding times over the persisted trade
+   history, for a date range, broken down by strategy, pair,
+   VIPER mode, UTC entry hour and HYDRA entry score.
+   ============================================================ */
+
+const DAY_MS = 86400000;
+
+const RANGE_PRESETS = [
+  { id: '7d', label: '7D', days: 7 },
+  { id: '30d', label: '30D', days: 30 },
+  { id: '90d', label: '90D', days: 90 },
+  { id: 'all', label: 'All', days: null },
+];
+
+const isoDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const fmt = (v, digits = 2, suffix = '') => (v == null ? '--' : `${v.toFixed(digits)}${suffix}`);
+const fmtUSD = (v) => (v == null ? '--' : formatUSD(v));
+const fmtPF = (v) => (v == null ? '--' : v >= 999 ? '∞' : v.toFixed(2));
+const tone = (v) => (v == null ? '' : v >= 0 ? 'positive' : 'negative');
+
+function Stat({ label, value, className = '', title }) {
+  return (
+    <div className="perf-stat" title={title}>
+      <span>{label}</span>
+      <strong className={className}>{value}</strong>
+    </div>
+  );
+}
+
+export default function PerformanceAnalytics() {
+  const tradingMode = useStore((s) => s.tradingMode);
+  const paperTrades = useStore((s) => s.paperPortfolio.trades);
+  const paperStartingBalance = useStore((s) => s.paperPortfolio.startingBalance);
+  const liveValue = useStore((s) => s.portfolio.totalValue);
+
+  const [trades, setTrades] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [source, setSource] = useState(tradingMode === 'live' ? 'all' : 'paper');
+  const [preset, setPreset] = useState('30d');
+  const [from, setFrom] = useState(() => isoDate(Date.now() - 30 * DAY_MS));
+  const [to, setTo] = useState(() => isoDate(Date.now()));
+  const [breakdownId, setBreakdownId] = useState('strategy');
+  const [filling, setFilling] = useState(null); // { done, total } while filling MAE / MFE
+
+  /* Persisted history, reloaded as trades close and journal entries change */
+  const reload = useCallback(() => {
+    loadTradeHistory(useStore.getState())
+      .then(setTrades)
+      .catch((err) => console.warn('[Analytics] Failed to load trade history:', err))
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => { reload(); }, [reload, paperTrades]);
+  useEffect(() => subscribeJournal(() => {
+    // A fill run reloads once at the end
+    if (!filling) reload();
+  }), [reload, filling]);
+
+  const applyPreset = (p) => {
+    setPreset(p.id);
+    if (p.days == null) {
+      setFrom('');
+      setTo('');
+    } else {
+      setFrom(isoDate(Date.now() - p.days * DAY_MS));
+      setTo(isoDate(Date.now()));
+    }
+  };
+
+  /* Trades in the source and date range (by exit, UTC days) */
+  const inRange = useMemo(() => {
+    const start = from ? Date.parse(from) : -Infinity;
+    const end = to ? Date.parse(to) + DAY_MS - 1 : Infinity;
+    return trades.filter((t) => (source === 'all' || t.source === source)
+      && t.exitTime >= start && t.exitTime <= end);
+  }, [trades, source, from, to]);
+
+  const capital = source === 'live'
+    ? liveValue
+    : source === 'all' ? (paperStartingBalance || 0) + (liveValue || 0) : paperStartingBalance;
+
+  const report = useMemo(() => analyzePerformance(inRange, { capital }), [inRange, capital]);
+  const { summary, holding, breakdowns } = report;
+
+  const missingExcursion = useMemo(
+    () => inRange.filter((t) => !t.excursion && t.entryTime != null),
+    [inRange]
+  );
+
+  const fillMissing = useCallback(async () => {
+    setFilling({ done: 0, total: missingExcursion.length });
+    let failed = 0;
+    for (let i = 0; i < missingExcursion.length; i++) {
+      try {
+        await fillExcursionFromCandles(missingExcursion[i]);
+      } catch (err) {
+        failed++;
+        console.warn('[Analytics] MAE/MFE fill failed:', err);
+      }
+      setFilling({ done: i + 1, total: missingExcursion.length });
+    }
+    setFilling(null);
+    if (failed > 0) {
+      useStore.getState().addToast({ type: 'warning', message: `MAE/MFE: ${failed} trade(s) had no candle data` });
+    }
+    reload();
+  }, [missingExcursion, reload]);
+
+  const maxHoldCount = Math.max(1, ...holding.map((b) => b.trades));
+
+  /* ---- Render ---------------------------------------------- */
+  return (
+    <div className="perf-dashboard">
+      <div className="perf-header">
+        <h3 className="perf-title">Performance</h3>
+        <div className="perf-controls">
+          <select className="perf-select" value={source} onChange={(e) => setSource(e.target.value)}>
+            <option value="paper">Paper</option>
+            <option value="live">Live</option>
+            <option value="all">All</option>
+          </select>
+          {RANGE_PRESETS.map((p) => (
+            <button
+              key={p.id}
+              className={`perf-preset ${preset === p.id ? 'active' : ''}`}
+              onClick={() => applyPreset(p)}
+            >
+              {p.label}
+            </button>
+          ))}
+          <input
+            type="date"
+            className="perf-date"
+            value={from}
+            onChange={(e) => { setFrom(e.target.value); setPreset(null); }}
+          />
+          <span className="perf-date-sep">→</span>
+          <input
+            type="date"
+            className="perf-date"
+            value={to}
+            onChange={(e) => { setTo(e.target.value); setPreset(null); }}
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="perf-empty">Loading trade history...</div>
+      ) : inRange.length === 0 ? (
+        <div className="perf-empty">
+          {trades.length === 0 ? 'No closed trades yet.' : 'No closed trades in this range.'}
+        </div>
+      ) : (
+        <div className="perf-content">
+          <div className="perf-summary">
+            <Stat label="Trades" value={`${summary.trades} (${summary.wins}W / ${summary.losses}L)`} />
+            <Stat label="Win Rate" value={fmt(summary.winRate, 1, '%')} />
+            <Stat label="Net P&L" value={fmtUSD(summary.netPnL)} className={tone(summary.netPnL)} />
+            <Stat
+              label="Expectancy"
+              value={fmtUSD(summary.expectancy)}
+              className={tone(summary.expectancy)}
+              title="Average net P&L per trade"
+            />
+            <Stat label="Profit Factor" value={fmtPF(summary.profitFactor)} />
+            <Stat
+              label="Avg R"
+              value={fmt(summary.avgR, 2, 'R')}
+              className={tone(summary.avgR)}
+              title={`P&L over initial risk, from ${summary.rTrades} trade(s) with a known stop`}
+            />
+            <Stat
+              label="Sharpe"
+              value={fmt(summary.sharpe)}
+              title={`Daily P&L over ${summary.days} day(s), annualised (365)`}
+            />
+            <Stat label="Sortino" value={fmt(summary.sortino)} title="Sharpe with downside deviation only" />
+            <Stat label="Avg Win" value={fmtUSD(summary.avgWin)} className="positive" />
+            <Stat label="Avg Loss" value={summary.avgLoss == null ? '--' : fmtUSD(-summary.avgLoss)} className="negative" />
+            <Stat label="Fees" value={fmtUSD(summary.fees)} />
+            <Stat
+              label="Hold (med / avg)"
+              value={`${formatDuration(summary.medianHoldMs)} / ${formatDuration(summary.avgHoldMs)}`}
+            />
+          </div>
+
+          <div className="perf-section-title">
+            MAE / MFE
+            <span className="perf-section-note">
+              {summary.excursionTrades} of {summary.trades} trades
+            </span>
+            {missingExcursion.length > 0 && (
+              <button className="perf-preset" onClick={fillMissing} disabled={!!filling}>
+                {filling
+                  ? `Filling ${filling.done}/${filling.total}...`
+                  : `Fill ${missingExcursion.length} from 1m candles`}
+              </button>
+            )}
+          </div>
+          <div className="perf-summary">
+            <Stat label="Avg MAE" value={`${fmt(summary.avgMaePct, 2, '%')} · ${fmt(summary.avgMaeR, 2, 'R')}`} className="negative" />
+            <Stat label="Avg MFE" value={`${fmt(summary.avgMfePct, 2, '%')} · ${fmt(summary.avgMfeR, 2, 'R')}`} className="positive" />
+            <Stat label="Winners' MAE" value={fmt(summary.winnerMaePct, 2, '%')} title="Heat winning trades took before working" />
+            <Stat label="Losers' MFE" value={fmt(summary.loserMfePct, 2, '%')} title="Open profit losing trades gave back" />
+          </div>
+
+          <div className="perf-section-title">Holding Time</div>
+          <div className="perf-holding">
+            {holding.map((b) => (
+              <div key={b.label} className="perf-hold-row">
+                <span className="perf-hold-label">{b.label}</span>
+                <div className="perf-hold-track">
+                  <div className="perf-hold-fill" style={{ width: `${(b.trades / maxHoldCount) * 100}%` }} />
+                </div>
+                <span className="perf-cell">{b.trades}</span>
+                <span className="perf-cell">{fmt(b.winRate, 0, '%')}</span>
+                <span className={`perf-cell ${tone(b.trades ? b.netPnL : null)}`}>{b.trades ? fmtUSD(b.netPnL) : '--'}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="perf-section-title">
+            Breakdown
+            <div className="perf-tabs">
+              {Object.entries(BREAKDOWNS).map(([id, { label }]) => (
+                <button
+                  key={id}
+                  className={`perf-preset ${breakdownId === id ? 'active' : ''}`}
+                  onClick={() => setBreakdownId(id)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="perf-row perf-row-head">
+            <span>{BREAKDOWNS[breakdownId].label}</span>
+            <span>Trades</span><span>Win %</span><span>Net P&L</span><span>Expect.</span>
+            <span>PF</span><span>Avg R</span><span>MAE %</span><span>MFE %</span><span>Avg Hold</span>
+          </div>
+          {breakdowns[breakdownId].map((g) => (
+            <div key={g.group} className="perf-row">
+              <span className="perf-row-name">{g.group}</span>
+              <span className="perf-cell">{g.trades}</span>
+              <span className="perf-cell">{fmt(g.winRate, 0, '%')}</span>
+              <span className={`perf-cell ${tone(g.netPnL)}`}>{fmtUSD(g.netPnL)}</span>
+              <span className={`perf-cell ${tone(g.expectancy)}`}>{fmtUSD(g.expectancy)}</span>
+              <span className="perf-cell">{fmtPF(g.profitFactor)}</span>
+              <span className={`perf-cell ${tone(g.avgR)}`}>{fmt(g.avgR, 2)}</span>
+              <span className="perf-cell">{fmt(g.avgMaePct, 2)}</span>
+              <span className="perf-cell">{fmt(g.avgMfePct, 2)}</span>
+              <span className="perf-cell">{formatDuration(g.avgHoldMs)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="perf-hint">
+        From closed trades in the trade log and IndexedDB, by exit date (UTC). VIPER mode, HYDRA score,
+        initial stop and MAE / MFE come from the trade journal, captured while the app is open; hours are
+        UTC entry hours.
+      </p>
+    </div>
+  );
+}
@@ -1,6 +1,9 @@
 import { useState, useMemo, useCallback } from 'react';
 import useStore from '../../store';
 import { formatPrice, formatUSD, formatPercent, formatDuration } from '../../utils/formatters';
+import { cancelGroup } from '../../services/orderGroups';
+import { closePaperPosition } from '../../services/paperOrders';
+import { positionQty, positionDirection } from '../../utils/portfolioRisk';
 import './Positions.css';
 
 /* ============================================================
@@ -16,6 +19,7 @@ export default function Positions() {
   const updatePosition = useStore((s) => s.updatePosition);
   const updatePaperPortfolio = useStore((s) => s.updatePaperPortfolio);
   const addToast = useStore((s) => s.addToast);
+  const orderGroups = useStore((s) => s.orderGroups);
 
   /* Combine positions from both modes */
   const activePositions = useMemo(() => {
@@ -27,35 +31,39 @@ export default function Positions() {
 
   /* ---- Close position handler ----------------------------- */
   const handleClose = useCallback(
-    (pos) => {
-      const ticker = tickers[pos.pair] || {};
-      const exitPrice = ticker.price || pos.entryPrice;
-      const pnl = (exitPrice - pos.entryPrice) * pos.quantity;
+    async (pos) => {
+      // Pull the exchange-held exit first so it can't fill after we close
+      if (pos.orderGroupId) {
+        try {
+          await cancelGroup(pos.orderGroupId);
+        } catch (err) {
+          addToast({ type: 'error', message: `Close failed: could not cancel exit orders (${err.message})` });
+          return;
+        }
+      }
 
       if (tradingMode === 'paper') {
-        const newBalance = paperPortfolio.balance + (pos.quantity * exitPrice);
-        updatePaperPortfolio({
-          balance: newBalance,
-          positions: (paperPortfolio.positions || []).filter((p) => p.id !== pos.id),
-          trades: [
-            ...(paperPortfolio.trades || []),
-            {
-              ...pos,
-              exitPrice,
-              pnl,
-              closedAt: new Date().toISOString(),
-            },
-          ],
-        });
+        // A market order on the paper engine; its fill closes the position
+        try {
+          await closePaperPosition(pos, 'manual');
+          addToast({ type: 'info', message: `Closing ${pos.pair}...` });
+        } catch (err) {
+          addToast({ type: 'error', message: `Close failed: ${err.message}` });
+        }
+        return;
       }
 
+      const ticker = tickers[pos.pair] || {};
+      const exitPrice = ticker.price || pos.entryPrice;
+      const pnl = (exitPrice - pos.entryPrice) * positionQty(pos);
+
       removePosition(pos.id);
       addToast({
         type: pnl >= 0 ? 'success' : 'warning',
         message: `Closed ${pos.pair}: ${pnl >= 0 ? '+' : ''}${formatUSD(pnl)}`,
       });
     },
-    [tickers, tradingMode, paperPortfolio, removePosition, updatePaperPortfolio, addToast]
+    [tickers, tradingMode, removePosition, addToast]
   );
 
   /* ---- Stop-loss inline edit ------------------------------- */
@@ -95,6 +103,7 @@ export default function Positions() {
             key={pos.id}
             pos={pos}
             ticker={tickers[pos.pair] || {}}
+            group={pos.orderGroupId ? orderGroups.find((g) => g.id === pos.orderGroupId) : null}
             onClose={handleClose}
             onStopChange={handleStopChange}
           />
@@ -105,17 +114,20 @@ export default function Positions() {
 }
 
 /* ---- Individual Position Card -------------------------------- */
-function PositionCard({ pos, ticker, onClose, onStopChange }) {
+function PositionCard({ pos, ticker, group, onClose, onStopChange }) {
   const currentPrice = ticker.price || pos.entryPrice;
-  const unrealizedPnl = (currentPrice - pos.entryPrice) * (pos.quantity || 0);
-  const unrealizedPct = pos.entryPrice > 0 ? ((currentPrice - pos.entryPrice) / pos.entryPrice) : 0;
+  const qty = positionQty(pos);
+  const short = positionDirection(pos) === 'short';
+  const move = short ? pos.entryPrice - currentPrice : currentPrice - pos.entryPrice;
+  const unrealizedPnl = move * qty;
+  const unrealizedPct = pos.entryPrice > 0 ? move / pos.entryPrice : 0;
 
   const entryTime = pos.entryTime ? new Date(pos.entryTime).getTime() : Date.now();
   const duration = Date.now() - entryTime;
 
   /* Near stop-loss warning (within 0.5%) */
   const nearStop = pos.stopLoss && currentPrice > 0
-    ? ((currentPrice - pos.stopLoss) / currentPrice) < 0.005
+    ? ((short ? pos.stopLoss - currentPrice : currentPrice - pos.stopLoss) / currentPrice) < 0.005
     : false;
 
   const [editingSl, setEditingSl] = useState(false);
@@ -131,7 +143,12 @@ function PositionCard({ pos, ticker, onClose, onStopChange }) {
       <div className="position-card-top">
         <div>
           <span className="position-pair">{pos.pair}</span>
-          <span className="position-side">LONG</span>
+          <span className="position-side">{short ? 'SHORT' : 'LONG'}</span>
+          {group && (
+            <span className="position-group" title="Take-profit and stop-loss are held by the exchange">
+              {group.kind.toUpperCase()}
+            </span>
+          )}
         </div>
         <button
           className="position-close-btn"
@@ -153,7 +170,7 @@ function PositionCard({ pos, ticker, onClose, onStopChange }) {
         </div>
         <div className="position-detail">
           <span className="position-detail-label">Qty</span>
-          <span className="position-detail-value">{pos.quantity?.toFixed(6)}</span>
+          <span className="position-detail-value">{qty.toFixed(6)}</span>
         </div>
         <div className="position-detail">
           <span className="position-detail-label">P&L</span>
@@ -167,7 +184,11 @@ function PositionCard({ pos, ticker, onClose, onStopChange }) {
         </div>
         <div className="position-detail">
           <span className="position-detail-label">Stop</span>
-          {editingSl ? (
+          {group ? (
+            <span className="position-detail-value" style={{ color: 'var(--bearish)' }} title="Exchange-held stop">
+              {formatPrice(pos.stopLoss, pos.pair)}
+            </span>
+          ) : editingSl ? (
             <input
               className="position-sl-input"
               type="number"
@@ -0,0 +1,143 @@
+import { useMemo } from 'react';
+import useStore from '../../store';
+import { portfolioRiskFromState } from '../../utils/portfolioRisk.js';
+import './RiskDashboard.css';
+
+/* ============================================================
+   RiskDashboard — Portfolio risk budget
+   ============================================================
+   How much of the risk budget the open positions use, the
+   1h VaR against its limit, and exposure by asset, strategy
+   and position. Limits are edited in Settings → Portfolio
+   Risk Budget.
+   ============================================================ */
+
+const usd = (v) => `$${v.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+function meterLevel(pct) {
+  if (pct >= 100) return 'over';
+  if (pct >= 75) return 'high';
+  return 'ok';
+}
+
+function Meter({ label, value, limit, detail }) {
+  const pct = limit > 0 ? (value / limit) * 100 : 0;
+  return (
+    <div className="risk-meter">
+      <div className="risk-meter-head">
+        <span className="risk-meter-label">{label}</span>
+        <span className={`risk-meter-value ${meterLevel(pct)}`}>
+          {limit > 0 ? `${pct.toFixed(0)}%` : 'no limit'}
+        </span>
+      </div>
+      <div className="risk-meter-track">
+        <div className={`risk-meter-fill ${meterLevel(pct)}`} style={{ width: `${Math.min(100, pct)}%` }} />
+      </div>
+      <div className="risk-meter-detail">{detail}</div>
+    </div>
+  );
+}
+
+function ExposureTable({ title, rows, keyField }) {
+  return (
+    <div className="risk-table">
+      <div className="risk-section-title">{title}</div>
+      {rows.map((g) => (
+        <div key={g[keyField]} className="risk-row">
+          <span className="risk-row-name">{g[keyField]}</span>
+          <span className="risk-row-cell">{g.count}</span>
+          <span className="risk-row-cell">{usd(g.notional)}</span>
+          <span className="risk-row-cell">{g.pct.toFixed(1)}%</span>
+          <span className={`risk-row-cell ${g.net < 0 ? 'short' : 'long'}`}>{usd(g.net)}</span>
+          <span className="risk-row-cell">{usd(g.risk)}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function RiskDashboard() {
+  const positions = useStore((s) => s.positions);
+  const tickers = useStore((s) => s.tickers);
+  const candles = useStore((s) => s.candles);
+  const scannerCandles = useStore((s) => s.scannerCandles);
+  const correlationMatrix = useStore((s) => s.correlationMatrix);
+  const riskSettings = useStore((s) => s.riskSettings);
+  const activePair = useStore((s) => s.activePair);
+  const tradingMode = useStore((s) => s.tradingMode);
+  const paperPortfolio = useStore((s) => s.paperPortfolio);
+  const portfolio = useStore((s) => s.portfolio);
+
+  const report = useMemo(() => portfolioRiskFromState({
+    positions, tickers, candles, scannerCandles, correlationMatrix,
+    riskSettings, activePair, tradingMode, paperPortfolio, portfolio,
+  }), [positions, tickers, candles, scannerCandles, correlationMatrix,
+    riskSettings, activePair, tradingMode, paperPortfolio, portfolio]);
+
+  const { var: vaR } = report;
+
+  /* ---- Render ---------------------------------------------- */
+  return (
+    <div className="risk-dashboard">
+      <div className="risk-header">
+        <h3 className="risk-title">Portfolio Risk</h3>
+        <span className="risk-mode">
+          {riskSettings.scaleToRiskBudget ? 'Scaling entries to fit' : 'Blocking entries over budget'}
+        </span>
+      </div>
+
+      <div className="risk-meters">
+        <Meter
+          label={`Risk Budget (${report.budgetPct}%)`}
+          value={report.openRisk}
+          limit={report.budgetUSD}
+          detail={`${usd(report.openRisk)} of ${usd(report.budgetUSD)} at risk to stops · ${report.openRiskPct.toFixed(2)}% of portfolio`}
+        />
+        <Meter
+          label={`1h VaR ${vaR.confidence}% (${vaR.limitPct}%)`}
+          value={vaR.pct}
+          limit={vaR.limitPct}
+          detail={`${usd(vaR.value)} · ${vaR.pct.toFixed(2)}% of portfolio${vaR.unmeasured ? ` · ${vaR.unmeasured} position(s) without candles` : ''}`}
+        />
+      </div>
+
+      <div className="risk-summary">
+        <div className="risk-stat"><span>Gross</span><strong>{usd(report.grossExposure)}</strong></div>
+        <div className="risk-stat"><span>Net</span><strong>{usd(report.netExposure)}</strong></div>
+        <div className="risk-stat"><span>Long</span><strong className="long">{usd(report.longExposure)}</strong></div>
+        <div className="risk-stat"><span>Short</span><strong className="short">{usd(report.shortExposure)}</strong></div>
+      </div>
+
+      {report.positions.length === 0 ? (
+        <div className="risk-empty">No open positions — the full budget of {usd(report.budgetUSD)} is available.</div>
+      ) : (
+        <div className="risk-content">
+          <div className="risk-row risk-row-head">
+            <span>Group</span><span>Pos</span><span>Exposure</span><span>% Port</span><span>Net</span><span>Risk</span>
+          </div>
+          <ExposureTable title="By Asset" rows={report.byAsset} keyField="asset" />
+          <ExposureTable title="By Strategy" rows={report.byStrategy} keyField="strategy" />
+
+          <div className="risk-table">
+            <div className="risk-section-title">Positions</div>
+            {report.positions.map((p) => (
+              <div key={p.id} className="risk-row">
+                <span className="risk-row-name">{p.pair}</span>
+                <span className={`risk-row-cell ${p.direction}`}>{p.direction}</span>
+                <span className="risk-row-cell">{usd(p.notional)}</span>
+                <span className="risk-row-cell">{p.strategy}</span>
+                <span className="risk-row-cell">{p.var != null ? usd(p.var) : '—'}</span>
+                <span className="risk-row-cell">{usd(p.risk)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <p className="risk-hint">
+        Risk is distance to stop × size (default stop % when a position has none). VaR uses the last
+        two hours of 1m returns, combined with the rolling correlation matrix.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,252 @@
+import { useState, useEffect, useCallback } from 'react';
+import useStore from '../../store';
+import { DEFAULT_PAIRS } from '../../config/constants';
+import {
+  getRecordings, startRecording, stopRecording, deleteRecording, downloadUrl,
+} from '../../services/recordingService';
+import {
+  REPLAY_SPEEDS, startReplay, stopReplay, setReplaySpeed, formatReplaySpeed,
+} from '../../services/marketReplay';
+
+/* ============================================================
+   MarketRecordings — Record & replay market sessions
+   ============================================================
+   The proxy records raw WebSocket messages (server/recorder);
+   replays feed them back through the live message handlers.
+   ============================================================ */
+
+const CHANNEL_LABELS = {
+  ticker: 'Ticker',
+  level2: 'Order book',
+  market_trades: 'Trades',
+  candles: 'Candles',
+};
+
+/** Refresh the list this often while something is recording. */
+const POLL_MS = 5000;
+
+const formatBytes = (n) => (n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${Math.ceil(n / 1024)} KB`);
+
+function formatDuration(rec) {
+  const ms = (rec.lastTime || rec.startedAt) - (rec.firstTime || rec.startedAt);
+  const min = Math.floor(ms / 60000);
+  return min >= 60 ? `${Math.floor(min / 60)}h ${min % 60}m` : `${min}m ${Math.floor((ms % 60000) / 1000)}s`;
+}
+
+export default function MarketRecordings() {
+  const addToast = useStore((s) => s.addToast);
+  const activePair = useStore((s) => s.activePair);
+  const tradingMode = useStore((s) => s.tradingMode);
+  const replay = useStore((s) => s.replay);
+
+  const [recordings, setRecordings] = useState([]);
+  const [form, setForm] = useState({
+    pair: activePair,
+    channels: Object.keys(CHANNEL_LABELS),
+    durationMinutes: '',
+    label: '',
+  });
+  const [error, setError] = useState('');
+  const [offline, setOffline] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const { recordings: list } = await getRecordings();
+      setRecordings(list);
+      setOffline(false);
+    } catch {
+      setOffline(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const anyRecording = recordings.some((r) => r.status === 'recording');
+  useEffect(() => {
+    if (!anyRecording) return undefined;
+    const timer = setInterval(refresh, POLL_MS);
+    return () => clearInterval(timer);
+  }, [anyRecording, refresh]);
+
+  /* ---- Recording actions ----------------------------------- */
+  const handleStart = useCallback(async () => {
+    setError('');
+    try {
+      const rec = await startRecording({
+        pair: form.pair,
+        channels: form.channels,
+        durationMinutes: Number(form.durationMinutes) || null,
+        label: form.label.trim(),
+      });
+      addToast({ type: 'success', message: `Recording ${rec.pair}` });
+      setForm((f) => ({ ...f, label: '' }));
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [form, addToast, refresh]);
+
+  const handleStop = useCallback(async (rec) => {
+    try {
+      await stopRecording(rec.id);
+      refresh();
+    } catch (err) {
+      addToast({ type: 'error', message: `Stop failed: ${err.message}` });
+    }
+  }, [addToast, refresh]);
+
+  const handleDelete = useCallback(async (rec) => {
+    if (!window.confirm(`Delete recording ${rec.id}?`)) return;
+    if (replay?.id === rec.id) stopReplay();
+    await deleteRecording(rec.id).catch(() => {});
+    refresh();
+  }, [replay, refresh]);
+
+  const handleReplay = useCallback((rec, speed) => {
+    if (replay?.id === rec.id) {
+      setReplaySpeed(speed);
+      return;
+    }
+    try {
+      startReplay(rec, { speed });
+      addToast({ type: 'info', message: `Replaying ${rec.pair} at ${formatReplaySpeed(speed)}` });
+    } catch (err) {
+      addToast({ type: 'error', message: err.message });
+    }
+  }, [replay, addToast]);
+
+  const toggleFormChannel = (channel) => {
+    setForm((f) => ({
+      ...f,
+      channels: f.channels.includes(channel) ? f.channels.filter((c) => c !== channel) : [...f.channels, channel],
+    }));
+  };
+
+  /* ---- Render ---------------------------------------------- */
+  return (
+    <div className="settings-section">
+      <div className="settings-section-title">Market Recordings</div>
+      <p className="settings-hint">
+        The proxy records raw market messages for a pair. Replaying one feeds it back through the
+        order book, charts and strategy engine in place of the live feed (paper mode only).
+      </p>
+
+      {offline && (
+        <p className="settings-hint" style={{ color: 'var(--bearish)' }}>
+          Proxy unreachable — start it with <code>npm run server</code>.
+        </p>
+      )}
+
+      {recordings.map((rec) => {
+        const isReplaying = replay?.id === rec.id;
+        return (
+          <div key={rec.id} className="settings-notify-target">
+            <div className="settings-notify-target-head">
+              <span className="settings-notify-target-name">{rec.label || rec.pair}</span>
+              <span className={`settings-notify-badge settings-record-status ${rec.status}`}>
+                {isReplaying ? 'replaying' : rec.status}
+              </span>
+            </div>
+            <div className="settings-notify-target-url">
+              {rec.id} · {new Date(rec.startedAt).toLocaleString()} · {formatDuration(rec)} ·{' '}
+              {rec.messages.toLocaleString()} msgs · {formatBytes(rec.bytes || 0)}
+              {rec.reconnects > 0 ? ` · ${rec.reconnects} reconnects` : ''}
+            </div>
+            {isReplaying && (
+              <div className="settings-notify-target-url">
+                {new Date(replay.clock).toLocaleTimeString()} ·{' '}
+                {Math.min(100, Math.round((replay.progress / (replay.total || 1)) * 100))}%
+              </div>
+            )}
+            <div className="settings-notify-target-head">
+              <span className="settings-notify-target-events">
+                {rec.channels.map((c) => CHANNEL_LABELS[c] || c).join(', ')}
+              </span>
+              {rec.status === 'recording' ? (
+                <button className="settings-btn" onClick={() => handleStop(rec)}>Stop</button>
+              ) : (
+                <>
+                  {REPLAY_SPEEDS.map((speed) => (
+                    <button
+                      key={speed}
+                      className={`settings-btn ${isReplaying && replay.speed === speed ? 'primary' : ''}`}
+                      onClick={() => handleReplay(rec, speed)}
+                      disabled={tradingMode === 'live' || !rec.messages}
+                      title={`Replay at ${formatReplaySpeed(speed)}`}
+                    >
+                      {formatReplaySpeed(speed)}
+                    </button>
+                  ))}
+                  {isReplaying && (
+                    <button className="settings-btn" onClick={stopReplay}>Live</button>
+                  )}
+                </>
+              )}
+              <a className="settings-btn" href={downloadUrl(rec.id)} download title="Download .ndjson.gz">
+                &#8595;
+              </a>
+              <button className="settings-btn danger" onClick={() => handleDelete(rec)}>Delete</button>
+            </div>
+          </div>
+        );
+      })}
+
+      <div className="settings-field">
+        <label className="settings-field-label">Pair</label>
+        <select
+          className="settings-field-select"
+          value={form.pair}
+          onChange={(e) => setForm({ ...form, pair: e.target.value })}
+        >
+          {DEFAULT_PAIRS.map((p) => (
+            <option key={p} value={p}>{p}</option>
+          ))}
+        </select>
+      </div>
+      <div className="settings-field">
+        <label className="settings-field-label">Channels</label>
+        <div className="settings-notify-events">
+          {Object.entries(CHANNEL_LABELS).map(([channel, label]) => (
+            <label key={channel} className="settings-notify-event">
+              <input
+                type="checkbox"
+                checked={form.channels.includes(channel)}
+                onChange={() => toggleFormChannel(channel)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+      <div className="settings-field">
+        <label className="settings-field-label">Stop After (minutes, blank = until stopped)</label>
+        <input
+          className="settings-field-input"
+          type="number"
+          min="1"
+          value={form.durationMinutes}
+          onChange={(e) => setForm({ ...form, durationMinutes: e.target.value })}
+        />
+      </div>
+      <div className="settings-field">
+        <label className="settings-field-label">Label</label>
+        <input
+          className="settings-field-input"
+          type="text"
+          placeholder="e.g. CPI release"
+          value={form.label}
+          onChange={(e) => setForm({ ...form, label: e.target.value })}
+        />
+      </div>
+      {error && <div className="settings-confirm-text">{error}</div>}
+      <div className="settings-field-row">
+        <button className="settings-btn primary" onClick={handleStart} disabled={form.channels.length === 0}>
+          Start Recording
+        </button>
+        <button className="settings-btn" onClick={refresh}>Refresh</button>
+      </div>
+    </div>
+  );
+}
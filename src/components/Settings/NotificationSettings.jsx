@@ -0,0 +1,214 @@
+import { useState, useEffect, useCallback } from 'react';
+import useStore from '../../store';
+import {
+  getTargets, saveTarget, deleteTarget, testTarget, getDeliveryLog,
+} from '../../services/notifyService';
+
+/* ============================================================
+   NotificationSettings — Webhook targets & delivery log
+   ============================================================
+   Targets are stored by the proxy (server/notify), so this
+   section saves immediately rather than via "Save Settings".
+   ============================================================ */
+
+const FORMATS = [
+  { value: 'generic', label: 'Generic JSON' },
+  { value: 'slack', label: 'Slack' },
+  { value: 'discord', label: 'Discord' },
+];
+
+const EVENT_LABELS = {
+  alert: 'Alerts',
+  fill: 'Fills',
+  circuit_breaker: 'Circuit breaker',
+  ratchet: 'Ratchet',
+  viper_threat: 'VIPER threat',
+};
+
+const EMPTY_FORM = { name: '', url: '', format: 'generic', events: [] };
+const LOG_LIMIT = 20;
+
+export default function NotificationSettings() {
+  const addToast = useStore((s) => s.addToast);
+
+  const [targets, setTargets] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [offline, setOffline] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [{ targets: list }, log] = await Promise.all([getTargets(), getDeliveryLog(LOG_LIMIT)]);
+      setTargets(list);
+      setDeliveries(log);
+      setOffline(false);
+    } catch {
+      setOffline(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  /* ---- Target actions -------------------------------------- */
+  const handleAdd = useCallback(async () => {
+    setError('');
+    try {
+      await saveTarget(form);
+      setForm(EMPTY_FORM);
+      addToast({ type: 'success', message: 'Webhook target added' });
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [form, addToast, refresh]);
+
+  const handleToggle = useCallback(async (target) => {
+    try {
+      await saveTarget({ id: target.id, enabled: !target.enabled });
+      refresh();
+    } catch (err) {
+      addToast({ type: 'error', message: `Webhook update failed: ${err.message}` });
+    }
+  }, [addToast, refresh]);
+
+  const handleDelete = useCallback(async (target) => {
+    if (!window.confirm(`Remove webhook "${target.name}"?`)) return;
+    await deleteTarget(target.id).catch(() => {});
+    refresh();
+  }, [refresh]);
+
+  const handleTest = useCallback(async (target) => {
+    try {
+      await testTarget(target.id);
+      addToast({ type: 'info', message: `Test sent to ${target.name}` });
+      // Give the first attempt a moment before showing the log
+      setTimeout(refresh, 1500);
+    } catch (err) {
+      addToast({ type: 'error', message: `Test failed: ${err.message}` });
+    }
+  }, [addToast, refresh]);
+
+  const toggleFormEvent = (type) => {
+    setForm((f) => ({
+      ...f,
+      events: f.events.includes(type) ? f.events.filter((e) => e !== type) : [...f.events, type],
+    }));
+  };
+
+  /* ---- Render ---------------------------------------------- */
+  return (
+    <div className="settings-section">
+      <div className="settings-section-title">Webhook Notifications</div>
+      <p className="settings-hint">
+        The proxy sends alerts, fills, circuit-breaker pauses, ratchet and VIPER threat
+        changes to these targets, retrying failed deliveries with backoff.
+        Run <code>npm run notify:mock</code> for a local test receiver on port 4010.
+      </p>
+
+      {offline && (
+        <p className="settings-hint" style={{ color: 'var(--bearish)' }}>
+          Proxy unreachable — start it with <code>npm run server</code>.
+        </p>
+      )}
+
+      {targets.map((t) => (
+        <div key={t.id} className="settings-notify-target">
+          <div className="settings-notify-target-head">
+            <span className="settings-notify-target-name">{t.name}</span>
+            <span className="settings-notify-badge">{t.format}</span>
+            <button
+              className={`settings-toggle-btn ${t.enabled ? 'on' : 'off'}`}
+              onClick={() => handleToggle(t)}
+              title={t.enabled ? 'Disable' : 'Enable'}
+            >
+              <span className="settings-toggle-knob" />
+            </button>
+          </div>
+          <div className="settings-notify-target-url">{t.url}</div>
+          <div className="settings-notify-target-head">
+            <span className="settings-notify-target-events">
+              {t.events.length ? t.events.map((e) => EVENT_LABELS[e] || e).join(', ') : 'All events'}
+            </span>
+            <button className="settings-btn" onClick={() => handleTest(t)}>Test</button>
+            <button className="settings-btn danger" onClick={() => handleDelete(t)}>Remove</button>
+          </div>
+        </div>
+      ))}
+
+      <div className="settings-field">
+        <label className="settings-field-label">Name</label>
+        <input
+          className="settings-field-input"
+          type="text"
+          placeholder="e.g. Trading desk"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+        />
+      </div>
+      <div className="settings-field">
+        <label className="settings-field-label">Webhook URL</label>
+        <input
+          className="settings-field-input"
+          type="url"
+          placeholder="https://hooks.slack.com/services/..."
+          value={form.url}
+          onChange={(e) => setForm({ ...form, url: e.target.value })}
+        />
+      </div>
+      <div className="settings-field">
+        <label className="settings-field-label">Payload Format</label>
+        <select
+          className="settings-field-select"
+          value={form.format}
+          onChange={(e) => setForm({ ...form, format: e.target.value })}
+        >
+          {FORMATS.map((f) => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+      </div>
+      <div className="settings-field">
+        <label className="settings-field-label">Events (none selected = all)</label>
+        <div className="settings-notify-events">
+          {Object.entries(EVENT_LABELS).map(([type, label]) => (
+            <label key={type} className="settings-notify-event">
+              <input
+                type="checkbox"
+                checked={form.events.includes(type)}
+                onChange={() => toggleFormEvent(type)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+      {error && <div className="settings-confirm-text">{error}</div>}
+      <div className="settings-field-row">
+        <button className="settings-btn primary" onClick={handleAdd} disabled={!form.url.trim()}>
+          Add Target
+        </button>
+        <button className="settings-btn" onClick={refresh}>Refresh Log</button>
+      </div>
+
+      {deliveries.length > 0 && (
+        <div className="settings-notify-log">
+          {deliveries.map((d) => (
+            <div key={d.id} className="settings-notify-log-row" title={d.error || ''}>
+              <span className={`settings-notify-status ${d.status}`}>{d.status}</span>
+              <span className="settings-notify-log-text">
+                {d.targetName} · {d.title}
+                {d.attempts > 1 ? ` · ${d.attempts} attempts` : ''}
+              </span>
+              <span className="settings-notify-log-time">
+                {new Date(d.updatedAt).toLocaleTimeString()}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
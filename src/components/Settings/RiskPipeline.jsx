@@ -0,0 +1,123 @@
+import { useState, useMemo } from 'react';
+import useStore from '../../store';
+import { getRiskStages, resolveRiskStages, RISK_STRATEGIES } from '../../engine/riskStages/index.js';
+
+/* ============================================================
+   RiskPipeline — Risk stages per strategy
+   ============================================================
+   The guards every automated entry runs through, in order,
+   with each strategy's enabled stages and their params, and
+   the latest decisions with the stage that blocked or
+   resized the entry.
+   ============================================================ */
+
+const RECENT_DECISIONS = 12;
+
+const stageLabels = () => Object.fromEntries(getRiskStages().map((s) => [s.id, s.label]));
+
+function decisionText(d, labels) {
+  const label = labels[d.stage] || d.stage;
+  if (d.outcome === 'blocked') return `${d.pair} · ${d.reason}`;
+  const size = d.positionSize != null ? ` $${d.positionSize.toFixed(2)}` : '';
+  if (d.outcome === 'resized') {
+    const detail = d.decisions.find((x) => x.stage === d.stage)?.detail;
+    return `${d.pair}${size} · ${label}${detail ? `: ${detail}` : ''}`;
+  }
+  return `${d.pair}${size} · all stages passed`;
+}
+
+export default function RiskPipeline() {
+  const config = useStore((s) => s.riskPipelineConfig);
+  const setStage = useStore((s) => s.setRiskStageConfig);
+  const setConfig = useStore((s) => s.setRiskPipelineConfig);
+  const decisions = useStore((s) => s.riskDecisions);
+
+  const [strategy, setStrategy] = useState('hydra');
+  const stages = useMemo(() => resolveRiskStages(config, strategy), [config, strategy]);
+  const labels = useMemo(stageLabels, []);
+
+  const resetStrategy = () => {
+    const rest = { ...config };
+    delete rest[strategy];
+    setConfig(rest);
+  };
+
+  /* ---- Render ---------------------------------------------- */
+  return (
+    <div className="settings-section">
+      <div className="settings-section-title">Risk Pipeline</div>
+      <p className="settings-hint">
+        Every automated entry runs these stages top to bottom. A stage can pass it, resize it or
+        block it; the first block stops the entry. Changes apply to the next signal.
+      </p>
+
+      <div className="settings-field-row">
+        {RISK_STRATEGIES.map((key) => (
+          <button
+            key={key}
+            className={`settings-btn ${strategy === key ? 'primary' : ''}`}
+            onClick={() => setStrategy(key)}
+          >
+            {key.toUpperCase()}
+          </button>
+        ))}
+        <button className="settings-btn" onClick={resetStrategy} disabled={!config[strategy]}>
+          Reset
+        </button>
+      </div>
+
+      <div className="settings-risk-stages">
+        {stages.map(({ stage, enabled, params }, i) => (
+          <div key={stage.id} className="settings-notify-target">
+            <div className="settings-notify-target-head">
+              <span className="settings-notify-target-name">{i + 1}. {stage.label}</span>
+              {stage.required ? (
+                <span className="settings-notify-badge">Always on</span>
+              ) : (
+                <button
+                  className={`settings-toggle-btn ${enabled ? 'on' : 'off'}`}
+                  onClick={() => setStage(strategy, stage.id, { enabled: !enabled })}
+                >
+                  <span className="settings-toggle-knob" />
+                </button>
+              )}
+            </div>
+            <div className="settings-notify-target-url">{stage.description}</div>
+            {enabled && Object.keys(params).length > 0 && (
+              <div className="settings-field-row">
+                {Object.entries(params).map(([key, value]) => (
+                  <div key={key} className="settings-field">
+                    <label className="settings-field-label">{stage.params[key].label}</label>
+                    <input
+                      className="settings-field-input"
+                      type="number"
+                      step={stage.params[key].step}
+                      value={value}
+                      onChange={(e) => setStage(strategy, stage.id, { [key]: parseFloat(e.target.value) || 0 })}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {decisions.length > 0 && (
+        <div className="settings-notify-log">
+          {decisions.slice(0, RECENT_DECISIONS).map((d, i) => (
+            <div key={`${d.timestamp}-${i}`} className="settings-notify-log-row">
+              <span className={`settings-notify-status ${d.outcome === 'blocked' ? 'failed' : d.outcome === 'resized' ? 'retrying' : 'delivered'}`}>
+                {d.outcome}
+              </span>
+              <span className="settings-notify-log-text" title={d.decisions.map((x) => `${labels[x.stage] || x.stage}: ${x.action}${x.detail ? ` (${x.detail})` : ''}`).join('\n')}>
+                {d.strategy.toUpperCase()} {decisionText(d, labels)}
+              </span>
+              <span className="settings-notify-log-time">{new Date(d.timestamp).toLocaleTimeString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import { useState, useCallback } from 'react';
+import useStore from '../../store';
+import { pushEngineSettings } from '../../services/engineClient';
+
+/* ============================================================
+   ServerEngine — Where the strategy engine runs
+   ============================================================
+   In the browser (default) or headless in the proxy
+   (server/engine), where it keeps trading and protecting
+   positions with the tab closed. The bot controls drive
+   whichever host is selected.
+   ============================================================ */
+
+const fmtUsd = (n) => (Number.isFinite(n) ? `$${n.toLocaleString(undefined, { maximumFractionDigits: 2 })}` : '—');
+const fmtPnl = (n) => `${n >= 0 ? '+' : ''}${fmtUsd(n)}`;
+const pnlColor = (n) => (n >= 0 ? 'var(--bullish)' : 'var(--bearish)');
+
+export default function ServerEngine() {
+  const engineHost = useStore((s) => s.engineHost);
+  const setEngineHost = useStore((s) => s.setEngineHost);
+  const server = useStore((s) => s.serverEngine);
+  const botRunning = useStore((s) => s.botRunning);
+  const engineStatus = useStore((s) => s.engineStatus);
+  const addToast = useStore((s) => s.addToast);
+
+  const [pushing, setPushing] = useState(false);
+
+  const handleHost = useCallback((host) => {
+    if (host === engineHost) return;
+    if (botRunning && engineHost === 'browser'
+      && !window.confirm('Stop the browser engine and hand over to the server?')) return;
+    setEngineHost(host);
+  }, [engineHost, botRunning, setEngineHost]);
+
+  const handlePush = useCallback(async () => {
+    setPushing(true);
+    try {
+      await pushEngineSettings();
+      addToast({ type: 'success', message: 'Settings sent to the server engine' });
+    } catch (err) {
+      addToast({ type: 'error', message: `Server engine: ${err.message}` });
+    } finally {
+      setPushing(false);
+    }
+  }, [addToast]);
+
+  const onServer = engineHost === 'server';
+
+  /* ---- Render ---------------------------------------------- */
+  return (
+    <div className="settings-section">
+      <div className="settings-section-title">Server Engine</div>
+      <p className="settings-hint">
+        Run HYDRA / VIPER in the proxy instead of this tab, so entries, exits and stop-losses keep
+        working with the browser closed. Positions opened there are managed there.
+      </p>
+
+      <div className="settings-field">
+        <label className="settings-field-label">Engine Runs In</label>
+        <div className="settings-field-row">
+          <button
+            className={`settings-btn ${!onServer ? 'primary' : ''}`}
+            onClick={() => handleHost('browser')}
+          >
+            Browser
+          </button>
+          <button
+            className={`settings-btn ${onServer ? 'primary' : ''}`}
+            onClick={() => handleHost('server')}
+          >
+            Server
+          </button>
+        </div>
+      </div>
+
+      {onServer && (
+        <>
+          <div className="settings-notify-target">
+            <div className="settings-notify-target-head">
+              <span className="settings-notify-target-name">
+                {server?.activePair || 'Proxy engine'}
+              </span>
+              <span className={`settings-notify-badge settings-record-status ${server?.connected ? '' : 'interrupted'}`}>
+                {server?.connected ? (botRunning ? engineStatus : 'stopped') : 'offline'}
+              </span>
+            </div>
+            {server?.connected ? (
+              <div className="settings-notify-target-url">
+                {server.tradingMode} · feed {server.feed} · {server.scannerPairs?.length || 0} scanner pairs
+                {server.viperEnabled ? ' · VIPER on' : ''}
+                {server.tradingMode === 'paper' ? ` · paper balance ${fmtUsd(server.paperBalance)}` : ''}
+              </div>
+            ) : (
+              <div className="settings-notify-target-url">
+                Connecting to the proxy — start it with <code>npm run server</code>.
+              </div>
+            )}
+          </div>
+
+          <div className="settings-field-row">
+            <button className="settings-btn primary" onClick={handlePush} disabled={!server?.connected || pushing}>
+              {pushing ? 'Sending…' : 'Send Current Settings'}
+            </button>
+          </div>
+          <p className="settings-hint">
+            Sends trading mode, active pair, scanner pairs, strategy, risk, risk pipeline, allocation and correlation settings.
+            Stop the engine before switching trading mode.
+          </p>
+
+          {server?.positions?.length > 0 && (
+            <div className="settings-notify-log">
+              {server.positions.map((p) => (
+                <div key={p.id} className="settings-notify-log-row">
+                  <span className="settings-notify-status">{p.strategy || p.direction}</span>
+                  <span className="settings-notify-log-text">
+                    {p.pair} {p.qty} @ {p.entryPrice} · SL {p.stopLoss?.toFixed?.(2) ?? '—'}
+                  </span>
+                  <span className="settings-notify-log-time" style={{ color: pnlColor(p.unrealizedPnL || 0) }}>
+                    {fmtPnl(p.unrealizedPnL || 0)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {server?.trades?.length > 0 && (
+            <div className="settings-notify-log">
+              {server.trades.map((t) => (
+                <div key={t.id} className="settings-notify-log-row">
+                  <span className="settings-notify-status" style={{ color: pnlColor(t.realizedPnL) }}>
+                    {fmtPnl(t.realizedPnL)}
+                  </span>
+                  <span className="settings-notify-log-text">
+                    {t.pair} {t.strategy ? `${t.strategy} ` : ''}· {t.reason}
+                  </span>
+                  <span className="settings-notify-log-time">{new Date(t.exitTime).toLocaleTimeString()}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -2,6 +2,10 @@ import { useState, useCallback, useEffect } from 'react';
 import useStore from '../../store';
 import { RISK_DEFAULTS, DEFAULT_PAIRS, TIMEFRAMES } from '../../config/constants';
 import coinbaseREST from '../../services/coinbaseREST';
+import NotificationSettings from './NotificationSettings';
+import MarketRecordings from './MarketRecordings';
+import ServerEngine from './ServerEngine';
+import RiskPipeline from './RiskPipeline';
 import './Settings.css';
 
 /* ============================================================
@@ -19,6 +23,12 @@ const lsSave = (key, val) => {
   try { localStorage.setItem(key, JSON.stringify(val)); } catch { /* ignore */ }
 };
 
+const AI_DEFAULT_MODELS = {
+  claude: 'claude-sonnet-4-20250514',
+  openai: 'gpt-4o',
+  mock: 'mock-1',
+};
+
 export default function Settings() {
   const settingsOpen = useStore((s) => s.settingsOpen);
   const toggleSettings = useStore((s) => s.toggleSettings);
@@ -54,7 +64,6 @@ export default function Settings() {
   const [defaultTimeframe, setDefaultTimeframe] = useState(() => lsGet('defaultTimeframe', 'ONE_HOUR'));
   const [soundEnabled, setSoundEnabled] = useState(() => lsGet('soundEnabled', true));
   const [aiProvider, setAiProvider] = useState(() => lsGet('aiProvider', 'claude'));
-  const [aiApiKey, setAiApiKey] = useState(() => lsGet('aiApiKey', ''));
   const [aiModel, setAiModel] = useState(() => lsGet('aiModel', 'claude-sonnet-4-20250514'));
   const [testResult, setTestResult] = useState('');
   const [showResetConfirm, setShowResetConfirm] = useState(false);
@@ -109,7 +118,6 @@ export default function Settings() {
     lsSave('defaultTimeframe', defaultTimeframe);
     lsSave('soundEnabled', soundEnabled);
     lsSave('aiProvider', aiProvider);
-    lsSave('aiApiKey', aiApiKey);
     lsSave('aiModel', aiModel);
     // HYDRA settings are saved directly via setHydraSettings in the form
     // but also sync the entry threshold to the live engine
@@ -117,7 +125,7 @@ export default function Settings() {
     addToast({ type: 'success', message: 'Settings saved' });
   }, [
     apiKey, apiSecret, risk, defaultPair, defaultTimeframe,
-    soundEnabled, aiProvider, aiApiKey, aiModel, setRiskSettings, addToast,
+    soundEnabled, aiProvider, aiModel, setRiskSettings, addToast,
     hydraSettings,
   ]);
 
@@ -577,8 +585,51 @@ export default function Settings() {
             {riskField('Max Daily Loss (USD)', 'maxDailyLossUSD', 50)}
             {riskField('Max Trades/Day', 'maxTradesPerDay', 1)}
             {riskField('Pair Cooldown (min)', 'pairCooldownMinutes', 1)}
+            <div className="settings-toggle-row">
+              <span className="settings-toggle-label">Allow Short Positions</span>
+              <button
+                className={`settings-toggle-btn ${risk.allowShorts ? 'on' : 'off'}`}
+                onClick={() => setRisk({ ...risk, allowShorts: !risk.allowShorts })}
+              >
+                <span className="settings-toggle-knob" />
+              </button>
+            </div>
+            {risk.allowShorts && (
+              <>
+                <p className="settings-hint">
+                  HYDRA scores the mirrored short side in a bearish regime. Only enable this for
+                  products your account can short.
+                </p>
+                {riskField('Max Short Positions', 'maxShortPositions', 1)}
+                {riskField('Max Short Exposure (% of portfolio)', 'maxShortExposurePct', 1)}
+              </>
+            )}
+          </div>
+
+          {/* Portfolio Risk Budget */}
+          <div className="settings-section">
+            <div className="settings-section-title">Portfolio Risk Budget</div>
+            {riskField('Total Risk Budget (% of portfolio)', 'riskBudgetPct', 0.5)}
+            {riskField('Max Exposure per Asset (%)', 'maxAssetExposurePct', 5)}
+            {riskField('Max 1h VaR (% of portfolio)', 'maxVarPct', 0.5)}
+            <div className="settings-toggle-row">
+              <span className="settings-toggle-label">Scale Entries To Fit</span>
+              <button
+                className={`settings-toggle-btn ${risk.scaleToRiskBudget ? 'on' : 'off'}`}
+                onClick={() => setRisk({ ...risk, scaleToRiskBudget: !risk.scaleToRiskBudget })}
+              >
+                <span className="settings-toggle-knob" />
+              </button>
+            </div>
+            <p className="settings-hint">
+              Open risk is what every position loses if its stop fills. Automated entries that would
+              exceed the budget or asset cap are scaled down to fit (or blocked when scaling is off);
+              manual orders are blocked. 0 disables a limit.
+            </p>
           </div>
 
+          <RiskPipeline />
+
           {/* Display */}
           <div className="settings-section">
             <div className="settings-section-title">Display</div>
@@ -628,22 +679,20 @@ export default function Settings() {
               <select
                 className="settings-field-select"
                 value={aiProvider}
-                onChange={(e) => setAiProvider(e.target.value)}
+                onChange={(e) => {
+                  setAiProvider(e.target.value);
+                  setAiModel(AI_DEFAULT_MODELS[e.target.value]);
+                }}
               >
                 <option value="claude">Claude (Anthropic)</option>
                 <option value="openai">OpenAI</option>
+                <option value="mock">Mock (offline)</option>
               </select>
             </div>
-            <div className="settings-field">
-              <label className="settings-field-label">API Key</label>
-              <input
-                className="settings-field-input"
-                type="password"
-                value={aiApiKey}
-                onChange={(e) => setAiApiKey(e.target.value)}
-                placeholder="Enter AI API key"
-              />
-            </div>
+            <p className="settings-hint">
+              Provider keys are loaded from the server-side <code>.env</code> file
+              (ANTHROPIC_API_KEY, OPENAI_API_KEY) and never reach the browser.
+            </p>
             <div className="settings-field">
               <label className="settings-field-label">Model</label>
               <select
@@ -657,6 +706,8 @@ export default function Settings() {
                     <option value="claude-opus-4-20250514">Claude Opus 4</option>
                     <option value="claude-3-5-haiku-20241022">Claude 3.5 Haiku</option>
                   </>
+                ) : aiProvider === 'mock' ? (
+                  <option value="mock-1">Mock</option>
                 ) : (
                   <>
                     <option value="gpt-4o">GPT-4o</option>
@@ -668,6 +719,15 @@ export default function Settings() {
             </div>
           </div>
 
+          {/* Webhook Notifications */}
+          <NotificationSettings />
+
+          {/* Market Recordings */}
+          <MarketRecordings />
+
+          {/* Server Engine */}
+          <ServerEngine />
+
           {/* Data Management */}
           <div className="settings-section">
             <div className="settings-section-title">Data Management</div>
@@ -1,6 +1,7 @@
 import { useState, useCallback } from 'react';
 import useStore from '../../store';
 import { formatUSD, formatPercent } from '../../utils/formatters';
+import { stopReplay, formatReplaySpeed } from '../../services/marketReplay';
 import './TopBar.css';
 
 /* ============================================================
@@ -12,6 +13,7 @@ export default function TopBar() {
   const currentRegime = useStore((s) => s.currentRegime);
   const portfolio = useStore((s) => s.portfolio);
   const wsStatus = useStore((s) => s.wsStatus);
+  const replay = useStore((s) => s.replay);
   const toggleSettings = useStore((s) => s.toggleSettings);
   const viperEnabled = useStore((s) => s.viperEnabled);
   const viperActiveMode = useStore((s) => s.viperActiveMode);
@@ -131,16 +133,27 @@ export default function TopBar() {
             {tradingMode === 'paper' ? 'PAPER' : 'LIVE'}
           </button>
 
-          <div className="topbar-ws-status">
-            <span className={`topbar-ws-dot ${wsStatus}`} />
-            <span>
-              {wsStatus === 'connected'
-                ? 'WS'
-                : wsStatus === 'reconnecting'
-                  ? 'Reconnecting'
-                  : 'Offline'}
-            </span>
-          </div>
+          {replay ? (
+            <button
+              className="topbar-ws-status replaying"
+              onClick={stopReplay}
+              title={`Replaying ${replay.pair} at ${new Date(replay.clock).toLocaleString()} — click to return to live`}
+            >
+              <span className="topbar-ws-dot replaying" />
+              <span>Replay {formatReplaySpeed(replay.speed)}</span>
+            </button>
+          ) : (
+            <div className="topbar-ws-status">
+              <span className={`topbar-ws-dot ${wsStatus}`} />
+              <span>
+                {wsStatus === 'connected'
+                  ? 'WS'
+                  : wsStatus === 'reconnecting'
+                    ? 'Reconnecting'
+                    : 'Offline'}
+              </span>
+            </div>
+          )}
 
           <button
             className="topbar-settings-btn"
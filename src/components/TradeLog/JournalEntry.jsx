@@ -0,0 +1,186 @@
+import { useState, useEffect } from 'react';
+import { JOURNAL_TAGS } from '../../config/constants';
+import { annotateTrade } from '../../services/tradeJournal';
+import { formatPrice, formatUSD, formatTimestamp } from '../../utils/formatters';
+
+/* ============================================================
+   JournalEntry — One Trade's Journal (Trade Log)
+   ============================================================
+   Trade details, the entry / exit snapshots captured by the
+   journal (chart, HYDRA scores, VIPER mode), tags and notes.
+   ============================================================ */
+
+const DIMENSIONS = ['d1', 'd2', 'd3', 'd4', 'd5'];
+
+function Snapshot({ label, snap, pair, onZoom }) {
+  if (!snap) {
+    return (
+      <div className="journal-snapshot">
+        <div className="journal-snapshot-title">{label}</div>
+        <div className="journal-snapshot-empty">Not captured</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="journal-snapshot">
+      <div className="journal-snapshot-title">
+        {label}
+        <span>{formatTimestamp(snap.capturedAt)}</span>
+      </div>
+      <div className="tradelog-detail">
+        <span className="tradelog-detail-label">Price</span>
+        <span className="tradelog-detail-value">{snap.price != null ? formatPrice(snap.price, pair) : '--'}</span>
+      </div>
+      <div className="tradelog-detail">
+        <span className="tradelog-detail-label">HYDRA</span>
+        <span className="tradelog-detail-value">{snap.hydra?.total != null ? `${snap.hydra.total}/100` : '--'}</span>
+      </div>
+      {snap.hydra && (
+        <div className="journal-dims">
+          {DIMENSIONS.map((d) => (
+            <span key={d} className="journal-dim">
+              {d.toUpperCase()} <b>{snap.hydra[d] ?? '--'}</b>
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="tradelog-detail">
+        <span className="tradelog-detail-label">VIPER</span>
+        <span className="tradelog-detail-value">{snap.viperMode || '--'}</span>
+      </div>
+      {snap.chart ? (
+        <img
+          className="journal-chart"
+          src={snap.chart}
+          alt={`${pair} chart at ${label.toLowerCase()}`}
+          onClick={() => onZoom(snap.chart)}
+        />
+      ) : (
+        <div className="journal-snapshot-empty">No chart (pair was not on the chart)</div>
+      )}
+    </div>
+  );
+}
+
+export default function JournalEntry({ trade, entry, onBack }) {
+  const [notes, setNotes] = useState(entry?.notes || '');
+  const [customKind, setCustomKind] = useState('setup');
+  const [customTag, setCustomTag] = useState('');
+  const [zoomed, setZoomed] = useState(null);
+
+  // Pick up notes saved elsewhere (another trade selected, or a reload)
+  useEffect(() => { setNotes(entry?.notes || ''); }, [trade.id, entry?.notes]);
+
+  const tags = entry?.tags || [];
+  const pnl = trade.pnl || 0;
+
+  const toggleTag = (tag) => {
+    annotateTrade(trade, { tags: (saved) => (saved.includes(tag) ? saved.filter((t) => t !== tag) : [...saved, tag]) });
+  };
+
+  const addCustomTag = () => {
+    const value = customTag.trim().toLowerCase();
+    if (!value) return;
+    const tag = `${customKind}:${value}`;
+    annotateTrade(trade, { tags: (saved) => (saved.includes(tag) ? saved : [...saved, tag]) });
+    setCustomTag('');
+  };
+
+  const saveNotes = () => {
+    if (notes !== (entry?.notes || '')) annotateTrade(trade, { notes });
+  };
+
+  return (
+    <div className="journal-entry">
+      <div className="journal-entry-header">
+        <button className="tradelog-export-btn" onClick={onBack}>&larr; Back</button>
+        <span className="tradelog-row-pair">{trade.pair}</span>
+        <span className="tradelog-row-strategy">{trade.strategy || 'manual'}</span>
+        <span className={`tradelog-row-pnl ${pnl >= 0 ? 'positive' : 'negative'}`}>
+          {pnl >= 0 ? '+' : ''}{formatUSD(pnl)}
+        </span>
+      </div>
+
+      <div className="tradelog-details">
+        <div className="tradelog-detail">
+          <span className="tradelog-detail-label">Entry Time</span>
+          <span className="tradelog-detail-value">{trade.entryTime ? formatTimestamp(trade.entryTime) : '--'}</span>
+        </div>
+        <div className="tradelog-detail">
+          <span className="tradelog-detail-label">Exit Time</span>
+          <span className="tradelog-detail-value">{trade.closedAt ? formatTimestamp(trade.closedAt) : '--'}</span>
+        </div>
+        <div className="tradelog-detail">
+          <span className="tradelog-detail-label">Quantity</span>
+          <span className="tradelog-detail-value">{trade.quantity?.toFixed(6) || '--'}</span>
+        </div>
+        <div className="tradelog-detail">
+          <span className="tradelog-detail-label">Cost</span>
+          <span className="tradelog-detail-value">{trade.cost ? formatUSD(trade.cost) : '--'}</span>
+        </div>
+        <div className="tradelog-detail">
+          <span className="tradelog-detail-label">Order ID</span>
+          <span className="tradelog-detail-value">{trade.orderId || trade.id}</span>
+        </div>
+        <div className="tradelog-detail">
+          <span className="tradelog-detail-label">Exit Reason</span>
+          <span className="tradelog-detail-value">{trade.exitReason || 'manual'}</span>
+        </div>
+      </div>
+
+      <div className="journal-snapshots">
+        <Snapshot label="Entry" snap={entry?.entry} pair={trade.pair} onZoom={setZoomed} />
+        <Snapshot label="Exit" snap={entry?.exit} pair={trade.pair} onZoom={setZoomed} />
+      </div>
+
+      {/* Tags */}
+      {Object.entries(JOURNAL_TAGS).map(([kind, presets]) => {
+        const custom = tags.filter((t) => t.startsWith(`${kind}:`) && !presets.includes(t.slice(kind.length + 1)));
+        return (
+          <div key={kind} className="journal-tag-group">
+            <span className="journal-tag-kind">{kind}</span>
+            {[...presets.map((p) => `${kind}:${p}`), ...custom].map((tag) => (
+              <button
+                key={tag}
+                className={`tradelog-tag ${tags.includes(tag) ? 'active' : ''}`}
+                onClick={() => toggleTag(tag)}
+              >
+                {tag.slice(kind.length + 1)}
+              </button>
+            ))}
+          </div>
+        );
+      })}
+      <div className="journal-tag-add">
+        <select className="tradelog-filter" value={customKind} onChange={(e) => setCustomKind(e.target.value)}>
+          {Object.keys(JOURNAL_TAGS).map((kind) => <option key={kind} value={kind}>{kind}</option>)}
+        </select>
+        <input
+          className="tradelog-search"
+          placeholder="Add tag..."
+          value={customTag}
+          onChange={(e) => setCustomTag(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') addCustomTag(); }}
+        />
+        <button className="tradelog-export-btn" onClick={addCustomTag}>Add</button>
+      </div>
+
+      {/* Notes */}
+      <textarea
+        className="journal-notes"
+        placeholder="What was the plan? What happened? What would you do differently?"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        onBlur={saveNotes}
+        rows={4}
+      />
+
+      {zoomed && (
+        <div className="journal-zoom" onClick={() => setZoomed(null)}>
+          <img src={zoomed} alt="Chart capture" />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,23 +1,80 @@
 import { useState, useMemo, useCallback, useRef, useEffect } from 'react';
 import { FixedSizeList } from 'react-window';
 import useStore from '../../store';
-import { formatPrice, formatUSD, formatDuration, formatTimestamp, formatDate } from '../../utils/formatters';
+import { JOURNAL_TAGS } from '../../config/constants';
+import { getJournalEntries } from '../../db/indexedDB';
+import { subscribeJournal } from '../../services/tradeJournal';
+import { formatPrice, formatUSD, formatDuration, formatDate } from '../../utils/formatters';
+import JournalEntry from './JournalEntry';
 import './TradeLog.css';
 
 /* ============================================================
-   TradeLog — Trade History Log (Right Sidebar)
+   TradeLog — Trade History Log and Journal (Right Sidebar)
+   ============================================================
+   Filters by result, strategy, pair, VIPER mode, journal tag,
+   close date and free text (pair, notes, tags, exit reason).
+   Clicking a trade opens its journal entry.
    ============================================================ */
 
-const ROW_HEIGHT = 54; // collapsed row height
-const EXPANDED_HEIGHT = 120;
+const ROW_HEIGHT = 54;
+const DAY_MS = 86400000;
+
+const EMPTY_FILTERS = {
+  result: 'all', // 'all' | 'winners' | 'losers'
+  strategy: '',
+  pair: '',
+  viperMode: '',
+  tag: '',
+  from: '', // YYYY-MM-DD (UTC)
+  to: '',
+  search: '',
+};
+
+const tradeTime = (t) => new Date(t.closedAt || t.exitTime || t.timestamp || 0).getTime();
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function download(content, type, ext) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `cerebro-trades-${new Date().toISOString().slice(0, 10)}.${ext}`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
 export default function TradeLog() {
   const tradingMode = useStore((s) => s.tradingMode);
   const orderHistory = useStore((s) => s.orderHistory);
   const paperPortfolio = useStore((s) => s.paperPortfolio);
 
-  const [filter, setFilter] = useState('all'); // 'all' | 'winners' | 'losers'
-  const [expandedId, setExpandedId] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [journal, setJournal] = useState(() => new Map());
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  /* Journal entries, kept current as snapshots and notes are saved */
+  useEffect(() => {
+    let cancelled = false;
+    getJournalEntries()
+      .then((entries) => {
+        if (!cancelled) setJournal(new Map(entries.map((e) => [e.id, e])));
+      })
+      .catch((err) => console.warn('[TradeLog] Failed to load journal:', err));
+    const unsubscribe = subscribeJournal((entry) => {
+      setJournal((prev) => new Map(prev).set(entry.id, entry));
+    });
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
 
   /* Merge trade sources */
   const allTrades = useMemo(() => {
@@ -33,52 +90,81 @@ export default function TradeLog() {
     }));
 
     const combined = tradingMode === 'paper' ? paperTrades : [...liveTrades, ...paperTrades];
-    combined.sort((a, b) => {
-      const ta = new Date(a.closedAt || a.timestamp || 0).getTime();
-      const tb = new Date(b.closedAt || b.timestamp || 0).getTime();
-      return tb - ta;
-    });
+    combined.sort((a, b) => tradeTime(b) - tradeTime(a));
 
     return combined;
   }, [tradingMode, orderHistory, paperPortfolio.trades]);
 
+  /* Filter options from the trades and journal on hand */
+  const options = useMemo(() => {
+    const tags = new Set(Object.entries(JOURNAL_TAGS).flatMap(([kind, list]) => list.map((t) => `${kind}:${t}`)));
+    for (const entry of journal.values()) for (const tag of entry.tags || []) tags.add(tag);
+    return {
+      strategies: [...new Set(allTrades.map((t) => t.strategy || 'manual'))].sort(),
+      pairs: [...new Set(allTrades.map((t) => t.pair).filter(Boolean))].sort(),
+      tags: [...tags].sort(),
+    };
+  }, [allTrades, journal]);
+
   /* Filter trades */
   const filteredTrades = useMemo(() => {
-    if (filter === 'all') return allTrades;
+    const from = filters.from ? Date.parse(filters.from) : null;
+    const to = filters.to ? Date.parse(filters.to) + DAY_MS - 1 : null;
+    const search = filters.search.trim().toLowerCase();
+
     return allTrades.filter((t) => {
+      const entry = journal.get(t.id);
       const pnl = t.pnl || 0;
-      return filter === 'winners' ? pnl > 0 : pnl < 0;
+      if (filters.result === 'winners' && pnl <= 0) return false;
+      if (filters.result === 'losers' && pnl >= 0) return false;
+      if (filters.strategy && (t.strategy || 'manual') !== filters.strategy) return false;
+      if (filters.pair && t.pair !== filters.pair) return false;
+      if (filters.viperMode && (entry?.viperMode || t.viperMode) !== filters.viperMode) return false;
+      if (filters.tag && !entry?.tags?.includes(filters.tag)) return false;
+      const time = tradeTime(t);
+      if (from != null && time < from) return false;
+      if (to != null && time > to) return false;
+      if (search) {
+        const haystack = [t.pair, t.strategy, t.exitReason, entry?.notes, ...(entry?.tags || [])]
+          .filter(Boolean).join(' ').toLowerCase();
+        if (!haystack.includes(search)) return false;
+      }
+      return true;
     });
-  }, [allTrades, filter]);
+  }, [allTrades, journal, filters]);
+
+  const activeFilterCount = Object.keys(EMPTY_FILTERS)
+    .filter((key) => key !== 'result' && filters[key] !== EMPTY_FILTERS[key]).length;
 
   /* ---- Export handlers ------------------------------------- */
   const exportCSV = useCallback(() => {
-    const headers = 'Pair,Strategy,Entry Price,Exit Price,P&L,Duration,Closed At\n';
+    const headers = 'Pair,Strategy,Entry Price,Exit Price,P&L,Duration,Closed At,VIPER Mode,Entry Score,Exit Score,Tags,Notes\n';
     const rows = filteredTrades.map((t) => {
+      const entry = journal.get(t.id);
       const dur = t.entryTime && t.closedAt
         ? formatDuration(new Date(t.closedAt).getTime() - new Date(t.entryTime).getTime())
         : '--';
-      return `${t.pair},${t.strategy || '--'},${t.entryPrice},${t.exitPrice || '--'},${(t.pnl || 0).toFixed(2)},${dur},${t.closedAt || '--'}`;
+      return [
+        t.pair, t.strategy || '--', t.entryPrice, t.exitPrice || '--', (t.pnl || 0).toFixed(2), dur, t.closedAt || '--',
+        entry?.viperMode || t.viperMode || '', entry?.entry?.hydra?.total ?? '', entry?.exit?.hydra?.total ?? '',
+        (entry?.tags || []).join('; '), entry?.notes || '',
+      ].map(csvCell).join(',');
     }).join('\n');
 
-    const blob = new Blob([headers + rows], { type: 'text/csv' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `cerebro-trades-${new Date().toISOString().slice(0, 10)}.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }, [filteredTrades]);
+    download(headers + rows, 'text/csv', 'csv');
+  }, [filteredTrades, journal]);
 
   const exportJSON = useCallback(() => {
-    const blob = new Blob([JSON.stringify(filteredTrades, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `cerebro-trades-${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-  }, [filteredTrades]);
+    // Chart captures are left out to keep the export small
+    const withoutChart = (snap) => (snap ? { ...snap, chart: undefined } : null);
+    const trades = filteredTrades.map((t) => {
+      const entry = journal.get(t.id);
+      return entry
+        ? { ...t, journal: { ...entry, entry: withoutChart(entry.entry), exit: withoutChart(entry.exit) } }
+        : t;
+    });
+    download(JSON.stringify(trades, null, 2), 'application/json', 'json');
+  }, [filteredTrades, journal]);
 
   /* ---- Virtualized list ------------------------------------ */
   const containerRef = useRef(null);
@@ -96,24 +182,25 @@ export default function TradeLog() {
     });
     ro.observe(containerRef.current);
     return () => ro.disconnect();
-  }, []);
+  }, [selectedId]);
 
   const Row = useCallback(
     ({ index, style }) => {
       const trade = filteredTrades[index];
       if (!trade) return null;
 
+      const entry = journal.get(trade.id);
       const pnl = trade.pnl || 0;
-      const isExpanded = expandedId === trade.id;
       const dur = trade.entryTime && trade.closedAt
         ? formatDuration(new Date(trade.closedAt).getTime() - new Date(trade.entryTime).getTime())
         : '--';
+      const viperMode = entry?.viperMode || trade.viperMode;
 
       return (
         <div
           style={style}
           className="tradelog-row"
-          onClick={() => setExpandedId(isExpanded ? null : trade.id)}
+          onClick={() => setSelectedId(trade.id)}
         >
           <div className="tradelog-row-summary">
             <span className="tradelog-row-pair">{trade.pair}</span>
@@ -129,42 +216,20 @@ export default function TradeLog() {
             <span>{dur}</span>
             <span>{trade.closedAt ? formatDate(trade.closedAt) : '--'}</span>
             <span>{trade.source || ''}</span>
+            {viperMode && <span className="tradelog-row-mode">{viperMode}</span>}
+            {(entry?.tags || []).slice(0, 2).map((tag) => (
+              <span key={tag} className="tradelog-tag small">{tag.split(':').pop()}</span>
+            ))}
+            {entry?.notes && <span className="tradelog-row-note" title={entry.notes}>notes</span>}
           </div>
-
-          {isExpanded && (
-            <div className="tradelog-details">
-              <div className="tradelog-detail">
-                <span className="tradelog-detail-label">Entry Time</span>
-                <span className="tradelog-detail-value">{trade.entryTime ? formatTimestamp(trade.entryTime) : '--'}</span>
-              </div>
-              <div className="tradelog-detail">
-                <span className="tradelog-detail-label">Exit Time</span>
-                <span className="tradelog-detail-value">{trade.closedAt ? formatTimestamp(trade.closedAt) : '--'}</span>
-              </div>
-              <div className="tradelog-detail">
-                <span className="tradelog-detail-label">Quantity</span>
-                <span className="tradelog-detail-value">{trade.quantity?.toFixed(6) || '--'}</span>
-              </div>
-              <div className="tradelog-detail">
-                <span className="tradelog-detail-label">Cost</span>
-                <span className="tradelog-detail-value">{trade.cost ? formatUSD(trade.cost) : '--'}</span>
-              </div>
-              <div className="tradelog-detail">
-                <span className="tradelog-detail-label">Order ID</span>
-                <span className="tradelog-detail-value">{trade.orderId || trade.id}</span>
-              </div>
-              <div className="tradelog-detail">
-                <span className="tradelog-detail-label">Exit Reason</span>
-                <span className="tradelog-detail-value">{trade.exitReason || 'manual'}</span>
-              </div>
-            </div>
-          )}
         </div>
       );
     },
-    [filteredTrades, expandedId]
+    [filteredTrades, journal]
   );
 
+  const selectedTrade = selectedId ? allTrades.find((t) => t.id === selectedId) : null;
+
   return (
     <div className="tradelog-container">
       {/* Header */}
@@ -173,33 +238,95 @@ export default function TradeLog() {
         <div className="tradelog-actions">
           <select
             className="tradelog-filter"
-            value={filter}
-            onChange={(e) => setFilter(e.target.value)}
+            value={filters.result}
+            onChange={(e) => setFilter('result', e.target.value)}
           >
             <option value="all">All</option>
             <option value="winners">Winners</option>
             <option value="losers">Losers</option>
           </select>
+          <button
+            className={`tradelog-export-btn ${showFilters || activeFilterCount > 0 ? 'active' : ''}`}
+            onClick={() => setShowFilters((v) => !v)}
+            title="Filter by strategy, pair, VIPER mode, tag and date"
+          >
+            Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+          </button>
           <button className="tradelog-export-btn" onClick={exportCSV} title="Export CSV">CSV</button>
           <button className="tradelog-export-btn" onClick={exportJSON} title="Export JSON">JSON</button>
         </div>
       </div>
 
-      {/* List */}
-      <div className="tradelog-list" ref={containerRef}>
-        {filteredTrades.length === 0 ? (
-          <div className="tradelog-empty">No trades yet</div>
-        ) : (
-          <FixedSizeList
-            height={listHeight}
-            width="100%"
-            itemCount={filteredTrades.length}
-            itemSize={ROW_HEIGHT}
-          >
-            {Row}
-          </FixedSizeList>
-        )}
-      </div>
+      {/* Filters */}
+      {showFilters && (
+        <div className="tradelog-filters">
+          <input
+            className="tradelog-search"
+            type="search"
+            placeholder="Search notes, tags, pair..."
+            value={filters.search}
+            onChange={(e) => setFilter('search', e.target.value)}
+          />
+          <select className="tradelog-filter" value={filters.strategy} onChange={(e) => setFilter('strategy', e.target.value)}>
+            <option value="">All strategies</option>
+            {options.strategies.map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <select className="tradelog-filter" value={filters.pair} onChange={(e) => setFilter('pair', e.target.value)}>
+            <option value="">All pairs</option>
+            {options.pairs.map((p) => <option key={p} value={p}>{p}</option>)}
+          </select>
+          <select className="tradelog-filter" value={filters.viperMode} onChange={(e) => setFilter('viperMode', e.target.value)}>
+            <option value="">Any VIPER mode</option>
+            <option value="STRIKE">STRIKE</option>
+            <option value="COIL">COIL</option>
+            <option value="LUNGE">LUNGE</option>
+          </select>
+          <select className="tradelog-filter" value={filters.tag} onChange={(e) => setFilter('tag', e.target.value)}>
+            <option value="">Any tag</option>
+            {options.tags.map((t) => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <label className="tradelog-date">
+            From
+            <input type="date" value={filters.from} onChange={(e) => setFilter('from', e.target.value)} />
+          </label>
+          <label className="tradelog-date">
+            To
+            <input type="date" value={filters.to} onChange={(e) => setFilter('to', e.target.value)} />
+          </label>
+          {activeFilterCount > 0 && (
+            <button
+              className="tradelog-export-btn"
+              onClick={() => setFilters((prev) => ({ ...EMPTY_FILTERS, result: prev.result }))}
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Journal entry, or the list */}
+      {selectedTrade ? (
+        <JournalEntry
+          trade={selectedTrade}
+          entry={journal.get(selectedTrade.id) || null}
+          onBack={() => setSelectedId(null)}
+        />
+      ) : (
+        <div className="tradelog-list" ref={containerRef}>
+          {filteredTrades.length === 0 ? (
+            <div className="tradelog-empty">{allTrades.length === 0 ? 'No trades yet' : 'No trades match the filters'}</div>
+          ) : (
+            <FixedSizeList
+              height={listHeight}
+              width="100%"
+              itemCount={filteredTrades.length}
+              itemSize={ROW_HEIGHT}
+            >
+              {Row}
+            </FixedSizeList>
+          )}
+        </div>
+      )}
     </div>
   );
 }
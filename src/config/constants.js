@@ -55,6 +55,15 @@ export const RISK_DEFAULTS = {
   maxDailyLossUSD:      500,
   maxTradesPerDay:      10,
   pairCooldownMinutes:  10,
+  // Short selling — off by default; separate limits from the long book
+  allowShorts:          false,
+  maxShortPositions:    1,
+  maxShortExposurePct:  10,     // all open shorts, % of portfolio value
+  // Portfolio risk budget — see utils/portfolioRisk.js
+  riskBudgetPct:        6,      // total open risk to stops, % of portfolio value
+  scaleToRiskBudget:    true,   // scale entries down to fit instead of blocking them
+  maxAssetExposurePct:  50,     // one base asset across all pairs and sides
+  maxVarPct:            5,      // 1h 95% value-at-risk, % of portfolio value
 };
 
 // ---------------------------------------------------------------------------
@@ -143,3 +152,12 @@ export const FEE_TIERS = {
   intermediate: { maker: 0.25, taker: 0.40 },
   advanced:     { maker: 0.15, taker: 0.25 },
 };
+
+// ---------------------------------------------------------------------------
+// Trade journal tag presets (stored as '<kind>:<tag>')
+// ---------------------------------------------------------------------------
+export const JOURNAL_TAGS = {
+  setup:   ['breakout', 'pullback', 'reversal', 'range', 'momentum', 'news'],
+  mistake: ['chased entry', 'early exit', 'late exit', 'oversized', 'moved stop', 'no setup'],
+  emotion: ['calm', 'confident', 'fomo', 'fear', 'revenge', 'bored'],
+};
@@ -7,7 +7,7 @@
 import { openDB } from 'idb';
 
 const DB_NAME = 'cerebro-crypto';
-const DB_VERSION = 3;
+const DB_VERSION = 5;
 
 /** @type {import('idb').IDBPDatabase|null} */
 let dbInstance = null;
@@ -24,7 +24,7 @@ export async function initDB() {
   if (dbInstance) return dbInstance;
 
   dbInstance = await openDB(DB_NAME, DB_VERSION, {
-    upgrade(db) {
+    upgrade(db, oldVersion) {
       // ---- trades store ---------------------------------------------------
       if (!db.objectStoreNames.contains('trades')) {
         const trades = db.createObjectStore('trades', { keyPath: 'id' });
@@ -33,13 +33,22 @@ export async function initDB() {
         trades.createIndex('strategy', 'strategy', { unique: false });
       }
 
-      // ---- candles store --------------------------------------------------
+      // ---- candles store (v4: keyed by pair/timeframe/timestamp) ----------
+      // Before v4 every save appended rows; the cache is dropped and rebuilt
+      if (oldVersion < 4 && db.objectStoreNames.contains('candles')) {
+        db.deleteObjectStore('candles');
+      }
       if (!db.objectStoreNames.contains('candles')) {
-        const candles = db.createObjectStore('candles', { autoIncrement: true });
+        const candles = db.createObjectStore('candles', { keyPath: ['pair', 'timeframe', 'timestamp'] });
         candles.createIndex('pairTimeframe', ['pair', 'timeframe'], { unique: false });
         candles.createIndex('timestamp', 'timestamp', { unique: false });
       }
 
+      // ---- candleCoverage store (v4) --------------------------------------
+      if (!db.objectStoreNames.contains('candleCoverage')) {
+        db.createObjectStore('candleCoverage', { keyPath: 'key' });
+      }
+
       // ---- paperTrades store ----------------------------------------------
       if (!db.objectStoreNames.contains('paperTrades')) {
         const paper = db.createObjectStore('paperTrades', { keyPath: 'id' });
@@ -72,6 +81,16 @@ export async function initDB() {
         const viperLedger = db.createObjectStore('viperLedger', { keyPath: 'date' });
         viperLedger.createIndex('timestamp', 'timestamp', { unique: false });
       }
+
+      // ---- journal store (v5: one entry per trade / position id) ----------
+      if (!db.objectStoreNames.contains('journal')) {
+        const journal = db.createObjectStore('journal', { keyPath: 'id' });
+        journal.createIndex('pair', 'pair', { unique: false });
+        journal.createIndex('strategy', 'strategy', { unique: false });
+        journal.createIndex('viperMode', 'viperMode', { unique: false });
+        journal.createIndex('entryTime', 'entryTime', { unique: false });
+        journal.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+      }
     },
   });
 
@@ -122,7 +141,8 @@ export async function getTrades(filters = {}) {
 // ---------------------------------------------------------------------------
 
 /**
- * Bulk-save candles for a given pair and timeframe.
+ * Bulk-save candles for a given pair and timeframe. A candle already
+ * cached at the same timestamp is replaced.
  */
 export async function saveCandles(pair, timeframe, candles) {
   const db = await initDB();
@@ -141,19 +161,29 @@ export async function saveCandles(pair, timeframe, candles) {
  */
 export async function getCandles(pair, timeframe, start, end) {
   const db = await initDB();
-  const index = db.transaction('candles', 'readonly')
-    .objectStore('candles')
-    .index('pairTimeframe');
-
-  const results = await index.getAll([pair, timeframe]);
-
-  return results
-    .filter((c) => {
-      if (start && c.timestamp < start) return false;
-      if (end && c.timestamp > end) return false;
-      return true;
-    })
-    .sort((a, b) => a.timestamp - b.timestamp);
+  // Primary keys sort by timestamp within a pair/timeframe
+  return db.getAll('candles', IDBKeyRange.bound(
+    [pair, timeframe, start || 0],
+    [pair, timeframe, end || Infinity],
+  ));
+}
+
+/**
+ * Time ranges of a pair/timeframe already downloaded into the cache.
+ * @returns {Promise<{ from: number, to: number }[]>} sorted, non-overlapping
+ */
+export async function getCandleCoverage(pair, timeframe) {
+  const db = await initDB();
+  const record = await db.get('candleCoverage', `${pair}:${timeframe}`);
+  return record?.ranges || [];
+}
+
+/**
+ * Replace the downloaded ranges of a pair/timeframe.
+ */
+export async function saveCandleCoverage(pair, timeframe, ranges) {
+  const db = await initDB();
+  return db.put('candleCoverage', { key: `${pair}:${timeframe}`, pair, timeframe, ranges });
 }
 
 /**
@@ -161,6 +191,7 @@ export async function getCandles(pair, timeframe, start, end) {
  */
 export async function clearCandleCache() {
   const db = await initDB();
+  await db.clear('candleCoverage');
   return db.clear('candles');
 }
 
@@ -200,6 +231,57 @@ export async function getPaperTrades(filters = {}) {
   return results;
 }
 
+// ---------------------------------------------------------------------------
+// Trade Journal
+// ---------------------------------------------------------------------------
+
+/**
+ * Save a journal entry (notes, tags and entry / exit snapshots of a trade).
+ */
+export async function saveJournalEntry(entry) {
+  const db = await initDB();
+  return db.put('journal', { ...entry, updatedAt: Date.now() });
+}
+
+/**
+ * Get the journal entry of a trade / position id.
+ */
+export async function getJournalEntry(id) {
+  const db = await initDB();
+  return db.get('journal', id);
+}
+
+/**
+ * Retrieve journal entries with optional filters, newest entry first.
+ * @param {{ tag?: string, pair?: string, strategy?: string, viperMode?: string,
+ *           startDate?: number, endDate?: number }} filters
+ */
+export async function getJournalEntries(filters = {}) {
+  const db = await initDB();
+  let results;
+
+  if (filters.tag) {
+    results = await db.getAllFromIndex('journal', 'tags', filters.tag);
+  } else if (filters.pair) {
+    results = await db.getAllFromIndex('journal', 'pair', filters.pair);
+  } else {
+    results = await db.getAll('journal');
+  }
+
+  if (filters.pair) results = results.filter((e) => e.pair === filters.pair);
+  if (filters.strategy) results = results.filter((e) => e.strategy === filters.strategy);
+  if (filters.viperMode) results = results.filter((e) => e.viperMode === filters.viperMode);
+  if (filters.startDate) {
+    results = results.filter((e) => (e.entryTime || 0) >= filters.startDate);
+  }
+  if (filters.endDate) {
+    results = results.filter((e) => (e.entryTime || 0) <= filters.endDate);
+  }
+
+  results.sort((a, b) => (b.entryTime || 0) - (a.entryTime || 0));
+  return results;
+}
+
 // ---------------------------------------------------------------------------
 // Signals
 // ---------------------------------------------------------------------------
@@ -243,6 +325,42 @@ export async function getSignals(filters = {}) {
   return results;
 }
 
+// ---------------------------------------------------------------------------
+// Alerts (fired alert events)
+// ---------------------------------------------------------------------------
+
+/**
+ * Save a fired alert event.
+ */
+export async function saveAlertEvent(event) {
+  const db = await initDB();
+  return db.put('alerts', {
+    ...event,
+    id: event.id || `alertev-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    timestamp: event.timestamp || Date.now(),
+  });
+}
+
+/**
+ * Retrieve fired alert events, newest first.
+ * @param {{ pair?: string, type?: string, limit?: number }} filters
+ */
+export async function getAlertEvents(filters = {}) {
+  const db = await initDB();
+  let results;
+
+  if (filters.pair) {
+    results = await db.getAllFromIndex('alerts', 'pair', filters.pair);
+  } else if (filters.type) {
+    results = await db.getAllFromIndex('alerts', 'type', filters.type);
+  } else {
+    results = await db.getAll('alerts');
+  }
+
+  results.sort((a, b) => b.timestamp - a.timestamp);
+  return filters.limit ? results.slice(0, filters.limit) : results;
+}
+
 // ---------------------------------------------------------------------------
 // Strategy Performance
 // ---------------------------------------------------------------------------
@@ -0,0 +1,67 @@
+/* ============================================================
+   Cerebro Crypto — Correlation Tracker
+   ============================================================
+   Keeps store.correlationMatrix current from the scanner's
+   candles (plus the active pair's chart candles), on the
+   timeframe and lookback in correlationSettings. Shared by
+   the browser (useCorrelationMatrix) and the server engine.
+   ============================================================ */
+
+import { computeCorrelationMatrix } from '../utils/correlationMatrix.js';
+
+// Candles refresh every ~30s; no point recomputing faster
+export const CORRELATION_REFRESH_MS = 15000;
+
+/** The candles the matrix is computed from: scanner pairs, the active pair and open positions. */
+function collectCandles(state, timeframe) {
+  const pairs = new Set([
+    ...(state.scannerPairs || []),
+    state.activePair,
+    ...(state.positions || []).map((p) => p.pair),
+  ]);
+  const candlesByPair = {};
+  for (const pair of pairs) {
+    if (!pair) continue;
+    let candles = state.scannerCandles?.[pair]?.[timeframe];
+    if (!candles?.length && pair === state.activePair) candles = state.candles?.[timeframe];
+    if (candles?.length) candlesByPair[pair] = candles;
+  }
+  return candlesByPair;
+}
+
+/**
+ * Recompute the matrix from a store snapshot.
+ * @param {Object} state
+ * @returns {Object} the value for store.correlationMatrix
+ */
+export function buildCorrelationMatrix(state) {
+  const { timeframe, lookback } = state.correlationSettings;
+  return {
+    ...computeCorrelationMatrix(collectCandles(state, timeframe), { lookback }),
+    timeframe,
+    lookback,
+    computedAt: Date.now(),
+  };
+}
+
+/**
+ * Recompute the matrix now, every CORRELATION_REFRESH_MS, and
+ * whenever the correlation settings or scanner pairs change.
+ * @param {Object} store - zustand store (useStore)
+ * @returns {Function} unbind
+ */
+export function bindCorrelationTracker(store) {
+  const refresh = () => store.getState().setCorrelationMatrix(buildCorrelationMatrix(store.getState()));
+
+  const timer = setInterval(refresh, CORRELATION_REFRESH_MS);
+  timer.unref?.();
+  const unsubscribe = store.subscribe((s, prev) => {
+    if (s.correlationSettings !== prev.correlationSettings || s.scannerPairs !== prev.scannerPairs) refresh();
+  });
+  refresh();
+
+  return () => {
+    clearInterval(timer);
+    unsubscribe();
+  };
+}
@@ -0,0 +1,89 @@
+/* ============================================================
+   Cerebro Crypto — Position Monitor
+   ============================================================
+   Mark-to-market and stop-loss / take-profit checks for open
+   positions. Pure — callers decide how an exit is executed
+   (usePositions in the browser, the order bridge on the
+   server):
+     stop-loss  → close all
+     TP1        → close 50%, stop to break-even, trail
+     TP2        → close the rest (after TP1)
+     trailing   → ratchet the stop, close when crossed
+   ============================================================ */
+
+/**
+ * Unrealized P&L fields for a position at a price.
+ * @returns {{ currentPrice: number, unrealizedPnL: number, unrealizedPnLPct: number }}
+ */
+export function markToMarket(position, currentPrice) {
+  const direction = position.direction === 'short' ? -1 : 1;
+  const unrealizedPnL = direction * (currentPrice - position.entryPrice) * position.qty;
+  const unrealizedPnLPct = direction * ((currentPrice - position.entryPrice) / position.entryPrice) * 100;
+  return {
+    currentPrice,
+    unrealizedPnL: parseFloat(unrealizedPnL.toFixed(2)),
+    unrealizedPnLPct: parseFloat(unrealizedPnLPct.toFixed(2)),
+  };
+}
+
+/**
+ * Decide what, if anything, the price means for a position.
+ * @param {Object} position
+ * @param {number} currentPrice
+ * @returns {null |
+ *   { action: 'exit', price: number, qty: number, reason: string, updates?: Object } |
+ *   { action: 'update', updates: Object }}
+ *   `exit` with `updates` is a partial close; apply the updates to what remains.
+ */
+export function checkPositionExit(position, currentPrice) {
+  if (position.status !== 'open' || currentPrice == null) return null;
+  // Exits held by the exchange (bracket / OCO) aren't ours to fire
+  if (position.orderGroupId) return null;
+
+  const isLong = position.direction !== 'short';
+  const crossedDown = (level) => (isLong ? currentPrice <= level : currentPrice >= level);
+  const crossedUp = (level) => (isLong ? currentPrice >= level : currentPrice <= level);
+
+  // Stop-loss
+  if (position.stopLoss != null && crossedDown(position.stopLoss)) {
+    return { action: 'exit', price: position.stopLoss, qty: position.qty, reason: 'Stop-loss triggered' };
+  }
+
+  // TP1 (partial close: 50%)
+  if (!position.tp1Hit && position.tp1Price != null && crossedUp(position.tp1Price)) {
+    const closeQty = position.qty * 0.5;
+    return {
+      action: 'exit',
+      price: position.tp1Price,
+      qty: closeQty,
+      reason: 'TP1 hit (1.5R)',
+      // Move stop to break-even and start trailing
+      updates: {
+        tp1Hit: true,
+        qty: position.qty - closeQty,
+        stopLoss: position.entryPrice,
+        trailingActive: true,
+      },
+    };
+  }
+
+  // TP2 (close remainder)
+  if (position.tp1Hit && position.tp2Price != null && crossedUp(position.tp2Price)) {
+    return { action: 'exit', price: position.tp2Price, qty: position.qty, reason: 'TP2 hit (3R)' };
+  }
+
+  // Trailing stop (active after TP1)
+  if (position.tp1Hit && position.trailingActive && position.trailingStop != null) {
+    if (crossedDown(position.trailingStop)) {
+      return { action: 'exit', price: position.trailingStop, qty: position.qty, reason: 'Trailing stop triggered' };
+    }
+    if (isLong && currentPrice - position.trailingStopDistance > position.trailingStop) {
+      return { action: 'update', updates: { trailingStop: currentPrice - position.trailingStopDistance } };
+    }
+    if (!isLong && currentPrice + position.trailingStopDistance < position.trailingStop) {
+      return { action: 'update', updates: { trailingStop: currentPrice + position.trailingStopDistance } };
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,97 @@
+/* ============================================================
+   Cerebro Crypto — Risk Pipeline
+   ============================================================
+   Guards every automated entry before it reaches an order,
+   by running the registered risk stages (./riskStages) in
+   order: spread, sizing, correlation, session sizing,
+   minimum size, short limits, portfolio risk budget,
+   slippage, fee impact, live rate limit and pair exclusion.
+   Each strategy enables stages and sets their params in
+   riskPipelineConfig. Every stage's decision is returned, so
+   the engine can record which one blocked or resized the
+   entry. Pure — reads a store snapshot, so the browser and
+   the server engine share it.
+   ============================================================ */
+
+import { resolveRiskStages } from './riskStages/index.js';
+
+/**
+ * Run the guards for an entry signal.
+ * @param {Object} signal - strategy entry signal (pair, direction, sizing, entryPrice, tp1, ...)
+ * @param {Object} state  - store snapshot
+ * @param {Object} [opts]
+ * @param {'hydra'|'viper'} [opts.strategyKey='hydra'] - capital pool and stage config to use
+ * @param {number} [opts.now=Date.now()]                - decision time (replay-aware)
+ * @param {number} [opts.lastOrderTimestamp=0]          - wall time of the last engine order
+ * @returns {{ blocked: true, reason: string, stage: string, decisions: Object[] } |
+ *           { blocked: false, positionSize: number, baseSize: number, currentPrice: number,
+ *             sizeFactor: number, decisions: Object[] }}
+ *   decisions: one { stage, action: 'pass'|'resize'|'block'|'off', detail, size } per stage
+ */
+export function runRiskPipeline(signal, state, { strategyKey = 'hydra', now = Date.now(), lastOrderTimestamp = 0 } = {}) {
+  const pair = signal.pair || state.activePair;
+  const decisions = [];
+
+  const currentPrice = signal.entryPrice || state.tickers?.[pair]?.price;
+  if (!currentPrice || currentPrice <= 0) {
+    decisions.push({ stage: 'price', action: 'block', detail: 'No price data', size: 0 });
+    return { blocked: true, reason: 'No price data', stage: 'price', decisions };
+  }
+
+  const ctx = {
+    signal,
+    state,
+    strategyKey,
+    pair,
+    isShort: signal.direction === 'short',
+    now,
+    lastOrderTimestamp,
+    portfolioValue: state.tradingMode === 'paper'
+      ? state.paperPortfolio.balance
+      : state.portfolio.totalValue || state.portfolio.availableCash || 0,
+    currentPrice,
+    positionSize: 0,
+    baseSize: 0,
+    minPositionUSD: null,
+  };
+  let sizedAt = 0; // the size the sizing stage set, before later resizes
+
+  for (const { stage, enabled, params } of resolveRiskStages(state.riskPipelineConfig, strategyKey)) {
+    if (!enabled) {
+      decisions.push({ stage: stage.id, action: 'off', detail: null, size: ctx.positionSize });
+      continue;
+    }
+
+    const result = stage.run(ctx, params) || {};
+    if (result.block) {
+      decisions.push({ stage: stage.id, action: 'block', detail: result.block, size: ctx.positionSize });
+      return { blocked: true, reason: `${stage.label}: ${result.block}`, stage: stage.id, decisions };
+    }
+
+    if (result.size != null && result.size !== ctx.positionSize) {
+      const from = ctx.positionSize;
+      ctx.positionSize = result.size;
+      ctx.baseSize = result.size / currentPrice;
+      if (!sizedAt) sizedAt = result.size;
+      decisions.push({
+        stage: stage.id,
+        action: from > 0 ? 'resize' : 'pass',
+        detail: from > 0
+          ? `$${from.toFixed(2)} → $${result.size.toFixed(2)}${result.detail ? ` (${result.detail})` : ''}`
+          : result.detail || null,
+        size: result.size,
+      });
+    } else {
+      decisions.push({ stage: stage.id, action: 'pass', detail: result.detail || null, size: ctx.positionSize });
+    }
+  }
+
+  return {
+    blocked: false,
+    positionSize: ctx.positionSize,
+    baseSize: ctx.baseSize,
+    currentPrice,
+    sizeFactor: sizedAt > 0 ? ctx.positionSize / sizedAt : 1,
+    decisions,
+  };
+}
@@ -0,0 +1,35 @@
+/* ============================================================
+   Risk Stage — Correlation Guard
+   ============================================================
+   Halves entries correlated with an open same-side position
+   and blocks entries into a full cluster, on the rolling
+   matrix. Limits live in correlationSettings (Correlation
+   tab); an opposite-side position is a hedge and not counted.
+   Pairs the matrix hasn't measured yet (its warm-up) use a
+   prior correlation instead.
+   ============================================================ */
+
+import { checkCorrelation } from '../../utils/correlationGuard.js';
+
+export const correlationGuard = {
+  id: 'correlation',
+  label: 'Correlation guard',
+  description: 'Resize or block entries correlated with open positions (limits in the Correlation tab). Until the rolling matrix has 10 overlapping returns for a pair, a prior estimate stands in.',
+  params: {},
+  run(ctx) {
+    const { state, pair, isShort } = ctx;
+    const sameSide = (state.positions || []).filter((p) => (p.direction === 'short') === isShort);
+    const corr = state.correlationSettings || {};
+    const result = checkCorrelation(pair, sameSide, {
+      matrix: state.correlationMatrix?.matrix,
+      threshold: corr.threshold,
+      maxClusterPositions: corr.maxClusterPositions,
+      maxClusterExposurePct: corr.maxClusterExposurePct,
+      portfolioValue: ctx.portfolioValue,
+      notionalValue: ctx.positionSize,
+    });
+    if (!result.allowed) return { block: result.reason };
+    if (result.reducedSize) return { size: ctx.positionSize * result.reducedSize, detail: result.reason };
+    return undefined;
+  },
+};
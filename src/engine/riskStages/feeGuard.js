@@ -0,0 +1,40 @@
+/* ============================================================
+   Risk Stage — Fee Guard
+   ============================================================
+   Prices the round trip to TP1 at the account's taker fee
+   and, in live mode, blocks entries that would not clear the
+   minimum net profit. Paper mode only records the estimate.
+   ============================================================ */
+
+import { calculateFeeImpact } from '../../utils/feeCalculator.js';
+
+export const feeGuard = {
+  id: 'fees',
+  label: 'Fee guard',
+  description: 'Live: block entries whose net profit to TP1 after fees is below the minimum.',
+  params: {
+    minNetProfitUSD: { label: 'Min net profit $', default: 0.50, step: 0.1 },
+    paperTakerFeePct: { label: 'Paper taker fee cap %', default: 0.1, step: 0.05 },
+  },
+  run(ctx, { minNetProfitUSD, paperTakerFeePct }) {
+    const { signal, state, currentPrice, baseSize, isShort } = ctx;
+    const tierRate = state.feeTier?.taker_fee_rate ? parseFloat(state.feeTier.taker_fee_rate) : 0.006;
+    // Paper fills are simulated at a lower rate so trades aren't blocked unrealistically
+    const takerFee = state.tradingMode === 'paper' ? Math.min(tierRate, paperTakerFeePct / 100) : tierRate;
+
+    const tp1 = signal.tp1 || currentPrice * (isShort ? 0.99 : 1.01);
+    // A short's profit is entry − target: price it as the mirrored round trip
+    const result = isShort
+      ? calculateFeeImpact(tp1, currentPrice, baseSize, { takerFee })
+      : calculateFeeImpact(currentPrice, tp1, baseSize, { takerFee });
+    const detail = `net $${result.netProfit.toFixed(2)} to TP1`;
+
+    if (state.tradingMode === 'live' && result.netProfit < 0) {
+      return { block: `net profit after fees is negative ($${result.netProfit.toFixed(2)})` };
+    }
+    if (state.tradingMode === 'live' && result.netProfit < minNetProfitUSD) {
+      return { block: `net profit too small ($${result.netProfit.toFixed(2)} < $${minNetProfitUSD.toFixed(2)})` };
+    }
+    return { detail };
+  },
+};
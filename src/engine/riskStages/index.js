@@ -0,0 +1,97 @@
+/* ============================================================
+   Cerebro Crypto — Risk Stage Registry
+   ============================================================
+   The guards runRiskPipeline applies to every automated
+   entry, in order. A stage is a module:
+
+     {
+       id, label, description,
+       required?,                       // always on
+       params: { key: { label, default, step, strategies? } },
+       run(ctx, params) => undefined               // pass
+                         | { detail }              // pass, with a note
+                         | { size, detail? }       // resize to `size` USD
+                         | { block: reason },
+     }
+
+   Each strategy enables stages and overrides their params
+   through store.riskPipelineConfig:
+     { hydra: { session: { enabled: false } }, viper: { ... } }
+   ============================================================ */
+
+import { spreadGuard } from './spreadGuard.js';
+import { sizing } from './sizing.js';
+import { correlationGuard } from './correlationGuard.js';
+import { sessionSizing } from './sessionSizing.js';
+import { minimumSize } from './minimumSize.js';
+import { shortLimits } from './shortLimits.js';
+import { riskBudget } from './riskBudget.js';
+import { slippageGuard } from './slippageGuard.js';
+import { feeGuard } from './feeGuard.js';
+import { rateLimit } from './rateLimit.js';
+import { pairExclusion } from './pairExclusion.js';
+
+export const RISK_STRATEGIES = ['hydra', 'viper'];
+
+const registry = [
+  spreadGuard,
+  sizing,
+  correlationGuard,
+  sessionSizing,
+  minimumSize,
+  shortLimits,
+  riskBudget,
+  slippageGuard,
+  feeGuard,
+  rateLimit,
+  pairExclusion,
+];
+
+/**
+ * Add a stage, or replace the one with the same id in place.
+ * @param {Object} stage
+ * @param {Object} [opts]
+ * @param {string} [opts.after] - id of the stage to run after (default: last)
+ */
+export function registerRiskStage(stage, { after } = {}) {
+  const existing = registry.findIndex((s) => s.id === stage.id);
+  if (existing >= 0) {
+    registry[existing] = stage;
+    return;
+  }
+  const at = after ? registry.findIndex((s) => s.id === after) : -1;
+  registry.splice(at >= 0 ? at + 1 : registry.length, 0, stage);
+}
+
+/** The registered stages, in run order. */
+export function getRiskStages() {
+  return registry.slice();
+}
+
+/** A stage's param defaults for one strategy. */
+export function stageDefaults(stage, strategyKey) {
+  const params = {};
+  for (const [key, spec] of Object.entries(stage.params || {})) {
+    if (!spec.strategies || spec.strategies.includes(strategyKey)) params[key] = spec.default;
+  }
+  return params;
+}
+
+/**
+ * The pipeline for one strategy: every stage with its enabled
+ * flag and params, defaults overlaid with the saved config.
+ * @param {Object} [config] - store.riskPipelineConfig
+ * @param {string} strategyKey
+ * @returns {{ stage: Object, enabled: boolean, params: Object }[]}
+ */
+export function resolveRiskStages(config, strategyKey) {
+  const saved = config?.[strategyKey] || {};
+  return registry.map((stage) => {
+    const { enabled = true, ...overrides } = saved[stage.id] || {};
+    const params = stageDefaults(stage, strategyKey);
+    for (const key of Object.keys(params)) {
+      if (Number.isFinite(overrides[key])) params[key] = overrides[key];
+    }
+    return { stage, enabled: stage.required || enabled !== false, params };
+  });
+}
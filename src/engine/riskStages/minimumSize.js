@@ -0,0 +1,23 @@
+/* ============================================================
+   Risk Stage — Minimum Size
+   ============================================================
+   Raises small entries to a floor, so fees stay a sane share
+   of the trade. Later stages that shrink an entry block it
+   instead of going under this floor.
+   ============================================================ */
+
+export const minimumSize = {
+  id: 'minimumSize',
+  label: 'Minimum size',
+  description: 'Raise entries to a minimum notional (lower in paper, where fees are simulated).',
+  params: {
+    paperMinUSD: { label: 'Paper min $', default: 10, step: 5 },
+    liveMinUSD: { label: 'Live min $', default: 50, step: 5 },
+  },
+  run(ctx, { paperMinUSD, liveMinUSD }) {
+    const minUSD = ctx.state.tradingMode === 'paper' ? paperMinUSD : liveMinUSD;
+    ctx.minPositionUSD = minUSD;
+    if (ctx.positionSize >= minUSD) return undefined;
+    return { size: minUSD, detail: `raised to the $${minUSD} minimum` };
+  },
+};
@@ -0,0 +1,17 @@
+/* ============================================================
+   Risk Stage — Pair Exclusion
+   ============================================================
+   One open position per pair across HYDRA and VIPER.
+   ============================================================ */
+
+export const pairExclusion = {
+  id: 'pairExclusion',
+  label: 'Pair exclusion',
+  description: 'Block entries on a pair that already has an open position.',
+  params: {},
+  run(ctx) {
+    const existing = (ctx.state.positions || []).find((p) => p.pair === ctx.pair && p.status !== 'closed');
+    if (!existing) return undefined;
+    return { block: `Already have open ${existing.strategy?.toUpperCase()} position on ${ctx.pair}` };
+  },
+};
@@ -0,0 +1,20 @@
+/* ============================================================
+   Risk Stage — Rate Limit
+   ============================================================
+   Spaces live engine orders out. Wall-clock based, since it
+   protects the exchange API rather than the strategy.
+   ============================================================ */
+
+export const rateLimit = {
+  id: 'rateLimit',
+  label: 'Rate limit',
+  description: 'Live: minimum time between engine orders.',
+  params: {
+    cooldownSec: { label: 'Cooldown (s)', default: 5, step: 1 },
+  },
+  run(ctx, { cooldownSec }) {
+    if (ctx.state.tradingMode !== 'live') return undefined;
+    const remainingMs = cooldownSec * 1000 - (Date.now() - ctx.lastOrderTimestamp);
+    return remainingMs > 0 ? { block: `${Math.ceil(remainingMs / 1000)}s cooldown` } : undefined;
+  },
+};
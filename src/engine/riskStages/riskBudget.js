@@ -0,0 +1,37 @@
+/* ============================================================
+   Risk Stage — Portfolio Risk Budget
+   ============================================================
+   Holds the entry to the total risk budget, per-asset cap
+   and VaR limit (riskSettings), scaling it down to fit when
+   allowed. The entry's risk is entry-to-stop × size, with the
+   default stop % when the signal has no stop.
+   ============================================================ */
+
+import { portfolioRiskFromState, checkRiskBudget } from '../../utils/portfolioRisk.js';
+
+export const riskBudget = {
+  id: 'riskBudget',
+  label: 'Risk budget',
+  description: 'Scale or block entries over the portfolio risk budget (limits in Risk Defaults).',
+  params: {},
+  run(ctx) {
+    const { signal, state, currentPrice, isShort } = ctx;
+    const riskSettings = state.riskSettings || {};
+    const stopPct = riskSettings.stopLossPct ?? 2;
+    const stopLoss = signal.stopLoss ?? currentPrice * (isShort ? 1 + stopPct / 100 : 1 - stopPct / 100);
+
+    const budget = checkRiskBudget(portfolioRiskFromState(state), {
+      pair: ctx.pair,
+      risk: Math.abs(currentPrice - stopLoss) * ctx.baseSize,
+      notional: ctx.positionSize,
+    }, riskSettings);
+    if (!budget.allowed) return { block: budget.reason };
+    if (budget.scale >= 1) return undefined;
+
+    const size = ctx.positionSize * budget.scale;
+    if (ctx.minPositionUSD && size < ctx.minPositionUSD) {
+      return { block: `${budget.reason} Size $${size.toFixed(2)} is below the $${ctx.minPositionUSD} minimum.` };
+    }
+    return { size, detail: budget.reason };
+  },
+};
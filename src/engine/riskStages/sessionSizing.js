@@ -0,0 +1,27 @@
+/* ============================================================
+   Risk Stage — Session Sizing
+   ============================================================
+   Scales entries down during the low-liquidity UTC hours.
+   ============================================================ */
+
+import { getUTCHour } from '../../utils/clock.js';
+
+export const sessionSizing = {
+  id: 'session',
+  label: 'Session sizing',
+  description: 'Scale entries during low-liquidity UTC hours.',
+  params: {
+    startHourUTC: { label: 'From hour (UTC)', default: 4, step: 1 },
+    endHourUTC: { label: 'Until hour (UTC)', default: 12, step: 1 },
+    sizeFactor: { label: 'Size factor', default: 0.5, step: 0.05 },
+  },
+  run(ctx, { startHourUTC, endHourUTC, sizeFactor }) {
+    const hour = getUTCHour(ctx.now);
+    // A window like 22 → 4 wraps past midnight
+    const inWindow = startHourUTC <= endHourUTC
+      ? hour >= startHourUTC && hour < endHourUTC
+      : hour >= startHourUTC || hour < endHourUTC;
+    if (!inWindow || sizeFactor === 1) return undefined;
+    return { size: ctx.positionSize * sizeFactor, detail: `low-liquidity hours, ${hour}:00 UTC` };
+  },
+};
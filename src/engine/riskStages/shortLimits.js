@@ -0,0 +1,21 @@
+/* ============================================================
+   Risk Stage — Short Limits
+   ============================================================
+   Shorts must be enabled and stay within their own position
+   and exposure limits (riskSettings), separate from the long
+   book. Longs pass.
+   ============================================================ */
+
+import { checkShortLimits } from '../../utils/riskManager.js';
+
+export const shortLimits = {
+  id: 'shortLimits',
+  label: 'Short limits',
+  description: 'Apply the short position and exposure limits from Risk Defaults.',
+  params: {},
+  run(ctx) {
+    if (!ctx.isShort) return undefined;
+    const errors = checkShortLimits({ notionalValue: ctx.positionSize }, ctx.state);
+    return errors.length > 0 ? { block: errors.join(' ') } : undefined;
+  },
+};
@@ -0,0 +1,52 @@
+/* ============================================================
+   Risk Stage — Allocation-Aware Sizing
+   ============================================================
+   Sets the entry's size from the strategy's own sizing.
+   VIPER's is scaled by the ratchet multiplier and capped at a
+   share of its capital allocation. Always on — every later
+   stage works from this size.
+   ============================================================ */
+
+import { getSizingMultiplier } from '../../strategies/viper/ratchet.js';
+import { calculateAllocation } from '../../utils/allocationManager.js';
+
+export const sizing = {
+  id: 'sizing',
+  label: 'Sizing',
+  description: 'Size from the strategy signal; VIPER applies its ratchet and allocation cap.',
+  required: true,
+  params: {
+    maxTradePctOfAllocation: { label: 'Max trade % of VIPER capital', default: 15, step: 1, strategies: ['viper'] },
+  },
+  run(ctx, { maxTradePctOfAllocation }) {
+    const { signal, state } = ctx;
+    let size;
+    let detail;
+
+    if (ctx.strategyKey === 'viper') {
+      // VIPER manages its own sizing per-mode
+      const ratchetLevel = state.viperRatchetLevel || 'NORMAL';
+      size = (signal.positionSizeUSD || 0) * getSizingMultiplier(ratchetLevel);
+
+      const allocation = calculateAllocation({
+        totalPortfolio: ctx.portfolioValue,
+        splitConfig: state.allocationConfig,
+        viperThreatLevel: state.viperReplacementThreat,
+        hydraActive: true,
+        viperActive: state.viperEnabled,
+      });
+      const cap = allocation.viperCapital * (maxTradePctOfAllocation / 100);
+      detail = `ratchet ${ratchetLevel}`;
+      if (size > cap) {
+        size = cap;
+        detail += `, capped at ${maxTradePctOfAllocation}% of VIPER capital`;
+      }
+    } else {
+      size = signal.sizing?.positionUSD || 0;
+      detail = 'HYDRA ATR sizing';
+    }
+
+    if (!(size > 0)) return { block: 'Position size is zero' };
+    return { size, detail };
+  },
+};
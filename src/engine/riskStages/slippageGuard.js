@@ -0,0 +1,31 @@
+/* ============================================================
+   Risk Stage — Slippage Guard
+   ============================================================
+   Walks the side of the book the entry fills against (asks
+   for a long, bids for a short) and blocks when the expected
+   slippage is too high or the book is too thin. Skipped
+   without at least three levels of depth.
+   ============================================================ */
+
+import { estimateSlippage } from '../../utils/slippageEstimator.js';
+
+export const slippageGuard = {
+  id: 'slippage',
+  label: 'Slippage guard',
+  description: 'Block entries whose estimated slippage from book depth is over the limit.',
+  params: {
+    maxSlippagePct: { label: 'Max slippage %', default: 0.30, step: 0.05 },
+  },
+  run(ctx, { maxSlippagePct }) {
+    const { orderBook } = ctx.state;
+    const bookSide = ctx.isShort ? orderBook?.bids : orderBook?.asks;
+    if (!bookSide || bookSide.length <= 2) return { detail: 'No book depth' };
+
+    const result = estimateSlippage(bookSide, ctx.baseSize, ctx.isShort ? 'sell' : 'buy');
+    if (!Number.isFinite(result.slippagePct)) return { block: result.reason };
+    if (result.slippagePct > maxSlippagePct) {
+      return { block: `Estimated slippage ${result.slippagePct.toFixed(3)}% exceeds ${maxSlippagePct}%` };
+    }
+    return { detail: `${result.slippagePct.toFixed(3)}%` };
+  },
+};
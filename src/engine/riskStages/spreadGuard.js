@@ -0,0 +1,29 @@
+/* ============================================================
+   Risk Stage — Spread Guard
+   ============================================================
+   Blocks entries while the bid-ask spread is too wide to
+   trade into. Skipped when there is no order book.
+   ============================================================ */
+
+import { evaluateSpread } from '../../utils/spreadMonitor.js';
+
+export const spreadGuard = {
+  id: 'spread',
+  label: 'Spread guard',
+  description: 'Block entries while the spread is at or above the limit.',
+  params: {
+    maxSpreadPct: { label: 'Max spread %', default: 0.15, step: 0.01 },
+  },
+  run(ctx, { maxSpreadPct }) {
+    const { orderBook } = ctx.state;
+    const bestBid = orderBook?.bids?.[0]?.[0];
+    const bestAsk = orderBook?.asks?.[0]?.[0];
+    if (!bestBid || !bestAsk) return { detail: 'No order book' };
+
+    const spread = evaluateSpread(parseFloat(bestBid), parseFloat(bestAsk));
+    if (spread.spreadPct >= maxSpreadPct) {
+      return { block: `Wide spread (${spread.spreadPct.toFixed(4)}%) — limit ${maxSpreadPct}%` };
+    }
+    return { detail: `${spread.spreadPct.toFixed(4)}%` };
+  },
+};
@@ -0,0 +1,37 @@
+/* ============================================================
+   Cerebro Crypto — Engine Snapshot
+   ============================================================
+   The store fields the strategy engine writes, which the
+   server engine streams to the browser and engineClient
+   applies to useStore while the engine is server-hosted.
+   ============================================================ */
+
+export const ENGINE_STATE_KEYS = [
+  'botRunning',
+  'engineStatus',
+  'lastEngineEval',
+  'engineLog',
+  'riskDecisions',
+  'signals',
+  'strategySignals',
+  'hydraActivity',
+  'hydraScore',
+  'hydraDimensions',
+  'hydraEntryThreshold',
+  'hydraDailyPnL',
+  'scannerHydraScores',
+  'scannerViperModes',
+  'viperActivity',
+  'viperActiveMode',
+  'viperModeScores',
+  'viperRatchetLevel',
+  'viperDailyPnL',
+  'scalpSession',
+];
+
+/** The engine's share of a store state. */
+export function pickEngineState(state) {
+  const picked = {};
+  for (const key of ENGINE_STATE_KEYS) picked[key] = state[key];
+  return picked;
+}
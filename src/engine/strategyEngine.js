@@ -0,0 +1,1309 @@
+/* ============================================================
+   Cerebro Crypto — Strategy Engine
+   ============================================================
+   The HYDRA / VIPER decision loop, independent of React.
+   HYDRA uses candle-close driven evaluation with 5-dimensional
+   scoring. VIPER runs 3 competing modes (STRIKE/COIL/LUNGE)
+   with edge detection every 15 minutes.
+
+   The engine drives a zustand store — the browser's useStore,
+   or the server's copy of it — through the same actions, so
+   useStrategyEngine and the proxy's headless engine run one
+   implementation.
+   ============================================================ */
+
+import { hydra } from '../strategies/hydra/index.js';
+import { viper } from '../strategies/viper/index.js';
+import { detectEdge } from '../strategies/viper/edgeDetector.js';
+import { evaluateRatchet, getAllowedModes } from '../strategies/viper/ratchet.js';
+import { evaluateStatus, recordDay, saveLedger } from '../strategies/viper/performanceLedger.js';
+import { calculateAllocation } from '../utils/allocationManager.js';
+import { recalibrateThreshold, saveThreshold } from '../strategies/hydra/selfCalibration.js';
+import { updateSessionProfile } from '../strategies/hydra/sessionProfiles.js';
+import { createCircuitBreaker, canTrade, recordTrade } from '../utils/scalpCircuitBreaker.js';
+import { systemClock, getUTCHour, getUTCDay, nextUTCHour } from '../utils/clock.js';
+import { runRiskPipeline } from './riskPipeline.js';
+
+// Fallback evaluation interval (ms)
+const EVAL_INTERVAL_MS = 2000;
+// VIPER edge detector interval (ms) - default 15 min
+const EDGE_DETECTOR_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Create a strategy engine bound to a store.
+ *
+ * @param {Object} opts
+ * @param {Object}   opts.store            - zustand store (getState / setState / subscribe)
+ * @param {Function} opts.submitOrder      - (orderData) => Promise<{ success, orderId?, errors? }>
+ * @param {Function} [opts.closePosition]  - (position, reason) => Promise; without it exit
+ *                                           signals are only logged
+ * @param {Function} [opts.saveSignal]     - (signal) => Promise, persists signal records
+ * @param {Object}   [opts.clock=systemClock] - time source for decision logic
+ * @returns {{ bind: Function, start: Function, stop: Function, setClock: Function,
+ *             handlePositionClosed: Function, isRunning: Function }}
+ */
+export function createStrategyEngine({
+  store,
+  submitOrder,
+  closePosition = null,
+  saveSignal = async () => {},
+  clock = systemClock,
+}) {
+  // Engine internal state (kept out of the store — avoids re-renders)
+  const eng = {
+    clock,               // Time source for decision logic (swap for a replay clock)
+    circuitBreaker: null,
+    lastOrderTimestamp: 0,
+    lastEvalCandleTs: null,
+    unsubscribe: null,
+    intervalId: null,
+    running: false,
+    started: false,
+    completedTrades: [], // For self-calibration
+    pairTrades: {},      // Per-pair trade history for session learning
+    // Scanner: per-pair candle deduplication timestamps
+    pairLastEvalTs: {},  // { 'BTC-USD': 1234567890 }
+    // VIPER-specific state
+    viperModeTimerId: null,
+    viperCompletedTrades: [],
+    dailyResetTimerId: null,
+    overnightCutoffTimerId: null,
+    viperStrikeState: {
+      consecutiveWins: 0,
+      lastTradeTs: 0,
+      skipNext: false,
+    },
+  };
+  // Positions with an exit order in flight
+  const exiting = new Set();
+
+  // =========================================================================
+  //  Log helpers
+  // =========================================================================
+  function log(type, message, data = {}) {
+    store.getState().addEngineLog({ type, message, ...data });
+  }
+
+  function logActivity(message, data = {}) {
+    store.getState().addHydraActivity({ message, ...data });
+  }
+
+  function logViperActivity(message, data = {}) {
+    store.getState().addViperActivity({ message, ...data });
+  }
+
+  // =========================================================================
+  //  Risk Pipeline — allocation-aware: strategyKey determines capital pool
+  // =========================================================================
+  function checkRisk(signal, state, strategyKey = 'hydra') {
+    const result = runRiskPipeline(signal, state, {
+      strategyKey,
+      now: eng.clock.now(),
+      lastOrderTimestamp: eng.lastOrderTimestamp,
+    });
+
+    // Record the outcome with the stage that blocked or resized the entry
+    const resizedBy = result.decisions.filter((d) => d.action === 'resize').map((d) => d.stage);
+    store.getState().addRiskDecision({
+      strategy: strategyKey,
+      pair: signal.pair || state.activePair,
+      direction: signal.direction === 'short' ? 'short' : 'long',
+      outcome: result.blocked ? 'blocked' : resizedBy.length > 0 ? 'resized' : 'passed',
+      stage: result.blocked ? result.stage : resizedBy[resizedBy.length - 1] || null,
+      resizedBy,
+      reason: result.blocked ? result.reason : null,
+      positionSize: result.blocked ? null : result.positionSize,
+      decisions: result.decisions,
+    });
+    return result;
+  }
+
+  // =========================================================================
+  //  Act on an exit signal (when this engine owns order routing)
+  // =========================================================================
+  function exitPosition(position, reason) {
+    if (!closePosition || exiting.has(position.id)) return;
+    exiting.add(position.id);
+    closePosition(position, reason)
+      .catch((err) => log('ERROR', `Exit failed on ${position.pair}: ${err.message}`, { pair: position.pair }))
+      .finally(() => exiting.delete(position.id));
+  }
+
+  // =========================================================================
+  //  Execute an order
+  // =========================================================================
+  async function executeOrder(signal, riskResult, state) {
+    const pair = signal.pair || state.activePair;
+    const direction = signal.direction === 'short' ? 'short' : 'long';
+    const side = direction === 'short' ? 'SELL' : 'BUY';
+
+    const orderData = {
+      pair,
+      side,
+      direction,
+      orderType: 'market',
+      baseSize: riskResult.baseSize,
+      quoteSize: riskResult.positionSize,
+      strategy: 'hydra',
+      notionalValue: riskResult.positionSize,
+      // HYDRA-specific metadata on the position
+      hydraScore: signal.hydraScore?.totalScore,
+      d1Score: signal.d1Score,
+      d2Score: signal.d2Score,
+      d3Score: signal.d3Score,
+      d4Score: signal.d4Score,
+      d5Score: signal.d5Score,
+      stopLoss: signal.stopLoss,
+      tp1: signal.tp1,
+      tp2: signal.tp2,
+      trailDistance: signal.trailDistance,
+      tp1ClosePct: signal.tp1ClosePct,
+      tp2ClosePct: signal.tp2ClosePct,
+      sessionHour: signal.sessionHour,
+    };
+
+    log('EXECUTE', `HYDRA ${side} ${pair} — $${riskResult.positionSize.toFixed(2)} (score: ${signal.hydraScore?.totalScore})`, {
+      strategy: 'hydra', pair,
+    });
+
+    logActivity(`${pair} scored ${signal.hydraScore?.totalScore}/100 → ENTRY FIRED (size: $${riskResult.positionSize.toFixed(2)})`);
+
+    eng.lastOrderTimestamp = Date.now();
+
+    try {
+      const result = await submitOrder(orderData);
+      if (result.success) {
+        log('EXECUTE', `Order filled: ${result.orderId}`, { orderId: result.orderId });
+
+        saveSignal({
+          strategy: 'hydra',
+          pair,
+          direction,
+          reason: signal.reason,
+          confidence: signal.confidence,
+          hydraScore: signal.hydraScore?.totalScore,
+          executed: true,
+        }).catch(() => {});
+
+        store.getState().addSignalHistory({
+          id: result.orderId,
+          strategy: 'hydra',
+          pair,
+          direction,
+          reason: signal.reason,
+          confidence: signal.confidence,
+          hydraScore: signal.hydraScore?.totalScore,
+          timestamp: Date.now(),
+          executed: true,
+        });
+      } else {
+        log('BLOCKED', `Order rejected: ${(result.errors || []).join('; ')}`, { strategy: 'hydra' });
+      }
+      return result;
+    } catch (err) {
+      log('ERROR', `Order error: ${err.message}`, { strategy: 'hydra' });
+      return { success: false, errors: [err.message] };
+    }
+  }
+
+  // =========================================================================
+  //  VIPER — Execute a VIPER order
+  // =========================================================================
+  async function executeViperOrder(signal, riskResult, state) {
+    const pair = signal.pair || state.activePair;
+
+    const orderData = {
+      pair,
+      side: 'BUY',
+      orderType: 'market',
+      baseSize: riskResult.baseSize,
+      quoteSize: riskResult.positionSize,
+      strategy: 'viper',
+      mode: signal.mode,
+      viperMode: signal.mode,
+      notionalValue: riskResult.positionSize,
+      stopLoss: signal.stopLoss,
+      tp1: signal.tp1,
+      tp2: signal.tp2,
+      trailDistance: signal.trailDistance,
+      tp1ClosePct: signal.tp1ClosePct,
+      tp2ClosePct: signal.tp2ClosePct,
+      rangeSupport: signal.rangeSupport,
+      rangeResistance: signal.rangeResistance,
+      maxHoldMs: signal.maxHoldMs,
+      entryTimestamp: Date.now(),
+    };
+
+    log('EXECUTE', `VIPER/${signal.mode} BUY ${pair} — $${riskResult.positionSize.toFixed(2)}`, {
+      strategy: 'viper', mode: signal.mode, pair,
+    });
+
+    logViperActivity(`${signal.mode} entry on ${pair}: $${riskResult.positionSize.toFixed(2)} — ${signal.reason}`);
+
+    eng.lastOrderTimestamp = Date.now();
+
+    try {
+      const result = await submitOrder(orderData);
+      if (result.success) {
+        log('EXECUTE', `VIPER order filled: ${result.orderId}`, { orderId: result.orderId });
+
+        saveSignal({
+          strategy: 'viper',
+          mode: signal.mode,
+          pair,
+          direction: 'long',
+          reason: signal.reason,
+          confidence: signal.confidence,
+          executed: true,
+        }).catch(() => {});
+
+        store.getState().addSignalHistory({
+          id: result.orderId,
+          strategy: 'viper',
+          mode: signal.mode,
+          pair,
+          direction: 'long',
+          reason: signal.reason,
+          confidence: signal.confidence,
+          timestamp: Date.now(),
+          executed: true,
+        });
+      } else {
+        log('BLOCKED', `VIPER order rejected: ${(result.errors || []).join('; ')}`, { strategy: 'viper' });
+      }
+      return result;
+    } catch (err) {
+      log('ERROR', `VIPER order error: ${err.message}`, { strategy: 'viper' });
+      return { success: false, errors: [err.message] };
+    }
+  }
+
+  // =========================================================================
+  //  Scanner: Evaluate HYDRA on a single pair (parameterized)
+  // =========================================================================
+  function evaluatePairHydra(pair, { candles, indicators, orderBook, tradeFlow, regime, skipEntry, sideCapped = {} }, state) {
+    if (!candles || candles.length < 30) {
+      if (pair === state.activePair) {
+        logActivity(`${pair} — waiting for candle data (have ${candles?.length || 0}, need 30)`);
+      }
+      return;
+    }
+
+    const lastIdx = candles.length - 1;
+    const lastCandle = candles[lastIdx];
+    const candleTs = lastCandle.timestamp;
+    const isActivePair = pair === state.activePair;
+
+    // Per-pair candle deduplication — skip entries if same candle already evaluated,
+    // but still compute score for active pair so UI always shows current values
+    const alreadyEvaluated = eng.pairLastEvalTs[pair] === candleTs;
+    if (alreadyEvaluated && !isActivePair) return;
+    eng.pairLastEvalTs[pair] = candleTs;
+
+    // Regime gating: HYDRA skips bearish pairs unless it may short them
+    // (but still shows score for active pair)
+    const allowShort = !!state.riskSettings?.allowShorts;
+    if (regime === 'bearish' && !isActivePair && !allowShort) return;
+
+    const hydraSettings = state.hydraSettings || {};
+
+    // ---- Check exits on open HYDRA positions for this pair ----
+    const hydraPositions = (state.positions || []).filter(
+      (p) => p.strategy === 'hydra' && p.status !== 'closed' && p.pair === pair
+    );
+
+    for (const position of hydraPositions) {
+      try {
+        const exitSignal = hydra.checkExit(position, candles, indicators, lastIdx, {
+          tradeFlow,
+          exitThreshold: hydraSettings.exitScoreThreshold || 40,
+          now: eng.clock.now(),
+        });
+
+        if (exitSignal && exitSignal.exit) {
+          log('SIGNAL', `HYDRA exit: ${exitSignal.reason}`, { strategy: 'hydra', pair });
+          logActivity(`${pair} position closed (${exitSignal.exitType}) — ${exitSignal.reason}`);
+          exitPosition(position, `HYDRA ${exitSignal.exitType || 'exit'}: ${exitSignal.reason}`);
+        }
+      } catch (err) {
+        log('ERROR', `HYDRA checkExit error on ${pair}: ${err.message}`);
+      }
+    }
+
+    // ---- HYDRA daily loss limit ----
+    const portfolioValue = state.tradingMode === 'paper'
+      ? state.paperPortfolio.balance
+      : state.portfolio.totalValue || state.portfolio.availableCash || 0;
+    const hydraDailyPnLPct = portfolioValue > 0 ? (state.hydraDailyPnL / portfolioValue) * 100 : 0;
+    if (hydraDailyPnLPct <= (state.hydraDailyLossLimit || -1.5)) {
+      if (isActivePair) {
+        logActivity(`HYDRA daily loss limit reached (${hydraDailyPnLPct.toFixed(2)}%) — entries paused`);
+      }
+      return;
+    }
+
+    // ---- Check for new HYDRA entry ----
+    // Scanner pairs use higher threshold (70) vs active pair (65 min)
+    // Session-aware: increase threshold by +5 during low-liquidity hours (04-12 UTC)
+    const baseThreshold = state.hydraEntryThreshold;
+    const hourUTC = getUTCHour(eng.clock.now());
+    const isLowLiqHours = hourUTC >= 4 && hourUTC < 12;
+    const scannerBonus = isActivePair ? 0 : Math.max(0, 70 - baseThreshold);
+    const sessionBonus = isLowLiqHours ? 5 : 0;
+    const currentThreshold = baseThreshold + scannerBonus + sessionBonus;
+
+    try {
+      const entrySignal = hydra.checkEntry(candles, indicators, orderBook, lastIdx, {
+        tradeFlow,
+        pair,
+        settings: hydraSettings,
+        regime,
+        entryThreshold: currentThreshold,
+        portfolioValue,
+        now: eng.clock.now(),
+        allowShort,
+      });
+
+      // Per-pair scores feed expression alerts; the display is active-pair only
+      if (entrySignal?.hydraScore) {
+        store.getState().setScannerHydraScore(pair, entrySignal.hydraScore);
+      }
+      if (isActivePair && entrySignal?.hydraScore) {
+        store.getState().setHydraScore(entrySignal.hydraScore);
+        store.getState().setHydraDimensions({
+          d1: entrySignal.hydraScore.d1,
+          d2: entrySignal.hydraScore.d2,
+          d3: entrySignal.hydraScore.d3,
+          d4: entrySignal.hydraScore.d4,
+          d5: entrySignal.hydraScore.d5,
+        });
+      }
+
+      // Block new entries if already evaluated this candle, in bearish regime (unless shorting),
+      // at position cap, or at the correlation cap for the signal's side
+      // (score display above still runs for active pair)
+      if (alreadyEvaluated || (regime === 'bearish' && !allowShort) || skipEntry) return;
+
+      if (entrySignal && entrySignal.entry) {
+        const isShort = entrySignal.direction === 'short';
+        if (sideCapped[entrySignal.direction]) return;
+
+        // Signal expiry check
+        const expiryMs = (hydraSettings.signalExpirySec || 20) * 1000;
+        if (eng.clock.now() - entrySignal.signalTimestamp > expiryMs) {
+          log('SKIP', `Signal expired on ${pair}`);
+          return;
+        }
+
+        // Multi-TF confirmation: 5m trend agreement (soft filter — warns but only blocks scanner pairs)
+        const ind5m = state.scannerIndicators?.[pair] || {};
+        const ema9_5m = ind5m['FIVE_MINUTE_ema9'];
+        const ema21_5m = ind5m['FIVE_MINUTE_ema21'];
+        let trend5mAgainst = false;
+        if (ema9_5m && ema21_5m) {
+          const last5m9 = ema9_5m[ema9_5m.length - 1];
+          const last5m21 = ema21_5m[ema21_5m.length - 1];
+          if (last5m9 != null && last5m21 != null && (isShort ? last5m9 > last5m21 : last5m9 < last5m21)) {
+            trend5mAgainst = true;
+            // Only hard-block scanner pairs; active pair gets a warning but still trades
+            if (!isActivePair) {
+              log('BLOCKED', `${pair}: 5m trend disagreement (EMA9 ${isShort ? '>' : '<'} EMA21)`, { strategy: 'hydra' });
+              logActivity(`[SCAN] ${pair} scored ${entrySignal.hydraScore?.totalScore}/100 → BLOCKED: 5m trend disagreement`);
+              return;
+            }
+            logActivity(`${pair} scored ${entrySignal.hydraScore?.totalScore}/100 — 5m trend ${isShort ? 'bullish' : 'bearish'} (proceeding with caution)`);
+          }
+        }
+
+        store.getState().setStrategySignal('hydra', {
+          ...entrySignal,
+          timestamp: Date.now(),
+          pair,
+        });
+
+        store.getState().addSignal({
+          id: `sig-${Date.now()}-hydra-${pair}`,
+          strategy: 'hydra',
+          pair,
+          type: isShort ? 'sell' : 'buy',
+          reason: entrySignal.reason,
+          confidence: entrySignal.confidence,
+          hydraScore: entrySignal.hydraScore?.totalScore,
+          timestamp: Date.now(),
+        });
+
+        log('SIGNAL', `HYDRA score ${entrySignal.hydraScore?.totalScore}/100 on ${pair} — ${isShort ? 'short ' : ''}entry signal`, {
+          strategy: 'hydra', confidence: entrySignal.confidence,
+        });
+
+        // Assign pair to signal for execution
+        entrySignal.pair = pair;
+
+        // Run risk pipeline
+        const riskResult = checkRisk(entrySignal, state);
+
+        if (riskResult.blocked) {
+          log('BLOCKED', riskResult.reason, { strategy: 'hydra', stage: riskResult.stage });
+          logActivity(`${pair} scored ${entrySignal.hydraScore?.totalScore}/100 → BLOCKED: ${riskResult.reason}`);
+
+          saveSignal({
+            strategy: 'hydra', pair, direction: entrySignal.direction,
+            reason: entrySignal.reason, confidence: entrySignal.confidence,
+            hydraScore: entrySignal.hydraScore?.totalScore,
+            executed: false, blockedReason: riskResult.reason, blockedStage: riskResult.stage,
+          }).catch(() => {});
+          return 'blocked';
+        }
+
+        // Execute
+        executeOrder(entrySignal, riskResult, state);
+        return 'executed';
+      } else if (entrySignal?.hydraScore) {
+        const hs = entrySignal.hydraScore;
+        const score = hs.totalScore;
+        if (score != null) {
+          const breakdown = `D1=${hs.d1?.score||0} D2=${hs.d2?.score||0} D3=${hs.d3?.score||0} D4=${hs.d4?.score||0} D5=${hs.d5?.score||0}`;
+          const blocked = hs.spreadBlocked ? ' [SPREAD BLOCKED]' : '';
+          const pairLabel = isActivePair ? pair : `[SCAN] ${pair}`;
+          logActivity(`${pairLabel} scored ${score}/100 (${breakdown})${blocked} — ${entrySignal.reason || 'Below threshold'}`);
+        }
+      }
+    } catch (err) {
+      log('ERROR', `HYDRA checkEntry error on ${pair}: ${err.message}`);
+    }
+    return null;
+  }
+
+  // =========================================================================
+  //  Scanner: Evaluate VIPER on a single pair (parameterized)
+  // =========================================================================
+  function evaluatePairViper(pair, { candles1m, candles5m, candles15m, indicators1m, indicators5m, indicators15m, orderBook, tradeFlow, viperMode }, state) {
+    if (!viperMode) return null;
+
+    const isActivePair = pair === state.activePair;
+    const currentPrice = state.tickers?.[pair]?.price;
+
+    // Count open VIPER positions by mode
+    const viperPositions = (state.positions || []).filter(
+      (p) => p.strategy === 'viper' && p.status !== 'closed'
+    );
+    const openStrikePositions = viperPositions.filter(p => (p.viperMode === 'STRIKE' || p.mode === 'STRIKE')).length;
+    const openCoilPositions = viperPositions.filter(p => (p.viperMode === 'COIL' || p.mode === 'COIL')).length;
+    const openLungePositions = viperPositions.filter(p => (p.viperMode === 'LUNGE' || p.mode === 'LUNGE')).length;
+
+    // Calculate allocated capital
+    const portfolioValue = state.tradingMode === 'paper'
+      ? state.paperPortfolio.balance
+      : state.portfolio.totalValue || state.portfolio.availableCash || 0;
+
+    const allocation = calculateAllocation({
+      totalPortfolio: portfolioValue,
+      splitConfig: state.allocationConfig,
+      viperThreatLevel: state.viperReplacementThreat,
+      hydraActive: true,
+      viperActive: true,
+    });
+
+    // ---- Check exits on open VIPER positions for this pair ----
+    const pairViperPositions = viperPositions.filter((p) => p.pair === pair);
+    for (const position of pairViperPositions) {
+      try {
+        const exitSignal = viper.checkExit(position, null, null, null, {
+          candles1m,
+          candles5m,
+          candles15m,
+          indicators1m,
+          indicators5m,
+          indicators15m,
+          currentPrice: currentPrice || position.entryPrice,
+          now: eng.clock.now(),
+        });
+
+        if (exitSignal && exitSignal.exit) {
+          log('SIGNAL', `VIPER/${position.viperMode || position.mode} exit on ${pair}: ${exitSignal.reason}`, {
+            strategy: 'viper', pair,
+          });
+          logViperActivity(`${position.viperMode || position.mode} exit on ${pair}: ${exitSignal.reason}`);
+          exitPosition(position, `VIPER exit: ${exitSignal.reason}`);
+        }
+      } catch (err) {
+        log('ERROR', `VIPER checkExit error on ${pair}: ${err.message}`);
+      }
+    }
+
+    // ---- Check for STRIKE max hold time on this pair ----
+    for (const position of pairViperPositions) {
+      if ((position.viperMode === 'STRIKE' || position.mode === 'STRIKE') && position.maxHoldMs) {
+        const now = eng.clock.now();
+        const holdTime = now - (position.entryTimestamp || position.openedAt || now);
+        if (holdTime >= position.maxHoldMs) {
+          log('SIGNAL', `VIPER/STRIKE timeout: ${pair} held for ${Math.round(holdTime / 1000)}s`, { strategy: 'viper', pair });
+          logViperActivity(`STRIKE timeout on ${pair} after ${Math.round(holdTime / 1000)}s`);
+          exitPosition(position, 'STRIKE max hold');
+        }
+      }
+    }
+
+    // ---- Max hold enforcement for COIL and LUNGE ----
+    for (const position of pairViperPositions) {
+      const mode = position.viperMode || position.mode;
+      const now = eng.clock.now();
+      const holdTime = now - (position.entryTimestamp || position.openedAt || now);
+      const maxHolds = { COIL: 30 * 60 * 1000, LUNGE: 2 * 60 * 60 * 1000 };
+      if (maxHolds[mode] && holdTime >= maxHolds[mode]) {
+        log('SIGNAL', `VIPER/${mode} max hold exceeded on ${pair}: ${Math.round(holdTime / 60000)}min`, { strategy: 'viper', pair });
+        logViperActivity(`${mode} max hold exceeded on ${pair} (${Math.round(holdTime / 60000)}min)`);
+        exitPosition(position, `${mode} max hold`);
+      }
+    }
+
+    // ---- HYDRA max hold enforcement (45 min) ----
+    const hydraPairPositions = (state.positions || []).filter(
+      (p) => p.strategy === 'hydra' && p.status !== 'closed' && p.pair === pair
+    );
+    for (const position of hydraPairPositions) {
+      const now = eng.clock.now();
+      const holdTime = now - (position.entryTimestamp || position.openedAt || now);
+      if (holdTime >= 45 * 60 * 1000) {
+        log('SIGNAL', `HYDRA max hold exceeded on ${pair}: ${Math.round(holdTime / 60000)}min`, { strategy: 'hydra', pair });
+        logActivity(`${pair} HYDRA max hold exceeded (${Math.round(holdTime / 60000)}min)`);
+        exitPosition(position, 'HYDRA max hold');
+      }
+    }
+
+    // ---- Check for new VIPER entry ----
+    try {
+      const viperState = {
+        activeMode: viperMode,
+        openStrikePositions,
+        openCoilPositions,
+        openLungePositions,
+        strikeLastTradeTs: eng.viperStrikeState.lastTradeTs,
+        strikeConsecutiveWins: eng.viperStrikeState.consecutiveWins,
+        strikeSkipNext: eng.viperStrikeState.skipNext,
+      };
+
+      const entrySignal = viper.checkEntry(null, null, orderBook, null, {
+        viperState,
+        candles1m,
+        candles5m,
+        candles15m,
+        indicators1m,
+        indicators5m,
+        indicators15m,
+        tradeFlow,
+        pair,
+        allocatedCapital: allocation.viperCapital,
+        now: eng.clock.now(),
+      });
+
+      if (entrySignal && entrySignal.entry) {
+        if (eng.clock.now() - entrySignal.signalTimestamp > 10000) {
+          log('SKIP', `VIPER signal expired on ${pair}`);
+          return null;
+        }
+
+        entrySignal.pair = pair;
+
+        store.getState().setStrategySignal('viper', {
+          ...entrySignal,
+          timestamp: Date.now(),
+          pair,
+        });
+
+        store.getState().addSignal({
+          id: `sig-${Date.now()}-viper-${viperMode}-${pair}`,
+          strategy: 'viper',
+          mode: viperMode,
+          pair,
+          type: 'buy',
+          reason: entrySignal.reason,
+          confidence: entrySignal.confidence,
+          timestamp: Date.now(),
+        });
+
+        log('SIGNAL', `VIPER/${viperMode} entry signal on ${pair}`, {
+          strategy: 'viper', mode: viperMode, confidence: entrySignal.confidence,
+        });
+
+        const riskResult = checkRisk(entrySignal, state, 'viper');
+
+        if (riskResult.blocked) {
+          log('BLOCKED', riskResult.reason, { strategy: 'viper', stage: riskResult.stage });
+          logViperActivity(`${viperMode} on ${pair} → BLOCKED: ${riskResult.reason}`);
+
+          saveSignal({
+            strategy: 'viper', mode: viperMode, pair, direction: 'long',
+            reason: entrySignal.reason, confidence: entrySignal.confidence,
+            executed: false, blockedReason: riskResult.reason, blockedStage: riskResult.stage,
+          }).catch(() => {});
+          return 'blocked';
+        }
+
+        executeViperOrder(entrySignal, riskResult, state);
+        return 'executed';
+      }
+    } catch (err) {
+      log('ERROR', `VIPER checkEntry error on ${pair}: ${err.message}`);
+    }
+    return null;
+  }
+
+  // =========================================================================
+  //  Scanner: Evaluate all pairs (HYDRA + VIPER)
+  // =========================================================================
+  function evaluateAllPairs() {
+    const state = store.getState();
+    if (!state.botRunning) return;
+    if (state.wsStatus !== 'connected') {
+      if (eng.running) {
+        store.getState().setEngineStatus('paused');
+        log('SKIP', 'WebSocket disconnected — engine paused');
+        eng.running = false;
+      }
+      return;
+    }
+
+    if (!eng.running) {
+      store.getState().setEngineStatus('running');
+      log('SIGNAL', 'WebSocket reconnected — engine resumed');
+      eng.running = true;
+    }
+
+    // Circuit breaker
+    if (eng.circuitBreaker) {
+      const cbResult = canTrade(eng.circuitBreaker);
+      if (!cbResult.allowed) {
+        store.getState().setEngineStatus('paused');
+        log('BLOCKED', `Circuit breaker: ${cbResult.reason}`);
+        return;
+      }
+    }
+
+    store.setState({ lastEngineEval: Date.now() });
+
+    // Determine pairs to evaluate
+    const scannerEnabled = state.scannerEnabled;
+    const pairs = scannerEnabled ? (state.scannerPairs || []) : [state.activePair];
+
+    // Count open positions for concurrent cap
+    const openPositions = (state.positions || []).filter((p) => p.status !== 'closed');
+    const maxConcurrent = state.maxConcurrentPositions || 3;
+
+    // Count directional positions for correlation cap
+    const longPositions = openPositions.filter((p) => p.direction === 'long' || !p.direction);
+
+    // Process pairs sequentially to avoid balance race conditions
+    for (const pair of pairs) {
+      // Re-read state after each pair that may have opened a position
+      const currentState = store.getState();
+      const currentOpenPositions = (currentState.positions || []).filter((p) => p.status !== 'closed');
+
+      // Max concurrent positions cap (still check exits even when capped)
+      const isAtCap = currentOpenPositions.length >= maxConcurrent;
+
+      // Correlation cap: max 2 positions in same direction
+      const currentLongs = currentOpenPositions.filter((p) => p.direction === 'long' || !p.direction);
+      const currentShorts = currentOpenPositions.filter((p) => p.direction === 'short');
+      const isAtCorrelationCap = currentLongs.length >= 2;
+
+      const isActivePair = pair === currentState.activePair;
+
+      // Gather data for this pair
+      let candles, indicators, orderBook, tradeFlow, regime;
+
+      if (isActivePair) {
+        // Active pair: prefer scanner 1m candles+indicators for consistent evaluation
+        // Fall back to global store only if scanner data hasn't loaded yet
+        candles = currentState.scannerCandles?.[pair]?.['ONE_MINUTE']
+          || currentState.candles['ONE_MINUTE']
+          || currentState.candles[currentState.activeTimeframe];
+        indicators = currentState.scannerIndicators?.[pair] || currentState.indicators;
+        orderBook = currentState.orderBook;
+        tradeFlow = currentState.tradeFlow;
+        regime = currentState.currentRegime;
+      } else {
+        // Scanner pair: use scanner store data
+        candles = currentState.scannerCandles?.[pair]?.['ONE_MINUTE'];
+        indicators = currentState.scannerIndicators?.[pair] || {};
+        orderBook = currentState.scannerOrderBooks?.[pair] || { bids: [], asks: [], spread: 0 };
+        tradeFlow = currentState.scannerTradeFlow?.[pair] || { buyVolume: 0, sellVolume: 0, ratio: 1 };
+        regime = currentState.scannerRegimes?.[pair] || 'choppy';
+      }
+
+      // Liquidity filter: skip pairs with < $5M daily volume
+      const volume24h = currentState.tickers?.[pair]?.volume24h || 0;
+      const price = currentState.tickers?.[pair]?.price || 0;
+      const dailyVolumeUSD = volume24h * price;
+      if (!isActivePair && dailyVolumeUSD > 0 && dailyVolumeUSD < 5000000) {
+        continue; // Skip illiquid pairs
+      }
+
+      // Evaluate HYDRA — always run (for exits + score display), but pass skipEntry flag when at cap;
+      // the correlation cap applies per side, once HYDRA has picked one
+      try {
+        const hydraResult = evaluatePairHydra(pair, {
+          candles, indicators, orderBook, tradeFlow, regime,
+          skipEntry: isAtCap,
+          sideCapped: { long: isAtCorrelationCap, short: currentShorts.length >= 2 },
+        }, currentState);
+        if (hydraResult === 'executed') continue; // Move to next pair after execution
+      } catch (err) {
+        log('ERROR', `evaluatePairHydra error on ${pair}: ${err.message}`);
+      }
+
+      // Evaluate VIPER if enabled
+      if (currentState.viperEnabled) {
+        // Ratchet check: if LOCKED, skip all VIPER entries
+        if (currentState.viperRatchetLevel === 'LOCKED') continue;
+
+        // Get per-pair VIPER mode
+        const viperMode = isActivePair
+          ? currentState.viperActiveMode
+          : (currentState.scannerViperModes?.[pair] || null);
+
+        if (!viperMode) continue;
+
+        // Build multi-TF data for VIPER — use scanner indicators for all pairs (1m/5m/15m namespaced)
+        const pairInd = currentState.scannerIndicators?.[pair] || (isActivePair ? currentState.indicators : {});
+
+        // Extract namespaced indicators
+        const ind1m = {};
+        const ind5m = {};
+        const ind15m = {};
+        for (const [key, value] of Object.entries(pairInd)) {
+          if (key.startsWith('ONE_MINUTE_')) ind1m[key.replace('ONE_MINUTE_', '')] = value;
+          else if (key.startsWith('FIVE_MINUTE_')) ind5m[key.replace('FIVE_MINUTE_', '')] = value;
+          else if (key.startsWith('FIFTEEN_MINUTE_')) ind15m[key.replace('FIFTEEN_MINUTE_', '')] = value;
+        }
+
+        const effective1m = Object.keys(ind1m).length > 0 ? ind1m : pairInd;
+        const effective5m = Object.keys(ind5m).length > 0 ? ind5m : pairInd;
+        const effective15m = Object.keys(ind15m).length > 0 ? ind15m : pairInd;
+
+        const candles5m = isActivePair
+          ? currentState.candles['FIVE_MINUTE']
+          : (currentState.scannerCandles?.[pair]?.['FIVE_MINUTE']);
+        const candles15m = isActivePair
+          ? currentState.candles['FIFTEEN_MINUTE']
+          : (currentState.scannerCandles?.[pair]?.['FIFTEEN_MINUTE']);
+
+        try {
+          if (!isAtCap && !isAtCorrelationCap) {
+            evaluatePairViper(pair, {
+              candles1m: candles,
+              candles5m,
+              candles15m,
+              indicators1m: effective1m,
+              indicators5m: effective5m,
+              indicators15m: effective15m,
+              orderBook,
+              tradeFlow,
+              viperMode,
+            }, currentState);
+          }
+        } catch (err) {
+          log('ERROR', `evaluatePairViper error on ${pair}: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  // =========================================================================
+  //  Scanner: Per-pair edge detection for VIPER
+  // =========================================================================
+  function runScannerEdgeDetection() {
+    const state = store.getState();
+    if (!state.viperEnabled || !state.botRunning || !state.scannerEnabled) return;
+
+    const pairs = state.scannerPairs || [];
+    for (const pair of pairs) {
+      if (pair === state.activePair) continue; // Active pair uses global edge detector
+
+      const pairInd = state.scannerIndicators?.[pair] || {};
+      const candles5m = state.scannerCandles?.[pair]?.['FIVE_MINUTE'];
+      const candles15m = state.scannerCandles?.[pair]?.['FIFTEEN_MINUTE'];
+
+      const ind5m = {};
+      const ind15m = {};
+      for (const [key, value] of Object.entries(pairInd)) {
+        if (key.startsWith('FIVE_MINUTE_')) ind5m[key.replace('FIVE_MINUTE_', '')] = value;
+        else if (key.startsWith('FIFTEEN_MINUTE_')) ind15m[key.replace('FIFTEEN_MINUTE_', '')] = value;
+      }
+
+      if (Object.keys(ind5m).length === 0 && Object.keys(ind15m).length === 0) continue;
+
+      const pairOrderBook = state.scannerOrderBooks?.[pair] || {};
+      const bestBid = pairOrderBook.bids?.[0]?.[0];
+      const bestAsk = pairOrderBook.asks?.[0]?.[0];
+      const spread = (bestBid && bestAsk)
+        ? (parseFloat(bestAsk) - parseFloat(bestBid)) / parseFloat(bestAsk)
+        : 0.001;
+
+      try {
+        const result = detectEdge({
+          candles5m: candles5m || [],
+          indicators5m: ind5m,
+          candles15m: candles15m || [],
+          indicators15m: ind15m,
+          tradeFlow: state.scannerTradeFlow?.[pair] || { buyVolume: 0, sellVolume: 0, ratio: 1 },
+          spread,
+          now: eng.clock.now(),
+        });
+
+        // Check allowed modes from ratchet
+        const allowedModes = getAllowedModes(state.viperRatchetLevel || 'NORMAL');
+        let winner = result.winner;
+        if (!allowedModes.includes(winner)) {
+          const sorted = Object.entries(result.scores)
+            .filter(([mode]) => allowedModes.includes(mode))
+            .sort((a, b) => b[1] - a[1]);
+          winner = sorted.length > 0 ? sorted[0][0] : null;
+        }
+
+        store.getState().setScannerViperMode(pair, winner);
+      } catch (err) {
+        log('ERROR', `Scanner edge detector error for ${pair}: ${err.message}`);
+      }
+    }
+  }
+
+  // =========================================================================
+  //  VIPER — Edge Detector (selects STRIKE/COIL/LUNGE every 15 min)
+  // =========================================================================
+  function runEdgeDetector() {
+    const state = store.getState();
+    if (!state.viperEnabled || !state.botRunning) return;
+
+    const candles5m = state.candles['FIVE_MINUTE'];
+    const candles15m = state.candles['FIFTEEN_MINUTE'];
+    const indicators = state.indicators;
+
+    // Build per-timeframe indicator objects from namespaced keys
+    const indicators5m = {};
+    const indicators15m = {};
+    for (const [key, value] of Object.entries(indicators)) {
+      if (key.startsWith('FIVE_MINUTE_')) {
+        indicators5m[key.replace('FIVE_MINUTE_', '')] = value;
+      } else if (key.startsWith('FIFTEEN_MINUTE_')) {
+        indicators15m[key.replace('FIFTEEN_MINUTE_', '')] = value;
+      }
+    }
+
+    // If we don't have multi-TF indicators yet, use main indicators as fallback
+    const has5mIndicators = Object.keys(indicators5m).length > 0;
+    const has15mIndicators = Object.keys(indicators15m).length > 0;
+    const effectiveIndicators5m = has5mIndicators ? indicators5m : indicators;
+    const effectiveIndicators15m = has15mIndicators ? indicators15m : indicators;
+
+    if (!has5mIndicators || !has15mIndicators) {
+      log('WARN', `VIPER edge detector: using fallback indicators (5m: ${has5mIndicators ? 'OK' : 'FALLBACK'}, 15m: ${has15mIndicators ? 'OK' : 'FALLBACK'}, 5m candles: ${candles5m?.length || 0}, 15m candles: ${candles15m?.length || 0})`);
+    }
+
+    // Calculate spread
+    const bestBid = state.orderBook?.bids?.[0]?.[0];
+    const bestAsk = state.orderBook?.asks?.[0]?.[0];
+    const spread = (bestBid && bestAsk)
+      ? (parseFloat(bestAsk) - parseFloat(bestBid)) / parseFloat(bestAsk)
+      : 0.001;
+
+    try {
+      const result = detectEdge({
+        candles5m: candles5m || state.candles[state.activeTimeframe],
+        indicators5m: effectiveIndicators5m,
+        candles15m,
+        indicators15m: effectiveIndicators15m,
+        tradeFlow: state.tradeFlow,
+        spread,
+        now: eng.clock.now(),
+      });
+
+      // Check allowed modes from ratchet
+      const allowedModes = getAllowedModes(state.viperRatchetLevel || 'NORMAL');
+      let winner = result.winner;
+
+      if (!allowedModes.includes(winner)) {
+        // Fall back to highest-scoring allowed mode
+        const sorted = Object.entries(result.scores)
+          .filter(([mode]) => allowedModes.includes(mode))
+          .sort((a, b) => b[1] - a[1]);
+
+        if (sorted.length > 0) {
+          winner = sorted[0][0];
+          result.reasons.push(`Ratchet override: ${result.winner} blocked, using ${winner}`);
+        } else {
+          winner = null;
+          result.reasons.push('Ratchet: all modes blocked');
+        }
+      }
+
+      const prevMode = state.viperActiveMode;
+      store.getState().setViperActiveMode(winner);
+      store.getState().setViperModeScores(result.scores);
+
+      if (prevMode !== winner) {
+        const msg = winner
+          ? `Mode switch: ${prevMode || 'none'} → ${winner} (scores: S=${result.scores.STRIKE} C=${result.scores.COIL} L=${result.scores.LUNGE})`
+          : `All modes disabled by ratchet (level: ${state.viperRatchetLevel})`;
+        log('SIGNAL', `VIPER ${msg}`);
+        logViperActivity(msg);
+      }
+    } catch (err) {
+      log('ERROR', `Edge detector error: ${err.message}`);
+    }
+  }
+
+  // =========================================================================
+  //  Handle trade completion — calibration + session learning
+  // =========================================================================
+  function handlePositionClosed(tradeResult) {
+    // Update circuit breaker
+    if (eng.circuitBreaker) {
+      eng.circuitBreaker = recordTrade(
+        eng.circuitBreaker,
+        tradeResult.netPnL || 0,
+        tradeResult.fees || 0
+      );
+
+      store.getState().updateScalpSession({
+        streak: eng.circuitBreaker.consecutiveLosses,
+        wins: eng.circuitBreaker.wins,
+        losses: eng.circuitBreaker.losses,
+        netPnL: eng.circuitBreaker.sessionPnL,
+        fees: eng.circuitBreaker.sessionFees,
+        trades: eng.circuitBreaker.totalTrades,
+        pausedUntil: eng.circuitBreaker.pausedUntil,
+        disabled: eng.circuitBreaker.disabled,
+      });
+    }
+
+    // Update session analytics
+    store.getState().updateSessionAnalytics(tradeResult);
+
+    const isViperTrade = tradeResult.strategy === 'viper';
+
+    if (isViperTrade) {
+      // ---- VIPER-specific trade handling ----
+      const state = store.getState();
+
+      // Update VIPER daily P&L
+      const portfolioValue = state.tradingMode === 'paper'
+        ? state.paperPortfolio.balance
+        : state.portfolio.totalValue || 1;
+      const pnlPct = ((tradeResult.netPnL || 0) / portfolioValue) * 100;
+      store.getState().updateViperDailyPnL(tradeResult.netPnL || 0);
+
+      // Evaluate ratchet transition
+      const updatedState = store.getState();
+      const newRatchetLevel = evaluateRatchet(
+        (updatedState.viperDailyPnL / portfolioValue) * 100,
+        (updatedState.viperDailyHighPnL / portfolioValue) * 100,
+        updatedState.viperRatchetLevel
+      );
+      if (newRatchetLevel !== updatedState.viperRatchetLevel) {
+        store.getState().setViperRatchetLevel(newRatchetLevel);
+        log('SIGNAL', `VIPER ratchet: ${updatedState.viperRatchetLevel} → ${newRatchetLevel}`);
+        logViperActivity(`Ratchet transition: ${updatedState.viperRatchetLevel} → ${newRatchetLevel}`);
+      }
+
+      // Update STRIKE cadence state
+      const isWin = (tradeResult.netPnL || 0) > 0;
+      const mode = tradeResult.mode || tradeResult.viperMode;
+      if (mode === 'STRIKE') {
+        const strikeState = eng.viperStrikeState;
+        strikeState.lastTradeTs = eng.clock.now();
+        if (isWin) {
+          strikeState.consecutiveWins++;
+          strikeState.skipNext = false;
+        } else {
+          strikeState.consecutiveWins = 0;
+          strikeState.skipNext = true;
+        }
+      }
+
+      // Track VIPER trades
+      eng.viperCompletedTrades.unshift(tradeResult);
+      if (eng.viperCompletedTrades.length > 50) {
+        eng.viperCompletedTrades = eng.viperCompletedTrades.slice(0, 50);
+      }
+
+      logViperActivity(`${mode || 'VIPER'} trade closed on ${tradeResult.pair}: ${isWin ? '+' : ''}$${(tradeResult.netPnL || 0).toFixed(2)}`);
+    } else {
+      // ---- HYDRA-specific trade handling ----
+      // Update HYDRA daily P&L
+      store.getState().updateHydraDailyPnL(tradeResult.netPnL || 0);
+
+      // Track for self-calibration
+      eng.completedTrades.unshift(tradeResult);
+      if (eng.completedTrades.length > 50) {
+        eng.completedTrades = eng.completedTrades.slice(0, 50);
+      }
+
+      // Track per-pair for session learning
+      const pair = tradeResult.pair || 'UNKNOWN';
+      if (!eng.pairTrades[pair]) eng.pairTrades[pair] = [];
+      eng.pairTrades[pair].unshift(tradeResult);
+
+      // Self-calibration check every 10 trades
+      const state = store.getState();
+      const hydraSettings = state.hydraSettings || {};
+
+      if (hydraSettings.autoCalibrate !== false && eng.completedTrades.length % 10 === 0) {
+        const result = recalibrateThreshold(
+          eng.completedTrades,
+          state.hydraEntryThreshold,
+          hydraSettings.entryThreshold || 80
+        );
+
+        if (result.changed) {
+          store.getState().setHydraEntryThreshold(result.threshold);
+          saveThreshold(result.threshold);
+          log('SIGNAL', `Threshold auto-adjusted: ${result.reason}`);
+          logActivity(`Threshold auto-adjusted: ${state.hydraEntryThreshold} → ${result.threshold} (${result.reason})`);
+        }
+      }
+
+      // Session learning: after every 20 trades on a pair
+      if (eng.pairTrades[pair]?.length % 20 === 0) {
+        updateSessionProfile(pair, eng.pairTrades[pair]);
+        log('SIGNAL', `Session profile updated for ${pair} (${eng.pairTrades[pair].length} trades)`);
+      }
+    }
+  }
+
+  // =========================================================================
+  //  Start engine
+  // =========================================================================
+  function startEngine() {
+    const state = store.getState();
+
+    if (eng.unsubscribe) eng.unsubscribe();
+    if (eng.intervalId) clearInterval(eng.intervalId);
+
+    // Initialize circuit breaker
+    const startingBalance = state.tradingMode === 'paper'
+      ? state.paperPortfolio.balance
+      : state.portfolio.totalValue || state.portfolio.availableCash || 0;
+    eng.circuitBreaker = createCircuitBreaker(startingBalance);
+    eng.lastEvalCandleTs = null;
+    eng.running = true;
+    eng.started = true;
+
+    // Auto-activate HYDRA strategy
+    const strategies = { hydra: true };
+    if (state.viperEnabled) strategies.viper = true;
+    store.getState().setActiveStrategies(strategies);
+
+    store.getState().setEngineStatus('running');
+    log('SIGNAL', 'Engine started (HYDRA' + (state.viperEnabled ? ' + VIPER' : '') + ')');
+    logActivity('HYDRA engine activated');
+
+    // Subscribe to candle changes — triggers multi-pair evaluation
+    eng.unsubscribe = store.subscribe((newState, prevState) => {
+      if (!newState.botRunning) return;
+      const tf = newState.activeTimeframe;
+      const newCandles = newState.candles[tf];
+      const prevCandles = prevState?.candles?.[tf];
+      if (newCandles && prevCandles && newCandles.length !== prevCandles.length) {
+        evaluateAllPairs();
+      }
+    });
+
+    // Fallback interval — uses multi-pair evaluator
+    eng.intervalId = setInterval(() => {
+      if (!store.getState().botRunning) return;
+      evaluateAllPairs();
+    }, EVAL_INTERVAL_MS);
+
+    // ---- VIPER timers ----
+    if (state.viperEnabled) {
+      logViperActivity('VIPER engine activated');
+
+      // Edge detector: run immediately, then every 15 min (global + per-scanner-pair)
+      runEdgeDetector();
+      runScannerEdgeDetection();
+      eng.viperModeTimerId = setInterval(() => {
+        if (!store.getState().botRunning || !store.getState().viperEnabled) return;
+        runEdgeDetector();
+        runScannerEdgeDetection();
+      }, EDGE_DETECTOR_INTERVAL_MS);
+
+      // VIPER evaluation is handled per pair by evaluateAllPairs() in the main interval
+
+      // Daily reset timer: reset VIPER daily state at midnight UTC
+      const scheduleNextDailyReset = () => {
+        const now = eng.clock.now();
+        const msUntilReset = nextUTCHour(now, 0) - now;
+
+        eng.dailyResetTimerId = setTimeout(() => {
+          const s = store.getState();
+          if (s.viperEnabled) {
+            // Record the day in the ledger before resetting
+            const portfolioVal = s.tradingMode === 'paper' ? s.paperPortfolio.balance : s.portfolio.totalValue || 1;
+            const pnlPct = (s.viperDailyPnL / portfolioVal) * 100;
+            const wins = eng.viperCompletedTrades.filter(t => (t.netPnL || 0) > 0).length;
+            const total = eng.viperCompletedTrades.length;
+
+            const updatedLedger = recordDay(s.viperPerformanceLedger, {
+              date: getUTCDay(eng.clock.now()),
+              pnl: s.viperDailyPnL,
+              pnlPct,
+              trades: s.viperDailyTrades,
+              winRate: total > 0 ? (wins / total) * 100 : 0,
+              dominantMode: s.viperActiveMode || 'STRIKE',
+            });
+            store.getState().setViperPerformanceLedger(updatedLedger);
+            saveLedger(updatedLedger);
+
+            // Evaluate replacement threat
+            const threatResult = evaluateStatus(updatedLedger);
+            store.getState().setViperReplacementThreat(threatResult.status);
+
+            // Reset daily counters
+            store.getState().resetViperDaily();
+            store.getState().resetHydraDailyPnL(); // Also reset HYDRA daily PnL
+            eng.viperCompletedTrades = [];
+            eng.viperStrikeState = { consecutiveWins: 0, lastTradeTs: 0, skipNext: false };
+
+            logViperActivity(`Daily reset — yesterday: $${s.viperDailyPnL.toFixed(2)} (${s.viperDailyTrades} trades), threat: ${threatResult.status}`);
+            log('SIGNAL', `VIPER daily reset. Threat level: ${threatResult.status}`);
+          }
+
+          // Schedule the next reset
+          scheduleNextDailyReset();
+        }, msUntilReset);
+      };
+      scheduleNextDailyReset();
+
+      // Overnight cutoff timer
+      const viperSettings = state.viperSettings || {};
+      const cutoffHour = viperSettings.overnightCutoffHourUTC ?? 5;
+      const scheduleCutoff = () => {
+        const now = eng.clock.now();
+        const msUntilCutoff = nextUTCHour(now, cutoffHour) - now;
+
+        eng.overnightCutoffTimerId = setTimeout(() => {
+          const s = store.getState();
+          if (s.viperEnabled) {
+            logViperActivity(`Overnight cutoff at ${cutoffHour}:00 UTC — VIPER positions should be closed`);
+            log('SIGNAL', 'VIPER overnight cutoff triggered');
+          }
+          scheduleCutoff(); // Next day
+        }, msUntilCutoff);
+      };
+      scheduleCutoff();
+    }
+
+    // Position close tracking (handles both HYDRA and VIPER)
+    const posUnsubscribe = store.subscribe((newState, prevState) => {
+      if (!prevState) return;
+      const prevPositions = prevState.positions || [];
+      const newPositions = newState.positions || [];
+
+      if (prevPositions.length > newPositions.length) {
+        const closedIds = new Set(newPositions.map((p) => p.id));
+        for (const pos of prevPositions) {
+          if (!closedIds.has(pos.id) && (pos.strategy === 'hydra' || pos.strategy === 'viper')) {
+            const currentPrice = newState.tickers?.[pos.pair]?.price || pos.currentPrice || pos.entryPrice;
+            const grossPnL = pos.direction === 'long'
+              ? (currentPrice - pos.entryPrice) * (pos.qty || 0)
+              : (pos.entryPrice - currentPrice) * (pos.qty || 0);
+            const fees = (pos.fees || 0) * 2;
+
+            handlePositionClosed({
+              netPnL: grossPnL - fees,
+              fees,
+              strategy: pos.strategy,
+              mode: pos.viperMode || pos.mode,
+              viperMode: pos.viperMode || pos.mode,
+              pair: pos.pair,
+              pnl: grossPnL - fees,
+              timestamp: Date.now(),
+              sessionHour: pos.sessionHour,
+            });
+
+            if (pos.strategy === 'hydra') {
+              logActivity(`${pos.pair} position closed → ${grossPnL - fees >= 0 ? '+' : ''}$${(grossPnL - fees).toFixed(2)}`);
+            }
+          }
+        }
+      }
+    });
+
+    const originalUnsub = eng.unsubscribe;
+    eng.unsubscribe = () => {
+      originalUnsub();
+      posUnsubscribe();
+    };
+  }
+
+  // =========================================================================
+  //  Stop engine
+  // =========================================================================
+  function stopEngine() {
+    if (eng.unsubscribe) {
+      eng.unsubscribe();
+      eng.unsubscribe = null;
+    }
+    if (eng.intervalId) {
+      clearInterval(eng.intervalId);
+      eng.intervalId = null;
+    }
+
+    // Clean up VIPER timers
+    if (eng.viperModeTimerId) {
+      clearInterval(eng.viperModeTimerId);
+      eng.viperModeTimerId = null;
+    }
+    if (eng.dailyResetTimerId) {
+      clearTimeout(eng.dailyResetTimerId);
+      eng.dailyResetTimerId = null;
+    }
+    if (eng.overnightCutoffTimerId) {
+      clearTimeout(eng.overnightCutoffTimerId);
+      eng.overnightCutoffTimerId = null;
+    }
+
+    eng.running = false;
+    eng.started = false;
+    eng.lastEvalCandleTs = null;
+
+    store.getState().setEngineStatus('idle');
+    log('SIGNAL', 'Engine stopped');
+    logActivity('HYDRA engine deactivated');
+
+    if (store.getState().viperEnabled) {
+      logViperActivity('VIPER engine deactivated');
+    }
+  }
+
+  // =========================================================================
+  //  Lifecycle — follow the store's botRunning flag
+  // =========================================================================
+  function bind() {
+    const unsubscribe = store.subscribe((state, prevState) => {
+      const wasRunning = prevState?.botRunning;
+      const isRunning = state.botRunning;
+
+      if (isRunning && !wasRunning) startEngine();
+      if (!isRunning && wasRunning) stopEngine();
+    });
+
+    if (store.getState().botRunning) startEngine();
+
+    return () => {
+      unsubscribe();
+      if (eng.started) stopEngine();
+    };
+  }
+
+  return {
+    bind,
+    start: startEngine,
+    stop: stopEngine,
+    /** Swap the decision clock, e.g. for a market replay. */
+    setClock: (next) => { eng.clock = next; },
+    handlePositionClosed,
+    isRunning: () => eng.started,
+  };
+}
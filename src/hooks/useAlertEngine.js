@@ -0,0 +1,251 @@
+/* ============================================================
+   Cerebro Crypto — useAlertEngine Hook
+   ============================================================
+   Runs the alert engine against the store: re-evaluates every
+   active alert whenever tickers, indicators, candles, regimes
+   or strategy scores change. Fired alerts are written to the
+   IndexedDB `alerts` store and `alertLog`, and surfaced as
+   toasts.
+
+   Expression alerts can reference indicators or timeframes the
+   app doesn't already compute; those are calculated on demand
+   by a dedicated indicators worker and cached per pair and
+   timeframe until the pair's 1m candles move on.
+   ============================================================ */
+
+import { useEffect } from 'react';
+import useStore from '../store';
+import { createAlertEngine } from '../utils/alertEngine.js';
+import { INDICATOR_FIELDS } from '../utils/alertExpression.js';
+import { saveAlertEvent, getAlertEvents } from '../db/indexedDB.js';
+
+const ALERT_LOG_LIMIT = 200;
+const ON_DEMAND_THROTTLE_MS = 5000;
+
+// Store slices that can change an alert's outcome
+const WATCHED_KEYS = [
+  'alerts', 'tickers', 'spreads', 'candles', 'indicators',
+  'scannerCandles', 'scannerIndicators', 'currentRegime', 'scannerRegimes',
+  'hydraScore', 'scannerHydraScores', 'viperActiveMode', 'scannerViperModes',
+  'viperModeScores', 'viperRatchetLevel',
+];
+
+function lastValid(arr) {
+  if (!Array.isArray(arr)) return null;
+  for (let i = arr.length - 1; i >= 0; i--) {
+    if (arr[i] != null) return arr[i];
+  }
+  return null;
+}
+
+/**
+ * Indicator series already in the store for a pair/timeframe. Scanner
+ * indicators are unprefixed on 1m and `${TF}_key` otherwise; the chart's
+ * indicators are unprefixed on the active timeframe.
+ */
+function storeIndicator(state, pair, tf, key) {
+  const scan = state.scannerIndicators[pair];
+  if (scan) {
+    const v = tf === 'ONE_MINUTE' ? scan[key] : scan[`${tf}_${key}`];
+    if (v != null) return v;
+  }
+  if (pair === state.activePair) {
+    const ind = state.indicators;
+    const v = tf === state.activeTimeframe && ind[key] != null ? ind[key] : ind[`${tf}_${key}`];
+    if (v != null) return v;
+  }
+  return null;
+}
+
+function storeCandles(state, pair, tf) {
+  return state.scannerCandles[pair]?.[tf]
+    || (pair === state.activePair ? state.candles[tf] : null)
+    || null;
+}
+
+/**
+ * Build the expression field resolver. Anything the store can't answer
+ * is looked up in `cache` and recorded in `needed` for on-demand
+ * calculation: 'pair|TF' → Set of worker indicator names.
+ */
+function createResolver(state, cache, needed) {
+  const need = (pair, tf, request) => {
+    const key = `${pair}|${tf}`;
+    if (!needed.has(key)) needed.set(key, new Set());
+    if (request) needed.get(key).add(request);
+    return cache.get(key);
+  };
+
+  return (field) => {
+    const { pair, timeframe: tf, kind, name, component } = field;
+    const ticker = state.tickers[pair] || {};
+    const isActive = pair === state.activePair;
+
+    switch (kind) {
+      case 'market':
+        if (name === 'spread') return state.spreads[pair]?.spreadPct ?? null;
+        if (name === 'regime') return state.scannerRegimes[pair] || (isActive ? state.currentRegime : null);
+        return ticker[name] ?? null;
+
+      case 'hydra': {
+        if (name === 'threshold') return state.hydraEntryThreshold;
+        const score = state.scannerHydraScores[pair] || (isActive ? state.hydraScore : null);
+        if (!score) return null;
+        if (name === 'score') return score.totalScore ?? null;
+        if (name === 'spreadBlocked') return !!score.spreadBlocked;
+        return score[name]?.score ?? null;
+      }
+
+      case 'viper':
+        if (name === 'mode') return state.scannerViperModes[pair] || (isActive ? state.viperActiveMode : null);
+        if (name === 'ratchet') return state.viperRatchetLevel;
+        // Mode scores come from the active pair's edge detector only
+        return isActive ? state.viperModeScores?.[name.toUpperCase()] ?? null : null;
+
+      case 'candle': {
+        const candles = storeCandles(state, pair, tf);
+        const last = candles?.length ? candles[candles.length - 1] : need(pair, tf, null)?.lastCandle;
+        return last?.[name] ?? null;
+      }
+
+      case 'indicator': {
+        const def = INDICATOR_FIELDS[name];
+        let series = storeIndicator(state, pair, tf, def.key);
+        if (series == null) series = need(pair, tf, def.request)?.indicators?.[def.key] ?? null;
+        if (series != null && component) series = series[component];
+        if (Array.isArray(series)) return lastValid(series);
+        return typeof series === 'number' ? series : null;
+      }
+
+      default:
+        return null;
+    }
+  };
+}
+
+/**
+ * Assemble the alert engine's market view of one pair from the store.
+ * Scanner indicators cover every scanned pair (1m); the chart's
+ * indicators are the fallback for the active pair.
+ */
+function marketForPair(state, pair, resolve) {
+  const ind = state.scannerIndicators[pair]
+    || (pair === state.activePair ? state.indicators : null)
+    || {};
+  const candles1m = state.scannerCandles[pair]?.ONE_MINUTE
+    || (pair === state.activePair ? state.candles.ONE_MINUTE : null);
+
+  const price = state.tickers[pair]?.price ?? candles1m?.[candles1m.length - 1]?.close ?? null;
+
+  let macd = null;
+  if (ind.macd?.macd && ind.macd?.signal) {
+    const m = ind.macd.macd;
+    const s = ind.macd.signal;
+    const last = m.length - 1;
+    if (last > 0 && m[last] != null && s[last] != null && m[last - 1] != null && s[last - 1] != null) {
+      macd = { macd: m[last], signal: s[last], prevMacd: m[last - 1], prevSignal: s[last - 1] };
+    }
+  }
+
+  return {
+    price,
+    rsi: lastValid(ind.rsi),
+    macd,
+    regime: state.scannerRegimes[pair] || (pair === state.activePair ? state.currentRegime : null),
+    resolve,
+  };
+}
+
+/**
+ * Hook that evaluates AlertManager alerts on every market update.
+ * Side-effect only; mount once at the app root.
+ */
+export default function useAlertEngine() {
+  useEffect(() => {
+    const engine = createAlertEngine();
+    const cache = new Map();     // 'pair|TF' → { indicators, lastCandle }
+    const requested = new Map(); // 'pair|TF' → { signature, at }
+    let worker = null;
+
+    const getWorker = () => {
+      if (!worker) {
+        worker = new Worker(new URL('../workers/indicators.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => {
+          const { type, payload } = event.data;
+          if (type === 'ALERT_INDICATORS_RESULT') {
+            cache.set(payload.key, { indicators: payload.indicators, lastCandle: payload.lastCandle });
+            evaluate(useStore.getState());
+          } else if (type === 'ERROR') {
+            console.error('[useAlertEngine] Worker error:', payload.message);
+          }
+        };
+      }
+      return worker;
+    };
+
+    /* Request fresh on-demand indicators when the source candles moved */
+    const requestMissing = (state, needed) => {
+      const now = Date.now();
+      for (const [key, names] of needed) {
+        const [pair, tf] = key.split('|');
+        const candles1m = storeCandles(state, pair, 'ONE_MINUTE');
+        if (!candles1m?.length) continue;
+
+        const last = candles1m[candles1m.length - 1];
+        const signature = `${last.timestamp}:${last.close}:${[...names].sort().join(',')}`;
+        const prev = requested.get(key);
+        if (prev && (prev.signature === signature || now - prev.at < ON_DEMAND_THROTTLE_MS)) continue;
+
+        requested.set(key, { signature, at: now });
+        getWorker().postMessage({
+          type: 'CALCULATE_ALERT',
+          payload: { key, candles1m, targetTimeframe: tf, indicators: [...names] },
+        });
+      }
+    };
+
+    // Restore alert history from IndexedDB (alertLog is oldest-first)
+    getAlertEvents({ limit: ALERT_LOG_LIMIT })
+      .then((events) => {
+        if (events.length > 0 && useStore.getState().alertLog.length === 0) {
+          useStore.setState({ alertLog: events.reverse() });
+        }
+      })
+      .catch(() => {});
+
+    const handleFired = ({ alert, event }) => {
+      const store = useStore.getState();
+      store.addAlertLog(event);
+      store.addToast({ type: 'warning', message: `Alert: ${event.message}` });
+      store.updateAlert(alert.id, {
+        lastTriggeredAt: event.timestamp,
+        triggerCount: (alert.triggerCount || 0) + 1,
+        // One-shot alerts switch themselves off after firing
+        ...(alert.rearm === 'once' ? { active: false } : {}),
+      });
+      saveAlertEvent(event).catch((err) => {
+        console.error('[useAlertEngine] Failed to persist alert event:', err);
+      });
+    };
+
+    function evaluate(state) {
+      if (state.alerts.length === 0) return;
+      const needed = new Map();
+      const resolve = createResolver(state, cache, needed);
+      const fired = engine.evaluate(state.alerts, (pair) => marketForPair(state, pair, resolve));
+      if (needed.size > 0) requestMissing(state, needed);
+      fired.forEach(handleFired);
+    }
+
+    const unsubscribe = useStore.subscribe((state, prevState) => {
+      if (WATCHED_KEYS.some((k) => state[k] !== prevState[k])) evaluate(state);
+    });
+
+    evaluate(useStore.getState());
+
+    return () => {
+      unsubscribe();
+      if (worker) worker.terminate();
+    };
+  }, []);
+}
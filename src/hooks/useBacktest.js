@@ -3,7 +3,9 @@
    ============================================================
    Manages backtesting via the backtest Web Worker.
    Sends data to the worker, tracks progress, and stores
-   the results for display.
+   the results for display. Also drives the multi-pair
+   portfolio backtest, the HYDRA walk-forward optimiser and
+   the Monte Carlo robustness stage on the same worker.
    ============================================================ */
 
 import { useState, useRef, useCallback, useEffect } from 'react';
@@ -17,8 +19,14 @@ import useStore from '../store';
  *   progress: number,
  *   progressDate: number|null,
  *   results: Object|null,
+ *   portfolioResults: Object|null,
+ *   walkForwardResults: Object|null,
+ *   monteCarloResults: Object|null,
  *   error: string|null,
  *   runBacktest: Function,
+ *   runPortfolioBacktest: Function,
+ *   runWalkForward: Function,
+ *   runMonteCarlo: Function,
  *   cancelBacktest: Function,
  *   clearResults: Function
  * }}
@@ -28,6 +36,9 @@ export default function useBacktest() {
   const [progress, setProgress] = useState(0);
   const [progressDate, setProgressDate] = useState(null);
   const [results, setResults] = useState(null);
+  const [portfolioResults, setPortfolioResults] = useState(null);
+  const [walkForwardResults, setWalkForwardResults] = useState(null);
+  const [monteCarloResults, setMonteCarloResults] = useState(null);
   const [error, setError] = useState(null);
 
   const workerRef = useRef(null);
@@ -63,6 +74,23 @@ export default function useBacktest() {
             }
             break;
 
+          case 'PORTFOLIO_BACKTEST_RESULT':
+            setPortfolioResults(payload);
+            setRunning(false);
+            setProgress(100);
+            break;
+
+          case 'WALK_FORWARD_RESULT':
+            setWalkForwardResults(payload);
+            setRunning(false);
+            setProgress(100);
+            break;
+
+          case 'MONTE_CARLO_RESULT':
+            setMonteCarloResults(payload);
+            setRunning(false);
+            break;
+
           case 'ERROR':
             setError(payload.message);
             setRunning(false);
@@ -100,16 +128,20 @@ export default function useBacktest() {
   /**
    * @param {Object} params
    * @param {Object[]} params.candles - OHLCV candle data
-   * @param {string} params.strategy - strategy identifier (e.g. 'momentum', 'breakout')
+   * @param {string} params.strategy - strategy identifier ('hydra' or 'viper')
+   * @param {string} [params.pair] - trading pair (drives VIPER per-ticker tuning and HYDRA session scoring)
    * @param {number} [params.startingCapital=25000] - starting capital
    * @param {Object} [params.riskSettings] - risk/position sizing overrides
+   * @param {Object} [params.hydraSettings] - HYDRA settings overrides
    */
   const runBacktest = useCallback((params) => {
     const {
       candles,
       strategy,
+      pair,
       startingCapital = 25000,
       riskSettings = {},
+      hydraSettings = {},
     } = params;
 
     // Validation
@@ -138,21 +170,169 @@ export default function useBacktest() {
       return;
     }
 
+    const state = useStore.getState();
     const worker = getWorker();
     worker.postMessage({
       type: 'RUN_BACKTEST',
       payload: {
         candles: candleData,
         strategy,
+        pair: pair || state.activePair,
         startingCapital,
         riskSettings: {
-          ...useStore.getState().riskSettings,
+          ...state.riskSettings,
           ...riskSettings,
         },
+        hydraSettings: {
+          ...state.hydraSettings,
+          ...hydraSettings,
+        },
+        entryThreshold: hydraSettings.entryThreshold ?? state.hydraEntryThreshold,
+        dailyLossLimitPct: state.hydraDailyLossLimit,
+        overnightCutoffHourUTC: state.viperSettings?.overnightCutoffHourUTC,
       },
     });
   }, [getWorker]);
 
+  // =========================================================================
+  //  Run a multi-pair portfolio backtest
+  // =========================================================================
+  /**
+   * Backtest several pairs against one shared capital pool, using the
+   * store's concurrency cap, allocation split and VIPER enablement.
+   *
+   * @param {Object} params
+   * @param {Object<string, Object[]>} params.candlesByPair - { pair: candles }
+   * @param {string[]} [params.strategies] - defaults to HYDRA, plus VIPER when enabled
+   * @param {string} [params.pair] - active pair (other pairs get the scanner threshold)
+   * @param {number} [params.startingCapital=25000]
+   * @param {Object} [params.riskSettings] - risk/position sizing overrides
+   */
+  const runPortfolioBacktest = useCallback((params) => {
+    const {
+      candlesByPair,
+      strategies,
+      pair,
+      startingCapital = 25000,
+      riskSettings = {},
+    } = params;
+
+    const loadedPairs = Object.keys(candlesByPair || {}).filter((p) => candlesByPair[p]?.length > 0);
+    if (loadedPairs.length === 0) {
+      setError('No candle data provided. Fetch candles for the scanner pairs first.');
+      return;
+    }
+
+    setRunning(true);
+    setProgress(0);
+    setProgressDate(null);
+    setPortfolioResults(null);
+    setError(null);
+
+    const state = useStore.getState();
+    const worker = getWorker();
+    worker.postMessage({
+      type: 'RUN_PORTFOLIO_BACKTEST',
+      payload: {
+        candlesByPair,
+        strategies: strategies || (state.viperEnabled ? ['hydra', 'viper'] : ['hydra']),
+        pair: pair || state.activePair,
+        startingCapital,
+        riskSettings: {
+          ...state.riskSettings,
+          ...riskSettings,
+        },
+        hydraSettings: state.hydraSettings,
+        entryThreshold: state.hydraEntryThreshold,
+        dailyLossLimitPct: state.hydraDailyLossLimit,
+        overnightCutoffHourUTC: state.viperSettings?.overnightCutoffHourUTC,
+        maxConcurrentPositions: state.maxConcurrentPositions,
+        allocationConfig: state.allocationConfig,
+        correlationSettings: state.correlationSettings,
+        viperThreatLevel: state.viperReplacementThreat,
+      },
+    });
+  }, [getWorker]);
+
+  // =========================================================================
+  //  Run a HYDRA walk-forward optimisation
+  // =========================================================================
+  /**
+   * @param {Object} params
+   * @param {Object[]} params.candles - OHLCV candle data
+   * @param {string} [params.pair] - trading pair
+   * @param {number} [params.startingCapital=25000]
+   * @param {Object} [params.riskSettings] - risk/position sizing overrides
+   * @param {Object} params.walkForward - fold layout and search options
+   *   ({ inSampleBars, outSampleBars, stepBars, method, samples, seed, objective, minTrades, paramSpace })
+   */
+  const runWalkForward = useCallback((params) => {
+    const {
+      candles,
+      pair,
+      startingCapital = 25000,
+      riskSettings = {},
+      walkForward,
+    } = params;
+
+    if (!candles || candles.length === 0) {
+      setError('No candle data provided. Fetch candles first.');
+      return;
+    }
+
+    setRunning(true);
+    setProgress(0);
+    setProgressDate(null);
+    setWalkForwardResults(null);
+    setError(null);
+
+    const state = useStore.getState();
+    const worker = getWorker();
+    worker.postMessage({
+      type: 'RUN_WALK_FORWARD',
+      payload: {
+        candles,
+        pair: pair || state.activePair,
+        startingCapital,
+        riskSettings: {
+          ...state.riskSettings,
+          ...riskSettings,
+        },
+        hydraSettings: state.hydraSettings,
+        dailyLossLimitPct: state.hydraDailyLossLimit,
+        walkForward,
+      },
+    });
+  }, [getWorker]);
+
+  // =========================================================================
+  //  Run a Monte Carlo robustness report over backtest trades
+  // =========================================================================
+  /**
+   * @param {Object} params
+   * @param {Object[]} params.trades - trades from a backtest result
+   * @param {Object} [params.monteCarlo] - runMonteCarlo options
+   *   ({ startingCapital, iterations, method, perturbFills, makerFillProb, ruinPct, seed })
+   */
+  const runMonteCarlo = useCallback((params) => {
+    const { trades, monteCarlo = {} } = params;
+
+    if (!trades || trades.length === 0) {
+      setError('No trades to resample. Run a backtest first.');
+      return;
+    }
+
+    setRunning(true);
+    setMonteCarloResults(null);
+    setError(null);
+
+    const worker = getWorker();
+    worker.postMessage({
+      type: 'RUN_MONTE_CARLO',
+      payload: { trades, monteCarlo },
+    });
+  }, [getWorker]);
+
   // =========================================================================
   //  Cancel a running backtest
   // =========================================================================
@@ -171,6 +351,9 @@ export default function useBacktest() {
   // =========================================================================
   const clearResults = useCallback(() => {
     setResults(null);
+    setPortfolioResults(null);
+    setWalkForwardResults(null);
+    setMonteCarloResults(null);
     setError(null);
     setProgress(0);
     setProgressDate(null);
@@ -181,8 +364,14 @@ export default function useBacktest() {
     progress,
     progressDate,
     results,
+    portfolioResults,
+    walkForwardResults,
+    monteCarloResults,
     error,
     runBacktest,
+    runPortfolioBacktest,
+    runWalkForward,
+    runMonteCarlo,
     cancelBacktest,
     clearResults,
   };
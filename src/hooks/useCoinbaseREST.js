@@ -2,14 +2,15 @@
    Cerebro Crypto — useCoinbaseREST Hook
    ============================================================
    Provides REST API data fetching functions that integrate
-   with the Zustand store, IndexedDB caching, and toast
-   notifications for error handling.
+   with the Zustand store, the IndexedDB candle cache (see
+   services/candleHistory.js), and toast notifications for
+   error handling.
    ============================================================ */
 
 import { useCallback } from 'react';
 import useStore from '../store';
 import { coinbaseREST } from '../services/coinbaseREST';
-import { saveCandles, getCandles as getCachedCandles } from '../db/indexedDB';
+import { fetchCandleHistory } from '../services/candleHistory.js';
 
 // =========================================================================
 //  Toast helper — dispatches an error/info toast to the store
@@ -25,19 +26,6 @@ function dispatchToast(type, message) {
   }
 }
 
-// =========================================================================
-//  Timeframe label to Coinbase granularity mapping
-// =========================================================================
-const GRANULARITY_MAP = {
-  ONE_MINUTE: 'ONE_MINUTE',
-  FIVE_MINUTE: 'FIVE_MINUTE',
-  FIFTEEN_MINUTE: 'FIFTEEN_MINUTE',
-  ONE_HOUR: 'ONE_HOUR',
-  FOUR_HOUR: 'SIX_HOUR', // Coinbase does not have 4H, closest is 6H; adjust if needed
-  ONE_DAY: 'ONE_DAY',
-  ONE_WEEK: 'ONE_DAY', // Weekly assembled from daily
-};
-
 /**
  * Hook that exposes REST API fetching functions.
  * Each function handles loading states, errors, and store updates.
@@ -68,27 +56,20 @@ export default function useCoinbaseREST() {
   }, []);
 
   // =========================================================================
-  //  fetchCandles — fetch OHLCV data with IndexedDB caching
+  //  fetchCandles — cache-first OHLCV via the candle history service
   // =========================================================================
   const fetchCandles = useCallback(async (pair, timeframe, start, end) => {
     const store = useStore.getState();
     try {
       if (typeof store.setCandlesLoading === 'function') store.setCandlesLoading(true);
 
-      // Try cache first
-      const cached = await getCachedCandles(pair, timeframe, start, end);
-      if (cached && cached.length > 0) {
-        if (typeof store.setCandles === 'function') {
-          store.setCandles(timeframe, cached);
-        }
+      // Served from IndexedDB; only ranges never downloaded (usually the latest bars) hit REST
+      const candles = await fetchCandleHistory(pair, timeframe, start, end);
 
-        // Still fetch fresh data in the background to update cache
-        fetchCandlesFresh(pair, timeframe, start, end).catch(() => {});
-        return cached;
+      if (typeof store.setCandles === 'function') {
+        store.setCandles(timeframe, candles);
       }
 
-      // No cache — fetch from REST
-      const candles = await fetchCandlesFresh(pair, timeframe, start, end);
       return candles;
     } catch (error) {
       dispatchToast('error', `Failed to fetch candles for ${pair}: ${error.message}`);
@@ -98,45 +79,6 @@ export default function useCoinbaseREST() {
     }
   }, []);
 
-  /**
-   * Internal: fetch candles from REST and save to cache + store.
-   */
-  async function fetchCandlesFresh(pair, timeframe, start, end) {
-    const params = {
-      granularity: GRANULARITY_MAP[timeframe] || timeframe,
-    };
-    if (start) params.start = typeof start === 'number' ? Math.floor(start / 1000).toString() : start;
-    if (end) params.end = typeof end === 'number' ? Math.floor(end / 1000).toString() : end;
-
-    const response = await coinbaseREST.getProductCandles(pair, params);
-    const rawCandles = response.candles || response || [];
-
-    // Normalize candles
-    const candles = rawCandles.map((c) => ({
-      timestamp: parseInt(c.start, 10) * 1000, // convert to ms
-      open: parseFloat(c.open),
-      high: parseFloat(c.high),
-      low: parseFloat(c.low),
-      close: parseFloat(c.close),
-      volume: parseFloat(c.volume),
-    })).sort((a, b) => a.timestamp - b.timestamp);
-
-    // Save to IndexedDB cache
-    try {
-      await saveCandles(pair, timeframe, candles);
-    } catch (cacheError) {
-      console.warn('[REST] Failed to cache candles:', cacheError);
-    }
-
-    // Update store
-    const store = useStore.getState();
-    if (typeof store.setCandles === 'function') {
-      store.setCandles(timeframe, candles);
-    }
-
-    return candles;
-  }
-
   // =========================================================================
   //  fetchAccounts — get portfolio balances
   // =========================================================================
@@ -219,15 +161,8 @@ export default function useCoinbaseREST() {
   // =========================================================================
   const placeOrder = useCallback(async (orderData) => {
     const store = useStore.getState();
-    const isPaper = store.tradingMode === 'paper';
-
-    if (isPaper) {
-      // In paper mode, delegate to the paper trading simulator
-      // The paper trading hook will handle this
-      dispatchToast('info', 'Paper mode: order simulated locally');
-      return { paper: true, orderData };
-    }
 
+    // Paper mode goes to the proxy's paper engine (see coinbaseREST)
     try {
       if (typeof store.setOrderSubmitting === 'function') store.setOrderSubmitting(true);
 
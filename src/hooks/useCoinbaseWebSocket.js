@@ -7,7 +7,7 @@
 
 import { useEffect, useRef, useCallback } from 'react';
 import useStore from '../store';
-import coinbaseWS from '../services/coinbaseWebSocket';
+import coinbaseWS, { paperOrderWS } from '../services/coinbaseWebSocket';
 import { DEFAULT_PAIRS, RENDER_THROTTLE_MS } from '../config/constants';
 
 /**
@@ -102,7 +102,7 @@ export default function useCoinbaseWebSocket() {
             const productId = candle.product_id || event.product_id;
             const currentActivePair = store.activePair;
             const parsedCandle = {
-              timestamp: parseInt(candle.start, 10),
+              timestamp: parseInt(candle.start, 10) * 1000, // start is epoch seconds
               open: parseFloat(candle.open),
               high: parseFloat(candle.high),
               low: parseFloat(candle.low),
@@ -310,7 +310,10 @@ export default function useCoinbaseWebSocket() {
                 orderId: order.order_id,
                 status: order.status,
                 filledSize: order.cumulative_quantity ? parseFloat(order.cumulative_quantity) : undefined,
-                avgFilledPrice: order.avg_filled_price ? parseFloat(order.avg_filled_price) : undefined,
+                // Coinbase's user channel sends avg_price
+                avgFilledPrice: (order.avg_price || order.avg_filled_price)
+                  ? parseFloat(order.avg_price || order.avg_filled_price)
+                  : undefined,
                 totalFees: order.total_fees ? parseFloat(order.total_fees) : undefined,
               });
             }
@@ -390,6 +393,10 @@ export default function useCoinbaseWebSocket() {
     // Subscribe to user channel for order updates (authenticated)
     coinbaseWS.subscribe('user', [], handleUserMessage);
 
+    // Paper orders are matched by the proxy and reported on its own user feed
+    paperOrderWS.connect();
+    paperOrderWS.subscribe('user', [], handleUserMessage);
+
     // Subscribe to scanner pairs (after a brief delay to let WS connect)
     const scannerTimer = setTimeout(() => {
       const state = useStore.getState();
@@ -418,6 +425,7 @@ export default function useCoinbaseWebSocket() {
       }
 
       coinbaseWS.disconnect();
+      paperOrderWS.disconnect();
     };
     // Only run on mount/unmount — pair changes handled below
     // eslint-disable-next-line react-hooks/exhaustive-deps
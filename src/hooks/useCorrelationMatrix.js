@@ -0,0 +1,16 @@
+/* ============================================================
+   Cerebro Crypto — useCorrelationMatrix Hook
+   ============================================================
+   Keeps the rolling correlation matrix current from the
+   scanner's candles while the app is open. The correlation
+   guard and the Correlation panel both read it from the
+   store.
+   ============================================================ */
+
+import { useEffect } from 'react';
+import useStore from '../store';
+import { bindCorrelationTracker } from '../engine/correlationTracker.js';
+
+export default function useCorrelationMatrix() {
+  useEffect(() => bindCorrelationTracker(useStore), []);
+}
@@ -10,7 +10,7 @@ import { useEffect, useRef, useState, useCallback } from 'react';
 import useStore from '../store';
 import useCoinbaseREST from './useCoinbaseREST';
 import useCoinbaseWebSocket from './useCoinbaseWebSocket';
-import { coinbaseREST } from '../services/coinbaseREST';
+import { fetchCandleHistory } from '../services/candleHistory.js';
 
 // All indicator names to compute
 const ALL_INDICATORS = [
@@ -26,6 +26,9 @@ const SCANNER_POLL_INTERVAL_MS = 30000;
 const SCANNER_STAGGER_MS = 200;
 // Stagger between worker messages (50ms)
 const SCANNER_WORKER_STAGGER_MS = 50;
+// Hourly candles for HYDRA's 1h trend: 300 bars, refetched every 5 minutes
+const HOURLY_BARS = 300;
+const HOURLY_REFRESH_MS = 5 * 60 * 1000;
 
 /**
  * Hook that coordinates market data initialization and ongoing updates.
@@ -37,6 +40,8 @@ const SCANNER_WORKER_STAGGER_MS = 50;
 export default function useMarketData() {
   const activePair = useStore((s) => s.activePair);
   const activeTimeframe = useStore((s) => s.activeTimeframe);
+  // While replaying a recording, history ends where the recording starts
+  const replayAnchor = useStore((s) => s.replay?.anchor ?? null);
 
   const { fetchCandles } = useCoinbaseREST();
   const { wsStatus, reconnect } = useCoinbaseWebSocket();
@@ -47,6 +52,8 @@ export default function useMarketData() {
   // Worker instance ref
   const workerRef = useRef(null);
   const isMountedRef = useRef(true);
+  // pair -> when its hourly candles were last fetched
+  const hourlyFetchedRef = useRef({});
 
   // =========================================================================
   //  Initialize indicator worker
@@ -66,7 +73,7 @@ export default function useMarketData() {
           store.setIndicators(payload);
         }
       } else if (type === 'CALCULATE_MULTI_RESULT') {
-        // Multi-timeframe indicator results for VIPER
+        // Multi-timeframe indicator results for VIPER and HYDRA's trend dimension
         const store = useStore.getState();
         if (typeof store.setIndicators === 'function') {
           // Store multi-TF indicators under namespaced keys
@@ -243,22 +250,8 @@ export default function useMarketData() {
       }
 
       try {
-        const params = {
-          granularity: 'ONE_MINUTE',
-          start: Math.floor(startMs / 1000).toString(),
-          end: Math.floor(now / 1000).toString(),
-        };
-
-        const response = await coinbaseREST.getProductCandles(pair, params);
-        const rawCandles = response.candles || response || [];
-        const candles = rawCandles.map((c) => ({
-          timestamp: parseInt(c.start, 10) * 1000,
-          open: parseFloat(c.open),
-          high: parseFloat(c.high),
-          low: parseFloat(c.low),
-          close: parseFloat(c.close),
-          volume: parseFloat(c.volume),
-        })).sort((a, b) => a.timestamp - b.timestamp);
+        // Cache-first: after the first poll only the newest bars are requested
+        const candles = await fetchCandleHistory(pair, 'ONE_MINUTE', startMs, now);
 
         if (candles.length === 0) continue;
 
@@ -321,9 +314,10 @@ export default function useMarketData() {
   //  Fetch initial data and recalculate on pair/timeframe change
   // =========================================================================
   // =========================================================================
-  //  Aggregate 1m candles to 5m/15m for VIPER and compute multi-TF indicators
+  //  Aggregate 1m candles to 5m/15m and compute multi-TF indicators
+  //  (VIPER modes, HYDRA's trend dimension)
   // =========================================================================
-  const computeViperMultiTF = useCallback((candles1m) => {
+  const computeMultiTF = useCallback((candles1m) => {
     if (!workerRef.current || !candles1m || candles1m.length < 30) return;
 
     // Request aggregation to 5m
@@ -338,7 +332,7 @@ export default function useMarketData() {
       payload: { candles1m, targetTimeframe: 'FIFTEEN_MINUTE' },
     });
 
-    // Compute indicators on 1m candles for STRIKE mode
+    // Compute indicators on 1m candles (STRIKE mode, HYDRA's 1m trend)
     workerRef.current.postMessage({
       type: 'CALCULATE_MULTI',
       payload: {
@@ -350,6 +344,44 @@ export default function useMarketData() {
     });
   }, []);
 
+  // =========================================================================
+  //  Hourly candles for HYDRA's 1h trend (active pair + scanner pairs)
+  // =========================================================================
+  const fetchHourlyData = useCallback(async () => {
+    const state = useStore.getState();
+    const scanned = state.scannerEnabled ? (state.scannerPairs || []) : [];
+    const pairs = [...new Set([state.activePair, ...scanned])].filter(Boolean);
+    const end = state.replay?.anchor ?? Date.now();
+
+    for (const pair of pairs) {
+      if (end - (hourlyFetchedRef.current[pair] || 0) < HOURLY_REFRESH_MS) continue;
+      hourlyFetchedRef.current[pair] = end;
+
+      try {
+        const candles = await fetchCandleHistory(pair, 'ONE_HOUR', end - HOURLY_BARS * 60 * 60 * 1000, end);
+        if (candles.length === 0 || !workerRef.current) continue;
+
+        useStore.getState().setScannerCandles(pair, 'ONE_HOUR', candles);
+        if (pair === useStore.getState().activePair) {
+          // Active pair: namespaced into the global indicators (mirrored to the scanner store)
+          workerRef.current.postMessage({
+            type: 'CALCULATE_MULTI',
+            payload: { candles, timeframeLabel: 'ONE_HOUR', indicators: ALL_INDICATORS, params: {} },
+          });
+        } else {
+          workerRef.current.postMessage({
+            type: 'CALCULATE_SCANNER',
+            payload: { pair, candles, timeframeLabel: 'ONE_HOUR', indicators: ALL_INDICATORS, params: {} },
+          });
+        }
+      } catch (err) {
+        delete hourlyFetchedRef.current[pair];
+        console.warn(`[Scanner] Failed to fetch hourly candles for ${pair}:`, err.message);
+      }
+      await new Promise((r) => setTimeout(r, SCANNER_STAGGER_MS));
+    }
+  }, []);
+
   const fetchData = useCallback(async () => {
     if (!activePair || !activeTimeframe) return;
 
@@ -358,7 +390,7 @@ export default function useMarketData() {
 
     try {
       // Calculate time range based on timeframe
-      const now = Date.now();
+      const now = replayAnchor ?? Date.now();
       const timeframeMs = {
         ONE_MINUTE: 60 * 1000,
         FIVE_MINUTE: 5 * 60 * 1000,
@@ -383,20 +415,21 @@ export default function useMarketData() {
         setError('No candle data available');
       }
 
-      // VIPER multi-timeframe: always fetch 1m candles (240 bars = 4 hours) when enabled
-      const viperEnabled = useStore.getState().viperEnabled;
-      if (viperEnabled) {
-        const oneMinMs = 60 * 1000;
-        const viperStart = now - oneMinMs * 240;
-        const candles1m = activeTimeframe === 'ONE_MINUTE'
-          ? candles
-          : await fetchCandles(activePair, 'ONE_MINUTE', viperStart, now);
-
-        if (isMountedRef.current && candles1m && candles1m.length > 0) {
-          useStore.getState().setCandles('ONE_MINUTE', candles1m);
-          computeViperMultiTF(candles1m);
-        }
+      // Multi-timeframe (VIPER, HYDRA trend): always fetch 1m candles (240 bars = 4 hours)
+      const oneMinMs = 60 * 1000;
+      const multiStart = now - oneMinMs * 240;
+      const candles1m = activeTimeframe === 'ONE_MINUTE'
+        ? candles
+        : await fetchCandles(activePair, 'ONE_MINUTE', multiStart, now);
+
+      if (isMountedRef.current && candles1m && candles1m.length > 0) {
+        useStore.getState().setCandles('ONE_MINUTE', candles1m);
+        computeMultiTF(candles1m);
       }
+
+      // 1h trend for the new active pair
+      delete hourlyFetchedRef.current[activePair];
+      fetchHourlyData();
     } catch (err) {
       if (isMountedRef.current) {
         setError(err.message || 'Failed to fetch market data');
@@ -406,7 +439,7 @@ export default function useMarketData() {
         setLoading(false);
       }
     }
-  }, [activePair, activeTimeframe, fetchCandles, calculateIndicators, computeViperMultiTF]);
+  }, [activePair, activeTimeframe, replayAnchor, fetchCandles, calculateIndicators, computeMultiTF, fetchHourlyData]);
 
   // =========================================================================
   //  Run on mount and when pair/timeframe changes
@@ -426,10 +459,11 @@ export default function useMarketData() {
       fetchScannerData();
     }, 2000);
 
-    // 30-second polling
+    // 30-second polling (hourly candles refresh on their own, slower schedule)
     const pollTimer = setInterval(() => {
       if (isMountedRef.current) {
         fetchScannerData();
+        fetchHourlyData();
       }
     }, SCANNER_POLL_INTERVAL_MS);
 
@@ -437,7 +471,7 @@ export default function useMarketData() {
       clearTimeout(initialTimer);
       clearInterval(pollTimer);
     };
-  }, [fetchScannerData]);
+  }, [fetchScannerData, fetchHourlyData]);
 
   // =========================================================================
   //  Mirror activePair global data to scanner store when it changes
@@ -462,7 +496,7 @@ export default function useMarketData() {
   // =========================================================================
   useEffect(() => {
     let prevCandles = useStore.getState().candles;
-    let viperRecalcTimer = null;
+    let multiTFRecalcTimer = null;
     const unsubscribe = useStore.subscribe((state) => {
       if (state.candles !== prevCandles) {
         prevCandles = state.candles;
@@ -471,21 +505,21 @@ export default function useMarketData() {
         if (candleData && candleData.length > 0) {
           calculateIndicators(candleData);
         }
-        // Recompute VIPER multi-TF when 1m candles update (throttled to every 30s)
-        if (state.viperEnabled && !viperRecalcTimer) {
-          viperRecalcTimer = setTimeout(() => {
-            viperRecalcTimer = null;
+        // Recompute multi-TF when 1m candles update (throttled to every 30s)
+        if (!multiTFRecalcTimer) {
+          multiTFRecalcTimer = setTimeout(() => {
+            multiTFRecalcTimer = null;
             const s = useStore.getState();
             const candles1m = s.candles['ONE_MINUTE'];
             if (candles1m && candles1m.length > 30) {
-              computeViperMultiTF(candles1m);
+              computeMultiTF(candles1m);
             }
           }, 30000);
         }
       }
     });
-    return () => { unsubscribe(); if (viperRecalcTimer) clearTimeout(viperRecalcTimer); };
-  }, [calculateIndicators, computeViperMultiTF]);
+    return () => { unsubscribe(); if (multiTFRecalcTimer) clearTimeout(multiTFRecalcTimer); };
+  }, [calculateIndicators, computeMultiTF]);
 
   // =========================================================================
   //  refreshData — manual refresh
@@ -0,0 +1,170 @@
+/* ============================================================
+   Cerebro Crypto — useNotifications Hook
+   ============================================================
+   Watches the store for events worth sending off-screen and
+   reports them to the proxy's webhook dispatcher:
+     - alert           new alertLog entries
+     - fill            positions opened / closed
+     - circuit_breaker scalp session paused or disabled
+     - ratchet         VIPER ratchet level changes
+     - viper_threat    VIPER replacement threat changes
+   Only transitions that happen while the app is running are
+   reported — history restored from IndexedDB or a positions
+   resync on mode switch never fires a webhook.
+   ============================================================ */
+
+import { useEffect } from 'react';
+import useStore from '../store';
+import { sendNotification } from '../services/notifyService.js';
+import { positionQty, positionDirection } from '../utils/portfolioRisk.js';
+
+const fmtUSD = (v) => `$${Number(v).toLocaleString(undefined, { maximumFractionDigits: 8 })}`;
+
+const THREAT_SEVERITY = {
+  DOMINANT: 'info',
+  ACTIVE: 'info',
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+};
+
+const RATCHET_SEVERITY = {
+  NORMAL: 'info',
+  PROTECTED: 'info',
+  RECOVERY: 'warning',
+  PRESERVATION: 'warning',
+  LOCKED: 'critical',
+};
+
+function alertEvents(state, prev, since) {
+  if (state.alertLog === prev.alertLog) return [];
+  const seen = new Set(prev.alertLog.map((e) => e.id));
+  return state.alertLog
+    .filter((e) => !seen.has(e.id) && (e.timestamp || 0) >= since)
+    .map((e) => ({
+      type: 'alert',
+      severity: 'warning',
+      title: `Alert: ${e.pair}`,
+      message: e.message,
+      pair: e.pair,
+      data: { alertId: e.alertId, condition: e.condition, value: e.value, price: e.price },
+    }));
+}
+
+function fillEvents(state, prev, since) {
+  // A mode switch swaps the whole positions list; that's not a fill
+  if (state.positions === prev.positions || state.tradingMode !== prev.tradingMode) return [];
+
+  const before = new Map(prev.positions.map((p) => [p.id, p]));
+  const after = new Map(state.positions.map((p) => [p.id, p]));
+  const mode = state.tradingMode.toUpperCase();
+  const events = [];
+
+  for (const [id, pos] of after) {
+    if (before.has(id) || (pos.entryTime ?? Date.now()) < since) continue;
+    const direction = positionDirection(pos);
+    const qty = positionQty(pos);
+    events.push({
+      type: 'fill',
+      title: `${mode} ${direction.toUpperCase()} ${pos.pair} opened`,
+      message: `${Number(qty).toFixed(6)} ${pos.pair} @ ${fmtUSD(pos.entryPrice)} (${pos.strategy || 'manual'})`,
+      pair: pos.pair,
+      data: {
+        side: 'entry', positionId: id, direction, qty,
+        price: pos.entryPrice, strategy: pos.strategy, stopLoss: pos.stopLoss ?? null,
+      },
+    });
+  }
+
+  for (const [id, pos] of before) {
+    if (after.has(id)) continue;
+    const price = pos.currentPrice ?? state.tickers[pos.pair]?.price ?? null;
+    const pnl = pos.unrealizedPnL ?? null;
+    const qty = positionQty(pos);
+    events.push({
+      type: 'fill',
+      severity: pnl != null && pnl < 0 ? 'warning' : 'info',
+      title: `${mode} ${pos.pair} closed`,
+      message: `${Number(qty).toFixed(6)} ${pos.pair}${price != null ? ` @ ~${fmtUSD(price)}` : ''}`
+        + `${pnl != null ? ` | P&L ${pnl >= 0 ? '+' : ''}${fmtUSD(pnl)}` : ''}`,
+      pair: pos.pair,
+      data: { side: 'exit', positionId: id, direction: positionDirection(pos), qty, price, pnl, strategy: pos.strategy },
+    });
+  }
+
+  return events;
+}
+
+function circuitBreakerEvents(state, prev) {
+  const cur = state.scalpSession;
+  const old = prev.scalpSession;
+  if (cur === old) return [];
+
+  if (cur.disabled && !old.disabled) {
+    return [{
+      type: 'circuit_breaker',
+      severity: 'critical',
+      title: 'Circuit breaker: trading disabled for the session',
+      message: `Session P&L ${fmtUSD(cur.netPnL)} after ${cur.trades} trades (${cur.losses} losses).`,
+      data: { ...cur, history: undefined },
+    }];
+  }
+  if (cur.pausedUntil && cur.pausedUntil !== old.pausedUntil && cur.pausedUntil > Date.now()) {
+    const minutes = Math.round((cur.pausedUntil - Date.now()) / 60000);
+    return [{
+      type: 'circuit_breaker',
+      severity: 'warning',
+      title: `Circuit breaker: paused for ${minutes} min`,
+      message: `${cur.streak} consecutive losses. Trading resumes at ${new Date(cur.pausedUntil).toLocaleTimeString()}.`,
+      data: { ...cur, history: undefined },
+    }];
+  }
+  return [];
+}
+
+function viperEvents(state, prev) {
+  const events = [];
+
+  if (state.viperRatchetLevel !== prev.viperRatchetLevel && state.viperRatchetLevel) {
+    events.push({
+      type: 'ratchet',
+      severity: RATCHET_SEVERITY[state.viperRatchetLevel] || 'info',
+      title: `VIPER ratchet: ${prev.viperRatchetLevel} → ${state.viperRatchetLevel}`,
+      message: `Daily P&L ${fmtUSD(state.viperDailyPnL)} (high ${fmtUSD(state.viperDailyHighPnL)}).`,
+      data: { from: prev.viperRatchetLevel, to: state.viperRatchetLevel, dailyPnL: state.viperDailyPnL },
+    });
+  }
+
+  if (state.viperReplacementThreat !== prev.viperReplacementThreat && state.viperReplacementThreat) {
+    events.push({
+      type: 'viper_threat',
+      severity: THREAT_SEVERITY[state.viperReplacementThreat] || 'info',
+      title: `VIPER threat: ${prev.viperReplacementThreat} → ${state.viperReplacementThreat}`,
+      message: `VIPER replacement threat is now ${state.viperReplacementThreat}.`,
+      data: { from: prev.viperReplacementThreat, to: state.viperReplacementThreat },
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Hook that forwards notable store transitions to the webhook
+ * dispatcher. Side-effect only; mount once at the app root.
+ */
+export default function useNotifications() {
+  useEffect(() => {
+    const since = Date.now();
+
+    const unsubscribe = useStore.subscribe((state, prev) => {
+      const events = [
+        ...alertEvents(state, prev, since),
+        ...fillEvents(state, prev, since),
+        ...circuitBreakerEvents(state, prev),
+        ...viperEvents(state, prev),
+      ];
+      events.forEach((event) => sendNotification(event));
+    });
+
+    return unsubscribe;
+  }, []);
+}
@@ -0,0 +1,49 @@
+/* ============================================================
+   Cerebro Crypto — useOrderGroups Hook
+   ============================================================
+   Keeps bracket / OCO groups in step with their orders.
+   Groups are synced from REST on start — exits may have
+   filled while the tab was closed — and again whenever a
+   `user` channel update changes the status of one of their
+   legs, or a new order appears while a bracket is still
+   waiting to learn its attached exit.
+   ============================================================ */
+
+import { useEffect } from 'react';
+import useStore from '../store';
+import { syncGroup } from '../services/orderGroups.js';
+
+const isOpenGroup = (g) => g.status === 'pending' || g.status === 'active';
+
+export default function useOrderGroups() {
+  useEffect(() => {
+    const syncMode = (state) => {
+      state.orderGroups
+        .filter((g) => isOpenGroup(g) && g.mode === state.tradingMode)
+        .forEach((g) => syncGroup(g.id));
+    };
+    syncMode(useStore.getState());
+
+    const unsub = useStore.subscribe((state, prev) => {
+      // Each mode's groups live on a different backend
+      if (state.tradingMode !== prev.tradingMode) {
+        syncMode(state);
+        return;
+      }
+      if (state.orders === prev.orders) return;
+
+      const before = new Map(prev.orders.map((o) => [o.order_id, o.status]));
+      const changed = new Set(
+        state.orders.filter((o) => before.get(o.order_id) !== o.status).map((o) => o.order_id)
+      );
+      if (changed.size === 0) return;
+
+      state.orderGroups
+        .filter((g) => isOpenGroup(g) && g.mode === state.tradingMode)
+        .filter((g) => changed.has(g.entryOrderId) || changed.has(g.exitOrderId)
+          || (g.status === 'active' && !g.exitOrderId))
+        .forEach((g) => syncGroup(g.id));
+    });
+    return unsub;
+  }, []);
+}
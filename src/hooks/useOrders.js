@@ -3,24 +3,57 @@
    ============================================================
    Manages order submission, cancellation, monitoring of
    pending orders, partial fills, and limit order timeouts.
+   Bracket and OCO orders go to the proxy in both modes so
+   their exits rest on the exchange (or paper engine); paper
+   entries fill on the paper engine too, see paperOrders.
    ============================================================ */
 
 import { useEffect, useRef, useCallback } from 'react';
 import useStore from '../store';
 import useCoinbaseREST from './useCoinbaseREST';
-import { RISK_DEFAULTS, SLIPPAGE_PCT, TAKER_FEE_PCT } from '../config/constants';
+import { RISK_DEFAULTS } from '../config/constants';
+import { entryConfiguration, validateExitLevels } from '../utils/orderConfig.js';
+import { checkShortLimits } from '../utils/riskManager.js';
+import { portfolioRiskFromState, checkRiskBudget } from '../utils/portfolioRisk.js';
+import { placeBracket, placeOco, cancelGroup } from '../services/orderGroups.js';
+import { placePaperEntry } from '../services/paperOrders.js';
 
 // Default limit order timeout in milliseconds (60 seconds)
 const LIMIT_ORDER_TIMEOUT_MS = 60 * 1000;
 
+/** Order fields that describe the order itself rather than the position it opens. */
+const ORDER_FIELDS = ['side', 'orderType', 'baseSize', 'quoteSize', 'limitPrice', 'stopPrice', 'postOnly', 'notionalValue', 'timeout'];
+
+/**
+ * Paper position template for an engine order: its levels and strategy
+ * metadata. Entry price, size and cost come from the paper engine's fills.
+ */
+function paperPositionTemplate(orderData) {
+  const meta = Object.fromEntries(Object.entries(orderData).filter(([key]) => !ORDER_FIELDS.includes(key)));
+  return {
+    ...meta,
+    direction: orderData.direction || (orderData.side === 'SELL' ? 'short' : 'long'),
+    qty: 0,
+    strategy: orderData.strategy || 'manual',
+    tp1Hit: false,
+    trailingActive: false,
+    trailingStop: null,
+    status: 'open',
+  };
+}
+
 /**
  * Hook for order lifecycle management.
  *
  * @returns {{
  *   submitOrder: Function,
+ *   submitBracketOrder: Function,
+ *   submitOcoOrder: Function,
  *   cancelOrder: Function,
+ *   cancelOrderGroup: Function,
  *   pendingOrders: Array,
- *   orderHistory: Array
+ *   orderHistory: Array,
+ *   orderGroups: Array
  * }}
  */
 export default function useOrders() {
@@ -94,6 +127,28 @@ export default function useOrders() {
       }
     }
 
+    // Opening a short: shorts must be enabled and within their own limits
+    if (orderData.direction === 'short') {
+      errors.push(...checkShortLimits({ notionalValue: orderData.notionalValue }, store));
+    }
+
+    // Portfolio risk budget — automated entries were already sized to it by the risk pipeline
+    if (orderData.strategy !== 'viper' && orderData.strategy !== 'hydra') {
+      const price = orderData.limitPrice || store.tickers?.[pair]?.price;
+      if (price > 0) {
+        const qty = orderData.baseSize || (orderData.notionalValue || orderData.quoteSize || 0) / price;
+        const stopPct = riskSettings.stopLossPct ?? RISK_DEFAULTS.stopLossPct;
+        const stop = orderData.stopLoss
+          ?? price * (orderData.direction === 'short' ? 1 + stopPct / 100 : 1 - stopPct / 100);
+        const budget = checkRiskBudget(portfolioRiskFromState(store), {
+          pair,
+          risk: Math.abs(price - stop) * qty,
+          notional: qty * price,
+        }, riskSettings, { allowScale: false });
+        if (!budget.allowed) errors.push(`Risk budget: ${budget.reason}`);
+      }
+    }
+
     return { valid: errors.length === 0, errors };
   }, [tradingMode]);
 
@@ -119,8 +174,24 @@ export default function useOrders() {
     const isPaper = store.tradingMode === 'paper';
 
     if (isPaper) {
-      // ---- Paper mode: simulate order fill ----
-      return simulatePaperOrder(orderData);
+      // ---- Paper mode: the paper engine fills it, the fill opens the position ----
+      try {
+        const orderId = await placePaperEntry({
+          pair: orderData.pair || store.activePair,
+          side: orderData.side,
+          orderType: orderData.orderType || 'market',
+          baseSize: orderData.baseSize,
+          quoteSize: orderData.quoteSize,
+          limitPrice: orderData.limitPrice,
+          stopPrice: orderData.stopPrice,
+          postOnly: orderData.postOnly,
+          position: paperPositionTemplate(orderData),
+        });
+        return { success: true, orderId, paper: true };
+      } catch (error) {
+        store.addToast({ type: 'error', message: `Paper order failed: ${error.message}`, timestamp: Date.now() });
+        return { success: false, errors: [error.message] };
+      }
     }
 
     // ---- Live mode: submit via REST ----
@@ -129,26 +200,13 @@ export default function useOrders() {
       const side = orderData.side; // 'BUY' or 'SELL'
       const orderType = orderData.orderType || 'market';
 
-      let orderConfig;
-
-      if (orderType === 'market') {
-        orderConfig = {
-          market_market_ioc: {
-            ...(orderData.baseSize
-              ? { base_size: orderData.baseSize.toString() }
-              : { quote_size: orderData.quoteSize.toString() }
-            ),
-          },
-        };
-      } else if (orderType === 'limit') {
-        orderConfig = {
-          limit_limit_gtc: {
-            base_size: orderData.baseSize.toString(),
-            limit_price: orderData.limitPrice.toString(),
-            post_only: orderData.postOnly || false,
-          },
-        };
-      }
+      const orderConfig = entryConfiguration({
+        orderType,
+        baseSize: orderData.baseSize,
+        quoteSize: orderData.quoteSize,
+        limitPrice: orderData.limitPrice,
+        postOnly: orderData.postOnly,
+      });
 
       const clientOrderId = `cerebro-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 
@@ -174,137 +232,86 @@ export default function useOrders() {
   }, [validateOrder, placeOrder]);
 
   // =========================================================================
-  //  Paper order simulation
+  //  Bracket: entry + exchange-held take-profit / stop-loss
   // =========================================================================
-  function simulatePaperOrder(orderData) {
+  const submitBracketOrder = useCallback(async (orderData) => {
     const store = useStore.getState();
-
-    // Get current price
     const pair = orderData.pair || store.activePair;
-    let fillPrice;
-
-    if (orderData.orderType === 'limit') {
-      fillPrice = parseFloat(orderData.limitPrice);
-    } else {
-      // Market order: use current ticker price with slippage
-      const tickers = store.tickers || {};
-      const candles = store.candles || [];
-      const currentPrice = tickers[pair]?.price ||
-        (candles.length > 0 ? candles[candles.length - 1].close : null);
-
-      if (currentPrice == null) {
-        if (typeof store.addToast === 'function') {
-          store.addToast({ type: 'error', message: 'No price data available for paper order', timestamp: Date.now() });
-        }
-        return { success: false, errors: ['No price data available'] };
-      }
+    const refPrice = orderData.limitPrice || store.tickers?.[pair]?.price;
 
-      // Apply slippage
-      fillPrice = orderData.side === 'BUY'
-        ? currentPrice * (1 + SLIPPAGE_PCT / 100)
-        : currentPrice * (1 - SLIPPAGE_PCT / 100);
-    }
-
-    const qty = orderData.baseSize || (orderData.quoteSize / fillPrice);
-    const notionalValue = qty * fillPrice;
-    const fees = notionalValue * (TAKER_FEE_PCT / 10000); // TAKER_FEE_PCT is in basis points (0.6 = 0.006%)
-
-    // Check paper balance
-    const paperBal = store.paperPortfolio?.balance || store.paperBalance || 0;
-    if (orderData.side === 'BUY' && notionalValue + fees > paperBal) {
-      if (typeof store.addToast === 'function') {
-        store.addToast({ type: 'error', message: 'Insufficient paper balance', timestamp: Date.now() });
-      }
-      return { success: false, errors: ['Insufficient paper balance'] };
+    const levelError = validateExitLevels({
+      price: refPrice,
+      takeProfit: orderData.takeProfit,
+      stopLoss: orderData.stopLoss,
+    });
+    const validation = validateOrder(orderData);
+    const errors = [...(levelError ? [levelError] : []), ...validation.errors];
+    if (errors.length > 0) {
+      store.addToast({ type: 'error', message: `Order rejected: ${errors.join('; ')}`, timestamp: Date.now() });
+      return { success: false, errors };
     }
 
-    // Create position from order
-    const positionId = `paper-pos-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-
-    // Calculate SL/TP levels
-    const riskSettings = store.riskSettings || RISK_DEFAULTS;
-    const riskPerShare = fillPrice * (riskSettings.stopLossPct / 100);
-    const stopLoss = orderData.side === 'BUY'
-      ? fillPrice - riskPerShare
-      : fillPrice + riskPerShare;
-    const tp1Price = orderData.side === 'BUY'
-      ? fillPrice + riskPerShare * riskSettings.tp1R
-      : fillPrice - riskPerShare * riskSettings.tp1R;
-    const tp2Price = orderData.side === 'BUY'
-      ? fillPrice + riskPerShare * riskSettings.tp2R
-      : fillPrice - riskPerShare * riskSettings.tp2R;
-
-    const position = {
-      id: positionId,
-      pair,
-      direction: orderData.side === 'BUY' ? 'long' : 'short',
-      entryPrice: fillPrice,
-      qty,
-      notionalValue,
-      fees,
-      stopLoss: orderData.stopLoss || stopLoss,
-      tp1Price: orderData.tp1Price || tp1Price,
-      tp2Price: orderData.tp2Price || tp2Price,
-      tp1Hit: false,
-      trailingActive: false,
-      trailingStop: null,
-      trailingStopDistance: riskPerShare,
-      strategy: orderData.strategy || 'manual',
-      entryTime: Date.now(),
-      status: 'open',
-      mode: 'paper',
-    };
-
-    // Update paper balance
-    const currentPaperBal = store.paperPortfolio?.balance || store.paperBalance || 0;
-    const cost = orderData.side === 'BUY' ? notionalValue + fees : -notionalValue + fees;
-    if (typeof store.updatePaperPortfolio === 'function') {
-      store.updatePaperPortfolio({ balance: currentPaperBal - cost });
-    } else if (typeof store.setPaperBalance === 'function') {
-      store.setPaperBalance(currentPaperBal - cost);
+    try {
+      const group = await placeBracket({ ...orderData, pair });
+      store.addToast({
+        type: 'success',
+        message: `Bracket placed: ${pair} TP $${orderData.takeProfit} / SL $${orderData.stopLoss}`,
+        timestamp: Date.now(),
+      });
+      return { success: true, orderId: group.entryOrderId, groupId: group.id };
+    } catch (error) {
+      store.addToast({ type: 'error', message: `Bracket failed: ${error.message}`, timestamp: Date.now() });
+      return { success: false, errors: [error.message] };
     }
+  }, [validateOrder]);
 
-    // Add position to store
-    if (typeof store.addPosition === 'function') {
-      store.addPosition(position);
+  // =========================================================================
+  //  OCO: protect an existing holding
+  // =========================================================================
+  const submitOcoOrder = useCallback(async ({ pair, baseSize, takeProfit, stopLoss, positionId, entryPrice }) => {
+    const store = useStore.getState();
+    const levelError = validateExitLevels({ price: store.tickers?.[pair]?.price, takeProfit, stopLoss })
+      || (!(baseSize > 0) ? 'Please enter a valid amount' : '');
+    if (levelError) {
+      store.addToast({ type: 'error', message: `Order rejected: ${levelError}`, timestamp: Date.now() });
+      return { success: false, errors: [levelError] };
     }
 
-    if (typeof store.addToast === 'function') {
+    try {
+      const group = await placeOco({ pair, baseSize, takeProfit, stopLoss, positionId, entryPrice });
       store.addToast({
-        type: 'info',
-        message: `Paper ${orderData.side}: ${qty.toFixed(6)} ${pair} @ $${fillPrice.toFixed(2)}`,
+        type: 'success',
+        message: `OCO placed: ${baseSize} ${pair} TP $${takeProfit} / SL $${stopLoss}`,
         timestamp: Date.now(),
       });
+      return { success: true, orderId: group.exitOrderId, groupId: group.id };
+    } catch (error) {
+      store.addToast({ type: 'error', message: `OCO failed: ${error.message}`, timestamp: Date.now() });
+      return { success: false, errors: [error.message] };
     }
+  }, []);
 
-    return { success: true, orderId: positionId, paper: true };
-  }
+  const cancelOrderGroup = useCallback(async (groupId) => {
+    try {
+      await cancelGroup(groupId);
+      return { success: true };
+    } catch (error) {
+      useStore.getState().addToast({ type: 'error', message: `Cancel failed: ${error.message}`, timestamp: Date.now() });
+      return { success: false, errors: [error.message] };
+    }
+  }, []);
 
   // =========================================================================
   //  Cancel an order
   // =========================================================================
   const cancelOrder = useCallback(async (orderId) => {
-    const store = useStore.getState();
-    const isPaper = store.tradingMode === 'paper';
-
     // Clear timeout if exists
     if (timeoutsRef.current.has(orderId)) {
       clearTimeout(timeoutsRef.current.get(orderId));
       timeoutsRef.current.delete(orderId);
     }
 
-    if (isPaper) {
-      // Paper mode: remove from pending orders in store
-      if (typeof store.removePendingOrder === 'function') {
-        store.removePendingOrder(orderId);
-      }
-      if (typeof store.addToast === 'function') {
-        store.addToast({ type: 'info', message: `Paper order ${orderId} cancelled`, timestamp: Date.now() });
-      }
-      return { success: true };
-    }
-
-    // Live mode
+    // Paper orders rest on the paper engine, so both modes cancel through the proxy
     return cancelOrderREST(orderId);
   }, [cancelOrderREST]);
 
@@ -376,11 +383,16 @@ export default function useOrders() {
   // Read from store
   const pendingOrders = useStore((s) => s.pendingOrders || []);
   const orderHistory = useStore((s) => s.orders || []);
+  const orderGroups = useStore((s) => s.orderGroups);
 
   return {
     submitOrder,
+    submitBracketOrder,
+    submitOcoOrder,
     cancelOrder,
+    cancelOrderGroup,
     pendingOrders,
     orderHistory,
+    orderGroups,
   };
 }
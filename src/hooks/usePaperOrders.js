@@ -0,0 +1,41 @@
+/* ============================================================
+   Cerebro Crypto — usePaperOrders Hook
+   ============================================================
+   Keeps paper-mode entries and closes in step with the
+   proxy's paper engine. Working orders are synced from REST
+   on start and on switching to paper mode — they may have
+   filled while the tab was closed — and again whenever a
+   `user` channel update changes one's status or fill.
+   ============================================================ */
+
+import { useEffect } from 'react';
+import useStore from '../store';
+import { syncPaperOrder } from '../services/paperOrders.js';
+
+const fillState = (o) => `${o.status}|${o.filled_size}`;
+
+export default function usePaperOrders() {
+  useEffect(() => {
+    const syncAll = (state) => {
+      // The records live on the paper engine, which live mode doesn't reach
+      if (state.tradingMode !== 'paper') return;
+      state.paperOrders.forEach((o) => syncPaperOrder(o.id));
+    };
+    syncAll(useStore.getState());
+
+    const unsub = useStore.subscribe((state, prev) => {
+      if (state.tradingMode !== prev.tradingMode) {
+        syncAll(state);
+        return;
+      }
+      if (state.tradingMode !== 'paper' || state.orders === prev.orders) return;
+
+      const before = new Map(prev.orders.map((o) => [o.order_id, fillState(o)]));
+      const changed = new Set(
+        state.orders.filter((o) => before.get(o.order_id) !== fillState(o)).map((o) => o.order_id)
+      );
+      state.paperOrders.filter((o) => changed.has(o.id)).forEach((o) => syncPaperOrder(o.id));
+    });
+    return unsub;
+  }, []);
+}
@@ -304,6 +304,8 @@ export default function usePaperTrading() {
 
       for (const pos of paperPositions) {
         if (pos.status !== 'open') continue;
+        // Bracket / OCO exits are matched by the proxy's paper engine
+        if (pos.orderGroupId) continue;
         const currentPrice = getCurrentPrice(pos.pair);
         if (currentPrice == null) continue;
 
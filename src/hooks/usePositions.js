@@ -8,7 +8,8 @@
 import { useEffect, useRef, useCallback } from 'react';
 import useStore from '../store';
 import { coinbaseREST } from '../services/coinbaseREST';
-import { RISK_DEFAULTS, SLIPPAGE_PCT } from '../config/constants';
+import { SLIPPAGE_PCT } from '../config/constants';
+import { markToMarket, checkPositionExit } from '../engine/positionMonitor.js';
 
 /**
  * Hook for managing positions with real-time P&L monitoring
@@ -55,20 +56,12 @@ export default function usePositions() {
       const currentPrice = getCurrentPrice(pos.pair);
       if (currentPrice == null) return pos;
 
-      const direction = pos.direction === 'short' ? -1 : 1;
-      const unrealizedPnL = direction * (currentPrice - pos.entryPrice) * pos.qty;
-      const unrealizedPnLPct = direction * ((currentPrice - pos.entryPrice) / pos.entryPrice) * 100;
-
-      if (pos.unrealizedPnL !== unrealizedPnL) {
+      const marked = markToMarket(pos, currentPrice);
+      if (pos.unrealizedPnL !== marked.unrealizedPnL) {
         updated = true;
       }
 
-      return {
-        ...pos,
-        currentPrice,
-        unrealizedPnL: parseFloat(unrealizedPnL.toFixed(2)),
-        unrealizedPnLPct: parseFloat(unrealizedPnLPct.toFixed(2)),
-      };
+      return { ...pos, ...marked };
     });
 
     if (updated && typeof store.setPositions === 'function') {
@@ -85,78 +78,14 @@ export default function usePositions() {
     const isPaper = store.tradingMode === 'paper';
 
     for (const pos of positions) {
-      if (pos.status !== 'open') continue;
-
-      const currentPrice = getCurrentPrice(pos.pair);
-      if (currentPrice == null) continue;
-
-      const isLong = pos.direction !== 'short';
-
-      // Check stop-loss
-      if (pos.stopLoss != null) {
-        const stopHit = isLong
-          ? currentPrice <= pos.stopLoss
-          : currentPrice >= pos.stopLoss;
-
-        if (stopHit) {
-          await executeExit(pos, pos.stopLoss, 'Stop-loss triggered', pos.qty, isPaper);
-          continue;
-        }
-      }
-
-      // Check TP1 (partial close: 50%)
-      if (!pos.tp1Hit && pos.tp1Price != null) {
-        const tp1Hit = isLong
-          ? currentPrice >= pos.tp1Price
-          : currentPrice <= pos.tp1Price;
-
-        if (tp1Hit) {
-          const closeQty = pos.qty * 0.5;
-          await executeExit(pos, pos.tp1Price, 'TP1 hit (1.5R)', closeQty, isPaper);
+      const check = checkPositionExit(pos, getCurrentPrice(pos.pair));
+      if (!check) continue;
 
-          // Mark TP1 as hit, move stop to break-even, activate trailing
-          if (typeof store.updatePosition === 'function') {
-            store.updatePosition(pos.id, {
-              tp1Hit: true,
-              qty: pos.qty - closeQty,
-              stopLoss: pos.entryPrice, // Move to break-even
-              trailingActive: true,
-            });
-          }
-          continue;
-        }
-      }
-
-      // Check TP2 (close remainder)
-      if (pos.tp1Hit && pos.tp2Price != null) {
-        const tp2Hit = isLong
-          ? currentPrice >= pos.tp2Price
-          : currentPrice <= pos.tp2Price;
-
-        if (tp2Hit) {
-          await executeExit(pos, pos.tp2Price, 'TP2 hit (3R)', pos.qty, isPaper);
-          continue;
-        }
+      if (check.action === 'exit') {
+        await executeExit(pos, check.price, check.reason, check.qty, isPaper);
       }
-
-      // Trailing stop (active after TP1)
-      if (pos.tp1Hit && pos.trailingActive && pos.trailingStop != null) {
-        // Update trailing stop level
-        if (isLong && currentPrice - pos.trailingStopDistance > pos.trailingStop) {
-          if (typeof store.updatePosition === 'function') {
-            store.updatePosition(pos.id, {
-              trailingStop: currentPrice - pos.trailingStopDistance,
-            });
-          }
-        }
-
-        const trailingHit = isLong
-          ? currentPrice <= pos.trailingStop
-          : currentPrice >= pos.trailingStop;
-
-        if (trailingHit) {
-          await executeExit(pos, pos.trailingStop, 'Trailing stop triggered', pos.qty, isPaper);
-        }
+      if (check.updates && typeof store.updatePosition === 'function') {
+        store.updatePosition(pos.id, check.updates);
       }
     }
   }, [getCurrentPrice]);
@@ -49,35 +49,15 @@ export default function useRegimeDetection() {
         setReasons(newReasons);
         setLastUpdate(now);
 
-        // Update store
+        // Update store on change — setRegime also appends regimeHistory;
+        // useAlertEngine watches currentRegime for regime_change alerts
         const store = useStore.getState();
-        if (typeof store.setCurrentRegime === 'function') {
-          store.setCurrentRegime(newRegime);
+        if (store.currentRegime !== newRegime) {
+          store.setRegime(newRegime, now);
         }
 
         // Log regime change if different from previous
         if (prevRegimeRef.current != null && prevRegimeRef.current !== newRegime) {
-          if (typeof store.addRegimeHistoryEntry === 'function') {
-            store.addRegimeHistoryEntry({
-              from: prevRegimeRef.current,
-              to: newRegime,
-              reasons: newReasons,
-              timestamp: now,
-            });
-          }
-
-          // Also add to alert log
-          if (typeof store.addAlertLogEntry === 'function') {
-            store.addAlertLogEntry({
-              id: `regime-${now}`,
-              type: 'regime_change',
-              message: `Regime changed: ${prevRegimeRef.current} -> ${newRegime}`,
-              reasons: newReasons,
-              timestamp: now,
-              pair: store.activePair,
-            });
-          }
-
           console.log(
             `[Regime] Changed: ${prevRegimeRef.current} -> ${newRegime}`,
             newReasons
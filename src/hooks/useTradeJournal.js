@@ -0,0 +1,15 @@
+/* ============================================================
+   Cerebro Crypto — useTradeJournal Hook
+   ============================================================
+   Captures journal snapshots (chart, HYDRA scores, VIPER
+   mode) as positions open and close while the app is open.
+   Notes and tags are edited in the Trade Log.
+   ============================================================ */
+
+import { useEffect } from 'react';
+import useStore from '../store';
+import { bindTradeJournal } from '../services/tradeJournal.js';
+
+export default function useTradeJournal() {
+  useEffect(() => bindTradeJournal(useStore), []);
+}
@@ -1,8 +1,11 @@
 /* ============================================================
    Cerebro Crypto — AI Chat Service
    ============================================================
-   Proxies requests to Claude or OpenAI through the backend so
-   API keys are never exposed client-side.
+   Proxies requests to Claude, OpenAI or the offline mock
+   provider through the backend (/api/ai/chat), so API keys
+   are never exposed client-side — they live in the proxy's
+   .env. Supports plain JSON replies, SSE streaming and
+   tool calls (executed by the caller, see aiTools.js).
    ============================================================ */
 
 import axios from 'axios';
@@ -15,11 +18,46 @@ const api = axios.create({
 
 /**
  * @typedef {Object} AIChatSettings
- * @property {'claude'|'openai'} provider
- * @property {string}            apiKey   - stored server-side; sent only on first config
- * @property {string}            model    - e.g. 'claude-sonnet-4-20250514' or 'gpt-4o'
+ * @property {'claude'|'openai'|'mock'} provider
+ * @property {string}                   model    - e.g. 'claude-sonnet-4-20250514' or 'gpt-4o'
+ * @property {Object[]}                 [tools]  - { name, description, parameters } offered to the model
  */
 
+/**
+ * Error raised when the proxy has no key for the chosen provider
+ * (503) or the AI route is unreachable; callers can fall back to
+ * local responses.
+ */
+export class AIUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AIUnavailableError';
+  }
+}
+
+/**
+ * Split an SSE text buffer into complete events.
+ * @returns {{ events: Array<{event: string, data: Object}>, rest: string }}
+ */
+function parseSSEBuffer(buffer) {
+  const events = [];
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop();
+
+  for (const block of blocks) {
+    let event = 'message';
+    let data = '';
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    try {
+      events.push({ event, data: JSON.parse(data) });
+    } catch { /* ignore malformed events */ }
+  }
+  return { events, rest };
+}
+
 export const aiService = {
   /**
    * Send a chat message and return the assistant response.
@@ -29,16 +67,7 @@ export const aiService = {
    * @returns {Promise<{role: string, content: string}>}
    */
   sendMessage: async (messages, settings = {}) => {
-    const { provider, apiKey, model } = settings;
-
-    // If no provider/key is configured, return a helpful placeholder
-    if (!provider || !apiKey) {
-      return {
-        role: 'assistant',
-        content:
-          'AI service not yet configured. Add your API key in Settings.',
-      };
-    }
+    const { provider = 'claude', model } = settings;
 
     try {
       const response = await api.post('/ai/chat', {
@@ -63,6 +92,71 @@ export const aiService = {
       };
     }
   },
+
+  /**
+   * Stream a chat response over SSE, calling onDelta with each text chunk.
+   * Tool calls the model makes are returned for the caller to execute.
+   * Throws AIUnavailableError when the provider isn't configured on the
+   * proxy or the route can't be reached.
+   *
+   * @param {Object[]} messages - neutral chat messages (see server/ai/index.js)
+   * @param {AIChatSettings} settings
+   * @param {(text: string) => void} onDelta
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{role: string, content: string, toolCalls: Object[], usage: Object|null}>}
+   */
+  streamMessage: async (messages, settings = {}, onDelta = () => {}, signal) => {
+    const { provider = 'claude', model, tools } = settings;
+
+    let response;
+    try {
+      response = await fetch('/api/ai/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+        body: JSON.stringify({ provider, model, messages, tools, stream: true }),
+        signal,
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      throw new AIUnavailableError(`AI proxy unreachable: ${err.message}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const message = body.error || `AI service returned ${response.status}`;
+      if (response.status === 503 || response.status === 404) throw new AIUnavailableError(message);
+      throw new Error(message);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    let toolCalls = [];
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const parsed = parseSSEBuffer(buffer);
+      buffer = parsed.rest;
+      for (const { event, data } of parsed.events) {
+        if (event === 'delta') {
+          content += data.content;
+          onDelta(data.content);
+        } else if (event === 'done') {
+          usage = data.usage || null;
+          toolCalls = data.toolCalls || [];
+        } else if (event === 'error') {
+          throw new Error(data.error || 'AI stream error');
+        }
+      }
+    }
+
+    return { role: 'assistant', content, toolCalls, usage };
+  },
 };
 
 export default aiService;
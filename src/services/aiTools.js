@@ -0,0 +1,365 @@
+/* ============================================================
+   Cerebro Crypto — AI Assistant Trading Context & Tools
+   ============================================================
+   Gives the assistant structured, read-only access to engine
+   state instead of a prose summary:
+     - buildTradingSnapshot(): HYDRA score breakdown, VIPER mode
+       scores, open positions, risk settings, recent engine log
+       and signal history as one JSON-able object.
+     - AI_TOOL_DEFINITIONS / runAITool(): tools the model can
+       call mid-conversation. None of them place orders or
+       change settings.
+   Tool results are { summary, data }: the summary is shown in
+   the chat, the data is sent back to the model.
+   ============================================================ */
+
+import useStore from '../store';
+import { getSignals } from '../db/indexedDB.js';
+import { systemClock, getUTCDay } from '../utils/clock.js';
+import { portfolioRiskFromState } from '../utils/portfolioRisk.js';
+
+const SNAPSHOT_LOG_ENTRIES = 15;
+const SNAPSHOT_SIGNALS = 10;
+const BACKTEST_MIN_BARS = 250;
+const BACKTEST_MAX_BARS = 5000;
+const BACKTEST_TIMEOUT_MS = 60000;
+
+const round = (v, dp = 2) => (typeof v === 'number' && Number.isFinite(v) ? parseFloat(v.toFixed(dp)) : v ?? null);
+
+function openPositions(state) {
+  const list = state.tradingMode === 'paper' ? (state.paperPortfolio.positions || []) : state.positions;
+  return list.map((p) => ({
+    pair: p.pair,
+    direction: p.direction || 'long',
+    strategy: p.strategy || null,
+    entryPrice: p.entryPrice,
+    qty: p.qty ?? p.quantity,
+    stopLoss: p.stopLoss ?? null,
+    tp1Price: p.tp1Price ?? p.tp1 ?? null,
+    tp2Price: p.tp2Price ?? p.tp2 ?? null,
+    tp1Hit: !!p.tp1Hit,
+    currentPrice: state.tickers[p.pair]?.price ?? null,
+    entryTime: p.entryTime ?? null,
+  }));
+}
+
+function hydraDimensions(score) {
+  if (!score) return null;
+  const dims = {};
+  for (const key of ['d1', 'd2', 'd3', 'd4', 'd5']) {
+    if (score[key]) dims[key] = { score: score[key].score, detail: score[key].detail ?? null };
+  }
+  if (dims.d1 && score.d1.timeframes) dims.d1.timeframes = score.d1.timeframes;
+  return dims;
+}
+
+/** Budget utilisation, VaR and exposure per asset — the Portfolio Risk panel in brief. */
+function portfolioRiskSummary(state) {
+  const report = portfolioRiskFromState(state);
+  return {
+    openRisk: round(report.openRisk),
+    budgetUSD: round(report.budgetUSD),
+    utilisationPct: round(report.utilisationPct),
+    varPct: round(report.var.pct),
+    varLimitPct: report.var.limitPct,
+    grossExposure: round(report.grossExposure),
+    netExposure: round(report.netExposure),
+    byAsset: report.byAsset.map((g) => ({ asset: g.asset, pct: round(g.pct), risk: round(g.risk) })),
+  };
+}
+
+/**
+ * Snapshot the trading state the assistant reasons over.
+ *
+ * @returns {Object} JSON-serialisable snapshot
+ */
+export function buildTradingSnapshot() {
+  const state = useStore.getState();
+  const pair = state.activePair;
+  const ticker = state.tickers[pair] || {};
+
+  return {
+    timestamp: new Date(systemClock.now()).toISOString(),
+    tradingMode: state.tradingMode,
+    botRunning: state.botRunning,
+    engineStatus: state.engineStatus,
+    market: {
+      pair,
+      price: ticker.price ?? null,
+      change24h: round(ticker.change24h),
+      regime: state.currentRegime,
+      spread: state.spreads[pair] ?? null,
+      tradeFlow: state.tradeFlow,
+    },
+    hydra: {
+      score: state.hydraScore?.totalScore ?? null,
+      entryThreshold: state.hydraEntryThreshold,
+      spreadBlocked: !!state.hydraScore?.spreadBlocked,
+      dimensions: hydraDimensions(state.hydraScore),
+      dailyPnL: round(state.hydraDailyPnL),
+      dailyLossLimitPct: state.hydraDailyLossLimit,
+      settings: state.hydraSettings,
+    },
+    viper: {
+      enabled: state.viperEnabled,
+      activeMode: state.viperActiveMode,
+      modeScores: state.viperModeScores,
+      ratchetLevel: state.viperRatchetLevel,
+      dailyPnL: round(state.viperDailyPnL),
+      dailyTrades: state.viperDailyTrades,
+    },
+    positions: openPositions(state),
+    portfolio: state.tradingMode === 'paper'
+      ? { balance: round(state.paperPortfolio.balance), startingBalance: state.paperPortfolio.startingBalance }
+      : state.portfolio,
+    risk: { ...state.riskSettings, maxConcurrentPositions: state.maxConcurrentPositions },
+    portfolioRisk: portfolioRiskSummary(state),
+    recentEngineLog: state.engineLog.slice(0, SNAPSHOT_LOG_ENTRIES),
+    recentSignals: state.signalHistory.slice(0, SNAPSHOT_SIGNALS),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Tools
+// ---------------------------------------------------------------------------
+
+/**
+ * Tool schemas offered to the model (JSON Schema parameters).
+ */
+export const AI_TOOL_DEFINITIONS = [
+  {
+    name: 'get_trading_snapshot',
+    description: 'Get the current trading snapshot: HYDRA score breakdown (d1-d5), VIPER mode scores, open positions, risk settings, portfolio risk budget and exposure, recent engine log and signals.',
+    parameters: { type: 'object', properties: {} },
+  },
+  {
+    name: 'explain_last_rejection',
+    description: 'Explain the most recent blocked or rejected signal: the block reason and the risk stage that made it, the signal it stopped, and the current score versus thresholds.',
+    parameters: {
+      type: 'object',
+      properties: {
+        strategy: { type: 'string', enum: ['hydra', 'viper'], description: 'Only consider this strategy' },
+      },
+    },
+  },
+  {
+    name: 'summarize_todays_trades',
+    description: 'Summarise trades closed today (UTC): count, win rate, net P&L, fees, and breakdowns by strategy and pair.',
+    parameters: { type: 'object', properties: {} },
+  },
+  {
+    name: 'run_quick_backtest',
+    description: 'Run a quick backtest on candles already loaded in the app and return the headline stats.',
+    parameters: {
+      type: 'object',
+      properties: {
+        strategy: { type: 'string', enum: ['hydra', 'viper'], description: 'Defaults to hydra' },
+        pair: { type: 'string', description: 'Defaults to the active pair' },
+        timeframe: { type: 'string', description: 'e.g. ONE_MINUTE, FIVE_MINUTE; defaults to the active timeframe' },
+        bars: { type: 'number', description: `Most recent bars to test (${BACKTEST_MIN_BARS}-${BACKTEST_MAX_BARS})` },
+      },
+    },
+  },
+];
+
+async function getTradingSnapshot() {
+  const snapshot = buildTradingSnapshot();
+  return {
+    summary: `Snapshot: ${snapshot.market.pair} ${snapshot.market.regime}, HYDRA ${snapshot.hydra.score ?? 'n/a'}/${snapshot.hydra.entryThreshold}, ${snapshot.positions.length} open position(s)`,
+    data: snapshot,
+  };
+}
+
+async function explainLastRejection({ strategy } = {}) {
+  const state = useStore.getState();
+  const matches = (e) => !strategy || e.strategy === strategy;
+
+  // engineLog is newest-first, so the signal a block stopped comes after it
+  const blockedIdx = state.engineLog.findIndex((e) => e.type === 'BLOCKED' && matches(e));
+  const blocked = blockedIdx >= 0 ? state.engineLog[blockedIdx] : null;
+  const precedingSignal = blocked
+    ? state.engineLog.slice(blockedIdx + 1).find((e) => e.type === 'SIGNAL' && (!blocked.strategy || e.strategy === blocked.strategy)) || null
+    : null;
+
+  const persisted = await getSignals(strategy ? { strategy } : {}).catch(() => []);
+  const lastPersisted = persisted.find((s) => s.executed === false) || null;
+
+  // The pipeline trace of the latest block: which stage stopped it, and what each stage decided
+  const riskDecision = state.riskDecisions.find((d) => d.outcome === 'blocked' && matches(d)) || null;
+
+  const data = {
+    blocked,
+    riskDecision,
+    precedingSignal,
+    persistedRejection: lastPersisted,
+    current: {
+      hydraScore: state.hydraScore?.totalScore ?? null,
+      hydraEntryThreshold: state.hydraEntryThreshold,
+      spreadBlocked: !!state.hydraScore?.spreadBlocked,
+      dimensions: hydraDimensions(state.hydraScore),
+      viperModeScores: state.viperModeScores,
+      viperRatchetLevel: state.viperRatchetLevel,
+      openPositions: openPositions(state).length,
+      maxConcurrentPositions: state.maxConcurrentPositions,
+    },
+  };
+
+  if (!blocked && !lastPersisted) {
+    return { summary: 'No rejected signals recorded this session', data };
+  }
+  const reason = blocked?.message || lastPersisted?.blockedReason || 'unknown reason';
+  const who = blocked?.strategy || lastPersisted?.strategy || 'engine';
+  return { summary: `Last rejection (${who}): ${reason}`, data };
+}
+
+function groupPnL(trades, key) {
+  return trades.reduce((acc, t) => {
+    const k = t[key] || 'unknown';
+    const g = acc[k] || (acc[k] = { trades: 0, pnl: 0 });
+    g.trades++;
+    g.pnl = round(g.pnl + t.pnl);
+    return acc;
+  }, {});
+}
+
+async function summarizeTodaysTrades() {
+  const state = useStore.getState();
+  const today = getUTCDay(systemClock.now());
+  const source = state.tradingMode === 'paper' ? (state.paperPortfolio.trades || []) : state.orderHistory;
+
+  const trades = source
+    .map((t) => ({
+      pair: t.pair,
+      strategy: t.strategy || 'manual',
+      pnl: t.realizedPnL ?? t.pnl ?? 0,
+      fees: t.fees || 0,
+      reason: t.reason || null,
+      time: t.exitTime || t.timestamp,
+    }))
+    .filter((t) => t.time && getUTCDay(new Date(t.time).getTime()) === today);
+
+  const wins = trades.filter((t) => t.pnl > 0).length;
+  const netPnL = trades.reduce((s, t) => s + t.pnl, 0);
+  const sorted = [...trades].sort((a, b) => b.pnl - a.pnl);
+
+  const data = {
+    day: today,
+    mode: state.tradingMode,
+    trades: trades.length,
+    wins,
+    losses: trades.length - wins,
+    winRate: trades.length > 0 ? round((wins / trades.length) * 100, 1) : 0,
+    netPnL: round(netPnL),
+    fees: round(trades.reduce((s, t) => s + t.fees, 0)),
+    byStrategy: groupPnL(trades, 'strategy'),
+    byPair: groupPnL(trades, 'pair'),
+    best: sorted[0] || null,
+    worst: sorted.length > 1 ? sorted[sorted.length - 1] : null,
+  };
+
+  return {
+    summary: trades.length === 0
+      ? `No trades closed today (${today} UTC)`
+      : `${trades.length} trade(s) today, ${data.winRate}% wins, net $${data.netPnL}`,
+    data,
+  };
+}
+
+/**
+ * Run one backtest on a throwaway worker so it can't clash with a run
+ * the Backtest panel has in flight.
+ */
+function backtestInWorker(payload) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../workers/backtest.worker.js', import.meta.url), { type: 'module' });
+    const finish = (fn, value) => {
+      clearTimeout(timer);
+      worker.terminate();
+      fn(value);
+    };
+    const timer = setTimeout(() => finish(reject, new Error('Backtest timed out')), BACKTEST_TIMEOUT_MS);
+
+    worker.onmessage = (event) => {
+      const { type, payload: result } = event.data;
+      if (type === 'BACKTEST_RESULT') finish(resolve, result);
+      else if (type === 'ERROR') finish(reject, new Error(result.message));
+    };
+    worker.onerror = (err) => finish(reject, new Error(err.message || 'Backtest worker error'));
+    worker.postMessage({ type: 'RUN_BACKTEST', payload });
+  });
+}
+
+async function runQuickBacktest({ strategy = 'hydra', pair, timeframe, bars = 1000 } = {}) {
+  const state = useStore.getState();
+  const targetPair = pair || state.activePair;
+  const tf = timeframe || state.activeTimeframe;
+  const loaded = targetPair === state.activePair
+    ? state.candles[tf] || []
+    : state.scannerCandles[targetPair]?.[tf] || [];
+
+  const count = Math.min(BACKTEST_MAX_BARS, Math.max(BACKTEST_MIN_BARS, Math.round(bars) || 0));
+  const candles = loaded.slice(-count);
+  if (candles.length < BACKTEST_MIN_BARS) {
+    return {
+      summary: `Not enough ${targetPair} ${tf} candles loaded (${candles.length}/${BACKTEST_MIN_BARS})`,
+      data: { error: 'insufficient_data', pair: targetPair, timeframe: tf, bars: candles.length },
+    };
+  }
+
+  const result = await backtestInWorker({
+    candles,
+    strategy,
+    pair: targetPair,
+    startingCapital: 25000,
+    riskSettings: state.riskSettings,
+    hydraSettings: state.hydraSettings,
+    entryThreshold: state.hydraEntryThreshold,
+    dailyLossLimitPct: state.hydraDailyLossLimit,
+    overnightCutoffHourUTC: state.viperSettings?.overnightCutoffHourUTC,
+  });
+
+  const exitTypes = result.trades.reduce((acc, t) => {
+    acc[t.exitType] = (acc[t.exitType] || 0) + 1;
+    return acc;
+  }, {});
+  const { stats } = result;
+
+  return {
+    summary: `${strategy.toUpperCase()} on ${targetPair} ${tf} (${candles.length} bars): ${stats.totalTrades} trades, ${round(stats.winRate, 1)}% wins, ${round(stats.totalReturn)}% return`,
+    data: {
+      strategy,
+      pair: targetPair,
+      timeframe: tf,
+      bars: candles.length,
+      from: new Date(candles[0].timestamp).toISOString(),
+      to: new Date(candles[candles.length - 1].timestamp).toISOString(),
+      stats,
+      exitTypes,
+    },
+  };
+}
+
+const TOOL_HANDLERS = {
+  get_trading_snapshot: getTradingSnapshot,
+  explain_last_rejection: explainLastRejection,
+  summarize_todays_trades: summarizeTodaysTrades,
+  run_quick_backtest: runQuickBacktest,
+};
+
+/**
+ * Execute a tool call from the model. Failures are returned as results
+ * so the model can explain them rather than the conversation aborting.
+ *
+ * @param {string} name
+ * @param {Object} [args]
+ * @returns {Promise<{ summary: string, data: Object }>}
+ */
+export async function runAITool(name, args = {}) {
+  const handler = TOOL_HANDLERS[name];
+  if (!handler) return { summary: `Unknown tool: ${name}`, data: { error: `Unknown tool: ${name}` } };
+  try {
+    return await handler(args || {});
+  } catch (err) {
+    return { summary: `${name} failed: ${err.message}`, data: { error: err.message } };
+  }
+}
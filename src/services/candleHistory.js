@@ -0,0 +1,199 @@
+/* ============================================================
+   Cerebro Crypto — Candle History
+   ============================================================
+   Loads OHLCV history for a pair/timeframe/date range from
+   the IndexedDB cache first, downloading only what it is
+   missing. Coinbase returns at most 300 candles per request,
+   so a missing range is split into 300-candle pages:
+
+     requested  |==============================|
+     covered        |======|         |===|
+     downloaded |===|      |=========|   |=====|
+
+   Each page is merged into the cache (one row per candle
+   timestamp) and its range added to the pair/timeframe's
+   coverage, so gaps between earlier loads are back-filled
+   and an interrupted download resumes where it stopped.
+   The still-forming latest candle is never marked covered.
+   Requests from every caller share one pacing queue and
+   back off on 429s. Timeframes Coinbase has no granularity
+   for (4H, 1W) are paged through the proxy's /api/history,
+   which aggregates them from its candle store. Under the
+   proxy's sim exchange nothing is cached, so synthetic
+   candles never mix with real ones.
+   ============================================================ */
+
+import { coinbaseREST } from './coinbaseREST.js';
+import { timeframeMs, bucketStart, mergeRanges, missingRanges } from '../utils/candleSeries.js';
+import {
+  saveCandles,
+  getCandles as getCachedCandles,
+  getCandleCoverage,
+  saveCandleCoverage,
+} from '../db/indexedDB.js';
+
+// Timeframe label to Coinbase granularity; null where Coinbase has none and
+// the proxy's /api/history aggregates the bars instead
+export const GRANULARITY_MAP = {
+  ONE_MINUTE: 'ONE_MINUTE',
+  FIVE_MINUTE: 'FIVE_MINUTE',
+  FIFTEEN_MINUTE: 'FIFTEEN_MINUTE',
+  ONE_HOUR: 'ONE_HOUR',
+  FOUR_HOUR: null,
+  ONE_DAY: 'ONE_DAY',
+  ONE_WEEK: null,
+};
+
+export const MAX_CANDLES_PER_REQUEST = 300;
+
+/** Longest download allowed in one call (~36k candles). */
+const MAX_PAGES = 120;
+
+/** Minimum gap between candle requests, across all callers (Coinbase allows ~10/s). */
+const REQUEST_SPACING_MS = 250;
+
+/** Waits before retrying a rate-limited (429) or failed (5xx) page. */
+const RETRY_DELAYS_MS = [1000, 2000, 4000];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Normalise a Coinbase candles response to ascending { timestamp (ms), open, high, low, close, volume }. */
+export function normalizeCandles(response) {
+  const rawCandles = response?.candles || response || [];
+  return rawCandles.map((c) => ({
+    timestamp: parseInt(c.start, 10) * 1000,
+    open: parseFloat(c.open),
+    high: parseFloat(c.high),
+    low: parseFloat(c.low),
+    close: parseFloat(c.close),
+    volume: parseFloat(c.volume),
+  })).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// =========================================================================
+//  Request pacing
+// =========================================================================
+
+let nextSlot = 0;
+
+/** Wait for the next free request slot. */
+async function paced() {
+  const now = Date.now();
+  const at = Math.max(now, nextSlot);
+  nextSlot = at + REQUEST_SPACING_MS;
+  if (at > now) await sleep(at - now);
+}
+
+/** Fetch one page from Coinbase, or from /api/history when there is no granularity. */
+async function fetchPage(pair, timeframe, from, to) {
+  const granularity = timeframe in GRANULARITY_MAP ? GRANULARITY_MAP[timeframe] : timeframe;
+  if (!granularity) {
+    const response = await coinbaseREST.getHistory(pair, { tf: timeframe, from, to });
+    return response?.candles || [];
+  }
+  return normalizeCandles(await coinbaseREST.getProductCandles(pair, {
+    granularity,
+    start: Math.floor(from / 1000).toString(),
+    end: Math.floor(to / 1000).toString(),
+  }));
+}
+
+/** One page of candles, retried with backoff on 429 and 5xx. */
+async function requestPage(pair, timeframe, from, to) {
+  for (let attempt = 0; ; attempt++) {
+    await paced();
+    try {
+      return await fetchPage(pair, timeframe, from, to);
+    } catch (err) {
+      const retryable = err.status === 429 || err.status >= 500;
+      if (!retryable || attempt >= RETRY_DELAYS_MS.length) throw err;
+      // Push every queued request back, not just this one
+      nextSlot = Math.max(nextSlot, Date.now() + RETRY_DELAYS_MS[attempt]);
+    }
+  }
+}
+
+let simPromise = null;
+
+/** Whether the proxy is serving the sim exchange (resolved once). */
+function isSimExchange() {
+  if (!simPromise) {
+    simPromise = coinbaseREST.getHealth()
+      .then((health) => health?.exchange === 'sim')
+      .catch(() => {
+        simPromise = null;
+        return false;
+      });
+  }
+  return simPromise;
+}
+
+// =========================================================================
+//  History
+// =========================================================================
+
+/**
+ * Candles for [start, end], served from the cache and topped up from
+ * Coinbase for any range not downloaded before.
+ * @param {string} pair
+ * @param {string} timeframe - TIMEFRAMES value
+ * @param {number} start - ms
+ * @param {number} end - ms (clamped to now)
+ * @param {Object} [opts]
+ * @param {(page: number, pages: number) => void} [opts.onProgress] - after each downloaded page
+ * @returns {Promise<Object[]>} ascending candles
+ */
+export async function fetchCandleHistory(pair, timeframe, start, end, { onProgress } = {}) {
+  const stepMs = timeframeMs(timeframe) || 60000;
+  const now = Date.now();
+  const from = bucketStart(start, stepMs);
+  const to = bucketStart(Math.min(end, now), stepMs);
+  // Start of the newest candle that can no longer change
+  const lastClosed = bucketStart(now, stepMs) - stepMs;
+
+  const useCache = !(await isSimExchange());
+  const covered = useCache ? await getCandleCoverage(pair, timeframe).catch(() => []) : [];
+  const missing = missingRanges(from, to, covered, stepMs);
+
+  const pageSpan = stepMs * MAX_CANDLES_PER_REQUEST;
+  const pages = [];
+  for (const gap of missing) {
+    for (let p = gap.from; p <= gap.to; p += pageSpan) {
+      pages.push({ from: p, to: Math.min(p + pageSpan - stepMs, gap.to) });
+    }
+  }
+  if (pages.length > MAX_PAGES) {
+    throw new Error(`Range needs ${pages.length} requests (max ${MAX_PAGES}) — shorten it or use a higher timeframe`);
+  }
+
+  const downloaded = [];
+  let coverage = covered;
+  for (let i = 0; i < pages.length; i++) {
+    const page = pages[i];
+    // End on the last second of the page's final candle
+    const candles = await requestPage(pair, timeframe, page.from, page.to + stepMs - 1000);
+
+    if (useCache) {
+      try {
+        await saveCandles(pair, timeframe, candles);
+        if (page.from <= lastClosed) {
+          coverage = mergeRanges([...coverage, { from: page.from, to: Math.min(page.to, lastClosed) }], stepMs);
+          await saveCandleCoverage(pair, timeframe, coverage);
+        }
+      } catch (cacheError) {
+        console.warn('[History] Failed to cache candles:', cacheError);
+      }
+    }
+    downloaded.push(...candles);
+    if (onProgress) onProgress(i + 1, pages.length);
+  }
+
+  const cached = useCache && covered.length > 0
+    ? await getCachedCandles(pair, timeframe, from, to + stepMs - 1).catch(() => [])
+    : [];
+  const byTimestamp = new Map(cached.map((c) => [c.timestamp, c]));
+  for (const c of downloaded) {
+    if (c.timestamp >= from && c.timestamp <= to) byTimestamp.set(c.timestamp, c);
+  }
+  return [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
@@ -2,10 +2,13 @@
    Cerebro Crypto — Coinbase Advanced Trade REST Client
    ============================================================
    All requests are proxied through the local Express server
-   so that API keys never leave the backend.
+   so that API keys never leave the backend. In paper mode
+   every request is marked paper, so orders always reach the
+   proxy's paper engine.
    ============================================================ */
 
 import axios from 'axios';
+import useStore from '../store';
 
 const api = axios.create({
   baseURL: '/api',
@@ -13,6 +16,16 @@ const api = axios.create({
   headers: { 'Content-Type': 'application/json' },
 });
 
+// ---------------------------------------------------------------------------
+// Request interceptor – pin paper mode on the proxy while the app is in it
+// ---------------------------------------------------------------------------
+api.interceptors.request.use((config) => {
+  if (useStore.getState().tradingMode === 'paper') {
+    config.headers['X-Trading-Mode'] = 'paper';
+  }
+  return config;
+});
+
 // ---------------------------------------------------------------------------
 // Response interceptor – unwrap Axios response to just .data by default
 // ---------------------------------------------------------------------------
@@ -25,7 +38,9 @@ api.interceptors.response.use(
       error.message ||
       'Unknown API error';
     console.error('[coinbaseREST]', message);
-    return Promise.reject(new Error(message));
+    const err = new Error(message);
+    err.status = error.response?.status; // lets callers back off on 429
+    return Promise.reject(err);
   }
 );
 
@@ -49,6 +64,9 @@ export const coinbaseREST = {
   getOrders: (params) =>
     api.get('/coinbase/orders/historical/batch', { params }),
 
+  getOrder: (orderId) =>
+    api.get(`/coinbase/orders/historical/${orderId}`),
+
   createOrder: (orderData) =>
     api.post('/coinbase/orders', orderData),
 
@@ -60,6 +78,12 @@ export const coinbaseREST = {
 
   getTransactionsSummary: () => api.get('/coinbase/transaction_summary'),
 
+  // ---- Proxy ---------------------------------------------------------------
+  getHealth: () => api.get('/health'),
+
+  getHistory: (productId, params) =>
+    api.get(`/history/${productId}`, { params }),
+
   // ---- Trading Mode -------------------------------------------------------
   getMode: () => api.get('/mode'),
 
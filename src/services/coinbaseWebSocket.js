@@ -3,13 +3,56 @@
    ============================================================
    Maintains a single persistent connection to Coinbase with
    auto-reconnect, heartbeat, and centralized message routing.
+   When the proxy runs the sim exchange, connects to its local
+   feed instead. A second instance follows the proxy's paper
+   order feed, which speaks the same `user` channel protocol.
+   Recorded sessions can be replayed through the same channel
+   callbacks (see marketReplay.js).
    ============================================================ */
 
 import { WS_URL, WS_RECONNECT_DELAYS } from '../config/constants.js';
 import { coinbaseREST } from './coinbaseREST.js';
 
-class CoinbaseWebSocket {
-  constructor() {
+let wsUrlPromise = null;
+
+/**
+ * Resolve the feed URL once: the proxy's sim feed when /api/health reports
+ * exchange "sim", otherwise Coinbase.
+ * @returns {Promise<string>}
+ */
+function resolveWsUrl() {
+  if (!wsUrlPromise) {
+    wsUrlPromise = coinbaseREST.getHealth()
+      .then((health) => {
+        if (health?.exchange !== 'sim') return WS_URL;
+        return localWsUrl(health.wsPath || '/api/ws');
+      })
+      .catch(() => {
+        wsUrlPromise = null; // retry the lookup on the next connect
+        return WS_URL;
+      });
+  }
+  return wsUrlPromise;
+}
+
+/** URL of a feed served by the proxy itself, on the page's host. */
+function localWsUrl(path) {
+  const protocol = window.location.protocol === 'https:' ? 'wss' : 'ws';
+  return `${protocol}://${window.location.host}${path}`;
+}
+
+export class CoinbaseWebSocket {
+  /**
+   * @param {Object}   [opts]
+   * @param {Function} [opts.resolveUrl]        - () => Promise<string>
+   * @param {boolean}  [opts.authenticate=true] - sign subscribe frames via /api/ws-auth
+   * @param {string}   [opts.label='WS']        - console prefix
+   */
+  constructor({ resolveUrl = resolveWsUrl, authenticate = true, label = 'WS' } = {}) {
+    this._resolveUrl = resolveUrl;
+    this._authenticate = authenticate;
+    this._label = label;
+
     /** @type {WebSocket|null} */
     this._ws = null;
 
@@ -21,6 +64,12 @@ class CoinbaseWebSocket {
     this._reconnectTimer = null;
     this._intentionalClose = false;
 
+    /** True while the feed URL is being resolved */
+    this._resolving = false;
+
+    /** True while a recording is fed in instead of the live socket */
+    this._replaying = false;
+
     /** Heartbeat timer */
     this._heartbeatTimer = null;
 
@@ -48,40 +97,70 @@ class CoinbaseWebSocket {
    * Open the WebSocket connection.
    */
   connect() {
+    if (this._resolving || this._replaying) return;
     if (this._ws && (this._ws.readyState === WebSocket.OPEN || this._ws.readyState === WebSocket.CONNECTING)) {
       return; // already connected / connecting
     }
 
     this._intentionalClose = false;
     this._setStatus('connecting');
+    this._resolving = true;
 
-    this._ws = new WebSocket(WS_URL);
-    this._ws.addEventListener('open', this._onOpen);
-    this._ws.addEventListener('message', this._onMessage);
-    this._ws.addEventListener('close', this._onClose);
-    this._ws.addEventListener('error', this._onError);
+    this._resolveUrl().then((url) => {
+      this._resolving = false;
+      if (this._intentionalClose) return; // disconnect() ran while resolving
+
+      this._ws = new WebSocket(url);
+      this._ws.addEventListener('open', this._onOpen);
+      this._ws.addEventListener('message', this._onMessage);
+      this._ws.addEventListener('close', this._onClose);
+      this._ws.addEventListener('error', this._onError);
+    });
   }
 
   /**
    * Gracefully close the connection.
    */
   disconnect() {
-    this._intentionalClose = true;
-    this._clearTimers();
+    this._replaying = false;
+    this._closeSocket('Client disconnect');
+    this._setStatus('disconnected');
+  }
 
-    if (this._ws) {
-      this._ws.removeEventListener('open', this._onOpen);
-      this._ws.removeEventListener('message', this._onMessage);
-      this._ws.removeEventListener('close', this._onClose);
-      this._ws.removeEventListener('error', this._onError);
+  // =========================================================================
+  //  Replay
+  // =========================================================================
 
-      if (this._ws.readyState === WebSocket.OPEN || this._ws.readyState === WebSocket.CONNECTING) {
-        this._ws.close(1000, 'Client disconnect');
-      }
-      this._ws = null;
-    }
+  /**
+   * Swap the live socket for recorded messages. Subscriptions and their
+   * callbacks stay registered; the status reads 'connected' so consumers
+   * (the strategy engine in particular) run exactly as they do live.
+   */
+  beginReplay() {
+    if (this._replaying) return;
+    this._replaying = true;
+    this._closeSocket('Replay started');
+    this._setStatus('connected');
+  }
+
+  /**
+   * Route one recorded message as if it had arrived on the socket.
+   * @param {Object} msg - parsed Coinbase message
+   */
+  injectMessage(msg) {
+    if (this._replaying) this._route(msg);
+  }
 
+  /** Leave replay mode and reconnect to the live feed. */
+  endReplay() {
+    if (!this._replaying) return;
+    this._replaying = false;
     this._setStatus('disconnected');
+    this.connect();
+  }
+
+  isReplaying() {
+    return this._replaying;
   }
 
   /**
@@ -146,7 +225,7 @@ class CoinbaseWebSocket {
   // =========================================================================
 
   _onOpen() {
-    console.log('[WS] Connected to Coinbase');
+    console.log(`[${this._label}] Connected to ${this._ws?.url || 'Coinbase'}`);
     this._reconnectAttempt = 0;
     this._setStatus('connected');
     this._startHeartbeat();
@@ -162,7 +241,11 @@ class CoinbaseWebSocket {
     } catch {
       return; // ignore non-JSON frames
     }
+    this._route(msg);
+  }
 
+  /** Deliver a parsed message to the callbacks for its channel. */
+  _route(msg) {
     let channel = msg.channel;
     if (!channel) return;
 
@@ -180,14 +263,14 @@ class CoinbaseWebSocket {
         try {
           cb(msg);
         } catch (err) {
-          console.error(`[WS] Callback error on channel "${channel}":`, err);
+          console.error(`[${this._label}] Callback error on channel "${channel}":`, err);
         }
       });
     }
   }
 
   _onClose(event) {
-    console.warn('[WS] Connection closed', event.code, event.reason);
+    console.warn(`[${this._label}] Connection closed`, event.code, event.reason);
     this._clearTimers();
 
     if (this._intentionalClose) {
@@ -201,7 +284,7 @@ class CoinbaseWebSocket {
   }
 
   _onError(event) {
-    console.error('[WS] Error', event);
+    console.error(`[${this._label}] Error`, event);
     // onClose will fire next and handle reconnection
   }
 
@@ -212,7 +295,7 @@ class CoinbaseWebSocket {
   _scheduleReconnect() {
     const delay =
       WS_RECONNECT_DELAYS[Math.min(this._reconnectAttempt, WS_RECONNECT_DELAYS.length - 1)];
-    console.log(`[WS] Reconnecting in ${delay}ms (attempt ${this._reconnectAttempt + 1})`);
+    console.log(`[${this._label}] Reconnecting in ${delay}ms (attempt ${this._reconnectAttempt + 1})`);
 
     this._reconnectTimer = setTimeout(() => {
       this._reconnectAttempt++;
@@ -252,7 +335,7 @@ class CoinbaseWebSocket {
   async _sendSubscribe(channel, productIds) {
     try {
       // Get auth credentials from our proxy
-      const auth = await coinbaseREST.getWsAuth(channel, productIds);
+      const auth = this._authenticate ? await coinbaseREST.getWsAuth(channel, productIds) : {};
 
       const frame = {
         type: 'subscribe',
@@ -263,13 +346,13 @@ class CoinbaseWebSocket {
 
       this._ws.send(JSON.stringify(frame));
     } catch (err) {
-      console.error(`[WS] Failed to subscribe to "${channel}":`, err);
+      console.error(`[${this._label}] Failed to subscribe to "${channel}":`, err);
     }
   }
 
   async _sendUnsubscribe(channel, productIds) {
     try {
-      const auth = await coinbaseREST.getWsAuth(channel, productIds);
+      const auth = this._authenticate ? await coinbaseREST.getWsAuth(channel, productIds) : {};
 
       const frame = {
         type: 'unsubscribe',
@@ -280,14 +363,15 @@ class CoinbaseWebSocket {
 
       this._ws.send(JSON.stringify(frame));
     } catch (err) {
-      console.error(`[WS] Failed to unsubscribe from "${channel}":`, err);
+      console.error(`[${this._label}] Failed to unsubscribe from "${channel}":`, err);
     }
   }
 
   async _resubscribeAll() {
     for (const [channel, sub] of this._subscriptions) {
       const productIds = [...sub.productIds];
-      if (productIds.length > 0 || channel === 'heartbeats') {
+      // heartbeats and user are account-wide and subscribe with no products
+      if (productIds.length > 0 || channel === 'heartbeats' || channel === 'user') {
         await this._sendSubscribe(channel, productIds);
       }
     }
@@ -309,6 +393,24 @@ class CoinbaseWebSocket {
     });
   }
 
+  /** Detach and close the socket without triggering a reconnect. */
+  _closeSocket(reason) {
+    this._intentionalClose = true;
+    this._clearTimers();
+
+    if (this._ws) {
+      this._ws.removeEventListener('open', this._onOpen);
+      this._ws.removeEventListener('message', this._onMessage);
+      this._ws.removeEventListener('close', this._onClose);
+      this._ws.removeEventListener('error', this._onError);
+
+      if (this._ws.readyState === WebSocket.OPEN || this._ws.readyState === WebSocket.CONNECTING) {
+        this._ws.close(1000, reason);
+      }
+      this._ws = null;
+    }
+  }
+
   _clearTimers() {
     this._clearHeartbeat();
     if (this._reconnectTimer) {
@@ -323,3 +425,10 @@ class CoinbaseWebSocket {
 // ---------------------------------------------------------------------------
 const coinbaseWS = new CoinbaseWebSocket();
 export default coinbaseWS;
+
+/** Paper order updates (`user` channel) from the proxy's paper engine. */
+export const paperOrderWS = new CoinbaseWebSocket({
+  resolveUrl: () => Promise.resolve(localWsUrl('/api/paper/ws')),
+  authenticate: false,
+  label: 'PaperWS',
+});
@@ -0,0 +1,146 @@
+/* ============================================================
+   Cerebro Crypto — Server Engine Client
+   ============================================================
+   Mirrors the proxy-hosted strategy engine (server/engine)
+   into useStore while Settings → Server Engine is selected.
+   The engine's fields (botRunning, engineLog, HYDRA / VIPER
+   state…) arrive as snapshots over /api/engine/ws and are
+   applied as-is, so the existing bot panels work unchanged;
+   the bot toggles are forwarded back as start / stop.
+   ============================================================ */
+
+import axios from 'axios';
+import useStore from '../store';
+
+const WS_PATH = '/api/engine/ws';
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+/** The settings the server engine accepts (PUT /api/engine/settings). */
+export const ENGINE_SETTING_KEYS = [
+  'tradingMode',
+  'activePair',
+  'scannerPairs',
+  'scannerEnabled',
+  'maxConcurrentPositions',
+  'viperEnabled',
+  'hydraSettings',
+  'viperSettings',
+  'riskSettings',
+  'allocationConfig',
+  'correlationSettings',
+  'riskPipelineConfig',
+];
+
+const api = axios.create({
+  baseURL: '/api/engine',
+  timeout: 10000,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+const errorMessage = (err) => err.response?.data?.error || err.message;
+
+let socket = null;
+// True while a server snapshot is being written to the store
+let applying = false;
+
+function apply(fn) {
+  applying = true;
+  try {
+    fn();
+  } finally {
+    applying = false;
+  }
+}
+
+function send(frame) {
+  if (socket?.readyState !== WebSocket.OPEN) return false;
+  socket.send(JSON.stringify(frame));
+  return true;
+}
+
+function handleMessage(event) {
+  let msg;
+  try {
+    msg = JSON.parse(event.data);
+  } catch {
+    return;
+  }
+  const store = useStore.getState();
+  if (msg.type === 'snapshot') {
+    apply(() => {
+      useStore.setState(msg.state);
+      store.setServerEngine({ connected: true, ...msg.server });
+    });
+  } else if (msg.type === 'error') {
+    store.addToast({ type: 'error', message: `Server engine: ${msg.message}` });
+  }
+}
+
+/**
+ * Connect to the server engine and keep reconnecting until the
+ * returned function is called.
+ * @returns {Function} disconnect
+ */
+export function connectEngine() {
+  let closed = false;
+  let retryMs = RECONNECT_MIN_MS;
+  let retryTimer = null;
+
+  function open() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const ws = new WebSocket(`${protocol}//${window.location.host}${WS_PATH}`);
+    socket = ws;
+    ws.onopen = () => {
+      retryMs = RECONNECT_MIN_MS;
+    };
+    ws.onmessage = handleMessage;
+    ws.onclose = () => {
+      if (socket === ws) socket = null;
+      if (closed) return;
+      useStore.getState().setServerEngine({ connected: false });
+      retryTimer = setTimeout(open, retryMs);
+      retryMs = Math.min(retryMs * 2, RECONNECT_MAX_MS);
+    };
+  }
+
+  // Forward the bot toggles; undo them when the server can't be reached
+  const unsubscribe = useStore.subscribe((s, prev) => {
+    if (applying || s.botRunning === prev.botRunning) return;
+    if (!send({ type: s.botRunning ? 'start' : 'stop' })) {
+      apply(() => useStore.setState({ botRunning: prev.botRunning }));
+      s.addToast({ type: 'error', message: 'Server engine unreachable' });
+    }
+  });
+
+  useStore.getState().setServerEngine({ connected: false });
+  open();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    unsubscribe();
+    socket?.close();
+    socket = null;
+    // The mirrored running flag belongs to the server, not the browser engine
+    apply(() => useStore.setState({ botRunning: false }));
+    useStore.getState().setServerEngine(null);
+  };
+}
+
+/**
+ * Send the browser's current strategy settings to the server engine.
+ * @param {string[]} [keys=ENGINE_SETTING_KEYS]
+ * @returns {Promise<Object>} the engine snapshot after the change
+ */
+export async function pushEngineSettings(keys = ENGINE_SETTING_KEYS) {
+  const state = useStore.getState();
+  const settings = {};
+  for (const key of keys) settings[key] = state[key];
+  try {
+    const { data } = await api.put('/settings', settings);
+    return data;
+  } catch (err) {
+    throw new Error(errorMessage(err));
+  }
+}
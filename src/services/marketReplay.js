@@ -0,0 +1,163 @@
+/* ============================================================
+   Cerebro Crypto — Market Replay
+   ============================================================
+   Plays a recorded session (see recordingService.js) back
+   through coinbaseWS's channel callbacks, so the order book,
+   charts and strategy engine see the same messages in the
+   same order they saw live — at 1x, 10x or max speed.
+
+   The live socket is closed for the duration; chart history
+   is anchored at the recording's start, and the engine runs
+   on `replayClock`, which follows the recorded timestamps.
+   ============================================================ */
+
+import useStore from '../store';
+import coinbaseWS from './coinbaseWebSocket.js';
+import { messagesUrl } from './recordingService.js';
+
+export const REPLAY_SPEEDS = [1, 10, Infinity];
+
+/** Longest real-time wait between clock updates, so speed changes apply promptly. */
+const STEP_MS = 250;
+/** At max speed, yield to the UI this often. */
+const MAX_SPEED_BATCH = 200;
+/** How often progress is published to the store. */
+const PUBLISH_MS = 250;
+
+/** @type {{ id: string, speed: number, clock: number, cancelled: boolean, controller: AbortController }|null} */
+let session = null;
+
+/** Time source for the strategy engine while a replay is playing. */
+export const replayClock = {
+  now: () => (session ? Math.round(session.clock) : Date.now()),
+};
+
+// Never let recorded data drive live orders
+useStore.subscribe((state) => {
+  if (session && state.tradingMode === 'live') stopReplay();
+});
+
+export const formatReplaySpeed = (speed) => (speed === Infinity ? 'Max' : `${speed}x`);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Advance the replay clock to `t`, waiting in real time according to the speed. */
+async function waitUntil(s, t) {
+  while (!s.cancelled && s.clock < t) {
+    if (s.speed === Infinity) {
+      s.clock = t;
+      return;
+    }
+    const started = performance.now();
+    await sleep(Math.min((t - s.clock) / s.speed, STEP_MS));
+    s.clock = Math.min(t, s.clock + (performance.now() - started) * s.speed);
+  }
+}
+
+/** Yield parsed NDJSON lines from a streamed response body. */
+async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield JSON.parse(line);
+    }
+  }
+  if (buffer.trim()) yield JSON.parse(buffer);
+}
+
+async function play(s, recording) {
+  const store = useStore.getState();
+  const res = await fetch(messagesUrl(recording.id), { signal: s.controller.signal });
+  if (!res.ok) throw new Error(`Could not load recording (HTTP ${res.status})`);
+
+  let count = 0;
+  let lastPublish = 0;
+  for await (const line of readLines(res.body)) {
+    if (s.cancelled) return;
+    await waitUntil(s, line.t);
+    if (s.cancelled) return;
+
+    // Reconnect markers only pace the clock, so gaps replay as gaps
+    if (line.m) {
+      coinbaseWS.injectMessage(line.m);
+      count += 1;
+    }
+
+    if (s.speed === Infinity && count % MAX_SPEED_BATCH === 0) await sleep(0);
+    if (performance.now() - lastPublish > PUBLISH_MS) {
+      lastPublish = performance.now();
+      store.setReplay({ clock: s.clock, progress: count });
+    }
+  }
+
+  if (s.cancelled) return;
+  store.addToast({ type: 'info', message: `Replay of ${recording.pair} finished (${count} messages)` });
+  stopReplay();
+}
+
+/**
+ * Start replaying a recording, replacing any replay already running.
+ * Paper mode only: the engine may trade on what it sees.
+ * @param {Object} recording - metadata from getRecordings()
+ * @param {Object} [opts]
+ * @param {number} [opts.speed=1] - one of REPLAY_SPEEDS
+ */
+export function startReplay(recording, { speed = 1 } = {}) {
+  const store = useStore.getState();
+  if (store.tradingMode === 'live') {
+    throw new Error('Switch to paper mode before replaying a recording');
+  }
+  if (!recording.messages) {
+    throw new Error('This recording has no messages');
+  }
+  stopReplay();
+
+  const anchor = recording.firstTime || recording.startedAt;
+  const s = { id: recording.id, speed, clock: anchor, cancelled: false, controller: new AbortController() };
+  session = s;
+
+  coinbaseWS.beginReplay();
+  store.setReplay({
+    id: recording.id,
+    pair: recording.pair,
+    speed,
+    anchor,
+    clock: anchor,
+    progress: 0,
+    total: recording.messages,
+  });
+  store.setActivePair(recording.pair);
+
+  play(s, recording).catch((err) => {
+    if (s.cancelled) return;
+    console.error('[Replay] Playback failed:', err);
+    useStore.getState().addToast({ type: 'error', message: `Replay failed: ${err.message}` });
+    stopReplay();
+  });
+}
+
+/** Change the speed of the running replay. */
+export function setReplaySpeed(speed) {
+  if (!session) return;
+  session.speed = speed;
+  useStore.getState().setReplay({ speed });
+}
+
+/** Stop replaying and reconnect to the live feed. */
+export function stopReplay() {
+  if (!session) return;
+  session.cancelled = true;
+  session.controller.abort();
+  session = null;
+  coinbaseWS.endReplay();
+  useStore.getState().setReplay(null);
+}
+
+export const isReplaying = () => session !== null;
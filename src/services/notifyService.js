@@ -0,0 +1,94 @@
+/* ============================================================
+   Cerebro Crypto — Notification Service
+   ============================================================
+   Client for the proxy's webhook dispatcher (/api/notify).
+   The browser only reports events; the proxy owns the
+   targets, delivery, retry/backoff and the delivery log.
+   ============================================================ */
+
+import axios from 'axios';
+
+const api = axios.create({
+  baseURL: '/api/notify',
+  timeout: 10000,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+const errorMessage = (err) => err.response?.data?.error || err.message;
+
+let warnedOffline = false;
+
+/**
+ * @typedef {Object} NotifyEvent
+ * @property {'alert'|'fill'|'circuit_breaker'|'ratchet'|'viper_threat'} type
+ * @property {string} title
+ * @property {string} message
+ * @property {'info'|'warning'|'critical'} [severity='info']
+ * @property {string} [pair]
+ * @property {Object} [data] - extra context, passed through in the generic format
+ */
+
+/**
+ * Report an event for webhook delivery. Fire-and-forget: failures
+ * are logged once and never surface to the trading flow.
+ * @param {NotifyEvent} event
+ */
+export async function sendNotification(event) {
+  try {
+    const { data } = await api.post('/events', { timestamp: Date.now(), ...event });
+    warnedOffline = false;
+    return data;
+  } catch (err) {
+    if (!warnedOffline) {
+      console.warn('[notifyService] Could not report notification:', errorMessage(err));
+      warnedOffline = true;
+    }
+    return null;
+  }
+}
+
+/** @returns {Promise<{ targets: Object[], eventTypes: string[] }>} */
+export async function getTargets() {
+  const { data } = await api.get('/targets');
+  return data;
+}
+
+/**
+ * Create a target, or update it when `target.id` is set.
+ * @returns {Promise<Object>} saved target
+ */
+export async function saveTarget(target) {
+  try {
+    const { id, ...fields } = target;
+    const { data } = id
+      ? await api.put(`/targets/${id}`, fields)
+      : await api.post('/targets', fields);
+    return data.target;
+  } catch (err) {
+    throw new Error(errorMessage(err));
+  }
+}
+
+export async function deleteTarget(id) {
+  await api.delete(`/targets/${id}`);
+}
+
+/** Send a test event to one target. */
+export async function testTarget(id) {
+  try {
+    const { data } = await api.post(`/targets/${id}/test`);
+    return data;
+  } catch (err) {
+    throw new Error(errorMessage(err));
+  }
+}
+
+/** @returns {Promise<Object[]>} delivery records, newest first */
+export async function getDeliveryLog(limit = 50) {
+  const { data } = await api.get('/log', { params: { limit } });
+  return data.deliveries;
+}
+
+export async function clearDeliveryLog() {
+  await api.delete('/log');
+}
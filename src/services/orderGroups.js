@@ -0,0 +1,312 @@
+/* ============================================================
+   Cerebro Crypto — Linked Order Groups
+   ============================================================
+   Bracket and OCO orders whose exits are held by the exchange
+   (or the proxy's paper engine), so stops and take-profits
+   keep working with the tab closed. The browser only tracks
+   them as groups in the store:
+
+     bracket  pending ──entry fills──▶ active ──exit fills──▶ closed
+                 └──entry cancelled──▶ cancelled
+     oco      active ──either leg fills──▶ closed
+
+   The exit is one trigger_bracket_gtc order, so the exchange
+   cancels the other leg when one fills. Order updates from
+   the `user` channel only prompt a sync; the REST order
+   record decides each transition.
+   ============================================================ */
+
+import useStore from '../store';
+import { coinbaseREST } from './coinbaseREST.js';
+import { entryConfiguration, attachedBracket, ocoConfiguration } from '../utils/orderConfig.js';
+
+const DONE_STATUSES = ['FILLED', 'CANCELLED', 'EXPIRED', 'FAILED'];
+
+/** Groups being synced, so overlapping updates don't double-apply a fill. */
+const syncing = new Set();
+
+const newId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const toast = (type, message) => useStore.getState().addToast({ type, message });
+
+/** Place an order through the proxy; paper mode is matched by its paper engine. */
+async function createOrder(body) {
+  const response = await coinbaseREST.createOrder({ client_order_id: newId('cerebro'), ...body });
+  if (!response.success) {
+    throw new Error(response.error_response?.message || response.failure_reason || 'Order rejected');
+  }
+  const { orders } = await coinbaseREST.getOrders({ limit: 50 }).catch(() => ({ orders: null }));
+  if (orders) useStore.getState().setOrders(orders);
+  return response.order_id || response.success_response?.order_id;
+}
+
+// =========================================================================
+//  Placing groups
+// =========================================================================
+
+/**
+ * Buy with an attached take-profit / stop-loss bracket.
+ * @param {Object} order
+ * @param {string} order.pair
+ * @param {'market'|'limit'|'stop-limit'} order.orderType
+ * @param {number} [order.baseSize]
+ * @param {number} [order.quoteSize]
+ * @param {number} [order.limitPrice]
+ * @param {number} [order.stopPrice]
+ * @param {number} order.takeProfit
+ * @param {number} order.stopLoss
+ * @param {string} [order.strategy='manual']
+ * @returns {Promise<Object>} the group
+ */
+export async function placeBracket({ pair, takeProfit, stopLoss, strategy = 'manual', ...entry }) {
+  const entryOrderId = await createOrder({
+    product_id: pair,
+    side: 'BUY',
+    order_configuration: entryConfiguration(entry),
+    attached_order_configuration: attachedBracket({ takeProfit, stopLoss }),
+  });
+
+  const group = {
+    id: newId('bracket'),
+    kind: 'bracket',
+    mode: useStore.getState().tradingMode,
+    pair,
+    status: 'pending',
+    entryOrderId,
+    exitOrderId: null,
+    size: entry.baseSize || null,
+    entryPrice: null,
+    takeProfit,
+    stopLoss,
+    positionId: null,
+    strategy,
+    outcome: null,
+  };
+  useStore.getState().addOrderGroup(group);
+  syncGroup(group.id); // market entries are usually filled already
+  return group;
+}
+
+/**
+ * Protect an existing holding with a one-cancels-the-other exit.
+ * @param {Object} order
+ * @param {string} order.pair
+ * @param {number} order.baseSize
+ * @param {number} order.takeProfit
+ * @param {number} order.stopLoss
+ * @param {string} [order.positionId] - position the exit closes
+ * @param {number} [order.entryPrice]
+ * @returns {Promise<Object>} the group
+ */
+export async function placeOco({ pair, baseSize, takeProfit, stopLoss, positionId = null, entryPrice = null }) {
+  const exitOrderId = await createOrder({
+    product_id: pair,
+    side: 'SELL',
+    order_configuration: ocoConfiguration({ baseSize, takeProfit, stopLoss }),
+  });
+
+  const group = {
+    id: newId('oco'),
+    kind: 'oco',
+    mode: useStore.getState().tradingMode,
+    pair,
+    status: 'active',
+    entryOrderId: null,
+    exitOrderId,
+    size: baseSize,
+    entryPrice,
+    takeProfit,
+    stopLoss,
+    positionId,
+    outcome: null,
+  };
+  useStore.getState().addOrderGroup(group);
+  if (positionId) linkPosition(positionId, group);
+  return group;
+}
+
+/**
+ * Cancel a group's working order. Cancelling a bracket entry that already
+ * partly filled leaves the fill protected: the group turns active instead.
+ */
+export async function cancelGroup(groupId) {
+  const group = useStore.getState().orderGroups.find((g) => g.id === groupId);
+  if (!group || (group.status !== 'pending' && group.status !== 'active')) return;
+
+  if (group.status === 'pending') {
+    await coinbaseREST.cancelOrders([group.entryOrderId]);
+    await syncGroup(groupId);
+    return;
+  }
+
+  // Mark first so the exit's CANCELLED update isn't reported as unexpected
+  useStore.getState().updateOrderGroup(groupId, { status: 'cancelled', outcome: 'cancelled' });
+  if (group.exitOrderId) await coinbaseREST.cancelOrders([group.exitOrderId]);
+  unlinkPosition(group);
+}
+
+// =========================================================================
+//  Reconciling
+// =========================================================================
+
+/** Find the exit the exchange attached to a filled entry. */
+async function findAttachedExit(entry) {
+  if (entry.attached_order_id) return entry.attached_order_id;
+  const { orders = [] } = await coinbaseREST.getOrders({ product_id: entry.product_id, order_status: 'OPEN' });
+  return orders.find((o) => o.originating_order_id === entry.order_id)?.order_id || null;
+}
+
+/**
+ * Bring one group up to date with its orders' REST records.
+ * Safe to call repeatedly; transitions apply once.
+ */
+export async function syncGroup(groupId) {
+  if (syncing.has(groupId)) return;
+  syncing.add(groupId);
+  try {
+    let group = useStore.getState().orderGroups.find((g) => g.id === groupId);
+    if (group?.status === 'pending') {
+      const { order: entry } = await coinbaseREST.getOrder(group.entryOrderId);
+      applyEntry(group, entry);
+      group = useStore.getState().orderGroups.find((g) => g.id === groupId);
+      if (group.status === 'active') {
+        useStore.getState().updateOrderGroup(groupId, { exitOrderId: await findAttachedExit(entry) });
+      }
+    } else if (group?.status === 'active' && !group.exitOrderId && group.entryOrderId) {
+      const { order: entry } = await coinbaseREST.getOrder(group.entryOrderId);
+      useStore.getState().updateOrderGroup(groupId, { exitOrderId: await findAttachedExit(entry) });
+    }
+
+    group = useStore.getState().orderGroups.find((g) => g.id === groupId);
+    if (group?.status === 'active' && group.exitOrderId) {
+      const { order: exit } = await coinbaseREST.getOrder(group.exitOrderId);
+      applyExit(group, exit);
+    }
+  } catch (err) {
+    console.warn(`[orderGroups] Sync of ${groupId} failed:`, err.message);
+  } finally {
+    syncing.delete(groupId);
+  }
+}
+
+function applyEntry(group, entry) {
+  if (!DONE_STATUSES.includes(entry.status)) return;
+  const store = useStore.getState();
+  const filled = parseFloat(entry.filled_size) || 0;
+
+  if (filled <= 0) {
+    store.updateOrderGroup(group.id, { status: 'cancelled', outcome: 'cancelled' });
+    toast('info', `Bracket entry for ${group.pair} ${entry.status.toLowerCase()}`);
+    return;
+  }
+
+  const entryPrice = parseFloat(entry.average_filled_price) || null;
+  const updates = { status: 'active', size: filled, entryPrice };
+  if (group.mode === 'paper') {
+    updates.positionId = openPaperPosition(group, entry, filled, entryPrice);
+  }
+  store.updateOrderGroup(group.id, updates);
+  toast('success', `Bracket entry filled: ${filled} ${group.pair} — exits at ${group.takeProfit} / ${group.stopLoss} are live`);
+}
+
+function applyExit(group, exit) {
+  if (!DONE_STATUSES.includes(exit.status)) return;
+  const store = useStore.getState();
+  const filled = parseFloat(exit.filled_size) || 0;
+
+  if (filled <= 0) {
+    store.updateOrderGroup(group.id, { status: 'cancelled', outcome: 'cancelled' });
+    unlinkPosition(group);
+    toast('warning', `${group.pair} exit order ${exit.status.toLowerCase()} — position is unprotected`);
+    return;
+  }
+
+  const exitPrice = parseFloat(exit.average_filled_price) || 0;
+  const outcome = exitPrice >= (group.takeProfit + group.stopLoss) / 2 ? 'take_profit' : 'stop_loss';
+  store.updateOrderGroup(group.id, { status: 'closed', outcome, exitPrice, closedAt: Date.now() });
+  closeLinkedPosition(group, exit, filled, exitPrice, outcome);
+
+  const label = outcome === 'take_profit' ? 'Take-profit' : 'Stop-loss';
+  toast(outcome === 'take_profit' ? 'success' : 'warning', `${label} filled: ${filled} ${group.pair} @ ${exitPrice}`);
+}
+
+// =========================================================================
+//  Positions
+// =========================================================================
+
+function linkPosition(positionId, group) {
+  const store = useStore.getState();
+  const link = { orderGroupId: group.id, stopLoss: group.stopLoss, tp1: group.takeProfit };
+  store.updatePosition(positionId, link);
+  if (group.mode === 'paper') {
+    store.updatePaperPortfolio({
+      positions: (store.paperPortfolio.positions || []).map((p) => (p.id === positionId ? { ...p, ...link } : p)),
+    });
+  }
+}
+
+function unlinkPosition(group) {
+  if (!group.positionId) return;
+  const store = useStore.getState();
+  store.updatePosition(group.positionId, { orderGroupId: null });
+  store.updatePaperPortfolio({
+    positions: (store.paperPortfolio.positions || []).map((p) =>
+      (p.id === group.positionId ? { ...p, orderGroupId: null } : p)),
+  });
+}
+
+/** Paper bracket entries become paper positions, like a filled OrderEntry buy. */
+function openPaperPosition(group, entry, filled, entryPrice) {
+  const store = useStore.getState();
+  const cost = (parseFloat(entry.filled_value) || filled * entryPrice) + (parseFloat(entry.total_fees) || 0);
+  const pos = {
+    id: `paper-${group.id}`,
+    pair: group.pair,
+    side: 'long',
+    entryPrice,
+    quantity: filled,
+    cost,
+    stopLoss: group.stopLoss,
+    tp1: group.takeProfit,
+    entryTime: entry.created_time || new Date().toISOString(),
+    strategy: group.strategy || 'manual',
+    orderGroupId: group.id,
+  };
+  store.addPosition(pos);
+  store.updatePaperPortfolio({
+    balance: store.paperPortfolio.balance - cost,
+    positions: [...(store.paperPortfolio.positions || []), pos],
+  });
+  return pos.id;
+}
+
+function closeLinkedPosition(group, exit, filled, exitPrice, outcome) {
+  if (!group.positionId) return;
+  const store = useStore.getState();
+
+  if (group.mode !== 'paper') {
+    store.removePosition(group.positionId);
+    return;
+  }
+
+  const pos = (store.paperPortfolio.positions || []).find((p) => p.id === group.positionId);
+  if (!pos) return;
+  const qty = Math.min(filled, pos.quantity);
+  const proceeds = (parseFloat(exit.filled_value) || qty * exitPrice) - (parseFloat(exit.total_fees) || 0);
+  const pnl = proceeds - (pos.cost || pos.entryPrice * pos.quantity) * (qty / pos.quantity);
+  const remainingQty = pos.quantity - qty;
+
+  store.updatePaperPortfolio({
+    balance: store.paperPortfolio.balance + proceeds,
+    positions: remainingQty > 1e-9
+      ? store.paperPortfolio.positions.map((p) => (p.id === pos.id
+        ? { ...p, quantity: remainingQty, cost: p.cost * (remainingQty / p.quantity), orderGroupId: null }
+        : p))
+      : store.paperPortfolio.positions.filter((p) => p.id !== pos.id),
+    trades: [
+      ...(store.paperPortfolio.trades || []),
+      { ...pos, quantity: qty, exitPrice, pnl, exitReason: outcome, closedAt: new Date().toISOString() },
+    ],
+  });
+  if (remainingQty <= 1e-9) store.removePosition(pos.id);
+}
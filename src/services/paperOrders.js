@@ -0,0 +1,307 @@
+/* ============================================================
+   Cerebro Crypto — Paper Orders
+   ============================================================
+   Plain paper-mode entries and closes go to the proxy's paper
+   engine like any other order, so they fill against the live
+   book — slippage, partial fills and resting limits included.
+   The browser only tracks them in the store:
+
+     open   fill ──▶ position opened / grown by the fill
+     close  fill ──▶ position reduced / closed, trade logged
+
+   Each sync applies the fill since the last one, so partial
+   fills move the position and the paper balance as they
+   happen. Order updates from the paper `user` channel only
+   prompt a sync; the REST order record decides what filled.
+   ============================================================ */
+
+import useStore from '../store';
+import { coinbaseREST } from './coinbaseREST.js';
+import { entryConfiguration } from '../utils/orderConfig.js';
+import { positionQty, positionDirection } from '../utils/portfolioRisk.js';
+import { RISK_DEFAULTS } from '../config/constants';
+import { formatPrice, formatUSD } from '../utils/formatters';
+
+const DONE_STATUSES = ['FILLED', 'CANCELLED', 'EXPIRED', 'FAILED'];
+
+/** Orders being synced, and those updated again mid-sync. */
+const syncing = new Set();
+const resync = new Set();
+
+const newId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const toast = (type, message) => useStore.getState().addToast({ type, message });
+
+const findRecord = (orderId) => useStore.getState().paperOrders.find((o) => o.id === orderId);
+
+/** Place an order through the proxy's paper engine. */
+async function createOrder(body) {
+  const response = await coinbaseREST.createOrder({ client_order_id: newId('cerebro'), ...body });
+  if (!response.success) {
+    throw new Error(response.error_response?.message || response.failure_reason || 'Order rejected');
+  }
+  const { orders } = await coinbaseREST.getOrders({ limit: 50 }).catch(() => ({ orders: null }));
+  if (orders) useStore.getState().setOrders(orders);
+  return response.order_id || response.success_response?.order_id;
+}
+
+// =========================================================================
+//  Placing orders
+// =========================================================================
+
+/**
+ * Open (or add to) a paper position. The position is created from the
+ * fills, so `position` is only a template: strategy, levels and metadata.
+ * @param {Object} order
+ * @param {string} order.pair
+ * @param {'BUY'|'SELL'} order.side
+ * @param {'market'|'limit'|'stop-limit'} order.orderType
+ * @param {number} [order.baseSize]
+ * @param {number} [order.quoteSize]
+ * @param {number} [order.limitPrice]
+ * @param {number} [order.stopPrice]
+ * @param {boolean} [order.postOnly]
+ * @param {Object} order.position - template; its size field (`qty` or `quantity`) is kept
+ * @returns {Promise<string>} the order id
+ */
+export async function placePaperEntry({ pair, side, position, ...entry }) {
+  const store = useStore.getState();
+  if (side === 'BUY') {
+    const price = entry.limitPrice || store.tickers?.[pair]?.price || 0;
+    const estimate = entry.quoteSize || (entry.baseSize || 0) * price;
+    if (estimate > (store.paperPortfolio?.balance || 0)) throw new Error('Insufficient paper balance');
+  }
+
+  const orderId = await createOrder({
+    product_id: pair,
+    side,
+    order_configuration: entryConfiguration(entry),
+  });
+  useStore.getState().addPaperOrder({
+    id: orderId,
+    intent: 'open',
+    pair,
+    side,
+    positionId: `paper-${orderId}`,
+    position,
+    reason: null,
+    filledSize: 0,
+    filledValue: 0,
+    fees: 0,
+    pnl: 0,
+  });
+  syncPaperOrder(orderId); // market orders are usually filled already
+  return orderId;
+}
+
+/**
+ * Close a paper position with a market order on the paper engine.
+ * @param {Object} position
+ * @param {string} [reason='manual'] - recorded as the trade's exitReason
+ * @param {number} [qty] - defaults to the whole position
+ * @returns {Promise<string>} the order id
+ */
+export async function closePaperPosition(position, reason = 'manual', qty = positionQty(position)) {
+  if (useStore.getState().paperOrders.some((o) => o.intent === 'close' && o.positionId === position.id)) {
+    throw new Error(`A close for ${position.pair} is already working`);
+  }
+  const side = positionDirection(position) === 'short' ? 'BUY' : 'SELL';
+
+  const orderId = await createOrder({
+    product_id: position.pair,
+    side,
+    order_configuration: entryConfiguration({ orderType: 'market', baseSize: qty }),
+  });
+  useStore.getState().addPaperOrder({
+    id: orderId,
+    intent: 'close',
+    pair: position.pair,
+    side,
+    positionId: position.id,
+    position: null,
+    reason,
+    filledSize: 0,
+    filledValue: 0,
+    fees: 0,
+    pnl: 0,
+  });
+  syncPaperOrder(orderId);
+  return orderId;
+}
+
+// =========================================================================
+//  Reconciling
+// =========================================================================
+
+/**
+ * Bring one paper order up to date with its REST record.
+ * Safe to call repeatedly; each fill applies once.
+ */
+export async function syncPaperOrder(orderId) {
+  if (syncing.has(orderId)) {
+    resync.add(orderId);
+    return;
+  }
+  syncing.add(orderId);
+  try {
+    const record = findRecord(orderId);
+    if (!record) return;
+    const { order } = await coinbaseREST.getOrder(orderId);
+    applyOrder(findRecord(orderId), order);
+  } catch (err) {
+    if (err.status === 404) {
+      // The paper engine lost it (proxy restart); nothing more will fill
+      useStore.getState().removePaperOrder(orderId);
+      toast('warning', `Paper order ${orderId} is no longer known to the paper engine`);
+    } else {
+      console.warn(`[paperOrders] Sync of ${orderId} failed:`, err.message);
+    }
+  } finally {
+    syncing.delete(orderId);
+    if (resync.delete(orderId)) syncPaperOrder(orderId);
+  }
+}
+
+function applyOrder(record, order) {
+  if (!record) return;
+  const store = useStore.getState();
+  const filledSize = parseFloat(order.filled_size) || 0;
+
+  if (filledSize > record.filledSize + 1e-12) {
+    const filledValue = parseFloat(order.filled_value) || filledSize * (parseFloat(order.average_filled_price) || 0);
+    const fees = parseFloat(order.total_fees) || 0;
+    const fill = {
+      size: filledSize - record.filledSize,
+      value: filledValue - record.filledValue,
+      fees: fees - record.fees,
+    };
+    let pnl = 0;
+    if (record.intent === 'open') applyOpenFill(record, fill);
+    else pnl = applyCloseFill(record, fill);
+    store.updatePaperOrder(record.id, { filledSize, filledValue, fees, pnl: record.pnl + pnl });
+  }
+
+  if (DONE_STATUSES.includes(order.status)) finish(findRecord(record.id), order);
+}
+
+function finish(record, order) {
+  useStore.getState().removePaperOrder(record.id);
+  const status = order.status.toLowerCase();
+
+  if (record.filledSize <= 0) {
+    toast(record.intent === 'close' ? 'warning' : 'info', record.intent === 'close'
+      ? `Close order for ${record.pair} ${status} — position is still open`
+      : `Paper ${record.side} ${record.pair} ${status}`);
+    return;
+  }
+
+  const price = record.filledValue / record.filledSize;
+  const partial = order.status === 'FILLED' ? '' : ` (rest ${status})`;
+  if (record.intent === 'open') {
+    toast('success', `Paper ${record.side} filled: ${record.filledSize} ${record.pair} @ ${formatPrice(price, record.pair)}${partial}`);
+  } else {
+    toast(record.pnl >= 0 ? 'success' : 'warning',
+      `Closed ${record.filledSize} ${record.pair} @ ${formatPrice(price, record.pair)}: ${record.pnl >= 0 ? '+' : ''}${formatUSD(record.pnl)}${partial}`);
+  }
+}
+
+// =========================================================================
+//  Positions
+// =========================================================================
+
+/** Cash a fill moves: sells credit proceeds, buys debit cost, fees both ways. */
+const fillCash = (side, { value, fees }) => (side === 'SELL' ? value - fees : -(value + fees));
+
+/** A position with its size changed, in whichever field its shape uses. */
+const withSize = (pos, size) => ('qty' in pos ? { ...pos, qty: size } : { ...pos, quantity: size });
+
+/** Stop and targets the order didn't set, from the risk settings and the fill price. */
+function defaultLevels(template, direction, price) {
+  const risk = useStore.getState().riskSettings || RISK_DEFAULTS;
+  const sign = direction === 'short' ? -1 : 1;
+  const riskPerUnit = price * ((risk.stopLossPct ?? RISK_DEFAULTS.stopLossPct) / 100);
+  return {
+    stopLoss: template.stopLoss ?? price - sign * riskPerUnit,
+    tp1: template.tp1 ?? price + sign * riskPerUnit * (risk.tp1R ?? RISK_DEFAULTS.tp1R),
+    tp2: template.tp2 ?? price + sign * riskPerUnit * (risk.tp2R ?? RISK_DEFAULTS.tp2R),
+  };
+}
+
+function applyOpenFill(record, fill) {
+  const store = useStore.getState();
+  const cash = fillCash(record.side, fill);
+  const paperPositions = store.paperPortfolio.positions || [];
+  const existing = paperPositions.find((p) => p.id === record.positionId);
+
+  if (existing) {
+    const size = positionQty(existing) + fill.size;
+    const cost = (existing.cost || 0) - cash;
+    const entryPrice = (existing.entryPrice * positionQty(existing) + fill.value) / size;
+    const grown = { ...withSize(existing, size), cost, entryPrice };
+    store.updatePosition(existing.id, grown);
+    store.updatePaperPortfolio({
+      balance: store.paperPortfolio.balance + cash,
+      positions: paperPositions.map((p) => (p.id === existing.id ? grown : p)),
+    });
+    return;
+  }
+
+  const direction = record.side === 'SELL' ? 'short' : 'long';
+  const entryPrice = fill.value / fill.size;
+  const pos = {
+    ...withSize(record.position, fill.size),
+    ...defaultLevels(record.position, direction, entryPrice),
+    id: record.positionId,
+    pair: record.pair,
+    entryPrice,
+    cost: -cash,
+    entryTime: Date.now(),
+    mode: 'paper',
+    orderId: record.id,
+  };
+  store.addPosition(pos);
+  store.updatePaperPortfolio({
+    balance: store.paperPortfolio.balance + cash,
+    positions: [...paperPositions, pos],
+  });
+}
+
+/** @returns {number} realised P&L of the fill */
+function applyCloseFill(record, fill) {
+  const store = useStore.getState();
+  const cash = fillCash(record.side, fill);
+  const pos = (store.paperPortfolio.positions || []).find((p) => p.id === record.positionId);
+  if (!pos) {
+    store.updatePaperPortfolio({ balance: store.paperPortfolio.balance + cash });
+    return 0;
+  }
+
+  const held = positionQty(pos);
+  const qty = Math.min(fill.size, held);
+  const fraction = held > 0 ? qty / held : 1;
+  const pnl = cash - (pos.cost || 0) * fraction;
+  const remaining = held - qty;
+
+  const reduced = { ...withSize(pos, remaining), cost: (pos.cost || 0) * (1 - fraction) };
+
+  store.updatePaperPortfolio({
+    balance: store.paperPortfolio.balance + cash,
+    positions: remaining > 1e-9
+      ? store.paperPortfolio.positions.map((p) => (p.id === pos.id ? reduced : p))
+      : store.paperPortfolio.positions.filter((p) => p.id !== pos.id),
+    trades: [
+      ...(store.paperPortfolio.trades || []),
+      {
+        ...withSize(pos, qty),
+        cost: (pos.cost || 0) * fraction,
+        exitPrice: fill.value / fill.size,
+        pnl,
+        exitReason: record.reason,
+        closedAt: new Date().toISOString(),
+      },
+    ],
+  });
+  if (remaining > 1e-9) store.updatePosition(pos.id, reduced);
+  else store.removePosition(pos.id);
+  return pnl;
+}
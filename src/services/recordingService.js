@@ -0,0 +1,58 @@
+/* ============================================================
+   Cerebro Crypto — Recording Service
+   ============================================================
+   Client for the proxy's market data recorder
+   (/api/recordings). Recordings are gzip NDJSON files of raw
+   WebSocket messages; marketReplay.js plays them back.
+   ============================================================ */
+
+import axios from 'axios';
+
+const BASE_URL = '/api/recordings';
+
+const api = axios.create({
+  baseURL: BASE_URL,
+  timeout: 10000,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+const errorMessage = (err) => err.response?.data?.error || err.message;
+
+/** @returns {Promise<{ recordings: Object[], channels: string[] }>} */
+export async function getRecordings() {
+  const { data } = await api.get('');
+  return data;
+}
+
+/**
+ * Start recording a pair.
+ * @param {{ pair: string, channels?: string[], durationMinutes?: number, label?: string }} opts
+ * @returns {Promise<Object>} recording metadata
+ */
+export async function startRecording(opts) {
+  try {
+    const { data } = await api.post('', opts);
+    return data.recording;
+  } catch (err) {
+    throw new Error(errorMessage(err));
+  }
+}
+
+export async function stopRecording(id) {
+  try {
+    const { data } = await api.post(`/${id}/stop`);
+    return data.recording;
+  } catch (err) {
+    throw new Error(errorMessage(err));
+  }
+}
+
+export async function deleteRecording(id) {
+  await api.delete(`/${id}`);
+}
+
+/** URL of the decompressed NDJSON message stream, for fetch() streaming. */
+export const messagesUrl = (id) => `${BASE_URL}/${id}/messages`;
+
+/** URL of the compressed file, for a download link. */
+export const downloadUrl = (id) => `${BASE_URL}/${id}/download`;
@@ -0,0 +1,120 @@
+/* ============================================================
+   Cerebro Crypto — Trade History
+   ============================================================
+   Every closed trade the app has persisted, in one shape for
+   analytics: the paper portfolio's trades (localStorage), the
+   IndexedDB `trades` / `paperTrades` stores and the live order
+   history, each joined with its journal entry for the VIPER
+   mode, HYDRA entry score, initial stop and price excursion.
+   Trades closed without a tracked excursion can have one
+   filled from cached 1m candles (approximate: whole-minute
+   highs and lows).
+   ============================================================ */
+
+import { getTrades, getPaperTrades, getJournalEntries } from '../db/indexedDB.js';
+import { fetchCandleHistory } from './candleHistory.js';
+import { updateJournalEntry, journalBase } from './tradeJournal.js';
+
+const VIPER_MODES = ['STRIKE', 'COIL', 'LUNGE'];
+
+/** Excursions tracked from later than this after entry miss the start of the trade. */
+const EXCURSION_START_TOLERANCE_MS = 60000;
+
+const toMs = (t) => (t ? new Date(t).getTime() || null : null);
+
+const num = (v) => {
+  const n = typeof v === 'string' ? parseFloat(v) : v;
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * One trade record, from any source, joined with its journal entry.
+ * @returns {Object|null} null when the record is not a closed trade
+ */
+export function normalizeTrade(trade, journalEntry, source) {
+  const entryTime = toMs(trade.entryTime) ?? journalEntry?.entryTime ?? null;
+  const exitTime = toMs(trade.closedAt || trade.exitTime || trade.timestamp) ?? journalEntry?.exitTime ?? null;
+  if (!trade.pair || exitTime == null) return null;
+
+  const excursion = journalEntry?.excursion;
+  const viperMode = journalEntry?.viperMode || trade.viperMode;
+  const hydraScore = journalEntry?.entry?.hydra?.total ?? trade.hydraScore;
+
+  return {
+    id: trade.id,
+    pair: trade.pair,
+    strategy: trade.strategy || 'manual',
+    direction: trade.direction === 'short' || journalEntry?.direction === 'short' ? 'short' : 'long',
+    source: trade.mode === 'live' || source === 'live' ? 'live' : 'paper',
+    entryTime,
+    exitTime,
+    entryPrice: num(trade.entryPrice),
+    exitPrice: num(trade.exitPrice),
+    qty: num(trade.quantity ?? trade.qty ?? trade.size) || 0,
+    pnl: num(trade.pnl ?? trade.realizedPnL ?? trade.netPnL) || 0,
+    fees: num(trade.fees) || 0,
+    stopLoss: num(journalEntry?.entry?.stopLoss ?? trade.stopLoss),
+    viperMode: VIPER_MODES.includes(viperMode) ? viperMode : null,
+    hydraScore: num(hydraScore),
+    excursion: excursion && (entryTime == null || excursion.from <= entryTime + EXCURSION_START_TOLERANCE_MS)
+      ? excursion
+      : null,
+  };
+}
+
+/**
+ * Load every persisted closed trade.
+ * @param {Object} state - store snapshot (paperPortfolio, orderHistory)
+ * @returns {Promise<Object[]>} normalized trades, oldest exit first
+ */
+export async function loadTradeHistory(state) {
+  const [stored, storedPaper, journal] = await Promise.all([
+    getTrades().catch(() => []),
+    getPaperTrades().catch(() => []),
+    getJournalEntries().catch(() => []),
+  ]);
+  const journalById = new Map(journal.map((e) => [e.id, e]));
+
+  const sources = [
+    [state.paperPortfolio?.trades || [], 'paper'],
+    [storedPaper, 'paper'],
+    [state.orderHistory || [], 'live'],
+    [stored, 'live'],
+  ];
+
+  // The same close can be in several sources; partial closes share an id
+  const byKey = new Map();
+  for (const [records, source] of sources) {
+    for (const record of records) {
+      const trade = normalizeTrade(record, journalById.get(record.id), source);
+      if (!trade) continue;
+      const key = `${trade.id}:${trade.exitTime}`;
+      if (!byKey.has(key)) byKey.set(key, trade);
+    }
+  }
+
+  return [...byKey.values()].sort((a, b) => a.exitTime - b.exitTime);
+}
+
+/**
+ * Fill a trade's price excursion from 1m candles and save it to its
+ * journal entry.
+ * @param {Object} trade - normalized trade with entryTime
+ * @returns {Promise<Object|null>} the excursion, or null without candles
+ */
+export async function fillExcursionFromCandles(trade) {
+  if (!trade.id || trade.entryTime == null) return null;
+  const candles = await fetchCandleHistory(trade.pair, 'ONE_MINUTE', trade.entryTime, trade.exitTime);
+  if (candles.length === 0) return null;
+
+  const prices = [trade.entryPrice, trade.exitPrice].filter((p) => p != null);
+  const excursion = {
+    high: Math.max(...candles.map((c) => c.high), ...prices),
+    low: Math.min(...candles.map((c) => c.low), ...prices),
+    from: trade.entryTime,
+    to: trade.exitTime,
+    source: 'candles',
+  };
+  await updateJournalEntry(trade.id, (entry) => ({ ...(entry || journalBase(trade)), excursion }));
+  return excursion;
+}
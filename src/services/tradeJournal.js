@@ -0,0 +1,281 @@
+/* ============================================================
+   Cerebro Crypto — Trade Journal
+   ============================================================
+   One journal entry per trade (keyed by its position id) in
+   IndexedDB, next to trades / paperTrades:
+
+     { id, pair, strategy, direction, mode, viperMode,
+       entryTime, exitTime, notes, tags: ['setup:breakout'],
+       entry: snapshot, exit: snapshot }
+
+   When a position opens or closes, from any path (engine,
+   order entry, bracket exits, the Positions panel), a
+   snapshot is captured: the price, the pair's HYDRA total
+   and D1–D5 scores, the prevailing VIPER mode and, when the
+   pair is on the chart, a JPEG of the chart canvas. The
+   entry also keeps the initial stop, and while the position
+   is open its highest and lowest ticker prices are tracked
+   and saved at exit as `excursion` (for MAE / MFE). Notes
+   and tags are edited from the Trade Log.
+   ============================================================ */
+
+import { saveJournalEntry, getJournalEntry } from '../db/indexedDB.js';
+import { COLORS } from '../config/constants.js';
+
+/** Widest chart capture kept (px); larger canvases are scaled down. */
+const MAX_CHART_WIDTH = 960;
+const CHART_JPEG_QUALITY = 0.8;
+
+const VIPER_MODES = ['STRIKE', 'COIL', 'LUNGE'];
+
+const toMs = (t) => (t ? new Date(t).getTime() || null : null);
+
+// =========================================================================
+//  Change listeners (the Trade Log reloads on each save)
+// =========================================================================
+
+const listeners = new Set();
+
+/** Call `fn(entry)` after every journal save. Returns an unsubscribe. */
+export function subscribeJournal(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// =========================================================================
+//  Chart capture
+// =========================================================================
+
+let chartCanvases = null;
+
+/** The chart registers its canvases so snapshots can capture them. Returns an unregister. */
+export function registerChartCanvas(main, lower) {
+  const registered = { main, lower };
+  chartCanvases = registered;
+  return () => {
+    if (chartCanvases === registered) chartCanvases = null;
+  };
+}
+
+/** JPEG data URL of the price and lower-indicator panes, or null. */
+function captureChart() {
+  const { main, lower } = chartCanvases || {};
+  if (!main || main.width <= 0 || main.height <= 0) return null;
+  try {
+    const width = Math.round(Math.min(main.width, MAX_CHART_WIDTH));
+    const mainHeight = Math.round(main.height * (width / main.width));
+    const lowerHeight = lower && lower.width > 0 ? Math.round(lower.height * (width / lower.width)) : 0;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = mainHeight + lowerHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(main, 0, 0, width, mainHeight);
+    if (lowerHeight > 0) ctx.drawImage(lower, 0, mainHeight, width, lowerHeight);
+    return canvas.toDataURL('image/jpeg', CHART_JPEG_QUALITY);
+  } catch (err) {
+    console.warn('[Journal] Chart capture failed:', err);
+    return null;
+  }
+}
+
+// =========================================================================
+//  Snapshots
+// =========================================================================
+
+/** The pair's latest HYDRA score as plain numbers. */
+function hydraSnapshot(state, pair) {
+  const score = (pair === state.activePair && state.hydraScore) || state.scannerHydraScores?.[pair];
+  if (!score) return null;
+  return {
+    total: score.totalScore ?? null,
+    d1: score.d1?.score ?? null,
+    d2: score.d2?.score ?? null,
+    d3: score.d3?.score ?? null,
+    d4: score.d4?.score ?? null,
+    d5: score.d5?.score ?? null,
+    direction: score.direction || null,
+  };
+}
+
+function prevailingViperMode(state, pair) {
+  return (pair === state.activePair ? state.viperActiveMode : state.scannerViperModes?.[pair]) || null;
+}
+
+function snapshot(state, pair, price) {
+  return {
+    capturedAt: Date.now(),
+    price: price ?? state.tickers?.[pair]?.price ?? null,
+    hydra: hydraSnapshot(state, pair),
+    viperMode: prevailingViperMode(state, pair),
+    // The chart only shows the active pair
+    chart: pair === state.activePair ? captureChart() : null,
+  };
+}
+
+/** A blank entry for a position or trade record. */
+export function journalBase(trade) {
+  return {
+    id: trade.id,
+    pair: trade.pair,
+    strategy: trade.strategy || 'manual',
+    direction: trade.direction || (trade.side === 'SELL' ? 'short' : 'long'),
+    mode: trade.mode === 'live' || trade.source === 'live' ? 'live' : 'paper',
+    viperMode: VIPER_MODES.includes(trade.viperMode) ? trade.viperMode : null,
+    entryTime: toMs(trade.entryTime || trade.timestamp),
+    exitTime: toMs(trade.closedAt || trade.exitTime),
+    notes: '',
+    tags: [],
+    entry: null,
+    exit: null,
+  };
+}
+
+// =========================================================================
+//  Writes — serialised per id, so an exit never overtakes its entry
+// =========================================================================
+
+const pending = new Map();
+
+/**
+ * Read-modify-write a journal entry.
+ * @param {string} id
+ * @param {(entry: Object|null) => Object|null} update - the new entry, or null to skip
+ * @returns {Promise<Object|null>} the saved entry
+ */
+export function updateJournalEntry(id, update) {
+  const run = (pending.get(id) || Promise.resolve())
+    .then(() => getJournalEntry(id))
+    .then(async (existing) => {
+      const next = update(existing || null);
+      if (!next) return null;
+      await saveJournalEntry(next);
+      for (const fn of listeners) fn(next);
+      return next;
+    })
+    .catch((err) => {
+      console.warn('[Journal] Failed to save entry:', err);
+      return null;
+    });
+  pending.set(id, run);
+  run.finally(() => {
+    if (pending.get(id) === run) pending.delete(id);
+  });
+  return run;
+}
+
+/**
+ * Set the notes and / or tags of a trade, creating its entry if needed.
+ * `tags` may be a function of the saved tags, so quick edits don't race.
+ */
+export function annotateTrade(trade, { notes, tags }) {
+  return updateJournalEntry(trade.id, (entry) => {
+    const base = entry || journalBase(trade);
+    return {
+      ...base,
+      ...(notes !== undefined && { notes }),
+      ...(tags !== undefined && { tags: typeof tags === 'function' ? tags(base.tags || []) : tags }),
+    };
+  });
+}
+
+function recordEntry(position, state) {
+  const entrySnapshot = {
+    ...snapshot(state, position.pair, position.entryPrice),
+    stopLoss: position.stopLoss ?? null,
+  };
+  return updateJournalEntry(position.id, (entry) => {
+    // Positions restored on reload were captured when they opened
+    if (entry?.entry) return null;
+    const base = entry || journalBase(position);
+    return {
+      ...base,
+      viperMode: base.viperMode || entrySnapshot.viperMode,
+      entry: entrySnapshot,
+    };
+  });
+}
+
+function recordExit(position, state, excursion) {
+  const trades = state.paperPortfolio?.trades || [];
+  const trade = [...trades].reverse().find((t) => t.id === position.id);
+  const exitSnapshot = snapshot(state, position.pair, trade?.exitPrice);
+  const exitTime = toMs(trade?.closedAt) || exitSnapshot.capturedAt;
+  if (excursion && exitSnapshot.price != null) {
+    excursion.high = Math.max(excursion.high, exitSnapshot.price);
+    excursion.low = Math.min(excursion.low, exitSnapshot.price);
+  }
+  return updateJournalEntry(position.id, (entry) => ({
+    ...(entry || journalBase(position)),
+    exitTime,
+    exit: exitSnapshot,
+    ...(excursion && { excursion: { ...excursion, to: exitTime, source: 'ticker' } }),
+  }));
+}
+
+// =========================================================================
+//  Binding
+// =========================================================================
+
+function openPositions(state) {
+  const open = new Map();
+  for (const p of [...(state.positions || []), ...(state.paperPortfolio?.positions || [])]) {
+    if (p?.id && p.status !== 'closed') open.set(p.id, p);
+  }
+  return open;
+}
+
+/**
+ * Capture entry / exit snapshots as positions open and close.
+ * @param {Object} store - zustand store
+ * @returns {Function} unbind
+ */
+export function bindTradeJournal(store) {
+  let known = openPositions(store.getState());
+  // Price range seen while each position is open: { high, low, from }
+  const excursions = new Map();
+
+  const track = (position) => {
+    const price = position.entryPrice;
+    excursions.set(position.id, { high: price, low: price, from: Date.now() });
+  };
+
+  for (const position of known.values()) {
+    track(position);
+    recordEntry(position, store.getState());
+  }
+
+  return store.subscribe((s, prev) => {
+    if (s.tickers !== prev.tickers) {
+      for (const position of known.values()) {
+        const price = s.tickers?.[position.pair]?.price;
+        const range = excursions.get(position.id);
+        if (!price || !range) continue;
+        if (price > range.high) range.high = price;
+        if (price < range.low) range.low = price;
+      }
+    }
+
+    if (s.positions === prev.positions && s.paperPortfolio === prev.paperPortfolio) return;
+    const open = openPositions(s);
+    // A mode switch swaps the position list; nothing opened or closed
+    if (s.tradingMode === prev.tradingMode) {
+      for (const [id, position] of open) {
+        if (known.has(id)) continue;
+        track(position);
+        recordEntry(position, s);
+      }
+      for (const [id, position] of known) {
+        if (open.has(id)) continue;
+        recordExit(position, s, excursions.get(id));
+        excursions.delete(id);
+      }
+    } else {
+      for (const [id, position] of open) if (!excursions.has(id)) track(position);
+      for (const id of excursions.keys()) if (!open.has(id)) excursions.delete(id);
+    }
+    known = open;
+  });
+}
@@ -4,6 +4,7 @@
 
 import { create } from 'zustand';
 import { DEFAULT_PAIRS, RISK_DEFAULTS } from '../config/constants.js';
+import { CORRELATION_DEFAULTS } from '../utils/correlationMatrix.js';
 
 // ---------------------------------------------------------------------------
 // Safe localStorage helpers
@@ -40,6 +41,7 @@ const lsSet = (key, value) => {
 const useStore = create((set, get) => ({
   // ---- Connection ---------------------------------------------------------
   wsStatus: 'disconnected', // 'disconnected' | 'connecting' | 'connected' | 'reconnecting'
+  replay: null, // { id, pair, speed, anchor, clock, progress, total } while replaying a recording
 
   // ---- Trading Mode -------------------------------------------------------
   tradingMode: lsGetString('tradingMode', 'paper'),
@@ -65,6 +67,16 @@ const useStore = create((set, get) => ({
   positions: [],
   pendingOrders: [],
   orderHistory: [],
+  orders: [], // Coinbase order objects (orders/historical/batch + user channel)
+  // Linked bracket / OCO orders, see useOrderGroups:
+  // { id, kind: 'bracket'|'oco', mode, pair, status: 'pending'|'active'|'closed'|'cancelled',
+  //   entryOrderId, exitOrderId, size, entryPrice, takeProfit, stopLoss, positionId, outcome,
+  //   createdAt, updatedAt }
+  orderGroups: lsGet('orderGroups', []),
+  // Paper-mode entries and closes working on the proxy's paper engine, see usePaperOrders:
+  // { id, intent: 'open'|'close', pair, side, positionId, position, reason,
+  //   filledSize, filledValue, fees, pnl, createdAt, updatedAt }
+  paperOrders: lsGet('paperOrders', []),
 
   // ---- Portfolio ----------------------------------------------------------
   portfolio: {
@@ -90,10 +102,14 @@ const useStore = create((set, get) => ({
   signals: [],
 
   // ---- Risk Settings ------------------------------------------------------
-  riskSettings: lsGet('riskSettings', { ...RISK_DEFAULTS }),
+  riskSettings: { ...RISK_DEFAULTS, ...lsGet('riskSettings', {}) },
+  correlationSettings: { ...CORRELATION_DEFAULTS, ...lsGet('correlationSettings', {}) },
+  correlationMatrix: null,  // { pairs, matrix, samples, timeframe, lookback, computedAt }
+  riskPipelineConfig: lsGet('riskPipelineConfig', {}), // { hydra: { [stageId]: { enabled, ...params } }, viper: {...} }
+  riskDecisions: [],        // Last 100 risk pipeline outcomes, with the deciding stage
 
   // ---- Alerts -------------------------------------------------------------
-  alerts: [],
+  alerts: lsGet('alerts', []),
   alertLog: [],
   toasts: [],
 
@@ -129,6 +145,8 @@ const useStore = create((set, get) => ({
   engineStatus: 'idle',     // 'idle' | 'running' | 'paused' | 'error'
   lastEngineEval: null,     // timestamp of last evaluation
   signalHistory: [],        // Last 200 signals for persistence
+  engineHost: lsGetString('engineHost', 'browser'), // 'browser' | 'server' — where the engine runs
+  serverEngine: null,       // { connected, status, mode, positions, ... } from /api/engine/ws
 
   // ---- VIPER State -------------------------------------------------------
   viperEnabled: lsGet('viperEnabled', false),
@@ -183,6 +201,7 @@ const useStore = create((set, get) => ({
   scannerTradeFlow: {},     // { 'BTC-USD': { buyVolume, sellVolume, ratio } }
   scannerRegimes: {},       // { 'BTC-USD': 'bullish' }
   scannerViperModes: {},    // { 'BTC-USD': 'STRIKE', 'SOL-USD': 'LUNGE' }
+  scannerHydraScores: {},   // { 'BTC-USD': { totalScore, d1..d5, spreadBlocked } }
   scannerEnabled: lsGet('scannerEnabled', true),
   maxConcurrentPositions: lsGet('maxConcurrentPositions', 3),
 
@@ -215,6 +234,9 @@ const useStore = create((set, get) => ({
 
   // ---- Connection ---------------------------------------------------------
   setWsStatus: (status) => set({ wsStatus: status }),
+  /** Patch the replay state; null clears it. */
+  setReplay: (patch) =>
+    set((s) => ({ replay: patch === null ? null : { ...(s.replay || {}), ...patch } })),
 
   // ---- Trading Mode -------------------------------------------------------
   setTradingMode: (mode) => {
@@ -350,6 +372,63 @@ const useStore = create((set, get) => ({
 
   setPendingOrders: (orders) => set({ pendingOrders: orders }),
 
+  addOrderGroup: (group) => {
+    const now = Date.now();
+    const updated = [{ createdAt: now, updatedAt: now, ...group }, ...get().orderGroups].slice(0, 100);
+    lsSet('orderGroups', updated);
+    set({ orderGroups: updated });
+  },
+
+  updateOrderGroup: (id, updates) => {
+    const updated = get().orderGroups.map((g) => (g.id === id ? { ...g, ...updates, updatedAt: Date.now() } : g));
+    lsSet('orderGroups', updated);
+    set({ orderGroups: updated });
+  },
+
+  removeOrderGroup: (id) => {
+    const updated = get().orderGroups.filter((g) => g.id !== id);
+    lsSet('orderGroups', updated);
+    set({ orderGroups: updated });
+  },
+
+  addPaperOrder: (order) => {
+    const now = Date.now();
+    const updated = [{ createdAt: now, updatedAt: now, ...order }, ...get().paperOrders];
+    lsSet('paperOrders', updated);
+    set({ paperOrders: updated });
+  },
+
+  updatePaperOrder: (id, updates) => {
+    const updated = get().paperOrders.map((o) => (o.id === id ? { ...o, ...updates, updatedAt: Date.now() } : o));
+    lsSet('paperOrders', updated);
+    set({ paperOrders: updated });
+  },
+
+  removePaperOrder: (id) => {
+    const updated = get().paperOrders.filter((o) => o.id !== id);
+    lsSet('paperOrders', updated);
+    set({ paperOrders: updated });
+  },
+
+  setOrders: (orders) => set({ orders }),
+
+  /** Merge a `user` channel update into the matching order (newest first). */
+  updateOrderStatus: ({ orderId, status, filledSize, avgFilledPrice, totalFees }) =>
+    set((s) => {
+      const patch = {
+        status,
+        ...(filledSize !== undefined && { filled_size: String(filledSize) }),
+        ...(avgFilledPrice !== undefined && { average_filled_price: String(avgFilledPrice) }),
+        ...(totalFees !== undefined && { total_fees: String(totalFees) }),
+      };
+      const exists = s.orders.some((o) => o.order_id === orderId);
+      return {
+        orders: exists
+          ? s.orders.map((o) => (o.order_id === orderId ? { ...o, ...patch } : o))
+          : [{ order_id: orderId, ...patch }, ...s.orders].slice(0, 200),
+      };
+    }),
+
   // ---- Portfolio ----------------------------------------------------------
   setPortfolio: (data) =>
     set((s) => ({
@@ -377,6 +456,38 @@ const useStore = create((set, get) => ({
     set({ riskSettings: updated });
   },
 
+  setCorrelationSettings: (settings) => {
+    const updated = { ...get().correlationSettings, ...settings };
+    lsSet('correlationSettings', updated);
+    set({ correlationSettings: updated });
+  },
+
+  setCorrelationMatrix: (correlationMatrix) => set({ correlationMatrix }),
+
+  setRiskPipelineConfig: (config) => {
+    lsSet('riskPipelineConfig', config);
+    set({ riskPipelineConfig: config });
+  },
+
+  setRiskStageConfig: (strategyKey, stageId, patch) => {
+    const config = get().riskPipelineConfig;
+    const strategy = config[strategyKey] || {};
+    const updated = {
+      ...config,
+      [strategyKey]: { ...strategy, [stageId]: { ...(strategy[stageId] || {}), ...patch } },
+    };
+    lsSet('riskPipelineConfig', updated);
+    set({ riskPipelineConfig: updated });
+  },
+
+  addRiskDecision: (decision) =>
+    set((s) => ({
+      riskDecisions: [
+        { ...decision, timestamp: Date.now() },
+        ...s.riskDecisions,
+      ].slice(0, 100),
+    })),
+
   // ---- Toasts / Alerts ----------------------------------------------------
   addToast: (toast) =>
     set((s) => ({
@@ -396,8 +507,23 @@ const useStore = create((set, get) => ({
       toasts: s.toasts.filter((t) => t.id !== id),
     })),
 
-  addAlert: (alert) =>
-    set((s) => ({ alerts: [...s.alerts, alert] })),
+  addAlert: (alert) => {
+    const updated = [...get().alerts, alert];
+    lsSet('alerts', updated);
+    set({ alerts: updated });
+  },
+
+  updateAlert: (id, updates) => {
+    const updated = get().alerts.map((a) => (a.id === id ? { ...a, ...updates } : a));
+    lsSet('alerts', updated);
+    set({ alerts: updated });
+  },
+
+  removeAlert: (id) => {
+    const updated = get().alerts.filter((a) => a.id !== id);
+    lsSet('alerts', updated);
+    set({ alerts: updated });
+  },
 
   addAlertLog: (entry) =>
     set((s) => ({ alertLog: [...s.alertLog, entry].slice(-200) })),
@@ -544,6 +670,13 @@ const useStore = create((set, get) => ({
     set({ hydraSettings: updated });
   },
 
+  // Apply an optimised parameter set (e.g. walk-forward recommendation).
+  // entryThreshold also drives the live threshold the engine reads.
+  applyHydraParams: (params) => {
+    get().setHydraSettings(params);
+    if (params.entryThreshold != null) get().setHydraEntryThreshold(params.entryThreshold);
+  },
+
   addHydraActivity: (entry) =>
     set((s) => ({
       hydraActivity: [
@@ -557,6 +690,14 @@ const useStore = create((set, get) => ({
   // ---- Engine State ----------------------------------------------------
   setEngineStatus: (status) => set({ engineStatus: status }),
 
+  setEngineHost: (host) => {
+    lsSet('engineHost', host);
+    set({ engineHost: host });
+  },
+
+  setServerEngine: (data) =>
+    set((s) => ({ serverEngine: data === null ? null : { ...(s.serverEngine || {}), ...data } })),
+
   addEngineLog: (entry) =>
     set((s) => ({
       engineLog: [
@@ -607,6 +748,7 @@ const useStore = create((set, get) => ({
       scannerTradeFlow: {},
       scannerRegimes: {},
       scannerViperModes: {},
+      scannerHydraScores: {},
     });
   },
 
@@ -631,6 +773,7 @@ const useStore = create((set, get) => ({
       scannerTradeFlow: cleanObj(state.scannerTradeFlow),
       scannerRegimes: cleanObj(state.scannerRegimes),
       scannerViperModes: cleanObj(state.scannerViperModes),
+      scannerHydraScores: cleanObj(state.scannerHydraScores),
     });
   },
 
@@ -743,6 +886,11 @@ const useStore = create((set, get) => ({
       scannerRegimes: { ...s.scannerRegimes, [pair]: regime },
     })),
 
+  setScannerHydraScore: (pair, score) =>
+    set((s) => ({
+      scannerHydraScores: { ...s.scannerHydraScores, [pair]: score },
+    })),
+
   setScannerViperMode: (pair, mode) =>
     set((s) => ({
       scannerViperModes: { ...s.scannerViperModes, [pair]: mode },
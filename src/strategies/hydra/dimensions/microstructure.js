@@ -13,29 +13,34 @@
  * @param {number} price - current price
  * @param {number} vwap - current VWAP value
  * @param {number[]} closes - last few close prices (for VWAP reclaim detection)
+ * @param {'long'|'short'} [direction='long'] - side being scored; a short wants
+ *   ask-heavy books and price just under VWAP
  *
  * @returns {{ score: number, detail: string[], spreadBlocked: boolean }}
  */
-export function scoreMicrostructure(orderBook, spread, price, vwap, closes) {
+export function scoreMicrostructure(orderBook, spread, price, vwap, closes, direction = 'long') {
   const detail = [];
   let score = 0;
   let spreadBlocked = false;
+  const isShort = direction === 'short';
 
   // ---- Order Book Imbalance (0–8 pts) ----
   const bidVol = sumTopLevels(orderBook?.bids, 10);
   const askVol = sumTopLevels(orderBook?.asks, 10);
 
   if (bidVol > 0 && askVol > 0) {
-    const ratio = bidVol / askVol;
+    // Shorts read the imbalance from the ask side
+    const ratio = isShort ? askVol / bidVol : bidVol / askVol;
+    const side = isShort ? 'ask' : 'bid';
     if (ratio > 2.0) {
       score += 8;
-      detail.push(`Book imbalance ${ratio.toFixed(2)} — strong bid (+8)`);
+      detail.push(`Book imbalance ${ratio.toFixed(2)} — strong ${side} (+8)`);
     } else if (ratio >= 1.5) {
       score += 6;
-      detail.push(`Book imbalance ${ratio.toFixed(2)} — moderate bid (+6)`);
+      detail.push(`Book imbalance ${ratio.toFixed(2)} — moderate ${side} (+6)`);
     } else if (ratio >= 1.2) {
       score += 4;
-      detail.push(`Book imbalance ${ratio.toFixed(2)} — slight bid (+4)`);
+      detail.push(`Book imbalance ${ratio.toFixed(2)} — slight ${side} (+4)`);
     } else {
       detail.push(`Book imbalance ${ratio.toFixed(2)} — balanced (+0)`);
     }
@@ -79,25 +84,28 @@ export function scoreMicrostructure(orderBook, spread, price, vwap, closes) {
 
   // ---- Price Location vs VWAP (0–6 pts) ----
   if (price != null && vwap != null && vwap > 0) {
-    const vwapDist = ((price - vwap) / vwap) * 100; // % above/below VWAP
+    // % on the trade's side of VWAP (above for longs, below for shorts)
+    const vwapDist = ((isShort ? vwap - price : price - vwap) / vwap) * 100;
+    const withSide = isShort ? 'below' : 'above';
+    const againstSide = isShort ? 'above' : 'below';
 
-    // Check for VWAP reclaim (crossed above in last 2 bars)
-    const justReclaimed = checkVwapReclaim(closes, vwap);
+    // Check for VWAP reclaim (crossed above in last 2 bars; lost — crossed below — for shorts)
+    const justCrossed = isShort ? checkVwapLoss(closes, vwap) : checkVwapReclaim(closes, vwap);
 
-    if (justReclaimed) {
+    if (justCrossed) {
       score += 6;
-      detail.push(`Price just reclaimed VWAP (+6)`);
+      detail.push(`Price just ${isShort ? 'lost' : 'reclaimed'} VWAP (+6)`);
     } else if (vwapDist >= 0 && vwapDist <= 0.2) {
       score += 5;
-      detail.push(`Price ${vwapDist.toFixed(2)}% above VWAP — prime (+5)`);
+      detail.push(`Price ${vwapDist.toFixed(2)}% ${withSide} VWAP — prime (+5)`);
     } else if (vwapDist > 0.2 && vwapDist <= 0.5) {
       score += 3;
-      detail.push(`Price ${vwapDist.toFixed(2)}% above VWAP (+3)`);
+      detail.push(`Price ${vwapDist.toFixed(2)}% ${withSide} VWAP (+3)`);
     } else if (vwapDist > 0.5) {
       score += 1;
-      detail.push(`Price ${vwapDist.toFixed(2)}% above VWAP — chasing (+1)`);
+      detail.push(`Price ${vwapDist.toFixed(2)}% ${withSide} VWAP — chasing (+1)`);
     } else {
-      detail.push(`Price below VWAP by ${Math.abs(vwapDist).toFixed(2)}% (+0)`);
+      detail.push(`Price ${againstSide} VWAP by ${Math.abs(vwapDist).toFixed(2)}% (+0)`);
     }
   } else {
     detail.push('VWAP data unavailable');
@@ -132,3 +140,18 @@ function checkVwapReclaim(closes, vwap) {
   return prev2 != null && prev1 != null && current != null &&
     prev2 < vwap && current > vwap;
 }
+
+/**
+ * Check if price just lost VWAP from above in the last 2 bars.
+ */
+function checkVwapLoss(closes, vwap) {
+  if (!closes || closes.length < 3 || vwap == null) return false;
+  const len = closes.length;
+  const prev2 = closes[len - 3];
+  const prev1 = closes[len - 2];
+  const current = closes[len - 1];
+
+  // Was above VWAP 2 bars ago, now below
+  return prev2 != null && prev1 != null && current != null &&
+    prev2 > vwap && current < vwap;
+}
@@ -3,43 +3,83 @@
    ============================================================
    Measures whether momentum is genuine and sustainable vs.
    exhausted or divergent. Checks RSI shape, MACD structure,
-   Stochastic RSI confirmation, and hidden bullish divergence.
+   Stochastic RSI confirmation, and hidden bullish divergence
+   (bearish momentum and divergence when scoring a short).
    ============================================================ */
 
+// Direction-specific wording for the detail lines
+const WORDING = {
+  long: {
+    trend: 'healthy uptrend',
+    recovering: 'recovering from <40',
+    extended: 'elevated',
+    macdWith: 'positive',
+    macdAgainst: 'negative',
+    cross: 'above',
+    kWith: 'K>D',
+    kAgainst: 'K<D',
+    both: 'both >50',
+    divergence: 'Hidden bullish divergence',
+  },
+  short: {
+    trend: 'healthy downtrend',
+    recovering: 'rolling over from >60',
+    extended: 'depressed',
+    macdWith: 'negative',
+    macdAgainst: 'positive',
+    cross: 'below',
+    kWith: 'K<D',
+    kAgainst: 'K>D',
+    both: 'both <50',
+    divergence: 'Hidden bearish divergence',
+  },
+};
+
 /**
  * Score momentum quality.
  *
+ * Short entries are scored on mirrored oscillators (100 − RSI,
+ * −MACD histogram, 100 − StochRSI, −price), so the same bands
+ * reward downside momentum.
+ *
  * @param {Object} indicators - computed indicator data
  *   { rsi: number[], macd: { line[], signal[], histogram[] },
  *     stochRSI: { k[], d[] }, close: number[] }
+ * @param {'long'|'short'} [direction='long'] - side being scored
  *
  * @returns {{ score: number, detail: string[], divergence: boolean }}
  */
-export function scoreMomentumQuality(indicators) {
+export function scoreMomentumQuality(indicators, direction = 'long') {
   const detail = [];
   let score = 0;
   let divergence = false;
+  const isShort = direction === 'short';
+  const words = WORDING[isShort ? 'short' : 'long'];
+  const mirror = (arr, fn) => (isShort ? (arr || []).map((v) => (v == null ? v : fn(v))) : (arr || []));
+  const flipPct = (v) => 100 - v;
+  const negate = (v) => -v;
 
   // ---- RSI Position (0–6 pts) ----
-  const rsiArr = indicators.rsi || [];
+  const rsiArr = mirror(indicators.rsi, flipPct);
   const rsi = getLastValid(rsiArr);
   const prevRsi = getLastValid(rsiArr, 1);
 
   if (rsi != null) {
+    const shown = (isShort ? 100 - rsi : rsi).toFixed(1);
     if (rsi >= 50 && rsi <= 65) {
       score += 6;
-      detail.push(`RSI ${rsi.toFixed(1)} — healthy uptrend (+6)`);
+      detail.push(`RSI ${shown} — ${words.trend} (+6)`);
     } else if (rsi >= 45 && rsi < 50 && prevRsi != null && prevRsi < 40) {
       score += 5;
-      detail.push(`RSI ${rsi.toFixed(1)} recovering from <40 (+5)`);
+      detail.push(`RSI ${shown} ${words.recovering} (+5)`);
     } else if (rsi > 65 && rsi <= 72) {
       score += 3;
-      detail.push(`RSI ${rsi.toFixed(1)} — elevated, caution (+3)`);
+      detail.push(`RSI ${shown} — ${words.extended}, caution (+3)`);
     } else if (rsi >= 45 && rsi < 50) {
       score += 3;
-      detail.push(`RSI ${rsi.toFixed(1)} — neutral (+3)`);
+      detail.push(`RSI ${shown} — neutral (+3)`);
     } else {
-      detail.push(`RSI ${rsi.toFixed(1)} — out of range (+0)`);
+      detail.push(`RSI ${shown} — out of range (+0)`);
     }
   } else {
     detail.push('RSI unavailable');
@@ -47,23 +87,22 @@ export function scoreMomentumQuality(indicators) {
 
   // ---- MACD Structure (0–7 pts) ----
   const macd = indicators.macd || {};
-  const hist = macd.histogram || [];
+  const hist = mirror(macd.histogram, negate);
   const histCurrent = getLastValid(hist);
   const histPrev = getLastValid(hist, 1);
-  const histPrev2 = getLastValid(hist, 2);
 
   if (histCurrent != null) {
     if (histCurrent > 0 && histPrev != null && histCurrent > histPrev) {
       score += 7;
-      detail.push(`MACD histogram positive & accelerating (+7)`);
+      detail.push(`MACD histogram ${words.macdWith} & accelerating (+7)`);
     } else if (histCurrent > 0 && histPrev != null && histPrev <= 0) {
       score += 6;
-      detail.push(`MACD histogram just crossed above zero (+6)`);
+      detail.push(`MACD histogram just crossed ${words.cross} zero (+6)`);
     } else if (histCurrent > 0) {
       score += 3;
-      detail.push(`MACD histogram positive but decelerating (+3)`);
+      detail.push(`MACD histogram ${words.macdWith} but decelerating (+3)`);
     } else {
-      detail.push(`MACD histogram negative (+0)`);
+      detail.push(`MACD histogram ${words.macdAgainst} (+0)`);
     }
   } else {
     detail.push('MACD unavailable');
@@ -71,8 +110,8 @@ export function scoreMomentumQuality(indicators) {
 
   // ---- Stochastic RSI Confirmation (0–7 pts) ----
   const stoch = indicators.stochRSI || {};
-  const kArr = stoch.k || [];
-  const dArr = stoch.d || [];
+  const kArr = mirror(stoch.k, flipPct);
+  const dArr = mirror(stoch.d, flipPct);
   const k = getLastValid(kArr);
   const d = getLastValid(dArr);
   const kPrev = getLastValid(kArr, 1);
@@ -83,28 +122,28 @@ export function scoreMomentumQuality(indicators) {
 
     if (kCrossedAboveD && k < 80) {
       score += 7;
-      detail.push(`StochRSI K crossed above D, K=${k.toFixed(1)} (+7)`);
+      detail.push(`StochRSI K crossed ${words.cross} D, K=${(isShort ? 100 - k : k).toFixed(1)} (+7)`);
     } else if (k > d && k > 50 && d > 50) {
       score += 5;
-      detail.push(`StochRSI K>D, both >50 (+5)`);
+      detail.push(`StochRSI ${words.kWith}, ${words.both} (+5)`);
     } else if (k > d) {
       score += 2;
-      detail.push(`StochRSI K>D but weak (+2)`);
+      detail.push(`StochRSI ${words.kWith} but weak (+2)`);
     } else {
-      detail.push(`StochRSI K<D (+0)`);
+      detail.push(`StochRSI ${words.kAgainst} (+0)`);
     }
   } else {
     detail.push('StochRSI unavailable');
   }
 
-  // ---- Hidden Bullish Divergence Bonus (+3) ----
-  // Price makes higher low, RSI makes lower low over last 20 bars
-  const closes = indicators.close || [];
+  // ---- Hidden Divergence Bonus (+3) ----
+  // Long: price higher low, RSI lower low. Short: price lower high, RSI higher high.
+  const closes = mirror(indicators.close, negate);
   if (closes.length >= 20 && rsiArr.length >= 20) {
     divergence = detectHiddenBullishDivergence(closes, rsiArr, 20);
     if (divergence) {
       score += 3;
-      detail.push('Hidden bullish divergence detected (+3 bonus)');
+      detail.push(`${words.divergence} detected (+3 bonus)`);
     }
   }
 
@@ -1,10 +1,30 @@
 /* ============================================================
    HYDRA Dimension 1 — Multi-Timeframe Trend Alignment (0–20 pts)
    ============================================================
-   Scores trend alignment across 1m, 5m, 15m timeframes.
-   Higher timeframes carry more weight.
+   Scores trend alignment across 1m, 5m, 15m and 1h, each
+   from its own candles' EMA/SMA stack. Higher timeframes
+   carry more weight. Short entries score the mirror image:
+   bearish alignment earns the points and a bullish
+   timeframe caps the score.
+
+   Timeframes come from the worker's namespaced indicators
+   (`FIVE_MINUTE_ema9`, …) or explicit frames (`m5`, …);
+   the un-namespaced primary set stands in for 1m. With a
+   single timeframe available the score falls back to the
+   single-timeframe points.
    ============================================================ */
 
+// Timeframes D1 reads, fastest first; weights sum to 20
+export const TREND_TIMEFRAMES = [
+  { key: 'm1',  label: '1m',  timeframe: 'ONE_MINUTE',     weight: 3 },
+  { key: 'm5',  label: '5m',  timeframe: 'FIVE_MINUTE',    weight: 5 },
+  { key: 'm15', label: '15m', timeframe: 'FIFTEEN_MINUTE', weight: 6 },
+  { key: 'h1',  label: '1h',  timeframe: 'ONE_HOUR',       weight: 6 },
+];
+
+// Points when only one timeframe is available
+const SINGLE_TF_POINTS = 7;
+
 /**
  * Determine if a single timeframe is bullish, bearish, or neutral.
  * Bullish = EMA9 > EMA21 > EMA50 AND price > SMA200
@@ -24,45 +44,73 @@ function getTrendState(tf) {
   return 'neutral';
 }
 
+/**
+ * Mirror of getTrendState for short entries.
+ * Bearish = EMA9 < EMA21 < EMA50 AND price < SMA200
+ * Bullish = EMA9 > EMA21
+ * Neutral = everything else
+ */
+function getShortTrendState(tf) {
+  const { ema9, ema21, ema50, sma200, price } = tf;
+  if (ema9 == null || ema21 == null) return 'neutral';
+
+  if (ema9 > ema21) return 'bullish';
+
+  const emaAligned = ema9 < ema21 && (ema50 == null || ema21 < ema50);
+  const belowSma200 = sma200 == null || price < sma200;
+
+  if (emaAligned && belowSma200) return 'bearish';
+  return 'neutral';
+}
+
 /**
  * Score multi-timeframe trend alignment.
  *
- * @param {Object} indicators
- *   indicators.m1  = { ema9, ema21, ema50, sma200, price }
- *   indicators.m5  = { ema9, ema21, ema50, sma200, price }
- *   indicators.m15 = { ema9, ema21, ema50, sma200, price }
- *
- * If multi-timeframe data is unavailable, falls back to single-timeframe
- * scoring using the primary indicators object.
+ * @param {Object} indicators - indicator arrays, with per-timeframe sets
+ *   namespaced by timeframe (`ONE_HOUR_ema21`, …), and/or explicit frames
+ *   indicators.m1 / m5 / m15 / h1 = { ema9, ema21, ema50, sma200, price }
+ *   (an explicit null marks that timeframe unavailable)
+ * @param {'long'|'short'} [direction='long'] - side being scored
  *
- * @returns {{ score: number, detail: string[] }}
+ * @returns {{ score: number, detail: string[], timeframes: Object<string, string|null> }}
+ *   timeframes: { m1, m5, m15, h1 } → 'bullish' | 'bearish' | 'neutral', null when unavailable
  */
-export function scoreTrendAlignment(indicators) {
+export function scoreTrendAlignment(indicators, direction = 'long') {
   const detail = [];
+  const isShort = direction === 'short';
+  const trendState = isShort ? getShortTrendState : getTrendState;
+  const favored = isShort ? 'bearish' : 'bullish';
+  const opposed = isShort ? 'bullish' : 'bearish';
 
-  // Build timeframe data — support both multi-TF and single-TF modes
-  const m1  = indicators.m1  || null;
-  const m5  = indicators.m5  || buildTFFromPrimary(indicators);
-  const m15 = indicators.m15 || null;
+  const timeframes = {};
+  for (const { key } of TREND_TIMEFRAMES) {
+    const tf = resolveTimeframe(indicators, key);
+    timeframes[key] = tf ? trendState(tf) : null;
+  }
+  const available = TREND_TIMEFRAMES.filter(({ key }) => timeframes[key] != null);
 
-  const state1m  = m1  ? getTrendState(m1)  : 'neutral';
-  const state5m  = m5  ? getTrendState(m5)  : 'neutral';
-  const state15m = m15 ? getTrendState(m15) : 'neutral';
+  detail.push(TREND_TIMEFRAMES.map(({ key, label }) => `${label}: ${timeframes[key] ?? 'n/a'}`).join(', '));
 
-  detail.push(`1m: ${state1m}, 5m: ${state5m}, 15m: ${state15m}`);
+  if (available.length === 0) {
+    detail.push('No trend data');
+    return { score: 3, detail, timeframes };
+  }
 
-  // Check if any timeframe is bearish — cap at 5
-  const anyBearish = [state1m, state5m, state15m].includes('bearish');
-  if (anyBearish) {
-    detail.push('Bearish TF detected — capped at 5');
-    return { score: 5, detail };
+  // Check if any timeframe runs against the trade — cap at 5
+  if (available.some(({ key }) => timeframes[key] === opposed)) {
+    detail.push(`${opposed === 'bearish' ? 'Bearish' : 'Bullish'} TF detected — capped at 5`);
+    return { score: 5, detail, timeframes };
   }
 
-  // Weight: 1m=4, 5m=7, 15m=9
   let score = 0;
-  if (state1m  === 'bullish') score += 4;
-  if (state5m  === 'bullish') score += 7;
-  if (state15m === 'bullish') score += 9;
+  if (available.length === 1) {
+    if (timeframes[available[0].key] === favored) score = SINGLE_TF_POINTS;
+  } else {
+    // Weight: 1m=3, 5m=5, 15m=6, 1h=6
+    for (const { key, weight } of available) {
+      if (timeframes[key] === favored) score += weight;
+    }
+  }
 
   // Add partial credit for neutral (not penalized, just not rewarded)
   if (score === 0) {
@@ -70,20 +118,29 @@ export function scoreTrendAlignment(indicators) {
     score = 3;
     detail.push('All timeframes neutral');
   } else {
-    detail.push(`Trend score: ${score}/20`);
+    detail.push(`Trend score: ${score}/20${available.length === 1 ? ' (single timeframe)' : ''}`);
   }
 
-  return { score: Math.min(20, score), detail };
+  return { score: Math.min(20, score), detail, timeframes };
 }
 
 /**
- * Build a timeframe object from primary (single-timeframe) indicators.
- * Used when we only have one timeframe of data.
+ * The EMA/SMA state of one timeframe: an explicit frame, else the
+ * worker's namespaced arrays for it, else (1m only) the primary set.
  */
-function buildTFFromPrimary(ind) {
-  const lastIdx = (ind.ema9 || []).length - 1;
-  if (lastIdx < 0) return null;
+function resolveTimeframe(ind, key) {
+  if (key in ind) return ind[key];
+  const { timeframe } = TREND_TIMEFRAMES.find((t) => t.key === key);
+  const namespaced = frameFromArrays(ind, `${timeframe}_`);
+  if (namespaced || key !== 'm1') return namespaced;
+  return frameFromArrays(ind, '');
+}
 
+/**
+ * Build a timeframe object from the latest values of one indicator set.
+ * The price is the current (primary) price.
+ */
+function frameFromArrays(ind, prefix) {
   const getVal = (arr) => {
     if (!arr || !arr.length) return null;
     // Walk backwards to find last non-null value
@@ -93,11 +150,15 @@ function buildTFFromPrimary(ind) {
     return null;
   };
 
+  const ema9 = getVal(ind[`${prefix}ema9`]);
+  const ema21 = getVal(ind[`${prefix}ema21`]);
+  if (ema9 == null || ema21 == null) return null;
+
   return {
-    ema9:   getVal(ind.ema9),
-    ema21:  getVal(ind.ema21),
-    ema50:  getVal(ind.ema50),
-    sma200: getVal(ind.sma200),
-    price:  ind.price || getVal(ind.ema9), // fallback
+    ema9,
+    ema21,
+    ema50:  getVal(ind[`${prefix}ema50`]),
+    sma200: getVal(ind[`${prefix}sma200`]),
+    price:  ind.price || ema9, // fallback
   };
 }
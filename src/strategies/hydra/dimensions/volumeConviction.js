@@ -12,12 +12,15 @@
  *   { volume: number[], volumeSMA20: number[], obv: number[], close: number[] }
  * @param {Object} tradeFlow - real-time buy/sell flow from WebSocket
  *   { buyVolume: number, sellVolume: number }
+ * @param {'long'|'short'} [direction='long'] - side being scored; a short wants
+ *   falling OBV and seller-dominated flow
  *
  * @returns {{ score: number, detail: string[] }}
  */
-export function scoreVolumeConviction(indicators, tradeFlow) {
+export function scoreVolumeConviction(indicators, tradeFlow, direction = 'long') {
   const detail = [];
   let score = 0;
+  const isShort = direction === 'short';
 
   // ---- Raw Volume vs 20-bar average (0–6 pts) ----
   const volumes = indicators.volume || [];
@@ -44,18 +47,18 @@ export function scoreVolumeConviction(indicators, tradeFlow) {
   }
 
   // ---- On-Balance Volume Trend (0–7 pts) ----
-  // Check if OBV is making higher highs over last 5 bars
+  // Check if OBV is making higher highs (lower lows for a short) over last 5 bars
   const obv = indicators.obv || [];
   if (obv.length >= 5) {
     const obvTrend = getOBVTrend(obv, 5);
-    if (obvTrend === 'rising') {
+    if (obvTrend === (isShort ? 'declining' : 'rising')) {
       score += 7;
-      detail.push('OBV making higher highs (+7)');
+      detail.push(isShort ? 'OBV making lower lows (+7)' : 'OBV making higher highs (+7)');
     } else if (obvTrend === 'flat') {
       score += 3;
       detail.push('OBV flat (+3)');
     } else {
-      detail.push('OBV declining (+0)');
+      detail.push(`OBV ${obvTrend} (+0)`);
     }
   } else {
     detail.push('OBV data insufficient');
@@ -67,18 +70,19 @@ export function scoreVolumeConviction(indicators, tradeFlow) {
   const totalFlow = buyVol + sellVol;
 
   if (totalFlow > 0) {
-    const buyPct = (buyVol / totalFlow) * 100;
-    if (buyPct > 65) {
+    const side = isShort ? 'Sell' : 'Buy';
+    const withPct = ((isShort ? sellVol : buyVol) / totalFlow) * 100;
+    if (withPct > 65) {
       score += 7;
-      detail.push(`Buy flow ${buyPct.toFixed(0)}% — dominant (+7)`);
-    } else if (buyPct >= 55) {
+      detail.push(`${side} flow ${withPct.toFixed(0)}% — dominant (+7)`);
+    } else if (withPct >= 55) {
       score += 5;
-      detail.push(`Buy flow ${buyPct.toFixed(0)}% — strong (+5)`);
-    } else if (buyPct >= 50) {
+      detail.push(`${side} flow ${withPct.toFixed(0)}% — strong (+5)`);
+    } else if (withPct >= 50) {
       score += 3;
-      detail.push(`Buy flow ${buyPct.toFixed(0)}% — neutral (+3)`);
+      detail.push(`${side} flow ${withPct.toFixed(0)}% — neutral (+3)`);
     } else {
-      detail.push(`Buy flow ${buyPct.toFixed(0)}% — sellers dominate (+0)`);
+      detail.push(`${side} flow ${withPct.toFixed(0)}% — ${isShort ? 'buyers' : 'sellers'} dominate (+0)`);
     }
   } else {
     // No trade flow data — give moderate credit (not penalized for missing WS data)
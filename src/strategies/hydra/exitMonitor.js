@@ -3,7 +3,8 @@
    ============================================================
    After entry, recalculates D1 + D2 + D3 every bar.
    If the exit score drops below 40, close immediately.
-   Also checks stop loss, TP1, TP2, and trailing stop.
+   Also checks stop loss, TP1, TP2, and trailing stop — above
+   entry for shorts, trailing from the low since TP1.
    ============================================================ */
 
 import { calculateExitScore } from './scoring.js';
@@ -18,6 +19,7 @@ import { calculateExitScore } from './scoring.js';
  * @param {Object} params.candles - current candle array
  * @param {number} params.currentPrice - current market price
  * @param {number} params.exitThreshold - score threshold for early exit (default 40)
+ * @param {number} [params.now] - evaluation time in ms (bar timestamp when replaying)
  *
  * @returns {{ shouldExit: boolean, reason: string, exitType: string, partialClose: number|null }}
  */
@@ -28,12 +30,17 @@ export function checkHydraExit({
   candles,
   currentPrice,
   exitThreshold = 40,
+  now = Date.now(),
 }) {
   if (!position || !currentPrice) {
     return { shouldExit: false, reason: '', exitType: '', partialClose: null };
   }
 
-  const entryPrice = position.entryPrice;
+  const isShort = position.direction === 'short';
+  // Adverse = against the position; favorable = in its direction
+  const adverse = (level) => (isShort ? currentPrice >= level : currentPrice <= level);
+  const favorable = (level) => (isShort ? currentPrice <= level : currentPrice >= level);
+
   const stopLoss = position.stopLoss;
   const tp1 = position.tp1;
   const tp2 = position.tp2;
@@ -41,7 +48,7 @@ export function checkHydraExit({
   const tp1Hit = position.tp1Hit || false;
 
   // ---- 1. Stop Loss ----
-  if (stopLoss && currentPrice <= stopLoss) {
+  if (stopLoss && adverse(stopLoss)) {
     return {
       shouldExit: true,
       reason: `Stop loss hit at $${stopLoss.toFixed(2)}`,
@@ -51,7 +58,7 @@ export function checkHydraExit({
   }
 
   // ---- 2. TP1 (partial close 40%) ----
-  if (!tp1Hit && tp1 && currentPrice >= tp1) {
+  if (!tp1Hit && tp1 && favorable(tp1)) {
     return {
       shouldExit: true,
       reason: `TP1 reached at $${tp1.toFixed(2)}`,
@@ -61,7 +68,7 @@ export function checkHydraExit({
   }
 
   // ---- 3. TP2 (partial close 40%) ----
-  if (tp1Hit && !position.tp2Hit && tp2 && currentPrice >= tp2) {
+  if (tp1Hit && !position.tp2Hit && tp2 && favorable(tp2)) {
     return {
       shouldExit: true,
       reason: `TP2 reached at $${tp2.toFixed(2)}`,
@@ -72,13 +79,13 @@ export function checkHydraExit({
 
   // ---- 4. Trailing Stop (after TP1) ----
   if (tp1Hit && trailDistance) {
-    const highSinceTP1 = position.highSinceTP1 || currentPrice;
-    const trailStop = highSinceTP1 - trailDistance;
+    const extreme = (isShort ? position.lowSinceTP1 : position.highSinceTP1) || currentPrice;
+    const trailStop = isShort ? extreme + trailDistance : extreme - trailDistance;
 
-    if (currentPrice <= trailStop) {
+    if (adverse(trailStop)) {
       return {
         shouldExit: true,
-        reason: `Trailing stop hit at $${trailStop.toFixed(2)} (high: $${highSinceTP1.toFixed(2)})`,
+        reason: `Trailing stop hit at $${trailStop.toFixed(2)} (${isShort ? 'low' : 'high'}: $${extreme.toFixed(2)})`,
         exitType: 'TrailingStop',
         partialClose: null,
       };
@@ -87,7 +94,9 @@ export function checkHydraExit({
 
   // ---- 5. Exit Score Monitor (D1 + D2 + D3 < exitThreshold) ----
   if (indicators && candles) {
-    const { exitScore } = calculateExitScore({ indicators, tradeFlow, candles });
+    const { exitScore } = calculateExitScore({
+      indicators, tradeFlow, candles, now, direction: isShort ? 'short' : 'long',
+    });
 
     if (exitScore < exitThreshold) {
       return {
@@ -108,9 +117,8 @@ export function checkHydraExit({
  */
 export function updatePositionAfterTP1(position, currentPrice) {
   return {
-    ...position,
+    ...trackExtreme(position, currentPrice),
     tp1Hit: true,
-    highSinceTP1: Math.max(currentPrice, position.highSinceTP1 || currentPrice),
     qty: position.qty * (1 - (position.tp1ClosePct || 0.4)),
   };
 }
@@ -127,12 +135,16 @@ export function updatePositionAfterTP2(position) {
 }
 
 /**
- * Update the high-water mark for trailing stop.
+ * Update the high-water mark for trailing stop (low-water mark for shorts).
  */
 export function updateHighWaterMark(position, currentPrice) {
   if (!position.tp1Hit) return position;
-  return {
-    ...position,
-    highSinceTP1: Math.max(currentPrice, position.highSinceTP1 || currentPrice),
-  };
+  return trackExtreme(position, currentPrice);
+}
+
+function trackExtreme(position, currentPrice) {
+  if (position.direction === 'short') {
+    return { ...position, lowSinceTP1: Math.min(currentPrice, position.lowSinceTP1 || currentPrice) };
+  }
+  return { ...position, highSinceTP1: Math.max(currentPrice, position.highSinceTP1 || currentPrice) };
 }
@@ -4,12 +4,15 @@
    Single strategy that replaces all 8 prior strategies.
    5-dimensional confluence scoring with self-calibrating threshold,
    ATR-based sizing, dynamic targets, and exit score monitoring.
+   Long-only by default; with shorts allowed (risk settings) a
+   bearish regime scores the mirrored short side instead.
    ============================================================ */
 
 import { calculateHydraScore, calculateExitScore } from './scoring.js';
 import { calculateHydraSize } from './sizing.js';
 import { checkHydraExit, updatePositionAfterTP1, updatePositionAfterTP2, updateHighWaterMark } from './exitMonitor.js';
 import { recalibrateThreshold } from './selfCalibration.js';
+import { getUTCHour } from '../../utils/clock.js';
 
 /**
  * HYDRA strategy definition — conforms to the strategy interface
@@ -19,7 +22,7 @@ export const hydra = {
   meta: {
     name: 'HYDRA',
     description: '5-dimensional confluence scoring engine with self-calibrating threshold',
-    regimes: ['bullish', 'choppy'], // Does NOT enter during bearish (regime override)
+    regimes: ['bullish', 'choppy'], // Bearish only with shorts allowed (regime override)
     timeframe: 'ONE_MINUTE', // Evaluates on 1m bar close
     category: 'unified',
     requiredIndicators: [
@@ -36,7 +39,9 @@ export const hydra = {
    * @param {Object} indicators - computed indicator data
    * @param {Object} orderBook - { bids, asks }
    * @param {number} lastIdx - index of last candle
-   * @param {Object} context - additional context (tradeFlow, pair, settings, regime, hydraState)
+   * @param {Object} context - additional context (tradeFlow, pair, settings, regime, hydraState,
+   *                           now — evaluation time in ms, the bar timestamp when replaying,
+   *                           allowShort — score a short in a bearish regime)
    *
    * @returns {Object|null} Entry signal or null
    */
@@ -48,16 +53,19 @@ export const hydra = {
       regime = 'choppy',
       entryThreshold = 65,
       recentTrades = [],
+      now = Date.now(),
+      allowShort = false,
     } = context;
 
-    // ---- Regime Override: No longs during bearish ----
-    if (regime === 'bearish') {
+    // ---- Regime Override: No longs during bearish — shorts only when allowed ----
+    if (regime === 'bearish' && !allowShort) {
       return {
         entry: false,
         hydraScore: null,
         reason: 'Regime override: bearish — no new longs',
       };
     }
+    const direction = regime === 'bearish' ? 'short' : 'long';
 
     // ---- Calculate HYDRA Score ----
     const scoreResult = calculateHydraScore({
@@ -67,6 +75,8 @@ export const hydra = {
       pair,
       candles,
       settings,
+      now,
+      direction,
     });
 
     const { totalScore, d1, d2, d3, d4, d5, spreadBlocked, atr14, price } = scoreResult;
@@ -100,6 +110,7 @@ export const hydra = {
         riskPerTrade: settings.riskPerTrade || 0.01,
         maxPositionPct: settings.maxPositionPct || 0.08,
       },
+      direction,
     });
 
     if (sizing.blocked) {
@@ -111,13 +122,13 @@ export const hydra = {
     }
 
     // ---- Signal Expiry: generate timestamp ----
-    const signalTimestamp = Date.now();
+    const signalTimestamp = now;
 
     return {
       entry: true,
-      direction: 'long',
+      direction,
       confidence: totalScore >= 90 ? 'high' : totalScore >= 85 ? 'medium' : 'low',
-      reason: `HYDRA score ${totalScore}/100 ≥ ${entryThreshold} — ${buildReasonSummary(d1, d2, d3, d4, d5)}`,
+      reason: `HYDRA ${direction === 'short' ? 'short ' : ''}score ${totalScore}/100 ≥ ${entryThreshold} — ${buildReasonSummary(d1, d2, d3, d4, d5)}`,
       hydraScore: scoreResult,
       sizing,
       signalTimestamp,
@@ -134,7 +145,7 @@ export const hydra = {
       trailDistance: sizing.trailDistance,
       tp1ClosePct: sizing.tp1ClosePct,
       tp2ClosePct: sizing.tp2ClosePct,
-      sessionHour: new Date().getUTCHours(),
+      sessionHour: getUTCHour(now),
     };
   },
 
@@ -145,12 +156,12 @@ export const hydra = {
    * @param {Object[]} candles - candle array
    * @param {Object} indicators - computed indicator data
    * @param {number} lastIdx - index of last candle
-   * @param {Object} context - additional context (tradeFlow, exitThreshold)
+   * @param {Object} context - additional context (tradeFlow, exitThreshold, now)
    *
    * @returns {Object|null} Exit signal or null
    */
   checkExit(position, candles, indicators, lastIdx, context = {}) {
-    const { tradeFlow = {}, exitThreshold = 40 } = context;
+    const { tradeFlow = {}, exitThreshold = 40, now = Date.now() } = context;
     const currentPrice = candles[lastIdx]?.close;
 
     if (!currentPrice) return null;
@@ -165,6 +176,7 @@ export const hydra = {
       candles,
       currentPrice,
       exitThreshold,
+      now,
     });
 
     if (exitResult.shouldExit) {
@@ -3,6 +3,8 @@
    ============================================================
    Aggregates all 5 dimension scores into a single total.
    This is the central evaluation function called every bar close.
+   Scores either side: a short mirrors D1–D4 (D5, session and
+   volatility, reads the same both ways).
    ============================================================ */
 
 import { scoreTrendAlignment } from './dimensions/trendAlignment.js';
@@ -10,6 +12,7 @@ import { scoreMomentumQuality } from './dimensions/momentumQuality.js';
 import { scoreVolumeConviction } from './dimensions/volumeConviction.js';
 import { scoreMicrostructure } from './dimensions/microstructure.js';
 import { scoreSessionIntelligence } from './dimensions/sessionIntelligence.js';
+import { getUTCHour } from '../../utils/clock.js';
 
 /**
  * Calculate the full HYDRA score across all 5 dimensions.
@@ -21,6 +24,8 @@ import { scoreSessionIntelligence } from './dimensions/sessionIntelligence.js';
  * @param {string} params.pair - active trading pair
  * @param {number[]} params.candles - candle array (for close prices)
  * @param {Object} params.settings - HYDRA settings (sessionWeight, etc.)
+ * @param {number} [params.now] - evaluation time in ms (bar timestamp when replaying)
+ * @param {'long'|'short'} [params.direction='long'] - side being scored
  *
  * @returns {Object} Full scoring result
  */
@@ -31,8 +36,10 @@ export function calculateHydraScore({
   pair,
   candles,
   settings = {},
+  now = Date.now(),
+  direction = 'long',
 }) {
-  const utcHour = new Date().getUTCHours();
+  const utcHour = getUTCHour(now);
   const closes = candles ? candles.map((c) => c.close) : (indicators.close || []);
   const volumes = candles ? candles.map((c) => c.volume) : (indicators.volume || []);
 
@@ -68,19 +75,20 @@ export function calculateHydraScore({
   }
 
   // ---- Dimension Scores ----
-  const d1 = scoreTrendAlignment(enrichedIndicators);
-  const d2 = scoreMomentumQuality(enrichedIndicators);
-  const d3 = scoreVolumeConviction(enrichedIndicators, tradeFlow);
-  const d4 = scoreMicrostructure(orderBook, spreadPct, price, vwap, closes);
+  const d1 = scoreTrendAlignment(enrichedIndicators, direction);
+  const d2 = scoreMomentumQuality(enrichedIndicators, direction);
+  const d3 = scoreVolumeConviction(enrichedIndicators, tradeFlow, direction);
+  const d4 = scoreMicrostructure(orderBook, spreadPct, price, vwap, closes, direction);
   const d5 = scoreSessionIntelligence(pair, utcHour, atr14, atr50Avg, settings.sessionWeight);
 
   const totalScore = d1.score + d2.score + d3.score + d4.score + d5.score;
 
   return {
     totalScore,
+    direction,
     d1, d2, d3, d4, d5,
     spreadBlocked: d4.spreadBlocked || false,
-    timestamp: Date.now(),
+    timestamp: now,
     pair,
     utcHour,
     atr14,
@@ -89,10 +97,10 @@ export function calculateHydraScore({
 }
 
 /**
- * Calculate exit score (D1 + D2 + D3 only).
+ * Calculate exit score (D1 + D2 + D3 only), for the position's side.
  * Used for post-entry monitoring.
  */
-export function calculateExitScore({ indicators, tradeFlow, candles }) {
+export function calculateExitScore({ indicators, tradeFlow, candles, now = Date.now(), direction = 'long' }) {
   const closes = candles ? candles.map((c) => c.close) : (indicators.close || []);
   const volumes = candles ? candles.map((c) => c.volume) : (indicators.volume || []);
 
@@ -103,15 +111,15 @@ export function calculateExitScore({ indicators, tradeFlow, candles }) {
     price: closes.length > 0 ? closes[closes.length - 1] : null,
   };
 
-  const d1 = scoreTrendAlignment(enrichedIndicators);
-  const d2 = scoreMomentumQuality(enrichedIndicators);
-  const d3 = scoreVolumeConviction(enrichedIndicators, tradeFlow);
+  const d1 = scoreTrendAlignment(enrichedIndicators, direction);
+  const d2 = scoreMomentumQuality(enrichedIndicators, direction);
+  const d3 = scoreVolumeConviction(enrichedIndicators, tradeFlow, direction);
 
   return {
     exitScore: d1.score + d2.score + d3.score,
     maxExitScore: 60, // 20+20+20
     d1, d2, d3,
-    timestamp: Date.now(),
+    timestamp: now,
   };
 }
 
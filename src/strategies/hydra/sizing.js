@@ -3,15 +3,16 @@
    ============================================================
    Calculates position size based on ATR volatility, not fixed %.
    Score-based multiplier for higher conviction = larger size.
+   Shorts invert the levels: stop above entry, targets below.
    ============================================================ */
 
 // Default settings
 const DEFAULTS = {
   riskPerTrade: 0.01,       // 1% of portfolio at base
   maxPositionPct: 0.08,     // 8% hard cap
-  stopATRMultiple: 1.5,     // Stop = 1.5 × ATR below entry
-  tp1ATRMultiple: 1.2,      // TP1 = 1.2 × ATR above entry
-  tp2ATRMultiple: 2.5,      // TP2 = 2.5 × ATR above entry
+  stopATRMultiple: 1.5,     // Stop = 1.5 × ATR below entry (above for shorts)
+  tp1ATRMultiple: 1.2,      // TP1 = 1.2 × ATR above entry (below for shorts)
+  tp2ATRMultiple: 2.5,      // TP2 = 2.5 × ATR above entry (below for shorts)
   trailATRMultiple: 0.8,    // Trail by 0.8 × ATR after TP1
   tp1ClosePct: 0.40,        // Close 40% at TP1
   tp2ClosePct: 0.40,        // Close 40% at TP2
@@ -37,6 +38,7 @@ function getScoreMultiplier(totalScore) {
  * @param {number} params.atr14 - current ATR(14) value
  * @param {number} params.totalScore - HYDRA total score (80-100)
  * @param {Object} params.settings - override default sizing params
+ * @param {'long'|'short'} [params.direction='long'] - side of the entry
  *
  * @returns {Object} Sizing result with size, stops, and targets
  */
@@ -46,6 +48,7 @@ export function calculateHydraSize({
   atr14,
   totalScore,
   settings = {},
+  direction = 'long',
 }) {
   const cfg = { ...DEFAULTS, ...settings };
 
@@ -76,16 +79,18 @@ export function calculateHydraSize({
   const finalUSD = Math.min(positionUSD, maxPosition);
   const baseSize = finalUSD / entryPrice;
 
-  // Dynamic targets based on ATR
-  const stopLoss = entryPrice - stopDistance;
-  const tp1 = entryPrice + (atr14 * cfg.tp1ATRMultiple);
-  const tp2 = entryPrice + (atr14 * cfg.tp2ATRMultiple);
+  // Dynamic targets based on ATR — mirrored around entry for shorts
+  const sign = direction === 'short' ? -1 : 1;
+  const stopLoss = entryPrice - sign * stopDistance;
+  const tp1 = entryPrice + sign * (atr14 * cfg.tp1ATRMultiple);
+  const tp2 = entryPrice + sign * (atr14 * cfg.tp2ATRMultiple);
   const trailDistance = atr14 * cfg.trailATRMultiple;
 
   return {
     positionUSD: finalUSD,
     baseSize,
     multiplier,
+    direction,
     stopLoss,
     stopDistance,
     tp1,
@@ -9,6 +9,8 @@
    Tiebreak: if top two are within 8 points, STRIKE wins.
    ============================================================ */
 
+import { getUTCHour } from '../../utils/clock.js';
+
 /**
  * Detect the optimal VIPER mode for current market conditions.
  *
@@ -19,12 +21,13 @@
  * @param {Object} params.indicators15m - indicators computed on 15m candles
  * @param {{ buyVolume: number, sellVolume: number, ratio: number }} params.tradeFlow
  * @param {number} params.spread - current spread percentage
+ * @param {number} [params.now] - evaluation time in ms (bar timestamp when replaying)
  * @returns {{ winner: string, scores: { STRIKE: number, COIL: number, LUNGE: number }, reasons: string[] }}
  */
-export function detectEdge({ candles5m, indicators5m, candles15m, indicators15m, tradeFlow, spread }) {
+export function detectEdge({ candles5m, indicators5m, candles15m, indicators15m, tradeFlow, spread, now = Date.now() }) {
   const reasons = [];
 
-  const strikeScore = scoreStrike({ candles5m, indicators5m, tradeFlow, spread, reasons });
+  const strikeScore = scoreStrike({ candles5m, indicators5m, tradeFlow, spread, now, reasons });
   const coilScore = scoreCoil({ candles5m, indicators5m, reasons });
   const lungeScore = scoreLunge({ candles5m, indicators5m, candles15m, indicators15m, reasons });
 
@@ -60,7 +63,7 @@ export function detectEdge({ candles5m, indicators5m, candles15m, indicators15m,
 // =========================================================================
 //  STRIKE scoring (micro scalps, fast precision)
 // =========================================================================
-function scoreStrike({ candles5m, indicators5m, tradeFlow, spread, reasons }) {
+function scoreStrike({ candles5m, indicators5m, tradeFlow, spread, now, reasons }) {
   let score = 0;
   if (!candles5m || candles5m.length < 20 || !indicators5m) return 0;
 
@@ -120,7 +123,7 @@ function scoreStrike({ candles5m, indicators5m, tradeFlow, spread, reasons }) {
   }
 
   // Session hours bonus (+15) - US market hours (13:30-20:00 UTC)
-  const hour = new Date().getUTCHours();
+  const hour = getUTCHour(now);
   if (hour >= 13 && hour <= 20) {
     score += 15;
     reasons.push('STRIKE: Active session hours');
@@ -54,6 +54,7 @@ export const viper = {
       tradeFlow,
       pair,
       allocatedCapital = 0,
+      now = Date.now(),
     } = context;
 
     const activeMode = viperState.activeMode;
@@ -63,6 +64,7 @@ export const viper = {
       pair,
       viperState,
       allocatedCapital,
+      now,
     };
 
     switch (activeMode) {
@@ -95,6 +97,7 @@ export const viper = {
     const {
       candles1m, candles5m, candles15m,
       indicators1m, indicators5m, indicators15m,
+      now = Date.now(),
     } = context;
 
     const currentPrice = context.currentPrice
@@ -106,7 +109,7 @@ export const viper = {
 
     switch (mode) {
       case 'STRIKE':
-        return checkStrikeExit(position, candles1m, indicators1m, currentPrice);
+        return checkStrikeExit(position, candles1m, indicators1m, currentPrice, now);
 
       case 'COIL':
         return checkCoilExit(position, candles5m, indicators5m, currentPrice);
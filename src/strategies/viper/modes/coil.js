@@ -77,13 +77,13 @@ export function detectRange(candles5m, indicators5m) {
  * @param {Object} indicators5m
  * @param {Object[]} candles15m - for higher timeframe confirmation
  * @param {Object} orderBook
- * @param {Object} context - { pair, viperState, allocatedCapital }
+ * @param {Object} context - { pair, viperState, allocatedCapital, now }
  * @returns {Object|null} entry signal or null
  */
 export function checkCoilEntry(candles5m, indicators5m, candles15m, orderBook, context) {
   if (!candles5m || candles5m.length < 25 || !indicators5m) return null;
 
-  const { pair, viperState = {}, allocatedCapital = 0 } = context;
+  const { pair, viperState = {}, allocatedCapital = 0, now = Date.now() } = context;
   const tuning = getTuning(pair);
   const lastIdx = candles5m.length - 1;
   const price = candles5m[lastIdx].close;
@@ -145,7 +145,7 @@ export function checkCoilEntry(candles5m, indicators5m, candles15m, orderBook, c
     baseSize: positionSize / price,
     confidence: Math.round(70 + (range.atrRatio < 2 ? 15 : 5) + (rsi < 35 ? 10 : 0)),
     reason: `COIL: Near support ($${range.support.toFixed(2)}), RSI=${rsi.toFixed(0)} rising, range ${range.atrRatio.toFixed(1)}x ATR`,
-    signalTimestamp: Date.now(),
+    signalTimestamp: now,
   };
 }
 
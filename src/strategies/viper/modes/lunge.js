@@ -18,13 +18,13 @@ import { getTuning } from '../tickerTuning.js';
  * @param {Object[]} candles15m
  * @param {Object} indicators15m
  * @param {Object} orderBook
- * @param {Object} context - { pair, viperState, allocatedCapital }
+ * @param {Object} context - { pair, viperState, allocatedCapital, now }
  * @returns {Object|null} entry signal or null
  */
 export function checkLungeEntry(candles15m, indicators15m, orderBook, context) {
   if (!candles15m || candles15m.length < 55 || !indicators15m) return null;
 
-  const { pair, viperState = {}, allocatedCapital = 0 } = context;
+  const { pair, viperState = {}, allocatedCapital = 0, now = Date.now() } = context;
   const tuning = getTuning(pair);
 
   // ---- Must be eligible for this pair ----
@@ -108,7 +108,7 @@ export function checkLungeEntry(candles15m, indicators15m, orderBook, context) {
     baseSize: positionSize / price,
     confidence: Math.round(75 + (adx > 35 ? 10 : 0) + (rsi >= 55 && rsi <= 65 ? 10 : 0)),
     reason: `LUNGE: EMA aligned, volume ${(candles15m[lastIdx].volume / volumeSMA).toFixed(1)}x, MACD rising, ADX=${adx.toFixed(0)}, RSI=${rsi.toFixed(0)}`,
-    signalTimestamp: Date.now(),
+    signalTimestamp: now,
   };
 }
 
@@ -18,19 +18,18 @@ import { getTuning } from '../tickerTuning.js';
  * @param {Object} indicators1m - indicators computed on 1m data
  * @param {Object} orderBook - { bids, asks, spread }
  * @param {{ buyVolume: number, sellVolume: number, ratio: number }} tradeFlow
- * @param {Object} context - { pair, viperState, allocatedCapital, ... }
+ * @param {Object} context - { pair, viperState, allocatedCapital, now, ... }
  * @returns {Object|null} entry signal or null
  */
 export function checkStrikeEntry(candles1m, indicators1m, orderBook, tradeFlow, context) {
   if (!candles1m || candles1m.length < 25 || !indicators1m) return null;
 
-  const { pair, viperState = {}, allocatedCapital = 0 } = context;
+  const { pair, viperState = {}, allocatedCapital = 0, now = Date.now() } = context;
   const tuning = getTuning(pair);
   const lastIdx = candles1m.length - 1;
   const price = candles1m[lastIdx].close;
 
   // ---- Cooldown checks ----
-  const now = Date.now();
   if (viperState.strikeLastTradeTs && now - viperState.strikeLastTradeTs < 90000) {
     return null; // 90s cooldown
   }
@@ -114,14 +113,15 @@ export function checkStrikeEntry(candles1m, indicators1m, orderBook, tradeFlow,
  * @param {Object[]} candles1m
  * @param {Object} indicators1m
  * @param {number} currentPrice
+ * @param {number} [now] - evaluation time in ms (bar timestamp when replaying)
  * @returns {Object|null} exit signal or null
  */
-export function checkStrikeExit(position, candles1m, indicators1m, currentPrice) {
+export function checkStrikeExit(position, candles1m, indicators1m, currentPrice, now = Date.now()) {
   if (!position || !currentPrice) return null;
 
   const entryPrice = position.entryPrice;
   const pnlPct = ((currentPrice - entryPrice) / entryPrice) * 100;
-  const holdTimeMs = Date.now() - (position.entryTimestamp || position.openedAt || Date.now());
+  const holdTimeMs = now - (position.entryTimestamp || position.openedAt || now);
   const tuning = getTuning(position.pair);
 
   // ---- TP hit ----
@@ -0,0 +1,210 @@
+/* ============================================================
+   Cerebro Crypto — Alert Engine
+   ============================================================
+   Evaluates AlertManager alerts against per-pair market
+   snapshots. Pure and environment-free (no store, DOM or
+   IndexedDB) so the same engine can run in the browser via
+   useAlertEngine or inside a headless Node process.
+
+   Firing semantics:
+     - Edge-triggered: an alert fires when its condition becomes
+       true, then disarms until the condition is false again.
+     - rearm 'once'  → the caller deactivates the alert after
+       its first fire.
+     - rearm 'reset' → re-arms when the condition clears, but
+       never fires twice within cooldownMs.
+
+   'expression' alerts carry a composite condition written in
+   the alert expression language (see alertExpression.js).
+   ============================================================ */
+
+import { systemClock } from './clock.js';
+import { parseAlertExpression, evaluateAlertExpression } from './alertExpression.js';
+
+export const REARM_MODES = ['once', 'reset'];
+
+export const ALERT_DEFAULTS = {
+  rearm: 'reset',
+  cooldownMs: 5 * 60 * 1000,
+  rsiOverbought: 70,
+  rsiOversold: 30,
+};
+
+const fmtPrice = (v) => (v != null ? `$${Number(v).toLocaleString(undefined, { maximumFractionDigits: 8 })}` : 'N/A');
+
+/**
+ * @typedef {Object} AlertMarket
+ * @property {number|null} price   - last traded price
+ * @property {number|null} rsi     - latest RSI value
+ * @property {{ macd: number, signal: number, prevMacd: number, prevSignal: number }|null} macd
+ * @property {string|null} regime  - 'bullish' | 'choppy' | 'bearish'
+ * @property {(field: Object) => *} [resolve] - expression field lookup; the
+ *   field's pair/timeframe are already defaulted to the alert's pair / 1m
+ */
+
+/**
+ * Check one alert's condition. `state` carries per-alert memory
+ * (last regime seen, parsed expression, cross baselines) and is
+ * updated in place.
+ *
+ * @param {Object} alert - { type, value, pair }
+ * @param {AlertMarket} market
+ * @param {Object} state
+ * @returns {{ met: boolean|null, message?: string }} met is null when data is missing
+ */
+export function evaluateCondition(alert, market, state = {}) {
+  const { price, rsi, macd, regime } = market;
+
+  switch (alert.type) {
+    case 'price_above':
+      if (price == null || alert.value == null) return { met: null };
+      return { met: price >= alert.value, message: `${alert.pair} price ${fmtPrice(price)} above ${fmtPrice(alert.value)}` };
+
+    case 'price_below':
+      if (price == null || alert.value == null) return { met: null };
+      return { met: price <= alert.value, message: `${alert.pair} price ${fmtPrice(price)} below ${fmtPrice(alert.value)}` };
+
+    case 'rsi_overbought': {
+      const level = alert.value ?? ALERT_DEFAULTS.rsiOverbought;
+      if (rsi == null) return { met: null };
+      return { met: rsi > level, message: `${alert.pair} RSI ${rsi.toFixed(1)} above ${level}` };
+    }
+
+    case 'rsi_oversold': {
+      const level = alert.value ?? ALERT_DEFAULTS.rsiOversold;
+      if (rsi == null) return { met: null };
+      return { met: rsi < level, message: `${alert.pair} RSI ${rsi.toFixed(1)} below ${level}` };
+    }
+
+    // Crosses are true for the bar on which they happen
+    case 'macd_cross_up':
+      if (!macd) return { met: null };
+      return {
+        met: macd.prevMacd <= macd.prevSignal && macd.macd > macd.signal,
+        message: `${alert.pair} MACD crossed above signal`,
+      };
+
+    case 'macd_cross_down':
+      if (!macd) return { met: null };
+      return {
+        met: macd.prevMacd >= macd.prevSignal && macd.macd < macd.signal,
+        message: `${alert.pair} MACD crossed below signal`,
+      };
+
+    case 'regime_change': {
+      if (!regime) return { met: null };
+      const previous = state.lastRegime;
+      state.lastRegime = regime;
+      // The first observation only establishes a baseline
+      if (previous == null) return { met: false };
+      return { met: previous !== regime, message: `${alert.pair} regime changed: ${previous} -> ${regime}` };
+    }
+
+    case 'expression': {
+      if (!market.resolve) return { met: null };
+      if (state.source !== alert.expression) {
+        state.source = alert.expression;
+        state.memo = {};
+        try {
+          state.ast = parseAlertExpression(alert.expression);
+          state.error = null;
+        } catch (err) {
+          state.ast = null;
+          state.error = err.message;
+        }
+      }
+      if (!state.ast) return { met: null };
+
+      const met = evaluateAlertExpression(
+        state.ast,
+        (field) => market.resolve({ ...field, pair: field.pair || alert.pair, timeframe: field.timeframe || 'ONE_MINUTE' }),
+        state.memo
+      );
+      return { met, message: `${alert.pair}: ${alert.expression}` };
+    }
+
+    default:
+      return { met: null };
+  }
+}
+
+/**
+ * Create a stateful alert engine.
+ *
+ * @param {Object} [opts]
+ * @param {{ now: Function }} [opts.clock=systemClock]
+ * @returns {{ evaluate: Function, reset: Function }}
+ */
+export function createAlertEngine({ clock = systemClock } = {}) {
+  // alertId -> { armed, lastFiredAt, lastRegime }
+  const states = new Map();
+
+  /**
+   * Evaluate every active alert and return the ones that fired.
+   *
+   * @param {Object[]} alerts
+   * @param {(pair: string) => AlertMarket|null} getMarket
+   * @returns {Array<{ alert: Object, event: Object }>}
+   */
+  function evaluate(alerts, getMarket) {
+    const now = clock.now();
+    const fired = [];
+    const live = new Set();
+
+    for (const alert of alerts) {
+      live.add(alert.id);
+      if (!alert.active) continue;
+
+      const market = getMarket(alert.pair);
+      if (!market) continue;
+
+      let state = states.get(alert.id);
+      if (!state) {
+        state = { armed: true, lastFiredAt: 0, lastRegime: null };
+        states.set(alert.id, state);
+      }
+
+      const { met, message } = evaluateCondition(alert, market, state);
+      if (met == null) continue;
+      if (!met) {
+        state.armed = true;
+        continue;
+      }
+      if (!state.armed) continue;
+
+      const cooldownMs = alert.cooldownMs ?? ALERT_DEFAULTS.cooldownMs;
+      if (state.lastFiredAt && now - state.lastFiredAt < cooldownMs) continue;
+
+      state.armed = false;
+      state.lastFiredAt = now;
+      fired.push({
+        alert,
+        event: {
+          id: `alertev-${now}-${Math.random().toString(36).slice(2, 7)}`,
+          alertId: alert.id,
+          pair: alert.pair,
+          type: alert.type,
+          category: alert.category,
+          condition: alert.condition,
+          value: alert.value ?? null,
+          price: market.price ?? null,
+          message,
+          timestamp: now,
+        },
+      });
+    }
+
+    // Forget deleted alerts
+    for (const id of states.keys()) {
+      if (!live.has(id)) states.delete(id);
+    }
+
+    return fired;
+  }
+
+  return {
+    evaluate,
+    /** Drop memory for one alert (e.g. after editing it). */
+    reset: (id) => states.delete(id),
+  };
+}
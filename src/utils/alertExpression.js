@@ -0,0 +1,384 @@
+/* ============================================================
+   Cerebro Crypto — Alert Expression Language
+   ============================================================
+   A small condition language for composite alerts:
+
+     SOL-USD.hydra.score >= 75 AND SOL-USD.spread < 0.05
+     ETH-USD.15m.rsi crosses_above 50 AND BTC-USD.regime == "bullish"
+     (rsi < 30 OR stochrsi.k < 20) AND NOT hydra.spreadBlocked
+
+   Fields are [PAIR.][TIMEFRAME.]name[.component]. The pair
+   defaults to the alert's pair and the timeframe to 1m.
+   Operators: > >= < <= == != crosses_above crosses_below,
+   combined with AND / OR / NOT and parentheses. A bare field
+   is a truthiness test.
+
+   Values resolve through a caller-supplied function, so the
+   language itself has no store or worker dependencies.
+   ============================================================ */
+
+export class AlertExpressionError extends Error {
+  constructor(message, position) {
+    super(position != null ? `${message} (at ${position + 1})` : message);
+    this.name = 'AlertExpressionError';
+    this.position = position;
+  }
+}
+
+// Timeframe aliases → store/worker timeframe ids
+export const EXPRESSION_TIMEFRAMES = {
+  '1m': 'ONE_MINUTE',
+  '5m': 'FIVE_MINUTE',
+  '15m': 'FIFTEEN_MINUTE',
+  '1h': 'ONE_HOUR',
+  '4h': 'FOUR_HOUR',
+};
+
+// Indicator fields: lower-case name → worker request name and result key
+export const INDICATOR_FIELDS = {
+  ema9:        { request: 'ema9', key: 'ema9' },
+  ema21:       { request: 'ema21', key: 'ema21' },
+  ema50:       { request: 'ema50', key: 'ema50' },
+  sma200:      { request: 'sma200', key: 'sma200' },
+  rsi:         { request: 'rsi', key: 'rsi' },
+  macd:        { request: 'macd', key: 'macd', components: ['macd', 'signal', 'histogram'] },
+  bbands:      { request: 'bbands', key: 'bbands', components: ['upper', 'middle', 'lower'] },
+  atr:         { request: 'atr', key: 'atr' },
+  adx:         { request: 'adx', key: 'adx' },
+  vwap:        { request: 'vwap', key: 'vwap' },
+  hma:         { request: 'hma', key: 'hma' },
+  tema:        { request: 'tema', key: 'tema' },
+  ichimoku:    { request: 'ichimoku', key: 'ichimoku', components: ['tenkanSen', 'kijunSen', 'senkouA', 'senkouB', 'chikou'] },
+  psar:        { request: 'psar', key: 'parabolicSar' },
+  supertrend:  { request: 'supertrend', key: 'supertrend' },
+  keltner:     { request: 'keltner', key: 'keltner', components: ['upper', 'middle', 'lower'] },
+  pivots:      { request: 'pivots', key: 'pivots', components: ['pp', 'r1', 'r2', 'r3', 's1', 's2', 's3'] },
+  stochrsi:    { request: 'stochRSI', key: 'stochRsi', components: ['k', 'd'] },
+  williamsr:   { request: 'williamsR', key: 'williamsR' },
+  cci:         { request: 'cci', key: 'cci' },
+  obv:         { request: 'obv', key: 'obv' },
+  mfi:         { request: 'mfi', key: 'mfi' },
+  cmf:         { request: 'cmf', key: 'cmf' },
+  roc:         { request: 'roc', key: 'roc' },
+  trix:        { request: 'trix', key: 'trix' },
+  volumesma20: { request: 'volumeSMA20', key: 'volumeSMA20' },
+  high20:      { request: 'high20', key: 'high20' },
+  low20:       { request: 'low20', key: 'low20' },
+};
+
+// Last candle of the selected timeframe
+export const CANDLE_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+// Pair-level market fields (timeframe-independent)
+export const MARKET_FIELDS = ['price', 'change24h', 'volume24h', 'spread', 'regime'];
+
+// HYDRA / VIPER-derived fields
+export const STRATEGY_FIELDS = {
+  hydra: ['score', 'd1', 'd2', 'd3', 'd4', 'd5', 'threshold', 'spreadBlocked'],
+  viper: ['mode', 'strike', 'coil', 'lunge', 'ratchet'],
+};
+
+const COMPARATORS = ['>', '>=', '<', '<=', '==', '!=', 'crosses_above', 'crosses_below'];
+const PAIR_RE = /^[A-Z0-9]+-[A-Z0-9]+$/;
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+
+    const rest = text.slice(i);
+    let m;
+
+    if ((m = rest.match(/^(>=|<=|==|!=|&&|\|\||[><=()!])/))) {
+      const op = { '&&': 'AND', '||': 'OR', '!': 'NOT', '=': '==' }[m[1]] || m[1];
+      tokens.push({ type: ['AND', 'OR', 'NOT'].includes(op) ? op : (op === '(' || op === ')' ? op : 'cmp'), value: op, pos: i });
+      i += m[1].length;
+    } else if ((m = rest.match(/^(["'])(.*?)\1/))) {
+      tokens.push({ type: 'str', value: m[2], pos: i });
+      i += m[0].length;
+    } else if ((m = rest.match(/^-?\d+(\.\d+)?%?(?![\w.])/))) {
+      tokens.push({ type: 'num', value: parseFloat(m[0]), pos: i });
+      i += m[0].length;
+    } else if ((m = rest.match(/^[A-Za-z0-9_][A-Za-z0-9_.-]*/))) {
+      const word = m[0];
+      const upper = word.toUpperCase();
+      if (upper === 'AND' || upper === 'OR' || upper === 'NOT') {
+        tokens.push({ type: upper, value: upper, pos: i });
+      } else if (upper === 'TRUE' || upper === 'FALSE') {
+        tokens.push({ type: 'bool', value: upper === 'TRUE', pos: i });
+      } else if (upper === 'CROSSES_ABOVE' || upper === 'CROSSES_BELOW') {
+        tokens.push({ type: 'cmp', value: word.toLowerCase(), pos: i });
+      } else if (upper === 'CROSSES') {
+        // Two-word form: "crosses above" / "crosses below"
+        const dir = text.slice(i + word.length).match(/^\s+(above|below)\b/i);
+        if (!dir) throw new AlertExpressionError('Expected "above" or "below" after "crosses"', i);
+        tokens.push({ type: 'cmp', value: `crosses_${dir[1].toLowerCase()}`, pos: i });
+        i += dir[0].length;
+      } else {
+        tokens.push({ type: 'ident', value: word, pos: i });
+      }
+      i += word.length;
+    } else {
+      throw new AlertExpressionError(`Unexpected character "${ch}"`, i);
+    }
+  }
+
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Fields
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a field reference into { pair, timeframe, kind, name, component }.
+ * pair/timeframe are null when not given.
+ */
+export function parseField(raw, pos) {
+  const parts = raw.split('.');
+  let pair = null;
+  let timeframe = null;
+
+  if (PAIR_RE.test(parts[0])) pair = parts.shift();
+  if (parts.length > 0 && EXPRESSION_TIMEFRAMES[parts[0].toLowerCase()]) {
+    timeframe = EXPRESSION_TIMEFRAMES[parts.shift().toLowerCase()];
+  }
+  if (parts.length === 0) throw new AlertExpressionError(`Missing field name in "${raw}"`, pos);
+
+  const name = parts[0].toLowerCase();
+  const rest = parts.slice(1);
+
+  if (STRATEGY_FIELDS[name]) {
+    const sub = rest[0];
+    const match = sub && STRATEGY_FIELDS[name].find((f) => f.toLowerCase() === sub.toLowerCase());
+    if (!match || rest.length > 1) {
+      throw new AlertExpressionError(`Unknown ${name} field "${rest.join('.')}" (use ${STRATEGY_FIELDS[name].join(', ')})`, pos);
+    }
+    return { raw, pair, timeframe, kind: name, name: match, component: null };
+  }
+
+  if (MARKET_FIELDS.some((f) => f.toLowerCase() === name)) {
+    if (rest.length > 0) throw new AlertExpressionError(`"${name}" has no components`, pos);
+    return { raw, pair, timeframe, kind: 'market', name: MARKET_FIELDS.find((f) => f.toLowerCase() === name), component: null };
+  }
+
+  if (CANDLE_FIELDS.includes(name)) {
+    if (rest.length > 0) throw new AlertExpressionError(`"${name}" has no components`, pos);
+    return { raw, pair, timeframe, kind: 'candle', name, component: null };
+  }
+
+  const indicator = INDICATOR_FIELDS[name];
+  if (indicator) {
+    let component = null;
+    if (rest.length > 0) {
+      component = indicator.components?.find((c) => c.toLowerCase() === rest[0].toLowerCase()) || null;
+      if (!component || rest.length > 1) {
+        throw new AlertExpressionError(
+          indicator.components
+            ? `Unknown ${name} component "${rest.join('.')}" (use ${indicator.components.join(', ')})`
+            : `"${name}" has no components`,
+          pos
+        );
+      }
+    } else if (indicator.components) {
+      // Bare multi-line indicators read their first line (e.g. macd → macd.macd)
+      component = indicator.components[0];
+    }
+    return { raw, pair, timeframe, kind: 'indicator', name, component };
+  }
+
+  throw new AlertExpressionError(`Unknown field "${raw}"`, pos);
+}
+
+// ---------------------------------------------------------------------------
+// Parser (recursive descent: or → and → not → comparison)
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse an alert expression into an AST.
+ *
+ * @param {string} text
+ * @returns {Object} AST
+ * @throws {AlertExpressionError}
+ */
+export function parseAlertExpression(text) {
+  if (!text || !text.trim()) throw new AlertExpressionError('Expression is empty');
+
+  const tokens = tokenize(text);
+  let idx = 0;
+  let nodeId = 0;
+
+  const peek = () => tokens[idx];
+  const next = () => tokens[idx++];
+  const expect = (type) => {
+    const tok = next();
+    if (!tok || tok.type !== type) {
+      throw new AlertExpressionError(`Expected "${type}"`, tok ? tok.pos : text.length);
+    }
+    return tok;
+  };
+
+  function operand() {
+    const tok = next();
+    if (!tok) throw new AlertExpressionError('Unexpected end of expression', text.length);
+    if (tok.type === 'num' || tok.type === 'str' || tok.type === 'bool') return { type: 'literal', value: tok.value };
+    if (tok.type === 'ident') return { type: 'field', field: parseField(tok.value, tok.pos) };
+    throw new AlertExpressionError(`Unexpected "${tok.value}"`, tok.pos);
+  }
+
+  function comparison() {
+    const left = operand();
+    const tok = peek();
+    if (tok && tok.type === 'cmp') {
+      next();
+      if (!COMPARATORS.includes(tok.value)) throw new AlertExpressionError(`Unknown operator "${tok.value}"`, tok.pos);
+      const right = operand();
+      return { type: 'compare', id: nodeId++, op: tok.value, left, right };
+    }
+    if (left.type !== 'field') throw new AlertExpressionError('A literal on its own is not a condition', tok ? tok.pos : text.length);
+    return { type: 'truthy', operand: left };
+  }
+
+  function unary() {
+    const tok = peek();
+    if (tok?.type === 'NOT') {
+      next();
+      return { type: 'not', expr: unary() };
+    }
+    if (tok?.type === '(') {
+      next();
+      const inner = or();
+      expect(')');
+      return inner;
+    }
+    return comparison();
+  }
+
+  function and() {
+    let left = unary();
+    while (peek()?.type === 'AND') {
+      next();
+      left = { type: 'and', left, right: unary() };
+    }
+    return left;
+  }
+
+  function or() {
+    let left = and();
+    while (peek()?.type === 'OR') {
+      next();
+      left = { type: 'or', left, right: and() };
+    }
+    return left;
+  }
+
+  const ast = or();
+  if (idx < tokens.length) throw new AlertExpressionError(`Unexpected "${tokens[idx].value}"`, tokens[idx].pos);
+  return ast;
+}
+
+/**
+ * List every field an AST references (for prefetching data).
+ *
+ * @param {Object} ast
+ * @returns {Object[]} parsed fields
+ */
+export function collectFields(ast) {
+  const out = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (node.type === 'field') out.push(node.field);
+    walk(node.left);
+    walk(node.right);
+    walk(node.expr);
+    walk(node.operand);
+  };
+  walk(ast);
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation (three-valued: true / false / null = unknown)
+// ---------------------------------------------------------------------------
+
+function compare(op, a, b) {
+  if (a == null || b == null) return null;
+  switch (op) {
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    // Strings compare case-insensitively ("bullish" == "BULLISH")
+    case '==': return typeof a === 'string' || typeof b === 'string'
+      ? String(a).toLowerCase() === String(b).toLowerCase()
+      : a === b;
+    case '!=': return typeof a === 'string' || typeof b === 'string'
+      ? String(a).toLowerCase() !== String(b).toLowerCase()
+      : a !== b;
+    default: return null;
+  }
+}
+
+/**
+ * Evaluate an AST. Crosses compare against the values seen on the
+ * previous evaluation, kept in `memo`, so the first evaluation only
+ * records a baseline. Every node is evaluated (no short-circuit) so
+ * cross baselines stay current.
+ *
+ * @param {Object} ast
+ * @param {(field: Object) => *} resolve - field value, or null when unavailable
+ * @param {Object} memo - per-alert memory, mutated
+ * @returns {boolean|null}
+ */
+export function evaluateAlertExpression(ast, resolve, memo) {
+  const value = (node) => (node.type === 'literal' ? node.value : resolve(node.field));
+
+  const evalNode = (node) => {
+    switch (node.type) {
+      case 'and': {
+        const l = evalNode(node.left);
+        const r = evalNode(node.right);
+        if (l === false || r === false) return false;
+        return l == null || r == null ? null : true;
+      }
+      case 'or': {
+        const l = evalNode(node.left);
+        const r = evalNode(node.right);
+        if (l === true || r === true) return true;
+        return l == null || r == null ? null : false;
+      }
+      case 'not': {
+        const v = evalNode(node.expr);
+        return v == null ? null : !v;
+      }
+      case 'truthy': {
+        const v = value(node.operand);
+        return v == null ? null : Boolean(v);
+      }
+      case 'compare': {
+        const a = value(node.left);
+        const b = value(node.right);
+        if (node.op !== 'crosses_above' && node.op !== 'crosses_below') return compare(node.op, a, b);
+
+        if (typeof a !== 'number' || typeof b !== 'number') return null;
+        const prev = memo[node.id];
+        memo[node.id] = { a, b };
+        if (!prev) return false;
+        return node.op === 'crosses_above'
+          ? prev.a <= prev.b && a > b
+          : prev.a >= prev.b && a < b;
+      }
+      default:
+        return null;
+    }
+  };
+
+  return evalNode(ast);
+}
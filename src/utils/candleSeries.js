@@ -0,0 +1,110 @@
+/* ============================================================
+   Cerebro Crypto — Candle Series
+   ============================================================
+   Timeframe parsing, bucket aggregation and downloaded-range
+   bookkeeping shared by the indicator and backtest workers,
+   the browser's candle history and the proxy's candle store,
+   so every layer builds the same higher-timeframe bars:
+
+     - buckets start on multiples of the interval since the
+       epoch, so anything dividing a day starts at 00:00 UTC
+     - weekly buckets start Monday 00:00 UTC
+     - open is the first bar's, close the last's, high / low
+       the extremes and volume the sum
+   ============================================================ */
+
+const MINUTE_MS = 60000;
+const DAY_MS = 86400000;
+const WEEK_MS = 7 * DAY_MS;
+// The epoch fell on a Thursday; weeks start 4 days later, on a Monday
+const WEEK_OFFSET_MS = 4 * DAY_MS;
+
+// Named timeframes (TIMEFRAMES values and Coinbase granularities) -> ms
+const NAMED_TIMEFRAMES = {
+  ONE_MINUTE: MINUTE_MS,
+  FIVE_MINUTE: 5 * MINUTE_MS,
+  FIFTEEN_MINUTE: 15 * MINUTE_MS,
+  THIRTY_MINUTE: 30 * MINUTE_MS,
+  ONE_HOUR: 60 * MINUTE_MS,
+  TWO_HOUR: 120 * MINUTE_MS,
+  FOUR_HOUR: 240 * MINUTE_MS,
+  SIX_HOUR: 360 * MINUTE_MS,
+  ONE_DAY: DAY_MS,
+  ONE_WEEK: WEEK_MS,
+};
+
+const UNIT_MS = { m: MINUTE_MS, h: 60 * MINUTE_MS, d: DAY_MS, w: WEEK_MS };
+
+/**
+ * Interval of a timeframe: a named one ('FOUR_HOUR') or a count and unit
+ * ('3m', '2h', '4H', '1d', '1W').
+ * @param {string} timeframe
+ * @returns {number|null} ms, or null when not a timeframe
+ */
+export function timeframeMs(timeframe) {
+  if (NAMED_TIMEFRAMES[timeframe]) return NAMED_TIMEFRAMES[timeframe];
+  const match = /^(\d+)([mhdw])$/i.exec(String(timeframe || ''));
+  if (!match || Number(match[1]) <= 0) return null;
+  return Number(match[1]) * UNIT_MS[match[2].toLowerCase()];
+}
+
+/** Start of the bucket holding `timestamp`. */
+export function bucketStart(timestamp, intervalMs) {
+  const offset = intervalMs % WEEK_MS === 0 ? WEEK_OFFSET_MS : 0;
+  return Math.floor((timestamp - offset) / intervalMs) * intervalMs + offset;
+}
+
+/**
+ * Aggregate ascending candles into `intervalMs` buckets. The last bucket
+ * may still be forming.
+ * @param {Object[]} candles - { timestamp, open, high, low, close, volume }
+ * @param {number} intervalMs
+ * @returns {Object[]}
+ */
+export function aggregateCandles(candles, intervalMs) {
+  const aggregated = [];
+  let bucket = null;
+  for (const c of candles) {
+    const start = bucketStart(c.timestamp, intervalMs);
+    if (!bucket || bucket.timestamp !== start) {
+      if (bucket) aggregated.push(bucket);
+      bucket = { timestamp: start, open: c.open, high: c.high, low: c.low, close: c.close, volume: c.volume };
+    } else {
+      bucket.high = Math.max(bucket.high, c.high);
+      bucket.low = Math.min(bucket.low, c.low);
+      bucket.close = c.close;
+      bucket.volume += c.volume;
+    }
+  }
+  if (bucket) aggregated.push(bucket);
+  return aggregated;
+}
+
+// =========================================================================
+//  Downloaded ranges — candle start timestamps, both ends inclusive
+// =========================================================================
+
+/** Sort and join overlapping or adjacent ranges. */
+export function mergeRanges(ranges, stepMs) {
+  const merged = [];
+  for (const r of [...ranges].sort((a, b) => a.from - b.from)) {
+    const last = merged[merged.length - 1];
+    if (last && r.from <= last.to + stepMs) last.to = Math.max(last.to, r.to);
+    else merged.push({ ...r });
+  }
+  return merged;
+}
+
+/** The parts of [from, to] that no covered range includes. */
+export function missingRanges(from, to, covered, stepMs) {
+  const missing = [];
+  let cursor = from;
+  for (const r of covered) {
+    if (r.to < cursor) continue;
+    if (r.from > to) break;
+    if (r.from > cursor) missing.push({ from: cursor, to: r.from - stepMs });
+    cursor = r.to + stepMs;
+  }
+  if (cursor <= to) missing.push({ from: cursor, to });
+  return missing;
+}
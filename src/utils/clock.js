@@ -0,0 +1,68 @@
+/* ============================================================
+   Cerebro Crypto — Clock
+   ============================================================
+   Injectable time source for time-dependent strategy logic.
+   Live code runs on the system clock; backtests and replays
+   drive a replay clock from bar timestamps so session hours,
+   cooldowns, signal expiry and daily rollovers resolve exactly
+   as they would have at that moment.
+   ============================================================ */
+
+/**
+ * Wall-clock time source.
+ */
+export const systemClock = {
+  now: () => Date.now(),
+};
+
+/**
+ * Create a manually-driven clock (e.g. set to each bar's timestamp).
+ *
+ * @param {number} [startTs=0] - initial time in ms
+ * @returns {{ now: Function, set: Function, advance: Function }}
+ */
+export function createReplayClock(startTs = 0) {
+  let current = startTs;
+  return {
+    now: () => current,
+    set(ts) { current = ts; },
+    advance(ms) { current += ms; },
+  };
+}
+
+/**
+ * UTC hour (0-23) of a timestamp.
+ */
+export function getUTCHour(ts) {
+  return new Date(ts).getUTCHours();
+}
+
+/**
+ * UTC calendar day (YYYY-MM-DD) of a timestamp.
+ */
+export function getUTCDay(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+/**
+ * Next occurrence of `hourUTC`:00 strictly after `ts`.
+ *
+ * @param {number} ts - reference time in ms
+ * @param {number} hourUTC - 0-23
+ * @returns {number} timestamp in ms
+ */
+export function nextUTCHour(ts, hourUTC) {
+  const next = new Date(ts);
+  next.setUTCHours(hourUTC, 0, 0, 0);
+  if (next.getTime() <= ts) next.setUTCDate(next.getUTCDate() + 1);
+  return next.getTime();
+}
+
+/**
+ * Whether `hourUTC`:00 falls in the interval (prevTs, ts].
+ * Used to fire daily boundaries (e.g. overnight cutoff) in replays.
+ */
+export function crossedUTCHour(prevTs, ts, hourUTC) {
+  if (prevTs == null || ts <= prevTs) return false;
+  return nextUTCHour(prevTs, hourUTC) <= ts;
+}
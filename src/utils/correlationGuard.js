@@ -1,36 +1,97 @@
 /* ============================================================
    Cerebro Crypto — Correlation Guard
+   ============================================================
+   Checks a new position against the open ones using the
+   rolling correlation matrix (utils/correlationMatrix.js).
+   A pair correlated with an open position halves the new
+   size; a cluster already at its position or exposure limit
+   blocks the entry. Until the matrix has measured a pair
+   (too few overlapping returns, e.g. on a cold start or a
+   backtest's first bars) it falls back to a prior: rough
+   estimates for the majors against BTC / ETH, else 0.3.
    ============================================================ */
 
-// Approximate correlation matrix for major pairs (with BTC)
-const CORRELATION_MATRIX = {
+import { CORRELATION_DEFAULTS, getPairCorrelation, findCluster } from './correlationMatrix.js';
+
+// Prior for pairs the rolling matrix hasn't measured yet (approximate, with BTC / ETH)
+const CORRELATION_PRIOR = {
   'BTC-USD': { 'ETH-USD': 0.85, 'SOL-USD': 0.75, 'DOGE-USD': 0.60, 'XRP-USD': 0.65, 'ADA-USD': 0.70, 'AVAX-USD': 0.72, 'LINK-USD': 0.70, 'DOT-USD': 0.68, 'MATIC-USD': 0.72, 'LTC-USD': 0.80, 'BCH-USD': 0.75 },
   'ETH-USD': { 'BTC-USD': 0.85, 'SOL-USD': 0.78, 'DOGE-USD': 0.55, 'XRP-USD': 0.60, 'ADA-USD': 0.72, 'AVAX-USD': 0.75, 'LINK-USD': 0.75, 'DOT-USD': 0.70, 'MATIC-USD': 0.78, 'LTC-USD': 0.70, 'BCH-USD': 0.65 },
 };
+const DEFAULT_PRIOR = 0.3;
+
+const positionNotional = (pos) => (pos.qty || 0) * (pos.currentPrice || pos.entryPrice || 0);
 
 /**
  * Check if a new position would create excessive correlated exposure.
  * @param {string} newPair - The pair being considered
- * @param {Array} openPositions - Array of { pair, size, direction }
- * @param {number} correlationThreshold - Block if correlation > this (default 0.70)
- * @returns {{ allowed: boolean, reducedSize: number|null, reason: string|null, correlatedPairs: string[] }}
+ * @param {Array} openPositions - Array of { pair, qty, entryPrice, currentPrice? }, same side as the new one
+ * @param {Object} [opts]
+ * @param {Object|null} [opts.matrix]              - computeCorrelationMatrix().matrix
+ * @param {number} [opts.threshold=0.70]           - correlated at or above this
+ * @param {number} [opts.maxClusterPositions=0]    - block once a cluster holds this many positions (0 = off)
+ * @param {number} [opts.maxClusterExposurePct=0]  - block past this cluster notional, % of portfolio (0 = off)
+ * @param {number} [opts.portfolioValue=0]
+ * @param {number} [opts.notionalValue=0]          - the new position's size in USD
+ * @returns {{ allowed: boolean, reducedSize: number|null, reason: string|null,
+ *             correlatedPairs: string[], cluster: string[] }}
  */
-export function checkCorrelation(newPair, openPositions, correlationThreshold = 0.70) {
+export function checkCorrelation(newPair, openPositions, {
+  matrix = null,
+  threshold = CORRELATION_DEFAULTS.threshold,
+  maxClusterPositions = 0,
+  maxClusterExposurePct = 0,
+  portfolioValue = 0,
+  notionalValue = 0,
+} = {}) {
   if (!openPositions || openPositions.length === 0) {
-    return { allowed: true, reducedSize: null, reason: null, correlatedPairs: [] };
+    return { allowed: true, reducedSize: null, reason: null, correlatedPairs: [], cluster: [newPair] };
   }
 
   const correlatedPairs = [];
-
   for (const pos of openPositions) {
-    const corr = getCorrelation(newPair, pos.pair);
-    if (corr >= correlationThreshold) {
+    const corr = getCorrelation(newPair, pos.pair, matrix);
+    if (corr >= threshold && !correlatedPairs.includes(pos.pair)) {
       correlatedPairs.push(pos.pair);
     }
   }
 
+  // Cluster limits — the new pair's cluster among the pairs held, priors filling unmeasured links
+  const heldPairs = [...new Set(openPositions.map((p) => p.pair))];
+  const pairs = [newPair, ...heldPairs];
+  const effective = Object.fromEntries(pairs.map((a) => [
+    a,
+    Object.fromEntries(pairs.map((b) => [b, getCorrelation(a, b, matrix)])),
+  ]));
+  const cluster = findCluster(effective, newPair, pairs, threshold);
+  const clusterPositions = openPositions.filter((p) => cluster.includes(p.pair));
+
+  if (maxClusterPositions > 0 && clusterPositions.length >= maxClusterPositions) {
+    return {
+      allowed: false,
+      reducedSize: null,
+      reason: `Correlation cluster ${cluster.join('/')} already holds ${clusterPositions.length} positions (max ${maxClusterPositions}).`,
+      correlatedPairs,
+      cluster,
+    };
+  }
+
+  if (maxClusterExposurePct > 0 && portfolioValue > 0 && clusterPositions.length > 0) {
+    const exposure = clusterPositions.reduce((sum, p) => sum + positionNotional(p), 0) + notionalValue;
+    const exposurePct = (exposure / portfolioValue) * 100;
+    if (exposurePct > maxClusterExposurePct) {
+      return {
+        allowed: false,
+        reducedSize: null,
+        reason: `Correlation cluster ${cluster.join('/')} exposure would be ${exposurePct.toFixed(1)}% (max ${maxClusterExposurePct}%).`,
+        correlatedPairs,
+        cluster,
+      };
+    }
+  }
+
   if (correlatedPairs.length === 0) {
-    return { allowed: true, reducedSize: null, reason: null, correlatedPairs: [] };
+    return { allowed: true, reducedSize: null, reason: null, correlatedPairs: [], cluster };
   }
 
   // If highly correlated positions exist, reduce size by 50%
@@ -39,17 +100,17 @@ export function checkCorrelation(newPair, openPositions, correlationThreshold =
     reducedSize: 0.5, // multiply position size by this factor
     reason: `Correlated with open positions: ${correlatedPairs.join(', ')}. Size reduced 50%.`,
     correlatedPairs,
+    cluster,
   };
 }
 
 /**
- * Get correlation between two pairs.
+ * Get correlation between two pairs from the rolling matrix.
+ * Unmeasured pairs read as their prior (CORRELATION_PRIOR, else 0.3).
  */
-export function getCorrelation(pairA, pairB) {
-  if (pairA === pairB) return 1.0;
-  const matrixA = CORRELATION_MATRIX[pairA];
-  if (matrixA && matrixA[pairB] != null) return matrixA[pairB];
-  const matrixB = CORRELATION_MATRIX[pairB];
-  if (matrixB && matrixB[pairA] != null) return matrixB[pairA];
-  return 0.3; // default low correlation for unknown pairs
+export function getCorrelation(pairA, pairB, matrix = null) {
+  return getPairCorrelation(matrix, pairA, pairB)
+    ?? CORRELATION_PRIOR[pairA]?.[pairB]
+    ?? CORRELATION_PRIOR[pairB]?.[pairA]
+    ?? DEFAULT_PRIOR;
 }
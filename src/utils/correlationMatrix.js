@@ -0,0 +1,136 @@
+/* ============================================================
+   Cerebro Crypto — Rolling Correlation Matrix
+   ============================================================
+   Pearson correlation of log returns between every pair of
+   markets, over the last `lookback` bars of one timeframe.
+   Returns are aligned on candle timestamps, so pairs with
+   gaps are only compared where both have a bar. Clusters
+   are the connected groups of pairs at or above a
+   correlation threshold (single linkage).
+   ============================================================ */
+
+export const CORRELATION_DEFAULTS = {
+  timeframe: 'FIVE_MINUTE',
+  lookback: 48,              // returns per pair
+  threshold: 0.70,           // correlated at or above this
+  maxClusterPositions: 2,    // same-side positions per cluster (0 = no limit)
+  maxClusterExposurePct: 25, // same-side notional per cluster, % of portfolio (0 = no limit)
+};
+
+// Fewer overlapping returns than this and the pair is left unknown
+export const MIN_CORRELATION_SAMPLES = 10;
+
+/** Log returns keyed by the later candle's timestamp, oldest first. */
+function logReturns(candles, lookback) {
+  const returns = new Map();
+  const start = Math.max(1, candles.length - lookback);
+  for (let i = start; i < candles.length; i++) {
+    const prev = candles[i - 1].close;
+    const curr = candles[i].close;
+    if (prev > 0 && curr > 0) returns.set(candles[i].timestamp, Math.log(curr / prev));
+  }
+  return returns;
+}
+
+/** Pearson correlation over the timestamps both series share. */
+function pearson(a, b) {
+  let n = 0, sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+  for (const [t, x] of a) {
+    const y = b.get(t);
+    if (y === undefined) continue;
+    n++;
+    sumA += x;
+    sumB += y;
+    sumAA += x * x;
+    sumBB += y * y;
+    sumAB += x * y;
+  }
+  if (n < MIN_CORRELATION_SAMPLES) return { r: null, n };
+  const cov = sumAB - (sumA * sumB) / n;
+  const varA = sumAA - (sumA * sumA) / n;
+  const varB = sumBB - (sumB * sumB) / n;
+  if (varA <= 0 || varB <= 0) return { r: null, n };
+  const r = Math.max(-1, Math.min(1, cov / Math.sqrt(varA * varB)));
+  return { r: Math.round(r * 1000) / 1000, n };
+}
+
+/**
+ * Compute the correlation matrix for a set of pairs.
+ * @param {Object<string, Array>} candlesByPair - { 'BTC-USD': [{ timestamp, close, ... }] }, oldest first
+ * @param {Object} [opts]
+ * @param {number} [opts.lookback=48] - returns per pair
+ * @returns {{ pairs: string[], matrix: Object<string, Object<string, number|null>>,
+ *             samples: Object<string, Object<string, number>> }}
+ */
+export function computeCorrelationMatrix(candlesByPair, { lookback = CORRELATION_DEFAULTS.lookback } = {}) {
+  const pairs = Object.keys(candlesByPair).filter((p) => candlesByPair[p]?.length > 1).sort();
+  const returns = {};
+  for (const pair of pairs) returns[pair] = logReturns(candlesByPair[pair], lookback);
+
+  const matrix = {};
+  const samples = {};
+  for (const pair of pairs) {
+    matrix[pair] = { [pair]: 1 };
+    samples[pair] = { [pair]: returns[pair].size };
+  }
+  for (let i = 0; i < pairs.length; i++) {
+    for (let j = i + 1; j < pairs.length; j++) {
+      const a = pairs[i];
+      const b = pairs[j];
+      const { r, n } = pearson(returns[a], returns[b]);
+      matrix[a][b] = r;
+      matrix[b][a] = r;
+      samples[a][b] = n;
+      samples[b][a] = n;
+    }
+  }
+  return { pairs, matrix, samples };
+}
+
+/**
+ * Correlation between two pairs, or null when it isn't known.
+ * @param {Object|null} matrix - computeCorrelationMatrix().matrix
+ */
+export function getPairCorrelation(matrix, pairA, pairB) {
+  if (pairA === pairB) return 1;
+  return matrix?.[pairA]?.[pairB] ?? null;
+}
+
+/**
+ * The cluster `pair` belongs to among `pairs`: every pair reachable
+ * through links at or above the threshold, `pair` included.
+ * @returns {string[]}
+ */
+export function findCluster(matrix, pair, pairs, threshold = CORRELATION_DEFAULTS.threshold) {
+  const cluster = [pair];
+  const pending = [pair];
+  const rest = new Set(pairs.filter((p) => p !== pair));
+  while (pending.length > 0) {
+    const current = pending.pop();
+    for (const other of rest) {
+      const r = getPairCorrelation(matrix, current, other);
+      if (r != null && r >= threshold) {
+        rest.delete(other);
+        cluster.push(other);
+        pending.push(other);
+      }
+    }
+  }
+  return cluster;
+}
+
+/**
+ * Partition pairs into correlation clusters; singletons are dropped.
+ * @returns {string[][]} largest first
+ */
+export function findClusters(matrix, pairs, threshold = CORRELATION_DEFAULTS.threshold) {
+  const seen = new Set();
+  const clusters = [];
+  for (const pair of pairs) {
+    if (seen.has(pair)) continue;
+    const cluster = findCluster(matrix, pair, pairs, threshold);
+    cluster.forEach((p) => seen.add(p));
+    if (cluster.length > 1) clusters.push(cluster.sort());
+  }
+  return clusters.sort((a, b) => b.length - a.length);
+}
@@ -0,0 +1,212 @@
+/* ============================================================
+   Cerebro Crypto — Monte Carlo Robustness
+   ============================================================
+   Resamples a backtest's trade sequence to separate luck from
+   edge. Each iteration:
+     1. Reorders trades (shuffle) or draws them with replacement
+        (bootstrap).
+     2. Strips the backtest's flat slippage from each fill and
+        re-fills it against a randomised synthetic book via the
+        slippage estimator (same expected cost, random spread of
+        outcomes), then re-prices fees with the fee calculator
+        (optionally as maker fills).
+     3. Walks the resulting equity path.
+   Output is percentile bands per trade step (for fan charts)
+   plus terminal-equity, drawdown and losing-streak statistics.
+   ============================================================ */
+
+import { estimateSlippage } from './slippageEstimator.js';
+import { calculateFeeImpact } from './feeCalculator.js';
+import { seededRandom } from './random.js';
+import { SLIPPAGE_PCT, TAKER_FEE_PCT, FEE_TIERS } from '../config/constants.js';
+
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+// Synthetic book shape: levels one slippage-step apart, each holding
+// 10-60% of the order, the last one deep enough to guarantee a fill.
+// An average order walks ~1 step, matching the flat backtest slippage.
+const BOOK_LEVELS = 8;
+
+/**
+ * Build one side of a randomised order book around `price` whose depth
+ * is scaled to the order size.
+ */
+function syntheticBookSide(price, qty, side, stepPct, rand) {
+  const dir = side === 'buy' ? 1 : -1;
+  const levels = [];
+  for (let i = 0; i < BOOK_LEVELS; i++) {
+    const levelQty = i === BOOK_LEVELS - 1 ? qty : qty * (0.1 + rand() * 0.5);
+    levels.push([price * (1 + dir * i * stepPct / 100), levelQty]);
+  }
+  return levels;
+}
+
+/**
+ * Value at percentile `p` (0-100) of an ascending-sorted array.
+ */
+function percentileOf(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.round((p / 100) * (sorted.length - 1))));
+  return sorted[idx];
+}
+
+function percentileSet(values) {
+  const sorted = Float64Array.from(values).sort();
+  const out = {};
+  for (const p of PERCENTILES) out[`p${p}`] = percentileOf(sorted, p);
+  return out;
+}
+
+/**
+ * Re-price one trade with slippage and fee noise. Trades without
+ * price/qty data are returned unperturbed.
+ */
+function perturbTrade(trade, cfg, rand) {
+  const { entryPrice, exitPrice, qty } = trade;
+  if (!entryPrice || !exitPrice || !qty) return trade.pnl || 0;
+
+  // Back out the flat slippage the backtest applied to get the bar prices
+  const entryMid = entryPrice / (1 + cfg.slippagePct / 100);
+  const exitMid = exitPrice / (1 - cfg.slippagePct / 100);
+
+  const entrySlip = estimateSlippage(syntheticBookSide(entryMid, qty, 'buy', cfg.slippagePct, rand), qty, 'buy');
+  const exitSlip = estimateSlippage(syntheticBookSide(exitMid, qty, 'sell', cfg.slippagePct, rand), qty, 'sell');
+  const entryFill = entryMid * (1 + entrySlip.slippagePct / 100);
+  const exitFill = exitMid * (1 - exitSlip.slippagePct / 100);
+
+  const { netProfit } = calculateFeeImpact(entryFill, exitFill, qty, {
+    takerFee: cfg.feePct / 100,
+    makerFee: cfg.makerFeePct / 100,
+    entryType: rand() < cfg.makerFillProb ? 'maker' : 'taker',
+    exitType: rand() < cfg.makerFillProb ? 'maker' : 'taker',
+  });
+  return netProfit;
+}
+
+/**
+ * Run the Monte Carlo stage over a backtest trade list.
+ *
+ * @param {Object[]} trades - runBacktest trades ({ entryPrice, exitPrice, qty, pnl })
+ * @param {Object} [opts]
+ * @param {number} [opts.startingCapital=25000]
+ * @param {number} [opts.iterations=1000]
+ * @param {'bootstrap'|'shuffle'} [opts.method='bootstrap']
+ * @param {boolean} [opts.perturbFills=true] - apply slippage/fee noise
+ * @param {number} [opts.slippagePct] - flat slippage the backtest applied, in % (defaults to SLIPPAGE_PCT)
+ * @param {number} [opts.feePct] - taker fee in % (defaults to TAKER_FEE_PCT)
+ * @param {number} [opts.makerFeePct] - maker fee in %
+ * @param {number} [opts.makerFillProb=0] - chance each fill is a maker fill
+ * @param {number} [opts.ruinPct=50] - drawdown from start that counts as ruin
+ * @param {number} [opts.seed=1]
+ * @returns {Object} report
+ */
+export function runMonteCarlo(trades, opts = {}) {
+  const {
+    startingCapital = 25000,
+    iterations = 1000,
+    method = 'bootstrap',
+    perturbFills = true,
+    slippagePct = SLIPPAGE_PCT,
+    feePct = TAKER_FEE_PCT,
+    makerFeePct = FEE_TIERS.starter.maker,
+    makerFillProb = 0,
+    ruinPct = 50,
+    seed = 1,
+  } = opts;
+
+  const n = trades.length;
+  if (n === 0) return null;
+
+  const cfg = { slippagePct, feePct, makerFeePct, makerFillProb };
+  const rand = seededRandom(seed);
+  const ruinLevel = startingCapital * (1 - ruinPct / 100);
+  const steps = n + 1;
+
+  const equityPaths = new Float64Array(iterations * steps);
+  const drawdownPaths = new Float64Array(iterations * steps);
+  const terminal = new Float64Array(iterations);
+  const maxDrawdowns = new Float64Array(iterations);
+  const streaks = new Float64Array(iterations);
+  let ruined = 0;
+  let losing = 0;
+
+  const order = trades.map((_, i) => i);
+
+  for (let it = 0; it < iterations; it++) {
+    if (method === 'shuffle') {
+      // Fisher-Yates
+      for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+
+    let equity = startingCapital;
+    let peak = startingCapital;
+    let maxDd = 0;
+    let streak = 0;
+    let worstStreak = 0;
+    let hitRuin = false;
+    const base = it * steps;
+    equityPaths[base] = equity;
+    drawdownPaths[base] = 0;
+
+    for (let k = 0; k < n; k++) {
+      const trade = trades[method === 'shuffle' ? order[k] : Math.floor(rand() * n)];
+      const pnl = perturbFills ? perturbTrade(trade, cfg, rand) : trade.pnl || 0;
+
+      equity += pnl;
+      if (equity > peak) peak = equity;
+      const dd = peak > 0 ? ((peak - equity) / peak) * 100 : 0;
+      if (dd > maxDd) maxDd = dd;
+      if (equity <= ruinLevel) hitRuin = true;
+
+      streak = pnl < 0 ? streak + 1 : 0;
+      if (streak > worstStreak) worstStreak = streak;
+
+      equityPaths[base + k + 1] = equity;
+      drawdownPaths[base + k + 1] = dd;
+    }
+
+    terminal[it] = equity;
+    maxDrawdowns[it] = maxDd;
+    streaks[it] = worstStreak;
+    if (hitRuin) ruined++;
+    if (equity < startingCapital) losing++;
+  }
+
+  // Percentile bands at every trade step (fan chart data)
+  const equityBands = PERCENTILES.reduce((acc, p) => ({ ...acc, [`p${p}`]: new Array(steps) }), {});
+  const drawdownBands = PERCENTILES.reduce((acc, p) => ({ ...acc, [`p${p}`]: new Array(steps) }), {});
+  const column = new Float64Array(iterations);
+  for (let k = 0; k < steps; k++) {
+    for (let it = 0; it < iterations; it++) column[it] = equityPaths[it * steps + k];
+    column.sort();
+    for (const p of PERCENTILES) equityBands[`p${p}`][k] = percentileOf(column, p);
+
+    for (let it = 0; it < iterations; it++) column[it] = drawdownPaths[it * steps + k];
+    column.sort();
+    for (const p of PERCENTILES) drawdownBands[`p${p}`][k] = percentileOf(column, p);
+  }
+
+  const actualEquity = trades.reduce((e, t) => e + (t.pnl || 0), startingCapital);
+  const belowActual = Float64Array.from(terminal).sort().findIndex((v) => v >= actualEquity);
+
+  return {
+    iterations,
+    method,
+    trades: n,
+    startingCapital,
+    actualEquity,
+    // Share of simulations that finished below the actual result
+    actualPercentile: parseFloat(((belowActual === -1 ? iterations : belowActual) / iterations * 100).toFixed(1)),
+    terminalEquity: percentileSet(terminal),
+    maxDrawdown: percentileSet(maxDrawdowns),
+    losingStreak: { ...percentileSet(streaks), worst: Math.max(...streaks) },
+    probabilityOfRuin: parseFloat(((ruined / iterations) * 100).toFixed(2)),
+    probabilityOfLoss: parseFloat(((losing / iterations) * 100).toFixed(2)),
+    ruinPct,
+    equityBands,
+    drawdownBands,
+  };
+}
@@ -0,0 +1,101 @@
+/* ============================================================
+   Cerebro Crypto — Order Configurations
+   ============================================================
+   Builds Coinbase Advanced Trade `order_configuration`
+   bodies, including the exchange-managed exits:
+     - bracket: an entry with an attached trigger_bracket_gtc,
+       placed by the exchange once the entry fills
+     - OCO:     a standalone trigger_bracket_gtc closing an
+       existing holding — take-profit limit and stop trigger
+       on one order, so one leg filling cancels the other
+   ============================================================ */
+
+/** Decimal string for a size or price, without float noise or exponents. */
+export function toDecimalString(value, decimals = 8) {
+  const fixed = Number(value).toFixed(decimals);
+  return fixed.includes('.') ? fixed.replace(/\.?0+$/, '') : fixed;
+}
+
+/**
+ * Entry order configuration.
+ * @param {Object} order
+ * @param {'market'|'limit'|'stop-limit'} order.orderType
+ * @param {number} [order.baseSize]
+ * @param {number} [order.quoteSize]  - market orders only
+ * @param {number} [order.limitPrice]
+ * @param {number} [order.stopPrice]  - stop-limit only
+ * @param {boolean} [order.postOnly=false]
+ * @returns {Object} order_configuration
+ */
+export function entryConfiguration({ orderType, baseSize, quoteSize, limitPrice, stopPrice, postOnly = false }) {
+  if (orderType === 'market') {
+    return {
+      market_market_ioc: baseSize
+        ? { base_size: toDecimalString(baseSize) }
+        : { quote_size: toDecimalString(quoteSize, 2) },
+    };
+  }
+  if (orderType === 'limit') {
+    return {
+      limit_limit_gtc: {
+        base_size: toDecimalString(baseSize),
+        limit_price: toDecimalString(limitPrice),
+        post_only: postOnly,
+      },
+    };
+  }
+  if (orderType === 'stop-limit') {
+    return {
+      stop_limit_stop_limit_gtc: {
+        base_size: toDecimalString(baseSize),
+        limit_price: toDecimalString(limitPrice),
+        stop_price: toDecimalString(stopPrice),
+      },
+    };
+  }
+  throw new Error(`Unsupported order type: ${orderType}`);
+}
+
+/**
+ * Exit bracket attached to an entry (`attached_order_configuration`).
+ * The exchange sizes it from the entry's fill.
+ */
+export function attachedBracket({ takeProfit, stopLoss }) {
+  return {
+    trigger_bracket_gtc: {
+      limit_price: toDecimalString(takeProfit),
+      stop_trigger_price: toDecimalString(stopLoss),
+    },
+  };
+}
+
+/** Standalone OCO exit for `baseSize` of an existing holding. */
+export function ocoConfiguration({ baseSize, takeProfit, stopLoss }) {
+  return {
+    trigger_bracket_gtc: {
+      base_size: toDecimalString(baseSize),
+      limit_price: toDecimalString(takeProfit),
+      stop_trigger_price: toDecimalString(stopLoss),
+    },
+  };
+}
+
+/**
+ * Check take-profit / stop-loss levels around a reference price for an
+ * exit on the given side ('SELL' closes a long).
+ * @returns {string} error message, or '' when valid
+ */
+export function validateExitLevels({ exitSide = 'SELL', price, takeProfit, stopLoss }) {
+  if (!(takeProfit > 0)) return 'Please enter a valid take-profit price';
+  if (!(stopLoss > 0)) return 'Please enter a valid stop-loss price';
+  if (exitSide === 'SELL') {
+    if (stopLoss >= takeProfit) return 'Stop-loss must be below take-profit';
+    if (price > 0 && takeProfit <= price) return 'Take-profit must be above the entry price';
+    if (price > 0 && stopLoss >= price) return 'Stop-loss must be below the entry price';
+  } else {
+    if (stopLoss <= takeProfit) return 'Stop-loss must be above take-profit';
+    if (price > 0 && takeProfit >= price) return 'Take-profit must be below the entry price';
+    if (price > 0 && stopLoss <= price) return 'Stop-loss must be above the entry price';
+  }
+  return '';
+}
@@ -0,0 +1,228 @@
+/* ============================================================
+   Cerebro Crypto — Performance Analytics
+   ============================================================
+   Statistics over closed trades (see services/tradeHistory):
+     - expectancy (mean net P&L per trade), win rate, profit
+       factor, average win / loss
+     - Sharpe and Sortino on daily P&L as a share of capital,
+       every calendar day from first to last trade, annualised
+       over 365 days (crypto trades every day)
+     - R-multiple: P&L over the initial risk
+       (|entry − initial stop| × size)
+     - MAE / MFE: the furthest the price went against / for
+       the trade while open, as % of entry and in R
+     - holding time distribution
+   each for all trades and broken down by strategy, pair,
+   VIPER mode, UTC entry hour and HYDRA entry score bucket.
+   Pure — no store or DB access.
+   ============================================================ */
+
+const DAY_MS = 86400000;
+const MINUTE_MS = 60000;
+const HOUR_MS = 3600000;
+const TRADING_DAYS_PER_YEAR = 365;
+
+/** Holding time buckets: [label, upper bound ms (exclusive)]. */
+export const HOLD_BUCKETS = [
+  ['< 1m', MINUTE_MS],
+  ['1–5m', 5 * MINUTE_MS],
+  ['5–15m', 15 * MINUTE_MS],
+  ['15m–1h', HOUR_MS],
+  ['1–4h', 4 * HOUR_MS],
+  ['4–24h', DAY_MS],
+  ['> 1d', Infinity],
+];
+
+/** HYDRA entry score buckets (0–100); trades without a score fall under 'n/a'. */
+const SCORE_BUCKETS = [
+  ['< 60', 60],
+  ['60–69', 70],
+  ['70–79', 80],
+  ['80–89', 90],
+  ['90+', Infinity],
+];
+const SCORE_ORDER = [...SCORE_BUCKETS.map(([label]) => label), 'n/a'];
+
+const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const holdMs = (t) => (t.entryTime != null ? Math.max(0, t.exitTime - t.entryTime) : null);
+
+/** P&L over the initial risk, or null without a stop. */
+export function rMultiple(t) {
+  if (t.stopLoss == null || !t.entryPrice || !t.qty) return null;
+  const risk = Math.abs(t.entryPrice - t.stopLoss) * t.qty;
+  return risk > 0 ? t.pnl / risk : null;
+}
+
+/**
+ * Adverse (MAE) and favourable (MFE) excursion of a trade with a tracked
+ * price range, as % of entry and, when the initial stop is known, in R.
+ * @returns {{ maePct: number, mfePct: number, maeR: number|null, mfeR: number|null }|null}
+ */
+export function excursion(t) {
+  const range = t.excursion;
+  if (!range || !t.entryPrice) return null;
+  const short = t.direction === 'short';
+  const adverse = Math.max(0, short ? range.high - t.entryPrice : t.entryPrice - range.low);
+  const favourable = Math.max(0, short ? t.entryPrice - range.low : range.high - t.entryPrice);
+  const riskPerUnit = t.stopLoss != null ? Math.abs(t.entryPrice - t.stopLoss) : 0;
+  return {
+    maePct: (adverse / t.entryPrice) * 100,
+    mfePct: (favourable / t.entryPrice) * 100,
+    maeR: riskPerUnit > 0 ? adverse / riskPerUnit : null,
+    mfeR: riskPerUnit > 0 ? favourable / riskPerUnit : null,
+  };
+}
+
+/**
+ * Annualised Sharpe and Sortino of daily P&L over `capital`.
+ * @returns {{ sharpe: number|null, sortino: number|null, days: number }}
+ */
+export function dailyRatios(trades, capital) {
+  if (trades.length === 0 || !(capital > 0)) return { sharpe: null, sortino: null, days: 0 };
+
+  const dayOf = (ms) => Math.floor(ms / DAY_MS);
+  const pnlByDay = new Map();
+  for (const t of trades) pnlByDay.set(dayOf(t.exitTime), (pnlByDay.get(dayOf(t.exitTime)) || 0) + t.pnl);
+
+  const first = Math.min(...pnlByDay.keys());
+  const last = Math.max(...pnlByDay.keys());
+  const returns = [];
+  let equity = capital;
+  for (let day = first; day <= last; day++) {
+    const pnl = pnlByDay.get(day) || 0;
+    returns.push(equity > 0 ? pnl / equity : 0);
+    equity += pnl;
+  }
+  if (returns.length < 2) return { sharpe: null, sortino: null, days: returns.length };
+
+  const avg = mean(returns);
+  const std = Math.sqrt(returns.reduce((s, r) => s + (r - avg) ** 2, 0) / (returns.length - 1));
+  const downside = Math.sqrt(returns.reduce((s, r) => s + Math.min(0, r) ** 2, 0) / returns.length);
+  const annualise = Math.sqrt(TRADING_DAYS_PER_YEAR);
+  return {
+    sharpe: std > 0 ? (avg / std) * annualise : null,
+    sortino: downside > 0 ? (avg / downside) * annualise : null,
+    days: returns.length,
+  };
+}
+
+/**
+ * Core statistics of a set of trades.
+ * @param {Object[]} trades
+ * @returns {Object} profitFactor is 999 when there are wins and no losses
+ */
+export function summarizeTrades(trades) {
+  const wins = trades.filter((t) => t.pnl > 0);
+  const losses = trades.filter((t) => t.pnl < 0);
+  const grossProfit = wins.reduce((s, t) => s + t.pnl, 0);
+  const grossLoss = Math.abs(losses.reduce((s, t) => s + t.pnl, 0));
+  const netPnL = trades.reduce((s, t) => s + t.pnl, 0);
+
+  const rs = trades.map(rMultiple).filter((r) => r != null);
+  const holds = trades.map(holdMs).filter((h) => h != null);
+  const excursions = trades.map((t) => ({ t, x: excursion(t) })).filter((e) => e.x);
+  const avgOf = (list, key) => mean(list.map((e) => e.x[key]).filter((v) => v != null));
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : null,
+    netPnL,
+    fees: trades.reduce((s, t) => s + (t.fees || 0), 0),
+    grossProfit,
+    grossLoss,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : grossProfit > 0 ? 999 : null,
+    expectancy: trades.length > 0 ? netPnL / trades.length : null,
+    avgWin: wins.length > 0 ? grossProfit / wins.length : null,
+    avgLoss: losses.length > 0 ? grossLoss / losses.length : null,
+    avgR: mean(rs),
+    rTrades: rs.length,
+    avgHoldMs: mean(holds),
+    medianHoldMs: median(holds),
+    excursionTrades: excursions.length,
+    avgMaePct: avgOf(excursions, 'maePct'),
+    avgMfePct: avgOf(excursions, 'mfePct'),
+    avgMaeR: avgOf(excursions, 'maeR'),
+    avgMfeR: avgOf(excursions, 'mfeR'),
+    // Heat taken by winners, and the favourable move losers gave back
+    winnerMaePct: avgOf(excursions.filter((e) => e.t.pnl > 0), 'maePct'),
+    loserMfePct: avgOf(excursions.filter((e) => e.t.pnl < 0), 'mfePct'),
+  };
+}
+
+/** Count, win rate and net P&L per holding time bucket. */
+export function holdingDistribution(trades) {
+  const buckets = HOLD_BUCKETS.map(([label]) => ({ label, trades: 0, wins: 0, netPnL: 0 }));
+  for (const t of trades) {
+    const ms = holdMs(t);
+    if (ms == null) continue;
+    const bucket = buckets[HOLD_BUCKETS.findIndex(([, upper]) => ms < upper)];
+    bucket.trades++;
+    if (t.pnl > 0) bucket.wins++;
+    bucket.netPnL += t.pnl;
+  }
+  return buckets.map((b) => ({ ...b, winRate: b.trades > 0 ? (b.wins / b.trades) * 100 : null }));
+}
+
+function scoreBucket(score) {
+  if (score == null) return 'n/a';
+  return SCORE_BUCKETS.find(([, upper]) => score < upper)[0];
+}
+
+/** Grouping keys for breakdowns: id -> { label, key(trade), order? }. */
+export const BREAKDOWNS = {
+  strategy: { label: 'Strategy', key: (t) => t.strategy },
+  pair: { label: 'Pair', key: (t) => t.pair },
+  viperMode: { label: 'VIPER Mode', key: (t) => t.viperMode || 'none' },
+  hour: {
+    label: 'UTC Hour',
+    key: (t) => (t.entryTime != null ? String(new Date(t.entryTime).getUTCHours()).padStart(2, '0') : 'n/a'),
+    order: (a, b) => a.localeCompare(b),
+  },
+  score: {
+    label: 'HYDRA Score',
+    key: (t) => scoreBucket(t.hydraScore),
+    order: (a, b) => SCORE_ORDER.indexOf(a) - SCORE_ORDER.indexOf(b),
+  },
+};
+
+/**
+ * Summaries per group of a breakdown.
+ * @param {Object[]} trades
+ * @param {string} id - key of BREAKDOWNS
+ * @returns {Object[]} { group, ...summarizeTrades } — by net P&L unless the breakdown has an order
+ */
+export function breakdown(trades, id) {
+  const { key, order } = BREAKDOWNS[id];
+  const groups = new Map();
+  for (const t of trades) {
+    const k = key(t);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(t);
+  }
+  const rows = [...groups].map(([group, list]) => ({ group, ...summarizeTrades(list) }));
+  return order ? rows.sort((a, b) => order(a.group, b.group)) : rows.sort((a, b) => b.netPnL - a.netPnL);
+}
+
+/**
+ * Everything the analytics view shows.
+ * @param {Object[]} trades
+ * @param {Object} opts
+ * @param {number} opts.capital - basis for daily returns
+ */
+export function analyzePerformance(trades, { capital }) {
+  return {
+    summary: { ...summarizeTrades(trades), ...dailyRatios(trades, capital) },
+    holding: holdingDistribution(trades),
+    breakdowns: Object.fromEntries(Object.keys(BREAKDOWNS).map((id) => [id, breakdown(trades, id)])),
+  };
+}
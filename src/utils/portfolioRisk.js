@@ -0,0 +1,235 @@
+/* ============================================================
+   Cerebro Crypto — Portfolio Risk
+   ============================================================
+   Risk across all open positions rather than per order:
+     - open risk: what every stop would lose from here
+       (distance to stop × size)
+     - exposure by asset, strategy and side
+     - 1h value-at-risk (95%) from recent 1m volatility,
+       aggregated with the rolling correlation matrix
+   checkRiskBudget holds a new entry to the total risk
+   budget, per-asset exposure cap and VaR limit in
+   riskSettings — scaling it down to fit, or blocking it.
+   ============================================================ */
+
+import { RISK_DEFAULTS } from '../config/constants.js';
+import { getPairCorrelation } from './correlationMatrix.js';
+
+// One-sided 95% z-score and the VaR horizon
+export const VAR_Z_95 = 1.645;
+export const VAR_HORIZON_MINUTES = 60;
+// 1m returns used for volatility
+const VOLATILITY_LOOKBACK = 120;
+// Below this share of the requested risk, an entry is blocked rather than scaled
+const MIN_SCALE = 0.25;
+
+/** 'long' or 'short' (engine positions use direction, manual and bracket paper ones side). */
+export const positionDirection = (p) => p.direction || (p.side === 'short' ? 'short' : 'long');
+
+const isShort = (p) => positionDirection(p) === 'short';
+
+/** Position size in base units (engine positions use qty, manual paper ones quantity). */
+export const positionQty = (p) => p.qty ?? p.quantity ?? 0;
+
+/** Position value at `price` (else its last mark, else entry). */
+export function positionNotional(p, price) {
+  return positionQty(p) * (price || p.currentPrice || p.entryPrice || 0);
+}
+
+/**
+ * What the position loses if its stop fills from `price`; 0 once the
+ * stop locks in profit. Positions without a stop use the default
+ * stop-loss percentage from entry.
+ */
+export function positionOpenRisk(p, price, stopLossPct = RISK_DEFAULTS.stopLossPct) {
+  const px = price || p.currentPrice || p.entryPrice || 0;
+  const stop = p.stopLoss ?? (p.entryPrice || px) * (isShort(p) ? 1 + stopLossPct / 100 : 1 - stopLossPct / 100);
+  const distance = isShort(p) ? stop - px : px - stop;
+  return Math.max(0, distance) * positionQty(p);
+}
+
+/** Standard deviation of the last `lookback` 1m log returns, or null. */
+export function returnVolatility(candles, lookback = VOLATILITY_LOOKBACK) {
+  if (!candles || candles.length < 3) return null;
+  const returns = [];
+  for (let i = Math.max(1, candles.length - lookback); i < candles.length; i++) {
+    const prev = candles[i - 1].close;
+    const curr = candles[i].close;
+    if (prev > 0 && curr > 0) returns.push(Math.log(curr / prev));
+  }
+  if (returns.length < 2) return null;
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Aggregate risk of the open positions.
+ *
+ * @param {Object} params
+ * @param {Array}  params.positions      - open positions
+ * @param {Object} params.prices         - { pair: price }
+ * @param {Object} params.candlesByPair  - { pair: 1m candles } for volatility
+ * @param {Object} [params.matrix]       - rolling correlation matrix
+ * @param {number} params.portfolioValue
+ * @param {Object} [params.riskSettings]
+ * @returns {Object} report (see README → Portfolio Risk)
+ */
+export function computePortfolioRisk({ positions, prices = {}, candlesByPair = {}, matrix = null, portfolioValue, riskSettings = {} }) {
+  const settings = { ...RISK_DEFAULTS, ...riskSettings };
+  const open = (positions || []).filter((p) => p.status !== 'closed');
+
+  const rows = open.map((p) => {
+    const price = prices[p.pair];
+    const notional = positionNotional(p, price);
+    const vol = returnVolatility(candlesByPair[p.pair]);
+    return {
+      id: p.id,
+      pair: p.pair,
+      asset: p.pair.split('-')[0],
+      strategy: p.strategy || 'manual',
+      direction: isShort(p) ? 'short' : 'long',
+      notional,
+      risk: positionOpenRisk(p, price, settings.stopLossPct),
+      var: vol != null ? VAR_Z_95 * vol * Math.sqrt(VAR_HORIZON_MINUTES) * notional : null,
+    };
+  });
+
+  const group = (key) => {
+    const groups = {};
+    for (const r of rows) {
+      const g = groups[r[key]] || (groups[r[key]] = { [key]: r[key], count: 0, notional: 0, net: 0, risk: 0 });
+      g.count++;
+      g.notional += r.notional;
+      g.net += r.direction === 'short' ? -r.notional : r.notional;
+      g.risk += r.risk;
+    }
+    return Object.values(groups)
+      .map((g) => ({ ...g, pct: portfolioValue > 0 ? (g.notional / portfolioValue) * 100 : 0 }))
+      .sort((a, b) => b.notional - a.notional);
+  };
+
+  // Portfolio VaR: √(vᵀ C v) over signed per-position VaR; unmeasured correlations count as 1
+  let varSq = 0;
+  const measured = rows.filter((r) => r.var != null);
+  for (const a of measured) {
+    for (const b of measured) {
+      const rho = a.pair === b.pair ? 1 : getPairCorrelation(matrix, a.pair, b.pair) ?? 1;
+      const sign = (a.direction === b.direction) ? 1 : -1;
+      varSq += sign * rho * a.var * b.var;
+    }
+  }
+  const varValue = Math.sqrt(Math.max(0, varSq));
+
+  const openRisk = rows.reduce((sum, r) => sum + r.risk, 0);
+  const longExposure = rows.filter((r) => r.direction === 'long').reduce((sum, r) => sum + r.notional, 0);
+  const shortExposure = rows.filter((r) => r.direction === 'short').reduce((sum, r) => sum + r.notional, 0);
+  const budgetUSD = portfolioValue > 0 ? portfolioValue * (settings.riskBudgetPct / 100) : 0;
+  const pct = (v) => (portfolioValue > 0 ? (v / portfolioValue) * 100 : 0);
+
+  return {
+    portfolioValue,
+    openRisk,
+    openRiskPct: pct(openRisk),
+    budgetPct: settings.riskBudgetPct,
+    budgetUSD,
+    utilisationPct: budgetUSD > 0 ? (openRisk / budgetUSD) * 100 : 0,
+    longExposure,
+    shortExposure,
+    grossExposure: longExposure + shortExposure,
+    netExposure: longExposure - shortExposure,
+    byAsset: group('asset'),
+    byStrategy: group('strategy'),
+    positions: rows,
+    var: {
+      value: varValue,
+      pct: pct(varValue),
+      limitPct: settings.maxVarPct,
+      confidence: 95,
+      horizonMinutes: VAR_HORIZON_MINUTES,
+      unmeasured: rows.length - measured.length,
+    },
+  };
+}
+
+/**
+ * Portfolio risk from a store snapshot: live prices, scanner 1m candles
+ * and the rolling correlation matrix.
+ */
+export function portfolioRiskFromState(state) {
+  const prices = {};
+  for (const [pair, t] of Object.entries(state.tickers || {})) prices[pair] = t.price;
+
+  const candlesByPair = {};
+  for (const p of state.positions || []) {
+    candlesByPair[p.pair] = state.scannerCandles?.[p.pair]?.ONE_MINUTE
+      || (p.pair === state.activePair ? state.candles?.ONE_MINUTE : null);
+  }
+
+  const portfolioValue = state.tradingMode === 'paper'
+    ? state.paperPortfolio?.balance || 0
+    : state.portfolio?.totalValue || state.portfolio?.availableCash || 0;
+
+  return computePortfolioRisk({
+    positions: state.positions,
+    prices,
+    candlesByPair,
+    matrix: state.correlationMatrix?.matrix,
+    portfolioValue,
+    riskSettings: state.riskSettings,
+  });
+}
+
+/**
+ * Check a new entry against the portfolio limits.
+ *
+ * @param {Object} report - computePortfolioRisk() result
+ * @param {Object} entry  - { pair, risk, notional } of the new position (risk = distance to stop × size)
+ * @param {Object} [riskSettings]
+ * @param {Object} [opts]
+ * @param {boolean} [opts.allowScale] - scale to fit instead of blocking (default: riskSettings.scaleToRiskBudget)
+ * @returns {{ allowed: boolean, scale: number, reason: string|null }}
+ */
+export function checkRiskBudget(report, entry, riskSettings = {}, { allowScale } = {}) {
+  const settings = { ...RISK_DEFAULTS, ...riskSettings };
+  const canScale = allowScale ?? settings.scaleToRiskBudget;
+  const { portfolioValue } = report;
+  if (!(portfolioValue > 0)) return { allowed: true, scale: 1, reason: null };
+
+  if (settings.maxVarPct > 0 && report.var.pct >= settings.maxVarPct) {
+    return {
+      allowed: false,
+      scale: 0,
+      reason: `Portfolio 1h VaR ${report.var.pct.toFixed(2)}% is at the ${settings.maxVarPct}% limit.`,
+    };
+  }
+
+  let scale = 1;
+  const reasons = [];
+
+  // Total open risk
+  if (settings.riskBudgetPct > 0 && entry.risk > 0) {
+    const remaining = report.budgetUSD - report.openRisk;
+    if (entry.risk > remaining) {
+      scale = Math.min(scale, Math.max(0, remaining) / entry.risk);
+      reasons.push(`risk budget ($${Math.max(0, remaining).toFixed(2)} of $${report.budgetUSD.toFixed(2)} left)`);
+    }
+  }
+
+  // Per-asset exposure
+  if (settings.maxAssetExposurePct > 0 && entry.notional > 0) {
+    const asset = entry.pair.split('-')[0];
+    const held = report.byAsset.find((g) => g.asset === asset)?.notional || 0;
+    const room = portfolioValue * (settings.maxAssetExposurePct / 100) - held;
+    if (entry.notional > room) {
+      scale = Math.min(scale, Math.max(0, room) / entry.notional);
+      reasons.push(`${asset} exposure cap (${settings.maxAssetExposurePct}% of portfolio)`);
+    }
+  }
+
+  if (scale >= 1) return { allowed: true, scale: 1, reason: null };
+  if (canScale && scale >= MIN_SCALE) {
+    return { allowed: true, scale, reason: `Scaled to ${(scale * 100).toFixed(0)}% by ${reasons.join(' and ')}.` };
+  }
+  return { allowed: false, scale: 0, reason: `Blocked by ${reasons.join(' and ')}.` };
+}
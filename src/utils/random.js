@@ -0,0 +1,23 @@
+/* ============================================================
+   Cerebro Crypto — Seeded Random
+   ============================================================
+   Deterministic PRNG for simulations (walk-forward search,
+   Monte Carlo) so the same seed reproduces the same report.
+   ============================================================ */
+
+/**
+ * mulberry32 generator.
+ *
+ * @param {number} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -81,14 +81,19 @@ export function validateOrder(order, state) {
     );
   }
 
-  // 6. No net-short positions (long-only enforcement)
+  // 6. Net-short positions: blocked unless shorts are enabled, then held to the short limits
   if (order.side === 'SELL') {
-    const existingPosition = currentPositions.find((p) => p.pair === order.pair);
+    const existingPosition = currentPositions.find((p) => p.pair === order.pair && p.direction !== 'short');
     const existingQty = existingPosition ? existingPosition.quantity : 0;
-    if ((order.quantity || 0) > existingQty) {
-      errors.push(
-        `Cannot sell more than held quantity (${existingQty}). Short-selling is not allowed.`
-      );
+    const shortQty = (order.quantity || 0) - existingQty;
+    if (shortQty > 0) {
+      if (!riskSettings.allowShorts) {
+        errors.push(
+          `Cannot sell more than held quantity (${existingQty}). Short-selling is not allowed.`
+        );
+      } else {
+        errors.push(...checkShortLimits({ notionalValue: shortQty * (order.price || 0) }, state));
+      }
     }
   }
 
@@ -98,6 +103,46 @@ export function validateOrder(order, state) {
   };
 }
 
+// ---------------------------------------------------------------------------
+// Short limits
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a new short against the short-side limits, which are kept separate
+ * from the long book: shorts must be enabled, and both the number of open
+ * shorts and their combined notional are capped.
+ *
+ * @param {Object} order - { notionalValue } of the short being opened
+ * @param {Object} state - current Zustand store state snapshot
+ * @returns {string[]} errors (empty when the short is allowed)
+ */
+export function checkShortLimits(order, state) {
+  const { riskSettings = {}, positions = [], portfolio, paperPortfolio, tradingMode } = state;
+  if (!riskSettings.allowShorts) return ['Short selling is disabled in risk settings.'];
+
+  const errors = [];
+  const shorts = positions.filter((p) => p.direction === 'short' && p.status !== 'closed');
+  const maxShorts = riskSettings.maxShortPositions ?? 1;
+  if (shorts.length >= maxShorts) {
+    errors.push(`Max short positions (${maxShorts}) reached.`);
+  }
+
+  const portfolioValue = tradingMode === 'paper'
+    ? paperPortfolio?.balance || 0
+    : portfolio?.totalValue || portfolio?.availableCash || 0;
+  const maxExposure = portfolioValue * ((riskSettings.maxShortExposurePct ?? 10) / 100);
+  const exposure = shorts.reduce(
+    (sum, p) => sum + (p.notionalValue || (p.entryPrice || 0) * (p.qty || 0)), 0
+  ) + (order.notionalValue || 0);
+  if (exposure > maxExposure) {
+    errors.push(
+      `Short exposure ($${exposure.toFixed(2)}) would exceed ${riskSettings.maxShortExposurePct ?? 10}% of portfolio ($${maxExposure.toFixed(2)}).`
+    );
+  }
+
+  return errors;
+}
+
 // ---------------------------------------------------------------------------
 // Position sizing
 // ---------------------------------------------------------------------------
@@ -127,19 +172,21 @@ export function calculatePositionSize(portfolioValue, riskSettings) {
  * @param {'percentage'|'atr'} method
  * @param {number|null} atr      - current ATR value (needed if method='atr')
  * @param {Object} riskSettings
+ * @param {'long'|'short'} [direction='long'] - shorts stop out above entry
  * @returns {number} stop-loss price
  */
-export function calculateStopLoss(entryPrice, method, atr, riskSettings) {
+export function calculateStopLoss(entryPrice, method, atr, riskSettings, direction = 'long') {
   if (!entryPrice || entryPrice <= 0) return 0;
+  const sign = direction === 'short' ? -1 : 1;
 
   if (method === 'atr' && atr && atr > 0) {
     const multiplier = riskSettings.trailingStopATR || 1;
-    return Math.max(0, entryPrice - atr * multiplier);
+    return Math.max(0, entryPrice - sign * atr * multiplier);
   }
 
   // Default: percentage-based stop
   const pct = (riskSettings.stopLossPct || 2) / 100;
-  return Math.max(0, entryPrice * (1 - pct));
+  return Math.max(0, entryPrice * (1 - sign * pct));
 }
 
 // ---------------------------------------------------------------------------
@@ -148,6 +195,8 @@ export function calculateStopLoss(entryPrice, method, atr, riskSettings) {
 
 /**
  * Calculate the take-profit price using an R-multiple of the risk.
+ * The side follows the stop: a stop above entry is a short, so the
+ * target lands below.
  *
  * @param {number} entryPrice
  * @param {number} stopLoss
@@ -155,7 +204,7 @@ export function calculateStopLoss(entryPrice, method, atr, riskSettings) {
  * @returns {number} take-profit price
  */
 export function calculateTakeProfit(entryPrice, stopLoss, rMultiple) {
-  if (!entryPrice || !stopLoss || entryPrice <= stopLoss) return entryPrice;
+  if (!entryPrice || !stopLoss || entryPrice === stopLoss) return entryPrice;
   const risk = entryPrice - stopLoss;
-  return entryPrice + risk * rMultiple;
+  return Math.max(0, entryPrice + risk * rMultiple);
 }
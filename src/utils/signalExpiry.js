@@ -1,5 +1,8 @@
 /* ============================================================
    Cerebro Crypto — Signal Expiry Manager
+   ============================================================
+   Every helper takes an optional `now` (ms) so replays can
+   evaluate expiry against bar time instead of the wall clock.
    ============================================================ */
 
 const EXPIRY_MS = {
@@ -15,11 +18,11 @@ const EXPIRY_MS = {
 /**
  * Create a timestamped signal.
  */
-export function createSignal(signal, timeframe = 'FIVE_MINUTE') {
+export function createSignal(signal, timeframe = 'FIVE_MINUTE', now = Date.now()) {
   return {
     ...signal,
-    createdAt: Date.now(),
-    expiresAt: Date.now() + (EXPIRY_MS[timeframe] || 30000),
+    createdAt: now,
+    expiresAt: now + (EXPIRY_MS[timeframe] || 30000),
     timeframe,
     expired: false,
   };
@@ -28,23 +31,22 @@ export function createSignal(signal, timeframe = 'FIVE_MINUTE') {
 /**
  * Check if a signal is still valid.
  */
-export function isSignalValid(signal) {
+export function isSignalValid(signal, now = Date.now()) {
   if (!signal || signal.expired) return false;
-  return Date.now() < signal.expiresAt;
+  return now < signal.expiresAt;
 }
 
 /**
  * Filter out expired signals from an array.
  */
-export function filterExpiredSignals(signals) {
-  const now = Date.now();
+export function filterExpiredSignals(signals, now = Date.now()) {
   return signals.filter((s) => now < s.expiresAt && !s.expired);
 }
 
 /**
  * Get remaining time for a signal in ms.
  */
-export function signalTTL(signal) {
+export function signalTTL(signal, now = Date.now()) {
   if (!signal) return 0;
-  return Math.max(0, signal.expiresAt - Date.now());
+  return Math.max(0, signal.expiresAt - now);
 }
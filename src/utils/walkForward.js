@@ -0,0 +1,179 @@
+/* ============================================================
+   Cerebro Crypto — Walk-Forward Optimiser Helpers
+   ============================================================
+   Pure helpers for walk-forward optimisation of HYDRA settings:
+   fold layout, candidate generation (grid or seeded random),
+   objective scoring and the final parameter recommendation.
+   The backtest worker drives the actual runs.
+
+   Fold layout (rolling, non-anchored):
+     |-- warmup --|---- in-sample ----|-- out-of-sample --|
+                  |-- step --|-- warmup --|---- in-sample ----|-- oos --|
+   ============================================================ */
+
+import { seededRandom } from './random.js';
+
+// Tunable HYDRA parameters and their search ranges.
+// entryThreshold matches the store's 65-95 clamp.
+export const HYDRA_PARAM_SPACE = {
+  entryThreshold:     { min: 65, max: 95, step: 5 },
+  riskPerTrade:       { min: 0.005, max: 0.02, step: 0.0025 },
+  exitScoreThreshold: { min: 30, max: 50, step: 5 },
+  sessionWeight:      { min: 0.5, max: 1.5, step: 0.25 },
+};
+
+export const OBJECTIVES = {
+  sharpe: (stats) => stats.sharpeRatio,
+  return: (stats) => stats.totalReturn,
+  profitFactor: (stats) => stats.profitFactor,
+  // Return per unit of drawdown; flat curves score 0
+  calmar: (stats) => (stats.maxDrawdown > 0 ? stats.totalReturn / stats.maxDrawdown : 0),
+};
+
+/**
+ * Lay out rolling in-sample / out-of-sample folds over a candle series.
+ * Each fold carries `warmup` bars ahead of the in-sample window so
+ * indicators are primed before the first tradeable bar.
+ *
+ * @param {number} totalBars - number of candles
+ * @param {Object} opts
+ * @param {number} opts.inSampleBars
+ * @param {number} opts.outSampleBars
+ * @param {number} [opts.stepBars] - fold advance (defaults to outSampleBars)
+ * @param {number} [opts.warmupBars=200]
+ * @returns {Array<{ index, warmupStart, inSampleStart, inSampleEnd, outSampleStart, outSampleEnd }>}
+ *   end indices are exclusive
+ */
+export function buildFolds(totalBars, { inSampleBars, outSampleBars, stepBars, warmupBars = 200 }) {
+  const step = stepBars || outSampleBars;
+  const folds = [];
+  if (!inSampleBars || !outSampleBars || step <= 0) return folds;
+
+  for (let isStart = warmupBars; isStart + inSampleBars + outSampleBars <= totalBars; isStart += step) {
+    folds.push({
+      index: folds.length,
+      warmupStart: isStart - warmupBars,
+      inSampleStart: isStart,
+      inSampleEnd: isStart + inSampleBars,
+      outSampleStart: isStart + inSampleBars,
+      outSampleEnd: isStart + inSampleBars + outSampleBars,
+    });
+  }
+  return folds;
+}
+
+/**
+ * Enumerate every value of a { min, max, step } range.
+ */
+function rangeValues({ min, max, step }) {
+  const values = [];
+  const decimals = (String(step).split('.')[1] || '').length;
+  for (let v = min; v <= max + step / 2; v += step) {
+    values.push(parseFloat(v.toFixed(decimals)));
+  }
+  return values;
+}
+
+/**
+ * Generate candidate parameter sets.
+ *
+ * @param {Object} space - { param: { min, max, step } }
+ * @param {Object} [opts]
+ * @param {'grid'|'random'} [opts.method='grid']
+ * @param {number} [opts.samples=40] - random search only
+ * @param {number} [opts.seed=1]
+ * @returns {Object[]} parameter sets
+ */
+export function generateCandidates(space, { method = 'grid', samples = 40, seed = 1 } = {}) {
+  const names = Object.keys(space);
+  const values = names.map((name) => rangeValues(space[name]));
+
+  if (method === 'random') {
+    const rand = seededRandom(seed);
+    const seen = new Set();
+    const candidates = [];
+    const maxUnique = values.reduce((n, v) => n * v.length, 1);
+    while (candidates.length < Math.min(samples, maxUnique)) {
+      const params = {};
+      names.forEach((name, i) => {
+        params[name] = values[i][Math.floor(rand() * values[i].length)];
+      });
+      const key = JSON.stringify(params);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      candidates.push(params);
+    }
+    return candidates;
+  }
+
+  // Full cartesian grid
+  return names.reduce(
+    (sets, name, i) => sets.flatMap((set) => values[i].map((v) => ({ ...set, [name]: v }))),
+    [{}]
+  );
+}
+
+/**
+ * Score a backtest result for candidate selection. Runs with fewer than
+ * `minTrades` trades are rejected so a lucky single trade can't win a fold.
+ *
+ * @param {Object} stats - runBacktest stats
+ * @param {string} [objective='sharpe'] - key of OBJECTIVES
+ * @param {number} [minTrades=5]
+ * @returns {number} score (-Infinity when rejected)
+ */
+export function scoreStats(stats, objective = 'sharpe', minTrades = 5) {
+  if (!stats || stats.totalTrades < minTrades) return -Infinity;
+  const fn = OBJECTIVES[objective] || OBJECTIVES.sharpe;
+  const score = fn(stats);
+  return Number.isFinite(score) ? score : -Infinity;
+}
+
+/**
+ * Recommend one parameter set from the per-fold winners: the per-parameter
+ * median, which stays on the search grid and damps one-off outlier folds.
+ *
+ * @param {Object[]} winners - best in-sample parameter set of each fold
+ * @returns {Object|null}
+ */
+export function recommendParams(winners) {
+  const valid = winners.filter(Boolean);
+  if (valid.length === 0) return null;
+
+  const recommended = {};
+  for (const name of Object.keys(valid[0])) {
+    const sorted = valid.map((p) => p[name]).sort((a, b) => a - b);
+    recommended[name] = sorted[Math.floor((sorted.length - 1) / 2)];
+  }
+  return recommended;
+}
+
+/**
+ * Aggregate out-of-sample fold stats into a walk-forward summary.
+ *
+ * @param {Array<{ inSample: Object, outSample: Object }>} folds
+ * @returns {Object}
+ */
+export function summarizeFolds(folds) {
+  const tested = folds.filter((f) => f.outSample);
+  if (tested.length === 0) {
+    return { folds: 0, oosReturn: 0, avgOosSharpe: 0, oosTrades: 0, oosWinRate: 0, efficiency: 0 };
+  }
+
+  // Compound OOS returns as if each window was traded back-to-back
+  const oosGrowth = tested.reduce((g, f) => g * (1 + f.outSample.totalReturn / 100), 1);
+  const oosTrades = tested.reduce((n, f) => n + f.outSample.totalTrades, 0);
+  const oosWins = tested.reduce((n, f) => n + (f.outSample.winRate / 100) * f.outSample.totalTrades, 0);
+  const avgIsReturn = tested.reduce((s, f) => s + f.inSample.totalReturn, 0) / tested.length;
+  const avgOosReturn = tested.reduce((s, f) => s + f.outSample.totalReturn, 0) / tested.length;
+
+  return {
+    folds: tested.length,
+    oosReturn: parseFloat(((oosGrowth - 1) * 100).toFixed(2)),
+    avgOosSharpe: parseFloat((tested.reduce((s, f) => s + f.outSample.sharpeRatio, 0) / tested.length).toFixed(2)),
+    oosTrades,
+    oosWinRate: oosTrades > 0 ? parseFloat(((oosWins / oosTrades) * 100).toFixed(1)) : 0,
+    // Walk-forward efficiency: how much of the in-sample edge survived out of sample
+    efficiency: avgIsReturn > 0 ? parseFloat((avgOosReturn / avgIsReturn).toFixed(2)) : 0,
+  };
+}
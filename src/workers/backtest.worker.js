@@ -2,9 +2,68 @@
    Cerebro Crypto — Backtesting Engine Web Worker
    ============================================================
    Runs entire backtest simulation off the main thread.
-   Supports multiple strategies with proper risk management.
+   Drives the live HYDRA and VIPER strategy modules bar-by-bar,
+   so the backtest exercises exactly the code that trades live.
+
+   No historical order book exists, so microstructure inputs are
+   empty and trade flow is estimated from each bar's close
+   location. VIPER's 5m/15m frames are aggregated from the base
+   candles and only closed buckets are visible at each bar;
+   HYDRA's trend dimension reads 1m/5m/15m/1h frames built
+   the same way.
+
+   Every time-dependent decision (session hours, signal stamps,
+   cooldowns, daily reset, overnight cutoff) runs on bar time.
+
+   The portfolio mode runs several pairs against one cash pool
+   with the scanner's concurrency, correlation and allocation
+   rules. The scanner's 5m trend block is not modelled.
    ============================================================ */
 
+import { hydra } from '../strategies/hydra/index.js';
+import { updateHighWaterMark } from '../strategies/hydra/exitMonitor.js';
+import { TREND_TIMEFRAMES } from '../strategies/hydra/dimensions/trendAlignment.js';
+import { viper } from '../strategies/viper/index.js';
+import { detectEdge } from '../strategies/viper/edgeDetector.js';
+import {
+  RATCHET_LEVELS, evaluateRatchet, getAllowedModes, getSizingMultiplier,
+} from '../strategies/viper/ratchet.js';
+import { detectRegime } from '../utils/regimeDetector.js';
+import { calculateAllocation } from '../utils/allocationManager.js';
+import { checkCorrelation } from '../utils/correlationGuard.js';
+import { CORRELATION_DEFAULTS, computeCorrelationMatrix } from '../utils/correlationMatrix.js';
+import { getUTCHour, getUTCDay, crossedUTCHour } from '../utils/clock.js';
+import {
+  HYDRA_PARAM_SPACE, buildFolds, generateCandidates, scoreStats, recommendParams, summarizeFolds,
+} from '../utils/walkForward.js';
+import { runMonteCarlo } from '../utils/monteCarlo.js';
+import { aggregateCandles } from '../utils/candleSeries.js';
+import { STRATEGIES, SLIPPAGE_PCT, TAKER_FEE_PCT, TIMEFRAME_MS } from '../config/constants.js';
+
+// Bars of history handed to the strategies each bar (live engine fetches 300)
+const LOOKBACK_BARS = 300;
+// Edge detector cadence, in bar time
+const EDGE_DETECTOR_INTERVAL_MS = 15 * 60 * 1000;
+// Max hold times enforced by the live engine
+const MAX_HOLD_MS = {
+  hydra: 45 * 60 * 1000,
+  COIL: 30 * 60 * 1000,
+  LUNGE: 2 * 60 * 60 * 1000,
+};
+// Per-trade VIPER cap as a fraction of allocated capital
+const VIPER_TRADE_CAP_PCT = 0.15;
+// Scanner correlation cap: max positions in the same direction
+const MAX_SAME_DIRECTION = 2;
+// Bars between rolling correlation matrix updates in the portfolio backtest
+const CORRELATION_REFRESH_BARS = 15;
+// Paper-mode minimum position floor
+const MIN_POSITION_USD = 10;
+const EMPTY_BOOK = { bids: [], asks: [] };
+// Spread the engine assumes when no order book is available
+const NO_BOOK_SPREAD = 0.001;
+// Bars runBacktest consumes before it starts trading (SMA200 warm-up)
+const WARMUP_BARS = 200;
+
 // =========================================================================
 //  Indicator Functions (duplicated from indicators worker for isolation)
 // =========================================================================
@@ -147,7 +206,7 @@ function VWAP(candles) {
 }
 
 // =========================================================================
-//  Additional Indicators for New Strategies
+//  Additional Indicators for HYDRA / VIPER
 // =========================================================================
 
 function HMA_BT(data, period = 9) {
@@ -204,6 +263,58 @@ function StochRSI_BT(data, rsiPeriod = 14, stochPeriod = 14, kSmooth = 3, dSmoot
   return { k, d };
 }
 
+
+function ADX_BT(candles, period = 14) {
+  const len = candles.length;
+  if (len < period + 1) return candles.map(() => null);
+  const plusDM = [], minusDM = [], trs = [];
+  for (let i = 1; i < len; i++) {
+    const up = candles[i].high - candles[i - 1].high;
+    const down = candles[i - 1].low - candles[i].low;
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+    const pc = candles[i - 1].close;
+    trs.push(Math.max(candles[i].high - candles[i].low, Math.abs(candles[i].high - pc), Math.abs(candles[i].low - pc)));
+  }
+  function wilder(values) {
+    const out = [];
+    let s = 0;
+    for (let i = 0; i < period; i++) s += values[i];
+    out.push(s);
+    for (let i = period; i < values.length; i++) out.push(out[out.length - 1] - out[out.length - 1] / period + values[i]);
+    return out;
+  }
+  const sPlus = wilder(plusDM), sMinus = wilder(minusDM), sTR = wilder(trs);
+  const dx = sTR.map((tr, i) => {
+    const pdi = tr !== 0 ? (sPlus[i] / tr) * 100 : 0;
+    const mdi = tr !== 0 ? (sMinus[i] / tr) * 100 : 0;
+    return pdi + mdi !== 0 ? (Math.abs(pdi - mdi) / (pdi + mdi)) * 100 : 0;
+  });
+  const result = new Array(Math.min(2 * period - 1, len)).fill(null);
+  if (dx.length >= period) {
+    let s = 0;
+    for (let i = period - 1; i < 2 * period - 1 && i < dx.length; i++) s += dx[i];
+    let adx = s / period;
+    result.push(adx);
+    for (let i = 2 * period - 1; i < dx.length; i++) {
+      adx = (adx * (period - 1) + dx[i]) / period;
+      result.push(adx);
+    }
+  }
+  while (result.length < len) result.push(result.length > 0 ? result[result.length - 1] : null);
+  return result.slice(0, len);
+}
+
+function OBV_BT(candles) {
+  if (candles.length === 0) return [];
+  const result = [0];
+  for (let i = 1; i < candles.length; i++) {
+    const dir = Math.sign(candles[i].close - candles[i - 1].close);
+    result.push(result[i - 1] + dir * candles[i].volume);
+  }
+  return result;
+}
+
 // =========================================================================
 //  Pre-compute All Indicators for Backtest
 // =========================================================================
@@ -211,6 +322,7 @@ function StochRSI_BT(data, rsiPeriod = 14, stochPeriod = 14, kSmooth = 3, dSmoot
 function precomputeIndicators(candles) {
   const closes = candles.map((c) => c.close);
   const volumes = candles.map((c) => c.volume);
+  const stochRsi = StochRSI_BT(closes, 14, 14, 3, 3);
 
   return {
     ema9: EMA(closes, 9),
@@ -221,12 +333,16 @@ function precomputeIndicators(candles) {
     macd: MACD(closes, 12, 26, 9),
     bbands: BollingerBands(closes, 20, 2),
     atr: ATR(candles, 14),
+    adx: ADX_BT(candles, 14),
     vwap: VWAP(candles),
+    obv: OBV_BT(candles),
     volumeSMA20: SMA(volumes, 20),
     high20: computeRollingHigh(closes, 20),
     low20: computeRollingLow(closes, 20),
     hma: HMA_BT(closes, 9),
-    stochRsi: StochRSI_BT(closes, 14, 14, 3, 3),
+    // VIPER modes read `stochRsi`, HYDRA's momentum dimension reads `stochRSI`
+    stochRsi,
+    stochRSI: stochRsi,
   };
 }
 
@@ -257,487 +373,1044 @@ function computeRollingLow(data, period) {
 }
 
 // =========================================================================
-//  Strategy Signal Detection
+//  Bar Windows & Multi-Timeframe Series
 // =========================================================================
 
 /**
- * Check if a strategy generates an entry signal at bar index `i`.
- * Returns { entry: true, direction: 'long', reason: '...' } or null.
+ * Infer the bar interval (ms) from the smallest gap between candles.
  */
-function checkEntrySignal(strategy, candles, indicators, i) {
-  const close = candles[i].close;
-  const prevClose = i > 0 ? candles[i - 1].close : close;
-  const volume = candles[i].volume;
-  const volAvg = indicators.volumeSMA20[i];
-
-  switch (strategy) {
-    case 'momentum': {
-      const ema9 = indicators.ema9[i];
-      const ema21 = indicators.ema21[i];
-      const prevEma9 = i > 0 ? indicators.ema9[i - 1] : null;
-      const prevEma21 = i > 0 ? indicators.ema21[i - 1] : null;
-      const rsi = indicators.rsi[i];
-
-      if (
-        ema9 != null && ema21 != null &&
-        prevEma9 != null && prevEma21 != null &&
-        rsi != null && volAvg != null
-      ) {
-        // EMA9 crosses above EMA21, RSI > 50, volume > 1.5x avg
-        if (prevEma9 <= prevEma21 && ema9 > ema21 && rsi > 50 && volume > volAvg * 1.5) {
-          return { entry: true, direction: 'long', reason: 'Momentum: EMA9 crossed above EMA21, RSI > 50, volume surge' };
-        }
-      }
-      return null;
-    }
+function detectBarInterval(candles) {
+  let interval = Infinity;
+  for (let i = 1; i < Math.min(candles.length, 50); i++) {
+    const gap = candles[i].timestamp - candles[i - 1].timestamp;
+    if (gap > 0 && gap < interval) interval = gap;
+  }
+  return Number.isFinite(interval) ? interval : TIMEFRAME_MS.ONE_MINUTE;
+}
 
-    case 'breakout': {
-      const high20 = indicators.high20[i];
-      if (high20 != null && volAvg != null) {
-        // Close above 20-period high with volume > 2x avg
-        // Use previous bar's high20 to detect breakout
-        const prevHigh20 = i > 0 ? indicators.high20[i - 1] : null;
-        if (prevHigh20 != null && prevClose <= prevHigh20 && close > prevHigh20 && volume > volAvg * 2) {
-          return { entry: true, direction: 'long', reason: 'Breakout: Close above 20-bar high with volume confirmation' };
-        }
-      }
-      return null;
-    }
+/**
+ * Build a higher-timeframe series from the base candles. Only buckets that
+ * have fully closed by a base bar are visible to the strategy at that bar,
+ * so closedCount[i] is the number of complete buckets at base bar i.
+ */
+function buildTimeframeSeries(candles, baseMs, targetMs) {
+  const bucketMs = Math.max(baseMs, targetMs);
+  const tfCandles = targetMs > baseMs ? aggregateCandles(candles, targetMs) : candles;
+  const indicators = precomputeIndicators(tfCandles);
+  const closedCount = new Array(candles.length);
+
+  let k = 0;
+  for (let i = 0; i < candles.length; i++) {
+    const barClose = candles[i].timestamp + baseMs;
+    while (k < tfCandles.length && tfCandles[k].timestamp + bucketMs <= barClose) k++;
+    closedCount[i] = k;
+  }
 
-    case 'vwap_reclaim': {
-      const vwap = indicators.vwap[i];
-      const prevVwap = i > 0 ? indicators.vwap[i - 1] : null;
-      const rsi = indicators.rsi[i];
-      const prevRsi = i > 0 ? indicators.rsi[i - 1] : null;
+  return { candles: tfCandles, indicators, closedCount, cacheEnd: -1, cacheWindow: null };
+}
 
-      if (vwap != null && prevVwap != null && rsi != null && prevRsi != null) {
-        // Price was below VWAP, now closes above; RSI recovering (increasing)
-        if (prevClose < prevVwap && close > vwap && rsi > prevRsi && rsi > 40) {
-          return { entry: true, direction: 'long', reason: 'VWAP Reclaim: Price reclaimed VWAP with RSI recovery' };
-        }
-      }
-      return null;
-    }
+function sliceSeries(value, start, end) {
+  if (Array.isArray(value)) return value.slice(start, end);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [key, arr] of Object.entries(value)) out[key] = sliceSeries(arr, start, end);
+    return out;
+  }
+  return value;
+}
 
-    case 'mean_reversion': {
-      const lowerBB = indicators.bbands.lower[i];
-      const rsi = indicators.rsi[i];
+/**
+ * Candles and indicators as the live engine would see them after bar `end - 1`
+ * closed: the trailing LOOKBACK_BARS bars, last element = current bar.
+ */
+function windowAt(candles, indicators, end) {
+  const start = Math.max(0, end - LOOKBACK_BARS);
+  const ind = {};
+  for (const [key, value] of Object.entries(indicators)) {
+    ind[key] = sliceSeries(value, start, end);
+  }
+  return { candles: candles.slice(start, end), indicators: ind };
+}
 
-      if (lowerBB != null && rsi != null) {
-        // Price touches lower BB, RSI < 35, bullish candle (close > open)
-        const isBullish = candles[i].close > candles[i].open;
-        if (close <= lowerBB * 1.002 && rsi < 35 && isBullish) {
-          return { entry: true, direction: 'long', reason: 'Mean Reversion: Price at lower BB, oversold RSI, bullish candle' };
-        }
-      }
-      return null;
-    }
+function seriesWindowAt(series, i) {
+  const end = series.closedCount[i];
+  if (series.cacheEnd !== end) {
+    series.cacheEnd = end;
+    series.cacheWindow = windowAt(series.candles, series.indicators, end);
+  }
+  return series.cacheWindow;
+}
 
-    case 'range_scalp': {
-      const low20 = indicators.low20[i];
-      const high20 = indicators.high20[i];
-      const atr = indicators.atr[i];
-      const rsi = indicators.rsi[i];
-
-      if (low20 != null && high20 != null && atr != null && rsi != null && volAvg != null) {
-        const rangeWidth = high20 - low20;
-        if (rangeWidth < atr * 2) return null; // Range too narrow
-
-        const nearSupport = close <= low20 * 1.003;
-        if (!nearSupport || rsi >= 40 || rsi < 15) return null;
-        if (volume < volAvg * 1.2) return null;
-
-        const c = candles[i];
-        const prev = i > 0 ? candles[i - 1] : c;
-        const isBullishEngulfing = c.close > c.open && prev.close < prev.open && c.close > prev.open && c.open < prev.close;
-        const bodySize = Math.abs(c.close - c.open);
-        const lowerWick = Math.min(c.open, c.close) - c.low;
-        const isHammer = lowerWick > bodySize * 2 && c.close > c.open;
-
-        if (isBullishEngulfing || isHammer) {
-          return { entry: true, direction: 'long', reason: 'Range Scalp: Pattern near support with RSI + volume confirmation' };
-        }
-      }
-      return null;
+/**
+ * Approximate the live 60s buy/sell trade flow from a single bar: volume is
+ * split by where the close sits within the bar's range.
+ */
+function estimateTradeFlow(candle) {
+  const range = candle.high - candle.low;
+  const buyShare = range > 0 ? (candle.close - candle.low) / range : 0.5;
+  const buyVolume = candle.volume * buyShare;
+  const sellVolume = candle.volume - buyVolume;
+  const ratio = sellVolume > 0 ? buyVolume / sellVolume : buyVolume > 0 ? 10 : 1;
+  return { buyVolume, sellVolume, ratio };
+}
+
+/**
+ * Classify the regime at bar `i` with the same inputs the scanner feeds
+ * the regime detector.
+ */
+function regimeAt(candles, indicators, i) {
+  const upper = indicators.bbands.upper[i];
+  const lower = indicators.bbands.lower[i];
+  const middle = indicators.bbands.middle[i];
+  let bbWidth = null;
+  let bbWidthAvg = null;
+  if (upper != null && lower != null && middle) {
+    bbWidth = (upper - lower) / middle;
+    let sum = 0;
+    let count = 0;
+    for (let j = Math.max(0, i - 19); j <= i; j++) {
+      const m = indicators.bbands.middle[j];
+      if (m) { sum += (indicators.bbands.upper[j] - indicators.bbands.lower[j]) / m; count++; }
     }
+    bbWidthAvg = count > 0 ? sum / count : bbWidth;
+  }
 
-    case 'micro_vwap_scalp': {
-      if (i < 2) return null;
-      const vwap = indicators.vwap[i];
-      const stochK = indicators.stochRsi?.k?.[i];
-      const hma = indicators.hma?.[i];
-      const prevHma = indicators.hma?.[i - 1];
+  return detectRegime({
+    price: candles[i].close,
+    sma200: indicators.sma200[i],
+    ema9: indicators.ema9[i],
+    ema21: indicators.ema21[i],
+    ema50: indicators.ema50[i],
+    adx: indicators.adx[i],
+    rsi: indicators.rsi[i],
+    bbWidth,
+    bbWidthAvg,
+  }).regime;
+}
 
-      if (vwap == null || stochK == null || hma == null || prevHma == null || volAvg == null) return null;
+// =========================================================================
+//  Strategy Adapters — drive the live HYDRA / VIPER modules
+// =========================================================================
 
-      const distFromVwap = Math.abs(close - vwap) / vwap;
-      if (distFromVwap > 0.001) return null; // Within 0.1% of VWAP
-      if (stochK >= 20) return null; // StochRSI oversold
-      if (hma <= prevHma) return null; // HMA trending up
-      if (volume > volAvg) return null; // Volume exhaustion
+/**
+ * HYDRA entry at the current bar. Mirrors evaluatePairHydra: bearish regime
+ * and the daily loss limit block entries, and the threshold rises by 5
+ * during low-liquidity hours (04-12 UTC). `thresholdBonus` carries the
+ * scanner's stricter threshold for non-active pairs.
+ */
+function checkHydraEntry(bt, bar, thresholdBonus = 0) {
+  const { hydraSettings, entryThreshold, dailyLossLimitPct } = bt.options;
 
-      return { entry: true, direction: 'long', reason: 'Micro VWAP Scalp: Pullback to VWAP, StochRSI oversold, HMA rising' };
-    }
+  const dailyPnLPct = bt.equity > 0 ? (bt.daily.hydraPnL / bt.equity) * 100 : 0;
+  if (dailyPnLPct <= dailyLossLimitPct) return null;
 
-    case 'momentum_spike_scalp': {
-      if (i < 3) return null;
-      const spike = candles[i - 1];
-      const prevVolAvg = indicators.volumeSMA20[i - 1];
-      const rsi = indicators.rsi[i];
+  const hourUTC = getUTCHour(bar.now);
+  const sessionBonus = hourUTC >= 4 && hourUTC < 12 ? 5 : 0;
 
-      if (prevVolAvg == null || rsi == null) return null;
+  const signal = hydra.checkEntry(bar.window.candles, bar.window.indicators, EMPTY_BOOK, bar.window.candles.length - 1, {
+    tradeFlow: bar.tradeFlow,
+    pair: bar.pair,
+    settings: hydraSettings,
+    regime: bar.regime,
+    entryThreshold: entryThreshold + sessionBonus + thresholdBonus,
+    portfolioValue: bt.equity,
+    now: bar.now,
+  });
 
-      const isSpike = spike.volume > prevVolAvg * 3 && spike.close > spike.open;
-      if (!isSpike) return null;
+  if (!signal || !signal.entry) return null;
 
-      const spikeRange = spike.high - spike.low;
-      if (spikeRange === 0) return null;
-      const retracement = spike.high - close;
-      const retracePct = retracement / spikeRange;
-      if (retracePct < 0.3 || retracePct > 0.6) return null;
-      if (rsi <= 50) return null;
+  return {
+    signal,
+    positionUSD: signal.sizing?.positionUSD || 0,
+    position: {
+      stopLoss: signal.stopLoss,
+      tp1: signal.tp1,
+      tp2: signal.tp2,
+      trailDistance: signal.trailDistance,
+      tp1ClosePct: signal.tp1ClosePct,
+      tp2ClosePct: signal.tp2ClosePct,
+      hydraScore: signal.hydraScore?.totalScore ?? null,
+      dimensionScores: {
+        d1: signal.d1Score, d2: signal.d2Score, d3: signal.d3Score, d4: signal.d4Score, d5: signal.d5Score,
+      },
+    },
+  };
+}
 
-      return { entry: true, direction: 'long', reason: 'Momentum Spike: Volume spike with pullback entry' };
-    }
+/**
+ * HYDRA exit for an open position. Partial TP1/TP2 closes are sized from the
+ * quantity left on hydra.checkExit's updatedPosition.
+ */
+function checkHydraPositionExit(bt, pos, bar) {
+  const holdMs = bar.now - pos.entryTime;
+  if (holdMs >= MAX_HOLD_MS.hydra) {
+    return {
+      closeQty: pos.qty,
+      exitType: 'MaxHold',
+      reason: `HYDRA max hold exceeded (${Math.round(holdMs / 60000)}min)`,
+    };
+  }
 
-    case 'order_book_imbalance': {
-      // Order book data not available in backtest — skip
-      return null;
-    }
+  const exitSignal = hydra.checkExit(pos, bar.window.candles, bar.window.indicators, bar.window.candles.length - 1, {
+    tradeFlow: bar.tradeFlow,
+    exitThreshold: bt.options.hydraSettings.exitScoreThreshold || 40,
+    now: bar.now,
+  });
 
-    default:
-      return null;
+  if (!exitSignal) {
+    // Persist the trailing high-water mark between bars
+    Object.assign(pos, updateHighWaterMark(pos, bar.candle.close));
+    return null;
   }
+
+  const partial = exitSignal.exitType === 'TP1' || exitSignal.exitType === 'TP2';
+  const { qty: remainingQty, ...updates } = exitSignal.updatedPosition;
+
+  return {
+    closeQty: partial ? pos.qty - remainingQty : pos.qty,
+    exitType: exitSignal.exitType,
+    reason: exitSignal.reason,
+    updates: partial ? updates : null,
+  };
 }
 
-// =========================================================================
-//  Position Management During Backtest
-// =========================================================================
+/**
+ * HYDRA's D1 frames at base bar `i`: the latest closed bar of each trend
+ * timeframe (the base series for its own timeframe); null below the base
+ * interval or before the first bucket closes.
+ */
+function trendFramesAt(market, i) {
+  const price = market.candles[i].close;
+  const frameAt = (ind, k) => {
+    if (k < 0 || ind.ema9[k] == null || ind.ema21[k] == null) return null;
+    return { ema9: ind.ema9[k], ema21: ind.ema21[k], ema50: ind.ema50[k], sma200: ind.sma200[k], price };
+  };
+
+  const frames = {};
+  for (const { key, timeframe } of TREND_TIMEFRAMES) {
+    const tfMs = TIMEFRAME_MS[timeframe];
+    if (tfMs === market.baseMs) frames[key] = frameAt(market.indicators, i);
+    else if (tfMs > market.baseMs) frames[key] = frameAt(market.series[timeframe].indicators, market.series[timeframe].closedCount[i] - 1);
+    else frames[key] = null;
+  }
+  return frames;
+}
+
+function buildViperFrames(market, bar) {
+  const frame5m = seriesWindowAt(market.series.FIVE_MINUTE, bar.index);
+  const frame15m = seriesWindowAt(market.series.FIFTEEN_MINUTE, bar.index);
+  return {
+    candles1m: bar.window.candles,
+    indicators1m: bar.window.indicators,
+    candles5m: frame5m.candles,
+    indicators5m: frame5m.indicators,
+    candles15m: frame15m.candles,
+    indicators15m: frame15m.indicators,
+  };
+}
 
 /**
- * Check if an open position should be exited at bar index `i`.
- * Returns { exit: true, reason: '...', price: number } or null.
+ * Re-run the edge detector every 15 minutes of bar time, falling back to the
+ * best mode the ratchet still allows (same as runEdgeDetector).
  */
-function checkExitConditions(position, candles, indicators, i, strategy) {
-  const high = candles[i].high;
-  const low = candles[i].low;
-  const close = candles[i].close;
-
-  // Time-based exit for scalp strategies
-  const barsHeld = i - position.entryBar;
-  const maxBars = {
-    micro_vwap_scalp: 5,
-    momentum_spike_scalp: 3,
-    order_book_imbalance: 2,
+function runViperEdgeDetector(bt, market, bar, frames) {
+  const edge = market.edge;
+  if (edge.lastEdgeTs && bar.now - edge.lastEdgeTs < EDGE_DETECTOR_INTERVAL_MS) return;
+  edge.lastEdgeTs = bar.now;
+
+  const result = detectEdge({
+    candles5m: frames.candles5m,
+    indicators5m: frames.indicators5m,
+    candles15m: frames.candles15m,
+    indicators15m: frames.indicators15m,
+    tradeFlow: bar.tradeFlow,
+    spread: NO_BOOK_SPREAD,
+    now: bar.now,
+  });
+
+  const allowedModes = getAllowedModes(bt.viper.ratchetLevel);
+  let winner = result.winner;
+  if (!allowedModes.includes(winner)) {
+    const sorted = Object.entries(result.scores)
+      .filter(([mode]) => allowedModes.includes(mode))
+      .sort((a, b) => b[1] - a[1]);
+    winner = sorted.length > 0 ? sorted[0][0] : null;
+  }
+
+  edge.activeMode = winner;
+  edge.modeScores = result.scores;
+}
+
+/**
+ * VIPER entry in the pair's active mode, sized like runRiskPipeline: ratchet
+ * multiplier, then capped at 15% of VIPER's allocated capital.
+ */
+function checkViperEntry(bt, market, bar, frames) {
+  const v = bt.viper;
+  const { activeMode } = market.edge;
+  if (!activeMode || v.ratchetLevel === RATCHET_LEVELS.LOCKED) return null;
+
+  const countMode = (mode) => bt.openPositions.filter((p) => p.mode === mode).length;
+
+  const signal = viper.checkEntry(null, null, EMPTY_BOOK, null, {
+    viperState: {
+      activeMode,
+      openStrikePositions: countMode('STRIKE'),
+      openCoilPositions: countMode('COIL'),
+      openLungePositions: countMode('LUNGE'),
+      strikeLastTradeTs: v.strike.lastTradeTs,
+      strikeConsecutiveWins: v.strike.consecutiveWins,
+      strikeSkipNext: v.strike.skipNext,
+    },
+    ...frames,
+    tradeFlow: bar.tradeFlow,
+    pair: bar.pair,
+    allocatedCapital: bt.viperCapital,
+    now: bar.now,
+  });
+
+  if (!signal || !signal.entry) return null;
+
+  const positionUSD = Math.min(
+    (signal.positionSizeUSD || 0) * getSizingMultiplier(v.ratchetLevel),
+    bt.viperCapital * VIPER_TRADE_CAP_PCT
+  );
+
+  return {
+    signal,
+    positionUSD,
+    position: {
+      mode: signal.mode,
+      stopLoss: signal.stopLoss,
+      tp1: signal.tp1,
+      tp2: signal.tp2,
+      trailDistance: signal.trailDistance,
+      rangeSupport: signal.rangeSupport,
+      rangeResistance: signal.rangeResistance,
+      maxHoldMs: signal.maxHoldMs,
+    },
   };
-  if (maxBars[strategy] && barsHeld >= maxBars[strategy]) {
+}
+
+/**
+ * VIPER exit for an open position. closePct on mode exits is a fraction of
+ * the original size; 1.0 closes whatever remains.
+ */
+function checkViperPositionExit(bt, pos, bar, frames) {
+  const mode = pos.mode;
+  const holdMs = bar.now - pos.entryTime;
+  const maxHoldMs = mode === 'STRIKE' ? pos.maxHoldMs : MAX_HOLD_MS[mode];
+  if (maxHoldMs && holdMs >= maxHoldMs) {
     return {
-      exit: true,
-      reason: `Time stop: ${barsHeld} bars (max ${maxBars[strategy]})`,
-      price: close,
-      closeQty: position.remainingQty,
+      closeQty: pos.qty,
+      exitType: 'timeout',
+      reason: `${mode} max hold exceeded (${Math.round(holdMs / 60000)}min)`,
     };
   }
 
-  // Stop-loss hit (checked against low of bar for longs)
-  if (position.direction === 'long' && low <= position.stopLoss) {
-    return {
-      exit: true,
-      reason: 'Stop-loss hit',
-      price: position.stopLoss,
-      closeQty: position.remainingQty,
-    };
+  // LUNGE trails from the highest close since TP1
+  if (pos.tp1Hit) pos.trailHigh = Math.max(pos.trailHigh || pos.tp1, bar.candle.close);
+
+  const exitSignal = viper.checkExit(pos, null, null, null, {
+    ...frames,
+    currentPrice: bar.candle.close,
+    now: bar.now,
+  });
+  if (!exitSignal || !exitSignal.exit) return null;
+
+  const closePct = exitSignal.closePct ?? 1;
+  const closeQty = closePct >= 1 ? pos.qty : Math.min(pos.qty, pos.initialQty * closePct);
+
+  let updates = null;
+  if (exitSignal.exitType === 'tp1') updates = { tp1Hit: true, trailHigh: bar.candle.close };
+  else if (exitSignal.exitType === 'tp2') updates = { tp2Hit: true };
+
+  return {
+    closeQty,
+    exitType: exitSignal.exitType,
+    reason: exitSignal.reason,
+    updates,
+  };
+}
+
+/**
+ * Update VIPER cadence and ratchet state after a position fully closes,
+ * as handlePositionClosed does live.
+ */
+function onViperPositionClosed(bt, pos, bar) {
+  const v = bt.viper;
+  const isWin = pos.realizedPnL > 0;
+
+  if (pos.mode === 'STRIKE') {
+    v.strike.lastTradeTs = bar.now;
+    v.strike.consecutiveWins = isWin ? v.strike.consecutiveWins + 1 : 0;
+    v.strike.skipNext = !isWin;
   }
 
-  // TP1: close 50% at 1.5R
-  if (!position.tp1Hit && position.direction === 'long' && high >= position.tp1Price) {
-    const closeQty = position.remainingQty * 0.5;
-    return {
-      exit: true,
-      reason: 'TP1 hit (1.5R)',
-      price: position.tp1Price,
-      closeQty,
-      partial: true,
-      tp1: true,
-    };
+  const dailyPnLPct = (bt.daily.viperPnL / bt.equity) * 100;
+  const dailyHighPct = (bt.daily.viperHighPnL / bt.equity) * 100;
+  v.ratchetLevel = evaluateRatchet(dailyPnLPct, dailyHighPct, v.ratchetLevel);
+}
+
+// =========================================================================
+//  Simulation State
+// =========================================================================
+
+/**
+ * Per-pair market data: candles, precomputed indicators, the higher
+ * timeframe series (HYDRA's trend frames, VIPER's 5m/15m) and the pair's
+ * edge-detector state.
+ */
+function prepareMarket(pair, candles, withViper) {
+  const baseMs = detectBarInterval(candles);
+  const series = {};
+  for (const { timeframe } of TREND_TIMEFRAMES) {
+    if (TIMEFRAME_MS[timeframe] > baseMs) series[timeframe] = buildTimeframeSeries(candles, baseMs, TIMEFRAME_MS[timeframe]);
+  }
+  // VIPER reads 5m/15m frames even from a coarser base
+  if (withViper) {
+    for (const timeframe of ['FIVE_MINUTE', 'FIFTEEN_MINUTE']) {
+      series[timeframe] ||= buildTimeframeSeries(candles, baseMs, TIMEFRAME_MS[timeframe]);
+    }
   }
+  return {
+    pair,
+    candles,
+    baseMs,
+    indicators: precomputeIndicators(candles),
+    series,
+    edge: { activeMode: null, modeScores: null, lastEdgeTs: 0 },
+  };
+}
 
-  // TP2: close remainder at 3R
-  if (position.tp1Hit && position.direction === 'long' && high >= position.tp2Price) {
+/**
+ * What the strategies see at bar `i` of a market.
+ */
+function barAt(market, i, withRegime) {
+  const candle = market.candles[i];
+  const barWindow = windowAt(market.candles, market.indicators, i + 1);
+  Object.assign(barWindow.indicators, trendFramesAt(market, i));
+  return {
+    pair: market.pair,
+    index: i,
+    now: candle.timestamp,
+    candle,
+    window: barWindow,
+    tradeFlow: estimateTradeFlow(candle),
+    regime: withRegime ? regimeAt(market.candles, market.indicators, i) : null,
+  };
+}
+
+/**
+ * Shared engine state. equity and viperCapital are refreshed every bar.
+ */
+function createEngineState(startingCapital, options) {
+  const hydraSettings = options.hydraSettings || {};
+  return {
+    equity: startingCapital,
+    viperCapital: startingCapital,
+    openPositions: [],
+    options: {
+      hydraSettings,
+      entryThreshold: options.entryThreshold ?? hydraSettings.entryThreshold ?? 80,
+      dailyLossLimitPct: options.dailyLossLimitPct ?? -1.5,
+      overnightCutoffHourUTC: options.overnightCutoffHourUTC ?? 5,
+    },
+    daily: { day: null, hydraPnL: 0, viperPnL: 0, viperHighPnL: 0 },
+    viper: {
+      ratchetLevel: RATCHET_LEVELS.NORMAL,
+      strike: { lastTradeTs: 0, consecutiveWins: 0, skipNext: false },
+    },
+  };
+}
+
+/**
+ * Daily reset at the UTC day boundary (P&L, ratchet, STRIKE cadence).
+ */
+function applyDailyReset(bt, ts) {
+  const day = getUTCDay(ts);
+  if (bt.daily.day === day) return;
+  bt.daily = { day, hydraPnL: 0, viperPnL: 0, viperHighPnL: 0 };
+  bt.viper.ratchetLevel = RATCHET_LEVELS.NORMAL;
+  bt.viper.strike = { lastTradeTs: 0, consecutiveWins: 0, skipNext: false };
+}
+
+/**
+ * Final entry sizing shared by every mode: session-aware halving during
+ * low-liquidity hours (04-12 UTC), then the paper-mode minimum floor.
+ */
+function finalPositionUSD(positionUSD, now) {
+  const hourUTC = getUTCHour(now);
+  const sized = hourUTC >= 4 && hourUTC < 12 ? positionUSD * 0.5 : positionUSD;
+  return Math.max(sized, MIN_POSITION_USD);
+}
+
+// =========================================================================
+//  Ledger — cash, fills, trade log, equity curve and stats
+// =========================================================================
+
+function createLedger(startingCapital, { slippagePct, feePct }) {
+  const ledger = {
+    cash: startingCapital,
+    trades: [],
+    equityCurve: [],
+    peakEquity: startingCapital,
+    maxDrawdown: 0,
+  };
+
+  /**
+   * Buy `positionUSD` at the bar close plus slippage. Returns the position,
+   * or null when cash can't cover it.
+   */
+  ledger.open = (fields, bar, positionUSD) => {
+    const fill = bar.candle.close * (1 + slippagePct / 100);
+    const entryFee = positionUSD * (feePct / 100);
+    if (positionUSD + entryFee > ledger.cash) return null;
+
+    const qty = positionUSD / fill;
+    ledger.cash -= positionUSD + entryFee;
     return {
-      exit: true,
-      reason: 'TP2 hit (3R)',
-      price: position.tp2Price,
-      closeQty: position.remainingQty,
+      ...fields,
+      pair: bar.pair,
+      direction: 'long',
+      entryBar: bar.index,
+      entryTime: bar.now,
+      entryTimestamp: bar.now,
+      entryPrice: fill,
+      lastPrice: bar.candle.close,
+      lastIndex: bar.index,
+      qty,
+      initialQty: qty,
+      entryFee,
+      realizedPnL: 0,
+      tp1Hit: false,
+      tp2Hit: false,
     };
-  }
+  };
 
-  // Trailing stop (active after TP1)
-  if (position.tp1Hit && position.trailingStop != null) {
-    // Update trailing stop
-    const newTrailing = close - position.trailingStopDistance;
-    if (newTrailing > position.trailingStop) {
-      position.trailingStop = newTrailing;
+  /**
+   * Sell `qty` of a position at the bar close less slippage; returns the
+   * net P&L of the portion.
+   */
+  ledger.close = (pos, qty, bar, exitType, reason) => {
+    const exitPrice = bar.candle.close * (1 - slippagePct / 100);
+    const proceeds = qty * exitPrice;
+    const exitFee = proceeds * (feePct / 100);
+    const entryFee = pos.entryFee * (qty / pos.initialQty);
+    const pnl = (exitPrice - pos.entryPrice) * qty - entryFee - exitFee;
+
+    ledger.cash += proceeds - exitFee;
+    pos.qty -= qty;
+    pos.realizedPnL += pnl;
+
+    ledger.trades.push({
+      pair: pos.pair,
+      entryBar: pos.entryBar,
+      exitBar: bar.index,
+      entryPrice: pos.entryPrice,
+      exitPrice,
+      qty,
+      pnl,
+      fees: entryFee + exitFee,
+      reason,
+      exitType,
+      strategy: pos.strategy,
+      mode: pos.mode || null,
+      hydraScore: pos.hydraScore ?? null,
+      dimensionScores: pos.dimensionScores || null,
+      entryTime: pos.entryTime,
+      exitTime: bar.now,
+      duration: bar.index - pos.entryBar,
+    });
+    return pnl;
+  };
+
+  // Cash plus open positions marked at each pair's latest close
+  ledger.equity = (openPositions) =>
+    ledger.cash + openPositions.reduce((sum, p) => sum + p.qty * p.lastPrice, 0);
+
+  ledger.record = (timestamp, equity) => {
+    ledger.equityCurve.push({
+      timestamp,
+      equity,
+      drawdown: ledger.peakEquity > 0 ? ((ledger.peakEquity - equity) / ledger.peakEquity) * 100 : 0,
+    });
+    if (equity > ledger.peakEquity) ledger.peakEquity = equity;
+    const currentDrawdown = ((ledger.peakEquity - equity) / ledger.peakEquity) * 100;
+    if (currentDrawdown > ledger.maxDrawdown) ledger.maxDrawdown = currentDrawdown;
+  };
+
+  ledger.result = () => ({
+    equityCurve: ledger.equityCurve,
+    stats: computeStats(ledger, startingCapital),
+    trades: ledger.trades,
+  });
+
+  return ledger;
+}
+
+function computeStats(ledger, startingCapital) {
+  const { trades, equityCurve, cash, maxDrawdown } = ledger;
+  const winners = trades.filter((t) => t.pnl >= 0);
+  const losers = trades.filter((t) => t.pnl < 0);
+  const totalWinAmount = winners.reduce((s, t) => s + t.pnl, 0);
+  const totalLossAmount = losers.reduce((s, t) => s + Math.abs(t.pnl), 0);
+  const totalDurations = trades.reduce((s, t) => s + t.duration, 0);
+
+  const totalTrades = trades.length;
+  const totalReturn = ((cash - startingCapital) / startingCapital) * 100;
+  const winRate = totalTrades > 0 ? (winners.length / totalTrades) * 100 : 0;
+  const profitFactor = totalLossAmount > 0 ? totalWinAmount / totalLossAmount : totalWinAmount > 0 ? Infinity : 0;
+  const avgWinner = winners.length > 0 ? totalWinAmount / winners.length : 0;
+  const avgLoser = losers.length > 0 ? totalLossAmount / losers.length : 0;
+  const avgDuration = totalTrades > 0 ? totalDurations / totalTrades : 0;
+
+  // Sharpe ratio (annualized, assuming ~252 trading days)
+  let sharpeRatio = 0;
+  if (equityCurve.length > 1) {
+    const returns = [];
+    for (let i = 1; i < equityCurve.length; i++) {
+      const r = (equityCurve[i].equity - equityCurve[i - 1].equity) / equityCurve[i - 1].equity;
+      returns.push(r);
     }
-    if (low <= position.trailingStop) {
-      return {
-        exit: true,
-        reason: 'Trailing stop hit',
-        price: position.trailingStop,
-        closeQty: position.remainingQty,
-      };
+    const avgReturn = returns.reduce((s, r) => s + r, 0) / returns.length;
+    const variance = returns.reduce((s, r) => s + (r - avgReturn) ** 2, 0) / returns.length;
+    const stdDev = Math.sqrt(variance);
+    if (stdDev > 0) {
+      sharpeRatio = (avgReturn / stdDev) * Math.sqrt(252);
     }
   }
 
-  return null;
+  return {
+    totalReturn: parseFloat(totalReturn.toFixed(2)),
+    maxDrawdown: parseFloat(maxDrawdown.toFixed(2)),
+    winRate: parseFloat(winRate.toFixed(1)),
+    profitFactor: profitFactor === Infinity ? 999 : parseFloat(profitFactor.toFixed(2)),
+    sharpeRatio: parseFloat(sharpeRatio.toFixed(2)),
+    avgWinner: parseFloat(avgWinner.toFixed(2)),
+    avgLoser: parseFloat(avgLoser.toFixed(2)),
+    totalTrades,
+    avgDuration: Math.round(avgDuration),
+    startingCapital,
+    endingCapital: parseFloat(cash.toFixed(2)),
+  };
+}
+
+// =========================================================================
+//  Position Lifecycle
+// =========================================================================
+
+/**
+ * Close part or all of a position, booking P&L into the daily counters and
+ * running VIPER's post-trade hooks once the position is flat.
+ */
+function closePosition(bt, ledger, pos, qty, bar, exitType, reason) {
+  const pnl = ledger.close(pos, qty, bar, exitType, reason);
+
+  if (pos.strategy === STRATEGIES.VIPER) {
+    bt.daily.viperPnL += pnl;
+    bt.daily.viperHighPnL = Math.max(bt.daily.viperHighPnL, bt.daily.viperPnL);
+  } else {
+    bt.daily.hydraPnL += pnl;
+  }
+
+  if (pos.qty <= pos.initialQty * 1e-9) {
+    bt.openPositions.splice(bt.openPositions.indexOf(pos), 1);
+    if (pos.strategy === STRATEGIES.VIPER) onViperPositionClosed(bt, pos, bar);
+  }
+}
+
+/**
+ * Mark open positions on the bar's pair to the bar close.
+ */
+function markPositions(bt, bar) {
+  for (const pos of bt.openPositions) {
+    if (pos.pair !== bar.pair) continue;
+    pos.lastPrice = bar.candle.close;
+    pos.lastIndex = bar.index;
+  }
+}
+
+/**
+ * Minimal bar for closing a position at its last marked price.
+ */
+function markBar(pos, now) {
+  return { pair: pos.pair, index: pos.lastIndex, now, candle: { close: pos.lastPrice } };
+}
+
+/**
+ * Run exits for every open position on the bar's pair.
+ */
+function processExits(bt, ledger, bar, frames) {
+  for (const pos of bt.openPositions.filter((p) => p.pair === bar.pair)) {
+    const exit = pos.strategy === STRATEGIES.VIPER
+      ? checkViperPositionExit(bt, pos, bar, frames)
+      : checkHydraPositionExit(bt, pos, bar);
+    if (!exit || exit.closeQty <= 0) continue;
+
+    closePosition(bt, ledger, pos, exit.closeQty, bar, exit.exitType, exit.reason);
+    if (exit.updates) Object.assign(pos, exit.updates);
+  }
+}
+
+/**
+ * VIPER overnight cutoff: flatten every VIPER position at its marked price
+ * when bar time crosses the cutoff hour.
+ */
+function applyOvernightCutoff(bt, ledger, prevTs, now) {
+  const cutoffHour = bt.options.overnightCutoffHourUTC;
+  if (!crossedUTCHour(prevTs, now, cutoffHour)) return;
+
+  for (const pos of bt.openPositions.filter((p) => p.strategy === STRATEGIES.VIPER)) {
+    closePosition(bt, ledger, pos, pos.qty, markBar(pos, now), 'OvernightCutoff', `Overnight cutoff at ${cutoffHour}:00 UTC`);
+  }
+}
+
+/**
+ * Open a position from an entry adapter result, scaled by `sizeFactor`
+ * (correlation guard) before the shared session/minimum sizing.
+ */
+function openFromEntry(bt, ledger, entry, strategy, bar, sizeFactor = 1) {
+  const positionUSD = finalPositionUSD(entry.positionUSD * sizeFactor, bar.now);
+  const pos = ledger.open({ ...entry.position, strategy, reason: entry.signal.reason }, bar, positionUSD);
+  if (pos) bt.openPositions.push(pos);
+  return pos;
 }
 
 // =========================================================================
-//  Backtest Engine
+//  Backtest Engine — single pair
 // =========================================================================
 
-function runBacktest(candles, strategy, startingCapital, riskSettings) {
+/**
+ * Backtest one strategy on one candle series.
+ *
+ * @param {Object[]} candles
+ * @param {string} strategy - 'hydra' | 'viper'
+ * @param {number} startingCapital
+ * @param {Object} riskSettings - { maxPositions, slippagePct, feePct }
+ * @param {Object} [options] - { pair, hydraSettings, entryThreshold, dailyLossLimitPct,
+ *   overnightCutoffHourUTC, onProgress }
+ * @returns {{ equityCurve, stats, trades }}
+ */
+function runBacktest(candles, strategy, startingCapital, riskSettings, options = {}) {
   const {
-    stopLossMethod = 'percentage',
-    stopLossPct = 2,
-    positionSizePct = 5,
-    tp1R = 1.5,
-    tp2R = 3,
-    trailingStopATR = 1,
     maxPositions = 3,
+    slippagePct = SLIPPAGE_PCT,
+    feePct = TAKER_FEE_PCT,
   } = riskSettings || {};
 
-  // Pre-compute indicators
-  const indicators = precomputeIndicators(candles);
-
-  let capital = startingCapital;
-  let peakCapital = startingCapital;
-  let maxDrawdown = 0;
-  const trades = [];
-  const equityCurve = [];
-  let openPositions = [];
-  let totalWins = 0;
-  let totalLosses = 0;
-  let totalWinAmount = 0;
-  let totalLossAmount = 0;
-  let totalDurations = 0;
+  if (strategy !== STRATEGIES.HYDRA && strategy !== STRATEGIES.VIPER) {
+    throw new Error(`Unknown strategy "${strategy}" — expected "${STRATEGIES.HYDRA}" or "${STRATEGIES.VIPER}"`);
+  }
+
+  const isViper = strategy === STRATEGIES.VIPER;
+  const market = prepareMarket(options.pair || 'BTC-USD', candles, isViper);
+  const bt = createEngineState(startingCapital, options);
+  const ledger = createLedger(startingCapital, { slippagePct, feePct });
 
   // Start processing from bar 200 (need enough data for SMA200)
-  const startBar = Math.min(200, candles.length - 1);
+  const startBar = Math.min(WARMUP_BARS, candles.length - 1);
 
   for (let i = startBar; i < candles.length; i++) {
-    // Send progress every 100 bars
-    if ((i - startBar) % 100 === 0) {
-      self.postMessage({
-        type: 'PROGRESS',
-        payload: {
-          percent: Math.round(((i - startBar) / (candles.length - startBar)) * 100),
-          currentDate: candles[i].timestamp,
-        },
-      });
+    // Report progress every 100 bars
+    if (options.onProgress && (i - startBar) % 100 === 0) {
+      options.onProgress(
+        Math.round(((i - startBar) / (candles.length - startBar)) * 100),
+        candles[i].timestamp
+      );
     }
 
-    // Check exits on open positions
-    const closedIndices = [];
-    for (let p = 0; p < openPositions.length; p++) {
-      const pos = openPositions[p];
-      const exitCheck = checkExitConditions(pos, candles, indicators, i, strategy);
-
-      if (exitCheck && exitCheck.exit) {
-        const pnl = (exitCheck.price - pos.entryPrice) * exitCheck.closeQty;
-        capital += exitCheck.closeQty * exitCheck.price;
-
-        if (exitCheck.partial && exitCheck.tp1) {
-          // Partial close: TP1 hit
-          pos.tp1Hit = true;
-          pos.remainingQty -= exitCheck.closeQty;
-
-          // Activate trailing stop
-          const atrVal = indicators.atr[i];
-          pos.trailingStopDistance = atrVal != null ? atrVal * trailingStopATR : pos.entryPrice * (stopLossPct / 100);
-          pos.trailingStop = candles[i].close - pos.trailingStopDistance;
-
-          // Move stop-loss to break-even
-          pos.stopLoss = pos.entryPrice;
-
-          trades.push({
-            entryBar: pos.entryBar,
-            exitBar: i,
-            entryPrice: pos.entryPrice,
-            exitPrice: exitCheck.price,
-            qty: exitCheck.closeQty,
-            pnl,
-            reason: exitCheck.reason,
-            strategy,
-            entryTime: candles[pos.entryBar].timestamp,
-            exitTime: candles[i].timestamp,
-            duration: i - pos.entryBar,
-          });
+    applyDailyReset(bt, candles[i].timestamp);
 
-          if (pnl >= 0) { totalWins++; totalWinAmount += pnl; }
-          else { totalLosses++; totalLossAmount += Math.abs(pnl); }
-          totalDurations += i - pos.entryBar;
-        } else {
-          // Full close
-          trades.push({
-            entryBar: pos.entryBar,
-            exitBar: i,
-            entryPrice: pos.entryPrice,
-            exitPrice: exitCheck.price,
-            qty: exitCheck.closeQty,
-            pnl,
-            reason: exitCheck.reason,
-            strategy,
-            entryTime: candles[pos.entryBar].timestamp,
-            exitTime: candles[i].timestamp,
-            duration: i - pos.entryBar,
-          });
+    const bar = barAt(market, i, !isViper);
+    const frames = isViper ? buildViperFrames(market, bar) : null;
+    markPositions(bt, bar);
 
-          if (pnl >= 0) { totalWins++; totalWinAmount += pnl; }
-          else { totalLosses++; totalLossAmount += Math.abs(pnl); }
-          totalDurations += i - pos.entryBar;
+    if (isViper && i > startBar) applyOvernightCutoff(bt, ledger, candles[i - 1].timestamp, bar.now);
+    processExits(bt, ledger, bar, frames);
 
-          closedIndices.push(p);
-        }
-      }
+    // Mark-to-market before sizing new entries
+    bt.equity = ledger.equity(bt.openPositions);
+    bt.viperCapital = bt.equity;
+
+    // ---- Entries (max concurrent positions, max 2 longs as in the scanner) ----
+    if (bt.openPositions.length < Math.min(maxPositions, MAX_SAME_DIRECTION)) {
+      if (isViper) runViperEdgeDetector(bt, market, bar, frames);
+      const entry = isViper ? checkViperEntry(bt, market, bar, frames) : checkHydraEntry(bt, bar);
+      if (entry) openFromEntry(bt, ledger, entry, strategy, bar);
     }
 
-    // Remove fully closed positions (iterate in reverse to preserve indices)
-    for (let ci = closedIndices.length - 1; ci >= 0; ci--) {
-      openPositions.splice(closedIndices[ci], 1);
+    bt.equity = ledger.equity(bt.openPositions);
+    ledger.record(bar.now, bt.equity);
+  }
+
+  // Force close any remaining open positions at last bar price
+  const lastTs = candles[candles.length - 1].timestamp;
+  for (const pos of [...bt.openPositions]) {
+    closePosition(bt, ledger, pos, pos.qty, markBar(pos, lastTs), 'EndOfData', 'End of backtest - forced close');
+  }
+
+  return ledger.result();
+}
+
+// =========================================================================
+//  Backtest Engine — multi-pair portfolio
+// =========================================================================
+
+/**
+ * Backtest HYDRA and/or VIPER across several pairs with one shared cash
+ * pool, applying the scanner's rules from evaluateAllPairs and
+ * runRiskPipeline:
+ *   - pairs are evaluated in order each bar; pairs other than the active
+ *     pair (options.pair, else the first) need the scanner's stricter HYDRA
+ *     threshold (70 minimum)
+ *   - no entries at maxConcurrentPositions or with 2 longs already open
+ *   - one position per pair across both strategies
+ *   - a HYDRA entry on a pair skips VIPER for that pair this bar
+ *   - correlated open positions halve the new position and full clusters
+ *     block it (checkCorrelation, on a rolling matrix of the bars so far)
+ *   - VIPER sizes from its allocationConfig share of equity
+ * Pairs are synchronised on candle timestamps; a pair without a candle at
+ * a timestamp is simply not evaluated then.
+ *
+ * @param {Object<string, Object[]>} candlesByPair - { 'BTC-USD': candles, ... }
+ * @param {string[]} strategies - subset of ['hydra', 'viper']
+ * @param {number} startingCapital
+ * @param {Object} riskSettings - { maxPositions, slippagePct, feePct }
+ * @param {Object} [options] - runBacktest options plus { maxConcurrentPositions,
+ *   allocationConfig, viperThreatLevel, correlationSettings }
+ * @returns {{ equityCurve, stats, trades, byPair, byStrategy }}
+ */
+function runPortfolioBacktest(candlesByPair, strategies, startingCapital, riskSettings, options = {}) {
+  const {
+    maxPositions = 3,
+    slippagePct = SLIPPAGE_PCT,
+    feePct = TAKER_FEE_PCT,
+  } = riskSettings || {};
+
+  const pairs = Object.keys(candlesByPair).filter((p) => candlesByPair[p]?.length > WARMUP_BARS);
+  if (pairs.length === 0) throw new Error(`Portfolio backtest needs more than ${WARMUP_BARS} candles for at least one pair`);
+
+  const hydraActive = strategies.includes(STRATEGIES.HYDRA);
+  const viperActive = strategies.includes(STRATEGIES.VIPER);
+  if (!hydraActive && !viperActive) throw new Error('Portfolio backtest needs HYDRA and/or VIPER enabled');
+
+  const markets = pairs.map((pair) => prepareMarket(pair, candlesByPair[pair], viperActive));
+  const bt = createEngineState(startingCapital, options);
+  const ledger = createLedger(startingCapital, { slippagePct, feePct });
+  const baseThreshold = bt.options.entryThreshold;
+  const maxConcurrent = options.maxConcurrentPositions ?? maxPositions;
+  const activePair = options.pair || pairs[0];
+
+  // Shared timeline: every timestamp after all pairs have warmed up
+  const startTs = Math.max(...markets.map((m) => m.candles[WARMUP_BARS].timestamp));
+  const timeline = [...new Set(markets.flatMap((m) => m.candles.map((c) => c.timestamp)))]
+    .filter((ts) => ts >= startTs)
+    .sort((a, b) => a - b);
+  const cursors = markets.map((m) => m.candles.findIndex((c) => c.timestamp >= startTs));
+
+  // Rolling correlation over the bars already seen, as the live tracker does
+  const corr = { ...CORRELATION_DEFAULTS, ...options.correlationSettings };
+  let correlationMatrix = null;
+  const refreshCorrelation = () => {
+    const recent = {};
+    markets.forEach((m, k) => {
+      recent[m.pair] = m.candles.slice(Math.max(0, cursors[k] - corr.lookback - 1), cursors[k]);
+    });
+    correlationMatrix = computeCorrelationMatrix(recent, { lookback: corr.lookback }).matrix;
+  };
+
+  let prevTs = null;
+  for (let t = 0; t < timeline.length; t++) {
+    const ts = timeline[t];
+    if (options.onProgress && t % 100 === 0) {
+      options.onProgress(Math.round((t / timeline.length) * 100), ts);
     }
+    if (t % CORRELATION_REFRESH_BARS === 0) refreshCorrelation();
 
-    // Check entry signals
-    if (openPositions.length < maxPositions) {
-      const signal = checkEntrySignal(strategy, candles, indicators, i);
+    applyDailyReset(bt, ts);
 
-      if (signal && signal.entry) {
-        const close = candles[i].close;
-        const atrVal = indicators.atr[i];
+    // Pairs with a candle at this timestamp
+    const live = [];
+    for (let m = 0; m < markets.length; m++) {
+      if (markets[m].candles[cursors[m]]?.timestamp !== ts) continue;
+      const candle = markets[m].candles[cursors[m]];
+      markPositions(bt, { pair: markets[m].pair, index: cursors[m], candle });
+      live.push([m, cursors[m]++]);
+    }
 
-        // Calculate stop-loss
-        let stopLossPrice;
-        if (stopLossMethod === 'atr' && atrVal != null) {
-          stopLossPrice = close - atrVal * 2;
-        } else {
-          stopLossPrice = close * (1 - stopLossPct / 100);
-        }
+    bt.equity = ledger.equity(bt.openPositions);
+    if (viperActive && prevTs != null) applyOvernightCutoff(bt, ledger, prevTs, ts);
+    prevTs = ts;
+
+    for (const [m, i] of live) {
+      const market = markets[m];
+      const bar = barAt(market, i, hydraActive);
+      const frames = viperActive ? buildViperFrames(market, bar) : null;
+
+      processExits(bt, ledger, bar, frames);
+
+      bt.equity = ledger.equity(bt.openPositions);
+      bt.viperCapital = calculateAllocation({
+        totalPortfolio: bt.equity,
+        splitConfig: options.allocationConfig,
+        viperThreatLevel: options.viperThreatLevel,
+        hydraActive,
+        viperActive,
+      }).viperCapital;
+
+      // Scanner caps: concurrency, same-direction, one position per pair
+      const open = bt.openPositions;
+      if (open.length >= maxConcurrent || open.length >= MAX_SAME_DIRECTION) continue;
+      if (open.some((p) => p.pair === market.pair)) continue;
+
+      const correlation = checkCorrelation(market.pair, open.map((p) => ({ ...p, currentPrice: p.lastPrice })), {
+        matrix: correlationMatrix,
+        threshold: corr.threshold,
+        maxClusterPositions: corr.maxClusterPositions,
+        maxClusterExposurePct: corr.maxClusterExposurePct,
+        portfolioValue: bt.equity,
+      });
+      if (!correlation.allowed) continue;
+      const sizeFactor = correlation.reducedSize || 1;
 
-        const riskPerShare = close - stopLossPrice;
-        if (riskPerShare <= 0) continue;
-
-        // Position sizing
-        const positionValue = capital * (positionSizePct / 100);
-        const qty = positionValue / close;
-        if (qty <= 0 || positionValue > capital) continue;
-
-        // Deduct capital
-        capital -= positionValue;
-
-        // Calculate TP levels
-        const tp1Price = close + riskPerShare * tp1R;
-        const tp2Price = close + riskPerShare * tp2R;
-
-        openPositions.push({
-          entryBar: i,
-          entryPrice: close,
-          qty,
-          remainingQty: qty,
-          direction: signal.direction,
-          stopLoss: stopLossPrice,
-          tp1Price,
-          tp2Price,
-          tp1Hit: false,
-          trailingStop: null,
-          trailingStopDistance: null,
-          reason: signal.reason,
-        });
+      if (hydraActive) {
+        const scannerBonus = market.pair === activePair ? 0 : Math.max(0, 70 - baseThreshold);
+        const entry = checkHydraEntry(bt, bar, scannerBonus);
+        if (entry && openFromEntry(bt, ledger, entry, STRATEGIES.HYDRA, bar, sizeFactor)) continue;
       }
-    }
 
-    // Calculate current equity
-    let openPnL = 0;
-    for (const pos of openPositions) {
-      openPnL += (candles[i].close - pos.entryPrice) * pos.remainingQty;
+      if (viperActive) {
+        runViperEdgeDetector(bt, market, bar, frames);
+        const entry = checkViperEntry(bt, market, bar, frames);
+        if (entry) openFromEntry(bt, ledger, entry, STRATEGIES.VIPER, bar, sizeFactor);
+      }
     }
-    const openPositionValue = openPositions.reduce((sum, pos) => sum + pos.remainingQty * candles[i].close, 0);
-    const equity = capital + openPositionValue;
 
-    equityCurve.push({
-      timestamp: candles[i].timestamp,
-      equity,
-      drawdown: peakCapital > 0 ? ((peakCapital - equity) / peakCapital) * 100 : 0,
-    });
+    bt.equity = ledger.equity(bt.openPositions);
+    ledger.record(ts, bt.equity);
+  }
 
-    if (equity > peakCapital) peakCapital = equity;
-    const currentDrawdown = ((peakCapital - equity) / peakCapital) * 100;
-    if (currentDrawdown > maxDrawdown) maxDrawdown = currentDrawdown;
+  // Force close any remaining open positions at each pair's last price
+  const lastTs = timeline[timeline.length - 1];
+  for (const pos of [...bt.openPositions]) {
+    closePosition(bt, ledger, pos, pos.qty, markBar(pos, lastTs), 'EndOfData', 'End of backtest - forced close');
   }
 
-  // Force close any remaining open positions at last bar price
-  const lastClose = candles[candles.length - 1].close;
-  for (const pos of openPositions) {
-    const pnl = (lastClose - pos.entryPrice) * pos.remainingQty;
-    capital += pos.remainingQty * lastClose;
-    trades.push({
-      entryBar: pos.entryBar,
-      exitBar: candles.length - 1,
-      entryPrice: pos.entryPrice,
-      exitPrice: lastClose,
-      qty: pos.remainingQty,
-      pnl,
-      reason: 'End of backtest - forced close',
-      strategy,
-      entryTime: candles[pos.entryBar].timestamp,
-      exitTime: candles[candles.length - 1].timestamp,
-      duration: candles.length - 1 - pos.entryBar,
-    });
-    if (pnl >= 0) { totalWins++; totalWinAmount += pnl; }
-    else { totalLosses++; totalLossAmount += Math.abs(pnl); }
-    totalDurations += candles.length - 1 - pos.entryBar;
+  const result = ledger.result();
+  return {
+    ...result,
+    byPair: summarizeTradesBy(result.trades, 'pair'),
+    byStrategy: summarizeTradesBy(result.trades, 'strategy'),
+  };
+}
+
+/**
+ * P&L, trade count and win rate of a trade list grouped by one field.
+ */
+function summarizeTradesBy(trades, field) {
+  const groups = {};
+  for (const t of trades) {
+    const g = groups[t[field]] || (groups[t[field]] = { trades: 0, wins: 0, pnl: 0, fees: 0 });
+    g.trades++;
+    if (t.pnl >= 0) g.wins++;
+    g.pnl += t.pnl;
+    g.fees += t.fees;
+  }
+  for (const g of Object.values(groups)) {
+    g.winRate = parseFloat(((g.wins / g.trades) * 100).toFixed(1));
+    g.pnl = parseFloat(g.pnl.toFixed(2));
+    g.fees = parseFloat(g.fees.toFixed(2));
   }
+  return groups;
+}
 
-  // Calculate stats
-  const totalTrades = totalWins + totalLosses;
-  const totalReturn = ((capital - startingCapital) / startingCapital) * 100;
-  const winRate = totalTrades > 0 ? (totalWins / totalTrades) * 100 : 0;
-  const profitFactor = totalLossAmount > 0 ? totalWinAmount / totalLossAmount : totalWinAmount > 0 ? Infinity : 0;
-  const avgWinner = totalWins > 0 ? totalWinAmount / totalWins : 0;
-  const avgLoser = totalLosses > 0 ? totalLossAmount / totalLosses : 0;
-  const avgDuration = totalTrades > 0 ? totalDurations / totalTrades : 0;
+// =========================================================================
+//  Walk-Forward Optimiser (HYDRA)
+// =========================================================================
 
-  // Sharpe ratio (annualized, assuming ~252 trading days)
-  let sharpeRatio = 0;
-  if (equityCurve.length > 1) {
-    const returns = [];
-    for (let i = 1; i < equityCurve.length; i++) {
-      const r = (equityCurve[i].equity - equityCurve[i - 1].equity) / equityCurve[i - 1].equity;
-      returns.push(r);
+/**
+ * Search HYDRA settings on rolling in-sample windows and validate each
+ * fold's winner on the following out-of-sample window.
+ *
+ * @param {Object[]} candles
+ * @param {number} startingCapital
+ * @param {Object} riskSettings
+ * @param {Object} options - runBacktest options (pair, hydraSettings, ...)
+ * @param {Object} wf
+ * @param {number} wf.inSampleBars
+ * @param {number} wf.outSampleBars
+ * @param {number} [wf.stepBars]
+ * @param {'grid'|'random'} [wf.method='random']
+ * @param {number} [wf.samples=30]
+ * @param {number} [wf.seed=1]
+ * @param {string} [wf.objective='sharpe']
+ * @param {number} [wf.minTrades=5]
+ * @param {Object} [wf.paramSpace] - overrides for HYDRA_PARAM_SPACE
+ * @param {Function} [onProgress] - (percent, currentDate)
+ */
+function runWalkForward(candles, startingCapital, riskSettings, options, wf, onProgress) {
+  const {
+    inSampleBars, outSampleBars, stepBars,
+    method = 'random', samples = 30, seed = 1,
+    objective = 'sharpe', minTrades = 5, paramSpace = {},
+  } = wf;
+
+  const folds = buildFolds(candles.length, { inSampleBars, outSampleBars, stepBars, warmupBars: WARMUP_BARS });
+  if (folds.length === 0) {
+    throw new Error(`Not enough candles for walk-forward: need at least ${WARMUP_BARS + inSampleBars + outSampleBars}, have ${candles.length}`);
+  }
+
+  const candidates = generateCandidates({ ...HYDRA_PARAM_SPACE, ...paramSpace }, { method, samples, seed });
+  const totalRuns = folds.length * (candidates.length + 1);
+  let runsDone = 0;
+
+  const runWith = (params, start, end) => {
+    const result = runBacktest(candles.slice(start, end), STRATEGIES.HYDRA, startingCapital, riskSettings, {
+      ...options,
+      hydraSettings: { ...options.hydraSettings, ...params },
+      entryThreshold: params.entryThreshold,
+    });
+    runsDone++;
+    if (onProgress) onProgress(Math.round((runsDone / totalRuns) * 100), candles[end - 1].timestamp);
+    return result;
+  };
+
+  const foldResults = folds.map((fold) => {
+    const span = {
+      index: fold.index,
+      inSampleStart: candles[fold.inSampleStart].timestamp,
+      inSampleEnd: candles[fold.inSampleEnd - 1].timestamp,
+      outSampleStart: candles[fold.outSampleStart].timestamp,
+      outSampleEnd: candles[fold.outSampleEnd - 1].timestamp,
+    };
+
+    let best = null;
+    for (const params of candidates) {
+      const { stats } = runWith(params, fold.warmupStart, fold.inSampleEnd);
+      const score = scoreStats(stats, objective, minTrades);
+      if (!best || score > best.score) best = { params, stats, score };
     }
-    const avgReturn = returns.reduce((s, r) => s + r, 0) / returns.length;
-    const variance = returns.reduce((s, r) => s + (r - avgReturn) ** 2, 0) / returns.length;
-    const stdDev = Math.sqrt(variance);
-    if (stdDev > 0) {
-      sharpeRatio = (avgReturn / stdDev) * Math.sqrt(252);
+
+    // No candidate traded enough in-sample: nothing to validate
+    if (best.score === -Infinity) {
+      runsDone++;
+      return { ...span, params: null, inSample: best.stats, outSample: null };
     }
-  }
+
+    // Out-of-sample run warms up on the tail of the in-sample window
+    const { stats: outSample } = runWith(best.params, fold.outSampleStart - WARMUP_BARS, fold.outSampleEnd);
+
+    return { ...span, params: best.params, inSample: best.stats, outSample };
+  });
 
   return {
-    equityCurve,
-    stats: {
-      totalReturn: parseFloat(totalReturn.toFixed(2)),
-      maxDrawdown: parseFloat(maxDrawdown.toFixed(2)),
-      winRate: parseFloat(winRate.toFixed(1)),
-      profitFactor: profitFactor === Infinity ? 999 : parseFloat(profitFactor.toFixed(2)),
-      sharpeRatio: parseFloat(sharpeRatio.toFixed(2)),
-      avgWinner: parseFloat(avgWinner.toFixed(2)),
-      avgLoser: parseFloat(avgLoser.toFixed(2)),
-      totalTrades,
-      avgDuration: Math.round(avgDuration),
-      startingCapital,
-      endingCapital: parseFloat(capital.toFixed(2)),
-    },
-    trades,
+    folds: foldResults,
+    summary: summarizeFolds(foldResults),
+    recommended: recommendParams(foldResults.map((f) => f.params)),
+    candidatesTested: candidates.length,
+    objective,
+    method,
   };
 }
 
@@ -745,13 +1418,20 @@ function runBacktest(candles, strategy, startingCapital, riskSettings) {
 //  Message Handler
 // =========================================================================
 
+function postProgress(percent, currentDate) {
+  self.postMessage({ type: 'PROGRESS', payload: { percent, currentDate } });
+}
+
 self.onmessage = function (event) {
   const { type, payload } = event.data;
 
   try {
     switch (type) {
       case 'RUN_BACKTEST': {
-        const { candles, strategy, startingCapital, riskSettings } = payload;
+        const {
+          candles, strategy, startingCapital, riskSettings,
+          pair, hydraSettings, entryThreshold, dailyLossLimitPct, overnightCutoffHourUTC,
+        } = payload;
 
         if (!candles || candles.length === 0) {
           self.postMessage({
@@ -761,7 +1441,14 @@ self.onmessage = function (event) {
           return;
         }
 
-        const result = runBacktest(candles, strategy, startingCapital || 25000, riskSettings || {});
+        const result = runBacktest(candles, strategy, startingCapital || 25000, riskSettings || {}, {
+          pair,
+          hydraSettings,
+          entryThreshold,
+          dailyLossLimitPct,
+          overnightCutoffHourUTC,
+          onProgress: postProgress,
+        });
 
         // Final progress
         self.postMessage({
@@ -776,6 +1463,86 @@ self.onmessage = function (event) {
         break;
       }
 
+      case 'RUN_PORTFOLIO_BACKTEST': {
+        const {
+          candlesByPair, strategies, startingCapital, riskSettings,
+          pair, hydraSettings, entryThreshold, dailyLossLimitPct, overnightCutoffHourUTC,
+          maxConcurrentPositions, allocationConfig, viperThreatLevel, correlationSettings,
+        } = payload;
+
+        if (!candlesByPair || Object.keys(candlesByPair).length === 0) {
+          self.postMessage({
+            type: 'ERROR',
+            payload: { message: 'No candle data provided for portfolio backtest' },
+          });
+          return;
+        }
+
+        const result = runPortfolioBacktest(candlesByPair, strategies || [STRATEGIES.HYDRA], startingCapital || 25000, riskSettings || {}, {
+          pair,
+          hydraSettings,
+          entryThreshold,
+          dailyLossLimitPct,
+          overnightCutoffHourUTC,
+          maxConcurrentPositions,
+          allocationConfig,
+          viperThreatLevel,
+          correlationSettings,
+          onProgress: postProgress,
+        });
+
+        self.postMessage({
+          type: 'PORTFOLIO_BACKTEST_RESULT',
+          payload: result,
+        });
+        break;
+      }
+
+      case 'RUN_WALK_FORWARD': {
+        const {
+          candles, startingCapital, riskSettings, walkForward,
+          pair, hydraSettings, dailyLossLimitPct,
+        } = payload;
+
+        if (!candles || candles.length === 0) {
+          self.postMessage({
+            type: 'ERROR',
+            payload: { message: 'No candle data provided for walk-forward optimisation' },
+          });
+          return;
+        }
+
+        const result = runWalkForward(candles, startingCapital || 25000, riskSettings || {}, {
+          pair,
+          hydraSettings,
+          dailyLossLimitPct,
+        }, walkForward || {}, postProgress);
+
+        self.postMessage({
+          type: 'WALK_FORWARD_RESULT',
+          payload: result,
+        });
+        break;
+      }
+
+      case 'RUN_MONTE_CARLO': {
+        const { trades, monteCarlo } = payload;
+
+        if (!trades || trades.length === 0) {
+          self.postMessage({
+            type: 'ERROR',
+            payload: { message: 'No trades to resample — run a backtest first' },
+          });
+          return;
+        }
+
+        self.postMessage({
+          type: 'MONTE_CARLO_RESULT',
+          payload: runMonteCarlo(trades, monteCarlo || {}),
+        });
+        break;
+      }
+
       default:
         self.postMessage({
           type: 'ERROR',
@@ -5,6 +5,8 @@
    Receives candle data, returns computed indicator arrays.
    ============================================================ */
 
+import { timeframeMs, aggregateCandles as aggregateBuckets } from '../utils/candleSeries.js';
+
 // =========================================================================
 //  Indicator Calculation Functions
 // =========================================================================
@@ -854,57 +856,16 @@ function detectRegime({ price, sma200, ema9, ema21, ema50, adx, rsi, bbWidth, bb
 // =========================================================================
 
 /**
- * Aggregate 1-minute candles into a target timeframe.
+ * Aggregate 1-minute candles into a target timeframe (../utils/candleSeries.js,
+ * the same buckets the proxy's candle store builds).
  * @param {Object[]} candles1m - 1-minute candles sorted by timestamp ascending
- * @param {string} targetTimeframe - 'FIVE_MINUTE' | 'FIFTEEN_MINUTE'
+ * @param {string} targetTimeframe - e.g. 'FIVE_MINUTE' | 'FIFTEEN_MINUTE' | 'FOUR_HOUR' | '3m'
  * @returns {Object[]} aggregated candles
  */
 function aggregateCandles(candles1m, targetTimeframe) {
-  const minutesMap = {
-    FIVE_MINUTE: 5,
-    FIFTEEN_MINUTE: 15,
-    ONE_HOUR: 60,
-    FOUR_HOUR: 240,
-  };
-
-  const minutes = minutesMap[targetTimeframe];
-  if (!minutes || candles1m.length === 0) return [];
-
-  const intervalMs = minutes * 60 * 1000;
-  const aggregated = [];
-  let currentBucket = null;
-
-  for (const candle of candles1m) {
-    const bucketStart = Math.floor(candle.timestamp / intervalMs) * intervalMs;
-
-    if (!currentBucket || currentBucket.timestamp !== bucketStart) {
-      // Start a new bucket
-      if (currentBucket) {
-        aggregated.push(currentBucket);
-      }
-      currentBucket = {
-        timestamp: bucketStart,
-        open: candle.open,
-        high: candle.high,
-        low: candle.low,
-        close: candle.close,
-        volume: candle.volume,
-      };
-    } else {
-      // Merge into current bucket
-      currentBucket.high = Math.max(currentBucket.high, candle.high);
-      currentBucket.low = Math.min(currentBucket.low, candle.low);
-      currentBucket.close = candle.close;
-      currentBucket.volume += candle.volume;
-    }
-  }
-
-  // Push the last bucket
-  if (currentBucket) {
-    aggregated.push(currentBucket);
-  }
-
-  return aggregated;
+  const intervalMs = timeframeMs(targetTimeframe);
+  if (!intervalMs || candles1m.length === 0) return [];
+  return aggregateBuckets(candles1m, intervalMs);
 }
 
 // =========================================================================
@@ -1102,6 +1063,20 @@ self.onmessage = function (event) {
         break;
       }
 
+      // ---- Alert engine: on-demand indicators for expression alerts ----
+      case 'CALCULATE_ALERT': {
+        const { key, candles1m: alertCandles1m, targetTimeframe: alertTf, indicators: alertIndicators } = payload;
+        const alertCandles = alertTf && alertTf !== 'ONE_MINUTE'
+          ? aggregateCandles(alertCandles1m || [], alertTf)
+          : alertCandles1m || [];
+        const alertResult = calculateIndicators(alertCandles, alertIndicators, {});
+        self.postMessage({
+          type: 'ALERT_INDICATORS_RESULT',
+          payload: { key, indicators: alertResult, lastCandle: alertCandles[alertCandles.length - 1] || null },
+        });
+        break;
+      }
+
       // ---- Scanner: per-pair regime detection ----
       case 'SCANNER_REGIME': {
         const { pair: regPair, ...regParams } = payload;
@@ -9,6 +9,7 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:3002',
         changeOrigin: true,
+        ws: true, // sim exchange feed on /api/ws, server engine on /api/engine/ws
       },
     },
   },